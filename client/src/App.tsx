@@ -13,12 +13,22 @@ import AdminRoute from './components/routing/AdminRoute';
 import AdminLayout from './components/admin/AdminLayout';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import UserManagement from './pages/admin/UserManagement';
+import RoleManagement from './pages/admin/RoleManagement';
+import SecuritySettings from './pages/admin/SecuritySettings';
+import SystemLogs from './pages/admin/SystemLogs';
+import ModerationQueue from './pages/admin/ModerationQueue';
 import Home from './pages/Home';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
 import ForgotPassword from './components/auth/ForgotPassword';
 import ResetPassword from './components/auth/ResetPassword';
+import GitHubCallback from './components/auth/GitHubCallback';
+import MagicLinkRequest from './components/auth/MagicLinkRequest';
+import MagicLinkLogin from './components/auth/MagicLinkLogin';
+import UnlockAccount from './components/auth/UnlockAccount';
+import ReportSession from './components/auth/ReportSession';
 import ProjectList from './pages/ProjectList';
+import ProjectSearch from './pages/ProjectSearch';
 // ProjectForm handles both creation and editing
 import ProjectForm from './components/projects/ProjectForm';
 import Dashboard from './pages/Dashboard';
@@ -26,6 +36,7 @@ import Profile from './pages/Profile';
 // MemberSearch available but not currently routed
 import Members from './pages/Members';
 import Messages from './pages/Messages';
+import Settings from './pages/Settings';
 import ProjectDetail from './pages/ProjectDetail';
 import EmailVerification from './pages/EmailVerification';
 
@@ -120,9 +131,11 @@ function App(): React.ReactElement {
               >
                 <Route index element={<AdminDashboard />} />
                 <Route path="users" element={<UserManagement />} />
-                <Route path="logs" element={<div>System Logs (Coming Soon)</div>} />
+                <Route path="roles" element={<RoleManagement />} />
+                <Route path="moderation" element={<ModerationQueue />} />
+                <Route path="logs" element={<SystemLogs />} />
                 <Route path="analytics" element={<div>Analytics (Coming Soon)</div>} />
-                <Route path="settings" element={<div>Settings (Coming Soon)</div>} />
+                <Route path="settings" element={<SecuritySettings />} />
               </Route>
 
               {/* Main App Routes - Inside Layout */}
@@ -133,12 +146,18 @@ function App(): React.ReactElement {
                     <Routes>
                       <Route path="/" element={<Home />} />
                       <Route path="/login" element={<Login />} />
+                      <Route path="/login/link" element={<MagicLinkRequest />} />
+                      <Route path="/magic-link" element={<MagicLinkLogin />} />
                       <Route path="/register" element={<Register />} />
                       <Route path="/forgot-password" element={<ForgotPassword />} />
                       <Route path="/reset-password" element={<ResetPassword />} />
+                      <Route path="/unlock-account" element={<UnlockAccount />} />
+                      <Route path="/report-session" element={<ReportSession />} />
+                      <Route path="/auth/github/callback" element={<GitHubCallback />} />
                       <Route path="/verify-email/:token" element={<EmailVerification />} />
                       <Route path="/verify-email" element={<EmailVerification />} />
                       <Route path="/projects" element={<ProjectList />} />
+                      <Route path="/projects/search" element={<ProjectSearch />} />
                       <Route
                         path="/projects/create"
                         element={
@@ -179,6 +198,14 @@ function App(): React.ReactElement {
                           </PrivateRoute>
                         }
                       />
+                      <Route
+                        path="/settings"
+                        element={
+                          <PrivateRoute>
+                            <Settings />
+                          </PrivateRoute>
+                        }
+                      />
                       <Route
                         path="/projects/:projectId"
                         element={
@@ -0,0 +1,31 @@
+/**
+ * Account data utility tests
+ */
+
+import { getDataExportFilename, getDaysUntilDeletion } from '../../utils/accountData';
+
+describe('Account Data Utilities', () => {
+  describe('getDataExportFilename', () => {
+    it('should name the file after the export date', () => {
+      expect(getDataExportFilename(new Date('2026-03-01T23:30:00Z'))).toBe(
+        'codecollab-data-2026-03-01.json'
+      );
+    });
+  });
+
+  describe('getDaysUntilDeletion', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    it('should count whole days', () => {
+      expect(getDaysUntilDeletion('2026-03-15T12:00:00Z', now)).toBe(14);
+    });
+
+    it('should count a part day as a day', () => {
+      expect(getDaysUntilDeletion('2026-03-01T13:00:00Z', now)).toBe(1);
+    });
+
+    it('should never go below zero', () => {
+      expect(getDaysUntilDeletion('2026-02-28T12:00:00Z', now)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Bulk user action utility tests
+ */
+
+import {
+  BULK_USER_ACTIONS,
+  getBulkProgress,
+  splitIntoBatches,
+  summarizeBulkResults,
+} from '../../utils/bulkUserActions';
+import type { BulkUserResultStatus } from '../../services/adminService';
+
+const result = (status: BulkUserResultStatus) => ({
+  userId: 'user-1',
+  username: 'alice',
+  email: 'alice@example.com',
+  status,
+});
+
+describe('Bulk User Action Utilities', () => {
+  it('should list every action', () => {
+    expect(BULK_USER_ACTIONS).toEqual([
+      'suspend',
+      'unsuspend',
+      'change_role',
+      'resend_verification',
+      'revoke_sessions',
+      'deactivate',
+    ]);
+  });
+
+  describe('splitIntoBatches', () => {
+    it('should split items in order', () => {
+      expect(splitIntoBatches([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it('should keep a small selection in one batch', () => {
+      expect(splitIntoBatches(['a', 'b'], 50)).toEqual([['a', 'b']]);
+    });
+
+    it('should return no batches for no items', () => {
+      expect(splitIntoBatches([], 50)).toEqual([]);
+    });
+  });
+
+  describe('summarizeBulkResults', () => {
+    it('should count results by status', () => {
+      expect(
+        summarizeBulkResults([result('succeeded'), result('skipped'), result('succeeded')])
+      ).toEqual({ ready: 0, skipped: 1, succeeded: 2, failed: 0 });
+    });
+  });
+
+  describe('getBulkProgress', () => {
+    it('should give a whole percentage', () => {
+      expect(getBulkProgress(0, 120)).toBe(0);
+      expect(getBulkProgress(50, 120)).toBe(42);
+      expect(getBulkProgress(120, 120)).toBe(100);
+    });
+
+    it('should count nothing to do as done', () => {
+      expect(getBulkProgress(0, 0)).toBe(100);
+    });
+  });
+});
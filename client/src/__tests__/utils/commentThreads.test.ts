@@ -0,0 +1,69 @@
+/**
+ * Comment thread utility tests
+ */
+
+import {
+  COMMENT_MAX_DEPTH,
+  getCommentAuthor,
+  canReplyToComment,
+  getReplyToggleLabel,
+} from '../../utils/commentThreads';
+import type { Comment } from '../../types';
+
+const makeComment = (overrides: Partial<Comment> = {}): Comment => ({
+  _id: 'comment-1',
+  projectId: 'project-1',
+  userId: { _id: 'user-1', username: 'alice' } as Comment['userId'],
+  content: 'Looks good',
+  parentId: null,
+  depth: 0,
+  replyCount: 0,
+  isDeleted: false,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+describe('Comment Thread Utilities', () => {
+  describe('getCommentAuthor', () => {
+    it('returns the populated author', () => {
+      expect(getCommentAuthor(makeComment())).toEqual({ id: 'user-1', username: 'alice' });
+    });
+
+    it('returns null for deleted placeholders', () => {
+      expect(getCommentAuthor(makeComment({ isDeleted: true, userId: null }))).toBeNull();
+    });
+
+    it('falls back to a generic name for unpopulated authors', () => {
+      expect(getCommentAuthor(makeComment({ userId: 'user-2' }))).toEqual({
+        id: 'user-2',
+        username: 'Unknown User',
+      });
+    });
+  });
+
+  describe('canReplyToComment', () => {
+    it('allows replies below the depth limit', () => {
+      expect(canReplyToComment(makeComment({ depth: COMMENT_MAX_DEPTH - 1 }))).toBe(true);
+    });
+
+    it('blocks replies at the depth limit', () => {
+      expect(canReplyToComment(makeComment({ depth: COMMENT_MAX_DEPTH }))).toBe(false);
+    });
+
+    it('blocks replies to deleted comments', () => {
+      expect(canReplyToComment(makeComment({ isDeleted: true }))).toBe(false);
+    });
+  });
+
+  describe('getReplyToggleLabel', () => {
+    it('pluralises the reply count', () => {
+      expect(getReplyToggleLabel(1, false)).toBe('View 1 reply');
+      expect(getReplyToggleLabel(4, false)).toBe('View 4 replies');
+    });
+
+    it('offers to hide expanded replies', () => {
+      expect(getReplyToggleLabel(4, true)).toBe('Hide replies');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Conversation utility tests
+ */
+
+import type { InfiniteData } from '@tanstack/react-query';
+import {
+  getOtherParticipant,
+  getParticipantName,
+  getChatMessages,
+  prependChatMessage,
+  setConversationUnreadCount,
+} from '../../utils/conversations';
+import type { ChatMessage, ChatMessagePage, Conversation, ConversationPage } from '../../types';
+
+const alice = { _id: 'user-1', username: 'alice', firstName: 'Alice', lastName: 'Smith' };
+const bob = { _id: 'user-2', username: 'bob' };
+
+const conversation: Conversation = {
+  _id: 'conv-1',
+  participants: [alice, bob],
+  lastMessage: null,
+  lastMessageAt: null,
+  unreadCount: 2,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+};
+
+const makeMessage = (id: string): ChatMessage => ({
+  _id: id,
+  conversation: 'conv-1',
+  sender: alice,
+  recipient: bob,
+  content: `Message ${id}`,
+  isRead: false,
+  createdAt: '2026-01-01T00:00:00.000Z',
+});
+
+const makePages = (pages: ChatMessage[][]): InfiniteData<ChatMessagePage> => ({
+  pages: pages.map((messages) => ({
+    messages,
+    pagination: { hasMore: false, nextCursor: null, limit: 30 },
+  })),
+  pageParams: pages.map(() => null),
+});
+
+describe('Conversation Utilities', () => {
+  describe('getOtherParticipant', () => {
+    it('returns the participant who is not the current user', () => {
+      expect(getOtherParticipant(conversation, 'user-1')).toBe(bob);
+      expect(getOtherParticipant(conversation, 'user-2')).toBe(alice);
+    });
+
+    it('falls back to the first participant', () => {
+      expect(getOtherParticipant({ ...conversation, participants: [alice] }, 'user-1')).toBe(alice);
+    });
+  });
+
+  describe('getParticipantName', () => {
+    it('prefers the full name over the username', () => {
+      expect(getParticipantName(alice)).toBe('Alice Smith');
+      expect(getParticipantName(bob)).toBe('bob');
+      expect(getParticipantName(null)).toBe('Unknown User');
+    });
+  });
+
+  describe('getChatMessages', () => {
+    it('returns loaded messages oldest first', () => {
+      const data = makePages([[makeMessage('c'), makeMessage('b')], [makeMessage('a')]]);
+      expect(getChatMessages(data).map((message) => message._id)).toEqual(['a', 'b', 'c']);
+      expect(getChatMessages(undefined)).toEqual([]);
+    });
+  });
+
+  describe('prependChatMessage', () => {
+    it('adds new messages to the newest page once', () => {
+      const data = makePages([[makeMessage('a')]]);
+      const result = prependChatMessage(data, makeMessage('b'));
+      expect(result?.pages[0].messages.map((message) => message._id)).toEqual(['b', 'a']);
+      expect(prependChatMessage(result, makeMessage('b'))).toBe(result);
+      expect(prependChatMessage(undefined, makeMessage('b'))).toBeUndefined();
+    });
+  });
+
+  describe('setConversationUnreadCount', () => {
+    it('updates only the matching conversation', () => {
+      const data: InfiniteData<ConversationPage> = {
+        pages: [
+          {
+            conversations: [conversation, { ...conversation, _id: 'conv-2' }],
+            pagination: { hasMore: false, nextCursor: null, limit: 20 },
+          },
+        ],
+        pageParams: [null],
+      };
+      const result = setConversationUnreadCount(data, 'conv-1', 0);
+      expect(result?.pages[0].conversations.map((item) => item.unreadCount)).toEqual([0, 2]);
+    });
+  });
+});
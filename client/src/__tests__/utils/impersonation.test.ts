@@ -0,0 +1,49 @@
+/**
+ * Impersonation utility tests
+ */
+
+import { canBeImpersonated, getImpersonationTimeLeft } from '../../utils/impersonation';
+
+const now = new Date('2024-05-01T12:00:00Z');
+const inSeconds = (seconds: number): string =>
+  new Date(now.getTime() + seconds * 1000).toISOString();
+
+describe('Impersonation Utilities', () => {
+  describe('canBeImpersonated', () => {
+    it('should allow ordinary users', () => {
+      expect(canBeImpersonated({ role: 'user', permissions: ['projects.read'] })).toBe(true);
+      expect(canBeImpersonated({ role: 'moderator' })).toBe(true);
+    });
+
+    it('should refuse admins', () => {
+      expect(canBeImpersonated({ role: 'admin' })).toBe(false);
+    });
+
+    it('should refuse anyone who can impersonate', () => {
+      expect(canBeImpersonated({ role: 'support', permissions: ['admin.impersonate'] })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('getImpersonationTimeLeft', () => {
+    it('should count minutes left, rounding up', () => {
+      expect(getImpersonationTimeLeft(inSeconds(12 * 60), now)).toBe('12 minutes left');
+      expect(getImpersonationTimeLeft(inSeconds(61), now)).toBe('2 minutes left');
+      expect(getImpersonationTimeLeft(inSeconds(60), now)).toBe('1 minute left');
+    });
+
+    it('should describe the last minute', () => {
+      expect(getImpersonationTimeLeft(inSeconds(30), now)).toBe('Less than a minute left');
+    });
+
+    it('should say when it has ended', () => {
+      expect(getImpersonationTimeLeft(inSeconds(0), now)).toBe('Ended');
+      expect(getImpersonationTimeLeft(inSeconds(-90), now)).toBe('Ended');
+    });
+
+    it('should accept dates', () => {
+      expect(getImpersonationTimeLeft(new Date(inSeconds(300)), now)).toBe('5 minutes left');
+    });
+  });
+});
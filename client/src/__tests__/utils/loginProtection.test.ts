@@ -0,0 +1,43 @@
+/**
+ * Login protection utility tests
+ */
+
+import { formatRetryAfter, getLoginFlagLabels } from '../../utils/loginProtection';
+
+describe('Login Protection Utilities', () => {
+  describe('formatRetryAfter', () => {
+    it('should use seconds under a minute', () => {
+      expect(formatRetryAfter(1)).toBe('1 second');
+      expect(formatRetryAfter(30)).toBe('30 seconds');
+    });
+
+    it('should never say zero seconds', () => {
+      expect(formatRetryAfter(0)).toBe('1 second');
+    });
+
+    it('should round up to whole minutes', () => {
+      expect(formatRetryAfter(60)).toBe('1 minute');
+      expect(formatRetryAfter(61)).toBe('2 minutes');
+      expect(formatRetryAfter(15 * 60)).toBe('15 minutes');
+    });
+
+    it('should round up to whole hours from an hour', () => {
+      expect(formatRetryAfter(60 * 60)).toBe('1 hour');
+      expect(formatRetryAfter(24 * 60 * 60)).toBe('24 hours');
+    });
+  });
+
+  describe('getLoginFlagLabels', () => {
+    it('should return nothing for an ordinary login', () => {
+      expect(getLoginFlagLabels(undefined)).toEqual([]);
+      expect(getLoginFlagLabels([])).toEqual([]);
+    });
+
+    it('should label each flag in a stable order', () => {
+      expect(getLoginFlagLabels(['new_location', 'new_device'])).toEqual([
+        'New device',
+        'New location',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Mention utility tests
+ */
+
+import {
+  getMemberProfilePath,
+  splitMentions,
+  getActiveMentionQuery,
+  insertMention,
+} from '../../utils/mentions';
+
+const alice = { _id: 'user-1', username: 'alice' };
+const bob = { _id: 'user-2', username: 'bob_99' };
+
+describe('Mention Utilities', () => {
+  describe('splitMentions', () => {
+    it('returns the text as one segment without mentions', () => {
+      expect(splitMentions('Looks good')).toEqual([{ type: 'text', text: 'Looks good' }]);
+    });
+
+    it('links resolved mentions', () => {
+      expect(splitMentions('Thanks @alice and @bob_99!', [alice, bob])).toEqual([
+        { type: 'text', text: 'Thanks ' },
+        { type: 'mention', text: '@alice', user: alice },
+        { type: 'text', text: ' and ' },
+        { type: 'mention', text: '@bob_99', user: bob },
+        { type: 'text', text: '!' },
+      ]);
+    });
+
+    it('matches usernames case-insensitively', () => {
+      expect(splitMentions('@Alice', [alice])).toEqual([
+        { type: 'mention', text: '@Alice', user: alice },
+      ]);
+    });
+
+    it('leaves unresolved mentions and email addresses as text', () => {
+      expect(splitMentions('@carol mail alice@example.com', [alice])).toEqual([
+        { type: 'text', text: '@carol mail alice@example.com' },
+      ]);
+    });
+  });
+
+  describe('getActiveMentionQuery', () => {
+    it('finds the mention being typed at the caret', () => {
+      expect(getActiveMentionQuery('Hey @al', 7)).toEqual({ query: 'al', start: 4 });
+    });
+
+    it('reports an empty query right after the @', () => {
+      expect(getActiveMentionQuery('@', 1)).toEqual({ query: '', start: 0 });
+    });
+
+    it('ignores text after the caret', () => {
+      expect(getActiveMentionQuery('@al there', 3)).toEqual({ query: 'al', start: 0 });
+    });
+
+    it('returns null outside a mention', () => {
+      expect(getActiveMentionQuery('@alice done', 11)).toBeNull();
+      expect(getActiveMentionQuery('jane@exam', 9)).toBeNull();
+    });
+  });
+
+  describe('insertMention', () => {
+    it('replaces the typed query with the username', () => {
+      expect(insertMention('Hey @al', { query: 'al', start: 4 }, 7, 'alice')).toEqual({
+        text: 'Hey @alice ',
+        caret: 11,
+      });
+    });
+
+    it('keeps the text after the caret without doubling spaces', () => {
+      expect(insertMention('@al there', { query: 'al', start: 0 }, 3, 'alice')).toEqual({
+        text: '@alice there',
+        caret: 7,
+      });
+    });
+  });
+
+  describe('getMemberProfilePath', () => {
+    it('links to the member on the members page', () => {
+      expect(getMemberProfilePath('user-1')).toBe('/members#member-user-1');
+    });
+  });
+});
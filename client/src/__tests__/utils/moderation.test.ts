@@ -0,0 +1,106 @@
+/**
+ * Moderation utility tests
+ */
+
+import {
+  isReportOpen,
+  getAvailableReportActions,
+  isReportNoteRequired,
+  getReportContentLink,
+} from '../../utils/moderation';
+import type { Permission, Report } from '../../types';
+
+const MODERATOR_ID = 'mod1';
+const MODERATOR_PERMISSIONS: Permission[] = ['moderate.content', 'moderate.reports'];
+const ADMIN_PERMISSIONS: Permission[] = [...MODERATOR_PERMISSIONS, 'moderate.users'];
+
+const makeReport = (
+  overrides: Partial<Pick<Report, 'status' | 'assignedTo' | 'targetOwner'>> = {}
+): Pick<Report, 'status' | 'assignedTo' | 'targetOwner'> => ({
+  status: 'open',
+  assignedTo: null,
+  targetOwner: { _id: 'author1', username: 'author', role: 'user' },
+  ...overrides,
+});
+
+describe('Moderation Utilities', () => {
+  describe('isReportOpen', () => {
+    it('should treat open, claimed and escalated reports as open', () => {
+      expect(isReportOpen('open')).toBe(true);
+      expect(isReportOpen('claimed')).toBe(true);
+      expect(isReportOpen('escalated')).toBe(true);
+      expect(isReportOpen('resolved')).toBe(false);
+      expect(isReportOpen('dismissed')).toBe(false);
+    });
+  });
+
+  describe('getAvailableReportActions', () => {
+    it('should offer moderators everything but suspension', () => {
+      expect(
+        getAvailableReportActions(makeReport(), {
+          id: MODERATOR_ID,
+          permissions: MODERATOR_PERMISSIONS,
+        })
+      ).toEqual(['claim', 'hide', 'warn', 'dismiss', 'escalate']);
+    });
+
+    it('should let admins suspend the author', () => {
+      expect(
+        getAvailableReportActions(makeReport({ status: 'escalated' }), {
+          id: MODERATOR_ID,
+          permissions: ADMIN_PERMISSIONS,
+        })
+      ).toEqual(['claim', 'hide', 'warn', 'dismiss', 'suspend']);
+    });
+
+    it('should not offer claiming a report the moderator already claimed', () => {
+      const report = makeReport({
+        status: 'claimed',
+        assignedTo: { _id: MODERATOR_ID, username: 'mod' },
+      });
+      expect(
+        getAvailableReportActions(report, { id: MODERATOR_ID, permissions: MODERATOR_PERMISSIONS })
+      ).not.toContain('claim');
+    });
+
+    it('should not offer suspending administrators', () => {
+      const report = makeReport({
+        targetOwner: { _id: 'admin1', username: 'root', role: 'admin' },
+      });
+      expect(
+        getAvailableReportActions(report, { id: MODERATOR_ID, permissions: ADMIN_PERMISSIONS })
+      ).not.toContain('suspend');
+    });
+
+    it('should offer nothing on closed reports or reports about the moderator', () => {
+      expect(
+        getAvailableReportActions(makeReport({ status: 'resolved' }), {
+          id: MODERATOR_ID,
+          permissions: ADMIN_PERMISSIONS,
+        })
+      ).toEqual([]);
+      expect(
+        getAvailableReportActions(makeReport(), { id: 'author1', permissions: ADMIN_PERMISSIONS })
+      ).toEqual([]);
+    });
+  });
+
+  describe('isReportNoteRequired', () => {
+    it('should require a reason for suspensions only', () => {
+      expect(isReportNoteRequired('suspend')).toBe(true);
+      expect(isReportNoteRequired('warn')).toBe(false);
+    });
+  });
+
+  describe('getReportContentLink', () => {
+    it('should link projects and comments to their project', () => {
+      expect(getReportContentLink({ targetType: 'project', projectId: 'p1' })).toBe('/projects/p1');
+      expect(getReportContentLink({ targetType: 'comment', projectId: 'p2' })).toBe('/projects/p2');
+    });
+
+    it('should not link private messages or profiles', () => {
+      expect(getReportContentLink({ targetType: 'message', projectId: null })).toBeNull();
+      expect(getReportContentLink({ targetType: 'user', projectId: null })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Real-time cache utility tests
+ */
+
+import type { InfiniteData } from '@tanstack/react-query';
+import {
+  prependComment,
+  appendReply,
+  replaceComment,
+  removeComment,
+  adjustReplyCount,
+  applyCollaborationUpdate,
+  prependNotification,
+  prependMessage,
+} from '../../utils/realtimeCache';
+import type {
+  Comment,
+  CommentPage,
+  Message,
+  Notification,
+  NotificationPage,
+  Project,
+} from '../../types';
+
+const makeComment = (id: string, overrides: Partial<Comment> = {}): Comment => ({
+  _id: id,
+  projectId: 'project-1',
+  userId: 'user-1',
+  content: `Comment ${id}`,
+  replyCount: 0,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const makePages = (pages: Comment[][], hasMore = false): InfiniteData<CommentPage> => ({
+  pages: pages.map((comments, index) => ({
+    comments,
+    pagination: {
+      hasMore: index < pages.length - 1 || hasMore,
+      nextCursor: null,
+      limit: 20,
+    },
+  })),
+  pageParams: pages.map((_, index) => (index === 0 ? null : `cursor-${index}`)),
+});
+
+const ids = (data: InfiniteData<CommentPage> | undefined): string[][] =>
+  data?.pages.map((page) => page.comments.map((comment) => comment._id)) ?? [];
+
+describe('Real-time Cache Utilities', () => {
+  describe('comments', () => {
+    it('prepends new top-level comments to the first page', () => {
+      const data = makePages([[makeComment('b')], [makeComment('a')]]);
+      expect(ids(prependComment(data, makeComment('c')))).toEqual([['c', 'b'], ['a']]);
+    });
+
+    it('does not duplicate a comment that is already cached', () => {
+      const data = makePages([[makeComment('a')]]);
+      const result = prependComment(data, makeComment('a', { content: 'Edited' }));
+      expect(ids(result)).toEqual([['a']]);
+      expect(result?.pages[0].comments[0].content).toBe('Edited');
+    });
+
+    it('appends replies once every page is loaded', () => {
+      const data = makePages([[makeComment('a')]]);
+      expect(ids(appendReply(data, makeComment('b')))).toEqual([['a', 'b']]);
+    });
+
+    it('leaves replies out while older pages are unloaded', () => {
+      const data = makePages([[makeComment('a')]], true);
+      expect(appendReply(data, makeComment('b'))).toBe(data);
+    });
+
+    it('ignores lists that are not cached', () => {
+      expect(prependComment(undefined, makeComment('a'))).toBeUndefined();
+      expect(appendReply(undefined, makeComment('a'))).toBeUndefined();
+    });
+
+    it('replaces and removes comments on any page', () => {
+      const data = makePages([[makeComment('a')], [makeComment('b')]]);
+      const replaced = replaceComment(data, makeComment('b', { content: 'Edited' }));
+      expect(replaced?.pages[1].comments[0].content).toBe('Edited');
+      expect(ids(removeComment(data, 'a'))).toEqual([[], ['b']]);
+    });
+
+    it('adjusts reply counts without going negative', () => {
+      const data = makePages([[makeComment('a', { replyCount: 1 })]]);
+      expect(adjustReplyCount(data, 'a', 1)?.pages[0].comments[0].replyCount).toBe(2);
+      expect(adjustReplyCount(data, 'a', -3)?.pages[0].comments[0].replyCount).toBe(0);
+    });
+
+    it('drops deleted placeholders that lose their last reply', () => {
+      const data = makePages([
+        [makeComment('a', { isDeleted: true, replyCount: 1 }), makeComment('b', { replyCount: 1 })],
+      ]);
+      expect(ids(adjustReplyCount(data, 'a', -1))).toEqual([['b']]);
+      expect(ids(adjustReplyCount(data, 'b', -1))).toEqual([['a', 'b']]);
+    });
+  });
+
+  describe('applyCollaborationUpdate', () => {
+    const project = {
+      _id: 'project-1',
+      title: 'Project',
+      collaborators: [
+        { userId: { _id: 'user-2', username: 'bob' }, status: 'pending' },
+        { userId: 'user-3', status: 'accepted' },
+      ],
+    } as unknown as Project;
+
+    it('updates the status of an existing collaborator', () => {
+      const result = applyCollaborationUpdate(project, {
+        projectId: 'project-1',
+        userId: 'user-2',
+        status: 'accepted',
+      });
+      expect(result?.collaborators.map((c) => c.status)).toEqual(['accepted', 'accepted']);
+    });
+
+    it('removes rejected requests', () => {
+      const result = applyCollaborationUpdate(project, {
+        projectId: 'project-1',
+        userId: 'user-2',
+        status: 'rejected',
+      });
+      expect(result?.collaborators).toHaveLength(1);
+    });
+
+    it('adds new requests', () => {
+      const result = applyCollaborationUpdate(project, {
+        projectId: 'project-1',
+        userId: 'user-4',
+        username: 'dana',
+        status: 'pending',
+      });
+      expect(result?.collaborators[2]).toEqual({
+        userId: { _id: 'user-4', username: 'dana' },
+        status: 'pending',
+      });
+    });
+
+    it('ignores projects that are not cached', () => {
+      expect(
+        applyCollaborationUpdate(undefined, { projectId: 'p', userId: 'u', status: 'pending' })
+      ).toBeUndefined();
+    });
+  });
+
+  describe('prependNotification', () => {
+    const notification = { _id: 'n-2', message: 'New' } as Notification;
+    const data: InfiniteData<NotificationPage> = {
+      pages: [
+        {
+          notifications: [{ _id: 'n-1', message: 'Old' } as Notification],
+          pagination: { hasMore: false, nextCursor: null, limit: 20 },
+        },
+      ],
+      pageParams: [null],
+    };
+
+    it('adds new notifications to the front', () => {
+      const result = prependNotification(data, notification);
+      expect(result?.pages[0].notifications.map((n) => n._id)).toEqual(['n-2', 'n-1']);
+    });
+
+    it('ignores notifications that are already cached', () => {
+      const result = prependNotification(data, notification);
+      expect(prependNotification(result, notification)).toBe(result);
+    });
+  });
+
+  describe('prependMessage', () => {
+    it('adds new messages to the front once', () => {
+      const old = { _id: 'm-1', subject: 'Old' } as Message & { _id: string };
+      const message = { _id: 'm-2', subject: 'New' } as Message & { _id: string };
+      const result = prependMessage([old], message);
+      expect(result).toEqual([message, old]);
+      expect(prependMessage(result, message)).toBe(result);
+      expect(prependMessage(undefined, message)).toBeUndefined();
+    });
+  });
+});
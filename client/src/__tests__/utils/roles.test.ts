@@ -0,0 +1,107 @@
+/**
+ * Role utility tests
+ */
+
+import {
+  ROLE_NAME_PATTERN,
+  getPermissionLabel,
+  groupPermissions,
+  toRoleName,
+  getCloneRoleData,
+  hasAdminAccess,
+} from '../../utils/roles';
+import type { Permission } from '../../types';
+
+const moderator = {
+  name: 'moderator',
+  displayName: 'Moderator',
+  description: 'Reviews reported content',
+  permissions: ['projects.moderate', 'moderate.content'] as Permission[],
+};
+
+describe('Role Utilities', () => {
+  describe('getPermissionLabel', () => {
+    it('should label a permission by its action', () => {
+      expect(getPermissionLabel('projects.moderate')).toBe('Moderate');
+      expect(getPermissionLabel('admin.dashboard')).toBe('Dashboard');
+    });
+  });
+
+  describe('groupPermissions', () => {
+    it('should group permissions by prefix in the order given', () => {
+      const groups = groupPermissions([
+        'users.read',
+        'projects.read',
+        'users.update',
+        'moderate.reports',
+      ]);
+
+      expect(groups.map((group) => group.label)).toEqual(['Users', 'Projects', 'Moderation']);
+      expect(groups[0].permissions).toEqual(['users.read', 'users.update']);
+    });
+
+    it('should return no groups for no permissions', () => {
+      expect(groupPermissions([])).toEqual([]);
+    });
+  });
+
+  describe('toRoleName', () => {
+    it('should turn a display name into a valid role name', () => {
+      const name = toRoleName('Community Manager');
+
+      expect(name).toBe('community-manager');
+      expect(ROLE_NAME_PATTERN.test(name)).toBe(true);
+    });
+
+    it('should drop leading characters that are not letters', () => {
+      expect(toRoleName('2nd-line Support!')).toBe('nd-line-support');
+    });
+
+    it('should keep names within the length limit', () => {
+      expect(toRoleName('A'.repeat(40))).toHaveLength(30);
+    });
+  });
+
+  describe('getCloneRoleData', () => {
+    it('should copy the role under a new name', () => {
+      expect(getCloneRoleData(moderator, ['user', 'moderator', 'admin'])).toEqual({
+        name: 'moderator-copy',
+        displayName: 'Moderator (copy)',
+        description: 'Reviews reported content',
+        permissions: ['projects.moderate', 'moderate.content'],
+      });
+    });
+
+    it('should pick a name that is not taken', () => {
+      expect(getCloneRoleData(moderator, ['moderator-copy', 'moderator-copy-2']).name).toBe(
+        'moderator-copy-3'
+      );
+    });
+
+    it('should not share the permissions array with the original', () => {
+      const copy = getCloneRoleData(moderator, []);
+      copy.permissions.push('admin.system');
+
+      expect(moderator.permissions).toHaveLength(2);
+    });
+
+    it('should keep long names valid', () => {
+      const name = getCloneRoleData({ ...moderator, name: 'a'.repeat(30) }, []).name;
+
+      expect(name).toHaveLength(30);
+      expect(ROLE_NAME_PATTERN.test(name)).toBe(true);
+    });
+  });
+
+  describe('hasAdminAccess', () => {
+    it('should recognise any admin permission, whatever the role', () => {
+      expect(hasAdminAccess(['projects.read', 'admin.users'])).toBe(true);
+      expect(hasAdminAccess(['admin.dashboard'])).toBe(true);
+    });
+
+    it('should refuse users without admin permissions', () => {
+      expect(hasAdminAccess(['projects.read', 'moderate.content'])).toBe(false);
+      expect(hasAdminAccess()).toBe(false);
+    });
+  });
+});
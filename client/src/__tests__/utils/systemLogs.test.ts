@@ -0,0 +1,56 @@
+/**
+ * System log utility tests
+ */
+
+import {
+  EMPTY_SYSTEM_LOG_FILTERS,
+  buildSystemLogsParams,
+  formatLogEvent,
+  getAuditLogFilename,
+} from '../../utils/systemLogs';
+
+describe('System Log Utilities', () => {
+  describe('buildSystemLogsParams', () => {
+    it('should leave out empty filters', () => {
+      expect(buildSystemLogsParams(EMPTY_SYSTEM_LOG_FILTERS)).toEqual({});
+    });
+
+    it('should trim text filters', () => {
+      expect(
+        buildSystemLogsParams({
+          ...EMPTY_SYSTEM_LOG_FILTERS,
+          type: 'admin',
+          actor: ' admin@example.com ',
+          event: '   ',
+        })
+      ).toEqual({ type: 'admin', actor: 'admin@example.com' });
+    });
+
+    it('should cover the whole of both days in a date range', () => {
+      const params = buildSystemLogsParams({
+        ...EMPTY_SYSTEM_LOG_FILTERS,
+        from: '2026-03-01',
+        to: '2026-03-02',
+      });
+
+      expect(params.from).toBe(new Date(2026, 2, 1, 0, 0, 0, 0).toISOString());
+      expect(params.to).toBe(new Date(2026, 2, 2, 23, 59, 59, 999).toISOString());
+    });
+  });
+
+  describe('formatLogEvent', () => {
+    it('should drop the type prefix and use sentence case', () => {
+      expect(formatLogEvent('ADMIN_USER_SUSPENDED')).toBe('User suspended');
+      expect(formatLogEvent('SESSION_REVOKED')).toBe('Revoked');
+      expect(formatLogEvent('AUTH_FAILURE')).toBe('Auth failure');
+    });
+  });
+
+  describe('getAuditLogFilename', () => {
+    it('should name the file after the export date', () => {
+      expect(getAuditLogFilename(new Date('2026-03-01T12:00:00Z'))).toBe(
+        'audit-log-2026-03-01.csv'
+      );
+    });
+  });
+});
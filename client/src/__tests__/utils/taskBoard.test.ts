@@ -0,0 +1,70 @@
+/**
+ * Task board utility tests
+ */
+
+import { groupTasksByStatus, moveTaskInBoard, isTaskOverdue } from '../../utils/taskBoard';
+import type { Task, TaskStatus } from '../../types';
+
+const makeTask = (id: string, status: TaskStatus, position: number): Task => ({
+  _id: id,
+  projectId: 'project-1',
+  title: `Task ${id}`,
+  labels: [],
+  priority: 'medium',
+  status,
+  position,
+  createdBy: 'user-1',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+});
+
+const idsIn = (tasks: Task[], status: TaskStatus): string[] =>
+  groupTasksByStatus(tasks)[status].map((task) => task._id);
+
+describe('Task Board Utilities', () => {
+  const tasks = [
+    makeTask('a', 'todo', 0),
+    makeTask('b', 'todo', 1),
+    makeTask('c', 'todo', 2),
+    makeTask('d', 'done', 0),
+  ];
+
+  describe('groupTasksByStatus', () => {
+    it('should group tasks into columns sorted by position', () => {
+      const shuffled = [tasks[2], tasks[3], tasks[0], tasks[1]];
+      expect(idsIn(shuffled, 'todo')).toEqual(['a', 'b', 'c']);
+      expect(idsIn(shuffled, 'done')).toEqual(['d']);
+      expect(idsIn(shuffled, 'review')).toEqual([]);
+    });
+  });
+
+  describe('moveTaskInBoard', () => {
+    it('should reorder a task within its column', () => {
+      const moved = moveTaskInBoard(tasks, { taskId: 'c', status: 'todo', position: 0 });
+      expect(idsIn(moved, 'todo')).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should move a task to another column', () => {
+      const moved = moveTaskInBoard(tasks, { taskId: 'a', status: 'done', position: 5 });
+      expect(idsIn(moved, 'todo')).toEqual(['b', 'c']);
+      expect(idsIn(moved, 'done')).toEqual(['d', 'a']);
+    });
+
+    it('should leave the board unchanged for unknown tasks', () => {
+      expect(moveTaskInBoard(tasks, { taskId: 'x', status: 'done', position: 0 })).toBe(tasks);
+    });
+  });
+
+  describe('isTaskOverdue', () => {
+    const now = new Date('2024-06-01T00:00:00.000Z');
+
+    it('should flag unfinished tasks past their due date', () => {
+      expect(isTaskOverdue({ ...tasks[0], dueDate: '2024-05-01T00:00:00.000Z' }, now)).toBe(true);
+    });
+
+    it('should not flag finished or undated tasks', () => {
+      expect(isTaskOverdue({ ...tasks[3], dueDate: '2024-05-01T00:00:00.000Z' }, now)).toBe(false);
+      expect(isTaskOverdue(tasks[0], now)).toBe(false);
+    });
+  });
+});
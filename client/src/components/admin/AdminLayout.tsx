@@ -14,6 +14,8 @@ import {
 import {
   Dashboard as DashboardIcon,
   People as PeopleIcon,
+  AdminPanelSettings as RolesIcon,
+  Flag as FlagIcon,
   Security as SecurityIcon,
   Settings as SettingsIcon,
   Analytics as AnalyticsIcon,
@@ -22,6 +24,7 @@ import {
 import { useNavigate, useLocation, Outlet } from 'react-router-dom';
 import { useAuth } from '../../hooks/auth';
 import logger from '../../utils/logger';
+import type { Permission } from '../../types';
 
 const drawerWidth = 240;
 
@@ -30,41 +33,62 @@ interface MenuItem {
   icon: React.ReactNode;
   path: string;
   exact?: boolean;
+  // Hidden from users without it; the server checks it on every request
+  permission?: Permission;
 }
 
 const AdminLayout: React.FC = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
 
-  const menuItems: MenuItem[] = [
+  const allMenuItems: MenuItem[] = [
     {
       text: 'Dashboard',
       icon: <DashboardIcon />,
       path: '/admin',
       exact: true,
+      permission: 'admin.dashboard',
     },
     {
       text: 'User Management',
       icon: <PeopleIcon />,
       path: '/admin/users',
+      permission: 'admin.users',
+    },
+    {
+      text: 'Roles',
+      icon: <RolesIcon />,
+      path: '/admin/roles',
+      permission: 'admin.system',
+    },
+    {
+      text: 'Moderation',
+      icon: <FlagIcon />,
+      path: '/admin/moderation',
     },
     {
       text: 'System Logs',
       icon: <SecurityIcon />,
       path: '/admin/logs',
+      permission: 'admin.system',
     },
     {
       text: 'Analytics',
       icon: <AnalyticsIcon />,
       path: '/admin/analytics',
+      permission: 'admin.analytics',
     },
     {
       text: 'Settings',
       icon: <SettingsIcon />,
       path: '/admin/settings',
+      permission: 'admin.system',
     },
   ];
+  const menuItems = allMenuItems.filter(
+    (item) => !item.permission || hasPermission(item.permission)
+  );
 
   const isActiveRoute = (item: MenuItem): boolean => {
     if (item.exact) {
@@ -0,0 +1,364 @@
+import React, { useState, ChangeEvent } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  SelectChangeEvent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useApplyBulkUserAction, useBulkUserActionPreview, useRoles } from '../../hooks/admin';
+import type {
+  BulkActionParams,
+  BulkPreviewResponse,
+  BulkUserAction,
+  BulkUserFilter,
+  BulkUserResult,
+  BulkUserResultStatus,
+} from '../../services/adminService';
+import {
+  BULK_USER_ACTIONS,
+  BULK_USER_ACTION_LABELS,
+  MAX_BULK_REASON_LENGTH,
+  getBulkProgress,
+  summarizeBulkResults,
+} from '../../utils/bulkUserActions';
+
+const getErrorMessage = (err: unknown): string => {
+  const axiosError = err as {
+    response?: { data?: { message?: string; errors?: Array<{ msg: string }> } };
+    message?: string;
+  };
+  const data = axiosError?.response?.data;
+  return data?.message || data?.errors?.[0]?.msg || axiosError?.message || 'Unknown error';
+};
+
+const STATUS_CHIPS: Record<
+  BulkUserResultStatus,
+  { label: string; color: 'info' | 'default' | 'success' | 'error' }
+> = {
+  ready: { label: 'Will change', color: 'info' },
+  skipped: { label: 'Skipped', color: 'default' },
+  succeeded: { label: 'Done', color: 'success' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
+/**
+ * Users a bulk action is aimed at: picked ones, or everyone matching the list's filters
+ */
+export interface BulkUserSelection {
+  userIds?: string[];
+  filter?: BulkUserFilter;
+  count: number;
+}
+
+const BulkResultTable: React.FC<{ results: BulkUserResult[] }> = ({ results }) => (
+  <TableContainer sx={{ maxHeight: 320, mt: 2 }}>
+    <Table size="small" stickyHeader>
+      <TableHead>
+        <TableRow>
+          <TableCell>User</TableCell>
+          <TableCell>Result</TableCell>
+          <TableCell>Details</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {results.map((result) => (
+          <TableRow key={result.userId}>
+            <TableCell>
+              <Typography variant="body2">{result.username || result.userId}</Typography>
+              <Typography variant="caption" color="textSecondary">
+                {result.email}
+              </Typography>
+            </TableCell>
+            <TableCell>
+              <Chip
+                label={STATUS_CHIPS[result.status].label}
+                color={STATUS_CHIPS[result.status].color}
+                size="small"
+              />
+            </TableCell>
+            <TableCell>
+              <Typography variant="body2">{result.message}</Typography>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+interface BulkUserActionDialogProps {
+  open: boolean;
+  selection: BulkUserSelection | null;
+  onClose: () => void;
+  // Called once the action has run, so the list can drop its selection
+  onDone: () => void;
+}
+
+// Choose an action, preview who it changes, then apply it batch by batch
+// Remount with a new key to reset the dialog for a different selection
+const BulkUserActionDialog: React.FC<BulkUserActionDialogProps> = ({
+  open,
+  selection,
+  onClose,
+  onDone,
+}) => {
+  const { data: rolesData } = useRoles();
+  const preview = useBulkUserActionPreview();
+  const { apply, progress } = useApplyBulkUserAction();
+
+  const [action, setAction] = useState<BulkUserAction>('suspend');
+  const [reason, setReason] = useState('');
+  const [duration, setDuration] = useState('');
+  const [role, setRole] = useState('');
+  const [previewData, setPreviewData] = useState<BulkPreviewResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const roles = rolesData?.roles ?? [];
+  const readyUsers = previewData?.results.filter((result) => result.status === 'ready') ?? [];
+  const isApplying = apply.isPending;
+  const report = apply.data;
+  const reportSummary = report ? summarizeBulkResults(report) : null;
+
+  const isConfigured =
+    (action !== 'suspend' || !!reason.trim()) && (action !== 'change_role' || !!role);
+
+  const getParams = (): BulkActionParams => {
+    if (action === 'suspend') {
+      return {
+        reason: reason.trim(),
+        ...(duration && { duration: parseInt(duration) * 24 * 60 * 60 * 1000 }), // Days to ms
+      };
+    }
+    if (action === 'change_role') {
+      return { role };
+    }
+    return {};
+  };
+
+  const handlePreview = async (): Promise<void> => {
+    if (!selection) return;
+    setError(null);
+    try {
+      const data = await preview.mutateAsync({
+        action,
+        params: getParams(),
+        ...(selection.userIds ? { userIds: selection.userIds } : { filter: selection.filter }),
+      });
+      setPreviewData(data);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const handleApply = async (): Promise<void> => {
+    if (!previewData) return;
+    setError(null);
+    try {
+      await apply.mutateAsync({
+        action,
+        params: getParams(),
+        users: readyUsers,
+        batchSize: previewData.batchSize,
+      });
+      onDone();
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const renderConfigure = (): React.ReactNode => (
+    <>
+      <FormControl fullWidth sx={{ mt: 2 }}>
+        <InputLabel>Action</InputLabel>
+        <Select
+          value={action}
+          label="Action"
+          onChange={(e: SelectChangeEvent) => setAction(e.target.value as BulkUserAction)}
+        >
+          {BULK_USER_ACTIONS.map((option) => (
+            <MenuItem key={option} value={option}>
+              {BULK_USER_ACTION_LABELS[option]}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {action === 'suspend' && (
+        <>
+          <TextField
+            label="Suspension Reason"
+            fullWidth
+            multiline
+            rows={3}
+            value={reason}
+            onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setReason(e.target.value)}
+            inputProps={{ maxLength: MAX_BULK_REASON_LENGTH }}
+            sx={{ mt: 2 }}
+            required
+          />
+          <TextField
+            label="Duration (days)"
+            type="number"
+            fullWidth
+            value={duration}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => setDuration(e.target.value)}
+            sx={{ mt: 2 }}
+            helperText="Leave empty for indefinite suspension"
+          />
+        </>
+      )}
+
+      {action === 'change_role' && (
+        <FormControl fullWidth sx={{ mt: 2 }}>
+          <InputLabel>New Role</InputLabel>
+          <Select
+            value={role}
+            label="New Role"
+            onChange={(e: SelectChangeEvent) => setRole(e.target.value)}
+          >
+            {roles.map((r) => (
+              <MenuItem key={r._id} value={r.name}>
+                {r.displayName}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {action === 'deactivate' && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          Deactivated users are signed out and cannot log in until an admin reactivates them.
+        </Alert>
+      )}
+    </>
+  );
+
+  const renderPreview = (data: BulkPreviewResponse): React.ReactNode => (
+    <>
+      <Alert severity={data.summary.ready > 0 ? 'info' : 'warning'} sx={{ mt: 2 }}>
+        {BULK_USER_ACTION_LABELS[data.action]} will change {data.summary.ready} user
+        {data.summary.ready === 1 ? '' : 's'}
+        {data.summary.skipped > 0 && ` and skip ${data.summary.skipped}`}. Nothing has been changed
+        yet.
+      </Alert>
+      <BulkResultTable results={data.results} />
+    </>
+  );
+
+  const renderProgress = (): React.ReactNode => (
+    <Box mt={2}>
+      <LinearProgress
+        variant="determinate"
+        value={getBulkProgress(progress.done, progress.total)}
+      />
+      <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+        {progress.done} of {progress.total} users processed
+      </Typography>
+    </Box>
+  );
+
+  const renderReport = (results: BulkUserResult[]): React.ReactNode => (
+    <>
+      <Alert severity={reportSummary?.failed ? 'warning' : 'success'} sx={{ mt: 2 }}>
+        {reportSummary?.succeeded} succeeded, {reportSummary?.skipped} skipped,{' '}
+        {reportSummary?.failed} failed.
+      </Alert>
+      <BulkResultTable results={results} />
+    </>
+  );
+
+  const renderContent = (): React.ReactNode => {
+    if (report) return renderReport(report);
+    if (isApplying) return renderProgress();
+    if (previewData) return renderPreview(previewData);
+    return renderConfigure();
+  };
+
+  const renderActions = (): React.ReactNode => {
+    if (report) {
+      return (
+        <Button onClick={onClose} variant="contained">
+          Close
+        </Button>
+      );
+    }
+    if (previewData) {
+      return (
+        <>
+          <Button onClick={() => setPreviewData(null)} disabled={isApplying}>
+            Back
+          </Button>
+          <Button
+            onClick={handleApply}
+            variant="contained"
+            color={action === 'deactivate' || action === 'suspend' ? 'warning' : 'primary'}
+            disabled={isApplying || readyUsers.length === 0}
+          >
+            {isApplying ? (
+              <CircularProgress size={20} />
+            ) : (
+              `Apply to ${readyUsers.length} user${readyUsers.length === 1 ? '' : 's'}`
+            )}
+          </Button>
+        </>
+      );
+    }
+    return (
+      <>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handlePreview}
+          variant="contained"
+          disabled={preview.isPending || !isConfigured}
+        >
+          {preview.isPending ? <CircularProgress size={20} /> : 'Preview'}
+        </Button>
+      </>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={isApplying ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Bulk Action</DialogTitle>
+      <DialogContent>
+        <Box py={2}>
+          <Typography variant="body2" gutterBottom>
+            {selection?.userIds
+              ? `${selection.count} selected user${selection.count === 1 ? '' : 's'}`
+              : `All ${selection?.count ?? 0} users matching the current filters`}
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {renderContent()}
+        </Box>
+      </DialogContent>
+      <DialogActions>{renderActions()}</DialogActions>
+    </Dialog>
+  );
+};
+
+export default BulkUserActionDialog;
@@ -0,0 +1,419 @@
+import React, { useState, ChangeEvent } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Link,
+  MenuItem,
+  Paper,
+  Select,
+  SelectChangeEvent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useAuth } from '../../hooks/auth';
+import { useReportQueue, useReport, useReportAction } from '../../hooks/reports';
+import type { ReportQueueParams } from '../../services/reportsService';
+import type { Report, ReportAction, ReportStatus, ReportTargetType, ReportUser } from '../../types';
+import {
+  REPORT_ACTION_LABELS,
+  REPORT_REASON_LABELS,
+  REPORT_RESOLUTION_LABELS,
+  REPORT_TARGET_LABELS,
+  MAX_REPORT_NOTE_LENGTH,
+  getAvailableReportActions,
+  getReportContentLink,
+  isReportNoteRequired,
+} from '../../utils/moderation';
+
+const STATUS_COLORS: Record<ReportStatus, 'default' | 'info' | 'warning' | 'success'> = {
+  open: 'warning',
+  claimed: 'info',
+  escalated: 'warning',
+  resolved: 'success',
+  dismissed: 'default',
+};
+
+const ACTION_COLORS: Record<ReportAction, 'primary' | 'inherit' | 'warning' | 'error'> = {
+  claim: 'primary',
+  dismiss: 'inherit',
+  hide: 'warning',
+  warn: 'warning',
+  escalate: 'inherit',
+  suspend: 'error',
+};
+
+const describeUser = (user?: ReportUser | string | null): string =>
+  (typeof user === 'object' && user?.username) || '—';
+
+const getErrorMessage = (err: unknown): string => {
+  const axiosError = err as { response?: { data?: { message?: string } }; message?: string };
+  return axiosError?.response?.data?.message || axiosError?.message || 'Unknown error';
+};
+
+interface ReportDetailDialogProps {
+  reportId: string | null;
+  onClose: () => void;
+}
+
+// Report details with its history, and the actions the moderator can take on it
+// Remount with a new key to reset the form for a different report
+const ReportDetailDialog: React.FC<ReportDetailDialogProps> = ({ reportId, onClose }) => {
+  const { user } = useAuth();
+  const { data, isLoading, error } = useReport(reportId);
+  const actionMutation = useReportAction();
+  const [note, setNote] = useState('');
+  const [duration, setDuration] = useState('');
+
+  const report = data?.report;
+  const actions =
+    report && user
+      ? getAvailableReportActions(report, { id: user.id, permissions: user.permissions ?? [] })
+      : [];
+  const contentLink = report && getReportContentLink(report);
+
+  const handleAction = (action: ReportAction): void => {
+    if (!report) return;
+    actionMutation.mutate(
+      {
+        reportId: report._id,
+        action,
+        note: note.trim() || undefined,
+        // Days in the form, milliseconds for the API
+        duration:
+          action === 'suspend' && duration ? parseInt(duration) * 24 * 60 * 60 * 1000 : undefined,
+      },
+      { onSuccess: () => setNote('') }
+    );
+  };
+
+  return (
+    <Dialog open={!!reportId} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Report Details</DialogTitle>
+      <DialogContent dividers>
+        {isLoading && (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress />
+          </Box>
+        )}
+        {error && <Alert severity="error">Failed to load report: {getErrorMessage(error)}</Alert>}
+
+        {report && (
+          <Box>
+            <Box display="flex" gap={1} alignItems="center" flexWrap="wrap" mb={2}>
+              <Chip label={REPORT_TARGET_LABELS[report.targetType]} size="small" />
+              <Chip label={REPORT_REASON_LABELS[report.reason]} size="small" variant="outlined" />
+              <Chip label={report.status} color={STATUS_COLORS[report.status]} size="small" />
+              {report.resolution && (
+                <Typography variant="body2" color="text.secondary">
+                  {REPORT_RESOLUTION_LABELS[report.resolution]} by {describeUser(report.resolvedBy)}
+                </Typography>
+              )}
+            </Box>
+
+            <Typography variant="body2" gutterBottom>
+              Reported by <strong>{describeUser(report.reporter)}</strong> on{' '}
+              {new Date(report.createdAt).toLocaleString()}
+            </Typography>
+            <Typography variant="body2" gutterBottom>
+              Author: <strong>{describeUser(report.targetOwner)}</strong>
+              {report.targetOwner?.isSuspended && (
+                <Chip label="Suspended" color="error" size="small" sx={{ ml: 1 }} />
+              )}
+            </Typography>
+            {data.relatedReports > 0 && (
+              <Alert severity="info" sx={{ my: 1 }}>
+                {data.relatedReports} other open{' '}
+                {data.relatedReports === 1 ? 'report is' : 'reports are'} about the same{' '}
+                {REPORT_TARGET_LABELS[report.targetType].toLowerCase()}. Hiding it or suspending the
+                author resolves them too.
+              </Alert>
+            )}
+            {report.details && (
+              <Typography variant="body2" sx={{ mt: 1, whiteSpace: 'pre-wrap' }}>
+                &ldquo;{report.details}&rdquo;
+              </Typography>
+            )}
+
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              Reported content
+              {contentLink && (
+                <Link component={RouterLink} to={contentLink} sx={{ ml: 1 }}>
+                  View
+                </Link>
+              )}
+            </Typography>
+            <Paper
+              variant="outlined"
+              sx={{ p: 1.5, mt: 0.5, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}
+            >
+              <Typography variant="body2">{report.contentSnapshot || '—'}</Typography>
+            </Paper>
+
+            {report.history && report.history.length > 0 && (
+              <>
+                <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                  History
+                </Typography>
+                {report.history.map((entry, index) => (
+                  <Typography key={index} variant="body2" color="text.secondary">
+                    {new Date(entry.at).toLocaleString()}: {REPORT_ACTION_LABELS[entry.action]} by{' '}
+                    {describeUser(entry.by)}
+                    {entry.note && ` (${entry.note})`}
+                  </Typography>
+                ))}
+              </>
+            )}
+
+            {actions.length > 0 && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                {actionMutation.isError && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    {getErrorMessage(actionMutation.error)}
+                  </Alert>
+                )}
+                <TextField
+                  label="Note"
+                  value={note}
+                  onChange={(e: ChangeEvent<HTMLInputElement>) => setNote(e.target.value)}
+                  fullWidth
+                  multiline
+                  minRows={2}
+                  inputProps={{ maxLength: MAX_REPORT_NOTE_LENGTH }}
+                  helperText="Kept in the report history. Sent to the author when warning them, and used as the reason when suspending"
+                />
+                {actions.includes('suspend') && (
+                  <TextField
+                    label="Suspension (days)"
+                    type="number"
+                    size="small"
+                    value={duration}
+                    onChange={(e: ChangeEvent<HTMLInputElement>) => setDuration(e.target.value)}
+                    sx={{ mt: 2 }}
+                    inputProps={{ min: 1 }}
+                    helperText="Leave empty for indefinite suspension"
+                  />
+                )}
+              </>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ flexWrap: 'wrap', gap: 1 }}>
+        {actions.map((action) => (
+          <Button
+            key={action}
+            variant={action === 'claim' ? 'contained' : 'outlined'}
+            color={ACTION_COLORS[action]}
+            onClick={() => handleAction(action)}
+            disabled={actionMutation.isPending || (isReportNoteRequired(action) && !note.trim())}
+          >
+            {REPORT_ACTION_LABELS[action]}
+          </Button>
+        ))}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+interface ReportRowProps {
+  report: Report;
+  onOpen: (reportId: string) => void;
+}
+
+const ReportRow: React.FC<ReportRowProps> = ({ report, onOpen }) => (
+  <TableRow hover onClick={() => onOpen(report._id)} sx={{ cursor: 'pointer' }}>
+    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+      {new Date(report.createdAt).toLocaleString()}
+    </TableCell>
+    <TableCell>{REPORT_TARGET_LABELS[report.targetType]}</TableCell>
+    <TableCell>{REPORT_REASON_LABELS[report.reason]}</TableCell>
+    <TableCell sx={{ maxWidth: 320 }}>
+      <Typography variant="body2" noWrap>
+        {report.contentSnapshot || '—'}
+      </Typography>
+    </TableCell>
+    <TableCell>{describeUser(report.reporter)}</TableCell>
+    <TableCell>{describeUser(report.targetOwner)}</TableCell>
+    <TableCell>
+      <Chip label={report.status} color={STATUS_COLORS[report.status]} size="small" />
+    </TableCell>
+    <TableCell>{describeUser(report.assignedTo)}</TableCell>
+  </TableRow>
+);
+
+/**
+ * Moderation Queue Component
+ * Reports filed by users, oldest open reports first, with claim, dismiss,
+ * hide, warn, escalate and suspend actions
+ */
+const ModerationQueue: React.FC = () => {
+  const [status, setStatus] = useState<ReportStatus | 'active'>('active');
+  const [targetType, setTargetType] = useState<ReportTargetType | ''>('');
+  const [mine, setMine] = useState(false);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [selectedReportId, setSelectedReportId] = useState<string | null>(null);
+
+  const params: ReportQueueParams = { status, page: page + 1, limit: rowsPerPage };
+  if (targetType) params.targetType = targetType;
+  if (mine) params.assignedTo = 'me';
+  const { data, isLoading, error } = useReportQueue(params);
+
+  const handleChangeRowsPerPage = (event: ChangeEvent<HTMLInputElement>): void => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
+  return (
+    <Box p={3}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Moderation Queue
+      </Typography>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Status</InputLabel>
+            <Select
+              value={status}
+              label="Status"
+              onChange={(e: SelectChangeEvent) => {
+                setStatus(e.target.value as ReportStatus | 'active');
+                setPage(0);
+              }}
+            >
+              <MenuItem value="active">Needs Review</MenuItem>
+              <MenuItem value="open">Open</MenuItem>
+              <MenuItem value="claimed">Claimed</MenuItem>
+              <MenuItem value="escalated">Escalated</MenuItem>
+              <MenuItem value="resolved">Resolved</MenuItem>
+              <MenuItem value="dismissed">Dismissed</MenuItem>
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Content</InputLabel>
+            <Select
+              value={targetType}
+              label="Content"
+              onChange={(e: SelectChangeEvent) => {
+                setTargetType(e.target.value as ReportTargetType | '');
+                setPage(0);
+              }}
+            >
+              <MenuItem value="">All Content</MenuItem>
+              {(Object.keys(REPORT_TARGET_LABELS) as ReportTargetType[]).map((type) => (
+                <MenuItem key={type} value={type}>
+                  {REPORT_TARGET_LABELS[type]}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={mine}
+                onChange={(e: ChangeEvent<HTMLInputElement>) => {
+                  setMine(e.target.checked);
+                  setPage(0);
+                }}
+              />
+            }
+            label="Claimed by me"
+          />
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Failed to load reports: {getErrorMessage(error)}
+        </Alert>
+      )}
+
+      {/* Reports Table */}
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Reported</TableCell>
+                <TableCell>Content</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Snapshot</TableCell>
+                <TableCell>Reporter</TableCell>
+                <TableCell>Author</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Claimed By</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {isLoading ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : data?.reports.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>
+                      No reports match these filters
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                data?.reports.map((report) => (
+                  <ReportRow key={report._id} report={report} onOpen={setSelectedReportId} />
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {data && (
+          <TablePagination
+            component="div"
+            count={data.pagination.total}
+            page={page}
+            onPageChange={(_event, newPage: number) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={handleChangeRowsPerPage}
+            rowsPerPageOptions={[10, 20, 50, 100]}
+          />
+        )}
+      </Paper>
+
+      <ReportDetailDialog
+        key={selectedReportId ?? 'none'}
+        reportId={selectedReportId}
+        onClose={() => setSelectedReportId(null)}
+      />
+    </Box>
+  );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,500 @@
+import React, { useState, ChangeEvent } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  ContentCopy as CloneIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+} from '@mui/icons-material';
+import { useRoles, useRoleHolders, useRoleMutations } from '../../hooks/admin';
+import type { Role, RoleCreateData } from '../../services/adminService';
+import type { Permission } from '../../types';
+import {
+  ROLE_NAME_PATTERN,
+  MAX_ROLE_NAME_LENGTH,
+  MAX_ROLE_DISPLAY_NAME_LENGTH,
+  MAX_ROLE_DESCRIPTION_LENGTH,
+  getCloneRoleData,
+  getPermissionLabel,
+  groupPermissions,
+  toRoleName,
+} from '../../utils/roles';
+
+const getErrorMessage = (err: unknown): string => {
+  const axiosError = err as {
+    response?: { data?: { message?: string; errors?: Array<{ msg: string }> } };
+    message?: string;
+  };
+  const data = axiosError?.response?.data;
+  return data?.message || data?.errors?.[0]?.msg || axiosError?.message || 'Unknown error';
+};
+
+interface RoleEditorState {
+  // Role being edited; null when creating or cloning
+  role: Role | null;
+  initial: RoleCreateData;
+}
+
+interface RoleEditorDialogProps {
+  editor: RoleEditorState;
+  permissions: Permission[];
+  onClose: () => void;
+}
+
+// Create, clone or edit a role
+// Remount with a new key to reset the form for a different role
+const RoleEditorDialog: React.FC<RoleEditorDialogProps> = ({ editor, permissions, onClose }) => {
+  const { role, initial } = editor;
+  const { createRole, updateRole } = useRoleMutations();
+  const mutation = role ? updateRole : createRole;
+
+  const [displayName, setDisplayName] = useState(initial.displayName);
+  const [name, setName] = useState(initial.name);
+  // Follow the display name until the admin types a name of their own
+  const [nameEdited, setNameEdited] = useState(!!initial.name);
+  const [description, setDescription] = useState(initial.description ?? '');
+  const [selected, setSelected] = useState<Permission[]>(initial.permissions);
+
+  // The admin role always has every permission
+  const isLocked = role?.name === 'admin';
+  const nameError = !role && name !== '' && !ROLE_NAME_PATTERN.test(name);
+  const canSave = !!displayName.trim() && (!!role || ROLE_NAME_PATTERN.test(name));
+
+  const handleDisplayNameChange = (value: string): void => {
+    setDisplayName(value);
+    if (!nameEdited) setName(toRoleName(value));
+  };
+
+  const togglePermission = (permission: Permission): void => {
+    setSelected((current) =>
+      current.includes(permission)
+        ? current.filter((p) => p !== permission)
+        : [...current, permission]
+    );
+  };
+
+  const toggleGroup = (group: Permission[], checked: boolean): void => {
+    setSelected((current) =>
+      checked
+        ? [...current, ...group.filter((p) => !current.includes(p))]
+        : current.filter((p) => !group.includes(p))
+    );
+  };
+
+  const handleSave = async (): Promise<void> => {
+    const data = {
+      displayName: displayName.trim(),
+      description: description.trim(),
+      // Keep the order the server lists permissions in
+      permissions: permissions.filter((p) => selected.includes(p)),
+    };
+    try {
+      if (role) {
+        await updateRole.mutateAsync({ roleId: role._id, data });
+      } else {
+        await createRole.mutateAsync({ ...data, name });
+      }
+      onClose();
+    } catch {
+      // Shown from the mutation's error state
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{role ? `Edit ${role.displayName}` : 'New Role'}</DialogTitle>
+      <DialogContent>
+        {mutation.isError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {getErrorMessage(mutation.error)}
+          </Alert>
+        )}
+        {role && role.holderCount > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Changes apply straight away to the {role.holderCount} user
+            {role.holderCount === 1 ? '' : 's'} holding this role.
+          </Alert>
+        )}
+
+        <Box display="flex" gap={2} flexWrap="wrap" sx={{ mt: 1 }}>
+          <TextField
+            label="Display Name"
+            value={displayName}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => handleDisplayNameChange(e.target.value)}
+            inputProps={{ maxLength: MAX_ROLE_DISPLAY_NAME_LENGTH }}
+            required
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+          <TextField
+            label="Name"
+            value={name}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => {
+              setNameEdited(true);
+              setName(e.target.value.toLowerCase());
+            }}
+            disabled={!!role}
+            error={nameError}
+            helperText={
+              role
+                ? 'Names cannot be changed'
+                : 'Lowercase letters, numbers, hyphens and underscores'
+            }
+            inputProps={{ maxLength: MAX_ROLE_NAME_LENGTH }}
+            required
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+        </Box>
+
+        <TextField
+          label="Description"
+          value={description}
+          onChange={(e: ChangeEvent<HTMLInputElement>) => setDescription(e.target.value)}
+          inputProps={{ maxLength: MAX_ROLE_DESCRIPTION_LENGTH }}
+          fullWidth
+          multiline
+          rows={2}
+          sx={{ mt: 2 }}
+        />
+
+        <Typography variant="subtitle1" sx={{ mt: 3 }}>
+          Permissions ({selected.length} of {permissions.length})
+        </Typography>
+        {isLocked && (
+          <Typography variant="body2" color="text.secondary">
+            The admin role always has every permission.
+          </Typography>
+        )}
+
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' },
+            gap: 2,
+            mt: 1,
+          }}
+        >
+          {groupPermissions(permissions).map((group) => {
+            const count = group.permissions.filter((p) => selected.includes(p)).length;
+            return (
+              <Paper key={group.group} variant="outlined" sx={{ p: 1.5 }}>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={count === group.permissions.length}
+                      indeterminate={count > 0 && count < group.permissions.length}
+                      onChange={(e) => toggleGroup(group.permissions, e.target.checked)}
+                      disabled={isLocked}
+                    />
+                  }
+                  label={<strong>{group.label}</strong>}
+                />
+                <FormGroup sx={{ pl: 3 }}>
+                  {group.permissions.map((permission) => (
+                    <Tooltip key={permission} title={permission} placement="right">
+                      <FormControlLabel
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={selected.includes(permission)}
+                            onChange={() => togglePermission(permission)}
+                            disabled={isLocked}
+                          />
+                        }
+                        label={getPermissionLabel(permission)}
+                      />
+                    </Tooltip>
+                  ))}
+                </FormGroup>
+              </Paper>
+            );
+          })}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={!canSave || mutation.isPending}>
+          {mutation.isPending ? <CircularProgress size={20} /> : role ? 'Save' : 'Create Role'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+interface RoleHoldersDialogProps {
+  role: Role | null;
+  onClose: () => void;
+}
+
+// Users holding a role, with any permissions granted to them on top of it
+const RoleHoldersDialog: React.FC<RoleHoldersDialogProps> = ({ role, onClose }) => {
+  const [page, setPage] = useState(0);
+  const { data, isLoading, error } = useRoleHolders(role?._id, page + 1);
+
+  return (
+    <Dialog open={!!role} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Users with the {role?.displayName} role</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error">Failed to load users: {getErrorMessage(error)}</Alert>}
+        {isLoading ? (
+          <Box display="flex" justifyContent="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : data?.users.length === 0 ? (
+          <Typography color="text.secondary" sx={{ py: 2 }}>
+            Nobody holds this role.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell>Extra permissions</TableCell>
+                <TableCell>Last login</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data?.users.map((user) => (
+                <TableRow key={user._id}>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="bold">
+                      {user.username}
+                      {user.isSuspended && (
+                        <Chip label="Suspended" color="error" size="small" sx={{ ml: 1 }} />
+                      )}
+                    </Typography>
+                    <Typography variant="caption" color="textSecondary">
+                      {user.email}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Box display="flex" gap={0.5} flexWrap="wrap">
+                      {user.customPermissions?.length
+                        ? user.customPermissions.map((permission) => (
+                            <Chip key={permission} label={permission} size="small" />
+                          ))
+                        : '—'}
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+        {data && data.pagination.total > data.pagination.limit && (
+          <TablePagination
+            component="div"
+            count={data.pagination.total}
+            page={page}
+            onPageChange={(_event, newPage) => setPage(newPage)}
+            rowsPerPage={data.pagination.limit}
+            rowsPerPageOptions={[data.pagination.limit]}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+/**
+ * Role Management Component
+ * Lets admins create, clone and edit the roles users are assigned, and see who holds each
+ */
+const RoleManagement: React.FC = () => {
+  const { data, isLoading, error } = useRoles();
+  const { deleteRole } = useRoleMutations();
+
+  const [editor, setEditor] = useState<RoleEditorState | null>(null);
+  const [holdersRole, setHoldersRole] = useState<Role | null>(null);
+
+  const roles = data?.roles ?? [];
+  const existingNames = roles.map((role) => role.name);
+
+  const handleCreate = (): void => {
+    setEditor({
+      role: null,
+      initial: { name: '', displayName: '', description: '', permissions: [] },
+    });
+  };
+
+  const handleEdit = (role: Role): void => {
+    setEditor({ role, initial: role });
+  };
+
+  const handleClone = (role: Role): void => {
+    setEditor({ role: null, initial: getCloneRoleData(role, existingNames) });
+  };
+
+  const handleDelete = async (role: Role): Promise<void> => {
+    if (window.confirm(`Are you sure you want to delete the ${role.displayName} role?`)) {
+      await deleteRole.mutateAsync(role._id).catch(() => undefined);
+    }
+  };
+
+  const getDeleteBlocker = (role: Role): string | null => {
+    if (role.isBuiltIn) return 'Built-in roles cannot be deleted';
+    if (role.holderCount > 0) return 'Assign its users another role before deleting it';
+    return null;
+  };
+
+  if (error) {
+    return (
+      <Box p={3}>
+        <Alert severity="error">Failed to load roles: {getErrorMessage(error)}</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4" component="h1">
+          Roles
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={handleCreate}>
+          New Role
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        A role bundles permissions. Users get their role&apos;s permissions plus any granted to them
+        directly in User Management.
+      </Typography>
+
+      {deleteRole.isError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => deleteRole.reset()}>
+          {getErrorMessage(deleteRole.error)}
+        </Alert>
+      )}
+
+      <Paper>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Role</TableCell>
+                <TableCell>Description</TableCell>
+                <TableCell>Permissions</TableCell>
+                <TableCell>Users</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {isLoading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : (
+                roles.map((role) => {
+                  const deleteBlocker = getDeleteBlocker(role);
+                  return (
+                    <TableRow key={role._id} hover>
+                      <TableCell>
+                        <Box display="flex" alignItems="center" gap={1}>
+                          <Typography variant="body2" fontWeight="bold">
+                            {role.displayName}
+                          </Typography>
+                          {role.isBuiltIn && <Chip label="Built-in" size="small" />}
+                        </Box>
+                        <Typography variant="caption" color="textSecondary">
+                          {role.name}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">
+                          {role.description || '—'}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        {role.permissions.length} of {data?.permissions.length ?? 0}
+                      </TableCell>
+                      <TableCell>
+                        <Button size="small" onClick={() => setHoldersRole(role)}>
+                          {role.holderCount}
+                        </Button>
+                      </TableCell>
+                      <TableCell>
+                        <Box display="flex" gap={1}>
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => handleEdit(role)}>
+                              <EditIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Clone">
+                            <IconButton size="small" onClick={() => handleClone(role)}>
+                              <CloneIcon />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title={deleteBlocker ?? 'Delete'}>
+                            <span>
+                              <IconButton
+                                size="small"
+                                color="error"
+                                onClick={() => handleDelete(role)}
+                                disabled={!!deleteBlocker || deleteRole.isPending}
+                              >
+                                <DeleteIcon />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {editor && data && (
+        <RoleEditorDialog
+          key={editor.role?._id ?? editor.initial.name}
+          editor={editor}
+          permissions={data.permissions}
+          onClose={() => setEditor(null)}
+        />
+      )}
+
+      <RoleHoldersDialog
+        key={holdersRole?._id}
+        role={holdersRole}
+        onClose={() => setHoldersRole(null)}
+      />
+    </Box>
+  );
+};
+
+export default RoleManagement;
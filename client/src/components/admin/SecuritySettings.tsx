@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  FormControlLabel,
+  FormGroup,
+  Paper,
+  Typography,
+} from '@mui/material';
+import { useSecuritySettings, useUpdateSecuritySettings } from '../../hooks/admin';
+import type { UserRole } from '../../types';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+    };
+  };
+  message?: string;
+}
+
+// Groups go by permission, so they cover custom roles too
+const ROLE_LABELS: Record<string, string> = {
+  admin: 'anyone with admin permissions',
+  moderator: 'anyone with moderation permissions',
+  user: 'Users',
+};
+
+/**
+ * Security Settings Component
+ * Lets admins choose who must use two-factor authentication
+ */
+const SecuritySettings: React.FC = () => {
+  const { data: settings, isLoading, error } = useSecuritySettings();
+  const updateMutation = useUpdateSecuritySettings();
+  // Unsaved selection; null while it matches what the server has
+  const [draft, setDraft] = useState<UserRole[] | null>(null);
+  const requiredRoles = draft ?? settings?.twoFactorRequiredRoles ?? [];
+
+  const toggleRole = (role: UserRole): void => {
+    updateMutation.reset();
+    setDraft(
+      requiredRoles.includes(role)
+        ? requiredRoles.filter((r) => r !== role)
+        : [...requiredRoles, role]
+    );
+  };
+
+  const isDirty =
+    !!settings &&
+    (requiredRoles.length !== settings.twoFactorRequiredRoles.length ||
+      requiredRoles.some((role) => !settings.twoFactorRequiredRoles.includes(role)));
+
+  const getErrorMessage = (): string => {
+    const axiosError = updateMutation.error as AxiosError | null;
+    return axiosError?.response?.data?.message || axiosError?.message || 'Failed to save settings';
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !settings) {
+    return <Alert severity="error">Failed to load security settings</Alert>;
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Settings
+      </Typography>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6">Two-factor authentication</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Members of the selected groups must set up two-factor authentication before they can use
+          the admin area or moderation queue, and can&apos;t turn it off. Custom roles and custom
+          permissions count too.
+        </Typography>
+
+        {updateMutation.isError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {getErrorMessage()}
+          </Alert>
+        )}
+        {updateMutation.isSuccess && !isDirty && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            Security settings saved
+          </Alert>
+        )}
+
+        <FormGroup>
+          {settings.enforceableRoles.map((role) => (
+            <FormControlLabel
+              key={role}
+              control={
+                <Checkbox
+                  checked={requiredRoles.includes(role)}
+                  onChange={() => toggleRole(role)}
+                />
+              }
+              label={`Require for ${ROLE_LABELS[role] ?? role}`}
+            />
+          ))}
+        </FormGroup>
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+          <Typography variant="caption" color="text.secondary">
+            {settings.updatedAt && `Last updated ${new Date(settings.updatedAt).toLocaleString()}`}
+          </Typography>
+          <Button
+            variant="contained"
+            onClick={() =>
+              updateMutation.mutate(
+                { twoFactorRequiredRoles: requiredRoles },
+                { onSuccess: () => setDraft(null) }
+              )
+            }
+            disabled={!isDirty || updateMutation.isPending}
+          >
+            {updateMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default SecuritySettings;
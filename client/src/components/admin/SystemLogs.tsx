@@ -0,0 +1,304 @@
+import React, { useState, ChangeEvent, Fragment } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Collapse,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  SelectChangeEvent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  KeyboardArrowDown as ExpandIcon,
+  KeyboardArrowUp as CollapseIcon,
+} from '@mui/icons-material';
+import { useSystemLogs, useExportSystemLogs } from '../../hooks/admin';
+import type { SystemLogEntry, SystemLogSeverity, SystemLogUser } from '../../services/adminService';
+import {
+  SystemLogFilters,
+  EMPTY_SYSTEM_LOG_FILTERS,
+  buildSystemLogsParams,
+  formatLogEvent,
+} from '../../utils/systemLogs';
+
+const SEVERITY_COLORS: Record<SystemLogSeverity, 'default' | 'warning' | 'error'> = {
+  low: 'default',
+  medium: 'warning',
+  high: 'error',
+};
+
+const describeUser = (user?: SystemLogUser | null, email?: string): string =>
+  user?.username || email || '—';
+
+interface LogRowProps {
+  log: SystemLogEntry;
+}
+
+const LogRow: React.FC<LogRowProps> = ({ log }) => {
+  const [open, setOpen] = useState(false);
+  const hasDetails = Object.keys(log.details || {}).length > 0 || !!log.userAgent;
+
+  return (
+    <Fragment>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          {hasDetails && (
+            <IconButton
+              size="small"
+              onClick={() => setOpen(!open)}
+              aria-label={open ? 'Hide details' : 'Show details'}
+            >
+              {open ? <CollapseIcon /> : <ExpandIcon />}
+            </IconButton>
+          )}
+        </TableCell>
+        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+          {new Date(log.createdAt).toLocaleString()}
+        </TableCell>
+        <TableCell>
+          <Typography variant="body2">{formatLogEvent(log.event)}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {log.type}
+          </Typography>
+        </TableCell>
+        <TableCell>
+          <Chip label={log.severity} color={SEVERITY_COLORS[log.severity]} size="small" />
+        </TableCell>
+        <TableCell>{describeUser(log.actor, log.actorEmail)}</TableCell>
+        <TableCell>{describeUser(log.target, log.targetEmail)}</TableCell>
+        <TableCell>{log.ip || '—'}</TableCell>
+      </TableRow>
+      {hasDetails && (
+        <TableRow>
+          <TableCell colSpan={7} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+            <Collapse in={open} timeout="auto" unmountOnExit>
+              <Box sx={{ py: 2 }}>
+                {log.userAgent && (
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    {log.userAgent}
+                  </Typography>
+                )}
+                <Box
+                  component="pre"
+                  sx={{
+                    m: 0,
+                    fontSize: '0.8125rem',
+                    whiteSpace: 'pre-wrap',
+                    wordBreak: 'break-word',
+                  }}
+                >
+                  {JSON.stringify(log.details, null, 2)}
+                </Box>
+              </Box>
+            </Collapse>
+          </TableCell>
+        </TableRow>
+      )}
+    </Fragment>
+  );
+};
+
+/**
+ * System Logs Component
+ * Audit log viewer with filters, pagination and CSV export
+ */
+const SystemLogs: React.FC = () => {
+  const [filters, setFilters] = useState<SystemLogFilters>(EMPTY_SYSTEM_LOG_FILTERS);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+
+  const filterParams = buildSystemLogsParams(filters);
+  const { data, isLoading, error } = useSystemLogs({
+    ...filterParams,
+    page: page + 1,
+    limit: rowsPerPage,
+  });
+  const exportMutation = useExportSystemLogs();
+
+  const updateFilter = (field: keyof SystemLogFilters, value: string): void => {
+    setFilters((current) => ({ ...current, [field]: value }));
+    setPage(0);
+  };
+
+  const handleChangeRowsPerPage = (event: ChangeEvent<HTMLInputElement>): void => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
+  const getErrorMessage = (err: unknown): string => {
+    const axiosError = err as { response?: { data?: { message?: string } }; message?: string };
+    return axiosError?.response?.data?.message || axiosError?.message || 'Unknown error';
+  };
+
+  return (
+    <Box p={3}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4" component="h1">
+          System Logs
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<DownloadIcon />}
+          onClick={() => exportMutation.mutate(filterParams)}
+          disabled={exportMutation.isPending}
+        >
+          {exportMutation.isPending ? 'Exporting...' : 'Export CSV'}
+        </Button>
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box display="flex" gap={2} alignItems="center" flexWrap="wrap">
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Type</InputLabel>
+            <Select
+              value={filters.type}
+              label="Type"
+              onChange={(e: SelectChangeEvent) => updateFilter('type', e.target.value)}
+            >
+              <MenuItem value="">All Types</MenuItem>
+              <MenuItem value="admin">Admin</MenuItem>
+              <MenuItem value="auth">Authentication</MenuItem>
+              <MenuItem value="session">Session</MenuItem>
+              <MenuItem value="moderation">Moderation</MenuItem>
+              <MenuItem value="security">Security</MenuItem>
+            </Select>
+          </FormControl>
+
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Severity</InputLabel>
+            <Select
+              value={filters.severity}
+              label="Severity"
+              onChange={(e: SelectChangeEvent) => updateFilter('severity', e.target.value)}
+            >
+              <MenuItem value="">All Severities</MenuItem>
+              <MenuItem value="low">Low</MenuItem>
+              <MenuItem value="medium">Medium</MenuItem>
+              <MenuItem value="high">High</MenuItem>
+            </Select>
+          </FormControl>
+
+          <TextField
+            label="Event"
+            size="small"
+            value={filters.event}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => updateFilter('event', e.target.value)}
+          />
+          <TextField
+            label="Actor (ID or email)"
+            size="small"
+            value={filters.actor}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => updateFilter('actor', e.target.value)}
+          />
+          <TextField
+            label="Target (ID or email)"
+            size="small"
+            value={filters.target}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => updateFilter('target', e.target.value)}
+          />
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={filters.from}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => updateFilter('from', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={filters.to}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => updateFilter('to', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button
+            onClick={() => {
+              setFilters(EMPTY_SYSTEM_LOG_FILTERS);
+              setPage(0);
+            }}
+          >
+            Clear
+          </Button>
+        </Box>
+      </Paper>
+
+      {(error || exportMutation.isError) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error
+            ? `Failed to load logs: ${getErrorMessage(error)}`
+            : `Failed to export logs: ${getErrorMessage(exportMutation.error)}`}
+        </Alert>
+      )}
+
+      {/* Logs Table */}
+      <Paper>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>Time</TableCell>
+                <TableCell>Event</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Actor</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>IP Address</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {isLoading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : data?.logs.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <Typography color="text.secondary" sx={{ py: 2 }}>
+                      No log entries match these filters
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                data?.logs.map((log) => <LogRow key={log._id} log={log} />)
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {data && (
+          <TablePagination
+            component="div"
+            count={data.pagination.total}
+            page={page}
+            onPageChange={(_event, newPage: number) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={handleChangeRowsPerPage}
+            rowsPerPageOptions={[25, 50, 100, 200]}
+          />
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default SystemLogs;
@@ -16,6 +16,7 @@ import {
   FormControl,
   InputLabel,
   Button,
+  Checkbox,
   Chip,
   IconButton,
   Dialog,
@@ -33,37 +34,66 @@ import {
   CheckCircle as UnblockIcon,
   Delete as DeleteIcon,
   Visibility as ViewIcon,
+  LockOpen as LockOpenIcon,
+  SwitchAccount as ImpersonateIcon,
+  PlaylistAddCheck as BulkIcon,
 } from '@mui/icons-material';
-import { useAdminUsers, useAdminUserMutations } from '../../hooks/admin';
-import type { AdminUserQueryParams } from '../../services/adminService';
-import type { UserRole } from '../../types';
+import { useAdminUsers, useAdminUserMutations, useRoles } from '../../hooks/admin';
+import { useAuth } from '../../hooks/auth';
+import type {
+  AdminUserQueryParams,
+  ImpersonationData,
+  RoleUpdateData,
+} from '../../services/adminService';
+import type { Permission, UserRole } from '../../types';
+import {
+  IMPERSONATION_DURATION_OPTIONS,
+  DEFAULT_IMPERSONATION_DURATION,
+  MAX_IMPERSONATION_REASON_LENGTH,
+  canBeImpersonated,
+} from '../../utils/impersonation';
+import { hasAdminAccess } from '../../utils/roles';
+import { MAX_BULK_USERS } from '../../utils/bulkUserActions';
+import BulkUserActionDialog, { BulkUserSelection } from './BulkUserActionDialog';
 
 interface AdminUser {
   _id: string;
   username: string;
   email: string;
   role: UserRole;
+  customPermissions?: Permission[];
+  permissions?: Permission[];
   isActive: boolean;
   isSuspended: boolean;
+  loginLockedUntil?: string | null;
   createdAt: string;
 }
 
 interface UserRowProps {
   user: AdminUser;
+  selected: boolean;
+  onSelect: (userId: string) => void;
   onEdit: (user: AdminUser) => void;
   onView: (user: AdminUser) => void;
   onSuspend: (user: AdminUser) => void;
   onUnsuspend: (userId: string) => void;
+  onUnlockLogin: (userId: string) => void;
   onDelete: (user: AdminUser) => void;
+  // Only passed to admins allowed to impersonate
+  onImpersonate?: (user: AdminUser) => void;
 }
 
 const UserRow: React.FC<UserRowProps> = ({
   user,
+  selected,
+  onSelect,
   onEdit,
   onView,
   onSuspend,
   onUnsuspend,
+  onUnlockLogin,
   onDelete,
+  onImpersonate,
 }) => {
   const getRoleColor = (role: UserRole): 'error' | 'warning' | 'primary' => {
     switch (role) {
@@ -89,7 +119,14 @@ const UserRow: React.FC<UserRowProps> = ({
   };
 
   return (
-    <TableRow hover>
+    <TableRow hover selected={selected}>
+      <TableCell padding="checkbox">
+        <Checkbox
+          checked={selected}
+          onChange={() => onSelect(user._id)}
+          inputProps={{ 'aria-label': `Select ${user.username}` }}
+        />
+      </TableCell>
       <TableCell>
         <Box>
           <Typography variant="body2" fontWeight="bold">
@@ -109,7 +146,16 @@ const UserRow: React.FC<UserRowProps> = ({
         />
       </TableCell>
       <TableCell>
-        <Chip label={getStatusLabel(user)} color={getStatusColor(user)} size="small" />
+        <Box display="flex" gap={1} flexWrap="wrap">
+          <Chip label={getStatusLabel(user)} color={getStatusColor(user)} size="small" />
+          {user.loginLockedUntil && (
+            <Tooltip
+              title={`Too many failed logins; locked until ${new Date(user.loginLockedUntil).toLocaleString()}`}
+            >
+              <Chip label="Login locked" color="warning" size="small" variant="outlined" />
+            </Tooltip>
+          )}
+        </Box>
       </TableCell>
       <TableCell>
         <Typography variant="body2">{new Date(user.createdAt).toLocaleDateString()}</Typography>
@@ -122,11 +168,13 @@ const UserRow: React.FC<UserRowProps> = ({
             </IconButton>
           </Tooltip>
 
-          <Tooltip title="Edit Role">
-            <IconButton size="small" onClick={() => onEdit(user)}>
-              <EditIcon />
-            </IconButton>
-          </Tooltip>
+          {user.role !== 'admin' && !hasAdminAccess(user.permissions) && (
+            <Tooltip title="Edit Role">
+              <IconButton size="small" onClick={() => onEdit(user)}>
+                <EditIcon />
+              </IconButton>
+            </Tooltip>
+          )}
 
           {user.isSuspended ? (
             <Tooltip title="Unsuspend">
@@ -142,7 +190,23 @@ const UserRow: React.FC<UserRowProps> = ({
             </Tooltip>
           )}
 
-          {user.role !== 'admin' && (
+          {user.loginLockedUntil && (
+            <Tooltip title="Unlock Login">
+              <IconButton size="small" color="info" onClick={() => onUnlockLogin(user._id)}>
+                <LockOpenIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+
+          {onImpersonate && user.isActive && canBeImpersonated(user) && (
+            <Tooltip title="Impersonate">
+              <IconButton size="small" color="secondary" onClick={() => onImpersonate(user)}>
+                <ImpersonateIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+
+          {user.role !== 'admin' && !hasAdminAccess(user.permissions) && (
             <Tooltip title="Delete">
               <IconButton size="small" color="error" onClick={() => onDelete(user)}>
                 <DeleteIcon />
@@ -159,18 +223,33 @@ interface EditRoleDialogProps {
   open: boolean;
   user: AdminUser | null;
   onClose: () => void;
-  onSave: (userId: string, data: { role: UserRole }) => Promise<void>;
+  onSave: (userId: string, data: RoleUpdateData) => Promise<void>;
 }
 
+// Remount with a new key to reset the form for a different user
 const EditRoleDialog: React.FC<EditRoleDialogProps> = ({ open, user, onClose, onSave }) => {
+  const { data: rolesData } = useRoles();
   const [role, setRole] = useState<UserRole>(user?.role || 'user');
+  const [customPermissions, setCustomPermissions] = useState<Permission[]>(
+    user?.customPermissions ?? []
+  );
   const [loading, setLoading] = useState(false);
 
+  const roles = rolesData?.roles ?? [];
+  const rolePermissions = roles.find((r) => r.name === role)?.permissions ?? [];
+  // Permissions the role already grants can't be added on top of it
+  const extraPermissions = (rolesData?.permissions ?? []).filter(
+    (permission) => !rolePermissions.includes(permission)
+  );
+
   const handleSave = async (): Promise<void> => {
     if (!user) return;
     setLoading(true);
     try {
-      await onSave(user._id, { role });
+      await onSave(user._id, {
+        role,
+        customPermissions: customPermissions.filter((p) => !rolePermissions.includes(p)),
+      });
       onClose();
     } catch (error) {
       console.error('Failed to update role:', error);
@@ -194,20 +273,50 @@ const EditRoleDialog: React.FC<EditRoleDialogProps> = ({ open, user, onClose, on
           <FormControl fullWidth sx={{ mt: 2 }}>
             <InputLabel>Role</InputLabel>
             <Select
-              value={role}
+              value={roles.length > 0 ? role : ''}
               label="Role"
-              onChange={(e: SelectChangeEvent) => setRole(e.target.value as UserRole)}
+              onChange={(e: SelectChangeEvent) => setRole(e.target.value)}
             >
-              <MenuItem value="user">User</MenuItem>
-              <MenuItem value="moderator">Moderator</MenuItem>
-              <MenuItem value="admin">Administrator</MenuItem>
+              {roles.map((r) => (
+                <MenuItem key={r._id} value={r.name}>
+                  {r.displayName}
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
+
+          <FormControl fullWidth sx={{ mt: 2 }}>
+            <InputLabel>Extra Permissions</InputLabel>
+            <Select<Permission[]>
+              multiple
+              value={customPermissions.filter((p) => !rolePermissions.includes(p))}
+              label="Extra Permissions"
+              onChange={(e: SelectChangeEvent<Permission[]>) =>
+                setCustomPermissions(e.target.value as Permission[])
+              }
+              renderValue={(selected) => (
+                <Box display="flex" gap={0.5} flexWrap="wrap">
+                  {selected.map((permission) => (
+                    <Chip key={permission} label={permission} size="small" />
+                  ))}
+                </Box>
+              )}
+            >
+              {extraPermissions.map((permission) => (
+                <MenuItem key={permission} value={permission}>
+                  {permission}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography variant="caption" color="text.secondary">
+            Granted on top of the permissions of the user&apos;s role
+          </Typography>
         </Box>
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Cancel</Button>
-        <Button onClick={handleSave} variant="contained" disabled={loading}>
+        <Button onClick={handleSave} variant="contained" disabled={loading || roles.length === 0}>
           {loading ? <CircularProgress size={20} /> : 'Save'}
         </Button>
       </DialogActions>
@@ -296,13 +405,112 @@ const SuspendDialog: React.FC<SuspendDialogProps> = ({ open, user, onClose, onSa
   );
 };
 
+interface ImpersonateDialogProps {
+  open: boolean;
+  user: AdminUser | null;
+  onClose: () => void;
+  onStart: (userId: string, data: ImpersonationData) => Promise<void>;
+}
+
+// Asks why the admin needs to act as the user; the reason goes in the audit log
+// Remount with a new key to reset the form for a different user
+const ImpersonateDialog: React.FC<ImpersonateDialogProps> = ({ open, user, onClose, onStart }) => {
+  const [reason, setReason] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState<number>(DEFAULT_IMPERSONATION_DURATION);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleStart = async (): Promise<void> => {
+    if (!reason.trim() || !user) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      await onStart(user._id, { reason: reason.trim(), durationMinutes });
+    } catch (err) {
+      const axiosError = err as { response?: { data?: { message?: string } }; message?: string };
+      setError(axiosError.response?.data?.message || axiosError.message || 'Unknown error');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Impersonate User</DialogTitle>
+      <DialogContent>
+        <Box py={2}>
+          <Typography variant="body2" gutterBottom>
+            User:{' '}
+            <strong>
+              {user?.username} ({user?.email})
+            </strong>
+          </Typography>
+
+          <Alert severity="info" sx={{ mt: 2 }}>
+            You will be signed in as this user until you end the impersonation or the time runs out.
+            Everything you do is recorded in the audit log under both accounts, and their password,
+            email and two-factor settings cannot be changed.
+          </Alert>
+
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <TextField
+            label="Reason"
+            fullWidth
+            multiline
+            rows={3}
+            value={reason}
+            onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setReason(e.target.value)}
+            inputProps={{ maxLength: MAX_IMPERSONATION_REASON_LENGTH }}
+            sx={{ mt: 2 }}
+            helperText="E.g. the support ticket you are investigating"
+            required
+          />
+
+          <FormControl fullWidth sx={{ mt: 2 }}>
+            <InputLabel>Duration</InputLabel>
+            <Select
+              value={String(durationMinutes)}
+              label="Duration"
+              onChange={(e: SelectChangeEvent) => setDurationMinutes(Number(e.target.value))}
+            >
+              {IMPERSONATION_DURATION_OPTIONS.map((minutes) => (
+                <MenuItem key={minutes} value={String(minutes)}>
+                  {minutes} minutes
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          onClick={handleStart}
+          variant="contained"
+          color="secondary"
+          disabled={loading || !reason.trim()}
+        >
+          {loading ? <CircularProgress size={20} /> : 'Start Impersonation'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
 // Response type for paginated users with AdminUser format
 interface AdminUsersResponse {
   users?: AdminUser[];
-  total: number;
-  page: number;
-  limit: number;
-  totalPages: number;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
 }
 
 const UserManagement: React.FC = () => {
@@ -320,19 +528,95 @@ const UserManagement: React.FC = () => {
     open: false,
     user: null,
   });
+  const [impersonateDialog, setImpersonateDialog] = useState<{
+    open: boolean;
+    user: AdminUser | null;
+  }>({
+    open: false,
+    user: null,
+  });
+  // Users picked one by one, possibly across pages, or everyone matching the filters
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [allMatchingSelected, setAllMatchingSelected] = useState(false);
+  const [bulkDialog, setBulkDialog] = useState<{
+    open: boolean;
+    selection: BulkUserSelection | null;
+  }>({
+    open: false,
+    selection: null,
+  });
 
   const params: AdminUserQueryParams = {
     page: page + 1,
     limit: rowsPerPage,
     ...(search && { search }),
-    ...(roleFilter !== 'all' && { role: roleFilter as UserRole }),
+    ...(roleFilter !== 'all' && { role: roleFilter }),
     ...(statusFilter && { status: statusFilter }),
   };
 
   const { data, isLoading, error } = useAdminUsers(params);
-  const { updateUserRole, suspendUser, unsuspendUser, deleteUser } = useAdminUserMutations();
+  const { data: rolesData } = useRoles();
+  const { hasPermission } = useAuth();
+  const {
+    updateUserRole,
+    suspendUser,
+    unsuspendUser,
+    unlockUserLogin,
+    deleteUser,
+    startImpersonation,
+  } = useAdminUserMutations();
 
   const typedData = data as unknown as AdminUsersResponse | undefined;
+  const pageUserIds = typedData?.users?.map((user) => user._id) ?? [];
+  const matchingTotal = typedData?.pagination.total ?? 0;
+  const pageSelectedCount = pageUserIds.filter((id) => selectedIds.includes(id)).length;
+  const isPageSelected = pageUserIds.length > 0 && pageSelectedCount === pageUserIds.length;
+  const selectedCount = allMatchingSelected ? matchingTotal : selectedIds.length;
+
+  const clearSelection = (): void => {
+    setSelectedIds([]);
+    setAllMatchingSelected(false);
+  };
+
+  const handleSelectUser = (userId: string): void => {
+    setAllMatchingSelected(false);
+    setSelectedIds((ids) =>
+      ids.includes(userId) ? ids.filter((id) => id !== userId) : [...ids, userId]
+    );
+  };
+
+  const handleSelectPage = (): void => {
+    setAllMatchingSelected(false);
+    setSelectedIds((ids) =>
+      isPageSelected
+        ? ids.filter((id) => !pageUserIds.includes(id))
+        : [...ids, ...pageUserIds.filter((id) => !ids.includes(id))]
+    );
+  };
+
+  // A different filter matches different users, so start the selection over
+  const handleFilterChange =
+    (setFilter: (value: string) => void) =>
+    (value: string): void => {
+      setFilter(value);
+      clearSelection();
+    };
+
+  const handleOpenBulkDialog = (): void => {
+    setBulkDialog({
+      open: true,
+      selection: allMatchingSelected
+        ? {
+            filter: {
+              ...(search && { search }),
+              ...(roleFilter !== 'all' && { role: roleFilter }),
+              ...(statusFilter && { status: statusFilter }),
+            },
+            count: matchingTotal,
+          }
+        : { userIds: selectedIds, count: selectedIds.length },
+    });
+  };
 
   const handleChangePage = (_event: unknown, newPage: number): void => {
     setPage(newPage);
@@ -351,7 +635,7 @@ const UserManagement: React.FC = () => {
     setSuspendDialog({ open: true, user });
   };
 
-  const handleUpdateRole = async (userId: string, roleData: { role: UserRole }): Promise<void> => {
+  const handleUpdateRole = async (userId: string, roleData: RoleUpdateData): Promise<void> => {
     await updateUserRole.mutateAsync({ userId, roleData });
   };
 
@@ -366,12 +650,29 @@ const UserManagement: React.FC = () => {
     await unsuspendUser.mutateAsync(userId);
   };
 
+  const handleUnlockLogin = async (userId: string): Promise<void> => {
+    await unlockUserLogin.mutateAsync(userId);
+  };
+
   const handleDelete = async (user: AdminUser): Promise<void> => {
     if (window.confirm(`Are you sure you want to deactivate ${user.username}?`)) {
       await deleteUser.mutateAsync({ userId: user._id, permanent: false });
     }
   };
 
+  const handleImpersonateUser = (user: AdminUser): void => {
+    setImpersonateDialog({ open: true, user });
+  };
+
+  // The auth cookies now belong to the user, so reload the app as them
+  const handleStartImpersonation = async (
+    userId: string,
+    data: ImpersonationData
+  ): Promise<void> => {
+    await startImpersonation.mutateAsync({ userId, data });
+    window.location.assign('/dashboard');
+  };
+
   if (error) {
     return (
       <Box p={3}>
@@ -397,7 +698,9 @@ const UserManagement: React.FC = () => {
             variant="outlined"
             size="small"
             value={search}
-            onChange={(e: ChangeEvent<HTMLInputElement>) => setSearch(e.target.value)}
+            onChange={(e: ChangeEvent<HTMLInputElement>) =>
+              handleFilterChange(setSearch)(e.target.value)
+            }
             sx={{ minWidth: 200 }}
           />
 
@@ -406,12 +709,14 @@ const UserManagement: React.FC = () => {
             <Select
               value={roleFilter}
               label="Role"
-              onChange={(e: SelectChangeEvent) => setRoleFilter(e.target.value)}
+              onChange={(e: SelectChangeEvent) => handleFilterChange(setRoleFilter)(e.target.value)}
             >
               <MenuItem value="all">All Roles</MenuItem>
-              <MenuItem value="user">User</MenuItem>
-              <MenuItem value="moderator">Moderator</MenuItem>
-              <MenuItem value="admin">Admin</MenuItem>
+              {rolesData?.roles.map((role) => (
+                <MenuItem key={role._id} value={role.name}>
+                  {role.displayName}
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
 
@@ -420,7 +725,9 @@ const UserManagement: React.FC = () => {
             <Select
               value={statusFilter}
               label="Status"
-              onChange={(e: SelectChangeEvent) => setStatusFilter(e.target.value)}
+              onChange={(e: SelectChangeEvent) =>
+                handleFilterChange(setStatusFilter)(e.target.value)
+              }
             >
               <MenuItem value="">All Status</MenuItem>
               <MenuItem value="active">Active</MenuItem>
@@ -431,12 +738,61 @@ const UserManagement: React.FC = () => {
         </Box>
       </Paper>
 
+      {/* Selection */}
+      {selectedCount > 0 && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={
+            <Box display="flex" gap={1}>
+              <Button color="inherit" size="small" onClick={clearSelection}>
+                Clear
+              </Button>
+              <Button
+                color="inherit"
+                size="small"
+                variant="outlined"
+                startIcon={<BulkIcon />}
+                onClick={handleOpenBulkDialog}
+              >
+                Bulk Action
+              </Button>
+            </Box>
+          }
+        >
+          {allMatchingSelected
+            ? `All ${matchingTotal} users matching the filters are selected.`
+            : `${selectedIds.length} user${selectedIds.length === 1 ? '' : 's'} selected.`}
+          {!allMatchingSelected && isPageSelected && matchingTotal > selectedIds.length && (
+            <>
+              {' '}
+              {matchingTotal <= MAX_BULK_USERS ? (
+                <Button size="small" onClick={() => setAllMatchingSelected(true)}>
+                  Select all {matchingTotal} matching users
+                </Button>
+              ) : (
+                `Narrow the filters to select all matching users (at most ${MAX_BULK_USERS}).`
+              )}
+            </>
+          )}
+        </Alert>
+      )}
+
       {/* Users Table */}
       <Paper>
         <TableContainer>
           <Table>
             <TableHead>
               <TableRow>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={allMatchingSelected || isPageSelected}
+                    indeterminate={!allMatchingSelected && pageSelectedCount > 0 && !isPageSelected}
+                    onChange={handleSelectPage}
+                    disabled={pageUserIds.length === 0}
+                    inputProps={{ 'aria-label': 'Select all users on this page' }}
+                  />
+                </TableCell>
                 <TableCell>User</TableCell>
                 <TableCell>Role</TableCell>
                 <TableCell>Status</TableCell>
@@ -447,7 +803,7 @@ const UserManagement: React.FC = () => {
             <TableBody>
               {isLoading ? (
                 <TableRow>
-                  <TableCell colSpan={5} align="center">
+                  <TableCell colSpan={6} align="center">
                     <CircularProgress />
                   </TableCell>
                 </TableRow>
@@ -456,11 +812,17 @@ const UserManagement: React.FC = () => {
                   <UserRow
                     key={user._id}
                     user={user}
+                    selected={allMatchingSelected || selectedIds.includes(user._id)}
+                    onSelect={handleSelectUser}
                     onEdit={handleEditRole}
                     onView={(user) => console.log('View user:', user)} // TODO: Implement user details view
                     onSuspend={handleSuspendUser}
                     onUnsuspend={handleUnsuspend}
+                    onUnlockLogin={handleUnlockLogin}
                     onDelete={handleDelete}
+                    onImpersonate={
+                      hasPermission('admin.impersonate') ? handleImpersonateUser : undefined
+                    }
                   />
                 ))
               )}
@@ -471,7 +833,7 @@ const UserManagement: React.FC = () => {
         {typedData && (
           <TablePagination
             component="div"
-            count={typedData.total}
+            count={typedData.pagination.total}
             page={page}
             onPageChange={handleChangePage}
             rowsPerPage={rowsPerPage}
@@ -483,6 +845,7 @@ const UserManagement: React.FC = () => {
 
       {/* Dialogs */}
       <EditRoleDialog
+        key={editDialog.user?._id}
         open={editDialog.open}
         user={editDialog.user}
         onClose={() => setEditDialog({ open: false, user: null })}
@@ -495,6 +858,22 @@ const UserManagement: React.FC = () => {
         onClose={() => setSuspendDialog({ open: false, user: null })}
         onSave={handleSuspend}
       />
+
+      <ImpersonateDialog
+        key={impersonateDialog.user?._id}
+        open={impersonateDialog.open}
+        user={impersonateDialog.user}
+        onClose={() => setImpersonateDialog({ open: false, user: null })}
+        onStart={handleStartImpersonation}
+      />
+
+      <BulkUserActionDialog
+        key={bulkDialog.selection ? JSON.stringify(bulkDialog.selection) : undefined}
+        open={bulkDialog.open}
+        selection={bulkDialog.selection}
+        onClose={() => setBulkDialog({ open: false, selection: null })}
+        onDone={clearSelection}
+      />
     </Box>
   );
 };
@@ -0,0 +1,316 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Select,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import { useAccessTokens, useCreateAccessToken, useRevokeAccessToken } from '../../hooks/auth';
+import type { AccessToken, Permission } from '../../types';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+      errors?: Array<{ msg: string }>;
+    };
+  };
+  message?: string;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const data = (error as AxiosError).response?.data;
+  return (
+    data?.message ||
+    data?.errors?.[0]?.msg ||
+    (error as AxiosError).message ||
+    'Something went wrong'
+  );
+};
+
+// Expiry choices, in days; 0 means the token never expires
+const EXPIRY_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'No expiry' },
+];
+
+const SCOPE_GROUP_LABELS: Record<string, string> = {
+  projects: 'Projects',
+  comments: 'Comments',
+  users: 'Users',
+  admin: 'Admin',
+  moderate: 'Moderation',
+};
+
+// Group scopes like projects.read and projects.create under their area
+const groupScopes = (scopes: Permission[]): Array<[string, Permission[]]> => {
+  const groups = new Map<string, Permission[]>();
+  scopes.forEach((scope) => {
+    const area = scope.split('.')[0];
+    groups.set(area, [...(groups.get(area) ?? []), scope]);
+  });
+  return Array.from(groups.entries());
+};
+
+const describeUsage = (token: AccessToken): string => {
+  const parts = [`Created ${formatDistanceToNow(new Date(token.createdAt), { addSuffix: true })}`];
+  parts.push(
+    token.lastUsedAt
+      ? `last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+      : 'never used'
+  );
+  if (token.expiresAt) {
+    const expiresAt = new Date(token.expiresAt);
+    parts.push(
+      expiresAt <= new Date()
+        ? 'expired'
+        : `expires ${formatDistanceToNow(expiresAt, { addSuffix: true })}`
+    );
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * Personal access token settings
+ * Create scoped tokens for scripts, and review or revoke existing ones
+ */
+const AccessTokenSettings: React.FC = () => {
+  const { data, isLoading, error } = useAccessTokens();
+  const createMutation = useCreateAccessToken();
+  const revokeMutation = useRevokeAccessToken();
+
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [expiryDays, setExpiryDays] = useState(30);
+  const [scopes, setScopes] = useState<Permission[]>([]);
+  const [newToken, setNewToken] = useState<string | null>(null);
+
+  const resetForm = (): void => {
+    setShowForm(false);
+    setName('');
+    setExpiryDays(30);
+    setScopes([]);
+    createMutation.reset();
+  };
+
+  const toggleScope = (scope: Permission): void => {
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleCreate = (): void => {
+    createMutation.mutate(
+      { name: name.trim(), scopes, expiresInDays: expiryDays || null },
+      {
+        onSuccess: (result) => {
+          setNewToken(result.token);
+          resetForm();
+        },
+      }
+    );
+  };
+
+  const renderBody = (): React.ReactNode => {
+    if (isLoading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      );
+    }
+
+    if (error || !data) {
+      return <Alert severity="error">Failed to load access tokens</Alert>;
+    }
+
+    return (
+      <>
+        {newToken && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNewToken(null)}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Copy your new token now. You won&apos;t be able to see it again.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+              <Typography
+                component="code"
+                data-testid="new-access-token"
+                sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}
+              >
+                {newToken}
+              </Typography>
+              <Button size="small" onClick={() => navigator.clipboard?.writeText(newToken)}>
+                Copy
+              </Button>
+            </Box>
+          </Alert>
+        )}
+
+        {getErrorMessage(revokeMutation.error) && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {getErrorMessage(revokeMutation.error)}
+          </Alert>
+        )}
+
+        {data.tokens.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+            You don&apos;t have any access tokens.
+          </Typography>
+        ) : (
+          <List disablePadding>
+            {data.tokens.map((token) => (
+              <ListItem
+                key={token._id}
+                divider
+                secondaryAction={
+                  <Button
+                    size="small"
+                    color="error"
+                    variant="outlined"
+                    onClick={() => revokeMutation.mutate(token._id)}
+                    disabled={revokeMutation.isPending && revokeMutation.variables === token._id}
+                  >
+                    Revoke
+                  </Button>
+                }
+                sx={{ pr: 12 }}
+              >
+                <ListItemText
+                  primary={
+                    <>
+                      {token.name}{' '}
+                      <Typography component="span" variant="caption" color="text.secondary">
+                        {token.tokenPrefix}…
+                      </Typography>
+                    </>
+                  }
+                  secondary={
+                    <>
+                      <Box component="span" sx={{ display: 'block', mb: 0.5 }}>
+                        {describeUsage(token)}
+                      </Box>
+                      <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {token.scopes.map((scope) => (
+                          <Chip key={scope} label={scope} size="small" component="span" />
+                        ))}
+                      </Box>
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {showForm ? (
+          <Box sx={{ mt: 2 }}>
+            {getErrorMessage(createMutation.error) && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {getErrorMessage(createMutation.error)}
+              </Alert>
+            )}
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+              <TextField
+                size="small"
+                label="Token name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Deploy script"
+                inputProps={{ maxLength: 100 }}
+                sx={{ flex: 1, minWidth: 200 }}
+              />
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel id="token-expiry-label">Expires</InputLabel>
+                <Select
+                  labelId="token-expiry-label"
+                  label="Expires"
+                  value={expiryDays}
+                  onChange={(e) => setExpiryDays(Number(e.target.value))}
+                >
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <MenuItem key={option.days} value={option.days}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+
+            <Typography variant="subtitle2">Scopes</Typography>
+            <Typography variant="caption" color="text.secondary">
+              The token can only do what its scopes allow, and never more than your account can.
+            </Typography>
+            {groupScopes(data.availableScopes).map(([area, areaScopes]) => (
+              <Box key={area} sx={{ mt: 1 }}>
+                <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                  {SCOPE_GROUP_LABELS[area] ?? area}
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap' }}>
+                  {areaScopes.map((scope) => (
+                    <FormControlLabel
+                      key={scope}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={scopes.includes(scope)}
+                          onChange={() => toggleScope(scope)}
+                        />
+                      }
+                      label={scope.split('.')[1]}
+                    />
+                  ))}
+                </Box>
+              </Box>
+            ))}
+
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <Button
+                variant="contained"
+                onClick={handleCreate}
+                disabled={!name.trim() || scopes.length === 0 || createMutation.isPending}
+              >
+                {createMutation.isPending ? 'Creating...' : 'Create token'}
+              </Button>
+              <Button onClick={resetForm}>Cancel</Button>
+            </Box>
+          </Box>
+        ) : (
+          <Button variant="outlined" sx={{ mt: 2 }} onClick={() => setShowForm(true)}>
+            New token
+          </Button>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6">Personal access tokens</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Use a token instead of your password for scripts and other tools. Send it as{' '}
+        <code>Authorization: Bearer &lt;token&gt;</code>.
+      </Typography>
+      {renderBody()}
+    </Paper>
+  );
+};
+
+export default AccessTokenSettings;
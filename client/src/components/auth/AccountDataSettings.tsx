@@ -0,0 +1,158 @@
+import React, { useState, FormEvent } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Alert, Box, Button, Paper, TextField, Typography } from '@mui/material';
+import { useAuth } from '../../hooks/auth';
+import {
+  useExportMyData,
+  useRequestAccountDeletion,
+  useCancelAccountDeletion,
+} from '../../hooks/users';
+import { getDaysUntilDeletion } from '../../utils/accountData';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+      errors?: Array<{ msg: string }>;
+    };
+  };
+  message?: string;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const data = (error as AxiosError).response?.data;
+  return (
+    data?.message ||
+    data?.errors?.[0]?.msg ||
+    (error as AxiosError).message ||
+    'Something went wrong'
+  );
+};
+
+/**
+ * Account data settings
+ * Download a copy of your data, or delete your account after a grace period
+ */
+const AccountDataSettings: React.FC = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const exportMutation = useExportMyData();
+  const deleteMutation = useRequestAccountDeletion();
+  const cancelMutation = useCancelAccountDeletion();
+
+  const [showForm, setShowForm] = useState(false);
+  const [confirmation, setConfirmation] = useState('');
+
+  // Accounts created with GitHub sign-in may not have a password to confirm with
+  const confirmWithPassword = user?.hasPassword !== false;
+
+  const resetForm = (): void => {
+    setShowForm(false);
+    setConfirmation('');
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    deleteMutation.mutate(
+      confirmWithPassword ? { password: confirmation } : { confirmUsername: confirmation.trim() },
+      {
+        onSuccess: (data) => {
+          navigate('/login', { state: { message: data.message } });
+        },
+      }
+    );
+  };
+
+  const errorMessage = getErrorMessage(
+    exportMutation.error || deleteMutation.error || cancelMutation.error
+  );
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6">Your data</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Download a copy of your profile, projects, comments, messages and sessions as a JSON file.
+      </Typography>
+
+      {errorMessage && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Button
+        variant="outlined"
+        onClick={() => exportMutation.mutate()}
+        disabled={exportMutation.isPending}
+        sx={{ mb: 3 }}
+      >
+        {exportMutation.isPending ? 'Preparing download...' : 'Download my data'}
+      </Button>
+
+      <Typography variant="h6">Delete account</Typography>
+
+      {user?.deletionScheduledFor ? (
+        <Alert
+          severity="warning"
+          sx={{ mt: 1 }}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => cancelMutation.mutate()}
+              disabled={cancelMutation.isPending}
+            >
+              Keep my account
+            </Button>
+          }
+        >
+          Your account will be deleted on{' '}
+          <strong>{new Date(user.deletionScheduledFor).toLocaleDateString()}</strong> (
+          {getDaysUntilDeletion(user.deletionScheduledFor)} days from now).
+        </Alert>
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Your account is deleted two weeks after you ask, and you&apos;re logged out everywhere
+            straight away. Log back in before then to change your mind. Once it&apos;s deleted, your
+            comments and messages stay but are no longer linked to you, and projects you own are
+            handed to a collaborator or archived.
+          </Typography>
+
+          {showForm ? (
+            <Box component="form" onSubmit={handleSubmit} sx={{ maxWidth: 400 }}>
+              <TextField
+                label={confirmWithPassword ? 'Password' : 'Type your username to confirm'}
+                type={confirmWithPassword ? 'password' : 'text'}
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                fullWidth
+                required
+                margin="normal"
+                autoComplete={confirmWithPassword ? 'current-password' : 'off'}
+              />
+              <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  color="error"
+                  disabled={deleteMutation.isPending}
+                >
+                  {deleteMutation.isPending ? 'Scheduling...' : 'Delete my account'}
+                </Button>
+                <Button onClick={resetForm}>Cancel</Button>
+              </Box>
+            </Box>
+          ) : (
+            <Button variant="outlined" color="error" onClick={() => setShowForm(true)}>
+              Delete my account
+            </Button>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default AccountDataSettings;
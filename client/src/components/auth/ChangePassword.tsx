@@ -25,6 +25,7 @@ interface AxiosError {
   response?: {
     data?: {
       message?: string;
+      errors?: Array<{ msg: string; path?: string }>;
     };
   };
   message?: string;
@@ -116,9 +117,15 @@ const ChangePassword: React.FC = () => {
       });
     } catch (error) {
       const axiosError = error as AxiosError;
+      // A new password can be rejected as breached or recently used
+      const newPasswordError = axiosError.response?.data?.errors?.find(
+        (fieldError) => fieldError.path === 'newPassword'
+      );
       // Handle specific error messages
       if (axiosError.response?.data?.message === 'Current password is incorrect') {
         setErrors({ currentPassword: 'Current password is incorrect' });
+      } else if (newPasswordError) {
+        setErrors({ newPassword: newPasswordError.msg });
       } else {
         setErrors({
           submit: axiosError.response?.data?.message || 'Failed to change password',
@@ -0,0 +1,126 @@
+import React, { useState, FormEvent } from 'react';
+import { Alert, Box, Button, Paper, TextField, Typography } from '@mui/material';
+import { useAuth, useRequestEmailChange, useCancelEmailChange } from '../../hooks/auth';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+      errors?: Array<{ msg: string }>;
+    };
+  };
+  message?: string;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const data = (error as AxiosError).response?.data;
+  return (
+    data?.message ||
+    data?.errors?.[0]?.msg ||
+    (error as AxiosError).message ||
+    'Something went wrong'
+  );
+};
+
+/**
+ * Email address settings
+ * Change the account email; the new address has to be confirmed before it's used
+ */
+const EmailSettings: React.FC = () => {
+  const { user } = useAuth();
+  const requestMutation = useRequestEmailChange();
+  const cancelMutation = useCancelEmailChange();
+
+  const [showForm, setShowForm] = useState(false);
+  const [newEmail, setNewEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const resetForm = (): void => {
+    setShowForm(false);
+    setNewEmail('');
+    setPassword('');
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    requestMutation.mutate({ newEmail: newEmail.trim(), password }, { onSuccess: resetForm });
+  };
+
+  const errorMessage = getErrorMessage(requestMutation.error || cancelMutation.error);
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6">Email address</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Your account email is <strong>{user?.email}</strong>.
+      </Typography>
+
+      {errorMessage && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      {user?.pendingEmail ? (
+        <Alert
+          severity="info"
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => cancelMutation.mutate()}
+              disabled={cancelMutation.isPending}
+            >
+              Cancel
+            </Button>
+          }
+        >
+          We sent a confirmation link to <strong>{user.pendingEmail}</strong>. Your email will
+          change once you open it; you&apos;ll then be signed out on your other devices.
+        </Alert>
+      ) : showForm ? (
+        <Box component="form" onSubmit={handleSubmit}>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              size="small"
+              type="email"
+              label="New email"
+              value={newEmail}
+              onChange={(e) => setNewEmail(e.target.value)}
+              autoComplete="email"
+              required
+              sx={{ flex: 1, minWidth: 200 }}
+            />
+            <TextField
+              size="small"
+              type="password"
+              label="Current password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              sx={{ flex: 1, minWidth: 200 }}
+            />
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <Button
+              type="submit"
+              variant="contained"
+              disabled={!newEmail.trim() || !password || requestMutation.isPending}
+            >
+              {requestMutation.isPending ? 'Sending...' : 'Send confirmation link'}
+            </Button>
+            <Button onClick={resetForm}>Cancel</Button>
+          </Box>
+        </Box>
+      ) : (
+        <Button variant="outlined" onClick={() => setShowForm(true)}>
+          Change email
+        </Button>
+      )}
+    </Paper>
+  );
+};
+
+export default EmailSettings;
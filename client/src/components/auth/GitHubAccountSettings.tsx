@@ -0,0 +1,90 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Alert, Box, Button, Link, Paper, Typography } from '@mui/material';
+import { GitHub as GitHubIcon } from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth, useStartGitHubLink, useUnlinkGitHub } from '../../hooks/auth';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+    };
+  };
+  message?: string;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const axiosError = error as AxiosError;
+  return axiosError.response?.data?.message || axiosError.message || 'Something went wrong';
+};
+
+/**
+ * GitHub account settings
+ * Link a GitHub account to sign in with, or unlink it
+ */
+const GitHubAccountSettings: React.FC = () => {
+  const { user } = useAuth();
+  const linkMutation = useStartGitHubLink();
+  const unlinkMutation = useUnlinkGitHub();
+
+  const github = user?.github;
+  const errorMessage = getErrorMessage(linkMutation.error || unlinkMutation.error);
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6">GitHub</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Link your GitHub account to sign in with it. Your GitHub profile is added to your public
+        profile links.
+      </Typography>
+
+      {errorMessage && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      {github ? (
+        <>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+            <GitHubIcon fontSize="small" />
+            <Typography variant="body2">
+              Linked to <strong>{github.username}</strong>{' '}
+              {formatDistanceToNow(new Date(github.linkedAt), { addSuffix: true })}
+            </Typography>
+          </Box>
+          {user?.hasPassword === false && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Your account doesn&apos;t have a password yet. To unlink GitHub,{' '}
+              <Link component={RouterLink} to="/forgot-password">
+                set a password
+              </Link>{' '}
+              first so you can still sign in.
+            </Alert>
+          )}
+          <Button
+            variant="outlined"
+            color="error"
+            onClick={() => unlinkMutation.mutate()}
+            disabled={unlinkMutation.isPending || user?.hasPassword === false}
+          >
+            {unlinkMutation.isPending ? 'Unlinking...' : 'Unlink GitHub'}
+          </Button>
+        </>
+      ) : (
+        <Button
+          variant="outlined"
+          startIcon={<GitHubIcon />}
+          onClick={() => linkMutation.mutate()}
+          disabled={linkMutation.isPending}
+        >
+          {linkMutation.isPending ? 'Redirecting...' : 'Link GitHub account'}
+        </Button>
+      )}
+    </Paper>
+  );
+};
+
+export default GitHubAccountSettings;
@@ -0,0 +1,98 @@
+import React, { useEffect } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { Alert, Box, Button, CircularProgress, Container, Paper, Typography } from '@mui/material';
+import { useQueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../../config/queryClient';
+import { useVerifyTwoFactorLogin } from '../../hooks/auth';
+import TwoFactorChallengeForm from './TwoFactorChallengeForm';
+import type { GitHubCallbackParams, LoginResponse } from '../../types';
+
+const ERROR_MESSAGES: Record<string, string> = {
+  access_denied: 'GitHub access was not granted.',
+  invalid_state:
+    'Your GitHub sign-in attempt expired or was started in another browser. Please try again.',
+  github_unavailable: "We couldn't reach GitHub. Please try again.",
+  email_unverified:
+    'Your GitHub account has no verified primary email address. Verify one on GitHub and try again.',
+  email_in_use:
+    'An account with your GitHub email already exists. Log in with your password and link GitHub from Settings.',
+  github_in_use: 'That GitHub account is already linked to another user.',
+  account_disabled: 'This account has been deactivated.',
+  password_reset_required:
+    'For your security, you need to reset your password before logging in. Use the link we emailed you, or request a new one.',
+  not_configured: 'GitHub sign-in is not available.',
+};
+
+/**
+ * GitHub Callback Component
+ * Landing page after GitHub sign-in or linking; the server reports the outcome in the query string
+ */
+const GitHubCallback: React.FC = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [searchParams] = useSearchParams();
+  const verifyTwoFactorMutation = useVerifyTwoFactorLogin();
+
+  const { status, twoFactorRequired, twoFactorSetupRequired, error, mode } = Object.fromEntries(
+    searchParams
+  ) as GitHubCallbackParams;
+
+  // The session cookies are already set; load the user and move on
+  useEffect(() => {
+    if (status === 'success') {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.all });
+      navigate(twoFactorSetupRequired ? '/settings' : '/dashboard', { replace: true });
+    } else if (status === 'linked') {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+      navigate('/settings', { replace: true });
+    }
+  }, [status, twoFactorSetupRequired, queryClient, navigate]);
+
+  const handleLoggedIn = (data: LoginResponse): void => {
+    navigate(data.twoFactorSetupRequired ? '/settings' : '/dashboard', { replace: true });
+  };
+
+  if (twoFactorRequired) {
+    return (
+      <Container maxWidth="sm">
+        <Box sx={{ mt: 8, mb: 4 }}>
+          <TwoFactorChallengeForm
+            isLoading={verifyTwoFactorMutation.isPending}
+            error={verifyTwoFactorMutation.error}
+            onSubmit={(value) =>
+              verifyTwoFactorMutation.mutate(value, { onSuccess: handleLoggedIn })
+            }
+            onCancel={() => navigate('/login', { replace: true })}
+          />
+        </Box>
+      </Container>
+    );
+  }
+
+  if (error) {
+    const isLink = mode === 'link';
+    return (
+      <Container maxWidth="sm">
+        <Paper elevation={3} sx={{ mt: 8, mb: 4, p: 4 }}>
+          <Typography variant="h5" component="h1" gutterBottom>
+            {isLink ? "Couldn't link GitHub" : "Couldn't sign in with GitHub"}
+          </Typography>
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {ERROR_MESSAGES[error] ?? 'Something went wrong. Please try again.'}
+          </Alert>
+          <Button variant="contained" component={RouterLink} to={isLink ? '/settings' : '/login'}>
+            {isLink ? 'Back to settings' : 'Back to login'}
+          </Button>
+        </Paper>
+      </Container>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+      <CircularProgress />
+    </Box>
+  );
+};
+
+export default GitHubCallback;
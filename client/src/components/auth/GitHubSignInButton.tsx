@@ -0,0 +1,23 @@
+import React from 'react';
+import { Button } from '@mui/material';
+import { GitHub as GitHubIcon } from '@mui/icons-material';
+import { authService } from '../../services/authService';
+
+/**
+ * GitHub Sign-In Button Component
+ * Full-page navigation to the server, which redirects to GitHub and back to /auth/github/callback
+ */
+const GitHubSignInButton: React.FC = () => (
+  <Button
+    fullWidth
+    variant="outlined"
+    size="large"
+    startIcon={<GitHubIcon />}
+    href={authService.getGitHubLoginUrl()}
+    aria-label="Sign in with GitHub"
+  >
+    Sign in with GitHub
+  </Button>
+);
+
+export default GitHubSignInButton;
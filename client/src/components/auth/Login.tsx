@@ -1,10 +1,13 @@
 import React, { useState, useEffect, FormEvent } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Container, Box } from '@mui/material';
-import { useAuth, useLogin } from '../../hooks/auth';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Alert, Container, Box } from '@mui/material';
+import { useAuth, useLogin, useVerifyTwoFactorLogin } from '../../hooks/auth';
 import LoginForm from './LoginForm';
+import TwoFactorChallengeForm from './TwoFactorChallengeForm';
 import VerificationAlert from './VerificationAlert';
+import { isTwoFactorChallenge } from '../../types';
 import type { LoginFormData } from '../../types/forms';
+import type { LoginResponse } from '../../types';
 
 interface LoginFormErrors {
   email?: string;
@@ -15,6 +18,7 @@ interface AxiosError {
   response?: {
     data?: {
       needsVerification?: boolean;
+      expired?: boolean;
       message?: string;
     };
   };
@@ -27,10 +31,15 @@ interface AxiosError {
  */
 const Login: React.FC = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { isAuthenticated } = useAuth();
 
+  // Message passed by pages that log the user out, e.g. after a password change
+  const notice = (location.state as { message?: string } | null)?.message;
+
   // TanStack Query mutations
   const loginMutation = useLogin();
+  const verifyTwoFactorMutation = useVerifyTwoFactorLogin();
 
   const [formData, setFormData] = useState<LoginFormData>({
     email: '',
@@ -39,6 +48,8 @@ const Login: React.FC = () => {
 
   const [formErrors, setFormErrors] = useState<LoginFormErrors>({});
   const [needsVerification, setNeedsVerification] = useState<boolean>(false);
+  // Set once the password is accepted for an account with two-factor enabled
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
 
   useEffect(() => {
     if (isAuthenticated) {
@@ -67,12 +78,47 @@ const Login: React.FC = () => {
     return Object.keys(errors).length === 0;
   };
 
+  // Users whose role requires two-factor but haven't set it up are sent to do so, as are
+  // users whose account is scheduled for deletion, so they can cancel it
+  const handleLoggedIn = (data: LoginResponse): void => {
+    navigate(
+      data.twoFactorSetupRequired || data.user?.deletionScheduledFor ? '/settings' : '/dashboard'
+    );
+  };
+
+  const handleTwoFactorSubmit = (value: { code?: string; recoveryCode?: string }): void => {
+    if (!challengeToken) return;
+    verifyTwoFactorMutation.mutate(
+      { challengeToken, ...value },
+      {
+        onSuccess: handleLoggedIn,
+        onError: (error) => {
+          // The challenge only lasts a few minutes; start again from the password step
+          if ((error as AxiosError)?.response?.data?.expired) {
+            setChallengeToken(null);
+          }
+        },
+      }
+    );
+  };
+
+  const handleTwoFactorCancel = (): void => {
+    setChallengeToken(null);
+    verifyTwoFactorMutation.reset();
+    setFormData({ ...formData, password: '' });
+  };
+
   const handleSubmit = async (e: FormEvent<HTMLFormElement>): Promise<void> => {
     e.preventDefault();
     if (validateForm()) {
+      verifyTwoFactorMutation.reset();
       loginMutation.mutate(formData, {
-        onSuccess: () => {
-          navigate('/dashboard');
+        onSuccess: (data) => {
+          if (isTwoFactorChallenge(data)) {
+            setChallengeToken(data.challengeToken);
+            return;
+          }
+          handleLoggedIn(data);
         },
         onError: (error) => {
           // Check if the error is due to unverified email
@@ -95,14 +141,34 @@ const Login: React.FC = () => {
     );
   }
 
+  if (challengeToken) {
+    return (
+      <Container maxWidth="sm">
+        <Box sx={{ mt: 8, mb: 4 }}>
+          <TwoFactorChallengeForm
+            isLoading={verifyTwoFactorMutation.isPending}
+            error={verifyTwoFactorMutation.error}
+            onSubmit={handleTwoFactorSubmit}
+            onCancel={handleTwoFactorCancel}
+          />
+        </Box>
+      </Container>
+    );
+  }
+
   return (
     <Container maxWidth="sm">
       <Box sx={{ mt: 8, mb: 4 }}>
+        {notice && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {notice}
+          </Alert>
+        )}
         <LoginForm
           formData={formData}
           formErrors={formErrors}
           isLoading={loginMutation.isPending}
-          error={loginMutation.error}
+          error={loginMutation.error || verifyTwoFactorMutation.error}
           onChange={setFormData}
           onSubmit={handleSubmit}
         />
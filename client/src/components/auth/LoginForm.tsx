@@ -1,6 +1,9 @@
 import React, { ChangeEvent, FormEvent } from 'react';
-import { Paper, Typography, TextField, Button, Link, Box, Alert } from '@mui/material';
+import { Paper, Typography, TextField, Button, Link, Box, Alert, Divider } from '@mui/material';
 import { Link as RouterLink } from 'react-router-dom';
+import GitHubSignInButton from './GitHubSignInButton';
+import { isLoginThrottledError } from '../../types';
+import { formatRetryAfter } from '../../utils/loginProtection';
 import type { LoginFormData } from '../../types/forms';
 
 interface LoginFormErrors {
@@ -47,8 +50,11 @@ const LoginForm: React.FC<LoginFormProps> = ({
 
   const getErrorMessage = (): string => {
     if (!error) return '';
-    const axiosError = error as AxiosError;
-    return axiosError?.response?.data?.message || error.message || 'Login failed';
+    const data = (error as AxiosError)?.response?.data;
+    if (isLoginThrottledError(data)) {
+      return `${data.message} Try again in ${formatRetryAfter(data.retryAfter)}.`;
+    }
+    return data?.message || error.message || 'Login failed';
   };
 
   return (
@@ -109,6 +115,9 @@ const LoginForm: React.FC<LoginFormProps> = ({
         </Button>
       </form>
 
+      <Divider sx={{ my: 2 }}>or</Divider>
+      <GitHubSignInButton />
+
       <Box sx={{ mt: 2, textAlign: 'center' }}>
         <Typography variant="body2" sx={{ mb: 1 }}>
           <Link
@@ -120,6 +129,16 @@ const LoginForm: React.FC<LoginFormProps> = ({
             Forgot your password?
           </Link>
         </Typography>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          <Link
+            component={RouterLink}
+            to="/login/link"
+            variant="body2"
+            aria-label="Email login link"
+          >
+            Email me a login link instead
+          </Link>
+        </Typography>
         <Typography variant="body2">
           Don&apos;t have an account?{' '}
           <Link component={RouterLink} to="/register" aria-label="Register new account">
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import { Alert, Box, Button, CircularProgress, Container, Paper, Typography } from '@mui/material';
+import { useVerifyMagicLink, useVerifyTwoFactorLogin } from '../../hooks/auth';
+import TwoFactorChallengeForm from './TwoFactorChallengeForm';
+import { isTwoFactorChallenge } from '../../types';
+import type { LoginResponse } from '../../types';
+
+/**
+ * Magic Link Login Component
+ * Landing page for emailed login links; logs in as soon as it opens
+ */
+const MagicLinkLogin: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const verifyMutation = useVerifyMagicLink();
+  const { mutate: verifyLink } = verifyMutation;
+  const verifyTwoFactorMutation = useVerifyTwoFactorLogin();
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+
+  // Links are single-use, so make sure the token is only sent once
+  const hasVerified = useRef(false);
+
+  const handleLoggedIn = (data: LoginResponse): void => {
+    navigate(data.twoFactorSetupRequired ? '/settings' : '/dashboard', { replace: true });
+  };
+
+  useEffect(() => {
+    if (!token || hasVerified.current) return;
+    hasVerified.current = true;
+
+    verifyLink(token, {
+      onSuccess: (data) => {
+        if (isTwoFactorChallenge(data)) {
+          setChallengeToken(data.challengeToken);
+          return;
+        }
+        navigate(data.twoFactorSetupRequired ? '/settings' : '/dashboard', { replace: true });
+      },
+    });
+  }, [token, verifyLink, navigate]);
+
+  if (challengeToken) {
+    return (
+      <Container maxWidth="sm">
+        <Box sx={{ mt: 8, mb: 4 }}>
+          <TwoFactorChallengeForm
+            isLoading={verifyTwoFactorMutation.isPending}
+            error={verifyTwoFactorMutation.error}
+            onSubmit={(value) =>
+              verifyTwoFactorMutation.mutate(
+                { challengeToken, ...value },
+                { onSuccess: handleLoggedIn }
+              )
+            }
+            onCancel={() => navigate('/login', { replace: true })}
+          />
+        </Box>
+      </Container>
+    );
+  }
+
+  if (!token || verifyMutation.isError) {
+    const data = verifyMutation.error?.response?.data;
+    return (
+      <Container maxWidth="sm">
+        <Paper elevation={3} sx={{ mt: 8, mb: 4, p: 4 }}>
+          <Typography variant="h5" component="h1" gutterBottom>
+            Couldn&apos;t log you in
+          </Typography>
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {token
+              ? data?.message || verifyMutation.error?.message || 'Login failed'
+              : 'This login link is incomplete. Copy the whole link from the email.'}
+          </Alert>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button variant="contained" component={RouterLink} to="/login/link">
+              Request a new link
+            </Button>
+            <Button variant="outlined" component={RouterLink} to="/login">
+              Log in with password
+            </Button>
+          </Box>
+        </Paper>
+      </Container>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+      <CircularProgress />
+    </Box>
+  );
+};
+
+export default MagicLinkLogin;
@@ -0,0 +1,161 @@
+import React, { useState, ChangeEvent, FormEvent } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Box,
+  Alert,
+  AlertTitle,
+} from '@mui/material';
+import { useRequestMagicLink } from '../../hooks/auth';
+import type { MagicLinkRequestResponse } from '../../types';
+
+/**
+ * Magic Link Request Component
+ * Passwordless login: emails a one-time link that works in this browser only
+ */
+const MagicLinkRequest: React.FC = () => {
+  const requestMutation = useRequestMagicLink();
+
+  const [email, setEmail] = useState<string>('');
+  const [emailError, setEmailError] = useState<string>('');
+  const [result, setResult] = useState<MagicLinkRequestResponse | null>(null);
+
+  const validateEmail = (): boolean => {
+    if (!email) {
+      setEmailError('Email is required');
+      return false;
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      setEmailError('Email is invalid');
+      return false;
+    }
+    setEmailError('');
+    return true;
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    if (validateEmail()) {
+      requestMutation.mutate(email, { onSuccess: setResult });
+    }
+  };
+
+  const handleEmailChange = (e: ChangeEvent<HTMLInputElement>): void => {
+    setEmail(e.target.value);
+    if (emailError) {
+      setEmailError('');
+    }
+  };
+
+  const getErrorMessage = (): string => {
+    const error = requestMutation.error;
+    if (!error) return '';
+    return error.response?.data?.message || error.message || 'Failed to send login link';
+  };
+
+  if (result) {
+    return (
+      <Container maxWidth="sm">
+        <Box sx={{ mt: 8, mb: 4 }}>
+          <Paper elevation={3} sx={{ p: 4 }}>
+            <Alert severity="success" sx={{ mb: 3 }}>
+              <AlertTitle>Check your email</AlertTitle>
+              {result.loginToken ? (
+                <>
+                  Development mode: A login link has been generated.
+                  <Box sx={{ mt: 2 }}>
+                    <Button
+                      component={RouterLink}
+                      to={`/magic-link?token=${result.loginToken}`}
+                      variant="contained"
+                      size="small"
+                    >
+                      Click to Log In
+                    </Button>
+                  </Box>
+                </>
+              ) : (
+                <>
+                  If an account with that email exists, we&apos;ve sent it a login link. Open it in
+                  this browser within 15 minutes.
+                </>
+              )}
+            </Alert>
+
+            <Box sx={{ textAlign: 'center' }}>
+              <Button component={RouterLink} to="/login" variant="contained" sx={{ mr: 2 }}>
+                Back to Login
+              </Button>
+              <Button onClick={() => setResult(null)} variant="outlined">
+                Send Another Link
+              </Button>
+            </Box>
+          </Paper>
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="sm">
+      <Box sx={{ mt: 8, mb: 4 }}>
+        <Paper elevation={3} sx={{ p: 4 }}>
+          <Typography component="h1" variant="h4" align="center" gutterBottom>
+            Email Me a Login Link
+          </Typography>
+
+          <Typography variant="body1" align="center" sx={{ mb: 3 }}>
+            Enter your email address and we&apos;ll send you a link that logs you in without a
+            password.
+          </Typography>
+
+          {requestMutation.error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {getErrorMessage()}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Email"
+              name="email"
+              type="email"
+              value={email}
+              onChange={handleEmailChange}
+              error={!!emailError}
+              helperText={emailError}
+              margin="normal"
+              required
+              autoComplete="email"
+              autoFocus
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              disabled={requestMutation.isPending}
+              sx={{ mt: 3 }}
+            >
+              {requestMutation.isPending ? 'Sending...' : 'Send Login Link'}
+            </Button>
+          </form>
+
+          <Box sx={{ mt: 2, textAlign: 'center' }}>
+            <Link component={RouterLink} to="/login" variant="body2">
+              Log in with your password instead
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default MagicLinkRequest;
@@ -25,6 +25,7 @@ interface AxiosError {
   response?: {
     data?: {
       message?: string;
+      errors?: Array<{ msg: string; path?: string }>;
     };
   };
   message?: string;
@@ -127,7 +128,10 @@ const Register: React.FC = () => {
     if (!registerMutation.error) return '';
     const axiosError = registerMutation.error as AxiosError;
     return (
-      axiosError?.response?.data?.message || registerMutation.error.message || 'Registration failed'
+      axiosError?.response?.data?.message ||
+      axiosError?.response?.data?.errors?.[0]?.msg ||
+      registerMutation.error.message ||
+      'Registration failed'
     );
   };
 
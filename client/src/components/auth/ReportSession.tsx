@@ -0,0 +1,82 @@
+import React from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { Alert, Box, Button, Container, Paper, Typography } from '@mui/material';
+import { useReportSessionByToken } from '../../hooks/auth';
+
+/**
+ * Report Session Component
+ * Landing page for the "this wasn't me" link in a new sign-in alert. Reporting
+ * waits for a click, so mail scanners that open links can't sign anyone out.
+ */
+const ReportSession: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const reportMutation = useReportSessionByToken();
+
+  const getErrorMessage = (): string => {
+    const error = reportMutation.error;
+    if (!error) return '';
+    return error.response?.data?.message || error.message || 'Failed to report sign-in';
+  };
+
+  const resetToken = reportMutation.data?.resetToken;
+
+  return (
+    <Container maxWidth="sm">
+      <Paper elevation={3} sx={{ mt: 8, mb: 4, p: 4 }}>
+        <Typography variant="h5" component="h1" gutterBottom>
+          Report a sign-in
+        </Typography>
+
+        {!token ? (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            This link is incomplete. Copy the whole link from the email.
+          </Alert>
+        ) : reportMutation.isSuccess ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {reportMutation.data.message}
+          </Alert>
+        ) : (
+          <>
+            <Typography variant="body1" sx={{ mb: 2 }}>
+              If you didn&apos;t sign in from the device in the email, we&apos;ll sign it out
+              straight away. Someone else may know your password, so you&apos;ll need to choose a
+              new one before logging in with a password again.
+            </Typography>
+
+            {reportMutation.isError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {getErrorMessage()}
+              </Alert>
+            )}
+
+            <Button
+              variant="contained"
+              color="error"
+              onClick={() => reportMutation.mutate(token)}
+              disabled={reportMutation.isPending}
+              sx={{ mb: 2 }}
+            >
+              {reportMutation.isPending ? 'Signing out...' : "This wasn't me"}
+            </Button>
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant={reportMutation.isSuccess ? 'contained' : 'outlined'}
+            component={RouterLink}
+            to={resetToken ? `/reset-password?token=${resetToken}` : '/forgot-password'}
+          >
+            Reset password
+          </Button>
+          <Button variant="text" component={RouterLink} to="/login">
+            Go to Login
+          </Button>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default ReportSession;
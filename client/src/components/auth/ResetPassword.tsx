@@ -18,6 +18,7 @@ interface AxiosError {
   response?: {
     data?: {
       message?: string;
+      errors?: Array<{ msg: string; path?: string }>;
     };
   };
   message?: string;
@@ -115,6 +116,7 @@ const ResetPassword: React.FC = () => {
     const axiosError = resetPasswordMutation.error as AxiosError;
     return (
       axiosError?.response?.data?.message ||
+      axiosError?.response?.data?.errors?.[0]?.msg ||
       resetPasswordMutation.error?.message ||
       'Failed to reset password'
     );
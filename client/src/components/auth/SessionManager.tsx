@@ -1,7 +1,163 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSessions } from '../../hooks/auth/useSessions';
+import { getLoginFlagLabels } from '../../utils/loginProtection';
 import type { Session } from '../../types';
 
+// Matches SESSION_CONFIG.NAME_MAX_LENGTH on the server
+const SESSION_NAME_MAX_LENGTH = 50;
+
+const formatLastActivity = (date: string): string => {
+  return new Date(date).toLocaleString();
+};
+
+const getDeviceIcon = (platform?: string): string => {
+  switch (platform?.toLowerCase()) {
+    case 'ios':
+      return 'Mobile';
+    case 'android':
+      return 'Mobile';
+    case 'windows':
+      return 'PC';
+    case 'macos':
+      return 'Mac';
+    case 'linux':
+      return 'Linux';
+    default:
+      return 'Web';
+  }
+};
+
+// Badges for logins from a device or network not seen on this account before
+const renderLoginFlags = (session: Session): React.ReactNode =>
+  getLoginFlagLabels(session.loginFlags).map((label) => (
+    <span
+      key={label}
+      className="bg-yellow-100 text-yellow-800 text-xs px-2 py-1 rounded-full"
+      title="This login came from somewhere you hadn't logged in from before"
+    >
+      {label}
+    </span>
+  ));
+
+interface SessionCardProps {
+  session: Session;
+  isCurrent: boolean;
+  onRename: (sessionId: string, name: string, onDone: () => void) => void;
+  isRenaming: boolean;
+  onReport?: (session: Session) => void;
+  isReporting?: boolean;
+}
+
+// One session, with its name editable in place
+const SessionCard: React.FC<SessionCardProps> = ({
+  session,
+  isCurrent,
+  onRename,
+  isRenaming,
+  onReport,
+  isReporting,
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState('');
+
+  const startEditing = () => {
+    setDraftName(session.name || '');
+    setIsEditing(true);
+  };
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    onRename(session.id, draftName.trim(), () => setIsEditing(false));
+  };
+
+  const browser = session.deviceInfo?.browser || 'Unknown Browser';
+  const platform = session.deviceInfo?.platform || 'Unknown Platform';
+
+  return (
+    <div
+      className={
+        isCurrent
+          ? 'bg-green-50 border border-green-200 rounded-lg p-4'
+          : 'bg-white border border-gray-200 rounded-lg p-4'
+      }
+    >
+      <div className="flex items-start justify-between">
+        <div className="flex items-start space-x-3">
+          <div className="text-2xl">{getDeviceIcon(session.deviceInfo?.platform)}</div>
+          <div>
+            {isEditing ? (
+              <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+                <input
+                  value={draftName}
+                  onChange={(event) => setDraftName(event.target.value)}
+                  maxLength={SESSION_NAME_MAX_LENGTH}
+                  placeholder={browser}
+                  aria-label="Session name"
+                  className="border border-gray-300 rounded px-2 py-1 text-sm"
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  disabled={isRenaming}
+                  className="text-sm bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="text-sm text-gray-600 px-2 py-1 hover:text-gray-900"
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center space-x-2">
+                <h3 className="font-medium text-gray-900">{session.name || browser}</h3>
+                {isCurrent && (
+                  <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
+                    Current
+                  </span>
+                )}
+                {renderLoginFlags(session)}
+                <button
+                  onClick={startEditing}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  Rename
+                </button>
+              </div>
+            )}
+            <p className="text-sm text-gray-600">
+              {session.name ? `${browser} on ${platform}` : platform}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              Last active: {formatLastActivity(session.lastActivity)}
+            </p>
+            {session.deviceInfo?.ip && (
+              <p className="text-xs text-gray-500">IP: {session.deviceInfo.ip}</p>
+            )}
+            {session.location && (
+              <p className="text-xs text-gray-500">
+                {[session.location.city, session.location.country].filter(Boolean).join(', ')}
+              </p>
+            )}
+          </div>
+        </div>
+        {onReport && (
+          <button
+            onClick={() => onReport(session)}
+            disabled={isReporting}
+            className="text-sm bg-red-50 text-red-700 border border-red-200 px-3 py-1 rounded hover:bg-red-100 disabled:opacity-50"
+          >
+            This wasn&apos;t me
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Session management component
  * Shows active sessions and allows logout from all devices
@@ -17,26 +173,21 @@ const SessionManager: React.FC = () => {
     getOtherSessions,
     logoutAll,
     isLoggingOutAll,
+    renameSession,
+    reportSession,
   } = useSessions();
 
-  const formatLastActivity = (date: string): string => {
-    return new Date(date).toLocaleString();
+  const handleRename = (sessionId: string, name: string, onDone: () => void) => {
+    renameSession.mutate({ sessionId, name }, { onSuccess: onDone });
   };
 
-  const getDeviceIcon = (platform?: string): string => {
-    switch (platform?.toLowerCase()) {
-      case 'ios':
-        return 'Mobile';
-      case 'android':
-        return 'Mobile';
-      case 'windows':
-        return 'PC';
-      case 'macos':
-        return 'Mac';
-      case 'linux':
-        return 'Linux';
-      default:
-        return 'Web';
+  const handleReport = (session: Session) => {
+    const confirmed = window.confirm(
+      `Sign out "${session.name || session.deviceInfo?.browser || 'this session'}"? ` +
+        "You'll need to reset your password before logging in with it again."
+    );
+    if (confirmed) {
+      reportSession.mutate(session.id);
     }
   };
 
@@ -95,65 +246,39 @@ const SessionManager: React.FC = () => {
         )}
       </div>
 
+      {reportSession.isSuccess && (
+        <div className="mb-4 bg-green-50 border border-green-200 rounded-md p-4 text-sm text-green-800">
+          {reportSession.data.message}
+        </div>
+      )}
+      {reportSession.isError && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-800">
+          {reportSession.error.response?.data?.message || 'Failed to report session'}
+        </div>
+      )}
+
       <div className="space-y-4">
         {/* Current Session */}
         {currentSession && (
-          <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-            <div className="flex items-start justify-between">
-              <div className="flex items-start space-x-3">
-                <div className="text-2xl">{getDeviceIcon(currentSession.deviceInfo?.platform)}</div>
-                <div>
-                  <div className="flex items-center space-x-2">
-                    <h3 className="font-medium text-gray-900">
-                      {currentSession.deviceInfo?.browser || 'Unknown Browser'}
-                    </h3>
-                    <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
-                      Current
-                    </span>
-                  </div>
-                  <p className="text-sm text-gray-600">
-                    {currentSession.deviceInfo?.platform || 'Unknown Platform'}
-                  </p>
-                  <p className="text-xs text-gray-500 mt-1">
-                    Last active: {formatLastActivity(currentSession.lastActivity)}
-                  </p>
-                  {currentSession.deviceInfo?.ip && (
-                    <p className="text-xs text-gray-500">IP: {currentSession.deviceInfo.ip}</p>
-                  )}
-                </div>
-              </div>
-            </div>
-          </div>
+          <SessionCard
+            session={currentSession}
+            isCurrent
+            onRename={handleRename}
+            isRenaming={renameSession.isPending}
+          />
         )}
 
         {/* Other Sessions */}
         {otherSessions.map((session: Session) => (
-          <div key={session.id} className="bg-white border border-gray-200 rounded-lg p-4">
-            <div className="flex items-start justify-between">
-              <div className="flex items-start space-x-3">
-                <div className="text-2xl">{getDeviceIcon(session.deviceInfo?.platform)}</div>
-                <div>
-                  <h3 className="font-medium text-gray-900">
-                    {session.deviceInfo?.browser || 'Unknown Browser'}
-                  </h3>
-                  <p className="text-sm text-gray-600">
-                    {session.deviceInfo?.platform || 'Unknown Platform'}
-                  </p>
-                  <p className="text-xs text-gray-500 mt-1">
-                    Last active: {formatLastActivity(session.lastActivity)}
-                  </p>
-                  {session.deviceInfo?.ip && (
-                    <p className="text-xs text-gray-500">IP: {session.deviceInfo.ip}</p>
-                  )}
-                  {session.location && (
-                    <p className="text-xs text-gray-500">
-                      {[session.location.city, session.location.country].filter(Boolean).join(', ')}
-                    </p>
-                  )}
-                </div>
-              </div>
-            </div>
-          </div>
+          <SessionCard
+            key={session.id}
+            session={session}
+            isCurrent={false}
+            onRename={handleRename}
+            isRenaming={renameSession.isPending}
+            onReport={handleReport}
+            isReporting={reportSession.isPending}
+          />
         ))}
 
         {sessionCount === 0 && (
@@ -172,7 +297,12 @@ const SessionManager: React.FC = () => {
           <p>Sessions automatically expire after 7 days of inactivity</p>
           <p>Access tokens refresh every 15 minutes for security</p>
           <p>Changing your password logs out all devices</p>
+          <p>You&apos;ll get an email when someone signs in from a new device or network</p>
           <p>Maximum 3 concurrent sessions allowed</p>
+          <p>
+            Logins from a new device or network are flagged; if you don&apos;t recognize one, change
+            your password
+          </p>
         </div>
       </div>
     </div>
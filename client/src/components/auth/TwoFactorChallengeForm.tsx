@@ -0,0 +1,122 @@
+import React, { useState, FormEvent } from 'react';
+import { Paper, Typography, TextField, Button, Link, Box, Alert } from '@mui/material';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+    };
+  };
+  message?: string;
+}
+
+interface TwoFactorChallengeFormProps {
+  isLoading: boolean;
+  error: AxiosError | Error | null;
+  onSubmit: (value: { code?: string; recoveryCode?: string }) => void;
+  onCancel: () => void;
+}
+
+/**
+ * Two-Factor Challenge Form Component
+ * Second login step: asks for a code from the authenticator app, or a recovery code
+ */
+const TwoFactorChallengeForm: React.FC<TwoFactorChallengeFormProps> = ({
+  isLoading,
+  error,
+  onSubmit,
+  onCancel,
+}) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const getErrorMessage = (): string => {
+    if (!error) return '';
+    const axiosError = error as AxiosError;
+    return axiosError?.response?.data?.message || error.message || 'Verification failed';
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    onSubmit(useRecoveryCode ? { recoveryCode: trimmed } : { code: trimmed });
+  };
+
+  const toggleMode = (): void => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" align="center" gutterBottom>
+        Two-Factor Authentication
+      </Typography>
+      <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {getErrorMessage()}
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        {useRecoveryCode ? (
+          <TextField
+            fullWidth
+            label="Recovery code"
+            name="recoveryCode"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            margin="normal"
+            required
+            autoComplete="off"
+            autoFocus
+            placeholder="xxxxx-xxxxx"
+          />
+        ) : (
+          <TextField
+            fullWidth
+            label="Verification code"
+            name="code"
+            value={value}
+            onChange={(e) => setValue(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            margin="normal"
+            required
+            autoComplete="one-time-code"
+            autoFocus
+            inputProps={{ inputMode: 'numeric', pattern: '[0-9]{6}', maxLength: 6 }}
+          />
+        )}
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          color="primary"
+          size="large"
+          disabled={isLoading || !value.trim()}
+          sx={{ mt: 3 }}
+        >
+          {isLoading ? 'Verifying...' : 'Verify'}
+        </Button>
+      </form>
+
+      <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+        <Link component="button" type="button" variant="body2" onClick={toggleMode}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </Link>
+        <Link component="button" type="button" variant="body2" onClick={onCancel}>
+          Back to login
+        </Link>
+      </Box>
+    </Paper>
+  );
+};
+
+export default TwoFactorChallengeForm;
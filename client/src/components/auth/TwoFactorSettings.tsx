@@ -0,0 +1,346 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  useTwoFactorStatus,
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
+} from '../../hooks/auth';
+
+interface AxiosError {
+  response?: {
+    data?: {
+      message?: string;
+    };
+  };
+  message?: string;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const axiosError = error as AxiosError;
+  return axiosError.response?.data?.message || axiosError.message || 'Something went wrong';
+};
+
+// Keep only digits, up to the length of a TOTP code
+const toCode = (value: string): string => value.replace(/\D/g, '').slice(0, 6);
+
+interface RecoveryCodesProps {
+  codes: string[];
+  onDone: () => void;
+}
+
+// Newly generated recovery codes, shown once with a way to save them
+const RecoveryCodes: React.FC<RecoveryCodesProps> = ({ codes, onDone }) => {
+  const handleDownload = (): void => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+        access to your authenticator app. They won&apos;t be shown again.
+      </Alert>
+      <Box
+        component="pre"
+        data-testid="recovery-codes"
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, max-content)',
+          columnGap: 4,
+          rowGap: 0.5,
+          fontFamily: 'monospace',
+          bgcolor: 'grey.100',
+          p: 2,
+          borderRadius: 1,
+          m: 0,
+        }}
+      >
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </Box>
+      <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+        <Button variant="outlined" onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}>
+          Copy
+        </Button>
+        <Button variant="outlined" onClick={handleDownload}>
+          Download
+        </Button>
+        <Button variant="contained" onClick={onDone} sx={{ ml: 'auto' }}>
+          I&apos;ve saved them
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * Two-factor authentication settings
+ * Enrollment (QR code and confirmation), recovery codes and turning 2FA off
+ */
+const TwoFactorSettings: React.FC = () => {
+  const { data: status, isLoading, error } = useTwoFactorStatus();
+  const setupMutation = useSetupTwoFactor();
+  const enableMutation = useEnableTwoFactor();
+  const disableMutation = useDisableTwoFactor();
+  const regenerateMutation = useRegenerateRecoveryCodes();
+
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [action, setAction] = useState<'disable' | 'regenerate' | null>(null);
+
+  const resetForm = (): void => {
+    setCode('');
+    setPassword('');
+    setAction(null);
+    disableMutation.reset();
+    regenerateMutation.reset();
+  };
+
+  const handleEnable = (): void => {
+    enableMutation.mutate(code, {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        setCode('');
+        setupMutation.reset();
+      },
+    });
+  };
+
+  // Turning off accepts a recovery code too, for users who have lost their authenticator
+  const handleDisable = (): void => {
+    const secondFactor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+    disableMutation.mutate({ password, ...secondFactor }, { onSuccess: resetForm });
+  };
+
+  const handleRegenerate = (): void => {
+    regenerateMutation.mutate(code, {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        resetForm();
+      },
+    });
+  };
+
+  const renderBody = (): React.ReactNode => {
+    if (isLoading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      );
+    }
+
+    if (error || !status) {
+      return <Alert severity="error">Failed to load two-factor authentication settings</Alert>;
+    }
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (!status.enabled) {
+      const setup = setupMutation.data;
+      return (
+        <>
+          {status.required && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Your role requires two-factor authentication. Set it up to access the admin area.
+            </Alert>
+          )}
+          {!setup ? (
+            <>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                Protect your account with a code from an authenticator app (such as Google
+                Authenticator, 1Password or Authy) in addition to your password.
+              </Typography>
+              {getErrorMessage(setupMutation.error) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {getErrorMessage(setupMutation.error)}
+                </Alert>
+              )}
+              <Button
+                variant="contained"
+                onClick={() => setupMutation.mutate()}
+                disabled={setupMutation.isPending}
+              >
+                {setupMutation.isPending ? 'Starting...' : 'Set up two-factor authentication'}
+              </Button>
+            </>
+          ) : (
+            <>
+              <Typography variant="body2" sx={{ mb: 2 }}>
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 3, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                <Box sx={{ p: 1, bgcolor: 'common.white', lineHeight: 0 }}>
+                  <QRCodeSVG value={setup.otpauthUri} size={168} />
+                </Box>
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Can&apos;t scan it? Enter this key instead:
+                  </Typography>
+                  <Typography sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                    {setup.secret.match(/.{1,4}/g)?.join(' ')}
+                  </Typography>
+                </Box>
+              </Box>
+              {getErrorMessage(enableMutation.error) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {getErrorMessage(enableMutation.error)}
+                </Alert>
+              )}
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+                <TextField
+                  size="small"
+                  label="Verification code"
+                  value={code}
+                  onChange={(e) => setCode(toCode(e.target.value))}
+                  autoComplete="one-time-code"
+                  inputProps={{ inputMode: 'numeric' }}
+                />
+                <Button
+                  variant="contained"
+                  onClick={handleEnable}
+                  disabled={code.length !== 6 || enableMutation.isPending}
+                >
+                  {enableMutation.isPending ? 'Verifying...' : 'Enable'}
+                </Button>
+                <Button
+                  onClick={() => {
+                    setupMutation.reset();
+                    enableMutation.reset();
+                    setCode('');
+                  }}
+                >
+                  Cancel
+                </Button>
+              </Box>
+            </>
+          )}
+        </>
+      );
+    }
+
+    const actionError = getErrorMessage(disableMutation.error || regenerateMutation.error);
+
+    return (
+      <>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          Two-factor authentication is on
+          {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}. You
+          have {status.recoveryCodesRemaining} unused recovery code
+          {status.recoveryCodesRemaining === 1 ? '' : 's'}.
+        </Typography>
+        {status.recoveryCodesRemaining <= 2 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            You are running low on recovery codes. Generate a new set.
+          </Alert>
+        )}
+
+        {action ? (
+          <Box sx={{ mt: 2 }}>
+            {actionError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {actionError}
+              </Alert>
+            )}
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+              {action === 'disable' && (
+                <TextField
+                  size="small"
+                  type="password"
+                  label="Password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                />
+              )}
+              <TextField
+                size="small"
+                label={action === 'disable' ? 'Code or recovery code' : 'Verification code'}
+                value={code}
+                onChange={(e) =>
+                  setCode(action === 'disable' ? e.target.value.trim() : toCode(e.target.value))
+                }
+                autoComplete="one-time-code"
+              />
+              {action === 'disable' ? (
+                <Button
+                  variant="contained"
+                  color="error"
+                  onClick={handleDisable}
+                  disabled={!password || !code || disableMutation.isPending}
+                >
+                  {disableMutation.isPending ? 'Turning off...' : 'Turn off'}
+                </Button>
+              ) : (
+                <Button
+                  variant="contained"
+                  onClick={handleRegenerate}
+                  disabled={code.length !== 6 || regenerateMutation.isPending}
+                >
+                  {regenerateMutation.isPending ? 'Generating...' : 'Generate new codes'}
+                </Button>
+              )}
+              <Button onClick={resetForm}>Cancel</Button>
+            </Box>
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <Button variant="outlined" onClick={() => setAction('regenerate')}>
+              Regenerate recovery codes
+            </Button>
+            <Button
+              variant="outlined"
+              color="error"
+              onClick={() => setAction('disable')}
+              disabled={status.required}
+              title={status.required ? 'Two-factor authentication is required for your role' : ''}
+            >
+              Turn off
+            </Button>
+          </Box>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6">Two-factor authentication</Typography>
+        {status && (
+          <Chip
+            size="small"
+            label={status.enabled ? 'On' : 'Off'}
+            color={status.enabled ? 'success' : 'default'}
+          />
+        )}
+      </Box>
+      {renderBody()}
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import { Alert, Box, Button, Container, Paper, Typography } from '@mui/material';
+import { useUnlockAccount } from '../../hooks/auth';
+
+/**
+ * Unlock Account Component
+ * Landing page for the link in the lockout email. Unlocking waits for a click,
+ * so mail scanners that open links can't lift the lock on their own.
+ */
+const UnlockAccount: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const unlockMutation = useUnlockAccount();
+
+  const getErrorMessage = (): string => {
+    const error = unlockMutation.error;
+    if (!error) return '';
+    return error.response?.data?.message || error.message || 'Failed to unlock account';
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Paper elevation={3} sx={{ mt: 8, mb: 4, p: 4 }}>
+        <Typography variant="h5" component="h1" gutterBottom>
+          Unlock your account
+        </Typography>
+
+        {!token ? (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            This unlock link is incomplete. Copy the whole link from the email.
+          </Alert>
+        ) : unlockMutation.isSuccess ? (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {unlockMutation.data.message}
+          </Alert>
+        ) : (
+          <>
+            <Typography variant="body1" sx={{ mb: 2 }}>
+              Logging in was locked after too many failed attempts. If those attempts were yours,
+              you can unlock your account now. If they weren&apos;t, leave the lock in place and
+              consider changing your password.
+            </Typography>
+
+            {unlockMutation.isError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {getErrorMessage()}
+              </Alert>
+            )}
+
+            <Button
+              variant="contained"
+              onClick={() => unlockMutation.mutate(token)}
+              disabled={unlockMutation.isPending}
+              sx={{ mb: 2 }}
+            >
+              {unlockMutation.isPending ? 'Unlocking...' : 'Unlock my account'}
+            </Button>
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant={unlockMutation.isSuccess ? 'contained' : 'outlined'}
+            component={RouterLink}
+            to="/login"
+          >
+            Go to Login
+          </Button>
+          <Button variant="text" component={RouterLink} to="/forgot-password">
+            Reset password
+          </Button>
+        </Box>
+      </Paper>
+    </Container>
+  );
+};
+
+export default UnlockAccount;
@@ -1,28 +1,41 @@
-import React, { useState, type FormEvent, type ChangeEvent } from 'react';
+import React, { useState, type FormEvent } from 'react';
 import {
   Box,
   Typography,
-  TextField,
   Button,
-  List,
-  ListItem,
-  ListItemText,
-  ListItemAvatar,
   Avatar,
   IconButton,
   Paper,
-  Divider,
   CircularProgress,
   Alert,
+  Collapse,
 } from '@mui/material';
-import { Edit as EditIcon, Delete as DeleteIcon, Send as SendIcon } from '@mui/icons-material';
+import {
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon,
+  Reply as ReplyIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+} from '@mui/icons-material';
 import { useAuth } from '../../hooks/auth';
 import {
   useComments,
+  useCommentReplies,
   useCreateComment,
   useUpdateComment,
   useDeleteComment,
+  useReplyToComment,
+  flattenCommentPages,
 } from '../../hooks/comments';
+import {
+  getCommentAuthor,
+  canReplyToComment,
+  getReplyToggleLabel,
+} from '../../utils/commentThreads';
+import MentionInput from '../common/MentionInput';
+import MentionText from '../common/MentionText';
+import { ReportButton } from '../common/ReportDialog';
 import type { Comment } from '../../types';
 
 // Props interface
@@ -30,42 +43,297 @@ interface CommentsProps {
   projectId: string;
 }
 
-// Extended Comment type for API responses with author data
-interface CommentApiResponse extends Omit<Comment, 'id' | 'userId'> {
-  _id: string;
-  author: {
-    _id: string;
-    name: string;
-    avatar?: string;
-  };
-  content: string;
-  createdAt: string;
+interface CommentThreadProps {
+  comment: Comment;
+  projectId: string;
+  currentUserId?: string;
+}
+
+interface CommentRepliesProps {
+  parentId: string;
+  projectId: string;
+  currentUserId?: string;
 }
 
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const err = error as Error & { response?: { data?: { message?: string } } };
+  return err.response?.data?.message || err.message || 'Something went wrong';
+};
+
+// Replies to a comment, fetched when the thread is expanded
+const CommentReplies: React.FC<CommentRepliesProps> = ({ parentId, projectId, currentUserId }) => {
+  const { data, isLoading, error, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useCommentReplies(projectId, parentId);
+  const replies = flattenCommentPages(data);
+
+  if (isLoading) {
+    return (
+      <Box sx={{ py: 1, pl: 2 }}>
+        <CircularProgress size={20} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ my: 1 }}>
+        {getErrorMessage(error)}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      {replies.map((reply) => (
+        <CommentThread
+          key={reply._id}
+          comment={reply}
+          projectId={projectId}
+          currentUserId={currentUserId}
+        />
+      ))}
+      {hasNextPage && (
+        <Button size="small" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading...' : 'Load more replies'}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+// A comment with its reply form and collapsible replies
+const CommentThread: React.FC<CommentThreadProps> = ({ comment, projectId, currentUserId }) => {
+  const updateCommentMutation = useUpdateComment();
+  const deleteCommentMutation = useDeleteComment();
+  const replyMutation = useReplyToComment();
+
+  const [expanded, setExpanded] = useState<boolean>(false);
+  const [editing, setEditing] = useState<boolean>(false);
+  const [editContent, setEditContent] = useState<string>('');
+  const [replying, setReplying] = useState<boolean>(false);
+  const [replyContent, setReplyContent] = useState<string>('');
+
+  const author = getCommentAuthor(comment);
+  const isAuthor = !!currentUserId && author?.id === currentUserId;
+  const replyCount = comment.replyCount ?? 0;
+
+  const handleUpdate = (): void => {
+    if (!editContent.trim()) return;
+    updateCommentMutation.mutate(
+      { commentId: comment._id, commentData: { projectId, content: editContent } },
+      { onSuccess: () => setEditing(false) }
+    );
+  };
+
+  const handleDelete = (): void => {
+    if (window.confirm('Are you sure you want to delete this comment?')) {
+      deleteCommentMutation.mutate({ projectId, commentId: comment._id });
+    }
+  };
+
+  const handleReply = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    if (!replyContent.trim()) return;
+    replyMutation.mutate(
+      { projectId, commentId: comment._id, replyData: { content: replyContent } },
+      {
+        onSuccess: () => {
+          setReplyContent('');
+          setReplying(false);
+          // Show the new reply in context
+          setExpanded(true);
+        },
+      }
+    );
+  };
+
+  const mutationError = getErrorMessage(
+    updateCommentMutation.error || deleteCommentMutation.error || replyMutation.error
+  );
+
+  return (
+    <Box sx={{ mt: 2 }} data-testid="comment-thread">
+      <Box sx={{ display: 'flex', gap: 1.5 }}>
+        <Avatar sx={{ width: 32, height: 32 }}>{author?.username[0]?.toUpperCase() || '?'}</Avatar>
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="subtitle2" color={author ? 'text.primary' : 'text.secondary'}>
+              {author?.username || 'Deleted comment'}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {new Date(comment.createdAt).toLocaleString()}
+            </Typography>
+            {isAuthor && !comment.isDeleted && (
+              <Box sx={{ ml: 'auto' }}>
+                {!comment.isHidden && (
+                  <IconButton
+                    size="small"
+                    aria-label="Edit comment"
+                    onClick={() => {
+                      setEditContent(comment.content);
+                      setEditing(true);
+                    }}
+                    disabled={editing}
+                  >
+                    <EditIcon fontSize="inherit" />
+                  </IconButton>
+                )}
+                <IconButton
+                  size="small"
+                  aria-label="Delete comment"
+                  onClick={handleDelete}
+                  disabled={deleteCommentMutation.isPending}
+                >
+                  <DeleteIcon fontSize="inherit" />
+                </IconButton>
+              </Box>
+            )}
+            {currentUserId &&
+              !isAuthor &&
+              !comment.isDeleted &&
+              !comment.isHidden &&
+              !comment.isMuted && (
+                <Box sx={{ ml: 'auto' }}>
+                  <ReportButton targetType="comment" targetId={comment._id} />
+                </Box>
+              )}
+          </Box>
+
+          {editing ? (
+            <Box sx={{ mt: 1 }}>
+              <MentionInput
+                fullWidth
+                multiline
+                rows={2}
+                value={editContent}
+                onChange={setEditContent}
+                sx={{ mb: 1 }}
+              />
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="contained"
+                  size="small"
+                  onClick={handleUpdate}
+                  disabled={!editContent.trim() || updateCommentMutation.isPending}
+                >
+                  {updateCommentMutation.isPending ? 'Saving...' : 'Save'}
+                </Button>
+                <Button variant="outlined" size="small" onClick={() => setEditing(false)}>
+                  Cancel
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            <Typography
+              variant="body2"
+              color={
+                comment.isDeleted || comment.isHidden || comment.isMuted
+                  ? 'text.secondary'
+                  : 'text.primary'
+              }
+              sx={{
+                whiteSpace: 'pre-wrap',
+                fontStyle:
+                  comment.isDeleted || comment.isHidden || comment.isMuted ? 'italic' : undefined,
+              }}
+            >
+              {comment.isMuted ? (
+                'Comment from a muted user'
+              ) : (
+                <MentionText text={comment.content} mentions={comment.mentions} />
+              )}
+            </Typography>
+          )}
+
+          {mutationError && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {mutationError}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+            {currentUserId && canReplyToComment(comment) && (
+              <Button size="small" startIcon={<ReplyIcon />} onClick={() => setReplying(!replying)}>
+                Reply
+              </Button>
+            )}
+            {replyCount > 0 && (
+              <Button
+                size="small"
+                startIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                onClick={() => setExpanded(!expanded)}
+                aria-expanded={expanded}
+              >
+                {getReplyToggleLabel(replyCount, expanded)}
+              </Button>
+            )}
+          </Box>
+
+          {replying && (
+            <Box component="form" onSubmit={handleReply} sx={{ mt: 1 }}>
+              <MentionInput
+                fullWidth
+                multiline
+                rows={2}
+                autoFocus
+                placeholder={`Reply to ${author?.username || 'comment'}...`}
+                value={replyContent}
+                onChange={setReplyContent}
+                sx={{ mb: 1 }}
+              />
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  size="small"
+                  endIcon={<SendIcon />}
+                  disabled={!replyContent.trim() || replyMutation.isPending}
+                >
+                  {replyMutation.isPending ? 'Posting...' : 'Reply'}
+                </Button>
+                <Button variant="outlined" size="small" onClick={() => setReplying(false)}>
+                  Cancel
+                </Button>
+              </Box>
+            </Box>
+          )}
+
+          {/* Replies are only fetched once the thread is expanded */}
+          <Collapse in={expanded} unmountOnExit>
+            <Box sx={{ borderLeft: 2, borderColor: 'divider', pl: 2 }}>
+              <CommentReplies
+                parentId={comment._id}
+                projectId={projectId}
+                currentUserId={currentUserId}
+              />
+            </Box>
+          </Collapse>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
 const Comments: React.FC<CommentsProps> = ({ projectId }) => {
   // Auth and data fetching
   const { user } = useAuth();
   const {
-    data: comments = [],
+    data,
     isLoading: loading,
     error,
     refetch: refetchComments,
-  } = useComments(projectId) as {
-    data: CommentApiResponse[];
-    isLoading: boolean;
-    error: Error | null;
-    refetch: () => void;
-  };
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+  } = useComments(projectId);
+  const comments = flattenCommentPages(data);
 
   // Mutations
   const createCommentMutation = useCreateComment();
-  const updateCommentMutation = useUpdateComment();
-  const deleteCommentMutation = useDeleteComment();
 
   // Local state
   const [newComment, setNewComment] = useState<string>('');
-  const [editingComment, setEditingComment] = useState<string | null>(null);
-  const [editContent, setEditContent] = useState<string>('');
 
   const handleAddComment = (e: FormEvent<HTMLFormElement>): void => {
     e.preventDefault();
@@ -76,71 +344,12 @@ const Comments: React.FC<CommentsProps> = ({ projectId }) => {
           content: newComment,
         },
         {
-          onSuccess: (data) => {
-            console.log('✅ Comment added successfully:', data);
-            setNewComment('');
-          },
-          onError: (error) => {
-            console.error('❌ Failed to add comment:', error);
-          },
-        }
-      );
-    }
-  };
-
-  const handleUpdateComment = (commentId: string): void => {
-    if (editContent.trim()) {
-      updateCommentMutation.mutate(
-        {
-          commentId,
-          commentData: {
-            projectId,
-            content: editContent,
-          },
-        },
-        {
-          onSuccess: (data) => {
-            console.log('✅ Comment updated successfully:', data);
-            setEditingComment(null);
-            setEditContent('');
-          },
-          onError: (error) => {
-            console.error('❌ Failed to update comment:', error);
-          },
+          onSuccess: () => setNewComment(''),
         }
       );
     }
   };
 
-  const handleDeleteComment = (commentId: string): void => {
-    if (window.confirm('Are you sure you want to delete this comment?')) {
-      deleteCommentMutation.mutate(
-        {
-          projectId,
-          commentId,
-        },
-        {
-          onSuccess: (data) => {
-            console.log('✅ Comment deleted successfully:', data);
-          },
-          onError: (error) => {
-            console.error('❌ Failed to delete comment:', error);
-          },
-        }
-      );
-    }
-  };
-
-  const startEditing = (comment: CommentApiResponse): void => {
-    setEditingComment(comment._id);
-    setEditContent(comment.content);
-  };
-
-  const cancelEditing = (): void => {
-    setEditingComment(null);
-    setEditContent('');
-  };
-
   // Get the current user's ID, handling both 'id' and '_id' formats
   const getCurrentUserId = (): string | undefined => {
     if (!user) return undefined;
@@ -149,8 +358,8 @@ const Comments: React.FC<CommentsProps> = ({ projectId }) => {
 
   if (loading) {
     return (
-      <Box sx={{ mt: 4 }}>
-        <Typography variant="h6" gutterBottom>
+      <Box>
+        <Typography variant="h5" gutterBottom>
           Comments
         </Typography>
         <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
@@ -161,19 +370,18 @@ const Comments: React.FC<CommentsProps> = ({ projectId }) => {
   }
 
   if (error) {
-    const errorObj = error as Error & { response?: { data?: { message?: string } } };
     return (
-      <Box sx={{ mt: 4 }}>
-        <Typography variant="h6" gutterBottom>
+      <Box>
+        <Typography variant="h5" gutterBottom>
           Comments
         </Typography>
         <Alert severity="error" sx={{ mb: 3 }}>
           <Typography variant="h6" gutterBottom>
             Error Loading Comments
           </Typography>
-          {errorObj?.response?.data?.message || errorObj?.message || 'Failed to load comments'}
+          {getErrorMessage(error) || 'Failed to load comments'}
         </Alert>
-        <Button variant="contained" onClick={refetchComments}>
+        <Button variant="contained" onClick={() => refetchComments()}>
           Try Again
         </Button>
       </Box>
@@ -183,112 +391,67 @@ const Comments: React.FC<CommentsProps> = ({ projectId }) => {
   const currentUserId = getCurrentUserId();
 
   return (
-    <Box sx={{ mt: 4 }}>
-      <Typography variant="h6" gutterBottom>
+    <Box>
+      <Typography variant="h5" gutterBottom>
         Comments
       </Typography>
 
       {/* Add Comment Form */}
-      <Paper sx={{ p: 2, mb: 3 }}>
-        <form onSubmit={handleAddComment}>
-          <TextField
-            fullWidth
-            multiline
-            rows={2}
-            placeholder="Add a comment..."
-            value={newComment}
-            onChange={(e: ChangeEvent<HTMLInputElement>) => setNewComment(e.target.value)}
-            sx={{ mb: 1 }}
-          />
-          <Button
-            type="submit"
-            variant="contained"
-            endIcon={<SendIcon />}
-            disabled={!newComment.trim() || createCommentMutation.isPending}
-          >
-            {createCommentMutation.isPending ? 'Posting...' : 'Post Comment'}
-          </Button>
-        </form>
-      </Paper>
-
-      {/* Comments List */}
-      <List>
-        {comments.map((comment) => (
-          <React.Fragment key={comment._id}>
-            <ListItem
-              alignItems="flex-start"
-              sx={{
-                flexDirection: 'column',
-                alignItems: 'flex-start',
-                mb: 2,
-              }}
+      {user && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <form onSubmit={handleAddComment}>
+            <MentionInput
+              fullWidth
+              multiline
+              rows={3}
+              placeholder="Write a comment... Use @ to mention someone"
+              value={newComment}
+              onChange={setNewComment}
+              sx={{ mb: 1 }}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              endIcon={<SendIcon />}
+              disabled={!newComment.trim() || createCommentMutation.isPending}
             >
-              <Box sx={{ display: 'flex', width: '100%', mb: 1 }}>
-                <ListItemAvatar>
-                  <Avatar src={comment.author.avatar}>{comment.author.name[0]}</Avatar>
-                </ListItemAvatar>
-                <ListItemText
-                  primary={<Typography variant="subtitle1">{comment.author.name}</Typography>}
-                  secondary={
-                    <Typography variant="caption" color="text.secondary">
-                      {new Date(comment.createdAt).toLocaleString()}
-                    </Typography>
-                  }
-                />
-                {user && currentUserId === comment.author._id && (
-                  <Box>
-                    <IconButton
-                      size="small"
-                      onClick={() => startEditing(comment)}
-                      disabled={editingComment === comment._id || updateCommentMutation.isPending}
-                    >
-                      <EditIcon />
-                    </IconButton>
-                    <IconButton
-                      size="small"
-                      onClick={() => handleDeleteComment(comment._id)}
-                      disabled={deleteCommentMutation.isPending}
-                    >
-                      <DeleteIcon />
-                    </IconButton>
-                  </Box>
-                )}
-              </Box>
+              {createCommentMutation.isPending ? 'Posting...' : 'Post Comment'}
+            </Button>
+          </form>
+          {createCommentMutation.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {getErrorMessage(createCommentMutation.error)}
+            </Alert>
+          )}
+        </Paper>
+      )}
 
-              {editingComment === comment._id ? (
-                <Box sx={{ width: '100%', mt: 1 }}>
-                  <TextField
-                    fullWidth
-                    multiline
-                    rows={2}
-                    value={editContent}
-                    onChange={(e: ChangeEvent<HTMLInputElement>) => setEditContent(e.target.value)}
-                    sx={{ mb: 1 }}
-                  />
-                  <Box sx={{ display: 'flex', gap: 1 }}>
-                    <Button
-                      variant="contained"
-                      size="small"
-                      onClick={() => handleUpdateComment(comment._id)}
-                      disabled={!editContent.trim() || updateCommentMutation.isPending}
-                    >
-                      {updateCommentMutation.isPending ? 'Saving...' : 'Save'}
-                    </Button>
-                    <Button variant="outlined" size="small" onClick={cancelEditing}>
-                      Cancel
-                    </Button>
-                  </Box>
-                </Box>
-              ) : (
-                <Typography variant="body1" sx={{ ml: 7, whiteSpace: 'pre-wrap' }}>
-                  {comment.content}
-                </Typography>
-              )}
-            </ListItem>
-            <Divider />
-          </React.Fragment>
-        ))}
-      </List>
+      {/* Comment Threads */}
+      {comments.length === 0 ? (
+        <Box sx={{ py: 2 }}>
+          <Typography variant="subtitle1">No comments yet</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Be the first to comment on this project!
+          </Typography>
+        </Box>
+      ) : (
+        comments.map((comment) => (
+          <CommentThread
+            key={comment._id}
+            comment={comment}
+            projectId={projectId}
+            currentUserId={currentUserId}
+          />
+        ))
+      )}
+
+      {hasNextPage && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Button variant="outlined" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+            {isFetchingNextPage ? 'Loading...' : 'Load more comments'}
+          </Button>
+        </Box>
+      )}
     </Box>
   );
 };
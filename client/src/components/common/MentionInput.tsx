@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState, type ChangeEvent, type KeyboardEvent } from 'react';
+import {
+  TextField,
+  Popper,
+  Paper,
+  MenuList,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  ClickAwayListener,
+  type TextFieldProps,
+} from '@mui/material';
+import Avatar from './Avatar';
+import { useMentionSuggestions } from '../../hooks/users';
+import { getActiveMentionQuery, insertMention, type ActiveMention } from '../../utils/mentions';
+
+// Wait for a pause in typing before asking the server for suggestions
+const SUGGESTION_DELAY_MS = 200;
+
+type MentionInputProps = Omit<TextFieldProps, 'value' | 'onChange' | 'inputRef'> & {
+  value: string;
+  onChange: (value: string) => void;
+};
+
+// Multiline text field that suggests users to @mention while typing
+// Arrow keys move through the suggestions; Enter or Tab inserts the highlighted one
+const MentionInput: React.FC<MentionInputProps> = ({ value, onChange, onKeyDown, ...props }) => {
+  const inputRef = useRef<HTMLInputElement | HTMLTextAreaElement | null>(null);
+  const [mention, setMention] = useState<ActiveMention | null>(null);
+  const [query, setQuery] = useState<string | null>(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(mention?.query || null), SUGGESTION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [mention?.query]);
+
+  const { data: suggestions = [] } = useMentionSuggestions(query);
+  const open = !!mention && !!query && suggestions.length > 0;
+
+  const updateMention = (text: string, caret: number): void => {
+    setMention(getActiveMentionQuery(text, caret));
+    setHighlighted(0);
+  };
+
+  const handleChange = (e: ChangeEvent<HTMLInputElement | HTMLTextAreaElement>): void => {
+    onChange(e.target.value);
+    updateMention(e.target.value, e.target.selectionStart ?? e.target.value.length);
+  };
+
+  const selectSuggestion = (username: string): void => {
+    const input = inputRef.current;
+    if (!mention || !input) return;
+
+    const caret = input.selectionStart ?? value.length;
+    const result = insertMention(value, mention, caret, username);
+    onChange(result.text);
+    setMention(null);
+
+    // Restore the caret after React re-renders the new value
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(result.caret, result.caret);
+    });
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLDivElement>): void => {
+    if (open) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((index) => (index + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectSuggestion(suggestions[Math.min(highlighted, suggestions.length - 1)].username);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <>
+      <TextField
+        {...props}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => {
+          const target = e.target as HTMLInputElement;
+          updateMention(value, target.selectionStart ?? value.length);
+        }}
+        inputRef={inputRef}
+        inputProps={{
+          ...props.inputProps,
+          'aria-autocomplete': 'list',
+          'aria-expanded': open,
+        }}
+      />
+      <Popper
+        open={open}
+        anchorEl={() => inputRef.current as HTMLElement}
+        placement="bottom-start"
+        sx={{ zIndex: (theme) => theme.zIndex.modal + 1 }}
+      >
+        <ClickAwayListener onClickAway={() => setMention(null)}>
+          <Paper elevation={4}>
+            <MenuList dense role="listbox" aria-label="Mention suggestions">
+              {suggestions.map((user, index) => (
+                <MenuItem
+                  key={user._id}
+                  role="option"
+                  selected={index === highlighted}
+                  aria-selected={index === highlighted}
+                  // Keep focus in the text field so the caret position is preserved
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => selectSuggestion(user.username)}
+                >
+                  <ListItemIcon>
+                    <Avatar user={user} size="xs" />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={`@${user.username}`}
+                    secondary={[user.firstName, user.lastName].filter(Boolean).join(' ') || null}
+                  />
+                </MenuItem>
+              ))}
+            </MenuList>
+          </Paper>
+        </ClickAwayListener>
+      </Popper>
+    </>
+  );
+};
+
+export default MentionInput;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Link } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { splitMentions, getMemberProfilePath } from '../../utils/mentions';
+import type { MentionedUser } from '../../types';
+
+interface MentionTextProps {
+  text: string;
+  mentions?: MentionedUser[];
+}
+
+// Render comment or message content with @mentions linked to the member's profile
+const MentionText: React.FC<MentionTextProps> = ({ text, mentions }) => (
+  <>
+    {splitMentions(text, mentions).map((segment, index) =>
+      segment.type === 'mention' ? (
+        <Link
+          key={index}
+          component={RouterLink}
+          to={getMemberProfilePath(segment.user._id)}
+          underline="hover"
+          fontWeight={500}
+        >
+          {segment.text}
+        </Link>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    )}
+  </>
+);
+
+export default MentionText;
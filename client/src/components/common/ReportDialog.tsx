@@ -0,0 +1,168 @@
+import React, { useState, type FormEvent } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  Radio,
+  RadioGroup,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import { Flag as FlagIcon } from '@mui/icons-material';
+import { useCreateReport } from '../../hooks/reports';
+import type { ReportReason, ReportTargetType } from '../../types';
+import {
+  REPORT_REASON_LABELS,
+  REPORT_TARGET_LABELS,
+  MAX_REPORT_DETAILS_LENGTH,
+} from '../../utils/moderation';
+
+const REASONS = Object.keys(REPORT_REASON_LABELS) as ReportReason[];
+
+const getErrorMessage = (err: unknown): string => {
+  const axiosError = err as { response?: { data?: { message?: string } }; message?: string };
+  return axiosError?.response?.data?.message || axiosError?.message || 'Unknown error';
+};
+
+interface ReportDialogProps {
+  open: boolean;
+  targetType: ReportTargetType;
+  targetId: string;
+  onClose: () => void;
+}
+
+// Form dialog for reporting content to moderators
+// Remount with a new key to reset the form for different content
+const ReportDialog: React.FC<ReportDialogProps> = ({ open, targetType, targetId, onClose }) => {
+  const [reason, setReason] = useState<ReportReason | ''>('');
+  const [details, setDetails] = useState('');
+  const createReport = useCreateReport();
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    if (!reason) return;
+    createReport.mutate({
+      targetType,
+      targetId,
+      reason,
+      details: details.trim() || undefined,
+    });
+  };
+
+  const targetLabel = REPORT_TARGET_LABELS[targetType].toLowerCase();
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Report {targetLabel}</DialogTitle>
+        <DialogContent>
+          {createReport.isSuccess ? (
+            <Alert severity="success">{createReport.data.message}</Alert>
+          ) : (
+            <>
+              <DialogContentText sx={{ mb: 2 }}>
+                Why are you reporting this {targetLabel}? Moderators will review your report.
+              </DialogContentText>
+              {createReport.isError && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {getErrorMessage(createReport.error)}
+                </Alert>
+              )}
+              <RadioGroup
+                value={reason}
+                onChange={(e) => setReason(e.target.value as ReportReason)}
+              >
+                {REASONS.map((value) => (
+                  <FormControlLabel
+                    key={value}
+                    value={value}
+                    control={<Radio />}
+                    label={REPORT_REASON_LABELS[value]}
+                  />
+                ))}
+              </RadioGroup>
+              <TextField
+                label="Details (optional)"
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                multiline
+                minRows={3}
+                fullWidth
+                margin="normal"
+                inputProps={{ maxLength: MAX_REPORT_DETAILS_LENGTH }}
+                helperText={`${details.length}/${MAX_REPORT_DETAILS_LENGTH}`}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {createReport.isSuccess ? (
+            <Button onClick={onClose}>Close</Button>
+          ) : (
+            <>
+              <Button onClick={onClose}>Cancel</Button>
+              <Button
+                type="submit"
+                variant="contained"
+                color="error"
+                disabled={!reason || createReport.isPending}
+              >
+                {createReport.isPending ? 'Reporting...' : 'Report'}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+interface ReportButtonProps {
+  targetType: ReportTargetType;
+  targetId: string;
+  size?: 'small' | 'medium';
+}
+
+// Flag icon that opens the report dialog
+export const ReportButton: React.FC<ReportButtonProps> = ({
+  targetType,
+  targetId,
+  size = 'small',
+}) => {
+  const [open, setOpen] = useState(false);
+  // Bumped on each open so the dialog starts with an empty form
+  const [dialogKey, setDialogKey] = useState(0);
+  const label = `Report ${REPORT_TARGET_LABELS[targetType].toLowerCase()}`;
+
+  return (
+    <>
+      <Tooltip title={label}>
+        <IconButton
+          size={size}
+          aria-label={label}
+          onClick={() => {
+            setDialogKey((key) => key + 1);
+            setOpen(true);
+          }}
+        >
+          <FlagIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <ReportDialog
+        key={dialogKey}
+        open={open}
+        targetType={targetType}
+        targetId={targetId}
+        onClose={() => setOpen(false)}
+      />
+    </>
+  );
+};
+
+export default ReportDialog;
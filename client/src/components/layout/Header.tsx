@@ -14,26 +14,30 @@ import {
 } from '@mui/material';
 import { Menu as MenuIcon, Message as MessageIcon } from '@mui/icons-material';
 import { useAuth, useLogout } from '../../hooks/auth';
-import { useMessages } from '../../hooks/users/useMessaging';
+import { useUnreadMessageCount } from '../../hooks/conversations';
 import { useMyProfile } from '../../hooks/users';
 import Avatar from '../common/Avatar';
+import NotificationMenu from './NotificationMenu';
+import { useRealtimeEvents } from '../../hooks/realtime';
 import logger from '../../utils/logger';
+import { hasAdminAccess } from '../../utils/roles';
 
 const Header: FC = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user } = useAuth();
   const logoutMutation = useLogout();
 
+  // Keep notifications, messages and comments up to date while signed in
+  useRealtimeEvents(isAuthenticated, user?.id);
+
   // Get user profile for avatar (only fetch if authenticated)
   const { data: profile } = useMyProfile({
     enabled: isAuthenticated,
   });
 
   // Get unread message count
-  const { data: inboxMessages = [] } = useMessages('inbox', {
-    enabled: isAuthenticated, // Only fetch if authenticated
-  });
-  const unreadCount = inboxMessages.filter((msg) => !msg.isRead).length;
+  const { data: unreadMessages } = useUnreadMessageCount(isAuthenticated);
+  const unreadCount = unreadMessages?.count ?? 0;
 
   // Only log in development
   if (process.env.NODE_ENV === 'development') {
@@ -135,11 +139,14 @@ const Header: FC = () => {
                   <MessageIcon />
                 </Badge>
               </IconButton>
+              <NotificationMenu />
               <Button color="inherit" component={RouterLink} to="/dashboard">
                 Dashboard
               </Button>
               {/* Admin Panel Link - only show for admins and moderators */}
-              {(user?.role === 'admin' || user?.role === 'moderator') && (
+              {(user?.role === 'admin' ||
+                user?.role === 'moderator' ||
+                hasAdminAccess(user?.permissions)) && (
                 <Button
                   color="inherit"
                   component={RouterLink}
@@ -187,7 +194,12 @@ const Header: FC = () => {
                 <MenuItem component={RouterLink} to="/profile" onClick={handleClose}>
                   Profile
                 </MenuItem>
-                <MenuItem onClick={handleLogout} data-testid="logout-button">Logout</MenuItem>
+                <MenuItem component={RouterLink} to="/settings" onClick={handleClose}>
+                  Settings
+                </MenuItem>
+                <MenuItem onClick={handleLogout} data-testid="logout-button">
+                  Logout
+                </MenuItem>
               </Menu>
             </>
           ) : (
@@ -0,0 +1,65 @@
+import React, { FC, useEffect, useState } from 'react';
+import { Alert, AlertTitle, Button, CircularProgress } from '@mui/material';
+import { useAuth, useEndImpersonation } from '../../hooks/auth';
+import { getImpersonationTimeLeft } from '../../utils/impersonation';
+
+const TICK_MS = 15 * 1000;
+
+// Shown on every page while an admin is signed in as another user
+// Switches back to the admin's own session by itself once the time is up
+const ImpersonationBanner: FC = () => {
+  const { user } = useAuth();
+  const endImpersonation = useEndImpersonation();
+  const [now, setNow] = useState(() => new Date());
+
+  const impersonation = user?.impersonation;
+  const isOver = !!impersonation && new Date(impersonation.endsAt) <= now;
+
+  useEffect(() => {
+    if (!impersonation) return undefined;
+    const timer = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [impersonation]);
+
+  const { isIdle, mutate } = endImpersonation;
+  useEffect(() => {
+    if (isOver && isIdle) {
+      mutate();
+    }
+  }, [isOver, isIdle, mutate]);
+
+  if (!user || !impersonation) return null;
+
+  return (
+    <Alert
+      severity="warning"
+      variant="filled"
+      square
+      role="status"
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          variant="outlined"
+          onClick={() => endImpersonation.mutate()}
+          disabled={endImpersonation.isPending}
+        >
+          {endImpersonation.isPending ? (
+            <CircularProgress size={16} color="inherit" />
+          ) : (
+            'End impersonation'
+          )}
+        </Button>
+      }
+    >
+      <AlertTitle>
+        You are signed in as {user.username} ({user.email})
+      </AlertTitle>
+      Impersonation started by {impersonation.by.username}. Everything you do is recorded in the
+      audit log. Password, email and two-factor settings cannot be changed.{' '}
+      {getImpersonationTimeLeft(impersonation.endsAt, now)}.
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
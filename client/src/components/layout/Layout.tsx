@@ -2,6 +2,7 @@ import React, { memo, FC, ReactNode } from 'react';
 import { Box } from '@mui/material';
 import Header from './Header';
 import Footer from './Footer';
+import ImpersonationBanner from './ImpersonationBanner';
 
 interface LayoutProps {
   children: ReactNode;
@@ -16,6 +17,7 @@ const Layout: FC<LayoutProps> = memo(({ children }) => {
         minHeight: '100vh',
       }}
     >
+      <ImpersonationBanner />
       <Header />
       <Box
         component="main"
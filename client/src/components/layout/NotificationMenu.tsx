@@ -0,0 +1,178 @@
+import React, { FC, useState, MouseEvent } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Badge,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Notifications as NotificationsIcon,
+  GroupAdd as GroupAddIcon,
+  CheckCircle as CheckCircleIcon,
+  Cancel as CancelIcon,
+  Comment as CommentIcon,
+  Reply as ReplyIcon,
+  AlternateEmail as MentionIcon,
+  Mail as MailIcon,
+  GppMaybe as SecurityAlertIcon,
+  Flag as ReportUpdateIcon,
+  ReportProblem as ModerationWarningIcon,
+} from '@mui/icons-material';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  useNotifications,
+  useUnreadNotificationCount,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+  flattenNotificationPages,
+} from '../../hooks/notifications';
+import type { Notification, NotificationType } from '../../types';
+
+const NOTIFICATION_ICONS: Record<NotificationType, React.ReactElement> = {
+  collaboration_request: <GroupAddIcon fontSize="small" color="primary" />,
+  collaboration_accepted: <CheckCircleIcon fontSize="small" color="success" />,
+  collaboration_rejected: <CancelIcon fontSize="small" color="error" />,
+  comment: <CommentIcon fontSize="small" color="action" />,
+  comment_reply: <ReplyIcon fontSize="small" color="action" />,
+  mention: <MentionIcon fontSize="small" color="secondary" />,
+  message: <MailIcon fontSize="small" color="action" />,
+  security_alert: <SecurityAlertIcon fontSize="small" color="warning" />,
+  report_update: <ReportUpdateIcon fontSize="small" color="action" />,
+  moderation_warning: <ModerationWarningIcon fontSize="small" color="error" />,
+};
+
+// Bell in the header with the unread count and a menu of recent notifications
+// Clicking a notification marks it read and opens what it refers to
+const NotificationMenu: FC = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const open = Boolean(anchorEl);
+
+  const { data: unread } = useUnreadNotificationCount();
+  const { data, isLoading, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useNotifications(open);
+  const markReadMutation = useMarkNotificationRead();
+  const markAllReadMutation = useMarkAllNotificationsRead();
+
+  const unreadCount = unread?.count ?? 0;
+  const notifications = flattenNotificationPages(data);
+
+  const handleOpen = (event: MouseEvent<HTMLElement>): void => {
+    setAnchorEl(event.currentTarget);
+  };
+
+  const handleClose = (): void => {
+    setAnchorEl(null);
+  };
+
+  const handleSelect = (notification: Notification): void => {
+    if (!notification.isRead) markReadMutation.mutate(notification._id);
+    handleClose();
+    navigate(notification.link);
+  };
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton
+          color="inherit"
+          aria-label={`Notifications${unreadCount > 0 ? `, ${unreadCount} unread` : ''}`}
+          aria-controls={open ? 'notification-menu' : undefined}
+          aria-haspopup="true"
+          aria-expanded={open}
+          onClick={handleOpen}
+        >
+          <Badge badgeContent={unreadCount} color="error" max={99} aria-hidden="true">
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Menu
+        id="notification-menu"
+        anchorEl={anchorEl}
+        open={open}
+        onClose={handleClose}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        slotProps={{ paper: { sx: { width: 360, maxHeight: 480 } } }}
+      >
+        <Box
+          sx={{
+            px: 2,
+            py: 1,
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+          }}
+        >
+          <Typography variant="subtitle1" fontWeight={600}>
+            Notifications
+          </Typography>
+          <Button
+            size="small"
+            onClick={() => markAllReadMutation.mutate()}
+            disabled={unreadCount === 0 || markAllReadMutation.isPending}
+          >
+            Mark all as read
+          </Button>
+        </Box>
+        <Divider />
+
+        {isLoading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {!isLoading && notifications.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 2 }}>
+            No notifications yet.
+          </Typography>
+        )}
+
+        {notifications.map((notification) => (
+          <MenuItem
+            key={notification._id}
+            onClick={() => handleSelect(notification)}
+            sx={{
+              whiteSpace: 'normal',
+              alignItems: 'flex-start',
+              bgcolor: notification.isRead ? undefined : 'action.hover',
+            }}
+          >
+            <ListItemIcon sx={{ mt: 0.5 }}>{NOTIFICATION_ICONS[notification.type]}</ListItemIcon>
+            <ListItemText
+              primary={notification.message}
+              secondary={formatDistanceToNow(new Date(notification.createdAt), {
+                addSuffix: true,
+              })}
+              primaryTypographyProps={{
+                variant: 'body2',
+                fontWeight: notification.isRead ? 400 : 600,
+              }}
+            />
+          </MenuItem>
+        ))}
+
+        {hasNextPage && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+            <Button size="small" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+              {isFetchingNextPage ? 'Loading...' : 'Load more'}
+            </Button>
+          </Box>
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationMenu;
@@ -0,0 +1,202 @@
+import React, { useEffect, useRef, useState, type KeyboardEvent } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  Paper,
+  Typography,
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon, Send as SendIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import Avatar from '../common/Avatar';
+import MentionInput from '../common/MentionInput';
+import MentionText from '../common/MentionText';
+import { ReportButton } from '../common/ReportDialog';
+import {
+  useConversationMessages,
+  useSendConversationMessage,
+  useMarkConversationRead,
+} from '../../hooks/conversations';
+import {
+  getChatMessages,
+  getOtherParticipant,
+  getParticipantName,
+} from '../../utils/conversations';
+import type { Conversation } from '../../types';
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+interface ChatViewProps {
+  conversation: Conversation;
+  currentUserId?: string;
+  onBack?: () => void;
+}
+
+// Messages in a conversation, oldest at the top, with a composer at the bottom
+// Enter sends; Shift+Enter starts a new line
+const ChatView: React.FC<ChatViewProps> = ({ conversation, currentUserId, onBack }) => {
+  const [draft, setDraft] = useState('');
+  const bottomRef = useRef<HTMLDivElement | null>(null);
+
+  const { data, isLoading, error, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useConversationMessages(conversation._id);
+  const sendMutation = useSendConversationMessage(conversation._id);
+  const { mutate: markRead } = useMarkConversationRead();
+
+  const messages = getChatMessages(data);
+  const latestId = messages[messages.length - 1]?._id;
+  const other = getOtherParticipant(conversation, currentUserId);
+
+  // Opening the conversation (or receiving a message while it is open) reads it
+  useEffect(() => {
+    if (conversation.unreadCount > 0) markRead(conversation._id);
+  }, [conversation._id, conversation.unreadCount, markRead]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [latestId]);
+
+  const handleSend = (): void => {
+    const content = draft.trim();
+    if (!content || sendMutation.isPending) return;
+    sendMutation.mutate(content, { onSuccess: () => setDraft('') });
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLDivElement>): void => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <Paper sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      {/* Header */}
+      <Box display="flex" alignItems="center" gap={1.5} p={2}>
+        {onBack && (
+          <IconButton onClick={onBack} size="small" aria-label="Back to conversations">
+            <ArrowBackIcon />
+          </IconButton>
+        )}
+        <Avatar user={other} size="md" />
+        <Box minWidth={0}>
+          <Typography variant="subtitle1" noWrap>
+            {getParticipantName(other)}
+          </Typography>
+          {other && (
+            <Typography variant="caption" color="text.secondary">
+              @{other.username}
+            </Typography>
+          )}
+        </Box>
+      </Box>
+      <Divider />
+
+      {/* Messages */}
+      <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+        {hasNextPage && (
+          <Box display="flex" justifyContent="center" mb={2}>
+            <Button size="small" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+              {isFetchingNextPage ? 'Loading...' : 'Load earlier messages'}
+            </Button>
+          </Box>
+        )}
+
+        {isLoading && (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {error && <Alert severity="error">Failed to load messages: {error.message}</Alert>}
+
+        {messages.map((message) => {
+          const mine = message.sender._id === currentUserId;
+          return (
+            <Box
+              key={message._id}
+              display="flex"
+              justifyContent={mine ? 'flex-end' : 'flex-start'}
+              alignItems="center"
+              gap={0.5}
+              mb={1}
+            >
+              <Box
+                sx={{
+                  maxWidth: '75%',
+                  px: 1.5,
+                  py: 1,
+                  borderRadius: 2,
+                  bgcolor: mine ? 'primary.main' : 'action.hover',
+                  color: mine ? 'primary.contrastText' : 'text.primary',
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word',
+                }}
+              >
+                {message.subject && (
+                  <Typography variant="caption" fontWeight={600} display="block">
+                    {message.subject}
+                  </Typography>
+                )}
+                <Typography
+                  variant="body2"
+                  component="div"
+                  sx={message.isHidden ? { fontStyle: 'italic', opacity: 0.7 } : undefined}
+                >
+                  <MentionText text={message.content} mentions={message.mentions} />
+                </Typography>
+                <Typography
+                  variant="caption"
+                  display="block"
+                  textAlign="right"
+                  sx={{ opacity: 0.7, mt: 0.5 }}
+                >
+                  {format(new Date(message.createdAt), 'PP p')}
+                </Typography>
+              </Box>
+              {!mine && !message.isHidden && (
+                <ReportButton targetType="message" targetId={message._id} />
+              )}
+            </Box>
+          );
+        })}
+        <div ref={bottomRef} />
+      </Box>
+      <Divider />
+
+      {/* Composer */}
+      <Box display="flex" alignItems="flex-end" gap={1} p={2}>
+        <MentionInput
+          fullWidth
+          multiline
+          maxRows={6}
+          size="small"
+          placeholder="Write a message... (Use @ to mention someone)"
+          value={draft}
+          onChange={setDraft}
+          onKeyDown={handleKeyDown}
+          inputProps={{ maxLength: MAX_MESSAGE_LENGTH, 'aria-label': 'Message' }}
+        />
+        <IconButton
+          color="primary"
+          onClick={handleSend}
+          disabled={!draft.trim() || sendMutation.isPending}
+          aria-label="Send message"
+        >
+          {sendMutation.isPending ? <CircularProgress size={20} /> : <SendIcon />}
+        </IconButton>
+      </Box>
+      {sendMutation.error && (
+        <Alert severity="error" sx={{ mx: 2, mb: 2 }}>
+          {sendMutation.error.message || 'Failed to send message'}
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+export default ChatView;
@@ -0,0 +1,122 @@
+import React from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  List,
+  ListItemAvatar,
+  ListItemButton,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import { formatDistanceToNow } from 'date-fns';
+import Avatar from '../common/Avatar';
+import { getOtherParticipant, getParticipantName } from '../../utils/conversations';
+import type { Conversation } from '../../types';
+
+interface ConversationListProps {
+  conversations: Conversation[];
+  currentUserId?: string;
+  selectedId: string | null;
+  loading: boolean;
+  hasMore: boolean;
+  loadingMore: boolean;
+  onSelect: (conversationId: string) => void;
+  onLoadMore: () => void;
+}
+
+// List of the current user's conversations with a preview of the latest message
+const ConversationList: React.FC<ConversationListProps> = ({
+  conversations,
+  currentUserId,
+  selectedId,
+  loading,
+  hasMore,
+  loadingMore,
+  onSelect,
+  onLoadMore,
+}) => {
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (conversations.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+        No conversations yet. Start one with the New Message button.
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <List disablePadding>
+        {conversations.map((conversation) => {
+          const other = getOtherParticipant(conversation, currentUserId);
+          const preview = conversation.lastMessage;
+          const fromMe = preview?.sender === currentUserId;
+
+          return (
+            <ListItemButton
+              key={conversation._id}
+              selected={conversation._id === selectedId}
+              onClick={() => onSelect(conversation._id)}
+              alignItems="flex-start"
+            >
+              <ListItemAvatar>
+                <Badge
+                  color="primary"
+                  badgeContent={conversation.unreadCount}
+                  max={99}
+                  overlap="circular"
+                >
+                  <Avatar user={other} size="md" />
+                </Badge>
+              </ListItemAvatar>
+              <ListItemText
+                primary={
+                  <Box display="flex" justifyContent="space-between" gap={1}>
+                    <Typography
+                      variant="subtitle2"
+                      noWrap
+                      fontWeight={conversation.unreadCount > 0 ? 700 : 500}
+                    >
+                      {getParticipantName(other)}
+                    </Typography>
+                    {conversation.lastMessageAt && (
+                      <Typography variant="caption" color="text.secondary" noWrap>
+                        {formatDistanceToNow(new Date(conversation.lastMessageAt), {
+                          addSuffix: true,
+                        })}
+                      </Typography>
+                    )}
+                  </Box>
+                }
+                secondary={preview ? `${fromMe ? 'You: ' : ''}${preview.content}` : undefined}
+                secondaryTypographyProps={{
+                  noWrap: true,
+                  fontWeight: conversation.unreadCount > 0 ? 600 : 400,
+                }}
+              />
+            </ListItemButton>
+          );
+        })}
+      </List>
+
+      {hasMore && (
+        <Box display="flex" justifyContent="center" py={1}>
+          <Button size="small" onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </Button>
+        </Box>
+      )}
+    </>
+  );
+};
+
+export default ConversationList;
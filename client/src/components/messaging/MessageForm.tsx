@@ -1,4 +1,4 @@
-import React, { useState, ChangeEvent, FormEvent } from 'react';
+import React, { useState, FormEvent } from 'react';
 import {
   Box,
   Button,
@@ -11,18 +11,17 @@ import {
 } from '@mui/material';
 import { Send as SendIcon } from '@mui/icons-material';
 import { useUsers } from '../../hooks/users';
-import { useSendMessage } from '../../hooks/users/useMessaging';
-import type { User, Message } from '../../types';
+import { useStartConversation } from '../../hooks/conversations';
+import MentionInput from '../common/MentionInput';
+import type { User } from '../../types';
 
 interface MessageFormData {
   recipientId: string;
-  subject: string;
   content: string;
 }
 
 interface FormErrors {
   recipientId?: string | null;
-  subject?: string | null;
   content?: string | null;
   submit?: string | null;
 }
@@ -30,21 +29,20 @@ interface FormErrors {
 interface MessageFormProps {
   recipientId?: string | null;
   recipientUser?: User | null;
-  replyToMessage?: Message | null;
-  onSuccess?: () => void;
+  // Receives the conversation the message was sent in
+  onSuccess?: (conversationId: string) => void;
   onCancel?: () => void;
 }
 
+// Sends a first message to a user, continuing the existing conversation with them if any
 const MessageForm: React.FC<MessageFormProps> = ({
   recipientId = null,
   recipientUser = null,
-  replyToMessage = null,
   onSuccess,
   onCancel,
 }) => {
   const [formData, setFormData] = useState<MessageFormData>({
     recipientId: recipientId || '',
-    subject: replyToMessage ? `Re: ${replyToMessage.subject}` : '',
     content: '',
   });
   const [selectedRecipient, setSelectedRecipient] = useState<User | null>(recipientUser);
@@ -54,12 +52,12 @@ const MessageForm: React.FC<MessageFormProps> = ({
   const { data: users = [], isLoading: loadingUsers } = useUsers();
 
   // Send message mutation
-  const sendMessageMutation = useSendMessage({
-    onSuccess: () => {
-      setFormData({ recipientId: '', subject: '', content: '' });
+  const sendMessageMutation = useStartConversation({
+    onSuccess: (data) => {
+      setFormData({ recipientId: '', content: '' });
       setSelectedRecipient(null);
       setErrors({});
-      if (onSuccess) onSuccess();
+      if (onSuccess) onSuccess(data.conversation._id);
     },
     onError: (error: Error) => {
       setErrors({ submit: error.message || 'Failed to send message' });
@@ -92,15 +90,9 @@ const MessageForm: React.FC<MessageFormProps> = ({
     if (!formData.recipientId) {
       newErrors.recipientId = 'Please select a recipient';
     }
-    if (!formData.subject.trim()) {
-      newErrors.subject = 'Subject is required';
-    }
     if (!formData.content.trim()) {
       newErrors.content = 'Message content is required';
     }
-    if (formData.subject.length > 100) {
-      newErrors.subject = 'Subject must be 100 characters or less';
-    }
     if (formData.content.length > 1000) {
       newErrors.content = 'Message must be 1000 characters or less';
     }
@@ -117,8 +109,7 @@ const MessageForm: React.FC<MessageFormProps> = ({
     }
 
     sendMessageMutation.mutate({
-      recipient: formData.recipientId,
-      subject: formData.subject.trim(),
+      recipientId: formData.recipientId,
       content: formData.content.trim(),
     });
   };
@@ -126,7 +117,7 @@ const MessageForm: React.FC<MessageFormProps> = ({
   return (
     <Paper sx={{ p: 3 }}>
       <Typography variant="h6" gutterBottom>
-        {replyToMessage ? 'Reply to Message' : 'Send New Message'}
+        Send New Message
       </Typography>
 
       <Box component="form" onSubmit={handleSubmit}>
@@ -161,32 +152,19 @@ const MessageForm: React.FC<MessageFormProps> = ({
           />
         )}
 
-        {/* Subject */}
-        <TextField
-          fullWidth
-          label="Subject"
-          value={formData.subject}
-          onChange={(e: ChangeEvent<HTMLInputElement>) =>
-            handleInputChange('subject', e.target.value)
-          }
-          error={!!errors.subject}
-          helperText={errors.subject || `${formData.subject.length}/100 characters`}
-          inputProps={{ maxLength: 100 }}
-          sx={{ mb: 2 }}
-        />
-
         {/* Content */}
-        <TextField
+        <MentionInput
           fullWidth
           label="Message"
           multiline
           rows={6}
           value={formData.content}
-          onChange={(e: ChangeEvent<HTMLTextAreaElement>) =>
-            handleInputChange('content', e.target.value)
-          }
+          onChange={(content: string) => handleInputChange('content', content)}
           error={!!errors.content}
-          helperText={errors.content || `${formData.content.length}/1000 characters`}
+          helperText={
+            errors.content ||
+            `${formData.content.length}/1000 characters · Use @ to mention someone`
+          }
           inputProps={{ maxLength: 1000 }}
           sx={{ mb: 2 }}
         />
@@ -0,0 +1,33 @@
+import React, { FC } from 'react';
+import { Box } from '@mui/material';
+import type { HighlightSegment } from '../../types';
+
+interface HighlightedTextProps {
+  segments: HighlightSegment[];
+  fallback?: string;
+}
+
+// Renders search highlight segments, marking the parts that matched the query
+const HighlightedText: FC<HighlightedTextProps> = ({ segments, fallback = '' }) => {
+  if (segments.length === 0) return <>{fallback}</>;
+
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <Box
+            key={index}
+            component="mark"
+            sx={{ bgcolor: 'warning.light', color: 'inherit', px: 0.25, borderRadius: 0.5 }}
+          >
+            {segment.text}
+          </Box>
+        ) : (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export default HighlightedText;
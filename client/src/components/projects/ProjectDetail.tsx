@@ -1,4 +1,4 @@
-import React, { useState, useMemo, type ChangeEvent, type FormEvent } from 'react';
+import React, { useState, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Container,
@@ -8,8 +8,6 @@ import {
   Grid,
   Chip,
   Button,
-  Divider,
-  TextField,
   List,
   ListItem,
   ListItemText,
@@ -23,11 +21,12 @@ import {
   Link,
   Alert,
   CircularProgress,
+  Tabs,
+  Tab,
 } from '@mui/material';
 import {
   Edit as EditIcon,
   Delete as DeleteIcon,
-  Send as SendIcon,
   GitHub as GitHubIcon,
   Language as LanguageIcon,
   CalendarToday as CalendarIcon,
@@ -40,15 +39,11 @@ import {
   useRequestCollaboration,
   useHandleCollaborationRequest,
 } from '../../hooks/projects';
-import { useComments, useCreateComment } from '../../hooks/comments';
-import type {
-  Project,
-  User,
-  UserSummary,
-  Collaborator,
-  CollaboratorStatus,
-  Comment,
-} from '../../types';
+import TaskBoard from './TaskBoard';
+import Comments from '../comments/Comments';
+import ProjectMilestones from './ProjectMilestones';
+import { ReportButton } from '../common/ReportDialog';
+import type { Project, User, UserSummary, Collaborator, CollaboratorStatus } from '../../types';
 
 // Extended Collaborator type for API responses that may include populated user data
 interface CollaboratorWithUserData extends Omit<Collaborator, 'userId'> {
@@ -66,14 +61,6 @@ interface ProjectApiResponse extends Omit<Project, 'id' | 'owner' | 'collaborato
   collaborators?: CollaboratorWithUserData[];
 }
 
-// Extended Comment type for API responses
-interface CommentApiResponse extends Omit<Comment, 'id' | 'userId'> {
-  _id: string;
-  userId?: User | UserSummary | { _id?: string; username?: string };
-  content: string;
-  createdAt: string;
-}
-
 const ProjectDetail: React.FC = () => {
   const { projectId } = useParams<{ projectId: string }>();
   const navigate = useNavigate();
@@ -94,28 +81,13 @@ const ProjectDetail: React.FC = () => {
     refetch: () => void;
   };
 
-  // Comments data
-  const {
-    data: comments = [],
-    isLoading: commentsLoading,
-    error: commentsError,
-    refetch: refetchComments,
-  } = useComments(projectId) as {
-    data: CommentApiResponse[];
-    isLoading: boolean;
-    error: Error | null;
-    refetch: () => void;
-  };
-
   // Mutations
-  const createCommentMutation = useCreateComment();
   const requestCollaborationMutation = useRequestCollaboration();
   const handleCollaborationMutation = useHandleCollaborationRequest();
 
   // Local state
-  const [comment, setComment] = useState<string>('');
   const [showDeleteDialog, setShowDeleteDialog] = useState<boolean>(false);
-  const [commentSuccess, setCommentSuccess] = useState<boolean>(false);
+  const [activeTab, setActiveTab] = useState<'comments' | 'board'>('comments');
 
   // Helper to get user ID from various user object shapes
   const getUserId = (
@@ -235,28 +207,6 @@ const ProjectDetail: React.FC = () => {
     );
   };
 
-  const handleCommentSubmit = (e: FormEvent<HTMLFormElement>): void => {
-    e.preventDefault();
-    if (comment.trim()) {
-      createCommentMutation.mutate(
-        { projectId: projectId as string, content: comment },
-        {
-          onSuccess: (result) => {
-            console.log('✅ Comment created successfully:', result);
-            setComment('');
-            setCommentSuccess(true);
-            setTimeout(() => setCommentSuccess(false), 3000);
-            // TanStack Query will automatically refetch comments
-            refetchComments();
-          },
-          onError: (error) => {
-            console.error('❌ Error creating comment:', error);
-          },
-        }
-      );
-    }
-  };
-
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
@@ -365,6 +315,20 @@ const ProjectDetail: React.FC = () => {
     return 'No email';
   };
 
+  // The task board is only available to the owner and accepted collaborators
+  const isMember = isOwner || collaborationStatus === 'accepted';
+  const boardMembers = [
+    ...(currentProject.owner && typeof currentProject.owner === 'object'
+      ? [{ id: getUserId(currentProject.owner) || '', username: getOwnerUsername() }]
+      : []),
+    ...(currentProject.collaborators || [])
+      .filter((collab) => collab.status === 'accepted')
+      .map((collab) => ({
+        id: getUserId(collab.userId) || '',
+        username: getCollaboratorUsername(collab),
+      })),
+  ].filter((member) => member.id);
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
       {/* Page Title */}
@@ -381,6 +345,11 @@ const ProjectDetail: React.FC = () => {
         {/* Project Details */}
         <Grid item xs={12}>
           <Paper sx={{ p: 3 }}>
+            {currentProject.isHidden && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                This project was hidden by a moderator. Only its owner and moderators can see it.
+              </Alert>
+            )}
             <Box
               sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}
             >
@@ -416,7 +385,8 @@ const ProjectDetail: React.FC = () => {
                   </IconButton>
                 </Box>
               ) : (
-                <Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {user && <ReportButton targetType="project" targetId={currentProject._id} />}
                   {!user ? (
                     <Button variant="outlined" color="primary" onClick={() => navigate('/login')}>
                       Login to Collaborate
@@ -504,6 +474,13 @@ const ProjectDetail: React.FC = () => {
               </Grid>
             </Box>
 
+            {/* Milestones and overall progress */}
+            {projectId && (
+              <Box sx={{ mb: 3 }}>
+                <ProjectMilestones projectId={projectId} canEdit={isMember} isOwner={isOwner} />
+              </Box>
+            )}
+
             {/* Technologies */}
             {currentProject.technologies && currentProject.technologies.length > 0 && (
               <Box sx={{ mb: 3 }}>
@@ -680,116 +657,45 @@ const ProjectDetail: React.FC = () => {
           </Paper>
         </Grid>
 
-        {/* Comments Section */}
-        <Grid item xs={12}>
-          <Paper sx={{ p: 3 }}>
-            <Typography variant="h5" gutterBottom>
-              Comments
-            </Typography>
-
-            {user && (
-              <Box component="form" onSubmit={handleCommentSubmit} sx={{ mb: 3 }}>
-                <TextField
-                  fullWidth
-                  multiline
-                  rows={3}
-                  placeholder="Write a comment..."
-                  value={comment}
-                  onChange={(e: ChangeEvent<HTMLInputElement>) => setComment(e.target.value)}
-                  sx={{ mb: 1 }}
-                />
-                <Button
-                  type="submit"
-                  variant="contained"
-                  endIcon={<SendIcon />}
-                  disabled={!comment.trim() || createCommentMutation.isPending}
-                >
-                  {createCommentMutation.isPending ? (
-                    <CircularProgress size={20} />
-                  ) : (
-                    'Post Comment'
-                  )}
-                </Button>
-              </Box>
-            )}
-
-            {commentSuccess && (
-              <Alert severity="success" sx={{ mb: 2 }}>
-                Comment posted successfully!
-              </Alert>
-            )}
-
-            {(commentsError || createCommentMutation.error) && (
-              <Alert severity="error" sx={{ mb: 2 }}>
-                {(commentsError as Error & { response?: { data?: { message?: string } } })?.response
-                  ?.data?.message ||
-                  commentsError?.message ||
-                  (
-                    createCommentMutation.error as Error & {
-                      response?: { data?: { message?: string } };
-                    }
-                  )?.response?.data?.message ||
-                  createCommentMutation.error?.message ||
-                  'Error loading or posting comments'}
-              </Alert>
-            )}
+        {isMember && (
+          <Grid item xs={12}>
+            <Tabs
+              value={activeTab}
+              onChange={(_e, value: 'comments' | 'board') => setActiveTab(value)}
+              sx={{ borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Tab label="Comments" value="comments" />
+              <Tab label="Task Board" value="board" data-testid="task-board-tab" />
+            </Tabs>
+          </Grid>
+        )}
+
+        {/* Task Board (project members only) */}
+        {isMember && activeTab === 'board' && projectId && (
+          <Grid item xs={12}>
+            <Paper sx={{ p: 3 }}>
+              <TaskBoard
+                projectId={projectId}
+                members={boardMembers}
+                currentUserId={user?.id || (user as unknown as { _id?: string })?._id}
+                isOwner={isOwner}
+              />
+            </Paper>
+          </Grid>
+        )}
 
-            {commentsLoading ? (
-              <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
-                <CircularProgress />
-              </Box>
-            ) : (
-              <List>
-                {comments && comments.length > 0 ? (
-                  comments.map((commentItem) => (
-                    <React.Fragment key={commentItem._id}>
-                      <ListItem alignItems="flex-start">
-                        <ListItemAvatar>
-                          <Avatar>
-                            {(
-                              commentItem.userId as
-                                | User
-                                | UserSummary
-                                | { username?: string }
-                                | undefined
-                            )?.username?.[0] || 'U'}
-                          </Avatar>
-                        </ListItemAvatar>
-                        <ListItemText
-                          primary={
-                            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
-                              <Typography component="span" variant="subtitle2">
-                                {(
-                                  commentItem.userId as
-                                    | User
-                                    | UserSummary
-                                    | { username?: string }
-                                    | undefined
-                                )?.username || 'Unknown User'}
-                              </Typography>
-                              <Typography component="span" variant="caption" color="text.secondary">
-                                {new Date(commentItem.createdAt).toLocaleDateString()}
-                              </Typography>
-                            </Box>
-                          }
-                          secondary={commentItem.content}
-                        />
-                      </ListItem>
-                      <Divider variant="inset" component="li" />
-                    </React.Fragment>
-                  ))
-                ) : (
-                  <ListItem>
-                    <ListItemText
-                      primary="No comments yet"
-                      secondary="Be the first to comment on this project!"
-                    />
-                  </ListItem>
-                )}
-              </List>
-            )}
-          </Paper>
-        </Grid>
+        {/* Comments Section */}
+        {projectId && (
+          <Grid
+            item
+            xs={12}
+            sx={{ display: isMember && activeTab !== 'comments' ? 'none' : undefined }}
+          >
+            <Paper sx={{ p: 3 }}>
+              <Comments projectId={projectId} />
+            </Paper>
+          </Grid>
+        )}
       </Grid>
 
       {/* Delete Confirmation Dialog */}
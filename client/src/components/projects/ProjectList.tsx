@@ -21,9 +21,11 @@ import {
 } from '@mui/material';
 import { Search as SearchIcon } from '@mui/icons-material';
 import { Link as RouterLink } from 'react-router-dom';
-import { useProjects, useProjectSearch } from '../../hooks/projects';
+import { useProjects, useProjectSearch, flattenProjectPages } from '../../hooks/projects';
+import { useInfiniteScroll } from '../../hooks/common';
 import type { ProjectFilters } from '../../services/projectsService';
 import type { Project } from '../../types';
+import ProjectProgressBar from './ProjectProgressBar';
 
 // Extended Project type for API responses
 interface ProjectApiResponse extends Omit<Project, 'id'> {
@@ -44,23 +46,23 @@ const ProjectList: React.FC = () => {
   }, [statusFilter, skillFilter]);
 
   // TanStack Query hooks
-  const {
-    data: projects = [],
-    isLoading,
-    error,
-    refetch,
-  } = useProjects(filters) as {
-    data: ProjectApiResponse[];
-    isLoading: boolean;
-    error: Error | null;
-    refetch: () => void;
-  };
+  const { data, isLoading, error, refetch, hasNextPage, isFetchingNextPage, fetchNextPage } =
+    useProjects(filters);
+  const projects = useMemo(
+    () => flattenProjectPages(data) as unknown as ProjectApiResponse[],
+    [data]
+  );
+  const isSearchActive = searchQuery.length > 2;
+
+  const sentinelRef = useInfiniteScroll({
+    hasNextPage: hasNextPage && !isSearchActive,
+    isFetchingNextPage,
+    fetchNextPage,
+  });
 
   // useProjectSearch already handles enabled internally based on query length
-  const { data: searchResults = [], isLoading: isSearching } = useProjectSearch(searchQuery) as {
-    data: ProjectApiResponse[];
-    isLoading: boolean;
-  };
+  const { data: searchData, isLoading: isSearching } = useProjectSearch({ query: searchQuery });
+  const searchResults = (searchData?.projects ?? []) as ProjectApiResponse[];
 
   const handleSearch = (e: ChangeEvent<HTMLInputElement>): void => {
     setSearchQuery(e.target.value);
@@ -75,7 +77,7 @@ const ProjectList: React.FC = () => {
   };
 
   // Determine which projects to display
-  const displayProjects: ProjectApiResponse[] = searchQuery.length > 2 ? searchResults : projects;
+  const displayProjects: ProjectApiResponse[] = isSearchActive ? searchResults : projects;
 
   if (isLoading) {
     return (
@@ -190,6 +192,7 @@ const ProjectList: React.FC = () => {
                       ))}
                   </Box>
                   <Box sx={{ mt: 2 }}>
+                    <ProjectProgressBar progress={project.progress} />
                     <Chip
                       label={project.status}
                       color={
@@ -225,6 +228,11 @@ const ProjectList: React.FC = () => {
           </Grid>
         )}
       </Grid>
+
+      {/* Sentinel that loads the next page when scrolled into view */}
+      <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        {isFetchingNextPage && <CircularProgress size={24} />}
+      </Box>
     </Container>
   );
 };
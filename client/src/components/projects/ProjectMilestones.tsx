@@ -0,0 +1,355 @@
+import React, { useState, type FormEvent } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Flag as FlagIcon,
+} from '@mui/icons-material';
+import {
+  useMilestones,
+  useCreateMilestone,
+  useUpdateMilestone,
+  useDeleteMilestone,
+} from '../../hooks/milestones';
+import type { ChecklistItem, Milestone } from '../../types';
+import type { MilestoneInput } from '../../services/milestonesService';
+
+interface ProjectMilestonesProps {
+  projectId: string;
+  canEdit: boolean;
+  isOwner: boolean;
+}
+
+interface MilestoneDialogProps {
+  milestone: Milestone | null;
+  saving: boolean;
+  error: string | null;
+  onClose: () => void;
+  onSave: (data: MilestoneInput & { title: string }) => void;
+}
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const err = error as Error & { response?: { data?: { message?: string } } };
+  return err.response?.data?.message || err.message || 'Something went wrong';
+};
+
+// Form dialog for creating and editing a milestone
+// Checklist items are entered one per line; existing items keep their done state
+const MilestoneDialog: React.FC<MilestoneDialogProps> = ({
+  milestone,
+  saving,
+  error,
+  onClose,
+  onSave,
+}) => {
+  const [title, setTitle] = useState(milestone?.title ?? '');
+  const [description, setDescription] = useState(milestone?.description ?? '');
+  const [targetDate, setTargetDate] = useState(
+    milestone?.targetDate ? milestone.targetDate.slice(0, 10) : ''
+  );
+  const [checklist, setChecklist] = useState(
+    milestone?.checklist.map((item) => item.text).join('\n') ?? ''
+  );
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    const existing = milestone?.checklist ?? [];
+    const items: ChecklistItem[] = checklist
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((text) => existing.find((item) => item.text === text) ?? { text, done: false });
+
+    onSave({
+      title: title.trim(),
+      description: description.trim(),
+      targetDate: targetDate ? new Date(targetDate).toISOString() : null,
+      checklist: items,
+    });
+  };
+
+  return (
+    <Dialog open onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{milestone ? 'Edit Milestone' : 'New Milestone'}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            label="Title"
+            fullWidth
+            required
+            autoFocus
+            margin="normal"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+          <TextField
+            label="Description"
+            fullWidth
+            multiline
+            minRows={2}
+            margin="normal"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+          <TextField
+            label="Target date"
+            type="date"
+            fullWidth
+            margin="normal"
+            InputLabelProps={{ shrink: true }}
+            value={targetDate}
+            onChange={(e) => setTargetDate(e.target.value)}
+          />
+          <TextField
+            label="Checklist"
+            helperText="One item per line"
+            fullWidth
+            multiline
+            minRows={3}
+            margin="normal"
+            value={checklist}
+            onChange={(e) => setChecklist(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!title.trim() || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+// Milestones of a project with their progress and the overall completion
+// Members can add milestones and tick checklist items; only the owner can delete
+const ProjectMilestones: React.FC<ProjectMilestonesProps> = ({ projectId, canEdit, isOwner }) => {
+  const { data, isLoading, error } = useMilestones(projectId);
+  const createMilestoneMutation = useCreateMilestone();
+  const updateMilestoneMutation = useUpdateMilestone();
+  const deleteMilestoneMutation = useDeleteMilestone();
+  const [dialog, setDialog] = useState<{ milestone: Milestone | null } | null>(null);
+
+  const milestones = data?.milestones ?? [];
+
+  const handleSave = (milestoneData: MilestoneInput & { title: string }): void => {
+    if (!dialog) return;
+    const onSuccess = (): void => setDialog(null);
+    if (dialog.milestone) {
+      updateMilestoneMutation.mutate(
+        { projectId, milestoneId: dialog.milestone._id, milestoneData },
+        { onSuccess }
+      );
+    } else {
+      createMilestoneMutation.mutate({ projectId, ...milestoneData }, { onSuccess });
+    }
+  };
+
+  const toggleItem = (milestone: Milestone, index: number): void => {
+    updateMilestoneMutation.mutate({
+      projectId,
+      milestoneId: milestone._id,
+      milestoneData: {
+        checklist: milestone.checklist.map((item, i) =>
+          i === index ? { ...item, done: !item.done } : item
+        ),
+      },
+    });
+  };
+
+  const handleDelete = (milestone: Milestone): void => {
+    if (window.confirm(`Delete milestone "${milestone.title}"? Linked tasks will be kept.`)) {
+      deleteMilestoneMutation.mutate({ projectId, milestoneId: milestone._id });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{getErrorMessage(error)}</Alert>;
+  }
+
+  // Nothing to show visitors on projects without milestones
+  if (milestones.length === 0 && !canEdit) return null;
+
+  const mutationError = getErrorMessage(
+    deleteMilestoneMutation.error || (!dialog ? updateMilestoneMutation.error : null)
+  );
+
+  return (
+    <Box data-testid="project-milestones">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">
+          <FlagIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+          Milestones
+        </Typography>
+        {canEdit && (
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => setDialog({ milestone: null })}
+          >
+            Add Milestone
+          </Button>
+        )}
+      </Box>
+
+      {data && data.progress.milestonesTotal > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+            <Typography variant="body2" color="text.secondary">
+              {data.progress.milestonesCompleted} of {data.progress.milestonesTotal} milestones
+              complete
+            </Typography>
+            <Typography variant="body2" fontWeight="bold">
+              {data.progress.percent}%
+            </Typography>
+          </Box>
+          <LinearProgress variant="determinate" value={data.progress.percent} />
+        </Box>
+      )}
+
+      {mutationError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {mutationError}
+        </Alert>
+      )}
+
+      {milestones.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No milestones yet. Break the project into milestones to track its progress.
+        </Typography>
+      )}
+
+      {milestones.map((milestone) => (
+        <Box key={milestone._id} sx={{ mb: 2, pl: 1, borderLeft: 3, borderColor: 'divider' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+              {milestone.title}
+            </Typography>
+            {milestone.targetDate && (
+              <Chip
+                size="small"
+                label={`Due ${new Date(milestone.targetDate).toLocaleDateString()}`}
+                color={milestone.isOverdue ? 'error' : 'default'}
+                variant={milestone.isOverdue ? 'filled' : 'outlined'}
+              />
+            )}
+            {canEdit && (
+              <Tooltip title="Edit milestone">
+                <IconButton size="small" onClick={() => setDialog({ milestone })}>
+                  <EditIcon fontSize="inherit" />
+                </IconButton>
+              </Tooltip>
+            )}
+            {isOwner && (
+              <Tooltip title="Delete milestone">
+                <IconButton size="small" onClick={() => handleDelete(milestone)}>
+                  <DeleteIcon fontSize="inherit" />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+
+          {milestone.description && (
+            <Typography variant="body2" color="text.secondary">
+              {milestone.description}
+            </Typography>
+          )}
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, my: 1 }}>
+            <LinearProgress
+              variant="determinate"
+              value={milestone.progress.percent}
+              color={milestone.isOverdue ? 'error' : 'primary'}
+              sx={{ flexGrow: 1 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {milestone.progress.percent}%
+            </Typography>
+          </Box>
+
+          {milestone.taskCounts.total > 0 && (
+            <Typography variant="caption" color="text.secondary">
+              {milestone.taskCounts.done} of {milestone.taskCounts.total} linked tasks done
+            </Typography>
+          )}
+
+          {milestone.checklist.length > 0 && (
+            <List dense disablePadding>
+              {milestone.checklist.map((item, index) => (
+                <ListItem key={item._id ?? `${item.text}-${index}`} disableGutters sx={{ py: 0 }}>
+                  <ListItemIcon sx={{ minWidth: 36 }}>
+                    <Checkbox
+                      edge="start"
+                      size="small"
+                      checked={item.done}
+                      disabled={!canEdit || updateMilestoneMutation.isPending}
+                      onChange={() => toggleItem(milestone, index)}
+                      inputProps={{ 'aria-label': item.text }}
+                    />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={item.text}
+                    sx={{ textDecoration: item.done ? 'line-through' : undefined }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      ))}
+
+      {dialog && (
+        <MilestoneDialog
+          key={dialog.milestone?._id ?? 'new'}
+          milestone={dialog.milestone}
+          saving={createMilestoneMutation.isPending || updateMilestoneMutation.isPending}
+          error={getErrorMessage(createMilestoneMutation.error || updateMilestoneMutation.error)}
+          onClose={() => {
+            createMilestoneMutation.reset();
+            updateMilestoneMutation.reset();
+            setDialog(null);
+          }}
+          onSave={handleSave}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default ProjectMilestones;
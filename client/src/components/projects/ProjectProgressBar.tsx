@@ -0,0 +1,28 @@
+import React from 'react';
+import { Box, LinearProgress, Typography } from '@mui/material';
+import type { ProjectProgress } from '../../types';
+
+interface ProjectProgressBarProps {
+  progress?: ProjectProgress;
+}
+
+// Compact completion bar for project cards; hidden until the project has milestones
+const ProjectProgressBar: React.FC<ProjectProgressBarProps> = ({ progress }) => {
+  if (!progress || progress.milestonesTotal === 0) return null;
+
+  return (
+    <Box sx={{ mb: 2 }} data-testid="project-progress">
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+        <Typography variant="caption" color="text.secondary">
+          {progress.milestonesCompleted}/{progress.milestonesTotal} milestones
+        </Typography>
+        <Typography variant="caption" fontWeight="bold">
+          {progress.percent}%
+        </Typography>
+      </Box>
+      <LinearProgress variant="determinate" value={progress.percent} />
+    </Box>
+  );
+};
+
+export default ProjectProgressBar;
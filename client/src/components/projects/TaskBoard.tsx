@@ -0,0 +1,326 @@
+import React, { useMemo, useState, type DragEvent } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Card,
+  CardContent,
+  Chip,
+  IconButton,
+  Button,
+  Avatar,
+  Tooltip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Event as EventIcon,
+  Flag as FlagIcon,
+} from '@mui/icons-material';
+import {
+  useTasks,
+  useCreateTask,
+  useUpdateTask,
+  useMoveTask,
+  useDeleteTask,
+} from '../../hooks/tasks';
+import { useMilestones } from '../../hooks/milestones';
+import { TASK_COLUMNS, groupTasksByStatus, isTaskOverdue } from '../../utils/taskBoard';
+import TaskDialog, { type TaskMember } from './TaskDialog';
+import type { Task, TaskPriority, TaskStatus } from '../../types';
+import type { TaskInput } from '../../services/tasksService';
+
+interface TaskBoardProps {
+  projectId: string;
+  members: TaskMember[];
+  currentUserId?: string;
+  isOwner: boolean;
+}
+
+const PRIORITY_COLORS: Record<TaskPriority, 'default' | 'info' | 'warning' | 'error'> = {
+  low: 'default',
+  medium: 'info',
+  high: 'warning',
+  urgent: 'error',
+};
+
+const getErrorMessage = (error: unknown): string | null => {
+  if (!error) return null;
+  const err = error as Error & { response?: { data?: { message?: string } } };
+  return err.response?.data?.message || err.message || 'Something went wrong';
+};
+
+// Work out where in a column a dragged card should land from the pointer position
+const getDropIndex = (e: DragEvent<HTMLElement>, draggedId: string | null): number => {
+  const cards = Array.from(e.currentTarget.querySelectorAll<HTMLElement>('[data-task-id]')).filter(
+    (card) => card.dataset.taskId !== draggedId
+  );
+  const index = cards.findIndex((card) => {
+    const rect = card.getBoundingClientRect();
+    return e.clientY < rect.top + rect.height / 2;
+  });
+  return index === -1 ? cards.length : index;
+};
+
+// Kanban board for a project's tasks with drag-and-drop between columns
+const TaskBoard: React.FC<TaskBoardProps> = ({ projectId, members, currentUserId, isOwner }) => {
+  const { data: tasks = [], isLoading, error, refetch } = useTasks(projectId);
+  const createTaskMutation = useCreateTask();
+  const updateTaskMutation = useUpdateTask();
+  const moveTaskMutation = useMoveTask();
+  const deleteTaskMutation = useDeleteTask();
+  const { data: milestoneData } = useMilestones(projectId);
+
+  const [draggedId, setDraggedId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<TaskStatus | null>(null);
+  const [dialog, setDialog] = useState<{ task: Task | null; status: TaskStatus } | null>(null);
+
+  const columns = useMemo(() => groupTasksByStatus(tasks), [tasks]);
+  const milestoneOptions = useMemo(
+    () =>
+      (milestoneData?.milestones ?? []).map((milestone) => ({
+        id: milestone._id,
+        title: milestone.title,
+      })),
+    [milestoneData]
+  );
+  const milestoneTitles = useMemo(
+    () => new Map(milestoneOptions.map((option) => [option.id, option.title])),
+    [milestoneOptions]
+  );
+
+  const handleDrop = (e: DragEvent<HTMLElement>, status: TaskStatus): void => {
+    e.preventDefault();
+    const taskId = e.dataTransfer.getData('text/plain') || draggedId;
+    setDropTarget(null);
+    setDraggedId(null);
+    if (!taskId) return;
+
+    const position = getDropIndex(e, taskId);
+    const task = tasks.find((t) => t._id === taskId);
+    const currentIndex = columns[status].findIndex((t) => t._id === taskId);
+    if (!task || (task.status === status && currentIndex === position)) return;
+
+    moveTaskMutation.mutate({ projectId, taskId, status, position });
+  };
+
+  const handleSave = (data: TaskInput & { title: string }): void => {
+    if (!dialog) return;
+    const onSuccess = (): void => setDialog(null);
+    if (dialog.task) {
+      updateTaskMutation.mutate(
+        { projectId, taskId: dialog.task._id, taskData: data },
+        { onSuccess }
+      );
+    } else {
+      createTaskMutation.mutate({ projectId, ...data }, { onSuccess });
+    }
+  };
+
+  const handleDelete = (task: Task): void => {
+    if (window.confirm(`Delete task "${task.title}"?`)) {
+      deleteTaskMutation.mutate({ projectId, taskId: task._id });
+    }
+  };
+
+  const canDelete = (task: Task): boolean => {
+    const creatorId = typeof task.createdBy === 'string' ? task.createdBy : task.createdBy?._id;
+    return isOwner || (!!currentUserId && creatorId === currentUserId);
+  };
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert
+        severity="error"
+        action={
+          <Button color="inherit" size="small" onClick={() => refetch()}>
+            Retry
+          </Button>
+        }
+      >
+        {getErrorMessage(error)}
+      </Alert>
+    );
+  }
+
+  const mutationError = getErrorMessage(moveTaskMutation.error || deleteTaskMutation.error);
+
+  return (
+    <Box>
+      {mutationError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {mutationError}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }} data-testid="task-board">
+        {TASK_COLUMNS.map((column) => (
+          <Paper
+            key={column.status}
+            variant="outlined"
+            onDragOver={(e: DragEvent<HTMLElement>) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+              if (dropTarget !== column.status) setDropTarget(column.status);
+            }}
+            onDragLeave={(e: DragEvent<HTMLElement>) => {
+              if (!e.currentTarget.contains(e.relatedTarget as Node | null)) setDropTarget(null);
+            }}
+            onDrop={(e: DragEvent<HTMLElement>) => handleDrop(e, column.status)}
+            sx={{
+              flex: '1 0 240px',
+              minHeight: 300,
+              p: 1.5,
+              bgcolor: dropTarget === column.status ? 'action.hover' : 'background.default',
+            }}
+          >
+            <Box
+              sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}
+            >
+              <Typography variant="subtitle1" fontWeight="bold">
+                {column.title}{' '}
+                <Typography component="span" variant="caption" color="text.secondary">
+                  {columns[column.status].length}
+                </Typography>
+              </Typography>
+              <Tooltip title="Add task">
+                <IconButton
+                  size="small"
+                  onClick={() => setDialog({ task: null, status: column.status })}
+                >
+                  <AddIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+
+            {columns[column.status].map((task) => (
+              <Card
+                key={task._id}
+                data-task-id={task._id}
+                draggable
+                onDragStart={(e: DragEvent<HTMLElement>) => {
+                  e.dataTransfer.setData('text/plain', task._id);
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggedId(task._id);
+                }}
+                onDragEnd={() => {
+                  setDraggedId(null);
+                  setDropTarget(null);
+                }}
+                sx={{ mb: 1, cursor: 'grab', opacity: draggedId === task._id ? 0.5 : 1 }}
+              >
+                <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 1 }}>
+                    <Typography variant="body2" fontWeight="medium">
+                      {task.title}
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                      <IconButton
+                        size="small"
+                        aria-label="Edit task"
+                        onClick={() => setDialog({ task, status: task.status })}
+                      >
+                        <EditIcon fontSize="inherit" />
+                      </IconButton>
+                      {canDelete(task) && (
+                        <IconButton
+                          size="small"
+                          aria-label="Delete task"
+                          onClick={() => handleDelete(task)}
+                        >
+                          <DeleteIcon fontSize="inherit" />
+                        </IconButton>
+                      )}
+                    </Box>
+                  </Box>
+
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, my: 1 }}>
+                    <Chip
+                      label={task.priority}
+                      size="small"
+                      color={PRIORITY_COLORS[task.priority]}
+                      sx={{ textTransform: 'capitalize' }}
+                    />
+                    {task.milestone && milestoneTitles.has(task.milestone) && (
+                      <Chip
+                        icon={<FlagIcon />}
+                        label={milestoneTitles.get(task.milestone)}
+                        size="small"
+                        variant="outlined"
+                        color="primary"
+                      />
+                    )}
+                    {task.labels.map((label) => (
+                      <Chip key={label} label={label} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+
+                  <Box
+                    sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+                  >
+                    {task.dueDate ? (
+                      <Box
+                        sx={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          gap: 0.5,
+                          color: isTaskOverdue(task) ? 'error.main' : 'text.secondary',
+                        }}
+                      >
+                        <EventIcon sx={{ fontSize: 14 }} />
+                        <Typography variant="caption">
+                          {new Date(task.dueDate).toLocaleDateString()}
+                        </Typography>
+                      </Box>
+                    ) : (
+                      <span />
+                    )}
+                    {task.assignee && (
+                      <Tooltip title={task.assignee.username}>
+                        <Avatar sx={{ width: 24, height: 24, fontSize: 12 }}>
+                          {task.assignee.username[0]?.toUpperCase()}
+                        </Avatar>
+                      </Tooltip>
+                    )}
+                  </Box>
+                </CardContent>
+              </Card>
+            ))}
+          </Paper>
+        ))}
+      </Box>
+
+      {dialog && (
+        <TaskDialog
+          key={dialog.task?._id ?? `new-${dialog.status}`}
+          open
+          task={dialog.task}
+          defaultStatus={dialog.status}
+          members={members}
+          milestones={milestoneOptions}
+          saving={createTaskMutation.isPending || updateTaskMutation.isPending}
+          error={getErrorMessage(createTaskMutation.error || updateTaskMutation.error)}
+          onClose={() => {
+            createTaskMutation.reset();
+            updateTaskMutation.reset();
+            setDialog(null);
+          }}
+          onSave={handleSave}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default TaskBoard;
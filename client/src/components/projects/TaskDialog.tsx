@@ -0,0 +1,207 @@
+import React, { useState, type FormEvent } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert,
+} from '@mui/material';
+import type { Task, TaskPriority, TaskStatus } from '../../types';
+import type { TaskInput } from '../../services/tasksService';
+import { TASK_COLUMNS } from '../../utils/taskBoard';
+
+export interface TaskMember {
+  id: string;
+  username: string;
+}
+
+export interface TaskMilestoneOption {
+  id: string;
+  title: string;
+}
+
+interface TaskDialogProps {
+  open: boolean;
+  task?: Task | null;
+  defaultStatus?: TaskStatus;
+  members: TaskMember[];
+  milestones?: TaskMilestoneOption[];
+  saving?: boolean;
+  error?: string | null;
+  onClose: () => void;
+  onSave: (data: TaskInput & { title: string }) => void;
+}
+
+const PRIORITIES: TaskPriority[] = ['low', 'medium', 'high', 'urgent'];
+
+// Form dialog for creating and editing board tasks
+// Remount with a new key to reset the form for a different task
+const TaskDialog: React.FC<TaskDialogProps> = ({
+  open,
+  task,
+  defaultStatus = 'todo',
+  members,
+  milestones = [],
+  saving = false,
+  error,
+  onClose,
+  onSave,
+}) => {
+  const [title, setTitle] = useState(task?.title ?? '');
+  const [description, setDescription] = useState(task?.description ?? '');
+  const [assignee, setAssignee] = useState(task?.assignee?._id ?? '');
+  const [labels, setLabels] = useState(task?.labels.join(', ') ?? '');
+  const [dueDate, setDueDate] = useState(task?.dueDate ? task.dueDate.slice(0, 10) : '');
+  const [priority, setPriority] = useState<TaskPriority>(task?.priority ?? 'medium');
+  const [status, setStatus] = useState<TaskStatus>(task?.status ?? defaultStatus);
+  const [milestone, setMilestone] = useState(task?.milestone ?? '');
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    onSave({
+      title: title.trim(),
+      description: description.trim(),
+      assignee: assignee || null,
+      labels: labels
+        .split(',')
+        .map((label) => label.trim())
+        .filter(Boolean),
+      dueDate: dueDate ? new Date(dueDate).toISOString() : null,
+      priority,
+      status,
+      milestone: milestone || null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{task ? 'Edit Task' : 'New Task'}</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                label="Title"
+                fullWidth
+                required
+                autoFocus
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Description"
+                fullWidth
+                multiline
+                minRows={3}
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                label="Assignee"
+                fullWidth
+                value={assignee}
+                onChange={(e) => setAssignee(e.target.value)}
+              >
+                <MenuItem value="">Unassigned</MenuItem>
+                {members.map((member) => (
+                  <MenuItem key={member.id} value={member.id}>
+                    {member.username}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Due date"
+                type="date"
+                fullWidth
+                InputLabelProps={{ shrink: true }}
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                label="Priority"
+                fullWidth
+                value={priority}
+                onChange={(e) => setPriority(e.target.value as TaskPriority)}
+              >
+                {PRIORITIES.map((value) => (
+                  <MenuItem key={value} value={value} sx={{ textTransform: 'capitalize' }}>
+                    {value}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                label="Column"
+                fullWidth
+                value={status}
+                onChange={(e) => setStatus(e.target.value as TaskStatus)}
+              >
+                {TASK_COLUMNS.map((column) => (
+                  <MenuItem key={column.status} value={column.status}>
+                    {column.title}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {milestones.length > 0 && (
+              <Grid item xs={12}>
+                <TextField
+                  select
+                  label="Milestone"
+                  fullWidth
+                  value={milestone}
+                  onChange={(e) => setMilestone(e.target.value)}
+                >
+                  <MenuItem value="">No milestone</MenuItem>
+                  {milestones.map((option) => (
+                    <MenuItem key={option.id} value={option.id}>
+                      {option.title}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            <Grid item xs={12}>
+              <TextField
+                label="Labels"
+                helperText="Comma-separated, e.g. bug, frontend"
+                fullWidth
+                value={labels}
+                onChange={(e) => setLabels(e.target.value)}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!title.trim() || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TaskDialog;
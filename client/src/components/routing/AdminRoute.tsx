@@ -3,6 +3,7 @@ import { Navigate } from 'react-router-dom';
 import { CircularProgress, Box, Alert } from '@mui/material';
 import { useAuth } from '../../hooks/auth';
 import type { UserRole } from '../../types';
+import { hasAdminAccess } from '../../utils/roles';
 
 interface AdminRouteProps {
   children: ReactNode;
@@ -46,9 +47,11 @@ const AdminRoute: React.FC<AdminRouteProps> = ({ children, requireRole = 'admin'
     );
   }
 
-  // Check role permission
+  // Check role permission; custom roles with admin permissions get in too
   const allowedRoles: UserRole[] = Array.isArray(requireRole) ? requireRole : [requireRole];
-  const hasRequiredRole = user?.role ? allowedRoles.includes(user.role as UserRole) : false;
+  const hasRequiredRole =
+    (user?.role ? allowedRoles.includes(user.role as UserRole) : false) ||
+    hasAdminAccess(user?.permissions);
 
   if (!hasRequiredRole) {
     console.log('Insufficient privileges, user role:', user?.role, 'required:', allowedRoles);
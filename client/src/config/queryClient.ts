@@ -75,6 +75,8 @@ export const queryKeys = {
       token,
     ],
     sessions: (): readonly string[] => [...queryKeys.auth.all, 'sessions'],
+    twoFactor: (): readonly string[] => [...queryKeys.auth.all, 'twoFactor'],
+    accessTokens: (): readonly string[] => [...queryKeys.auth.all, 'accessTokens'],
     tokenRefresh: (): readonly string[] => [...queryKeys.auth.all, 'tokenRefresh'],
   },
   // Projects keys
@@ -85,9 +87,18 @@ export const queryKeys = {
       ...queryKeys.projects.lists(),
       filters,
     ],
+    members: (userIds: string[] = []): readonly string[] => [
+      ...queryKeys.projects.all,
+      'members',
+      ...userIds,
+    ],
     details: (): readonly string[] => [...queryKeys.projects.all, 'detail'],
     detail: (id: string): readonly string[] => [...queryKeys.projects.details(), id],
-    search: (query: string): readonly string[] => [...queryKeys.projects.all, 'search', query],
+    search: (params: FiltersObject = {}): readonly (string | FiltersObject)[] => [
+      ...queryKeys.projects.all,
+      'search',
+      params,
+    ],
   },
   // Comments keys
   comments: {
@@ -102,6 +113,33 @@ export const queryKeys = {
       commentId,
     ],
   },
+  // Tasks keys
+  tasks: {
+    all: ['tasks'] as const,
+    lists: (): readonly string[] => [...queryKeys.tasks.all, 'list'],
+    list: (projectId: string): readonly string[] => [...queryKeys.tasks.lists(), projectId],
+  },
+  // Milestones keys
+  milestones: {
+    all: ['milestones'] as const,
+    lists: (): readonly string[] => [...queryKeys.milestones.all, 'list'],
+    list: (projectId: string): readonly string[] => [...queryKeys.milestones.lists(), projectId],
+    overdue: (): readonly string[] => [...queryKeys.milestones.all, 'overdue'],
+  },
+  // Notification keys
+  notifications: {
+    all: ['notifications'] as const,
+    list: (): readonly string[] => [...queryKeys.notifications.all, 'list'],
+    unreadCount: (): readonly string[] => [...queryKeys.notifications.all, 'unreadCount'],
+  },
+  // Conversation keys
+  conversations: {
+    all: ['conversations'] as const,
+    list: (): readonly string[] => [...queryKeys.conversations.all, 'list'],
+    detail: (id: string): readonly string[] => [...queryKeys.conversations.all, 'detail', id],
+    messages: (id: string): readonly string[] => [...queryKeys.conversations.all, 'messages', id],
+    unreadCount: (): readonly string[] => [...queryKeys.conversations.all, 'unreadCount'],
+  },
   // Users keys
   users: {
     all: ['users'] as const,
@@ -114,17 +152,29 @@ export const queryKeys = {
     detail: (id: string): readonly string[] => [...queryKeys.users.details(), id],
     profile: (): readonly string[] => [...queryKeys.users.all, 'profile'],
     search: (query: string): readonly string[] => [...queryKeys.users.all, 'search', query],
+    mentions: (query: string): readonly string[] => [...queryKeys.users.all, 'mentions', query],
     projects: (userId: string): readonly string[] => [...queryKeys.users.all, 'projects', userId],
     stats: (userId: string): readonly string[] => [...queryKeys.users.all, 'stats', userId],
     followers: (userId: string): readonly string[] => [...queryKeys.users.all, 'followers', userId],
     following: (userId: string): readonly string[] => [...queryKeys.users.all, 'following', userId],
     messages: (type = 'inbox'): readonly string[] => [...queryKeys.users.all, 'messages', type],
+    relationships: (): readonly string[] => [...queryKeys.users.all, 'relationships'],
     messageDetail: (messageId: string): readonly string[] => [
       ...queryKeys.users.all,
       'message',
       messageId,
     ],
   },
+  // Moderation report keys
+  reports: {
+    all: ['reports'] as const,
+    lists: (): readonly string[] => [...queryKeys.reports.all, 'list'],
+    list: (filters: FiltersObject = {}): readonly (string | FiltersObject)[] => [
+      ...queryKeys.reports.lists(),
+      filters,
+    ],
+    detail: (id: string): readonly string[] => [...queryKeys.reports.all, 'detail', id],
+  },
 } as const;
 
 // Cache invalidation helpers
@@ -168,9 +218,32 @@ export const invalidateQueries = {
   commentReplies: (commentId: string): Promise<void> =>
     queryClient.invalidateQueries({ queryKey: queryKeys.comments.replies(commentId) }),
 
+  // Invalidate the task board for a project
+  projectTasks: (projectId: string): Promise<void> =>
+    queryClient.invalidateQueries({ queryKey: queryKeys.tasks.list(projectId) }),
+
+  // Invalidate the milestones for a project
+  projectMilestones: (projectId: string): Promise<void> =>
+    queryClient.invalidateQueries({ queryKey: queryKeys.milestones.list(projectId) }),
+
+  // Invalidate the notification list and unread count
+  notifications: (): Promise<void> =>
+    queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all }),
+
+  // Invalidate the conversation list and unread message count
+  conversations: (): Promise<void> =>
+    Promise.all([
+      queryClient.invalidateQueries({ queryKey: queryKeys.conversations.list() }),
+      queryClient.invalidateQueries({ queryKey: queryKeys.conversations.unreadCount() }),
+    ]).then(() => undefined),
+
   // Invalidate all user-related queries
   users: (): Promise<void> => queryClient.invalidateQueries({ queryKey: queryKeys.users.all }),
 
+  // Invalidate the current user's blocked and muted lists
+  userRelationships: (): Promise<void> =>
+    queryClient.invalidateQueries({ queryKey: queryKeys.users.relationships() }),
+
   // Invalidate user profile
   userProfile: (): Promise<void> =>
     queryClient.invalidateQueries({ queryKey: queryKeys.users.profile() }),
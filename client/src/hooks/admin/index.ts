@@ -1,2 +1,6 @@
 export { useAdminDashboard } from './useAdminDashboard';
 export { useAdminUsers, useAdminUserDetails, useAdminUserMutations } from './useAdminUsers';
+export { useSecuritySettings, useUpdateSecuritySettings } from './useSecuritySettings';
+export { useSystemLogs, useExportSystemLogs } from './useSystemLogs';
+export { useRoles, useRoleHolders, useRoleMutations } from './useRoles';
+export { useBulkUserActionPreview, useApplyBulkUserAction } from './useBulkUserActions';
@@ -13,7 +13,10 @@ import {
   RoleUpdateData,
   SuspensionData,
   AdminOperationResponse,
+  ImpersonationData,
+  ImpersonationResponse,
 } from '../../services/adminService';
+import { authService } from '../../services/authService';
 import type { User } from '../../types';
 
 /**
@@ -70,6 +73,14 @@ interface DeleteUserVariables {
   permanent?: boolean;
 }
 
+/**
+ * Mutation variables for starting an impersonation
+ */
+interface StartImpersonationVariables {
+  userId: string;
+  data: ImpersonationData;
+}
+
 /**
  * Return type for useAdminUserMutations hook
  */
@@ -77,7 +88,9 @@ interface AdminUserMutationsReturn {
   updateUserRole: UseMutationResult<AdminOperationResponse, Error, UpdateUserRoleVariables>;
   suspendUser: UseMutationResult<AdminOperationResponse, Error, SuspendUserVariables>;
   unsuspendUser: UseMutationResult<AdminOperationResponse, Error, string>;
+  unlockUserLogin: UseMutationResult<AdminOperationResponse, Error, string>;
   deleteUser: UseMutationResult<AdminOperationResponse, Error, DeleteUserVariables>;
+  startImpersonation: UseMutationResult<ImpersonationResponse, Error, StartImpersonationVariables>;
 }
 
 /**
@@ -92,7 +105,8 @@ const invalidateAdminQueries = (queryClient: QueryClient, userId?: string): void
 };
 
 /**
- * Hook for user management mutations (update role, suspend, unsuspend, delete)
+ * Hook for user management mutations (update role, suspend, unsuspend, unlock login, delete,
+ * impersonate)
  * @returns Object containing mutation functions for user management
  */
 export const useAdminUserMutations = (): AdminUserMutationsReturn => {
@@ -119,6 +133,13 @@ export const useAdminUserMutations = (): AdminUserMutationsReturn => {
     },
   });
 
+  const unlockUserLogin = useMutation<AdminOperationResponse, Error, string>({
+    mutationFn: (userId) => adminService.unlockUserLogin(userId),
+    onSuccess: (_data, userId) => {
+      invalidateAdminQueries(queryClient, userId);
+    },
+  });
+
   const deleteUser = useMutation<AdminOperationResponse, Error, DeleteUserVariables>({
     mutationFn: ({ userId, permanent }) => adminService.deleteUser(userId, permanent),
     onSuccess: () => {
@@ -126,11 +147,24 @@ export const useAdminUserMutations = (): AdminUserMutationsReturn => {
     },
   });
 
+  // The server has swapped the auth cookies for the user's, so the caller should reload
+  const startImpersonation = useMutation<ImpersonationResponse, Error, StartImpersonationVariables>(
+    {
+      mutationFn: ({ userId, data }) => adminService.startImpersonation(userId, data),
+      onSuccess: () => {
+        authService.clearTokens();
+        queryClient.clear();
+      },
+    }
+  );
+
   return {
     updateUserRole,
     suspendUser,
     unsuspendUser,
+    unlockUserLogin,
     deleteUser,
+    startImpersonation,
   };
 };
 
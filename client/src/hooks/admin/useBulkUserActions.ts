@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import {
+  adminService,
+  BulkActionParams,
+  BulkPreviewData,
+  BulkPreviewResponse,
+  BulkUserAction,
+  BulkUserResult,
+} from '../../services/adminService';
+import { splitIntoBatches } from '../../utils/bulkUserActions';
+
+/**
+ * Hook for a dry run of a bulk user action
+ * @returns UseMutationResult resolving to which users the action would change or skip
+ */
+export const useBulkUserActionPreview = (): UseMutationResult<
+  BulkPreviewResponse,
+  Error,
+  BulkPreviewData
+> => {
+  return useMutation({
+    mutationFn: (data: BulkPreviewData) => adminService.previewBulkUserAction(data),
+  });
+};
+
+/**
+ * Mutation variables for applying a bulk user action
+ */
+interface ApplyBulkUserActionVariables {
+  action: BulkUserAction;
+  params?: BulkActionParams;
+  // Users from the preview, identified so failed batches can still be reported per user
+  users: Pick<BulkUserResult, 'userId' | 'username' | 'email'>[];
+  batchSize: number;
+}
+
+/**
+ * Users processed so far out of the total
+ */
+export interface BulkActionProgress {
+  done: number;
+  total: number;
+}
+
+/**
+ * Return type for useApplyBulkUserAction hook
+ */
+interface ApplyBulkUserActionReturn {
+  apply: UseMutationResult<BulkUserResult[], Error, ApplyBulkUserActionVariables>;
+  progress: BulkActionProgress;
+}
+
+/**
+ * Hook for applying a bulk user action, one batch after another
+ * A batch whose request fails is reported as failed for each of its users, and the
+ * remaining batches still go ahead.
+ * @returns The mutation, resolving to one result per user, and its progress so far
+ */
+export const useApplyBulkUserAction = (): ApplyBulkUserActionReturn => {
+  const queryClient = useQueryClient();
+  const [progress, setProgress] = useState<BulkActionProgress>({ done: 0, total: 0 });
+
+  const apply = useMutation<BulkUserResult[], Error, ApplyBulkUserActionVariables>({
+    mutationFn: async ({ action, params, users, batchSize }) => {
+      const results: BulkUserResult[] = [];
+      setProgress({ done: 0, total: users.length });
+
+      for (const batch of splitIntoBatches(users, batchSize)) {
+        try {
+          const response = await adminService.applyBulkUserAction({
+            action,
+            params,
+            userIds: batch.map((user) => user.userId),
+          });
+          results.push(...response.results);
+        } catch (error) {
+          const axiosError = error as {
+            response?: { data?: { message?: string } };
+            message?: string;
+          };
+          const message =
+            axiosError.response?.data?.message || axiosError.message || 'Request failed';
+          results.push(...batch.map((user) => ({ ...user, status: 'failed' as const, message })));
+        }
+        setProgress({ done: results.length, total: users.length });
+      }
+
+      return results;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'users'] });
+      queryClient.invalidateQueries({ queryKey: ['admin', 'dashboard'] });
+    },
+  });
+
+  return { apply, progress };
+};
@@ -0,0 +1,108 @@
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  UseQueryResult,
+  UseMutationResult,
+  QueryClient,
+} from '@tanstack/react-query';
+import {
+  adminService,
+  RolesResponse,
+  RoleCreateData,
+  RoleEditData,
+  RoleOperationResponse,
+  PaginatedRoleHoldersResponse,
+} from '../../services/adminService';
+
+/**
+ * Hook for fetching roles and every permission a role can bundle
+ * @returns UseQueryResult containing roles with their holder counts
+ */
+export const useRoles = (): UseQueryResult<RolesResponse, Error> => {
+  return useQuery({
+    queryKey: ['admin', 'roles'],
+    queryFn: adminService.getRoles,
+    staleTime: 60 * 1000, // 1 minute
+  });
+};
+
+/**
+ * Hook for fetching the users holding a role
+ * @param roleId - The role to list holders of
+ * @param page - Page number (1-based)
+ * @returns UseQueryResult containing paginated role holders
+ */
+export const useRoleHolders = (
+  roleId: string | undefined,
+  page = 1
+): UseQueryResult<PaginatedRoleHoldersResponse, Error> => {
+  return useQuery({
+    queryKey: ['admin', 'roles', roleId, 'users', page],
+    queryFn: () => adminService.getRoleHolders(roleId as string, { page }),
+    enabled: !!roleId,
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
+
+/**
+ * Mutation variables for updating a role
+ */
+interface UpdateRoleVariables {
+  roleId: string;
+  data: RoleEditData;
+}
+
+/**
+ * Return type for useRoleMutations hook
+ */
+interface RoleMutationsReturn {
+  createRole: UseMutationResult<RoleOperationResponse, Error, RoleCreateData>;
+  updateRole: UseMutationResult<RoleOperationResponse, Error, UpdateRoleVariables>;
+  deleteRole: UseMutationResult<RoleOperationResponse, Error, string>;
+}
+
+/**
+ * Helper function to invalidate role queries after mutations
+ * Role edits change the permissions of every holder, so user lists are refreshed too
+ */
+const invalidateRoleQueries = (queryClient: QueryClient): void => {
+  queryClient.invalidateQueries({ queryKey: ['admin', 'roles'] });
+  queryClient.invalidateQueries({ queryKey: ['admin', 'users'] });
+};
+
+/**
+ * Hook for role management mutations (create, update, delete)
+ * @returns Object containing mutation functions for role management
+ */
+export const useRoleMutations = (): RoleMutationsReturn => {
+  const queryClient = useQueryClient();
+
+  const createRole = useMutation<RoleOperationResponse, Error, RoleCreateData>({
+    mutationFn: (data) => adminService.createRole(data),
+    onSuccess: () => {
+      invalidateRoleQueries(queryClient);
+    },
+  });
+
+  const updateRole = useMutation<RoleOperationResponse, Error, UpdateRoleVariables>({
+    mutationFn: ({ roleId, data }) => adminService.updateRole(roleId, data),
+    onSuccess: () => {
+      invalidateRoleQueries(queryClient);
+    },
+  });
+
+  const deleteRole = useMutation<RoleOperationResponse, Error, string>({
+    mutationFn: (roleId) => adminService.deleteRole(roleId),
+    onSuccess: () => {
+      invalidateRoleQueries(queryClient);
+    },
+  });
+
+  return {
+    createRole,
+    updateRole,
+    deleteRole,
+  };
+};
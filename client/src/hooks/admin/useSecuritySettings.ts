@@ -0,0 +1,46 @@
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  UseQueryResult,
+  UseMutationResult,
+} from '@tanstack/react-query';
+import {
+  adminService,
+  SecuritySettings,
+  SecuritySettingsUpdateData,
+} from '../../services/adminService';
+import { queryKeys } from '../../config/queryClient';
+
+/**
+ * Hook for fetching site-wide security settings
+ * @returns UseQueryResult containing the security settings
+ */
+export const useSecuritySettings = (): UseQueryResult<SecuritySettings, Error> => {
+  return useQuery({
+    queryKey: ['admin', 'settings', 'security'],
+    queryFn: adminService.getSecuritySettings,
+    staleTime: 60 * 1000, // 1 minute
+  });
+};
+
+/**
+ * Hook for updating site-wide security settings
+ * @returns UseMutationResult for saving the settings
+ */
+export const useUpdateSecuritySettings = (): UseMutationResult<
+  SecuritySettings,
+  Error,
+  SecuritySettingsUpdateData
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: adminService.updateSecuritySettings,
+    onSuccess: (data) => {
+      queryClient.setQueryData(['admin', 'settings', 'security'], data);
+      // Enforcement changes whether the current user's 2FA is required
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.twoFactor() });
+    },
+  });
+};
@@ -0,0 +1,37 @@
+import { useQuery, useMutation, UseQueryResult, UseMutationResult } from '@tanstack/react-query';
+import {
+  adminService,
+  SystemLogsQueryParams,
+  PaginatedLogsResponse,
+} from '../../services/adminService';
+import { saveBlob } from '../../utils/accountData';
+import { getAuditLogFilename } from '../../utils/systemLogs';
+
+/**
+ * Hook for fetching a page of the audit log
+ * @param params - Filters and pagination
+ * @returns UseQueryResult containing the page of log entries
+ */
+export const useSystemLogs = (
+  params: SystemLogsQueryParams = {}
+): UseQueryResult<PaginatedLogsResponse, Error> => {
+  return useQuery({
+    queryKey: ['admin', 'logs', params],
+    queryFn: () => adminService.getSystemLogs(params),
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
+
+/**
+ * Hook for downloading the audit log entries matching a filter as CSV
+ * @returns UseMutationResult taking the same filters as useSystemLogs
+ */
+export const useExportSystemLogs = (): UseMutationResult<void, Error, SystemLogsQueryParams> => {
+  return useMutation({
+    mutationFn: async (params: SystemLogsQueryParams) => {
+      const blob = await adminService.exportSystemLogs(params);
+      saveBlob(blob, getAuditLogFilename());
+    },
+  });
+};
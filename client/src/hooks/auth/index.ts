@@ -2,13 +2,33 @@
 export { useAuth } from './useAuth';
 export type { UseAuthReturn } from './useAuth';
 
-export { useLogin } from './useLogin';
+export { useLogin, useVerifyTwoFactorLogin } from './useLogin';
+
+export {
+  useTwoFactorStatus,
+  useSetupTwoFactor,
+  useEnableTwoFactor,
+  useDisableTwoFactor,
+  useRegenerateRecoveryCodes,
+} from './useTwoFactor';
+
+export { useAccessTokens, useCreateAccessToken, useRevokeAccessToken } from './useAccessTokens';
+
+export { useStartGitHubLink, useUnlinkGitHub } from './useGitHubAccount';
+
+export { useRequestMagicLink, useVerifyMagicLink } from './useMagicLink';
+
+export { useUnlockAccount } from './useUnlockAccount';
 
 export { useLogout, useLogoutAll } from './useLogout';
 
+export { useEndImpersonation } from './useImpersonation';
+
 export { useChangePassword } from './useChangePassword';
 
-export { useSessions } from './useSessions';
+export { useRequestEmailChange, useCancelEmailChange } from './useChangeEmail';
+
+export { useSessions, useReportSessionByToken } from './useSessions';
 export type { UseSessionsReturn } from './useSessions';
 
 export { useRegister } from './useRegister';
@@ -0,0 +1,64 @@
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  UseQueryResult,
+  UseMutationResult,
+} from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import type {
+  AccessTokensResponse,
+  CreateAccessTokenData,
+  CreateAccessTokenResponse,
+} from '../../types';
+
+/**
+ * Hook for fetching the current user's personal access tokens
+ */
+export const useAccessTokens = (): UseQueryResult<AccessTokensResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.auth.accessTokens(),
+    queryFn: authService.getAccessTokens,
+    staleTime: 60 * 1000, // Consider fresh for 1 minute
+  });
+};
+
+/**
+ * Create a personal access token
+ * Resolves to the token itself, which is only shown once
+ */
+export const useCreateAccessToken = (): UseMutationResult<
+  CreateAccessTokenResponse,
+  Error,
+  CreateAccessTokenData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.createAccessToken,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.accessTokens() });
+    },
+  });
+};
+
+/**
+ * Revoke a personal access token
+ */
+export const useRevokeAccessToken = (): UseMutationResult<
+  { message: string },
+  Error,
+  string,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.revokeAccessToken,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.accessTokens() });
+    },
+  });
+};
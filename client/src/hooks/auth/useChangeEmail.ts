@@ -0,0 +1,43 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import type { ChangeEmailData, ChangeEmailResponse } from '../../types';
+
+/**
+ * Ask to change the current user's email
+ * The address only changes once the user follows the link sent to it
+ */
+export const useRequestEmailChange = (): UseMutationResult<
+  ChangeEmailResponse,
+  Error,
+  ChangeEmailData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.requestEmailChange,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
+
+/**
+ * Cancel a pending email change
+ */
+export const useCancelEmailChange = (): UseMutationResult<
+  { message: string },
+  Error,
+  void,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.cancelEmailChange,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
@@ -0,0 +1,36 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import type { GitHubLinkResponse } from '../../types';
+
+/**
+ * Start linking a GitHub account to the current user
+ * On success the browser is sent to GitHub; it returns to /auth/github/callback
+ */
+export const useStartGitHubLink = (): UseMutationResult<
+  GitHubLinkResponse,
+  Error,
+  void,
+  unknown
+> => {
+  return useMutation({
+    mutationFn: authService.startGitHubLink,
+    onSuccess: ({ url }) => {
+      window.location.assign(url);
+    },
+  });
+};
+
+/**
+ * Unlink the current user's GitHub account
+ */
+export const useUnlinkGitHub = (): UseMutationResult<{ message: string }, Error, void, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.unlinkGitHub,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
@@ -0,0 +1,25 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import type { EndImpersonationResponse } from '../../types';
+
+/**
+ * End an impersonation and switch back to the admin's own session
+ * The page is reloaded so nothing loaded as the impersonated user lingers; if the
+ * admin's session has ended in the meantime they're sent to sign in again
+ */
+export const useEndImpersonation = (): UseMutationResult<
+  EndImpersonationResponse,
+  Error,
+  void,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.endImpersonation,
+    onSuccess: ({ signInRequired }) => {
+      queryClient.clear();
+      window.location.assign(signInRequired ? '/login' : '/admin/users');
+    },
+  });
+};
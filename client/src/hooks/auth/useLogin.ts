@@ -1,7 +1,13 @@
 import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
 import { authService } from '../../services/authService';
 import { queryKeys } from '../../config/queryClient';
-import type { LoginCredentials, LoginResponse } from '../../types';
+import { isTwoFactorChallenge } from '../../types';
+import type {
+  LoginCredentials,
+  LoginResponse,
+  TwoFactorChallengeResponse,
+  TwoFactorLoginData,
+} from '../../types';
 
 /**
  * Axios error type for error handling
@@ -20,13 +26,21 @@ interface AxiosError {
 /**
  * Enhanced login mutation hook with dual-token support
  * Handles user login and updates auth state
+ * Accounts with two-factor enabled resolve to a challenge, completed with useVerifyTwoFactorLogin
  */
-export const useLogin = (): UseMutationResult<LoginResponse, AxiosError, LoginCredentials> => {
+export const useLogin = (): UseMutationResult<
+  LoginResponse | TwoFactorChallengeResponse,
+  AxiosError,
+  LoginCredentials
+> => {
   const queryClient = useQueryClient();
 
   return useMutation({
     mutationFn: authService.login,
     onSuccess: (data) => {
+      // No session yet: the user still has to enter a code
+      if (isTwoFactorChallenge(data)) return;
+
       // Update the current user cache with the returned user data
       queryClient.setQueryData(queryKeys.auth.currentUser(), data.user);
 
@@ -54,4 +68,30 @@ export const useLogin = (): UseMutationResult<LoginResponse, AxiosError, LoginCr
   });
 };
 
+/**
+ * Second step of a two-factor login
+ * Exchanges the challenge token and a code for a session
+ */
+export const useVerifyTwoFactorLogin = (): UseMutationResult<
+  LoginResponse,
+  AxiosError,
+  TwoFactorLoginData
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.verifyTwoFactorLogin,
+    onSuccess: (data) => {
+      queryClient.setQueryData(queryKeys.auth.currentUser(), data.user);
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.all });
+    },
+    onError: (error) => {
+      console.error('❌ Two-factor verification failed:', {
+        status: error?.response?.status,
+        message: error?.response?.data?.message || error.message,
+      });
+    },
+  });
+};
+
 export default useLogin;
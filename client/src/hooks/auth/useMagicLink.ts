@@ -0,0 +1,59 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import { isTwoFactorChallenge } from '../../types';
+import type {
+  LoginResponse,
+  MagicLinkRequestResponse,
+  TwoFactorChallengeResponse,
+} from '../../types';
+
+/**
+ * Axios error type for error handling
+ */
+interface AxiosError {
+  response?: {
+    status?: number;
+    data?: {
+      message?: string;
+      differentBrowser?: boolean;
+    };
+  };
+  message?: string;
+}
+
+/**
+ * Request a one-time login link by email
+ */
+export const useRequestMagicLink = (): UseMutationResult<
+  MagicLinkRequestResponse,
+  AxiosError,
+  string
+> => {
+  return useMutation({
+    mutationFn: authService.requestMagicLink,
+  });
+};
+
+/**
+ * Log in with a login link token
+ * Accounts with two-factor enabled resolve to a challenge, completed with useVerifyTwoFactorLogin
+ */
+export const useVerifyMagicLink = (): UseMutationResult<
+  LoginResponse | TwoFactorChallengeResponse,
+  AxiosError,
+  string
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.verifyMagicLink,
+    onSuccess: (data) => {
+      // No session yet: the user still has to enter a code
+      if (isTwoFactorChallenge(data)) return;
+
+      queryClient.setQueryData(queryKeys.auth.currentUser(), data.user);
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.all });
+    },
+  });
+};
@@ -18,7 +18,7 @@ interface AxiosError {
     status?: number;
     data?: {
       message?: string;
-      errors?: Array<{ field?: string; message: string }>;
+      errors?: Array<{ msg: string; path?: string }>;
     };
   };
   message?: string;
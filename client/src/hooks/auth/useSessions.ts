@@ -1,7 +1,7 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
 import { authService } from '../../services/authService';
 import { queryKeys } from '../../config/queryClient';
-import type { Session } from '../../types';
+import type { ReportSessionResponse, Session } from '../../types';
 
 /**
  * Axios error type for error handling
@@ -35,6 +35,8 @@ export interface UseSessionsReturn {
   refetch: () => void;
   logoutAll: () => void;
   isLoggingOutAll: boolean;
+  renameSession: UseMutationResult<Session, AxiosError, { sessionId: string; name: string }>;
+  reportSession: UseMutationResult<ReportSessionResponse, AxiosError, string>;
 
   // Helper functions
   getCurrentSession: () => Session | undefined;
@@ -81,11 +83,28 @@ export const useSessions = (): UseSessionsReturn => {
     },
   });
 
+  const renameSession = useMutation<Session, AxiosError, { sessionId: string; name: string }>({
+    mutationFn: ({ sessionId, name }) => authService.renameSession(sessionId, name),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.sessions() });
+    },
+  });
+
+  // "This wasn't me": signs the session out and requires a password reset
+  const reportSession = useMutation<ReportSessionResponse, AxiosError, string>({
+    mutationFn: authService.reportSession,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.sessions() });
+    },
+  });
+
   /**
-   * Get the current session based on user agent
+   * Get the current session, as marked by the server
    */
   const getCurrentSession = (): Session | undefined => {
-    // Find current session (this is a best guess based on browser info)
+    const marked = sessions?.find((session) => session.isCurrent);
+    if (marked) return marked;
+    // Fall back to a best guess based on browser info
     return sessions?.find((session) =>
       session.deviceInfo?.userAgent?.includes(navigator.userAgent.split(' ')[0])
     );
@@ -115,6 +134,8 @@ export const useSessions = (): UseSessionsReturn => {
     refetch,
     logoutAll: logoutAllMutation.mutate,
     isLoggingOutAll: logoutAllMutation.isPending,
+    renameSession,
+    reportSession,
 
     // Helper functions
     getCurrentSession,
@@ -122,4 +143,17 @@ export const useSessions = (): UseSessionsReturn => {
   };
 };
 
+/**
+ * Report a session with the token from a new sign-in alert's "this wasn't me" link
+ */
+export const useReportSessionByToken = (): UseMutationResult<
+  ReportSessionResponse,
+  AxiosError,
+  string
+> => {
+  return useMutation({
+    mutationFn: authService.reportSessionByToken,
+  });
+};
+
 export default useSessions;
@@ -0,0 +1,101 @@
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  UseQueryResult,
+  UseMutationResult,
+} from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import type {
+  TwoFactorStatus,
+  TwoFactorSetupResponse,
+  RecoveryCodesResponse,
+  DisableTwoFactorData,
+} from '../../types';
+
+/**
+ * Hook for fetching the current user's two-factor status
+ */
+export const useTwoFactorStatus = (): UseQueryResult<TwoFactorStatus, Error> => {
+  return useQuery({
+    queryKey: queryKeys.auth.twoFactor(),
+    queryFn: authService.getTwoFactorStatus,
+    staleTime: 60 * 1000, // Consider fresh for 1 minute
+  });
+};
+
+/**
+ * Start two-factor enrollment
+ * Resolves to the secret and provisioning URI to show as a QR code
+ */
+export const useSetupTwoFactor = (): UseMutationResult<
+  TwoFactorSetupResponse,
+  Error,
+  void,
+  unknown
+> => {
+  return useMutation({
+    mutationFn: authService.setupTwoFactor,
+  });
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Resolves to the one-time recovery codes, which are only shown once
+ */
+export const useEnableTwoFactor = (): UseMutationResult<
+  RecoveryCodesResponse,
+  Error,
+  string,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.enableTwoFactor,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.twoFactor() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
+
+/**
+ * Turn two-factor authentication off
+ */
+export const useDisableTwoFactor = (): UseMutationResult<
+  { message: string },
+  Error,
+  DisableTwoFactorData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.disableTwoFactor,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.twoFactor() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ */
+export const useRegenerateRecoveryCodes = (): UseMutationResult<
+  RecoveryCodesResponse,
+  Error,
+  string,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: authService.regenerateRecoveryCodes,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.twoFactor() });
+    },
+  });
+};
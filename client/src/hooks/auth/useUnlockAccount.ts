@@ -0,0 +1,29 @@
+import { useMutation, UseMutationResult } from '@tanstack/react-query';
+import { authService } from '../../services/authService';
+import type { UnlockAccountResponse } from '../../types';
+
+/**
+ * Axios error type for error handling
+ */
+interface AxiosError {
+  response?: {
+    status?: number;
+    data?: {
+      message?: string;
+    };
+  };
+  message?: string;
+}
+
+/**
+ * Lift a login lockout with the token from the lockout email
+ */
+export const useUnlockAccount = (): UseMutationResult<
+  UnlockAccountResponse,
+  AxiosError,
+  string
+> => {
+  return useMutation({
+    mutationFn: authService.unlockAccount,
+  });
+};
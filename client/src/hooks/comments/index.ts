@@ -1,5 +1,5 @@
 // Central export for all comment hooks
-export { useComments, useComment, useCommentReplies } from './useComments';
+export { useComments, useComment, useCommentReplies, flattenCommentPages } from './useComments';
 
 export {
   useCreateComment,
@@ -26,9 +26,9 @@ interface DeleteCommentVariables {
 
 /**
  * Variables for replying to a comment
- * Note: Reply functionality is not yet implemented in the backend
  */
 interface ReplyToCommentVariables {
+  projectId: string;
   commentId: string;
   replyData: {
     content: string;
@@ -58,6 +58,13 @@ export const useCreateComment = (): UseMutationResult<
         });
       }
 
+      // Invalidate the parent's replies when this is a reply
+      if (variables.parentId) {
+        queryClient.invalidateQueries({
+          queryKey: queryKeys.comments.replies(variables.parentId),
+        });
+      }
+
       // Invalidate all comments to be safe
       invalidateQueries.comments();
     },
@@ -95,6 +102,13 @@ export const useUpdateComment = (): UseMutationResult<
           queryKey: queryKeys.comments.list(data.projectId),
         });
       }
+
+      // Replies are cached under their parent
+      if (data.parentId) {
+        queryClient.invalidateQueries({
+          queryKey: queryKeys.comments.replies(data.parentId),
+        });
+      }
     },
     onError: (error) => {
       console.error('❌ Failed to update comment:', error);
@@ -175,8 +189,7 @@ export const useToggleCommentLike = (): UseMutationResult<Comment, Error, string
 
 /**
  * Reply to comment hook
- * Note: Reply functionality is not yet implemented in the backend.
- * This hook is kept for API consistency but will need backend support.
+ * Creates a comment with the replied-to comment as its parent
  */
 export const useReplyToComment = (): UseMutationResult<
   Comment,
@@ -187,9 +200,8 @@ export const useReplyToComment = (): UseMutationResult<
   const queryClient = useQueryClient();
 
   return useMutation({
-    // Backend doesn't support replies yet - this is a placeholder
-    mutationFn: (_variables: ReplyToCommentVariables) =>
-      Promise.reject(new Error('Comment replies not implemented in backend')),
+    mutationFn: ({ projectId, commentId, replyData }: ReplyToCommentVariables) =>
+      commentsService.create({ projectId, parentId: commentId, ...replyData }),
     onSuccess: (data, variables) => {
       console.log('✅ Reply created successfully:', data);
 
@@ -198,17 +210,11 @@ export const useReplyToComment = (): UseMutationResult<
         queryKey: queryKeys.comments.replies(variables.commentId),
       });
 
-      // Invalidate the parent comment to update reply count
+      // Invalidate the list holding the parent so its reply count updates
       queryClient.invalidateQueries({
-        queryKey: queryKeys.comments.detail(variables.commentId),
+        queryKey: queryKeys.comments.list(variables.projectId),
       });
-
-      // If we know the project ID, invalidate the comments list
-      if (data.projectId) {
-        queryClient.invalidateQueries({
-          queryKey: queryKeys.comments.list(data.projectId),
-        });
-      }
+      invalidateQueries.comments();
     },
     onError: (error) => {
       console.error('❌ Failed to create reply:', error);
@@ -1,28 +1,43 @@
-import { useQuery, UseQueryOptions, UseQueryResult } from '@tanstack/react-query';
+import {
+  useQuery,
+  useInfiniteQuery,
+  InfiniteData,
+  QueryKey,
+  UseQueryOptions,
+  UseQueryResult,
+  UseInfiniteQueryOptions,
+  UseInfiniteQueryResult,
+} from '@tanstack/react-query';
 import { commentsService } from '../../services/commentsService';
 import { queryKeys } from '../../config/queryClient';
-import type { Comment } from '../../types';
+import type { Comment, CommentPage } from '../../types';
 
 /**
- * Query options type for comments hooks
+ * Query options type for paged comment hooks (pagination wiring is handled by the hook)
  */
-type CommentsQueryOptions = Omit<
-  UseQueryOptions<Comment[], Error>,
-  'queryKey' | 'queryFn' | 'enabled'
+type CommentPagesQueryOptions = Omit<
+  UseInfiniteQueryOptions<CommentPage, Error, InfiniteData<CommentPage>, QueryKey, string | null>,
+  'queryKey' | 'queryFn' | 'initialPageParam' | 'getNextPageParam' | 'enabled'
 >;
 
+const getNextCommentCursor = (lastPage: CommentPage): string | undefined =>
+  lastPage.pagination?.hasMore ? (lastPage.pagination.nextCursor ?? undefined) : undefined;
+
 /**
- * Hook for fetching comments for a specific project
+ * Hook for fetching the top-level comments of a project page by page
+ * Use flattenCommentPages to get a flat list of the pages loaded so far
  * @param projectId - The project ID to fetch comments for
  * @param options - Additional query options
  */
 export const useComments = (
   projectId: string | undefined,
-  options: CommentsQueryOptions = {}
-): UseQueryResult<Comment[], Error> => {
-  return useQuery({
+  options: Partial<CommentPagesQueryOptions> = {}
+): UseInfiniteQueryResult<InfiniteData<CommentPage>, Error> => {
+  return useInfiniteQuery({
     queryKey: queryKeys.comments.list(projectId ?? ''),
-    queryFn: () => commentsService.getByProjectId(projectId as string),
+    queryFn: ({ pageParam }) => commentsService.getByProjectId(projectId as string, pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: getNextCommentCursor,
     enabled: !!projectId, // Only run if projectId exists
     staleTime: 2 * 60 * 1000, // Consider fresh for 2 minutes
     gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
@@ -30,6 +45,12 @@ export const useComments = (
   });
 };
 
+/**
+ * Flatten the loaded pages of a useComments or useCommentReplies result into a single list
+ */
+export const flattenCommentPages = (data: InfiniteData<CommentPage> | undefined): Comment[] =>
+  data?.pages.flatMap((page) => page.comments) ?? [];
+
 /**
  * Hook for fetching a single comment by ID
  * Note: Individual comment fetching is not implemented in the backend.
@@ -55,22 +76,25 @@ export const useComment = (
 };
 
 /**
- * Hook for fetching replies for a specific comment
- * Note: Reply fetching is not implemented in the backend.
- * This hook is kept for API consistency but will need backend support.
+ * Hook for lazily fetching the replies to a comment page by page
+ * @param projectId - The project the comment belongs to
  * @param commentId - The comment ID to fetch replies for
+ * @param enabled - Only fetch once the thread is expanded
  * @param options - Additional query options
  */
 export const useCommentReplies = (
+  projectId: string | undefined,
   commentId: string | undefined,
-  options: CommentsQueryOptions = {}
-): UseQueryResult<Comment[], Error> => {
-  return useQuery({
+  enabled = true,
+  options: Partial<CommentPagesQueryOptions> = {}
+): UseInfiniteQueryResult<InfiniteData<CommentPage>, Error> => {
+  return useInfiniteQuery({
     queryKey: queryKeys.comments.replies(commentId ?? ''),
-    // Backend doesn't support comment replies yet
-    // This will need to be implemented when the backend supports it
-    queryFn: () => Promise.reject(new Error('Comment replies not implemented')),
-    enabled: false, // Disabled until backend support is added
+    queryFn: ({ pageParam }) =>
+      commentsService.getReplies(projectId as string, commentId as string, pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: getNextCommentCursor,
+    enabled: enabled && !!projectId && !!commentId,
     staleTime: 2 * 60 * 1000, // Consider fresh for 2 minutes
     gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
     ...options,
@@ -0,0 +1,3 @@
+// Central export for shared hooks
+export { useInfiniteScroll } from './useInfiniteScroll';
+export type { UseInfiniteScrollOptions } from './useInfiniteScroll';
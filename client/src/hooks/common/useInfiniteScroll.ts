@@ -0,0 +1,50 @@
+import { useCallback, useRef } from 'react';
+
+/**
+ * Options for the infinite scroll sentinel
+ */
+export interface UseInfiniteScrollOptions {
+  hasNextPage: boolean | undefined;
+  isFetchingNextPage: boolean;
+  fetchNextPage: () => unknown;
+  rootMargin?: string;
+}
+
+/**
+ * Hook that fetches the next page when a sentinel element scrolls into view
+ * Attach the returned callback ref to an element rendered after the last item
+ *
+ * @example
+ * const sentinelRef = useInfiniteScroll({ hasNextPage, isFetchingNextPage, fetchNextPage });
+ * return <div ref={sentinelRef} />;
+ */
+export const useInfiniteScroll = ({
+  hasNextPage,
+  isFetchingNextPage,
+  fetchNextPage,
+  rootMargin = '200px',
+}: UseInfiniteScrollOptions): ((node: Element | null) => void) => {
+  const observerRef = useRef<IntersectionObserver | null>(null);
+
+  return useCallback(
+    (node: Element | null) => {
+      observerRef.current?.disconnect();
+      observerRef.current = null;
+
+      if (!node || !hasNextPage || typeof IntersectionObserver === 'undefined') return;
+
+      observerRef.current = new IntersectionObserver(
+        (entries) => {
+          if (entries[0]?.isIntersecting && !isFetchingNextPage) {
+            fetchNextPage();
+          }
+        },
+        { rootMargin }
+      );
+      observerRef.current.observe(node);
+    },
+    [hasNextPage, isFetchingNextPage, fetchNextPage, rootMargin]
+  );
+};
+
+export default useInfiniteScroll;
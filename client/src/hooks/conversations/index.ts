@@ -0,0 +1,14 @@
+// Central export for all conversation hooks
+export {
+  useConversations,
+  useConversation,
+  useConversationMessages,
+  useUnreadMessageCount,
+  flattenConversationPages,
+} from './useConversations';
+
+export {
+  useStartConversation,
+  useSendConversationMessage,
+  useMarkConversationRead,
+} from './useConversationMutations';
@@ -0,0 +1,101 @@
+import {
+  useMutation,
+  useQueryClient,
+  InfiniteData,
+  UseMutationResult,
+} from '@tanstack/react-query';
+import {
+  conversationsService,
+  StartConversationData,
+  StartConversationResponse,
+  MarkConversationReadResponse,
+} from '../../services/conversationsService';
+import { queryKeys, invalidateQueries } from '../../config/queryClient';
+import { prependChatMessage, setConversationUnreadCount } from '../../utils/conversations';
+import type { ChatMessage, ChatMessagePage, ConversationPage } from '../../types';
+
+/**
+ * Options for the start conversation hook
+ */
+interface StartConversationOptions {
+  onSuccess?: (data: StartConversationResponse) => void;
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Hook for sending a first message to a user
+ * Continues the existing conversation with that user if there is one
+ * @param options - Custom success/error handlers
+ */
+export const useStartConversation = (
+  options: StartConversationOptions = {}
+): UseMutationResult<StartConversationResponse, Error, StartConversationData, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: conversationsService.start,
+    onSuccess: (data) => {
+      queryClient.setQueryData<InfiniteData<ChatMessagePage>>(
+        queryKeys.conversations.messages(data.conversation._id),
+        (messages) => prependChatMessage(messages, data.message)
+      );
+      invalidateQueries.conversations();
+      options.onSuccess?.(data);
+    },
+    onError: (error) => {
+      console.error('❌ Failed to start conversation:', error);
+      options.onError?.(error);
+    },
+  });
+};
+
+/**
+ * Hook for sending a message in a conversation
+ * @param conversationId - Conversation to send to
+ */
+export const useSendConversationMessage = (
+  conversationId: string
+): UseMutationResult<ChatMessage, Error, string, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (content: string) => conversationsService.sendMessage(conversationId, content),
+    onSuccess: (message) => {
+      queryClient.setQueryData<InfiniteData<ChatMessagePage>>(
+        queryKeys.conversations.messages(conversationId),
+        (data) => prependChatMessage(data, message)
+      );
+      invalidateQueries.conversations();
+    },
+    onError: (error) => {
+      console.error('❌ Failed to send message:', error);
+    },
+  });
+};
+
+/**
+ * Hook for marking a conversation as read
+ * Clears its unread count in the cached list and refreshes the total
+ */
+export const useMarkConversationRead = (): UseMutationResult<
+  MarkConversationReadResponse,
+  Error,
+  string,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: conversationsService.markAsRead,
+    onSuccess: (_data, conversationId) => {
+      queryClient.setQueryData<InfiniteData<ConversationPage>>(
+        queryKeys.conversations.list(),
+        (data) => setConversationUnreadCount(data, conversationId, 0)
+      );
+      queryClient.invalidateQueries({ queryKey: queryKeys.conversations.unreadCount() });
+    },
+    onError: (error) => {
+      console.error('❌ Failed to mark conversation as read:', error);
+    },
+  });
+};
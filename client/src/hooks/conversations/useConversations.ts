@@ -0,0 +1,88 @@
+import {
+  useQuery,
+  useInfiniteQuery,
+  InfiniteData,
+  UseQueryResult,
+  UseInfiniteQueryResult,
+} from '@tanstack/react-query';
+import {
+  conversationsService,
+  UnreadMessageCountResponse,
+} from '../../services/conversationsService';
+import { queryKeys } from '../../config/queryClient';
+import type { ChatMessagePage, Conversation, ConversationPage } from '../../types';
+
+/**
+ * Hook for fetching the current user's conversations page by page
+ * @param enabled - Only fetch while true
+ */
+export const useConversations = (
+  enabled = true
+): UseInfiniteQueryResult<InfiniteData<ConversationPage>, Error> => {
+  return useInfiniteQuery({
+    queryKey: queryKeys.conversations.list(),
+    queryFn: ({ pageParam }) => conversationsService.getAll(pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage: ConversationPage) =>
+      lastPage.pagination?.hasMore ? (lastPage.pagination.nextCursor ?? undefined) : undefined,
+    enabled,
+    staleTime: 30 * 1000, // Consider fresh for 30 seconds
+  });
+};
+
+/**
+ * Flatten the loaded pages of a useConversations result into a single list
+ */
+export const flattenConversationPages = (
+  data: InfiniteData<ConversationPage> | undefined
+): Conversation[] => data?.pages.flatMap((page) => page.conversations) ?? [];
+
+/**
+ * Hook for fetching a single conversation
+ * @param conversationId - Conversation to fetch (skipped when null)
+ */
+export const useConversation = (
+  conversationId: string | null
+): UseQueryResult<Conversation, Error> => {
+  return useQuery({
+    queryKey: queryKeys.conversations.detail(conversationId ?? ''),
+    queryFn: () => conversationsService.getById(conversationId as string),
+    enabled: !!conversationId,
+    staleTime: 60 * 1000, // Consider fresh for 1 minute
+  });
+};
+
+/**
+ * Hook for paging backwards through the messages in a conversation
+ * Pages are newest first; use getChatMessages to get them in chat order
+ * @param conversationId - Conversation to fetch (skipped when null)
+ */
+export const useConversationMessages = (
+  conversationId: string | null
+): UseInfiniteQueryResult<InfiniteData<ChatMessagePage>, Error> => {
+  return useInfiniteQuery({
+    queryKey: queryKeys.conversations.messages(conversationId ?? ''),
+    queryFn: ({ pageParam }) =>
+      conversationsService.getMessages(conversationId as string, pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage: ChatMessagePage) =>
+      lastPage.pagination?.hasMore ? (lastPage.pagination.nextCursor ?? undefined) : undefined,
+    enabled: !!conversationId,
+    staleTime: 5 * 60 * 1000, // New messages are pushed in, so the cache stays current
+  });
+};
+
+/**
+ * Hook for the total number of unread messages shown on the header
+ * @param enabled - Only fetch while true (e.g. when authenticated)
+ */
+export const useUnreadMessageCount = (
+  enabled = true
+): UseQueryResult<UnreadMessageCountResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.conversations.unreadCount(),
+    queryFn: conversationsService.getUnreadCount,
+    enabled,
+    staleTime: 30 * 1000, // Consider fresh for 30 seconds
+  });
+};
@@ -0,0 +1,8 @@
+// Central export for all milestone hooks
+export { useMilestones, useOverdueMilestones } from './useMilestones';
+
+export {
+  useCreateMilestone,
+  useUpdateMilestone,
+  useDeleteMilestone,
+} from './useMilestoneMutations';
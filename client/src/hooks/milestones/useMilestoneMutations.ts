@@ -0,0 +1,102 @@
+import { useMutation, useQueryClient, QueryClient, UseMutationResult } from '@tanstack/react-query';
+import {
+  milestonesService,
+  CreateMilestoneData,
+  UpdateMilestoneData,
+  DeleteMilestoneResponse,
+} from '../../services/milestonesService';
+import { queryKeys } from '../../config/queryClient';
+import type { Milestone } from '../../types';
+
+/**
+ * Variables for deleting a milestone
+ */
+interface DeleteMilestoneVariables {
+  projectId: string;
+  milestoneId: string;
+}
+
+/**
+ * Helper function to refresh project progress after milestone changes
+ * Progress shows on the project, the project lists and the owner's overdue list
+ */
+const refreshProgress = (queryClient: QueryClient, projectId: string): void => {
+  queryClient.invalidateQueries({ queryKey: queryKeys.milestones.all });
+  queryClient.invalidateQueries({ queryKey: queryKeys.projects.detail(projectId) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.projects.lists() });
+};
+
+/**
+ * Hook for creating a milestone
+ */
+export const useCreateMilestone = (): UseMutationResult<
+  Milestone,
+  Error,
+  CreateMilestoneData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: milestonesService.create,
+    onSuccess: (_milestone: Milestone, { projectId }: CreateMilestoneData) => {
+      refreshProgress(queryClient, projectId);
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to create milestone:', error);
+    },
+  });
+};
+
+/**
+ * Hook for updating a milestone or its checklist
+ */
+export const useUpdateMilestone = (): UseMutationResult<
+  Milestone,
+  Error,
+  UpdateMilestoneData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: milestonesService.update,
+    onSuccess: (_milestone: Milestone, { projectId }: UpdateMilestoneData) => {
+      refreshProgress(queryClient, projectId);
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to update milestone:', error);
+    },
+  });
+};
+
+/**
+ * Hook for deleting a milestone
+ */
+export const useDeleteMilestone = (): UseMutationResult<
+  DeleteMilestoneResponse,
+  Error,
+  DeleteMilestoneVariables,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ projectId, milestoneId }: DeleteMilestoneVariables) =>
+      milestonesService.delete(projectId, milestoneId),
+    onSuccess: (_data: DeleteMilestoneResponse, { projectId }: DeleteMilestoneVariables) => {
+      refreshProgress(queryClient, projectId);
+      // Linked tasks are unlinked on the server
+      queryClient.invalidateQueries({ queryKey: queryKeys.tasks.list(projectId) });
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to delete milestone:', error);
+    },
+  });
+};
+
+export default {
+  useCreateMilestone,
+  useUpdateMilestone,
+  useDeleteMilestone,
+};
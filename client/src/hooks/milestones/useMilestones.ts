@@ -0,0 +1,43 @@
+import { useQuery, UseQueryOptions, UseQueryResult } from '@tanstack/react-query';
+import { milestonesService, ProjectMilestonesResponse } from '../../services/milestonesService';
+import { queryKeys } from '../../config/queryClient';
+import type { OverdueMilestone } from '../../types';
+
+/**
+ * Hook for fetching a project's milestones and overall progress
+ * @param projectId - The project ID to fetch milestones for
+ * @param options - Additional query options
+ */
+export const useMilestones = (
+  projectId: string | undefined,
+  options: Omit<
+    UseQueryOptions<ProjectMilestonesResponse, Error>,
+    'queryKey' | 'queryFn' | 'enabled'
+  > = {}
+): UseQueryResult<ProjectMilestonesResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.milestones.list(projectId ?? ''),
+    queryFn: () => milestonesService.getByProjectId(projectId as string),
+    enabled: !!projectId, // Only run if projectId exists
+    staleTime: 60 * 1000, // Consider fresh for 1 minute
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+    ...options,
+  });
+};
+
+/**
+ * Hook for fetching overdue milestones on the current user's projects
+ * @param options - Additional query options (pass enabled: false when logged out)
+ */
+export const useOverdueMilestones = (
+  options: Omit<UseQueryOptions<OverdueMilestone[], Error>, 'queryKey' | 'queryFn'> = {}
+): UseQueryResult<OverdueMilestone[], Error> => {
+  return useQuery({
+    queryKey: queryKeys.milestones.overdue(),
+    queryFn: milestonesService.getOverdue,
+    staleTime: 5 * 60 * 1000, // Consider fresh for 5 minutes
+    ...options,
+  });
+};
+
+export default useMilestones;
@@ -0,0 +1,8 @@
+// Central export for all notification hooks
+export {
+  useNotifications,
+  useUnreadNotificationCount,
+  flattenNotificationPages,
+} from './useNotifications';
+
+export { useMarkNotificationRead, useMarkAllNotificationsRead } from './useNotificationMutations';
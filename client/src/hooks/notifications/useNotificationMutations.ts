@@ -0,0 +1,67 @@
+import {
+  useMutation,
+  useQueryClient,
+  InfiniteData,
+  UseMutationResult,
+} from '@tanstack/react-query';
+import { notificationsService, MarkAllReadResponse } from '../../services/notificationsService';
+import { queryKeys } from '../../config/queryClient';
+import type { Notification, NotificationPage } from '../../types';
+
+/**
+ * Hook for marking a notification as read
+ * Updates the cached list in place and refreshes the unread count
+ */
+export const useMarkNotificationRead = (): UseMutationResult<
+  Notification,
+  Error,
+  string,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: notificationsService.markAsRead,
+    onSuccess: (notification: Notification) => {
+      queryClient.setQueryData<InfiniteData<NotificationPage>>(
+        queryKeys.notifications.list(),
+        (data) =>
+          data && {
+            ...data,
+            pages: data.pages.map((page) => ({
+              ...page,
+              notifications: page.notifications.map((item) =>
+                item._id === notification._id ? { ...item, isRead: true } : item
+              ),
+            })),
+          }
+      );
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.unreadCount() });
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to mark notification as read:', error);
+    },
+  });
+};
+
+/**
+ * Hook for marking all notifications as read
+ */
+export const useMarkAllNotificationsRead = (): UseMutationResult<
+  MarkAllReadResponse,
+  Error,
+  void,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: notificationsService.markAllAsRead,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to mark notifications as read:', error);
+    },
+  });
+};
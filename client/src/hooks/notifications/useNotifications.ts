@@ -0,0 +1,53 @@
+import {
+  useQuery,
+  useInfiniteQuery,
+  InfiniteData,
+  UseQueryResult,
+  UseInfiniteQueryResult,
+} from '@tanstack/react-query';
+import { notificationsService, UnreadCountResponse } from '../../services/notificationsService';
+import { queryKeys } from '../../config/queryClient';
+import type { Notification, NotificationPage } from '../../types';
+
+/**
+ * Hook for fetching the current user's notifications page by page
+ * Use flattenNotificationPages to get a flat list of the pages loaded so far
+ * @param enabled - Only fetch while true (e.g. when the bell menu is open)
+ */
+export const useNotifications = (
+  enabled = true
+): UseInfiniteQueryResult<InfiniteData<NotificationPage>, Error> => {
+  return useInfiniteQuery({
+    queryKey: queryKeys.notifications.list(),
+    queryFn: ({ pageParam }) => notificationsService.getAll(pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage: NotificationPage) =>
+      lastPage.pagination?.hasMore ? (lastPage.pagination.nextCursor ?? undefined) : undefined,
+    enabled,
+    staleTime: 30 * 1000, // Consider fresh for 30 seconds
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+  });
+};
+
+/**
+ * Flatten the loaded pages of a useNotifications result into a single list
+ */
+export const flattenNotificationPages = (
+  data: InfiniteData<NotificationPage> | undefined
+): Notification[] => data?.pages.flatMap((page) => page.notifications) ?? [];
+
+/**
+ * Hook for the number of unread notifications shown on the bell
+ * New notifications are pushed into the cache by useRealtimeEvents, so this is not polled
+ * @param enabled - Only fetch while true (e.g. when authenticated)
+ */
+export const useUnreadNotificationCount = (
+  enabled = true
+): UseQueryResult<UnreadCountResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.notifications.unreadCount(),
+    queryFn: notificationsService.getUnreadCount,
+    enabled,
+    staleTime: 30 * 1000, // Consider fresh for 30 seconds
+  });
+};
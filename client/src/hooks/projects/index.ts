@@ -1,11 +1,16 @@
 // Central export for all project hooks
 export {
   useProjects,
+  flattenProjectPages,
+  useProjectsByMember,
   useProjectSearch,
   useUserProjects,
   useProjectsByStatus,
   useFeaturedProjects,
 } from './useProjects';
+export type { UseProjectsOptions } from './useProjects';
+
+export { updateProjectListCaches, prependToProjectLists } from './projectListCache';
 
 export { useProject } from './useProject';
 
@@ -0,0 +1,39 @@
+import { InfiniteData, QueryClient } from '@tanstack/react-query';
+import { queryKeys } from '../../config/queryClient';
+import type { Project, ProjectPage } from '../../types';
+
+/**
+ * Apply a transform to every loaded page of every cached project list
+ */
+export const updateProjectListCaches = (
+  queryClient: QueryClient,
+  updater: (projects: Project[]) => Project[]
+): void => {
+  queryClient.setQueriesData<InfiniteData<ProjectPage>>(
+    { queryKey: queryKeys.projects.lists() },
+    (oldData) => {
+      if (!oldData) return oldData;
+      return {
+        ...oldData,
+        pages: oldData.pages.map((page) => ({ ...page, projects: updater(page.projects) })),
+      };
+    }
+  );
+};
+
+/**
+ * Insert a project at the top of the first page of every cached project list
+ */
+export const prependToProjectLists = (queryClient: QueryClient, project: Project): void => {
+  queryClient.setQueriesData<InfiniteData<ProjectPage>>(
+    { queryKey: queryKeys.projects.lists() },
+    (oldData) => {
+      if (!oldData || oldData.pages.length === 0) return oldData;
+      const [firstPage, ...rest] = oldData.pages;
+      return {
+        ...oldData,
+        pages: [{ ...firstPage, projects: [project, ...firstPage.projects] }, ...rest],
+      };
+    }
+  );
+};
@@ -6,7 +6,7 @@ import {
   CollaborationResponse,
 } from '../../services/projectsService';
 import { queryKeys } from '../../config/queryClient';
-import type { Project } from '../../types';
+import { updateProjectListCaches } from './projectListCache';
 
 /**
  * Hook for joining a project
@@ -24,14 +24,8 @@ export const useJoinProject = (): UseMutationResult<JoinLeaveResponse, Error, st
       queryClient.setQueryData(queryKeys.projects.detail(projectId), updatedProject);
 
       // Update the project in any project lists
-      queryClient.setQueriesData<Project[]>(
-        { queryKey: queryKeys.projects.lists() },
-        (oldProjects) => {
-          if (!oldProjects) return oldProjects;
-          return oldProjects.map((project) =>
-            project.id === projectId ? updatedProject : project
-          );
-        }
+      updateProjectListCaches(queryClient, (projects) =>
+        projects.map((project) => (project.id === projectId ? updatedProject : project))
       );
 
       console.log('✅ Successfully joined project:', updatedProject);
@@ -58,14 +52,8 @@ export const useLeaveProject = (): UseMutationResult<JoinLeaveResponse, Error, s
       queryClient.setQueryData(queryKeys.projects.detail(projectId), updatedProject);
 
       // Update the project in any project lists
-      queryClient.setQueriesData<Project[]>(
-        { queryKey: queryKeys.projects.lists() },
-        (oldProjects) => {
-          if (!oldProjects) return oldProjects;
-          return oldProjects.map((project) =>
-            project.id === projectId ? updatedProject : project
-          );
-        }
+      updateProjectListCaches(queryClient, (projects) =>
+        projects.map((project) => (project.id === projectId ? updatedProject : project))
       );
 
       console.log('✅ Successfully left project:', updatedProject);
@@ -120,6 +108,7 @@ export const useHandleCollaborationRequest = (): UseMutationResult<
 
       // Update the project in any project lists
       queryClient.invalidateQueries({ queryKey: queryKeys.projects.lists() });
+      queryClient.invalidateQueries({ queryKey: queryKeys.projects.members() });
 
       console.log('✅ Collaboration request handled successfully:', data);
     },
@@ -6,6 +6,7 @@ import {
 } from '../../services/projectsService';
 import { queryKeys, invalidateQueries } from '../../config/queryClient';
 import type { Project } from '../../types';
+import { updateProjectListCaches, prependToProjectLists } from './projectListCache';
 
 /**
  * Context for optimistic update rollback
@@ -34,14 +35,12 @@ export const useCreateProject = (): UseMutationResult<
   return useMutation({
     mutationFn: projectsService.create,
     onSuccess: (newProject: Project) => {
-      // Add the new project to the projects list cache
-      queryClient.setQueryData<Project[]>(queryKeys.projects.list(), (oldProjects) => {
-        if (!oldProjects) return [newProject];
-        return [newProject, ...oldProjects];
-      });
+      // Add the new project to the loaded project list pages
+      prependToProjectLists(queryClient, newProject);
 
       // Invalidate all project lists to ensure consistency
       invalidateQueries.projectLists();
+      queryClient.invalidateQueries({ queryKey: queryKeys.projects.members() });
 
       console.log('✅ Project created successfully:', newProject);
     },
@@ -107,14 +106,8 @@ export const useUpdateProject = (): UseMutationResult<
       queryClient.setQueryData(queryKeys.projects.detail(projectId), updatedProject);
 
       // Update the project in any project lists
-      queryClient.setQueriesData<Project[]>(
-        { queryKey: queryKeys.projects.lists() },
-        (oldProjects) => {
-          if (!oldProjects) return oldProjects;
-          return oldProjects.map((project) =>
-            project.id === projectId ? updatedProject : project
-          );
-        }
+      updateProjectListCaches(queryClient, (projects) =>
+        projects.map((project) => (project.id === projectId ? updatedProject : project))
       );
 
       console.log('✅ Project updated successfully:', updatedProject);
@@ -155,12 +148,8 @@ export const useDeleteProject = (): UseMutationResult<
       );
 
       // Optimistically remove the project from all lists
-      queryClient.setQueriesData<Project[]>(
-        { queryKey: queryKeys.projects.lists() },
-        (oldProjects) => {
-          if (!oldProjects) return oldProjects;
-          return oldProjects.filter((project) => project.id !== projectId);
-        }
+      updateProjectListCaches(queryClient, (projects) =>
+        projects.filter((project) => project.id !== projectId)
       );
 
       return { previousProject, projectId };
@@ -168,13 +157,7 @@ export const useDeleteProject = (): UseMutationResult<
     onError: (err: Error, _projectId: string, context: DeleteMutationContext | undefined) => {
       // If the mutation fails, add the project back to the lists
       if (context?.previousProject) {
-        queryClient.setQueriesData<Project[]>(
-          { queryKey: queryKeys.projects.lists() },
-          (oldProjects) => {
-            if (!oldProjects) return [context.previousProject as Project];
-            return [context.previousProject as Project, ...oldProjects];
-          }
-        );
+        prependToProjectLists(queryClient, context.previousProject);
       }
       console.error('❌ Failed to delete project:', err);
     },
@@ -184,6 +167,7 @@ export const useDeleteProject = (): UseMutationResult<
 
       // Invalidate project lists to ensure consistency
       invalidateQueries.projectLists();
+      queryClient.invalidateQueries({ queryKey: queryKeys.projects.members() });
 
       console.log('✅ Project deleted successfully');
     },
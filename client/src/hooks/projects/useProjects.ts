@@ -1,18 +1,50 @@
-import { useQuery, UseQueryOptions, UseQueryResult } from '@tanstack/react-query';
-import { projectsService, ProjectFilters } from '../../services/projectsService';
+import {
+  useQuery,
+  useInfiniteQuery,
+  keepPreviousData,
+  InfiniteData,
+  QueryKey,
+  UseQueryOptions,
+  UseQueryResult,
+  UseInfiniteQueryOptions,
+  UseInfiniteQueryResult,
+} from '@tanstack/react-query';
+import {
+  projectsService,
+  ProjectFilters,
+  ProjectSearchParams,
+} from '../../services/projectsService';
 import { queryKeys } from '../../config/queryClient';
-import type { Project, ProjectStatus } from '../../types';
+import type {
+  MemberProjects,
+  Project,
+  ProjectPage,
+  ProjectSearchResponse,
+  ProjectStatus,
+} from '../../types';
 
 /**
- * Hook for fetching all projects with optional filters
+ * Options accepted by useProjects (pagination wiring is handled by the hook)
+ */
+export type UseProjectsOptions = Omit<
+  UseInfiniteQueryOptions<ProjectPage, Error, InfiniteData<ProjectPage>, QueryKey, string | null>,
+  'queryKey' | 'queryFn' | 'initialPageParam' | 'getNextPageParam'
+>;
+
+/**
+ * Hook for fetching projects page by page (cursor pagination) with optional filters
+ * Use flattenProjectPages to get a flat list of the pages loaded so far
  */
 export const useProjects = (
   filters: ProjectFilters = {},
-  options: Omit<UseQueryOptions<Project[], Error>, 'queryKey' | 'queryFn'> = {}
-): UseQueryResult<Project[], Error> => {
-  return useQuery({
+  options: Partial<UseProjectsOptions> = {}
+): UseInfiniteQueryResult<InfiniteData<ProjectPage>, Error> => {
+  return useInfiniteQuery({
     queryKey: queryKeys.projects.list(filters),
-    queryFn: () => projectsService.getAll(filters),
+    queryFn: ({ pageParam }) => projectsService.getAll(filters, pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage: ProjectPage) =>
+      lastPage.pagination?.hasMore ? lastPage.pagination.nextCursor : undefined,
     staleTime: 5 * 60 * 1000, // Consider fresh for 5 minutes
     gcTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
     ...options,
@@ -20,22 +52,58 @@ export const useProjects = (
 };
 
 /**
- * Hook for searching projects
+ * Flatten the loaded pages of a useProjects result into a single list
+ */
+export const flattenProjectPages = (data: InfiniteData<ProjectPage> | undefined): Project[] =>
+  data?.pages.flatMap((page) => page.projects) ?? [];
+
+/**
+ * Hook for searching projects with facet refinement
+ * Keeps the previous results on screen while a refined search loads
  */
 export const useProjectSearch = (
-  searchQuery: string,
-  options: Omit<UseQueryOptions<Project[], Error>, 'queryKey' | 'queryFn' | 'enabled'> = {}
-): UseQueryResult<Project[], Error> => {
+  params: ProjectSearchParams,
+  options: Omit<
+    UseQueryOptions<ProjectSearchResponse, Error>,
+    'queryKey' | 'queryFn' | 'enabled'
+  > = {}
+): UseQueryResult<ProjectSearchResponse, Error> => {
+  const query = params.query.trim();
   return useQuery({
-    queryKey: queryKeys.projects.search(searchQuery),
-    queryFn: () => projectsService.search(searchQuery),
-    enabled: !!searchQuery && searchQuery.length > 2, // Only search if query is 3+ chars
+    queryKey: queryKeys.projects.search({ ...params, query }),
+    queryFn: () => projectsService.search({ ...params, query }),
+    enabled: query.length > 2, // Only search if query is 3+ chars
+    placeholderData: keepPreviousData,
     staleTime: 2 * 60 * 1000, // Consider fresh for 2 minutes (search results change faster)
     gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
     ...options,
   });
 };
 
+/**
+ * Hook for fetching the projects and project stats of a set of users, such as the
+ * page of members on screen
+ * @param userIds - Users to fetch (at most 100); the query is disabled while empty
+ * @returns UseQueryResult resolving to a map of user ID to their projects
+ */
+export const useProjectsByMember = (
+  userIds: string[],
+  options: Omit<
+    UseQueryOptions<MemberProjects[], Error, Map<string, MemberProjects>>,
+    'queryKey' | 'queryFn' | 'select' | 'enabled'
+  > = {}
+): UseQueryResult<Map<string, MemberProjects>, Error> => {
+  return useQuery({
+    queryKey: queryKeys.projects.members(userIds),
+    queryFn: () => projectsService.getByMember(userIds),
+    enabled: userIds.length > 0,
+    select: (members) => new Map(members.map((member) => [member.userId, member])),
+    staleTime: 5 * 60 * 1000, // Consider fresh for 5 minutes
+    gcTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
+    ...options,
+  });
+};
+
 /**
  * Hook for fetching user's projects
  */
@@ -0,0 +1,2 @@
+// Central export for real-time hooks
+export { useRealtimeEvents } from './useRealtimeEvents';
@@ -0,0 +1,213 @@
+import { useEffect } from 'react';
+import { useQueryClient, QueryClient, InfiniteData } from '@tanstack/react-query';
+import { queryKeys, invalidateQueries } from '../../config/queryClient';
+import { notificationsService, UnreadCountResponse } from '../../services/notificationsService';
+import {
+  prependComment,
+  appendReply,
+  replaceComment,
+  removeComment,
+  adjustReplyCount,
+  applyCollaborationUpdate,
+  prependNotification,
+  prependMessage,
+  CollaborationUpdate,
+} from '../../utils/realtimeCache';
+import { prependChatMessage } from '../../utils/conversations';
+import logger from '../../utils/logger';
+import type {
+  ChatMessage,
+  ChatMessagePage,
+  Comment,
+  CommentPage,
+  Message,
+  Notification,
+  NotificationPage,
+  Project,
+} from '../../types';
+
+const EVENTS_URL = `${import.meta.env.VITE_API_URL || 'http://localhost:5001/api'}/events`;
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+interface CommentEvent {
+  projectId: string;
+  comment: Comment;
+}
+
+interface CommentDeletedEvent {
+  projectId: string;
+  commentId: string;
+  parentId?: string | null;
+}
+
+type CommentCache = InfiniteData<CommentPage> | undefined;
+
+const getId = (value: unknown): string | undefined => {
+  if (!value) return undefined;
+  if (typeof value === 'string') return value;
+  const ref = value as { _id?: string; id?: string };
+  return ref._id || ref.id;
+};
+
+// Update every cached comment list (project lists and reply threads)
+const updateAllComments = (
+  queryClient: QueryClient,
+  updater: (data: CommentCache) => CommentCache
+): void => {
+  queryClient.setQueriesData<InfiniteData<CommentPage>>(
+    { queryKey: queryKeys.comments.all },
+    (data) => (data?.pages ? updater(data) : data)
+  );
+};
+
+const handleNotification = (queryClient: QueryClient, notification: Notification): void => {
+  queryClient.setQueryData<InfiniteData<NotificationPage>>(queryKeys.notifications.list(), (data) =>
+    prependNotification(data, notification)
+  );
+  queryClient.setQueryData<UnreadCountResponse>(queryKeys.notifications.unreadCount(), (data) =>
+    data ? { count: data.count + 1 } : data
+  );
+};
+
+const handleMessage = (queryClient: QueryClient, message: ChatMessage, userId?: string): void => {
+  queryClient.setQueryData<InfiniteData<ChatMessagePage>>(
+    queryKeys.conversations.messages(message.conversation),
+    (data) => prependChatMessage(data, message)
+  );
+  invalidateQueries.conversations();
+
+  // Keep the legacy inbox and sent lists current too
+  const type = getId(message.sender) === userId ? 'sent' : 'inbox';
+  queryClient.setQueryData<Message[]>(queryKeys.users.messages(type), (data) =>
+    prependMessage(data, message as unknown as Message)
+  );
+};
+
+const handleCommentCreated = (queryClient: QueryClient, { projectId, comment }: CommentEvent) => {
+  if (comment.parentId) {
+    queryClient.setQueryData<InfiniteData<CommentPage>>(
+      queryKeys.comments.replies(comment.parentId),
+      (data) => appendReply(data, comment)
+    );
+    updateAllComments(queryClient, (data) => adjustReplyCount(data, comment.parentId as string, 1));
+  } else {
+    queryClient.setQueryData<InfiniteData<CommentPage>>(
+      queryKeys.comments.list(projectId),
+      (data) => prependComment(data, comment)
+    );
+  }
+};
+
+const handleCommentDeleted = (
+  queryClient: QueryClient,
+  { commentId, parentId }: CommentDeletedEvent
+): void => {
+  updateAllComments(queryClient, (data) => removeComment(data, commentId));
+  queryClient.removeQueries({ queryKey: queryKeys.comments.replies(commentId) });
+  if (parentId) {
+    updateAllComments(queryClient, (data) => adjustReplyCount(data, parentId, -1));
+  }
+};
+
+/**
+ * Subscribe to server-pushed events while the user is signed in
+ * Pushed notifications, messages, comments and collaboration changes are written
+ * straight into the query cache. When the stream ends (e.g. the access token expired)
+ * it reconnects with backoff after an API call has had the chance to refresh the token,
+ * then refetches notifications in case anything was missed while disconnected.
+ * @param enabled - Only connect while true (e.g. when authenticated)
+ * @param userId - Current user's ID, used to file pushed messages as inbox or sent
+ */
+export const useRealtimeEvents = (enabled: boolean, userId?: string): void => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') return undefined;
+
+    let source: EventSource | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+    let delay = MIN_RECONNECT_DELAY;
+    let hasConnected = false;
+    let stopped = false;
+
+    const listen = <T>(event: string, handler: (data: T) => void): void => {
+      source?.addEventListener(event, (e) => {
+        try {
+          handler(JSON.parse((e as MessageEvent<string>).data) as T);
+        } catch (error) {
+          logger.error(`❌ Failed to handle ${event} event:`, error);
+        }
+      });
+    };
+
+    // Events sent while disconnected are lost, so refetch what they would have updated
+    const invalidateMissedEvents = (): void => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
+      queryClient.invalidateQueries({ queryKey: [...queryKeys.users.all, 'messages'] });
+      queryClient.invalidateQueries({ queryKey: queryKeys.conversations.all });
+    };
+
+    const scheduleReconnect = (): void => {
+      source?.close();
+      source = null;
+      if (stopped || reconnectTimer) return;
+
+      reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        try {
+          // Goes through the API client, which refreshes an expired access token
+          await notificationsService.getUnreadCount();
+          connect();
+        } catch {
+          delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+          scheduleReconnect();
+        }
+      }, delay);
+    };
+
+    const connect = (): void => {
+      if (stopped) return;
+      source = new EventSource(EVENTS_URL, { withCredentials: true });
+
+      listen('ready', () => {
+        if (hasConnected) invalidateMissedEvents();
+        hasConnected = true;
+        delay = MIN_RECONNECT_DELAY;
+      });
+      listen<Notification>('notification:new', (notification) =>
+        handleNotification(queryClient, notification)
+      );
+      listen<ChatMessage>('message:new', (message) => handleMessage(queryClient, message, userId));
+      listen<CommentEvent>('comment:created', (data) => handleCommentCreated(queryClient, data));
+      listen<CommentEvent>('comment:updated', ({ comment }) =>
+        updateAllComments(queryClient, (data) => replaceComment(data, comment))
+      );
+      listen<CommentDeletedEvent>('comment:deleted', (data) =>
+        handleCommentDeleted(queryClient, data)
+      );
+      listen<CollaborationUpdate>('collaboration:updated', (update) =>
+        queryClient.setQueryData<Project>(queryKeys.projects.detail(update.projectId), (project) =>
+          applyCollaborationUpdate(project, update)
+        )
+      );
+      listen<{ reason: string }>('close', ({ reason }) => {
+        logger.debug('Event stream closed by server:', reason);
+        scheduleReconnect();
+      });
+
+      // The browser retries on its own after network errors, but not after a
+      // rejected (e.g. 401) connection, so handle reconnecting ourselves
+      source.onerror = () => scheduleReconnect();
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      source?.close();
+    };
+  }, [enabled, userId, queryClient]);
+};
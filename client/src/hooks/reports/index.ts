@@ -0,0 +1,4 @@
+// Central export for all report and moderation hooks
+export { useReportQueue, useReport } from './useReports';
+
+export { useCreateReport, useReportAction } from './useReportMutations';
@@ -0,0 +1,58 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import {
+  reportsService,
+  CreateReportData,
+  CreateReportResponse,
+  ReportActionData,
+  ReportActionResponse,
+} from '../../services/reportsService';
+import { queryKeys } from '../../config/queryClient';
+
+/**
+ * Hook for reporting content to moderators
+ */
+export const useCreateReport = (): UseMutationResult<
+  CreateReportResponse,
+  Error,
+  CreateReportData,
+  unknown
+> => {
+  return useMutation({
+    mutationFn: reportsService.create,
+    onError: (error: Error) => {
+      console.error('❌ Failed to file report:', error);
+    },
+  });
+};
+
+/**
+ * Variables for the report action hook
+ */
+interface ReportActionVariables extends ReportActionData {
+  reportId: string;
+}
+
+/**
+ * Hook for taking a moderation action on a report
+ * Refreshes the queue, since hiding content or suspending its author also
+ * closes other reports about the same content
+ */
+export const useReportAction = (): UseMutationResult<
+  ReportActionResponse,
+  Error,
+  ReportActionVariables,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ reportId, ...data }: ReportActionVariables) =>
+      reportsService.takeAction(reportId, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.reports.all });
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to update report:', error);
+    },
+  });
+};
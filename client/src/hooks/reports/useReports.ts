@@ -0,0 +1,37 @@
+import { useQuery, UseQueryResult } from '@tanstack/react-query';
+import {
+  reportsService,
+  ReportQueueParams,
+  ReportQueueResponse,
+  ReportDetailResponse,
+} from '../../services/reportsService';
+import { queryKeys } from '../../config/queryClient';
+
+/**
+ * Hook for fetching a page of the moderation queue
+ * @param params - Status and content type filters, and pagination
+ * @returns UseQueryResult containing the page of reports
+ */
+export const useReportQueue = (
+  params: ReportQueueParams = {}
+): UseQueryResult<ReportQueueResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.reports.list({ ...params }),
+    queryFn: () => reportsService.getQueue(params),
+    placeholderData: (previousData) => previousData,
+    staleTime: 30 * 1000, // 30 seconds
+  });
+};
+
+/**
+ * Hook for fetching a report with its history
+ * @param reportId - Report to fetch, or null while none is selected
+ * @returns UseQueryResult containing the report and its related report count
+ */
+export const useReport = (reportId: string | null): UseQueryResult<ReportDetailResponse, Error> => {
+  return useQuery({
+    queryKey: queryKeys.reports.detail(reportId ?? ''),
+    queryFn: () => reportsService.getById(reportId as string),
+    enabled: !!reportId,
+  });
+};
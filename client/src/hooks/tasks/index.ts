@@ -0,0 +1,4 @@
+// Central export for all task board hooks
+export { useTasks } from './useTasks';
+
+export { useCreateTask, useUpdateTask, useMoveTask, useDeleteTask } from './useTaskMutations';
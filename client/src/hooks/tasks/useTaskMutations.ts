@@ -0,0 +1,145 @@
+import { useMutation, useQueryClient, QueryClient, UseMutationResult } from '@tanstack/react-query';
+import {
+  tasksService,
+  CreateTaskData,
+  UpdateTaskData,
+  MoveTaskData,
+  DeleteTaskResponse,
+} from '../../services/tasksService';
+import { queryKeys } from '../../config/queryClient';
+import type { Task } from '../../types';
+import { moveTaskInBoard } from '../../utils/taskBoard';
+
+/**
+ * Variables for deleting a task
+ */
+interface DeleteTaskVariables {
+  projectId: string;
+  taskId: string;
+}
+
+/**
+ * Context for optimistic board update rollback
+ */
+interface BoardMutationContext {
+  previousTasks: Task[] | undefined;
+}
+
+/**
+ * Helper function to refresh milestone progress after board changes
+ */
+const refreshMilestones = (queryClient: QueryClient, projectId: string): void => {
+  queryClient.invalidateQueries({ queryKey: queryKeys.milestones.list(projectId) });
+  queryClient.invalidateQueries({ queryKey: queryKeys.projects.detail(projectId) });
+};
+
+/**
+ * Hook for creating a task
+ */
+export const useCreateTask = (): UseMutationResult<Task, Error, CreateTaskData, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: tasksService.create,
+    onSuccess: (newTask: Task, { projectId }: CreateTaskData) => {
+      queryClient.setQueryData<Task[]>(queryKeys.tasks.list(projectId), (oldTasks) =>
+        oldTasks ? [...oldTasks, newTask] : [newTask]
+      );
+      if (newTask.milestone) refreshMilestones(queryClient, projectId);
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to create task:', error);
+    },
+  });
+};
+
+/**
+ * Hook for updating a task
+ */
+export const useUpdateTask = (): UseMutationResult<Task, Error, UpdateTaskData, unknown> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: tasksService.update,
+    onSuccess: (updatedTask: Task, { projectId }: UpdateTaskData) => {
+      queryClient.setQueryData<Task[]>(queryKeys.tasks.list(projectId), (oldTasks) =>
+        oldTasks?.map((task) => (task._id === updatedTask._id ? updatedTask : task))
+      );
+      refreshMilestones(queryClient, projectId);
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to update task:', error);
+    },
+  });
+};
+
+/**
+ * Hook for moving a task on the board (optimistic)
+ */
+export const useMoveTask = (): UseMutationResult<
+  Task[],
+  Error,
+  MoveTaskData,
+  BoardMutationContext
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: tasksService.move,
+    onMutate: async (variables: MoveTaskData): Promise<BoardMutationContext> => {
+      const queryKey = queryKeys.tasks.list(variables.projectId);
+      await queryClient.cancelQueries({ queryKey });
+
+      const previousTasks = queryClient.getQueryData<Task[]>(queryKey);
+      queryClient.setQueryData<Task[]>(queryKey, (oldTasks) =>
+        oldTasks ? moveTaskInBoard(oldTasks, variables) : oldTasks
+      );
+
+      return { previousTasks };
+    },
+    onError: (error: Error, { projectId }: MoveTaskData, context) => {
+      // Roll back to the board as it was before the drag
+      if (context?.previousTasks) {
+        queryClient.setQueryData(queryKeys.tasks.list(projectId), context.previousTasks);
+      }
+      console.error('❌ Failed to move task:', error);
+    },
+    onSuccess: (tasks: Task[], { projectId }: MoveTaskData) => {
+      queryClient.setQueryData(queryKeys.tasks.list(projectId), tasks);
+      refreshMilestones(queryClient, projectId);
+    },
+  });
+};
+
+/**
+ * Hook for deleting a task
+ */
+export const useDeleteTask = (): UseMutationResult<
+  DeleteTaskResponse,
+  Error,
+  DeleteTaskVariables,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ projectId, taskId }: DeleteTaskVariables) =>
+      tasksService.delete(projectId, taskId),
+    onSuccess: (_data: DeleteTaskResponse, { projectId, taskId }: DeleteTaskVariables) => {
+      queryClient.setQueryData<Task[]>(queryKeys.tasks.list(projectId), (oldTasks) =>
+        oldTasks?.filter((task) => task._id !== taskId)
+      );
+      refreshMilestones(queryClient, projectId);
+    },
+    onError: (error: Error) => {
+      console.error('❌ Failed to delete task:', error);
+    },
+  });
+};
+
+export default {
+  useCreateTask,
+  useUpdateTask,
+  useMoveTask,
+  useDeleteTask,
+};
@@ -0,0 +1,25 @@
+import { useQuery, UseQueryOptions, UseQueryResult } from '@tanstack/react-query';
+import { tasksService } from '../../services/tasksService';
+import { queryKeys } from '../../config/queryClient';
+import type { Task } from '../../types';
+
+/**
+ * Hook for fetching the task board of a project
+ * @param projectId - The project ID to fetch tasks for
+ * @param options - Additional query options
+ */
+export const useTasks = (
+  projectId: string | undefined,
+  options: Omit<UseQueryOptions<Task[], Error>, 'queryKey' | 'queryFn' | 'enabled'> = {}
+): UseQueryResult<Task[], Error> => {
+  return useQuery({
+    queryKey: queryKeys.tasks.list(projectId ?? ''),
+    queryFn: () => tasksService.getByProjectId(projectId as string),
+    enabled: !!projectId, // Only run if projectId exists
+    staleTime: 60 * 1000, // Consider fresh for 1 minute (boards change often)
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+    ...options,
+  });
+};
+
+export default useTasks;
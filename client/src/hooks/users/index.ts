@@ -3,9 +3,11 @@ export {
   useUsers,
   useUser,
   useUserSearch,
+  useMentionSuggestions,
   useUserProjects,
   useUserStats,
   useMyProfile,
+  useRelationships,
 } from './useUsers';
 
 export {
@@ -16,6 +18,19 @@ export {
   useDeleteAvatar,
 } from './useProfileMutations';
 
+export {
+  useBlockUser,
+  useUnblockUser,
+  useMuteUser,
+  useUnmuteUser,
+} from './useRelationshipMutations';
+
+export {
+  useExportMyData,
+  useRequestAccountDeletion,
+  useCancelAccountDeletion,
+} from './useAccountData';
+
 export {
   useMessages,
   useMessage,
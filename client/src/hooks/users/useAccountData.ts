@@ -0,0 +1,61 @@
+import { useMutation, useQueryClient, UseMutationResult } from '@tanstack/react-query';
+import { usersService, MessageResponse } from '../../services/usersService';
+import { authService } from '../../services/authService';
+import { queryKeys } from '../../config/queryClient';
+import { getDataExportFilename, saveBlob } from '../../utils/accountData';
+import type { AccountDeletionData, AccountDeletionResponse } from '../../types';
+
+/**
+ * Download the current user's data export
+ */
+export const useExportMyData = (): UseMutationResult<void, Error, void, unknown> => {
+  return useMutation({
+    mutationFn: async () => {
+      const blob = await usersService.exportMyData();
+      saveBlob(blob, getDataExportFilename());
+    },
+    onError: (error) => {
+      console.error('❌ Failed to export data:', error);
+    },
+  });
+};
+
+/**
+ * Schedule the current user's account for deletion
+ * The server signs out every session, so local auth state is cleared too
+ */
+export const useRequestAccountDeletion = (): UseMutationResult<
+  AccountDeletionResponse,
+  Error,
+  AccountDeletionData,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: usersService.requestAccountDeletion,
+    onSuccess: () => {
+      authService.clearTokens();
+      queryClient.removeQueries({ queryKey: queryKeys.auth.all });
+    },
+  });
+};
+
+/**
+ * Cancel a scheduled account deletion
+ */
+export const useCancelAccountDeletion = (): UseMutationResult<
+  MessageResponse,
+  Error,
+  void,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: usersService.cancelAccountDeletion,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+    },
+  });
+};
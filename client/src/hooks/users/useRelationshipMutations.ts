@@ -0,0 +1,70 @@
+import { useMutation, UseMutationResult } from '@tanstack/react-query';
+import { usersService, MessageResponse } from '../../services/usersService';
+import { invalidateQueries } from '../../config/queryClient';
+
+/**
+ * Block user hook
+ * Blocked users can no longer message, mention or send collaboration requests
+ */
+export const useBlockUser = (): UseMutationResult<MessageResponse, Error, string, unknown> => {
+  return useMutation({
+    mutationFn: usersService.blockUser,
+    onSuccess: () => {
+      invalidateQueries.userRelationships();
+      // Conversations with the blocked user can no longer receive messages
+      invalidateQueries.conversations();
+    },
+    onError: (error) => {
+      console.error('❌ Failed to block user:', error);
+    },
+  });
+};
+
+/**
+ * Unblock user hook
+ */
+export const useUnblockUser = (): UseMutationResult<MessageResponse, Error, string, unknown> => {
+  return useMutation({
+    mutationFn: usersService.unblockUser,
+    onSuccess: () => {
+      invalidateQueries.userRelationships();
+      invalidateQueries.conversations();
+    },
+    onError: (error) => {
+      console.error('❌ Failed to unblock user:', error);
+    },
+  });
+};
+
+/**
+ * Mute user hook
+ * Comments by muted users are collapsed in comment threads
+ */
+export const useMuteUser = (): UseMutationResult<MessageResponse, Error, string, unknown> => {
+  return useMutation({
+    mutationFn: usersService.muteUser,
+    onSuccess: () => {
+      invalidateQueries.userRelationships();
+      invalidateQueries.comments();
+    },
+    onError: (error) => {
+      console.error('❌ Failed to mute user:', error);
+    },
+  });
+};
+
+/**
+ * Unmute user hook
+ */
+export const useUnmuteUser = (): UseMutationResult<MessageResponse, Error, string, unknown> => {
+  return useMutation({
+    mutationFn: usersService.unmuteUser,
+    onSuccess: () => {
+      invalidateQueries.userRelationships();
+      invalidateQueries.comments();
+    },
+    onError: (error) => {
+      console.error('❌ Failed to unmute user:', error);
+    },
+  });
+};
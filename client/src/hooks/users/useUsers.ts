@@ -1,7 +1,7 @@
 import { useQuery, UseQueryOptions, UseQueryResult } from '@tanstack/react-query';
 import { usersService, UserSearchParams, UserStats } from '../../services/usersService';
 import { queryKeys } from '../../config/queryClient';
-import type { User, Project } from '../../types';
+import type { User, Project, MentionSuggestion, UserRelationships } from '../../types';
 
 /**
  * Query options type for users list hook
@@ -81,6 +81,22 @@ export const useUserSearch = (
   });
 };
 
+/**
+ * Hook for fetching @mention suggestions while typing
+ * @param query - Username prefix after the @, or null when no mention is being typed
+ */
+export const useMentionSuggestions = (
+  query: string | null
+): UseQueryResult<MentionSuggestion[], Error> => {
+  return useQuery({
+    queryKey: queryKeys.users.mentions(query ?? ''),
+    queryFn: () => usersService.getMentionSuggestions(query as string),
+    enabled: !!query, // Only run once at least one character follows the @
+    staleTime: 60 * 1000, // Consider fresh for 1 minute
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+  });
+};
+
 /**
  * Hook for fetching user's projects
  * @param userId - The user ID to fetch projects for
@@ -134,3 +150,19 @@ export const useMyProfile = (
     ...options,
   });
 };
+
+/**
+ * Hook for fetching the users the current user has blocked or muted
+ * @param options - Additional query options
+ */
+export const useRelationships = (
+  options: Omit<UseQueryOptions<UserRelationships, Error>, 'queryKey' | 'queryFn'> = {}
+): UseQueryResult<UserRelationships, Error> => {
+  return useQuery({
+    queryKey: queryKeys.users.relationships(),
+    queryFn: usersService.getRelationships,
+    staleTime: 5 * 60 * 1000, // Consider fresh for 5 minutes
+    gcTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
+    ...options,
+  });
+};
@@ -11,12 +11,18 @@ import {
   CardActions,
   Chip,
   Alert,
+  AlertTitle,
+  List,
+  ListItemButton,
+  ListItemText,
 } from '@mui/material';
 import { Add, People, CalendarToday } from '@mui/icons-material';
 import { useAuth } from '../hooks/auth';
-import { useProjects } from '../hooks/projects';
+import { useProjects, useProjectsByMember, flattenProjectPages } from '../hooks/projects';
+import { useOverdueMilestones } from '../hooks/milestones';
 import { DashboardSkeleton } from '../components/common/Skeletons';
-import type { ProjectStatus, CollaboratorStatus } from '../types';
+import ProjectProgressBar from '../components/projects/ProjectProgressBar';
+import type { ProjectStatus, CollaboratorStatus, ProjectProgress } from '../types';
 
 // API response types
 interface ProjectOwner {
@@ -39,6 +45,7 @@ interface ProjectWithId {
   status?: ProjectStatus;
   owner?: ProjectOwner | string;
   collaborators?: ProjectCollaborator[];
+  progress?: ProjectProgress;
   createdAt: string;
   updatedAt?: string;
 }
@@ -53,9 +60,20 @@ interface UserWithId {
 const Dashboard: React.FC = () => {
   // Auth and project data
   const { user } = useAuth();
-  const { data: projects = [], isLoading: loading, error, refetch } = useProjects();
-
   const typedUser = user as UserWithId | null;
+  const { data, isLoading, hasNextPage, isFetchingNextPage, fetchNextPage, error, refetch } =
+    useProjects({ member: typedUser?._id }, { enabled: !!typedUser?._id });
+  // Stats cover every project, so they come from the server rather than the loaded pages
+  const {
+    data: memberStats,
+    isLoading: statsLoading,
+    error: statsError,
+    refetch: refetchStats,
+  } = useProjectsByMember(typedUser?._id ? [typedUser._id] : []);
+  const stats = typedUser?._id ? memberStats?.get(typedUser._id) : undefined;
+  const loading = isLoading || statsLoading;
+  const { data: overdueMilestones = [] } = useOverdueMilestones({ enabled: !!typedUser?._id });
+  const projects = useMemo(() => flattenProjectPages(data), [data]);
 
   // Filter projects for the current user (owned or collaborated)
   const userProjects = useMemo(() => {
@@ -86,7 +104,7 @@ const Dashboard: React.FC = () => {
     );
   }
 
-  if (error) {
+  if (error || statsError) {
     return (
       <Container maxWidth="lg">
         <Box sx={{ mt: 4 }}>
@@ -94,12 +112,18 @@ const Dashboard: React.FC = () => {
             <Typography variant="h6" gutterBottom>
               Error Loading Dashboard
             </Typography>
-            {(error as Error & { response?: { data?: { message?: string } } })?.response?.data
-              ?.message ||
-              (error as Error)?.message ||
+            {((error || statsError) as Error & { response?: { data?: { message?: string } } })
+              ?.response?.data?.message ||
+              (error || statsError)?.message ||
               'Failed to load dashboard data'}
           </Alert>
-          <Button variant="contained" onClick={() => refetch()}>
+          <Button
+            variant="contained"
+            onClick={() => {
+              refetch();
+              refetchStats();
+            }}
+          >
             Try Again
           </Button>
         </Box>
@@ -120,6 +144,31 @@ const Dashboard: React.FC = () => {
           </Typography>
         </Box>
 
+        {/* Overdue milestones on projects the user owns */}
+        {overdueMilestones.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 4 }} data-testid="overdue-milestones">
+            <AlertTitle>
+              {overdueMilestones.length} overdue milestone
+              {overdueMilestones.length === 1 ? '' : 's'}
+            </AlertTitle>
+            <List dense disablePadding>
+              {overdueMilestones.map((milestone) => (
+                <ListItemButton
+                  key={milestone._id}
+                  component={RouterLink}
+                  to={`/projects/${milestone.projectId}`}
+                  sx={{ px: 0 }}
+                >
+                  <ListItemText
+                    primary={`${milestone.title} · ${milestone.projectTitle}`}
+                    secondary={`Due ${new Date(milestone.targetDate as string).toLocaleDateString()} · ${milestone.progress.percent}% complete`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Alert>
+        )}
+
         {/* User Stats */}
         <Grid container spacing={3} sx={{ mb: 4 }}>
           <Grid item xs={12} sm={4}>
@@ -128,7 +177,7 @@ const Dashboard: React.FC = () => {
                 <Typography color="text.secondary" gutterBottom>
                   Total Projects
                 </Typography>
-                <Typography variant="h4">{userProjects.length}</Typography>
+                <Typography variant="h4">{stats?.projectCount ?? 0}</Typography>
               </CardContent>
             </Card>
           </Grid>
@@ -138,12 +187,7 @@ const Dashboard: React.FC = () => {
                 <Typography color="text.secondary" gutterBottom>
                   Active Collaborations
                 </Typography>
-                <Typography variant="h4">
-                  {userProjects.reduce(
-                    (sum, project) => sum + (project.collaborators?.length || 0),
-                    0
-                  )}
-                </Typography>
+                <Typography variant="h4">{stats?.collaboratorCount ?? 0}</Typography>
               </CardContent>
             </Card>
           </Grid>
@@ -153,9 +197,7 @@ const Dashboard: React.FC = () => {
                 <Typography color="text.secondary" gutterBottom>
                   Technologies Used
                 </Typography>
-                <Typography variant="h4">
-                  {new Set(userProjects.flatMap((p) => p.technologies || [])).size}
-                </Typography>
+                <Typography variant="h4">{stats?.technologyCount ?? 0}</Typography>
               </CardContent>
             </Card>
           </Grid>
@@ -216,6 +258,7 @@ const Dashboard: React.FC = () => {
                             <Chip key={tech} label={tech} size="small" sx={{ mr: 1, mb: 1 }} />
                           ))}
                       </Box>
+                      <ProjectProgressBar progress={project.progress} />
                       <Box
                         sx={{
                           display: 'flex',
@@ -258,6 +301,18 @@ const Dashboard: React.FC = () => {
             })}
           </Grid>
 
+          {hasNextPage && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              <Button
+                variant="outlined"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+              >
+                {isFetchingNextPage ? 'Loading...' : 'Load more projects'}
+              </Button>
+            </Box>
+          )}
+
           {userProjects.length === 0 && (
             <Box sx={{ textAlign: 'center', mt: 4 }}>
               <Typography variant="h6" color="text.secondary" gutterBottom>
@@ -10,20 +10,26 @@ import {
   Button,
   CircularProgress,
 } from '@mui/material';
+import { useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
+import { queryKeys } from '../config/queryClient';
 
 type VerificationStatus = 'verifying' | 'success' | 'error';
 
 interface VerifyResponse {
   message: string;
+  // Set when the link confirmed a change of address rather than a new account
+  emailChanged?: boolean;
 }
 
 const EmailVerification: React.FC = () => {
   const { token: paramToken } = useParams<{ token?: string }>();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const [status, setStatus] = useState<VerificationStatus>('verifying');
   const [message, setMessage] = useState('');
+  const [emailChanged, setEmailChanged] = useState(false);
   const hasVerified = useRef(false);
   const verificationPromise = useRef<Promise<VerifyResponse> | null>(null);
 
@@ -61,6 +67,10 @@ const EmailVerification: React.FC = () => {
           console.log('Verification success:', response.data);
           setStatus('success');
           setMessage(response.data.message);
+          if (response.data.emailChanged) {
+            setEmailChanged(true);
+            queryClient.invalidateQueries({ queryKey: queryKeys.auth.currentUser() });
+          }
           return response.data;
         } catch (error) {
           console.error('=== VERIFICATION ERROR DEBUG ===');
@@ -86,7 +96,7 @@ const EmailVerification: React.FC = () => {
     };
 
     verifyEmail();
-  }, [token]);
+  }, [token, queryClient]);
 
   const getContent = (): React.ReactNode => {
     switch (status) {
@@ -101,7 +111,9 @@ const EmailVerification: React.FC = () => {
       case 'success':
         return (
           <Alert severity="success" sx={{ mb: 3 }}>
-            <AlertTitle>Email Verified Successfully!</AlertTitle>
+            <AlertTitle>
+              {emailChanged ? 'Email Address Changed!' : 'Email Verified Successfully!'}
+            </AlertTitle>
             {message}
           </Alert>
         );
@@ -132,12 +144,12 @@ const EmailVerification: React.FC = () => {
           {(status === 'success' || status === 'error') && (
             <Box sx={{ textAlign: 'center' }}>
               <Button
-                onClick={() => navigate('/login')}
+                onClick={() => navigate(emailChanged ? '/settings' : '/login')}
                 variant="contained"
                 color="primary"
                 size="large"
               >
-                Go to Login
+                {emailChanged ? 'Go to Settings' : 'Go to Login'}
               </Button>
             </Box>
           )}
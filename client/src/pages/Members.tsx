@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Container,
   Typography,
@@ -16,13 +16,30 @@ import {
   DialogTitle,
   DialogContent,
   IconButton,
+  Tooltip,
+  TablePagination,
 } from '@mui/material';
-import { Link as RouterLink } from 'react-router-dom';
-import { Message as MessageIcon, Close as CloseIcon } from '@mui/icons-material';
-import { useUsers } from '../hooks/users';
-import { useProjects } from '../hooks/projects';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
+import {
+  Message as MessageIcon,
+  Close as CloseIcon,
+  Block as BlockIcon,
+  VolumeOff as VolumeOffIcon,
+} from '@mui/icons-material';
+import { useAuth } from '../hooks/auth';
+import {
+  useUsers,
+  useRelationships,
+  useBlockUser,
+  useUnblockUser,
+  useMuteUser,
+  useUnmuteUser,
+} from '../hooks/users';
+import { keepPreviousData } from '@tanstack/react-query';
+import { useProjectsByMember } from '../hooks/projects';
 import MessageForm from '../components/messaging/MessageForm';
 import Avatar from '../components/common/Avatar';
+import { ReportButton } from '../components/common/ReportDialog';
 import { MembersTableSkeleton } from '../components/common/Skeletons';
 import type { User } from '../types';
 
@@ -42,32 +59,13 @@ interface UserWithId {
   profileImage?: string;
 }
 
-interface ProjectWithId {
-  _id: string;
-  id?: string;
-  title: string;
-  description: string;
-  technologies?: string[];
-  createdAt: string;
-  owner?:
-    | {
-        _id: string;
-        username?: string;
-      }
-    | string;
-  collaborators?: Array<{
-    _id?: string;
-    userId?:
-      | {
-          _id: string;
-        }
-      | string;
-  }>;
-}
-
 const Members: React.FC = () => {
   const [showMessageForm, setShowMessageForm] = useState(false);
   const [selectedUser, setSelectedUser] = useState<UserWithId | null>(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const { user: currentUser } = useAuth();
+  const currentUserId = currentUser?.id || (currentUser as unknown as { _id?: string })?._id;
 
   // Fetch users and projects using TanStack Query
   const {
@@ -77,45 +75,73 @@ const Members: React.FC = () => {
     refetch: refetchUsers,
   } = useUsers();
 
+  // Only the members on the current page have their projects fetched
+  const typedUsers = users as unknown as UserWithId[];
+  const pageUsers = typedUsers.slice(page * rowsPerPage, (page + 1) * rowsPerPage);
+
   const {
-    data: projects = [],
+    data: projectsByMember,
     isLoading: projectsLoading,
     error: projectsError,
     refetch: refetchProjects,
-  } = useProjects();
+  } = useProjectsByMember(
+    pageUsers.map((user) => user._id),
+    { placeholderData: keepPreviousData }
+  );
+
+  const { data: relationships } = useRelationships();
+  const blockedIds = useMemo(
+    () => new Set(relationships?.blocked.map((u) => u._id)),
+    [relationships]
+  );
+  const mutedIds = useMemo(() => new Set(relationships?.muted.map((u) => u._id)), [relationships]);
+  const blockMutation = useBlockUser();
+  const unblockMutation = useUnblockUser();
+  const muteMutation = useMuteUser();
+  const unmuteMutation = useUnmuteUser();
 
   const loading = usersLoading || projectsLoading;
   const error = usersError || projectsError;
 
-  const typedUsers = users as unknown as UserWithId[];
-  const typedProjects = projects as unknown as ProjectWithId[];
-
-  // Memoized helper: get projects for a user
-  const getUserProjects = useMemo(() => {
-    return (userId: string): ProjectWithId[] => {
-      return typedProjects.filter((p) => {
-        // Handle both populated and unpopulated owner fields
-        const ownerId = typeof p.owner === 'object' && p.owner !== null ? p.owner._id : p.owner;
-        return (
-          (ownerId && ownerId.toString() === userId.toString()) ||
-          (p.collaborators &&
-            p.collaborators.some((c) => {
-              const collabUserId =
-                typeof c.userId === 'object' && c.userId !== null
-                  ? (c.userId as { _id: string })._id
-                  : c.userId;
-              return collabUserId?.toString() === userId.toString();
-            }))
-        );
-      });
-    };
-  }, [typedProjects]);
+  // Mention links point at a member's row (#member-<id>); open the page holding it
+  // and scroll to it once loaded
+  const { hash } = useLocation();
+  const linkedRowId = hash.startsWith('#member-') ? hash.slice(1) : null;
+  const [pageLinkedRowId, setPageLinkedRowId] = useState<string | null>(null);
+  if (linkedRowId && linkedRowId !== pageLinkedRowId && !usersLoading) {
+    const index = typedUsers.findIndex((user) => `member-${user._id}` === linkedRowId);
+    setPageLinkedRowId(linkedRowId);
+    if (index !== -1) {
+      setPage(Math.floor(index / rowsPerPage));
+    }
+  }
+  useEffect(() => {
+    if (!loading && linkedRowId) {
+      document.getElementById(linkedRowId)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [loading, linkedRowId, page]);
 
   const handleMessageUser = (user: UserWithId): void => {
     setSelectedUser(user);
     setShowMessageForm(true);
   };
 
+  const handleToggleBlock = (userId: string): void => {
+    if (blockedIds.has(userId)) {
+      unblockMutation.mutate(userId);
+    } else if (window.confirm("Block this member? They won't be able to message or mention you.")) {
+      blockMutation.mutate(userId);
+    }
+  };
+
+  const handleToggleMute = (userId: string): void => {
+    if (mutedIds.has(userId)) {
+      unmuteMutation.mutate(userId);
+    } else {
+      muteMutation.mutate(userId);
+    }
+  };
+
   const handleCloseMessageForm = (): void => {
     setShowMessageForm(false);
     setSelectedUser(null);
@@ -126,6 +152,15 @@ const Members: React.FC = () => {
     setSelectedUser(null);
   };
 
+  const handleChangePage = (_event: unknown, newPage: number): void => {
+    setPage(newPage);
+  };
+
+  const handleChangeRowsPerPage = (event: React.ChangeEvent<HTMLInputElement>): void => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ mt: 4 }}>
@@ -196,10 +231,14 @@ const Members: React.FC = () => {
             </TableRow>
           </TableHead>
           <TableBody>
-            {typedUsers.map((user) => {
-              const userProjects = getUserProjects(user._id);
+            {pageUsers.map((user) => {
+              const userProjects = projectsByMember?.get(user._id)?.projects ?? [];
               return (
-                <TableRow key={user._id}>
+                <TableRow
+                  key={user._id}
+                  id={`member-${user._id}`}
+                  selected={linkedRowId === `member-${user._id}`}
+                >
                   <TableCell>
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                       <Avatar user={user} size="sm" />
@@ -237,16 +276,53 @@ const Members: React.FC = () => {
                       variant="outlined"
                       startIcon={<MessageIcon />}
                       onClick={() => handleMessageUser(user)}
+                      disabled={blockedIds.has(user._id)}
                       sx={{ minWidth: 'auto' }}
                     >
                       Message
                     </Button>
+                    {currentUserId && user._id !== currentUserId && (
+                      <Box sx={{ display: 'flex', justifyContent: 'center', gap: 0.5, mt: 0.5 }}>
+                        <Tooltip title={mutedIds.has(user._id) ? 'Unmute' : 'Mute comments'}>
+                          <IconButton
+                            size="small"
+                            aria-label={mutedIds.has(user._id) ? 'Unmute member' : 'Mute member'}
+                            color={mutedIds.has(user._id) ? 'warning' : 'default'}
+                            onClick={() => handleToggleMute(user._id)}
+                          >
+                            <VolumeOffIcon fontSize="inherit" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={blockedIds.has(user._id) ? 'Unblock' : 'Block'}>
+                          <IconButton
+                            size="small"
+                            aria-label={
+                              blockedIds.has(user._id) ? 'Unblock member' : 'Block member'
+                            }
+                            color={blockedIds.has(user._id) ? 'error' : 'default'}
+                            onClick={() => handleToggleBlock(user._id)}
+                          >
+                            <BlockIcon fontSize="inherit" />
+                          </IconButton>
+                        </Tooltip>
+                        <ReportButton targetType="user" targetId={user._id} />
+                      </Box>
+                    )}
                   </TableCell>
                 </TableRow>
               );
             })}
           </TableBody>
         </Table>
+        <TablePagination
+          component="div"
+          count={typedUsers.length}
+          page={page}
+          onPageChange={handleChangePage}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={handleChangeRowsPerPage}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
       </TableContainer>
 
       {/* Message Form Dialog */}
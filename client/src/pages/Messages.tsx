@@ -1,152 +1,62 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
+  Alert,
   Box,
-  Container,
-  Typography,
-  Tabs,
-  Tab,
   Button,
+  Container,
   Dialog,
-  DialogTitle,
   DialogContent,
+  DialogTitle,
   IconButton,
-  Alert,
-  Badge,
+  Paper,
+  Typography,
+  useMediaQuery,
+  useTheme,
 } from '@mui/material';
+import { Add as AddIcon, Close as CloseIcon } from '@mui/icons-material';
+import { useAuth } from '../hooks/auth';
 import {
-  Add as AddIcon,
-  Close as CloseIcon,
-  Inbox as InboxIcon,
-  Send as SendIcon,
-} from '@mui/icons-material';
-import { useMessages, useDeleteMessage } from '../hooks/users/useMessaging';
-import MessageList from '../components/messaging/MessageList';
+  useConversations,
+  useConversation,
+  flattenConversationPages,
+} from '../hooks/conversations';
+import ConversationList from '../components/messaging/ConversationList';
+import ChatView from '../components/messaging/ChatView';
 import MessageForm from '../components/messaging/MessageForm';
-import MessageThread from '../components/messaging/MessageThread';
-import type { UserSummary, Message, User } from '../types';
 
-// Extended Message type to handle API response with _id
-interface MessageWithId {
-  _id: string;
-  id?: string;
-  subject: string;
-  content: string;
-  isRead: boolean;
-  readAt?: string;
-  createdAt: string;
-  sender?: UserSummary & { _id?: string };
-  recipient?: UserSummary & { _id?: string };
-}
+// Height of the two-pane chat layout, leaving room for the header and footer
+const CHAT_HEIGHT = 'calc(100vh - 220px)';
 
 const Messages: React.FC = () => {
-  const [activeTab, setActiveTab] = useState(0);
-  const [selectedMessage, setSelectedMessage] = useState<MessageWithId | null>(null);
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [showCompose, setShowCompose] = useState(false);
-  const [showReply, setShowReply] = useState(false);
-  const [replyToMessage, setReplyToMessage] = useState<MessageWithId | null>(null);
-
-  // Fetch messages
-  const {
-    data: inboxMessages = [],
-    isLoading: loadingInbox,
-    error: inboxError,
-    refetch: refetchInbox,
-  } = useMessages('inbox');
-
-  const {
-    data: sentMessages = [],
-    isLoading: loadingSent,
-    error: sentError,
-    refetch: refetchSent,
-  } = useMessages('sent');
-
-  // Delete message mutation
-  const deleteMessageMutation = useDeleteMessage({
-    onSuccess: () => {
-      refetchInbox();
-      refetchSent();
-      if (selectedMessage) {
-        setSelectedMessage(null);
-      }
-    },
-  });
 
-  const handleTabChange = (_event: React.SyntheticEvent, newValue: number): void => {
-    setActiveTab(newValue);
-    setSelectedMessage(null);
-  };
-
-  const handleMessageClick = (message: MessageWithId): void => {
-    setSelectedMessage(message);
-  };
+  const selectedId = searchParams.get('conversation');
 
-  const handleBackToList = (): void => {
-    setSelectedMessage(null);
-  };
+  const { data, isLoading, error, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useConversations();
+  const conversations = flattenConversationPages(data);
 
-  const handleComposeMessage = (): void => {
-    setShowCompose(true);
-  };
+  // Conversations further down the list (or opened from a link) are fetched on their own
+  const listed = conversations.find((conversation) => conversation._id === selectedId);
+  const { data: fetched } = useConversation(listed ? null : selectedId);
+  const selected = listed ?? fetched;
 
-  const handleCloseCompose = (): void => {
-    setShowCompose(false);
+  const selectConversation = (conversationId: string | null): void => {
+    setSearchParams(conversationId ? { conversation: conversationId } : {});
   };
 
-  const handleComposeSuccess = (): void => {
+  const handleComposeSuccess = (conversationId: string): void => {
     setShowCompose(false);
-    refetchSent();
-  };
-
-  const handleReplyMessage = (message: MessageWithId): void => {
-    setReplyToMessage(message);
-    setShowReply(true);
-  };
-
-  const handleCloseReply = (): void => {
-    setShowReply(false);
-    setReplyToMessage(null);
-  };
-
-  const handleReplySuccess = (): void => {
-    setShowReply(false);
-    setReplyToMessage(null);
-    refetchSent();
-  };
-
-  const handleDeleteMessage = (messageId: string): void => {
-    if (window.confirm('Are you sure you want to delete this message?')) {
-      deleteMessageMutation.mutate(messageId);
-    }
-  };
-
-  const getCurrentMessages = (): MessageWithId[] => {
-    return (activeTab === 0 ? inboxMessages : sentMessages) as MessageWithId[];
-  };
-
-  const getCurrentLoading = (): boolean => {
-    return activeTab === 0 ? loadingInbox : loadingSent;
-  };
-
-  const getCurrentError = (): Error | null => {
-    return (activeTab === 0 ? inboxError : sentError) as Error | null;
-  };
-
-  const getUnreadCount = (): number => {
-    return (inboxMessages as MessageWithId[]).filter((msg) => !msg.isRead).length;
+    selectConversation(conversationId);
   };
 
-  if (selectedMessage) {
-    return (
-      <Container maxWidth="md" sx={{ py: 3 }}>
-        <MessageThread
-          message={selectedMessage}
-          onBack={handleBackToList}
-          onReply={handleReplyMessage}
-          onDelete={handleDeleteMessage}
-        />
-      </Container>
-    );
-  }
+  const showList = !isMobile || !selectedId;
+  const showChat = !isMobile || !!selectedId;
 
   return (
     <Container maxWidth="lg" sx={{ py: 3 }}>
@@ -155,76 +65,72 @@ const Messages: React.FC = () => {
         <Typography variant="h4" component="h1">
           Messages
         </Typography>
-        <Button variant="contained" startIcon={<AddIcon />} onClick={handleComposeMessage}>
-          Compose Message
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setShowCompose(true)}>
+          New Message
         </Button>
       </Box>
 
-      {/* Tabs */}
-      <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
-        <Tabs value={activeTab} onChange={handleTabChange}>
-          <Tab
-            icon={
-              <Badge badgeContent={getUnreadCount()} color="primary">
-                <InboxIcon />
-              </Badge>
-            }
-            label="Inbox"
-            iconPosition="start"
-          />
-          <Tab icon={<SendIcon />} label="Sent" iconPosition="start" />
-        </Tabs>
-      </Box>
-
-      {/* Error handling */}
-      {getCurrentError() && (
+      {error && (
         <Alert severity="error" sx={{ mb: 2 }}>
-          Failed to load messages: {getCurrentError()?.message}
+          Failed to load conversations: {error.message}
         </Alert>
       )}
 
-      {/* Message list */}
-      <MessageList
-        messages={getCurrentMessages()}
-        loading={getCurrentLoading()}
-        onMessageClick={handleMessageClick}
-        onDeleteMessage={handleDeleteMessage}
-        onReplyMessage={activeTab === 0 ? handleReplyMessage : null}
-      />
-
-      {/* Compose Message Dialog */}
-      <Dialog open={showCompose} onClose={handleCloseCompose} maxWidth="md" fullWidth>
-        <DialogTitle>
-          <Box display="flex" justifyContent="between" alignItems="center">
-            Compose New Message
-            <IconButton onClick={handleCloseCompose} sx={{ ml: 'auto' }}>
-              <CloseIcon />
-            </IconButton>
+      <Box display="flex" gap={2} sx={{ height: CHAT_HEIGHT, minHeight: 400 }}>
+        {showList && (
+          <Paper sx={{ width: isMobile ? '100%' : 340, flexShrink: 0, overflowY: 'auto' }}>
+            <ConversationList
+              conversations={conversations}
+              currentUserId={user?.id}
+              selectedId={selectedId}
+              loading={isLoading}
+              hasMore={!!hasNextPage}
+              loadingMore={isFetchingNextPage}
+              onSelect={selectConversation}
+              onLoadMore={() => fetchNextPage()}
+            />
+          </Paper>
+        )}
+
+        {showChat && (
+          <Box flexGrow={1} minWidth={0}>
+            {selected ? (
+              <ChatView
+                key={selected._id}
+                conversation={selected}
+                currentUserId={user?.id}
+                onBack={isMobile ? () => selectConversation(null) : undefined}
+              />
+            ) : (
+              <Paper
+                sx={{
+                  height: '100%',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                }}
+              >
+                <Typography color="text.secondary">
+                  Select a conversation to start chatting
+                </Typography>
+              </Paper>
+            )}
           </Box>
-        </DialogTitle>
-        <DialogContent>
-          <MessageForm onSuccess={handleComposeSuccess} onCancel={handleCloseCompose} />
-        </DialogContent>
-      </Dialog>
+        )}
+      </Box>
 
-      {/* Reply Message Dialog */}
-      <Dialog open={showReply} onClose={handleCloseReply} maxWidth="md" fullWidth>
+      {/* New Message Dialog */}
+      <Dialog open={showCompose} onClose={() => setShowCompose(false)} maxWidth="md" fullWidth>
         <DialogTitle>
-          <Box display="flex" justifyContent="between" alignItems="center">
-            Reply to Message
-            <IconButton onClick={handleCloseReply} sx={{ ml: 'auto' }}>
+          <Box display="flex" alignItems="center">
+            New Message
+            <IconButton onClick={() => setShowCompose(false)} sx={{ ml: 'auto' }}>
               <CloseIcon />
             </IconButton>
           </Box>
         </DialogTitle>
         <DialogContent>
-          <MessageForm
-            replyToMessage={replyToMessage as unknown as Message}
-            recipientId={replyToMessage?.sender?._id}
-            recipientUser={replyToMessage?.sender as unknown as User}
-            onSuccess={handleReplySuccess}
-            onCancel={handleCloseReply}
-          />
+          <MessageForm onSuccess={handleComposeSuccess} onCancel={() => setShowCompose(false)} />
         </DialogContent>
       </Dialog>
     </Container>
@@ -14,11 +14,20 @@ import {
   InputAdornment,
   Chip,
   Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  SelectChangeEvent,
 } from '@mui/material';
 import { Search, Add, People, CalendarToday } from '@mui/icons-material';
-import { useProjects } from '../hooks/projects';
+import { useProjects, flattenProjectPages } from '../hooks/projects';
 import { useAuth } from '../hooks/auth';
+import { useInfiniteScroll } from '../hooks/common';
+import type { ProjectSort, ProjectProgress } from '../types';
 import { ProjectListSkeleton } from '../components/common/Skeletons';
+import ProjectProgressBar from '../components/projects/ProjectProgressBar';
 
 // API response types - standalone interfaces to handle _id fields
 interface ProjectWithId {
@@ -28,6 +37,7 @@ interface ProjectWithId {
   description: string;
   technologies?: string[];
   image?: string;
+  progress?: ProjectProgress;
   createdAt: string;
   owner?:
     | {
@@ -50,15 +60,22 @@ interface UserWithId {
 const ProjectList: React.FC = () => {
   const { user } = useAuth();
   const [searchTerm, setSearchTerm] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState<ProjectSort>('newest');
   const projectRefs = useRef<Record<string, HTMLDivElement | null>>({});
 
   const typedUser = user as UserWithId | null;
 
-  // TanStack Query hook
-  const { data: projects = [], isLoading, error, refetch } = useProjects();
+  // TanStack Query hook (cursor paginated, filtered and sorted server-side)
+  const filters = useMemo(() => (status ? { status, sort } : { sort }), [status, sort]);
+  const { data, isLoading, error, refetch, hasNextPage, isFetchingNextPage, fetchNextPage } =
+    useProjects(filters);
 
+  const projects = useMemo(() => flattenProjectPages(data), [data]);
   const typedProjects = projects as unknown as ProjectWithId[];
 
+  const sentinelRef = useInfiniteScroll({ hasNextPage, isFetchingNextPage, fetchNextPage });
+
   // Scroll to project card if hash is present
   useEffect(() => {
     if (window.location.hash) {
@@ -128,14 +145,24 @@ const ProjectList: React.FC = () => {
           <Typography variant="h4" component="h1">
             Projects
           </Typography>
-          <Button
-            variant="contained"
-            startIcon={<Add />}
-            component={RouterLink}
-            to="/projects/create"
-          >
-            Create Project
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="outlined"
+              startIcon={<Search />}
+              component={RouterLink}
+              to="/projects/search"
+            >
+              Advanced Search
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={<Add />}
+              component={RouterLink}
+              to="/projects/create"
+            >
+              Create Project
+            </Button>
+          </Box>
         </Box>
 
         <TextField
@@ -151,9 +178,39 @@ const ProjectList: React.FC = () => {
               </InputAdornment>
             ),
           }}
-          sx={{ mb: 4 }}
+          sx={{ mb: 2 }}
         />
 
+        <Box sx={{ display: 'flex', gap: 2, mb: 4 }}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="project-status-label">Status</InputLabel>
+            <Select
+              labelId="project-status-label"
+              label="Status"
+              value={status}
+              onChange={(e: SelectChangeEvent) => setStatus(e.target.value)}
+            >
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="ideation">Ideation</MenuItem>
+              <MenuItem value="in_progress">In progress</MenuItem>
+              <MenuItem value="completed">Completed</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="project-sort-label">Sort by</InputLabel>
+            <Select
+              labelId="project-sort-label"
+              label="Sort by"
+              value={sort}
+              onChange={(e: SelectChangeEvent) => setSort(e.target.value as ProjectSort)}
+            >
+              <MenuItem value="newest">Newest</MenuItem>
+              <MenuItem value="updated">Recently updated</MenuItem>
+              <MenuItem value="collaborators">Most collaborators</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+
         <Grid container spacing={3} data-testid="project-list">
           {filteredProjects.map((project) => (
             <Grid
@@ -189,6 +246,7 @@ const ProjectList: React.FC = () => {
                         <Chip key={tech} label={tech} size="small" sx={{ mr: 1, mb: 1 }} />
                       ))}
                   </Box>
+                  <ProjectProgressBar progress={project.progress} />
                   <Box
                     sx={{ display: 'flex', alignItems: 'center', gap: 2, color: 'text.secondary' }}
                   >
@@ -227,6 +285,11 @@ const ProjectList: React.FC = () => {
           ))}
         </Grid>
 
+        {/* Sentinel that loads the next page when scrolled into view */}
+        <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          {isFetchingNextPage && <CircularProgress size={24} />}
+        </Box>
+
         {filteredProjects.length === 0 && (
           <Box sx={{ textAlign: 'center', mt: 4 }}>
             <Typography variant="h6" color="text.secondary">
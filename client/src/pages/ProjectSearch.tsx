@@ -0,0 +1,311 @@
+import React, { useState, useMemo, ChangeEvent, FormEvent } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  TextField,
+  InputAdornment,
+  Chip,
+  Alert,
+  Paper,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Divider,
+  Pagination,
+  LinearProgress,
+} from '@mui/material';
+import { Search } from '@mui/icons-material';
+import { useProjectSearch } from '../hooks/projects';
+import HighlightedText from '../components/projects/HighlightedText';
+import { ProjectListSkeleton } from '../components/common/Skeletons';
+import type { FacetBucket } from '../types';
+import type { ProjectSearchParams } from '../services/projectsService';
+
+// Facets that accept a single value at a time
+type SingleFacet = 'status' | 'incentiveType';
+// Facets that accept several values, all of which must match
+type MultiFacet = 'technologies' | 'requiredSkills';
+
+const RESULTS_PER_PAGE = 10;
+
+const FACET_LABELS: Record<SingleFacet | MultiFacet, string> = {
+  status: 'Status',
+  technologies: 'Technologies',
+  requiredSkills: 'Skills',
+  incentiveType: 'Incentive',
+};
+
+const STATUS_LABELS: Record<string, string> = {
+  ideation: 'Ideation',
+  in_progress: 'In progress',
+  completed: 'Completed',
+};
+
+const splitList = (value: string | null): string[] =>
+  value ? value.split(',').filter((item) => item.length > 0) : [];
+
+const ProjectSearch: React.FC = () => {
+  // Search state lives in the URL so refinements are shareable and survive navigation
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') ?? '';
+  const page = Number(searchParams.get('page')) || 1;
+  const [input, setInput] = useState(query);
+  const [syncedQuery, setSyncedQuery] = useState(query);
+
+  // Keep the input in step with the URL (e.g. back/forward navigation)
+  if (query !== syncedQuery) {
+    setSyncedQuery(query);
+    setInput(query);
+  }
+
+  const params = useMemo((): ProjectSearchParams => {
+    const result: ProjectSearchParams = { query, page, limit: RESULTS_PER_PAGE };
+    (['status', 'incentiveType', 'technologies', 'requiredSkills'] as const).forEach((facet) => {
+      const value = searchParams.get(facet);
+      if (value) result[facet] = value;
+    });
+    return result;
+  }, [searchParams, query, page]);
+
+  const { data, isLoading, isFetching, error, refetch } = useProjectSearch(params);
+
+  const updateParams = (changes: Record<string, string | null>): void => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    // Any refinement starts again from the first page
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const handleSubmit = (e: FormEvent<HTMLFormElement>): void => {
+    e.preventDefault();
+    updateParams({ q: input.trim() || null });
+  };
+
+  const toggleSingleFacet = (facet: SingleFacet, value: string): void => {
+    updateParams({ [facet]: searchParams.get(facet) === value ? null : value });
+  };
+
+  const toggleMultiFacet = (facet: MultiFacet, value: string): void => {
+    const selected = splitList(searchParams.get(facet));
+    const next = selected.some((item) => item.toLowerCase() === value.toLowerCase())
+      ? selected.filter((item) => item.toLowerCase() !== value.toLowerCase())
+      : [...selected, value];
+    updateParams({ [facet]: next.join(',') || null });
+  };
+
+  const isSelected = (facet: SingleFacet | MultiFacet, value: string): boolean =>
+    splitList(searchParams.get(facet)).some((item) => item.toLowerCase() === value.toLowerCase());
+
+  const renderFacet = (
+    facet: SingleFacet | MultiFacet,
+    buckets: FacetBucket[],
+    multi: boolean
+  ): React.ReactNode => {
+    if (buckets.length === 0) return null;
+    return (
+      <Box key={facet} sx={{ mb: 2 }}>
+        <Typography variant="subtitle2" sx={{ px: 2, pt: 1 }}>
+          {FACET_LABELS[facet]}
+        </Typography>
+        <List dense disablePadding>
+          {buckets.map((bucket) => (
+            <ListItemButton
+              key={bucket.value}
+              onClick={() =>
+                multi
+                  ? toggleMultiFacet(facet as MultiFacet, bucket.value)
+                  : toggleSingleFacet(facet as SingleFacet, bucket.value)
+              }
+            >
+              <ListItemIcon sx={{ minWidth: 36 }}>
+                <Checkbox
+                  edge="start"
+                  size="small"
+                  checked={isSelected(facet, bucket.value)}
+                  tabIndex={-1}
+                  disableRipple
+                />
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  facet === 'status' ? STATUS_LABELS[bucket.value] || bucket.value : bucket.value
+                }
+              />
+              <Typography variant="caption" color="text.secondary">
+                {bucket.count}
+              </Typography>
+            </ListItemButton>
+          ))}
+        </List>
+      </Box>
+    );
+  };
+
+  const activeFilters = (
+    ['status', 'incentiveType', 'technologies', 'requiredSkills'] as const
+  ).flatMap((facet) => splitList(searchParams.get(facet)).map((value) => ({ facet, value })));
+
+  return (
+    <Container maxWidth="lg">
+      <Box sx={{ mt: 4, mb: 4 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Search Projects
+        </Typography>
+
+        <Box component="form" onSubmit={handleSubmit} sx={{ mb: 3 }}>
+          <TextField
+            fullWidth
+            variant="outlined"
+            placeholder="Search by title, description, technology or skill..."
+            value={input}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => setInput(e.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search />
+                </InputAdornment>
+              ),
+            }}
+          />
+        </Box>
+
+        {query.length < 3 ? (
+          <Typography color="text.secondary">Enter at least 3 characters to search.</Typography>
+        ) : isLoading ? (
+          <ProjectListSkeleton count={3} />
+        ) : error ? (
+          <Alert
+            severity="error"
+            action={
+              <Button color="inherit" size="small" onClick={() => refetch()}>
+                Retry
+              </Button>
+            }
+          >
+            Search failed: {error.message}
+          </Alert>
+        ) : (
+          data && (
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={3}>
+                <Paper variant="outlined">
+                  {renderFacet('status', data.facets.status, false)}
+                  {renderFacet('technologies', data.facets.technologies, true)}
+                  {renderFacet('requiredSkills', data.facets.requiredSkills, true)}
+                  {renderFacet('incentiveType', data.facets.incentiveType, false)}
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} md={9}>
+                <Box sx={{ height: 4, mb: 1 }}>{isFetching && <LinearProgress />}</Box>
+                <Box
+                  sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}
+                >
+                  <Typography variant="body2" color="text.secondary">
+                    {data.pagination.total} result{data.pagination.total === 1 ? '' : 's'}
+                  </Typography>
+                  {activeFilters.map(({ facet, value }) => (
+                    <Chip
+                      key={`${facet}:${value}`}
+                      size="small"
+                      label={`${FACET_LABELS[facet]}: ${facet === 'status' ? STATUS_LABELS[value] || value : value}`}
+                      onDelete={() =>
+                        facet === 'technologies' || facet === 'requiredSkills'
+                          ? toggleMultiFacet(facet, value)
+                          : toggleSingleFacet(facet, value)
+                      }
+                    />
+                  ))}
+                </Box>
+
+                {data.projects.length === 0 ? (
+                  <Box sx={{ textAlign: 'center', mt: 4 }}>
+                    <Typography variant="h6" color="text.secondary">
+                      No projects found
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Try different search terms or remove some filters.
+                    </Typography>
+                  </Box>
+                ) : (
+                  data.projects.map((project) => (
+                    <Card key={project._id} sx={{ mb: 2 }} data-testid="search-result">
+                      <CardContent>
+                        <Typography variant="h6" component="h2" gutterBottom>
+                          <HighlightedText
+                            segments={project.highlights.title}
+                            fallback={project.title}
+                          />
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                          <HighlightedText
+                            segments={project.highlights.description}
+                            fallback={project.description}
+                          />
+                        </Typography>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                          {project.technologies?.map((tech) => (
+                            <Chip
+                              key={tech}
+                              label={tech}
+                              size="small"
+                              color={
+                                project.highlights.technologies.includes(tech)
+                                  ? 'primary'
+                                  : 'default'
+                              }
+                            />
+                          ))}
+                          {project.highlights.requiredSkills.map((skill) => (
+                            <Chip
+                              key={`skill-${skill}`}
+                              label={skill}
+                              size="small"
+                              variant="outlined"
+                              color="secondary"
+                            />
+                          ))}
+                        </Box>
+                      </CardContent>
+                      <Divider />
+                      <CardActions>
+                        <Button size="small" component={RouterLink} to={`/projects/${project._id}`}>
+                          View Details
+                        </Button>
+                      </CardActions>
+                    </Card>
+                  ))
+                )}
+
+                {data.pagination.pages > 1 && (
+                  <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+                    <Pagination
+                      count={data.pagination.pages}
+                      page={page}
+                      onChange={(_e, value: number) => updateParams({ page: String(value) })}
+                    />
+                  </Box>
+                )}
+              </Grid>
+            </Grid>
+          )
+        )}
+      </Box>
+    </Container>
+  );
+};
+
+export default ProjectSearch;
@@ -0,0 +1,144 @@
+import React from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Container,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import { useRelationships, useUnblockUser, useUnmuteUser } from '../hooks/users';
+import Avatar from '../components/common/Avatar';
+import EmailSettings from '../components/auth/EmailSettings';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
+import AccessTokenSettings from '../components/auth/AccessTokenSettings';
+import GitHubAccountSettings from '../components/auth/GitHubAccountSettings';
+import SessionManager from '../components/auth/SessionManager';
+import AccountDataSettings from '../components/auth/AccountDataSettings';
+import type { ConversationParticipant } from '../types';
+
+interface RelationshipListProps {
+  title: string;
+  description: string;
+  emptyText: string;
+  actionLabel: string;
+  users: ConversationParticipant[];
+  onAction: (userId: string) => void;
+  pendingUserId?: string;
+}
+
+// One section of blocked or muted users, each with a button to undo it
+const RelationshipList: React.FC<RelationshipListProps> = ({
+  title,
+  description,
+  emptyText,
+  actionLabel,
+  users,
+  onAction,
+  pendingUserId,
+}) => (
+  <Paper sx={{ p: 3, mb: 3 }}>
+    <Typography variant="h6">{title}</Typography>
+    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+      {description}
+    </Typography>
+    {users.length === 0 ? (
+      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+        {emptyText}
+      </Typography>
+    ) : (
+      <List disablePadding>
+        {users.map((user) => (
+          <ListItem
+            key={user._id}
+            divider
+            secondaryAction={
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={() => onAction(user._id)}
+                disabled={pendingUserId === user._id}
+              >
+                {actionLabel}
+              </Button>
+            }
+          >
+            <ListItemAvatar>
+              <Avatar user={user} size="sm" />
+            </ListItemAvatar>
+            <ListItemText
+              primary={user.username}
+              secondary={[user.firstName, user.lastName].filter(Boolean).join(' ') || undefined}
+            />
+          </ListItem>
+        ))}
+      </List>
+    )}
+  </Paper>
+);
+
+const Settings: React.FC = () => {
+  const { data, isLoading, error } = useRelationships();
+  const unblockMutation = useUnblockUser();
+  const unmuteMutation = useUnmuteUser();
+
+  const mutationError = unblockMutation.error || unmuteMutation.error;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Settings
+      </Typography>
+
+      <EmailSettings />
+      <TwoFactorSettings />
+      <GitHubAccountSettings />
+      <AccessTokenSettings />
+      <Paper sx={{ mb: 3 }}>
+        <SessionManager />
+      </Paper>
+      <AccountDataSettings />
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">Failed to load blocked and muted users</Alert>
+      ) : (
+        <>
+          {mutationError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {mutationError.message}
+            </Alert>
+          )}
+          <RelationshipList
+            title="Blocked users"
+            description="Blocked users can't message you, mention you or request to collaborate on your projects."
+            emptyText="You haven't blocked anyone."
+            actionLabel="Unblock"
+            users={data?.blocked ?? []}
+            onAction={(userId) => unblockMutation.mutate(userId)}
+            pendingUserId={unblockMutation.isPending ? unblockMutation.variables : undefined}
+          />
+          <RelationshipList
+            title="Muted users"
+            description="Comments from muted users are hidden in project discussions."
+            emptyText="You haven't muted anyone."
+            actionLabel="Unmute"
+            users={data?.muted ?? []}
+            onAction={(userId) => unmuteMutation.mutate(userId)}
+            pendingUserId={unmuteMutation.isPending ? unmuteMutation.variables : undefined}
+          />
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default Settings;
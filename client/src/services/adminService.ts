@@ -1,6 +1,6 @@
-import api from '../utils/api';
+import { authService } from './authService';
 import axios, { AxiosInstance, AxiosError, InternalAxiosRequestConfig, AxiosResponse } from 'axios';
-import type { User, UserRole } from '../types';
+import type { Permission, User, UserRole } from '../types';
 
 // Create a custom axios instance for admin operations with longer timeout
 const adminApi: AxiosInstance = axios.create({
@@ -21,13 +21,6 @@ adminApi.interceptors.request.use((config: InternalAxiosRequestConfig) => {
   return config;
 });
 
-/**
- * Refresh token response type
- */
-interface RefreshTokenResponse {
-  accessToken: string;
-}
-
 /**
  * Extended axios config with retry flag
  */
@@ -43,25 +36,14 @@ adminApi.interceptors.response.use(
 
     if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
       originalRequest._retry = true;
-      // Try to refresh token or redirect to login
-      const refreshToken = localStorage.getItem('refreshToken');
-      if (refreshToken) {
-        try {
-          const response = await api.post<RefreshTokenResponse>('/auth/refresh-token', {
-            refreshToken,
-          });
-          localStorage.setItem('accessToken', response.data.accessToken);
-          // Retry the original request
-          if (originalRequest.headers) {
-            originalRequest.headers.Authorization = `Bearer ${response.data.accessToken}`;
-          }
-          return adminApi.request(originalRequest);
-        } catch {
-          localStorage.removeItem('accessToken');
-          localStorage.removeItem('refreshToken');
-          window.location.href = '/login';
+      // Refresh through authService so the rotated refresh token is stored, then retry
+      try {
+        const accessToken = await authService.refreshToken();
+        if (originalRequest.headers) {
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         }
-      } else {
+        return adminApi.request(originalRequest);
+      } catch {
         window.location.href = '/login';
       }
     }
@@ -100,17 +82,95 @@ export interface AdminUserQueryParams {
  */
 export interface PaginatedUsersResponse {
   users: User[];
-  total: number;
-  page: number;
-  limit: number;
-  totalPages: number;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
 }
 
 /**
  * User role update data
+ * customPermissions replaces the permissions granted to the user on top of their role
  */
 export interface RoleUpdateData {
-  role: UserRole;
+  role?: UserRole;
+  customPermissions?: Permission[];
+}
+
+/**
+ * Named bundle of permissions users are assigned by name
+ */
+export interface Role {
+  _id: string;
+  name: UserRole;
+  displayName: string;
+  description: string;
+  permissions: Permission[];
+  isBuiltIn: boolean;
+  createdBy?: { _id: string; username: string } | null;
+  holderCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Roles response, with every permission a role can bundle
+ */
+export interface RolesResponse {
+  roles: Role[];
+  permissions: Permission[];
+}
+
+/**
+ * Role create data; the name can't be changed afterwards
+ */
+export interface RoleCreateData {
+  name: string;
+  displayName: string;
+  description?: string;
+  permissions: Permission[];
+}
+
+/**
+ * Role update data
+ */
+export type RoleEditData = Omit<RoleCreateData, 'name'>;
+
+/**
+ * User holding a role
+ */
+export interface RoleHolder {
+  _id: string;
+  username: string;
+  email: string;
+  firstName?: string;
+  lastName?: string;
+  customPermissions?: Permission[];
+  isSuspended?: boolean;
+  lastLogin?: string;
+}
+
+/**
+ * Paginated role holders response
+ */
+export interface PaginatedRoleHoldersResponse {
+  users: RoleHolder[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+/**
+ * Role operation response
+ */
+export interface RoleOperationResponse {
+  message: string;
+  role?: Role;
 }
 
 /**
@@ -123,14 +183,136 @@ export interface SuspensionData {
 }
 
 /**
- * System log entry
+ * Impersonation start data
  */
-export interface SystemLogEntry {
-  id: string;
-  level: 'info' | 'warn' | 'error';
+export interface ImpersonationData {
+  reason: string;
+  durationMinutes?: number;
+}
+
+/**
+ * Impersonation start response; the auth cookies now belong to the impersonated user
+ */
+export interface ImpersonationResponse {
   message: string;
-  metadata?: Record<string, unknown>;
-  timestamp: string;
+  impersonation: {
+    user: Pick<User, 'id' | 'email' | 'username' | 'role'>;
+    endsAt: string;
+  };
+}
+
+/**
+ * Action applied to many users at once
+ */
+export type BulkUserAction =
+  | 'suspend'
+  | 'unsuspend'
+  | 'change_role'
+  | 'resend_verification'
+  | 'revoke_sessions'
+  | 'deactivate';
+
+/**
+ * Details a bulk action needs: a reason and optional duration (ms) to suspend, a role to change to
+ */
+export interface BulkActionParams {
+  reason?: string;
+  duration?: number;
+  role?: UserRole;
+}
+
+/**
+ * Filters from the user list, for acting on every user they match
+ */
+export interface BulkUserFilter {
+  search?: string;
+  role?: string;
+  status?: string;
+}
+
+/**
+ * Bulk action preview data: either picked users or everyone matching a filter
+ */
+export interface BulkPreviewData {
+  action: BulkUserAction;
+  params?: BulkActionParams;
+  userIds?: string[];
+  filter?: BulkUserFilter;
+}
+
+/**
+ * Bulk action data for one batch of users
+ */
+export interface BulkApplyData {
+  action: BulkUserAction;
+  params?: BulkActionParams;
+  userIds: string[];
+}
+
+export type BulkUserResultStatus = 'ready' | 'skipped' | 'succeeded' | 'failed';
+
+/**
+ * Outcome of a bulk action, or of its preview, for one user
+ */
+export interface BulkUserResult {
+  userId: string;
+  username: string;
+  email: string;
+  status: BulkUserResultStatus;
+  message?: string;
+}
+
+export type BulkActionSummary = Record<BulkUserResultStatus, number>;
+
+/**
+ * Bulk action preview response; ready users are applied batchSize at a time
+ */
+export interface BulkPreviewResponse {
+  action: BulkUserAction;
+  results: BulkUserResult[];
+  summary: BulkActionSummary;
+  batchSize: number;
+}
+
+/**
+ * Bulk action response for one batch of users
+ */
+export interface BulkApplyResponse {
+  action: BulkUserAction;
+  results: BulkUserResult[];
+  summary: BulkActionSummary;
+}
+
+/**
+ * Audit log entry type and severity
+ */
+export type SystemLogType = 'admin' | 'auth' | 'session' | 'moderation' | 'security';
+export type SystemLogSeverity = 'low' | 'medium' | 'high';
+
+/**
+ * User an audit log entry refers to
+ */
+export interface SystemLogUser {
+  _id: string;
+  username: string;
+}
+
+/**
+ * Audit log entry (admin action or security event)
+ */
+export interface SystemLogEntry {
+  _id: string;
+  type: SystemLogType;
+  event: string;
+  severity: SystemLogSeverity;
+  actor?: SystemLogUser | null;
+  actorEmail?: string;
+  target?: SystemLogUser | null;
+  targetEmail?: string;
+  ip?: string;
+  userAgent?: string;
+  details: Record<string, unknown>;
+  createdAt: string;
 }
 
 /**
@@ -139,9 +321,13 @@ export interface SystemLogEntry {
 export interface SystemLogsQueryParams {
   page?: number;
   limit?: number;
-  level?: string;
-  startDate?: string;
-  endDate?: string;
+  type?: string;
+  severity?: string;
+  event?: string;
+  actor?: string;
+  target?: string;
+  from?: string;
+  to?: string;
   [key: string]: string | number | undefined;
 }
 
@@ -150,10 +336,12 @@ export interface SystemLogsQueryParams {
  */
 export interface PaginatedLogsResponse {
   logs: SystemLogEntry[];
-  total: number;
-  page: number;
-  limit: number;
-  totalPages: number;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
 }
 
 /**
@@ -164,6 +352,22 @@ export interface AdminOperationResponse {
   user?: User;
 }
 
+/**
+ * Site-wide security settings
+ */
+export interface SecuritySettings {
+  twoFactorRequiredRoles: UserRole[];
+  enforceableRoles: UserRole[];
+  updatedAt?: string;
+}
+
+/**
+ * Security settings update data
+ */
+export interface SecuritySettingsUpdateData {
+  twoFactorRequiredRoles: UserRole[];
+}
+
 /**
  * Admin service interface
  */
@@ -177,8 +381,23 @@ export interface AdminServiceInterface {
     suspensionData?: Partial<SuspensionData>
   ) => Promise<AdminOperationResponse>;
   unsuspendUser: (userId: string) => Promise<AdminOperationResponse>;
+  unlockUserLogin: (userId: string) => Promise<AdminOperationResponse>;
   deleteUser: (userId: string, permanent?: boolean) => Promise<AdminOperationResponse>;
+  startImpersonation: (userId: string, data: ImpersonationData) => Promise<ImpersonationResponse>;
+  previewBulkUserAction: (data: BulkPreviewData) => Promise<BulkPreviewResponse>;
+  applyBulkUserAction: (data: BulkApplyData) => Promise<BulkApplyResponse>;
+  getRoles: () => Promise<RolesResponse>;
+  createRole: (data: RoleCreateData) => Promise<RoleOperationResponse>;
+  updateRole: (roleId: string, data: RoleEditData) => Promise<RoleOperationResponse>;
+  deleteRole: (roleId: string) => Promise<RoleOperationResponse>;
+  getRoleHolders: (
+    roleId: string,
+    params?: { page?: number; limit?: number }
+  ) => Promise<PaginatedRoleHoldersResponse>;
   getSystemLogs: (params?: SystemLogsQueryParams) => Promise<PaginatedLogsResponse>;
+  exportSystemLogs: (params?: SystemLogsQueryParams) => Promise<Blob>;
+  getSecuritySettings: () => Promise<SecuritySettings>;
+  updateSecuritySettings: (data: SecuritySettingsUpdateData) => Promise<SecuritySettings>;
 }
 
 /**
@@ -242,6 +461,12 @@ export const adminService: AdminServiceInterface = {
     return response.data;
   },
 
+  // Lift a lockout from too many failed logins
+  unlockUserLogin: async (userId: string): Promise<AdminOperationResponse> => {
+    const response = await adminApi.post<AdminOperationResponse>(`/admin/users/${userId}/unlock`);
+    return response.data;
+  },
+
   deleteUser: async (userId: string, permanent = false): Promise<AdminOperationResponse> => {
     const response = await adminApi.delete<AdminOperationResponse>(
       `/admin/users/${userId}?permanent=${permanent}`
@@ -249,6 +474,61 @@ export const adminService: AdminServiceInterface = {
     return response.data;
   },
 
+  startImpersonation: async (
+    userId: string,
+    data: ImpersonationData
+  ): Promise<ImpersonationResponse> => {
+    const response = await adminApi.post<ImpersonationResponse>(
+      `/admin/users/${userId}/impersonate`,
+      data
+    );
+    return response.data;
+  },
+
+  // Dry run: which of the selected users the action would change, and why the rest are skipped
+  previewBulkUserAction: async (data: BulkPreviewData): Promise<BulkPreviewResponse> => {
+    const response = await adminApi.post<BulkPreviewResponse>('/admin/users/bulk/preview', data);
+    return response.data;
+  },
+
+  applyBulkUserAction: async (data: BulkApplyData): Promise<BulkApplyResponse> => {
+    const response = await adminApi.post<BulkApplyResponse>('/admin/users/bulk', data);
+    return response.data;
+  },
+
+  // Roles
+  getRoles: async (): Promise<RolesResponse> => {
+    const response = await adminApi.get<RolesResponse>('/admin/roles');
+    return response.data;
+  },
+
+  createRole: async (data: RoleCreateData): Promise<RoleOperationResponse> => {
+    const response = await adminApi.post<RoleOperationResponse>('/admin/roles', data);
+    return response.data;
+  },
+
+  updateRole: async (roleId: string, data: RoleEditData): Promise<RoleOperationResponse> => {
+    const response = await adminApi.put<RoleOperationResponse>(`/admin/roles/${roleId}`, data);
+    return response.data;
+  },
+
+  // Only custom roles that nobody holds can be deleted
+  deleteRole: async (roleId: string): Promise<RoleOperationResponse> => {
+    const response = await adminApi.delete<RoleOperationResponse>(`/admin/roles/${roleId}`);
+    return response.data;
+  },
+
+  getRoleHolders: async (
+    roleId: string,
+    params: { page?: number; limit?: number } = {}
+  ): Promise<PaginatedRoleHoldersResponse> => {
+    const response = await adminApi.get<PaginatedRoleHoldersResponse>(
+      `/admin/roles/${roleId}/users`,
+      { params }
+    );
+    return response.data;
+  },
+
   // System Logs
   getSystemLogs: async (params: SystemLogsQueryParams = {}): Promise<PaginatedLogsResponse> => {
     const queryString = new URLSearchParams(
@@ -259,6 +539,30 @@ export const adminService: AdminServiceInterface = {
     const response = await adminApi.get<PaginatedLogsResponse>(`/admin/logs?${queryString}`);
     return response.data;
   },
+
+  // Same filters as getSystemLogs, downloaded as a CSV file
+  exportSystemLogs: async (params: SystemLogsQueryParams = {}): Promise<Blob> => {
+    const queryString = new URLSearchParams(
+      Object.entries({ ...params, page: undefined, limit: undefined, format: 'csv' })
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, String(value)])
+    ).toString();
+    const response = await adminApi.get<Blob>(`/admin/logs?${queryString}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Security Settings
+  getSecuritySettings: async (): Promise<SecuritySettings> => {
+    const response = await adminApi.get<SecuritySettings>('/admin/settings/security');
+    return response.data;
+  },
+
+  updateSecuritySettings: async (data: SecuritySettingsUpdateData): Promise<SecuritySettings> => {
+    const response = await adminApi.put<SecuritySettings>('/admin/settings/security', data);
+    return response.data;
+  },
 };
 
 export default adminService;
@@ -7,11 +7,27 @@ import type {
   LoginCredentials,
   RegisterData,
   LoginResponse,
+  TwoFactorChallengeResponse,
+  TwoFactorLoginData,
+  TwoFactorStatus,
+  TwoFactorSetupResponse,
+  RecoveryCodesResponse,
+  DisableTwoFactorData,
+  AccessTokensResponse,
+  CreateAccessTokenData,
+  CreateAccessTokenResponse,
+  GitHubLinkResponse,
+  ChangeEmailData,
+  ChangeEmailResponse,
   RegisterResponse,
   RefreshTokenResponse,
   CookieAuthCheckResult,
   PasswordResetRequestResponse,
   VerifyPasswordResetTokenResponse,
+  MagicLinkRequestResponse,
+  UnlockAccountResponse,
+  ReportSessionResponse,
+  EndImpersonationResponse,
   EmailVerificationResponse,
   Session,
 } from '../types';
@@ -38,18 +54,39 @@ interface PasswordResetData {
 export interface AuthServiceInterface {
   // Async methods
   register: (userData: RegisterData) => Promise<RegisterResponse>;
-  login: (userData: LoginCredentials) => Promise<LoginResponse>;
+  login: (userData: LoginCredentials) => Promise<LoginResponse | TwoFactorChallengeResponse>;
+  verifyTwoFactorLogin: (data: TwoFactorLoginData) => Promise<LoginResponse>;
+  getTwoFactorStatus: () => Promise<TwoFactorStatus>;
+  setupTwoFactor: () => Promise<TwoFactorSetupResponse>;
+  enableTwoFactor: (code: string) => Promise<RecoveryCodesResponse>;
+  disableTwoFactor: (data: DisableTwoFactorData) => Promise<{ message: string }>;
+  regenerateRecoveryCodes: (code: string) => Promise<RecoveryCodesResponse>;
+  getAccessTokens: () => Promise<AccessTokensResponse>;
+  createAccessToken: (data: CreateAccessTokenData) => Promise<CreateAccessTokenResponse>;
+  revokeAccessToken: (tokenId: string) => Promise<{ message: string }>;
+  getGitHubLoginUrl: () => string;
+  startGitHubLink: () => Promise<GitHubLinkResponse>;
+  unlinkGitHub: () => Promise<{ message: string }>;
   refreshToken: () => Promise<string>;
   getCurrentUser: () => Promise<User>;
   isAuthenticatedViaCookie: () => Promise<CookieAuthCheckResult>;
   logout: () => Promise<void>;
   logoutAll: () => Promise<void>;
+  endImpersonation: () => Promise<EndImpersonationResponse>;
   changePassword: (passwordData: PasswordChangeData) => Promise<{ message: string }>;
+  requestEmailChange: (data: ChangeEmailData) => Promise<ChangeEmailResponse>;
+  cancelEmailChange: () => Promise<{ message: string }>;
   getActiveSessions: () => Promise<Session[]>;
+  renameSession: (sessionId: string, name: string) => Promise<Session>;
+  reportSession: (sessionId: string) => Promise<ReportSessionResponse>;
+  reportSessionByToken: (token: string) => Promise<ReportSessionResponse>;
   resendVerificationEmail: (email: string) => Promise<EmailVerificationResponse>;
   requestPasswordReset: (email: string) => Promise<PasswordResetRequestResponse>;
   verifyPasswordResetToken: (token: string) => Promise<VerifyPasswordResetTokenResponse>;
   resetPassword: (data: PasswordResetData) => Promise<{ message: string }>;
+  requestMagicLink: (email: string) => Promise<MagicLinkRequestResponse>;
+  verifyMagicLink: (token: string) => Promise<LoginResponse | TwoFactorChallengeResponse>;
+  unlockAccount: (token: string) => Promise<UnlockAccountResponse>;
   verifyEmail: (token: string) => Promise<EmailVerificationResponse>;
   // Sync methods (deprecated localStorage methods)
   setTokens: (accessToken: string, refreshToken: string) => void;
@@ -204,9 +241,87 @@ export const authService: AuthServiceInterface = {
    * Note: Backend now sets httpOnly cookies automatically on successful login.
    * localStorage storage is deprecated but kept for backward compatibility.
    */
-  login: async (userData: LoginCredentials): Promise<LoginResponse> => {
-    const response = await api.post<LoginResponse>('/auth/login', userData);
+  login: async (
+    userData: LoginCredentials
+  ): Promise<LoginResponse | TwoFactorChallengeResponse> => {
+    const response = await api.post<LoginResponse | TwoFactorChallengeResponse>(
+      '/auth/login',
+      userData
+    );
     // Tokens are now set via httpOnly cookies by the backend
+    // Accounts with two-factor enabled get a challenge instead, completed by verifyTwoFactorLogin
+    return response.data;
+  },
+
+  /**
+   * Complete a two-factor login with an authenticator or recovery code
+   * The backend sets the auth cookies once the code is accepted.
+   */
+  verifyTwoFactorLogin: async (data: TwoFactorLoginData): Promise<LoginResponse> => {
+    const response = await api.post<LoginResponse>('/auth/2fa/verify', data);
+    return response.data;
+  },
+
+  // Get the current user's two-factor status
+  getTwoFactorStatus: async (): Promise<TwoFactorStatus> => {
+    const response = await api.get<TwoFactorStatus>('/auth/2fa');
+    return response.data;
+  },
+
+  // Start two-factor enrollment (returns the secret and QR provisioning URI)
+  setupTwoFactor: async (): Promise<TwoFactorSetupResponse> => {
+    const response = await api.post<TwoFactorSetupResponse>('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code; returns one-time recovery codes
+  enableTwoFactor: async (code: string): Promise<RecoveryCodesResponse> => {
+    const response = await api.post<RecoveryCodesResponse>('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn two-factor authentication off
+  disableTwoFactor: async (data: DisableTwoFactorData): Promise<{ message: string }> => {
+    const response = await api.post<{ message: string }>('/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: async (code: string): Promise<RecoveryCodesResponse> => {
+    const response = await api.post<RecoveryCodesResponse>('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // List personal access tokens
+  getAccessTokens: async (): Promise<AccessTokensResponse> => {
+    const response = await api.get<AccessTokensResponse>('/auth/tokens');
+    return response.data;
+  },
+
+  // Create a personal access token (the token is only returned this once)
+  createAccessToken: async (data: CreateAccessTokenData): Promise<CreateAccessTokenResponse> => {
+    const response = await api.post<CreateAccessTokenResponse>('/auth/tokens', data);
+    return response.data;
+  },
+
+  // Revoke a personal access token
+  revokeAccessToken: async (tokenId: string): Promise<{ message: string }> => {
+    const response = await api.delete<{ message: string }>(`/auth/tokens/${tokenId}`);
+    return response.data;
+  },
+
+  // URL that starts signing in with GitHub (a full-page navigation, not an XHR)
+  getGitHubLoginUrl: (): string => `${api.defaults.baseURL}/auth/github`,
+
+  // Start linking GitHub to the current account; resolves to GitHub's consent page URL
+  startGitHubLink: async (): Promise<GitHubLinkResponse> => {
+    const response = await api.post<GitHubLinkResponse>('/auth/github/link');
+    return response.data;
+  },
+
+  // Unlink GitHub from the current account
+  unlinkGitHub: async (): Promise<{ message: string }> => {
+    const response = await api.delete<{ message: string }>('/auth/github');
     return response.data;
   },
 
@@ -223,10 +338,10 @@ export const authService: AuthServiceInterface = {
       });
 
       if (response.data.accessToken) {
-        // Update access token using setTokens to encrypt it
-        const currentRefreshToken = authService.getRefreshToken();
-        if (currentRefreshToken) {
-          authService.setTokens(response.data.accessToken, currentRefreshToken);
+        // Store the rotated refresh token; the one just sent is no longer valid
+        const nextRefreshToken = response.data.refreshToken || authService.getRefreshToken();
+        if (nextRefreshToken) {
+          authService.setTokens(response.data.accessToken, nextRefreshToken);
         }
         return response.data.accessToken;
       }
@@ -314,6 +429,13 @@ export const authService: AuthServiceInterface = {
     }
   },
 
+  // Stop acting as another user and switch back to the admin's own session
+  endImpersonation: async (): Promise<EndImpersonationResponse> => {
+    const response = await api.post<EndImpersonationResponse>('/auth/impersonation/end');
+    authService.clearTokens();
+    return response.data;
+  },
+
   // Change password (revokes all sessions)
   changePassword: async (passwordData: PasswordChangeData): Promise<{ message: string }> => {
     const response = await api.put<{ message: string }>('/auth/change-password', passwordData);
@@ -322,12 +444,42 @@ export const authService: AuthServiceInterface = {
     return response.data;
   },
 
+  // Ask to change the account email; it changes once the link sent to the new address is used
+  requestEmailChange: async (data: ChangeEmailData): Promise<ChangeEmailResponse> => {
+    const response = await api.post<ChangeEmailResponse>('/auth/change-email', data);
+    return response.data;
+  },
+
+  // Cancel a pending email change
+  cancelEmailChange: async (): Promise<{ message: string }> => {
+    const response = await api.delete<{ message: string }>('/auth/change-email');
+    return response.data;
+  },
+
   // Get active sessions
   getActiveSessions: async (): Promise<Session[]> => {
     const response = await api.get<Session[]>('/auth/sessions');
     return response.data;
   },
 
+  // Name a session (an empty name clears it)
+  renameSession: async (sessionId: string, name: string): Promise<Session> => {
+    const response = await api.patch<Session>(`/auth/sessions/${sessionId}`, { name });
+    return response.data;
+  },
+
+  // Report a session as not you: signs it out and requires a password reset
+  reportSession: async (sessionId: string): Promise<ReportSessionResponse> => {
+    const response = await api.post<ReportSessionResponse>(`/auth/sessions/${sessionId}/report`);
+    return response.data;
+  },
+
+  // Same, from the "this wasn't me" link in a new sign-in alert
+  reportSessionByToken: async (token: string): Promise<ReportSessionResponse> => {
+    const response = await api.post<ReportSessionResponse>('/auth/sessions/report', { token });
+    return response.data;
+  },
+
   // Resend verification email
   resendVerificationEmail: async (email: string): Promise<EmailVerificationResponse> => {
     const response = await api.post<EmailVerificationResponse>('/auth/resend-verification', {
@@ -361,6 +513,30 @@ export const authService: AuthServiceInterface = {
     return response.data;
   },
 
+  // Email a one-time login link (the server also sets a cookie tying it to this browser)
+  requestMagicLink: async (email: string): Promise<MagicLinkRequestResponse> => {
+    const response = await api.post<MagicLinkRequestResponse>('/auth/magic-link', { email });
+    return response.data;
+  },
+
+  /**
+   * Log in with a login link
+   * Accounts with two-factor enabled get a challenge instead, like a password login
+   */
+  verifyMagicLink: async (token: string): Promise<LoginResponse | TwoFactorChallengeResponse> => {
+    const response = await api.post<LoginResponse | TwoFactorChallengeResponse>(
+      '/auth/magic-link/verify',
+      { token }
+    );
+    return response.data;
+  },
+
+  // Lift a login lockout with the link from the lockout email
+  unlockAccount: async (token: string): Promise<UnlockAccountResponse> => {
+    const response = await api.post<UnlockAccountResponse>('/auth/unlock-account', { token });
+    return response.data;
+  },
+
   // Verify email
   verifyEmail: async (token: string): Promise<EmailVerificationResponse> => {
     const response = await api.get<EmailVerificationResponse>(`/auth/verify-email/${token}`);
@@ -1,5 +1,5 @@
 import api from '../utils/api';
-import type { Comment } from '../types';
+import type { Comment, CommentPage } from '../types';
 
 /**
  * Comment creation data
@@ -7,6 +7,7 @@ import type { Comment } from '../types';
 export interface CreateCommentData {
   projectId: string;
   content: string;
+  parentId?: string | null;
 }
 
 /**
@@ -22,13 +23,20 @@ export interface UpdateCommentData {
  */
 export interface DeleteCommentResponse {
   message: string;
+  // Present when the comment had replies and was kept as a placeholder
+  comment?: Comment;
 }
 
 /**
  * Comments service interface
  */
 export interface CommentsServiceInterface {
-  getByProjectId: (projectId: string) => Promise<Comment[]>;
+  getByProjectId: (projectId: string, cursor?: string | null) => Promise<CommentPage>;
+  getReplies: (
+    projectId: string,
+    commentId: string,
+    cursor?: string | null
+  ) => Promise<CommentPage>;
   create: (commentData: CreateCommentData) => Promise<Comment>;
   update: (commentId: string, commentData: UpdateCommentData) => Promise<Comment>;
   delete: (commentId: string, projectId: string) => Promise<DeleteCommentResponse>;
@@ -39,12 +47,14 @@ export interface CommentsServiceInterface {
  * These functions handle all comment-related API calls
  */
 export const commentsService: CommentsServiceInterface = {
-  // Get comments for a project
-  getByProjectId: async (projectId: string): Promise<Comment[]> => {
+  // Get a page of top-level comments for a project (newest first)
+  getByProjectId: async (projectId: string, cursor: string | null = null): Promise<CommentPage> => {
     try {
       console.log('📝 CommentsService.getByProjectId called for project:', projectId);
 
-      const response = await api.get<Comment[]>(`/projects/${projectId}/comments`);
+      const response = await api.get<CommentPage>(`/projects/${projectId}/comments`, {
+        params: cursor ? { cursor } : undefined,
+      });
       console.log('📝 CommentsService.getByProjectId response:', response.data);
       return response.data;
     } catch (error) {
@@ -53,6 +63,24 @@ export const commentsService: CommentsServiceInterface = {
     }
   },
 
+  // Get a page of replies to a comment (oldest first)
+  getReplies: async (
+    projectId: string,
+    commentId: string,
+    cursor: string | null = null
+  ): Promise<CommentPage> => {
+    try {
+      const response = await api.get<CommentPage>(
+        `/projects/${projectId}/comments/${commentId}/replies`,
+        { params: cursor ? { cursor } : undefined }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('❌ CommentsService.getReplies error:', error);
+      throw error;
+    }
+  },
+
   // Note: Individual comment fetching not implemented in backend
   // Comments are fetched as part of project comments list
 
@@ -107,8 +135,8 @@ export const commentsService: CommentsServiceInterface = {
     }
   },
 
-  // Note: Like/unlike and reply features would need to be implemented on the backend first
-  // The backend currently only supports basic CRUD operations for comments
+  // Note: Like/unlike would need to be implemented on the backend first
+  // Replies are created through create() with a parentId
 };
 
 export default commentsService;
@@ -0,0 +1,107 @@
+import api from '../utils/api';
+import type { ChatMessage, ChatMessagePage, Conversation, ConversationPage } from '../types';
+
+/**
+ * Data for starting a conversation with a first message
+ */
+export interface StartConversationData {
+  recipientId: string;
+  content: string;
+}
+
+/**
+ * Start conversation response
+ */
+export interface StartConversationResponse {
+  conversation: Conversation;
+  message: ChatMessage;
+}
+
+/**
+ * Unread message count response
+ */
+export interface UnreadMessageCountResponse {
+  count: number;
+}
+
+/**
+ * Mark conversation as read response
+ */
+export interface MarkConversationReadResponse {
+  message: string;
+  updated: number;
+}
+
+/**
+ * Conversations service interface
+ */
+export interface ConversationsServiceInterface {
+  getAll: (cursor?: string | null) => Promise<ConversationPage>;
+  getById: (conversationId: string) => Promise<Conversation>;
+  getUnreadCount: () => Promise<UnreadMessageCountResponse>;
+  start: (data: StartConversationData) => Promise<StartConversationResponse>;
+  getMessages: (conversationId: string, cursor?: string | null) => Promise<ChatMessagePage>;
+  sendMessage: (conversationId: string, content: string) => Promise<ChatMessage>;
+  markAsRead: (conversationId: string) => Promise<MarkConversationReadResponse>;
+}
+
+/**
+ * Conversations service functions
+ * These functions handle all direct message conversation API calls
+ */
+export const conversationsService: ConversationsServiceInterface = {
+  // Get a page of the current user's conversations (most recently active first)
+  getAll: async (cursor: string | null = null): Promise<ConversationPage> => {
+    const response = await api.get<ConversationPage>('/conversations', {
+      params: cursor ? { cursor } : undefined,
+    });
+    return response.data;
+  },
+
+  // Get a single conversation
+  getById: async (conversationId: string): Promise<Conversation> => {
+    const response = await api.get<Conversation>(`/conversations/${conversationId}`);
+    return response.data;
+  },
+
+  // Get the total number of unread messages
+  getUnreadCount: async (): Promise<UnreadMessageCountResponse> => {
+    const response = await api.get<UnreadMessageCountResponse>('/conversations/unread-count');
+    return response.data;
+  },
+
+  // Send a first message to a user (continues the existing conversation if there is one)
+  start: async (data: StartConversationData): Promise<StartConversationResponse> => {
+    const response = await api.post<StartConversationResponse>('/conversations', data);
+    return response.data;
+  },
+
+  // Get a page of messages in a conversation (newest first)
+  getMessages: async (
+    conversationId: string,
+    cursor: string | null = null
+  ): Promise<ChatMessagePage> => {
+    const response = await api.get<ChatMessagePage>(`/conversations/${conversationId}/messages`, {
+      params: cursor ? { cursor } : undefined,
+    });
+    return response.data;
+  },
+
+  // Send a message in a conversation
+  sendMessage: async (conversationId: string, content: string): Promise<ChatMessage> => {
+    const response = await api.post<ChatMessage>(`/conversations/${conversationId}/messages`, {
+      content,
+    });
+    return response.data;
+  },
+
+  // Mark every message received in a conversation as read
+  markAsRead: async (conversationId: string): Promise<MarkConversationReadResponse> => {
+    const response = await api.put<MarkConversationReadResponse>(
+      `/conversations/${conversationId}/read`
+    );
+    return response.data;
+  },
+};
+
+export default conversationsService;
@@ -4,15 +4,25 @@
 export { authService } from './authService';
 export { projectsService } from './projectsService';
 export { commentsService } from './commentsService';
+export { tasksService } from './tasksService';
+export { milestonesService } from './milestonesService';
 export { usersService } from './usersService';
+export { notificationsService } from './notificationsService';
+export { conversationsService } from './conversationsService';
 export { adminService } from './adminService';
+export { reportsService } from './reportsService';
 
 // Re-export default exports as well
 export { default as authServiceDefault } from './authService';
 export { default as projectsServiceDefault } from './projectsService';
 export { default as commentsServiceDefault } from './commentsService';
+export { default as tasksServiceDefault } from './tasksService';
+export { default as milestonesServiceDefault } from './milestonesService';
 export { default as usersServiceDefault } from './usersService';
+export { default as notificationsServiceDefault } from './notificationsService';
+export { default as conversationsServiceDefault } from './conversationsService';
 export { default as adminServiceDefault } from './adminService';
+export { default as reportsServiceDefault } from './reportsService';
 
 // Re-export types from services
 export type { AuthServiceInterface } from './authService';
@@ -41,15 +51,73 @@ export type {
   DeleteCommentResponse,
   CommentsServiceInterface,
 } from './commentsService';
+export type {
+  TaskInput,
+  CreateTaskData,
+  UpdateTaskData,
+  MoveTaskData,
+  DeleteTaskResponse,
+  TasksServiceInterface,
+} from './tasksService';
+export type {
+  MilestoneInput,
+  CreateMilestoneData,
+  UpdateMilestoneData,
+  ProjectMilestonesResponse,
+  DeleteMilestoneResponse,
+  MilestonesServiceInterface,
+} from './milestonesService';
+export type {
+  UnreadCountResponse,
+  MarkAllReadResponse,
+  NotificationsServiceInterface,
+} from './notificationsService';
+export type {
+  StartConversationData,
+  StartConversationResponse,
+  UnreadMessageCountResponse,
+  MarkConversationReadResponse,
+  ConversationsServiceInterface,
+} from './conversationsService';
 export type {
   DashboardStats,
   AdminUserQueryParams,
   PaginatedUsersResponse,
   RoleUpdateData,
+  Role,
+  RolesResponse,
+  RoleCreateData,
+  RoleEditData,
+  RoleHolder,
+  PaginatedRoleHoldersResponse,
+  RoleOperationResponse,
   SuspensionData,
+  BulkUserAction,
+  BulkActionParams,
+  BulkUserFilter,
+  BulkPreviewData,
+  BulkApplyData,
+  BulkUserResultStatus,
+  BulkUserResult,
+  BulkActionSummary,
+  BulkPreviewResponse,
+  BulkApplyResponse,
+  SystemLogType,
+  SystemLogSeverity,
+  SystemLogUser,
   SystemLogEntry,
   SystemLogsQueryParams,
   PaginatedLogsResponse,
   AdminOperationResponse,
   AdminServiceInterface,
 } from './adminService';
+export type {
+  CreateReportData,
+  CreateReportResponse,
+  ReportQueueParams,
+  ReportQueueResponse,
+  ReportDetailResponse,
+  ReportActionData,
+  ReportActionResponse,
+  ReportsServiceInterface,
+} from './reportsService';
@@ -0,0 +1,102 @@
+import api from '../utils/api';
+import type { ChecklistItem, Milestone, OverdueMilestone, ProjectProgress } from '../types';
+
+/**
+ * Editable milestone fields
+ */
+export interface MilestoneInput {
+  title?: string;
+  description?: string;
+  targetDate?: string | null;
+  checklist?: ChecklistItem[];
+}
+
+/**
+ * Milestone creation payload
+ */
+export interface CreateMilestoneData extends MilestoneInput {
+  projectId: string;
+  title: string;
+}
+
+/**
+ * Milestone update payload
+ */
+export interface UpdateMilestoneData {
+  projectId: string;
+  milestoneId: string;
+  milestoneData: MilestoneInput;
+}
+
+/**
+ * A project's milestones with its overall progress
+ */
+export interface ProjectMilestonesResponse {
+  milestones: Milestone[];
+  progress: ProjectProgress;
+}
+
+/**
+ * Delete milestone response
+ */
+export interface DeleteMilestoneResponse {
+  message: string;
+}
+
+/**
+ * Milestones service interface
+ */
+export interface MilestonesServiceInterface {
+  getByProjectId: (projectId: string) => Promise<ProjectMilestonesResponse>;
+  getOverdue: () => Promise<OverdueMilestone[]>;
+  create: (milestoneData: CreateMilestoneData) => Promise<Milestone>;
+  update: (payload: UpdateMilestoneData) => Promise<Milestone>;
+  delete: (projectId: string, milestoneId: string) => Promise<DeleteMilestoneResponse>;
+}
+
+/**
+ * Milestones service functions
+ * These functions handle the milestone API calls for a project
+ */
+export const milestonesService: MilestonesServiceInterface = {
+  // Get a project's milestones and overall progress
+  getByProjectId: async (projectId: string): Promise<ProjectMilestonesResponse> => {
+    const response = await api.get<ProjectMilestonesResponse>(`/projects/${projectId}/milestones`);
+    return response.data;
+  },
+
+  // Get overdue milestones on the current user's projects
+  getOverdue: async (): Promise<OverdueMilestone[]> => {
+    const response = await api.get<OverdueMilestone[]>('/projects/milestones/overdue');
+    return response.data;
+  },
+
+  // Create a milestone
+  create: async ({ projectId, ...data }: CreateMilestoneData): Promise<Milestone> => {
+    const response = await api.post<Milestone>(`/projects/${projectId}/milestones`, data);
+    return response.data;
+  },
+
+  // Update a milestone or its checklist
+  update: async ({
+    projectId,
+    milestoneId,
+    milestoneData,
+  }: UpdateMilestoneData): Promise<Milestone> => {
+    const response = await api.put<Milestone>(
+      `/projects/${projectId}/milestones/${milestoneId}`,
+      milestoneData
+    );
+    return response.data;
+  },
+
+  // Delete a milestone
+  delete: async (projectId: string, milestoneId: string): Promise<DeleteMilestoneResponse> => {
+    const response = await api.delete<DeleteMilestoneResponse>(
+      `/projects/${projectId}/milestones/${milestoneId}`
+    );
+    return response.data;
+  },
+};
+
+export default milestonesService;
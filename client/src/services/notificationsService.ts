@@ -0,0 +1,61 @@
+import api from '../utils/api';
+import type { Notification, NotificationPage } from '../types';
+
+/**
+ * Unread notification count response
+ */
+export interface UnreadCountResponse {
+  count: number;
+}
+
+/**
+ * Mark all as read response
+ */
+export interface MarkAllReadResponse {
+  message: string;
+  updated: number;
+}
+
+/**
+ * Notifications service interface
+ */
+export interface NotificationsServiceInterface {
+  getAll: (cursor?: string | null) => Promise<NotificationPage>;
+  getUnreadCount: () => Promise<UnreadCountResponse>;
+  markAsRead: (notificationId: string) => Promise<Notification>;
+  markAllAsRead: () => Promise<MarkAllReadResponse>;
+}
+
+/**
+ * Notifications service functions
+ * These functions handle all notification-related API calls
+ */
+export const notificationsService: NotificationsServiceInterface = {
+  // Get a page of the current user's notifications (newest first)
+  getAll: async (cursor: string | null = null): Promise<NotificationPage> => {
+    const response = await api.get<NotificationPage>('/notifications', {
+      params: cursor ? { cursor } : undefined,
+    });
+    return response.data;
+  },
+
+  // Get the number of unread notifications
+  getUnreadCount: async (): Promise<UnreadCountResponse> => {
+    const response = await api.get<UnreadCountResponse>('/notifications/unread-count');
+    return response.data;
+  },
+
+  // Mark a notification as read
+  markAsRead: async (notificationId: string): Promise<Notification> => {
+    const response = await api.put<Notification>(`/notifications/${notificationId}/read`);
+    return response.data;
+  },
+
+  // Mark all notifications as read
+  markAllAsRead: async (): Promise<MarkAllReadResponse> => {
+    const response = await api.put<MarkAllReadResponse>('/notifications/read-all');
+    return response.data;
+  },
+};
+
+export default notificationsService;
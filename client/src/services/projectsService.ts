@@ -1,18 +1,45 @@
 import api from '../utils/api';
-import type { Project, CollaboratorStatus } from '../types';
+import type {
+  Project,
+  ProjectPage,
+  MemberProjects,
+  ProjectSort,
+  ProjectSearchResponse,
+  CollaboratorStatus,
+} from '../types';
 
 /**
  * Project filter parameters
+ * List-valued filters (technologies, requiredSkills, tags) are comma-separated
  */
 export interface ProjectFilters {
   status?: string;
   technologies?: string;
+  requiredSkills?: string;
   tags?: string;
-  search?: string;
+  owner?: string;
+  member?: string;
+  incentiveType?: string;
+  sort?: ProjectSort;
+  limit?: string;
   featured?: string;
   [key: string]: string | undefined;
 }
 
+/**
+ * Project search parameters
+ * technologies and requiredSkills are comma-separated and must all match
+ */
+export interface ProjectSearchParams {
+  query: string;
+  page?: number;
+  limit?: number;
+  status?: string;
+  technologies?: string;
+  requiredSkills?: string;
+  incentiveType?: string;
+}
+
 /**
  * Project update payload
  */
@@ -57,12 +84,13 @@ export interface CollaborationResponse {
  * Projects service interface
  */
 export interface ProjectsServiceInterface {
-  getAll: (filters?: ProjectFilters) => Promise<Project[]>;
+  getAll: (filters?: ProjectFilters, cursor?: string | null) => Promise<ProjectPage>;
+  getByMember: (userIds: string[]) => Promise<MemberProjects[]>;
   getById: (projectId: string) => Promise<Project>;
   create: (projectData: Partial<Project>) => Promise<Project>;
   update: (payload: ProjectUpdatePayload) => Promise<Project>;
   delete: (projectId: string) => Promise<DeleteProjectResponse>;
-  search: (query: string) => Promise<Project[]>;
+  search: (params: ProjectSearchParams) => Promise<ProjectSearchResponse>;
   join: (projectId: string) => Promise<JoinLeaveResponse>;
   leave: (projectId: string) => Promise<JoinLeaveResponse>;
   requestCollaboration: (projectId: string) => Promise<CollaborationResponse>;
@@ -79,8 +107,11 @@ export interface ProjectsServiceInterface {
  * These functions handle all project-related API calls
  */
 export const projectsService: ProjectsServiceInterface = {
-  // Get all projects
-  getAll: async (filters: ProjectFilters = {}): Promise<Project[]> => {
+  // Get a page of projects
+  getAll: async (
+    filters: ProjectFilters = {},
+    cursor: string | null = null
+  ): Promise<ProjectPage> => {
     try {
       console.log('📊 ProjectsService.getAll called with filters:', filters);
 
@@ -91,11 +122,14 @@ export const projectsService: ProjectsServiceInterface = {
           params.append(key, value);
         }
       });
+      if (cursor) {
+        params.append('cursor', cursor);
+      }
 
       const url = params.toString() ? `/projects?${params}` : '/projects';
       console.log('📊 Making API call to:', url);
 
-      const response = await api.get<Project[]>(url);
+      const response = await api.get<ProjectPage>(url);
       console.log('📊 ProjectsService.getAll response:', response.data);
       return response.data;
     } catch (error) {
@@ -104,6 +138,13 @@ export const projectsService: ProjectsServiceInterface = {
     }
   },
 
+  // Get the projects of the given users (at most 100 per request)
+  getByMember: async (userIds: string[]): Promise<MemberProjects[]> => {
+    const params = new URLSearchParams({ userIds: userIds.join(',') });
+    const response = await api.get<{ members: MemberProjects[] }>(`/projects/members?${params}`);
+    return response.data.members;
+  },
+
   // Get project by ID
   getById: async (projectId: string): Promise<Project> => {
     const response = await api.get<Project>(`/projects/${projectId}`);
@@ -128,11 +169,9 @@ export const projectsService: ProjectsServiceInterface = {
     return response.data;
   },
 
-  // Search projects
-  search: async (query: string): Promise<Project[]> => {
-    const response = await api.get<Project[]>(
-      `/projects/search?query=${encodeURIComponent(query)}`
-    );
+  // Search projects (relevance ranked, with facet counts and highlights)
+  search: async (params: ProjectSearchParams): Promise<ProjectSearchResponse> => {
+    const response = await api.get<ProjectSearchResponse>('/projects/search', { params });
     return response.data;
   },
 
@@ -173,16 +212,16 @@ export const projectsService: ProjectsServiceInterface = {
     return response.data;
   },
 
-  // Get projects by status
+  // Get projects by status (first page)
   getByStatus: async (status: string): Promise<Project[]> => {
-    const response = await api.get<Project[]>(`/projects?status=${status}`);
-    return response.data;
+    const response = await api.get<ProjectPage>(`/projects?status=${status}`);
+    return response.data.projects;
   },
 
-  // Get featured projects
+  // Get featured projects (first page)
   getFeatured: async (): Promise<Project[]> => {
-    const response = await api.get<Project[]>('/projects?featured=true');
-    return response.data;
+    const response = await api.get<ProjectPage>('/projects?featured=true');
+    return response.data.projects;
   },
 };
 
@@ -0,0 +1,116 @@
+import api from '../utils/api';
+import type {
+  OffsetPagination,
+  Report,
+  ReportAction,
+  ReportReason,
+  ReportStatus,
+  ReportTargetType,
+} from '../types';
+
+/**
+ * Report a project, comment, message or profile
+ */
+export interface CreateReportData {
+  targetType: ReportTargetType;
+  targetId: string;
+  reason: ReportReason;
+  details?: string;
+}
+
+/**
+ * Create report response
+ */
+export interface CreateReportResponse {
+  message: string;
+  report: Pick<Report, '_id' | 'targetType' | 'targetId' | 'reason' | 'status' | 'createdAt'>;
+}
+
+/**
+ * Moderation queue query parameters
+ * 'active' lists every report still waiting for a decision
+ */
+export interface ReportQueueParams {
+  status?: ReportStatus | 'active';
+  targetType?: ReportTargetType;
+  assignedTo?: 'me';
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Page of the moderation queue
+ */
+export interface ReportQueueResponse {
+  reports: Report[];
+  pagination: OffsetPagination;
+}
+
+/**
+ * Single report with the number of other open reports about the same content
+ */
+export interface ReportDetailResponse {
+  report: Report;
+  relatedReports: number;
+}
+
+/**
+ * Moderation action on a report
+ * The note is required when suspending, and is sent to the user when warning them
+ */
+export interface ReportActionData {
+  action: ReportAction;
+  note?: string;
+  // Suspension length in milliseconds; omit for an indefinite suspension
+  duration?: number;
+}
+
+/**
+ * Report action response
+ */
+export interface ReportActionResponse {
+  message: string;
+  report: Report;
+}
+
+/**
+ * Reports service interface
+ */
+export interface ReportsServiceInterface {
+  create: (data: CreateReportData) => Promise<CreateReportResponse>;
+  getQueue: (params?: ReportQueueParams) => Promise<ReportQueueResponse>;
+  getById: (reportId: string) => Promise<ReportDetailResponse>;
+  takeAction: (reportId: string, data: ReportActionData) => Promise<ReportActionResponse>;
+}
+
+/**
+ * Reports service functions
+ * These functions handle reporting content and working the moderation queue
+ */
+export const reportsService: ReportsServiceInterface = {
+  // Report content to moderators
+  create: async (data: CreateReportData): Promise<CreateReportResponse> => {
+    const response = await api.post<CreateReportResponse>('/reports', data);
+    return response.data;
+  },
+
+  // Get a page of the moderation queue
+  getQueue: async (params: ReportQueueParams = {}): Promise<ReportQueueResponse> => {
+    const response = await api.get<ReportQueueResponse>('/reports', { params });
+    return response.data;
+  },
+
+  // Get a report with its history
+  getById: async (reportId: string): Promise<ReportDetailResponse> => {
+    const response = await api.get<ReportDetailResponse>(`/reports/${reportId}`);
+    return response.data;
+  },
+
+  // Claim, dismiss, hide, warn, escalate or suspend
+  takeAction: async (reportId: string, data: ReportActionData): Promise<ReportActionResponse> => {
+    const response = await api.post<ReportActionResponse>(`/reports/${reportId}/actions`, data);
+    return response.data;
+  },
+};
+
+export default reportsService;
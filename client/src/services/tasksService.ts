@@ -0,0 +1,102 @@
+import api from '../utils/api';
+import type { Task, TaskStatus, TaskPriority } from '../types';
+
+/**
+ * Editable task fields
+ */
+export interface TaskInput {
+  title?: string;
+  description?: string;
+  assignee?: string | null;
+  labels?: string[];
+  dueDate?: string | null;
+  priority?: TaskPriority;
+  status?: TaskStatus;
+  milestone?: string | null;
+}
+
+/**
+ * Task creation payload
+ */
+export interface CreateTaskData extends TaskInput {
+  projectId: string;
+  title: string;
+}
+
+/**
+ * Task update payload
+ */
+export interface UpdateTaskData {
+  projectId: string;
+  taskId: string;
+  taskData: TaskInput;
+}
+
+/**
+ * Task move payload (drag and drop)
+ */
+export interface MoveTaskData {
+  projectId: string;
+  taskId: string;
+  status: TaskStatus;
+  position: number;
+}
+
+/**
+ * Delete task response
+ */
+export interface DeleteTaskResponse {
+  message: string;
+}
+
+/**
+ * Tasks service interface
+ */
+export interface TasksServiceInterface {
+  getByProjectId: (projectId: string) => Promise<Task[]>;
+  create: (taskData: CreateTaskData) => Promise<Task>;
+  update: (payload: UpdateTaskData) => Promise<Task>;
+  move: (payload: MoveTaskData) => Promise<Task[]>;
+  delete: (projectId: string, taskId: string) => Promise<DeleteTaskResponse>;
+}
+
+/**
+ * Tasks service functions
+ * These functions handle the task board API calls for a project
+ */
+export const tasksService: TasksServiceInterface = {
+  // Get all tasks on a project's board
+  getByProjectId: async (projectId: string): Promise<Task[]> => {
+    const response = await api.get<Task[]>(`/projects/${projectId}/tasks`);
+    return response.data;
+  },
+
+  // Create a task
+  create: async ({ projectId, ...data }: CreateTaskData): Promise<Task> => {
+    const response = await api.post<Task>(`/projects/${projectId}/tasks`, data);
+    return response.data;
+  },
+
+  // Update a task
+  update: async ({ projectId, taskId, taskData }: UpdateTaskData): Promise<Task> => {
+    const response = await api.put<Task>(`/projects/${projectId}/tasks/${taskId}`, taskData);
+    return response.data;
+  },
+
+  // Move a task to a column and position, returns the updated board
+  move: async ({ projectId, taskId, status, position }: MoveTaskData): Promise<Task[]> => {
+    const response = await api.patch<Task[]>(`/projects/${projectId}/tasks/${taskId}/move`, {
+      status,
+      position,
+    });
+    return response.data;
+  },
+
+  // Delete a task
+  delete: async (projectId: string, taskId: string): Promise<DeleteTaskResponse> => {
+    const response = await api.delete<DeleteTaskResponse>(`/projects/${projectId}/tasks/${taskId}`);
+    return response.data;
+  },
+};
+
+export default tasksService;
@@ -1,5 +1,13 @@
 import api from '../utils/api';
-import type { User, Message, Project } from '../types';
+import type {
+  User,
+  Message,
+  Project,
+  MentionSuggestion,
+  UserRelationships,
+  AccountDeletionData,
+  AccountDeletionResponse,
+} from '../types';
 
 /**
  * User search parameters
@@ -72,6 +80,7 @@ export interface UsersServiceInterface {
   getMyProfile: () => Promise<User>;
   updateProfile: (profileData: Partial<User>) => Promise<ProfileUpdateResponse>;
   search: (searchParams: UserSearchParams) => Promise<User[]>;
+  getMentionSuggestions: (query: string) => Promise<MentionSuggestion[]>;
   getUserProjects: (userId: string) => Promise<Project[]>;
   sendMessage: (messageData: SendMessageData) => Promise<MessageResponse>;
   getMessages: (type?: string) => Promise<Message[]>;
@@ -85,6 +94,14 @@ export interface UsersServiceInterface {
   toggleFollow: (userId: string) => Promise<FollowResponse>;
   getFollowers: (userId: string) => Promise<User[]>;
   getFollowing: (userId: string) => Promise<User[]>;
+  getRelationships: () => Promise<UserRelationships>;
+  blockUser: (userId: string) => Promise<MessageResponse>;
+  unblockUser: (userId: string) => Promise<MessageResponse>;
+  muteUser: (userId: string) => Promise<MessageResponse>;
+  unmuteUser: (userId: string) => Promise<MessageResponse>;
+  exportMyData: () => Promise<Blob>;
+  requestAccountDeletion: (data: AccountDeletionData) => Promise<AccountDeletionResponse>;
+  cancelAccountDeletion: () => Promise<MessageResponse>;
 }
 
 /**
@@ -130,6 +147,14 @@ export const usersService: UsersServiceInterface = {
     return response.data;
   },
 
+  // Suggest users to @mention by username prefix
+  getMentionSuggestions: async (query: string): Promise<MentionSuggestion[]> => {
+    const response = await api.get<MentionSuggestion[]>('/users/mentions', {
+      params: { q: query },
+    });
+    return response.data;
+  },
+
   // Get user's projects
   getUserProjects: async (userId: string): Promise<Project[]> => {
     const response = await api.get<Project[]>(`/users/${userId}/projects`);
@@ -218,6 +243,54 @@ export const usersService: UsersServiceInterface = {
     const response = await api.get<User[]>(`/users/${userId}/following`);
     return response.data;
   },
+
+  // Get the users the current user has blocked or muted
+  getRelationships: async (): Promise<UserRelationships> => {
+    const response = await api.get<UserRelationships>('/users/relationships');
+    return response.data;
+  },
+
+  // Block a user
+  blockUser: async (userId: string): Promise<MessageResponse> => {
+    const response = await api.post<MessageResponse>(`/users/${userId}/block`);
+    return response.data;
+  },
+
+  // Unblock a user
+  unblockUser: async (userId: string): Promise<MessageResponse> => {
+    const response = await api.delete<MessageResponse>(`/users/${userId}/block`);
+    return response.data;
+  },
+
+  // Mute a user
+  muteUser: async (userId: string): Promise<MessageResponse> => {
+    const response = await api.post<MessageResponse>(`/users/${userId}/mute`);
+    return response.data;
+  },
+
+  // Unmute a user
+  unmuteUser: async (userId: string): Promise<MessageResponse> => {
+    const response = await api.delete<MessageResponse>(`/users/${userId}/mute`);
+    return response.data;
+  },
+
+  // Download everything stored about the current user
+  exportMyData: async (): Promise<Blob> => {
+    const response = await api.get<Blob>('/users/me/export', { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Schedule the current user's account for deletion (signs out every session)
+  requestAccountDeletion: async (data: AccountDeletionData): Promise<AccountDeletionResponse> => {
+    const response = await api.post<AccountDeletionResponse>('/users/me/deletion', data);
+    return response.data;
+  },
+
+  // Keep the account after all
+  cancelAccountDeletion: async (): Promise<MessageResponse> => {
+    const response = await api.delete<MessageResponse>('/users/me/deletion');
+    return response.data;
+  },
 };
 
 export default usersService;
@@ -58,6 +58,8 @@ export interface AuthUser {
   isActive?: boolean;
   isSuspended?: boolean;
   isEmailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  deletionScheduledFor?: string | null;
 }
 
 /**
@@ -68,6 +70,27 @@ export interface LoginResponse {
   refreshToken?: string;
   expiresIn?: number;
   user: AuthUser;
+  // Set when the user's role requires two-factor authentication but they haven't enrolled
+  twoFactorSetupRequired?: boolean;
+}
+
+/**
+ * Response from login when the account has two-factor authentication enabled
+ * No tokens are issued until the challenge is completed
+ */
+export interface TwoFactorChallengeResponse {
+  twoFactorRequired: true;
+  challengeToken: string;
+}
+
+/**
+ * Second step of a two-factor login: an authenticator code or a recovery code
+ */
+export interface TwoFactorLoginData {
+  // Omitted after a GitHub sign-in, where the server keeps the challenge in a cookie
+  challengeToken?: string;
+  code?: string;
+  recoveryCode?: string;
 }
 
 /**
@@ -89,6 +112,144 @@ export interface AuthResponse {
   message?: string;
 }
 
+/**
+ * Check if a login response is a two-factor challenge rather than a session
+ */
+export function isTwoFactorChallenge(
+  response: LoginResponse | TwoFactorChallengeResponse
+): response is TwoFactorChallengeResponse {
+  return 'twoFactorRequired' in response && response.twoFactorRequired === true;
+}
+
+// ============================================================================
+// Two-Factor Authentication
+// ============================================================================
+
+/**
+ * Current user's two-factor authentication status
+ */
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  // Whether the user's role requires two-factor authentication
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+/**
+ * Secret and provisioning URI shown while enrolling
+ */
+export interface TwoFactorSetupResponse {
+  secret: string;
+  otpauthUri: string;
+}
+
+/**
+ * One-time recovery codes, returned only when they are generated
+ */
+export interface RecoveryCodesResponse {
+  message: string;
+  recoveryCodes: string[];
+}
+
+/**
+ * Data required to turn two-factor authentication off
+ */
+export interface DisableTwoFactorData {
+  password: string;
+  code?: string;
+  recoveryCode?: string;
+}
+
+// ============================================================================
+// Personal Access Tokens
+// ============================================================================
+
+/**
+ * Personal access token as listed in settings (the token itself is never returned)
+ */
+export interface AccessToken {
+  _id: string;
+  name: string;
+  // Start of the token, to tell tokens apart
+  tokenPrefix: string;
+  scopes: Permission[];
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+/**
+ * The current user's tokens and the scopes they may grant
+ */
+export interface AccessTokensResponse {
+  tokens: AccessToken[];
+  availableScopes: Permission[];
+}
+
+/**
+ * Data for creating a personal access token
+ */
+export interface CreateAccessTokenData {
+  name: string;
+  scopes: Permission[];
+  // Omit (or null) for a token that doesn't expire
+  expiresInDays?: number | null;
+}
+
+/**
+ * A newly created token; `token` is only ever shown here
+ */
+export interface CreateAccessTokenResponse {
+  message: string;
+  token: string;
+  accessToken: AccessToken;
+}
+
+// ============================================================================
+// Email Change
+// ============================================================================
+
+/**
+ * Data for changing the account email; the current password is required
+ */
+export interface ChangeEmailData {
+  newEmail: string;
+  password: string;
+}
+
+/**
+ * Response once a confirmation link has been sent to the new address
+ */
+export interface ChangeEmailResponse {
+  message: string;
+  pendingEmail: string;
+}
+
+// ============================================================================
+// GitHub Sign-In
+// ============================================================================
+
+/**
+ * Where to send the browser to link a GitHub account
+ */
+export interface GitHubLinkResponse {
+  url: string;
+}
+
+/**
+ * Outcome of a GitHub sign-in or link, read from the callback page's query string
+ */
+export interface GitHubCallbackParams {
+  status?: 'success' | 'linked';
+  // Set when the account has two-factor enabled and a code is still needed;
+  // the challenge itself is kept in an httpOnly cookie
+  twoFactorRequired?: 'true';
+  twoFactorSetupRequired?: 'true';
+  error?: string;
+  mode?: 'login' | 'link';
+}
+
 // ============================================================================
 // Password Reset
 // ============================================================================
@@ -115,6 +276,15 @@ export interface PasswordResetRequestResponseDev extends PasswordResetRequestRes
   resetUrl: string;
 }
 
+/**
+ * Response from requesting a login link; the link itself is only returned in development
+ */
+export interface MagicLinkRequestResponse {
+  message: string;
+  loginToken?: string;
+  loginUrl?: string;
+}
+
 /**
  * Data to confirm password reset with new password
  */
@@ -131,6 +301,28 @@ export interface VerifyPasswordResetTokenResponse {
   email: string;
 }
 
+// ============================================================================
+// Login Lockouts
+// ============================================================================
+
+/**
+ * Error response when too many logins have failed
+ * locked is false for a short delay between attempts, true for a lockout
+ */
+export interface LoginThrottledError {
+  message: string;
+  reason: 'account_locked' | 'ip_locked' | 'too_many_attempts';
+  retryAfter: number;
+  locked: boolean;
+}
+
+/**
+ * Response from unlocking an account with the emailed link
+ */
+export interface UnlockAccountResponse {
+  message: string;
+}
+
 // ============================================================================
 // Email Verification
 // ============================================================================
@@ -165,6 +357,8 @@ export interface RefreshTokenRequest {
  */
 export interface RefreshTokenResponse {
   accessToken: string;
+  // Refresh tokens rotate on every refresh; the old one must not be used again
+  refreshToken?: string;
   expiresIn: number;
 }
 
@@ -198,6 +392,25 @@ export interface LogoutAllResponse {
   message: string;
 }
 
+/**
+ * Response from reporting a session as not the user's
+ * The session is signed out and the password has to be reset before the next password login
+ */
+export interface ReportSessionResponse {
+  message: string;
+  passwordResetRequired: true;
+  resetToken?: string;
+}
+
+/**
+ * Response from ending an impersonation session
+ * signInRequired is set when the admin's own session has ended in the meantime
+ */
+export interface EndImpersonationResponse {
+  message: string;
+  signInRequired: boolean;
+}
+
 // ============================================================================
 // Login Error States
 // ============================================================================
@@ -223,3 +436,17 @@ export function isNeedsVerificationError(
     (error as NeedsVerificationError).needsVerification === true
   );
 }
+
+/**
+ * Check if an error response is a login throttle or lockout
+ */
+export function isLoginThrottledError(
+  error: unknown
+): error is LoginThrottledError {
+  return (
+    typeof error === 'object' &&
+    error !== null &&
+    'retryAfter' in error &&
+    typeof (error as LoginThrottledError).retryAfter === 'number'
+  );
+}
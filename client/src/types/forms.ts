@@ -9,6 +9,8 @@ import type {
   IncentiveType,
   PortfolioLink,
   SocialLinks,
+  UserRole,
+  Permission,
 } from './models';
 
 // ============================================================================
@@ -196,7 +198,8 @@ export interface UserFilterFormData {
  * Admin user role update form data
  */
 export interface UserRoleUpdateFormData {
-  role: 'user' | 'moderator' | 'admin';
+  role: UserRole;
+  customPermissions: Permission[];
 }
 
 /**
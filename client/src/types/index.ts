@@ -12,17 +12,28 @@
 // ============================================================================
 export type {
   // Enums and Union Types
+  BuiltInRole,
   UserRole,
   ExperienceLevel,
   Availability,
   Permission,
   ProjectStatus,
   CollaboratorStatus,
+  ProjectSort,
   IncentiveType,
+  TaskStatus,
+  TaskPriority,
   SessionRevokedReason,
+  SessionLoginFlag,
+  ReportTargetType,
+  ReportReason,
+  ReportStatus,
+  ReportAction,
+  ReportResolution,
   // Nested Types
   PortfolioLink,
   SocialLinks,
+  GitHubAccount,
   DeviceInfo,
   LocationInfo,
   Collaborator,
@@ -31,12 +42,48 @@ export type {
   // Main Entity Interfaces
   User,
   UserSummary,
+  UserImpersonation,
   Project,
   Session,
+  MentionedUser,
+  MentionSuggestion,
   Comment,
+  TaskUser,
+  Task,
+  ProjectProgress,
+  MilestoneProgress,
+  ChecklistItem,
+  Milestone,
+  OverdueMilestone,
   Message,
+  ConversationParticipant,
+  ConversationPreview,
+  Conversation,
+  ChatMessage,
+  UserRelationships,
+  AccountDeletionData,
+  AccountDeletionResponse,
+  NotificationType,
+  Notification,
+  ReportUser,
+  ReportHistoryEntry,
+  Report,
   // API Response Wrappers
   PaginatedResponse,
+  CursorPagination,
+  ProjectPage,
+  MemberProjects,
+  CommentPage,
+  ConversationPage,
+  ChatMessagePage,
+  NotificationPage,
+  OffsetPagination,
+  HighlightSegment,
+  ProjectHighlights,
+  ProjectSearchResult,
+  FacetBucket,
+  ProjectSearchFacets,
+  ProjectSearchResponse,
   ApiError,
 } from './models';
 
@@ -52,14 +99,37 @@ export type {
   RegisterData,
   AuthUser,
   LoginResponse,
+  TwoFactorChallengeResponse,
+  TwoFactorLoginData,
   RegisterResponse,
   AuthResponse,
+  // Two-Factor Authentication
+  TwoFactorStatus,
+  TwoFactorSetupResponse,
+  RecoveryCodesResponse,
+  DisableTwoFactorData,
+  // Personal Access Tokens
+  AccessToken,
+  AccessTokensResponse,
+  CreateAccessTokenData,
+  CreateAccessTokenResponse,
+  // Email Change
+  ChangeEmailData,
+  ChangeEmailResponse,
+  // GitHub Sign-In
+  GitHubLinkResponse,
+  GitHubCallbackParams,
   // Password Reset
   PasswordResetRequest,
   PasswordResetRequestResponse,
   PasswordResetRequestResponseDev,
   PasswordResetConfirm,
   VerifyPasswordResetTokenResponse,
+  // Login Links
+  MagicLinkRequestResponse,
+  // Login Lockouts
+  LoginThrottledError,
+  UnlockAccountResponse,
   // Email Verification
   ResendVerificationRequest,
   EmailVerificationResponse,
@@ -71,11 +141,13 @@ export type {
   // Session Management
   LogoutResponse,
   LogoutAllResponse,
+  ReportSessionResponse,
+  EndImpersonationResponse,
   // Error States
   NeedsVerificationError,
 } from './auth';
 
-export { isNeedsVerificationError } from './auth';
+export { isNeedsVerificationError, isTwoFactorChallenge, isLoginThrottledError } from './auth';
 
 // ============================================================================
 // Form Data Types
@@ -7,16 +7,14 @@
 // Enums and Union Types
 // ============================================================================
 
-export type UserRole = 'user' | 'moderator' | 'admin';
+// Roles seeded on the server; admins can create more
+export type BuiltInRole = 'user' | 'moderator' | 'admin';
+
+export type UserRole = BuiltInRole | (string & {});
 
 export type ExperienceLevel = 'beginner' | 'intermediate' | 'advanced' | 'expert';
 
-export type Availability =
-  | 'full-time'
-  | 'part-time'
-  | 'weekends'
-  | 'evenings'
-  | 'flexible';
+export type Availability = 'full-time' | 'part-time' | 'weekends' | 'evenings' | 'flexible';
 
 export type Permission =
   // User management
@@ -41,6 +39,7 @@ export type Permission =
   | 'admin.users'
   | 'admin.analytics'
   | 'admin.system'
+  | 'admin.impersonate'
   // Moderation
   | 'moderate.content'
   | 'moderate.users'
@@ -50,12 +49,13 @@ export type ProjectStatus = 'ideation' | 'in_progress' | 'completed';
 
 export type CollaboratorStatus = 'pending' | 'accepted' | 'rejected';
 
-export type IncentiveType =
-  | 'monetary'
-  | 'equity'
-  | 'recognition'
-  | 'learning'
-  | 'other';
+export type ProjectSort = 'newest' | 'updated' | 'collaborators';
+
+export type IncentiveType = 'monetary' | 'equity' | 'recognition' | 'learning' | 'other';
+
+export type TaskStatus = 'todo' | 'in_progress' | 'review' | 'done';
+
+export type TaskPriority = 'low' | 'medium' | 'high' | 'urgent';
 
 export type SessionRevokedReason =
   | 'logout'
@@ -63,7 +63,28 @@ export type SessionRevokedReason =
   | 'admin_revoke'
   | 'security_breach'
   | 'expired'
-  | 'concurrent_limit';
+  | 'concurrent_limit'
+  | 'email_change'
+  | 'reported_by_user';
+
+/**
+ * Why a login was flagged as unusual
+ */
+export type SessionLoginFlag = 'new_device' | 'new_location';
+
+/**
+ * Content that can be reported to moderators
+ */
+export type ReportTargetType = 'project' | 'comment' | 'message' | 'user';
+
+export type ReportReason =
+  'spam' | 'harassment' | 'hate_speech' | 'inappropriate' | 'impersonation' | 'other';
+
+export type ReportStatus = 'open' | 'claimed' | 'escalated' | 'resolved' | 'dismissed';
+
+export type ReportAction = 'claim' | 'dismiss' | 'hide' | 'warn' | 'escalate' | 'suspend';
+
+export type ReportResolution = 'dismissed' | 'content_hidden' | 'user_warned' | 'user_suspended';
 
 // ============================================================================
 // Nested Types
@@ -81,6 +102,15 @@ export interface SocialLinks {
   website?: string;
 }
 
+/**
+ * GitHub account linked for sign-in
+ */
+export interface GitHubAccount {
+  id: string;
+  username: string;
+  linkedAt: string;
+}
+
 export interface DeviceInfo {
   userAgent?: string;
   ip?: string;
@@ -137,18 +167,43 @@ export interface User {
   portfolioLinks: PortfolioLink[];
   socialLinks: SocialLinks;
   profileImage?: string;
+  github?: GitHubAccount;
+  // False for accounts registered with GitHub that haven't set a password
+  hasPassword?: boolean;
   isProfilePublic: boolean;
   role: UserRole;
+  // Effective permissions: the role's plus any granted to the user directly
   permissions: Permission[];
+  customPermissions?: Permission[];
   isActive: boolean;
   isEmailVerified?: boolean;
+  // New address waiting for confirmation (only on the current user)
+  pendingEmail?: string;
   isSuspended?: boolean;
   suspendedUntil?: string;
   suspensionReason?: string;
+  // Set while the account is waiting out its deletion grace period
+  deletionScheduledFor?: string | null;
+  // Hidden from member listings by a moderator
+  isProfileHidden?: boolean;
+  // Set on the current user while an admin is signed in as them
+  impersonation?: UserImpersonation;
   createdAt: string;
   updatedAt: string;
 }
 
+/**
+ * The admin signed in as the current user, and when that ends
+ */
+export interface UserImpersonation {
+  by: {
+    id: string;
+    username: string;
+    email: string;
+  };
+  endsAt: string;
+}
+
 /**
  * Minimal user info typically returned in references (e.g., project owner)
  */
@@ -179,6 +234,10 @@ export interface Project {
   collaborators: Collaborator[];
   resources: ProjectResource[];
   incentives: ProjectIncentives;
+  collaboratorCount?: number;
+  progress?: ProjectProgress;
+  // Hidden by a moderator; only the owner and moderators still see it
+  isHidden?: boolean;
   createdAt: string;
   updatedAt: string;
 }
@@ -191,6 +250,9 @@ export interface Session {
   userId?: string;
   deviceInfo: DeviceInfo;
   location: LocationInfo;
+  loginFlags?: SessionLoginFlag[];
+  name?: string;
+  isCurrent?: boolean;
   lastActivity: string;
   isActive: boolean;
   expiresAt?: string;
@@ -200,32 +262,305 @@ export interface Session {
   updatedAt?: string;
 }
 
+/**
+ * User resolved from an @mention in comment or message content
+ */
+export interface MentionedUser {
+  _id: string;
+  username: string;
+}
+
+/**
+ * User suggested while typing an @mention
+ */
+export interface MentionSuggestion extends MentionedUser {
+  firstName?: string;
+  lastName?: string;
+  profileImage?: string;
+}
+
 /**
  * Comment interface representing a comment on a project
  */
 export interface Comment {
-  id: string;
+  _id: string;
   projectId: string;
-  userId: string | User | UserSummary;
+  // null on deleted placeholders, which don't reveal their author
+  userId: string | User | UserSummary | null;
   content: string;
+  parentId?: string | null;
+  depth?: number;
+  replyCount?: number;
+  isDeleted?: boolean;
+  // Hidden by a moderator; content is replaced with a placeholder
+  isHidden?: boolean;
+  // Users @mentioned in the content
+  mentions?: MentionedUser[];
+  // Set when the author is muted by the current user; content is withheld
+  isMuted?: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * User reference populated on tasks (assignee, creator)
+ */
+export interface TaskUser {
+  _id: string;
+  username: string;
+  firstName?: string;
+  lastName?: string;
+}
+
+/**
+ * Task interface representing a card on a project's task board
+ */
+export interface Task {
+  _id: string;
+  projectId: string;
+  title: string;
+  description?: string;
+  assignee?: TaskUser | null;
+  labels: string[];
+  dueDate?: string | null;
+  priority: TaskPriority;
+  status: TaskStatus;
+  milestone?: string | null;
+  position: number;
+  createdBy: string | TaskUser;
   createdAt: string;
   updatedAt: string;
 }
 
+/**
+ * Project completion rolled up from its milestones
+ */
+export interface ProjectProgress {
+  percent: number;
+  milestonesTotal: number;
+  milestonesCompleted: number;
+}
+
+/**
+ * Completion of a single milestone (checklist items plus linked tasks)
+ */
+export interface MilestoneProgress {
+  completedItems: number;
+  totalItems: number;
+  percent: number;
+}
+
+/**
+ * Checklist item on a milestone
+ */
+export interface ChecklistItem {
+  _id?: string;
+  text: string;
+  done: boolean;
+}
+
+/**
+ * Milestone interface representing a project goal with a target date
+ */
+export interface Milestone {
+  _id: string;
+  projectId: string;
+  title: string;
+  description?: string;
+  targetDate?: string | null;
+  checklist: ChecklistItem[];
+  taskCounts: { total: number; done: number };
+  progress: MilestoneProgress;
+  isOverdue: boolean;
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Overdue milestone with the title of its project (owner's dashboard)
+ */
+export interface OverdueMilestone extends Milestone {
+  projectTitle: string;
+}
+
 /**
  * Message interface representing a direct message between users
  */
 export interface Message {
   id: string;
+  // Conversation the message belongs to (missing on messages sent before conversations)
+  conversation?: string;
   sender: string | User | UserSummary;
   recipient: string | User | UserSummary;
   subject: string;
   content: string;
   isRead: boolean;
   readAt?: string;
+  mentions?: MentionedUser[];
+  // Hidden by a moderator; content is replaced with a placeholder
+  isHidden?: boolean;
+  createdAt: string;
+}
+
+/**
+ * User shown in a conversation or chat message
+ */
+export interface ConversationParticipant {
+  _id: string;
+  username: string;
+  firstName?: string;
+  lastName?: string;
+  profileImage?: string;
+}
+
+/**
+ * Preview of the latest message in a conversation
+ */
+export interface ConversationPreview {
+  content: string;
+  sender: string;
   createdAt: string;
 }
 
+/**
+ * Direct message conversation between users
+ */
+export interface Conversation {
+  _id: string;
+  participants: ConversationParticipant[];
+  lastMessage: ConversationPreview | null;
+  lastMessageAt: string | null;
+  // Messages the current user has not read yet
+  unreadCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Message within a conversation
+ */
+export interface ChatMessage {
+  _id: string;
+  conversation: string;
+  sender: ConversationParticipant;
+  recipient: ConversationParticipant;
+  // Only set on messages sent from the old compose form
+  subject?: string;
+  content: string;
+  isRead: boolean;
+  readAt?: string;
+  mentions?: MentionedUser[];
+  // Hidden by a moderator; content is replaced with a placeholder
+  isHidden?: boolean;
+  createdAt: string;
+}
+
+/**
+ * Users the current user has blocked or muted
+ */
+export interface UserRelationships {
+  blocked: ConversationParticipant[];
+  muted: ConversationParticipant[];
+}
+
+/**
+ * Confirmation for self-service account deletion
+ * Accounts with a password confirm with it; others type their username
+ */
+export interface AccountDeletionData {
+  password?: string;
+  confirmUsername?: string;
+}
+
+/**
+ * Response when an account is scheduled for deletion
+ */
+export interface AccountDeletionResponse {
+  message: string;
+  deletionScheduledFor: string;
+}
+
+/**
+ * Kinds of in-app notification
+ */
+export type NotificationType =
+  | 'collaboration_request'
+  | 'collaboration_accepted'
+  | 'collaboration_rejected'
+  | 'comment'
+  | 'comment_reply'
+  | 'mention'
+  | 'message'
+  | 'security_alert'
+  | 'report_update'
+  | 'moderation_warning';
+
+/**
+ * In-app notification for the current user
+ */
+export interface Notification {
+  _id: string;
+  recipient: string;
+  // User whose action triggered the notification, if any
+  actor: MentionSuggestion | null;
+  type: NotificationType;
+  message: string;
+  // Client route to open when the notification is clicked
+  link: string;
+  projectId: string | null;
+  isRead: boolean;
+  readAt?: string;
+  createdAt: string;
+}
+
+/**
+ * User shown on a report in the moderation queue
+ */
+export interface ReportUser {
+  _id: string;
+  username: string;
+  email?: string;
+  role?: UserRole;
+  isSuspended?: boolean;
+}
+
+/**
+ * Action taken on a report, as shown in its history
+ */
+export interface ReportHistoryEntry {
+  action: ReportAction;
+  by: ReportUser | string;
+  note?: string;
+  at: string;
+}
+
+/**
+ * A user's report of a project, comment, message or profile
+ */
+export interface Report {
+  _id: string;
+  reporter: ReportUser;
+  targetType: ReportTargetType;
+  targetId: string;
+  // Author of the reported content, or the reported user
+  targetOwner: ReportUser | null;
+  projectId: string | null;
+  reason: ReportReason;
+  details?: string;
+  // The content as it was when reported
+  contentSnapshot: string;
+  status: ReportStatus;
+  assignedTo: ReportUser | null;
+  resolution: ReportResolution | null;
+  resolvedBy?: ReportUser | null;
+  resolvedAt: string | null;
+  // Only included when fetching a single report
+  history?: ReportHistoryEntry[];
+  createdAt: string;
+  updatedAt: string;
+}
+
 // ============================================================================
 // API Response Wrapper Types
 // ============================================================================
@@ -241,6 +576,131 @@ export interface PaginatedResponse<T> {
   totalPages: number;
 }
 
+/**
+ * Pagination info for cursor-paginated endpoints
+ */
+export interface CursorPagination {
+  nextCursor: string | null;
+  hasMore: boolean;
+  limit: number;
+}
+
+/**
+ * A page of projects from GET /projects
+ */
+export interface ProjectPage {
+  projects: Project[];
+  pagination: CursorPagination;
+}
+
+/**
+ * The projects one user owns or is an accepted collaborator on, from GET /projects/members
+ */
+export interface MemberProjects {
+  userId: string;
+  projects: Array<{ _id: string; title: string }>;
+  projectCount: number;
+  collaboratorCount: number; // Accepted collaborators across those projects
+  technologyCount: number; // Distinct technologies across those projects
+}
+
+/**
+ * A page of comments (top-level or replies to a comment)
+ */
+export interface CommentPage {
+  comments: Comment[];
+  pagination: CursorPagination;
+}
+
+/**
+ * A page of conversations, most recently active first
+ */
+export interface ConversationPage {
+  conversations: Conversation[];
+  pagination: CursorPagination;
+}
+
+/**
+ * A page of messages in a conversation, newest first
+ */
+export interface ChatMessagePage {
+  messages: ChatMessage[];
+  pagination: CursorPagination;
+}
+
+/**
+ * A page of notifications, newest first
+ */
+export interface NotificationPage {
+  notifications: Notification[];
+  pagination: CursorPagination;
+}
+
+/**
+ * Pagination info for page-numbered endpoints
+ */
+export interface OffsetPagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+/**
+ * A run of text that either matched a search term or did not
+ */
+export interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+/**
+ * Highlighted fields of a project search result
+ */
+export interface ProjectHighlights {
+  title: HighlightSegment[];
+  description: HighlightSegment[];
+  technologies: string[];
+  requiredSkills: string[];
+  tags: string[];
+}
+
+/**
+ * A project returned by the search endpoint
+ */
+export interface ProjectSearchResult extends Project {
+  _id: string;
+  score: number;
+  highlights: ProjectHighlights;
+}
+
+/**
+ * A facet value and the number of matching projects
+ */
+export interface FacetBucket {
+  value: string;
+  count: number;
+}
+
+/**
+ * Facet counts returned alongside search results
+ */
+export interface ProjectSearchFacets {
+  status: FacetBucket[];
+  technologies: FacetBucket[];
+  requiredSkills: FacetBucket[];
+  incentiveType: FacetBucket[];
+}
+
+/**
+ * Response from GET /projects/search
+ */
+export interface ProjectSearchResponse {
+  projects: ProjectSearchResult[];
+  facets: ProjectSearchFacets;
+  pagination: OffsetPagination;
+}
+
 /**
  * Generic API error response
  */
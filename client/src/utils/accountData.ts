@@ -0,0 +1,42 @@
+/**
+ * Account data helpers
+ * Saving data exports and describing a pending account deletion
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * File name for a data export
+ * @param date - When the export was made
+ * @returns Name such as 'codecollab-data-2026-03-01.json'
+ */
+export const getDataExportFilename = (date: Date = new Date()): string =>
+  `codecollab-data-${date.toISOString().slice(0, 10)}.json`;
+
+/**
+ * Whole days left before a scheduled deletion, counting a part day as a day
+ * @param deletionScheduledFor - When the account will be deleted
+ * @param now - Current time
+ * @returns Days remaining, never below zero
+ */
+export const getDaysUntilDeletion = (
+  deletionScheduledFor: string | Date,
+  now: Date = new Date()
+): number =>
+  Math.max(Math.ceil((new Date(deletionScheduledFor).getTime() - now.getTime()) / DAY_MS), 0);
+
+/**
+ * Have the browser save a downloaded file
+ * @param blob - File contents
+ * @param filename - Name to save it under
+ */
+export const saveBlob = (blob: Blob, filename: string): void => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,52 @@
+/**
+ * Bulk user action helpers
+ * What each action is called, and splitting large selections into batches
+ */
+
+import type { BulkActionSummary, BulkUserAction, BulkUserResult } from '../services/adminService';
+
+// Must match the server's bulk action limits
+export const MAX_BULK_USERS = 1000;
+export const MAX_BULK_REASON_LENGTH = 500;
+
+export const BULK_USER_ACTION_LABELS: Record<BulkUserAction, string> = {
+  suspend: 'Suspend',
+  unsuspend: 'Unsuspend',
+  change_role: 'Change role',
+  resend_verification: 'Resend verification email',
+  revoke_sessions: 'Sign out everywhere',
+  deactivate: 'Deactivate',
+};
+
+export const BULK_USER_ACTIONS = Object.keys(BULK_USER_ACTION_LABELS) as BulkUserAction[];
+
+/**
+ * Split items into batches of at most size items, keeping their order
+ * @param items - Items to split
+ * @param size - Largest batch
+ */
+export const splitIntoBatches = <T>(items: readonly T[], size: number): T[][] => {
+  const batches: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+};
+
+/**
+ * Count results by status
+ * @param results - Per-user results of a bulk action or its preview
+ */
+export const summarizeBulkResults = (results: readonly BulkUserResult[]): BulkActionSummary =>
+  results.reduce<BulkActionSummary>(
+    (summary, result) => ({ ...summary, [result.status]: summary[result.status] + 1 }),
+    { ready: 0, skipped: 0, succeeded: 0, failed: 0 }
+  );
+
+/**
+ * Percentage of a bulk action that's done, for a progress bar
+ * @param done - Users processed so far
+ * @param total - Users to process
+ */
+export const getBulkProgress = (done: number, total: number): number =>
+  total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 100;
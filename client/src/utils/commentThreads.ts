@@ -0,0 +1,49 @@
+/**
+ * Comment thread helpers
+ * Pure functions for rendering threaded project comments
+ */
+
+import type { Comment } from '../types';
+
+/**
+ * Deepest level a reply can sit at (top-level comments are depth 0)
+ * Mirrors COMMENTS.MAX_DEPTH on the server
+ */
+export const COMMENT_MAX_DEPTH = 3;
+
+/**
+ * Author details shown on a comment
+ */
+export interface CommentAuthor {
+  id: string;
+  username: string;
+}
+
+/**
+ * Get the author of a comment, or null for deleted placeholders
+ * @param comment - Comment with its userId populated or as a raw ID
+ */
+export const getCommentAuthor = (comment: Comment): CommentAuthor | null => {
+  if (comment.isDeleted || !comment.userId) return null;
+  if (typeof comment.userId === 'string') return { id: comment.userId, username: 'Unknown User' };
+
+  const user = comment.userId as { _id?: string; id?: string; username?: string };
+  return { id: user._id || user.id || '', username: user.username || 'Unknown User' };
+};
+
+/**
+ * Check whether a comment can receive replies
+ * Deleted placeholders and comments at the depth limit cannot
+ */
+export const canReplyToComment = (comment: Comment): boolean =>
+  !comment.isDeleted && (comment.depth ?? 0) < COMMENT_MAX_DEPTH;
+
+/**
+ * Label for the toggle that shows or hides a comment's replies
+ * @param replyCount - Number of direct replies
+ * @param expanded - Whether the replies are currently shown
+ */
+export const getReplyToggleLabel = (replyCount: number, expanded: boolean): string => {
+  if (expanded) return 'Hide replies';
+  return replyCount === 1 ? 'View 1 reply' : `View ${replyCount} replies`;
+};
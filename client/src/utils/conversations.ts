@@ -0,0 +1,75 @@
+/**
+ * Conversation helpers
+ * Pure functions for rendering conversations and keeping their cached pages current
+ */
+
+import type { InfiniteData } from '@tanstack/react-query';
+import type {
+  ChatMessage,
+  ChatMessagePage,
+  Conversation,
+  ConversationPage,
+  ConversationParticipant,
+} from '../types';
+
+/**
+ * Get the other person in a direct conversation
+ * @param conversation - Conversation with participants populated
+ * @param userId - Current user's ID
+ */
+export const getOtherParticipant = (
+  conversation: Conversation,
+  userId?: string
+): ConversationParticipant | null =>
+  conversation.participants.find((participant) => participant._id !== userId) ??
+  conversation.participants[0] ??
+  null;
+
+/**
+ * Name shown for a participant: full name when set, otherwise the username
+ */
+export const getParticipantName = (participant: ConversationParticipant | null): string => {
+  if (!participant) return 'Unknown User';
+  const fullName = [participant.firstName, participant.lastName].filter(Boolean).join(' ');
+  return fullName || participant.username;
+};
+
+/**
+ * Flatten loaded message pages (newest first) into chat order, oldest first
+ */
+export const getChatMessages = (data: InfiniteData<ChatMessagePage> | undefined): ChatMessage[] =>
+  data ? data.pages.flatMap((page) => page.messages).reverse() : [];
+
+/**
+ * Add a new message to the front of a conversation's cached pages, once
+ */
+export const prependChatMessage = (
+  data: InfiniteData<ChatMessagePage> | undefined,
+  message: ChatMessage
+): InfiniteData<ChatMessagePage> | undefined => {
+  if (!data || data.pages.length === 0) return data;
+  if (data.pages.some((page) => page.messages.some((item) => item._id === message._id))) {
+    return data;
+  }
+
+  const [first, ...rest] = data.pages;
+  return { ...data, pages: [{ ...first, messages: [message, ...first.messages] }, ...rest] };
+};
+
+/**
+ * Set the current user's unread count on a cached conversation
+ */
+export const setConversationUnreadCount = (
+  data: InfiniteData<ConversationPage> | undefined,
+  conversationId: string,
+  unreadCount: number
+): InfiniteData<ConversationPage> | undefined =>
+  data && {
+    ...data,
+    pages: data.pages.map((page) => ({
+      ...page,
+      conversations: page.conversations.map((conversation) =>
+        conversation._id === conversationId ? { ...conversation, unreadCount } : conversation
+      ),
+    })),
+  };
@@ -0,0 +1,40 @@
+/**
+ * Impersonation helpers
+ * Who admins can sign in as, and how long an impersonation has left
+ */
+
+import type { Permission, UserRole } from '../types';
+import { hasAdminAccess } from './roles';
+
+// Must match the server's impersonation limits
+export const IMPERSONATION_DURATION_OPTIONS = [15, 30, 60] as const;
+export const DEFAULT_IMPERSONATION_DURATION = 30;
+export const MAX_IMPERSONATION_REASON_LENGTH = 500;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether admins can sign in as a user
+ * Admins, and anyone else holding an admin permission, can't be impersonated.
+ * @param user - User to impersonate
+ */
+export const canBeImpersonated = (user: {
+  role: UserRole;
+  permissions?: readonly Permission[];
+}): boolean => user.role !== 'admin' && !hasAdminAccess(user.permissions);
+
+/**
+ * Describe how long an impersonation has left
+ * @param endsAt - When the impersonation ends
+ * @param now - Current time
+ * @returns e.g. "12 minutes left"
+ */
+export const getImpersonationTimeLeft = (endsAt: string | Date, now: Date = new Date()): string => {
+  const remainingMs = new Date(endsAt).getTime() - now.getTime();
+
+  if (remainingMs <= 0) return 'Ended';
+  if (remainingMs < MINUTE_MS) return 'Less than a minute left';
+
+  const minutes = Math.ceil(remainingMs / MINUTE_MS);
+  return `${minutes} minute${minutes === 1 ? '' : 's'} left`;
+};
@@ -0,0 +1,34 @@
+/**
+ * Login protection helpers
+ * Wording for login lockouts and for sessions flagged as unusual
+ */
+
+import type { SessionLoginFlag } from '../types';
+
+const LOGIN_FLAG_LABELS: Record<SessionLoginFlag, string> = {
+  new_device: 'New device',
+  new_location: 'New location',
+};
+
+/**
+ * Describe how long to wait before trying to log in again
+ * @param seconds - Retry-After value from the server
+ * @returns Phrase such as '30 seconds', '15 minutes' or '2 hours'
+ */
+export const formatRetryAfter = (seconds: number): string => {
+  const plural = (count: number, unit: string): string =>
+    `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (seconds < 60) return plural(Math.max(Math.ceil(seconds), 1), 'second');
+  if (seconds < 60 * 60) return plural(Math.ceil(seconds / 60), 'minute');
+  return plural(Math.ceil(seconds / (60 * 60)), 'hour');
+};
+
+/**
+ * Labels for a session's login flags, in a stable order
+ * @param flags - Flags from the session, if any
+ */
+export const getLoginFlagLabels = (flags: SessionLoginFlag[] | undefined): string[] =>
+  (Object.keys(LOGIN_FLAG_LABELS) as SessionLoginFlag[])
+    .filter((flag) => flags?.includes(flag))
+    .map((flag) => LOGIN_FLAG_LABELS[flag]);
@@ -0,0 +1,103 @@
+/**
+ * Mention helpers
+ * Pure functions for rendering and typing @username mentions
+ */
+
+import type { MentionedUser } from '../types';
+
+/**
+ * Matches @username where the @ starts the text or follows a non-word character
+ * Mirrors MENTION_PATTERN on the server so email addresses are not treated as mentions
+ */
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w@])/g;
+
+/**
+ * Matches a mention being typed right before the caret
+ */
+const ACTIVE_MENTION_PATTERN = /(?:^|[^\w@])@([a-zA-Z0-9_]{0,30})$/;
+
+/**
+ * A run of plain text, or a mention resolved to a user
+ */
+export type MentionSegment =
+  | { type: 'text'; text: string }
+  | { type: 'mention'; text: string; user: MentionedUser };
+
+/**
+ * Mention currently being typed in an editor
+ */
+export interface ActiveMention {
+  query: string;
+  // Index of the @ in the text
+  start: number;
+}
+
+/**
+ * Path of a member's profile on the members page
+ * @param userId - ID of the member
+ */
+export const getMemberProfilePath = (userId: string): string => `/members#member-${userId}`;
+
+/**
+ * Split content into text and mention segments for rendering
+ * Only mentions the server resolved to a user become mention segments
+ * @param text - Comment or message content
+ * @param mentions - Users resolved from the content
+ */
+export const splitMentions = (text: string, mentions: MentionedUser[] = []): MentionSegment[] => {
+  const usersByName = new Map(mentions.map((user) => [user.username.toLowerCase(), user]));
+  const segments: MentionSegment[] = [];
+  let textStart = 0;
+
+  const pushText = (end: number): void => {
+    if (end > textStart) segments.push({ type: 'text', text: text.slice(textStart, end) });
+  };
+
+  if (usersByName.size > 0) {
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+      const user = usersByName.get(match[2].toLowerCase());
+      if (!user) continue;
+
+      const start = (match.index ?? 0) + match[1].length;
+      pushText(start);
+      segments.push({ type: 'mention', text: `@${match[2]}`, user });
+      textStart = start + match[2].length + 1;
+    }
+  }
+
+  pushText(text.length);
+  return segments;
+};
+
+/**
+ * Find the mention being typed at the caret, if any
+ * @param text - Editor content
+ * @param caret - Caret position in the content
+ */
+export const getActiveMentionQuery = (text: string, caret: number): ActiveMention | null => {
+  const match = ACTIVE_MENTION_PATTERN.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[1], start: caret - match[1].length - 1 };
+};
+
+/**
+ * Replace the mention being typed with a chosen username
+ * @param text - Editor content
+ * @param mention - Mention being typed
+ * @param caret - Caret position at the end of the typed mention
+ * @param username - Username picked from the suggestions
+ * @returns The new content and the caret position after the inserted mention
+ */
+export const insertMention = (
+  text: string,
+  mention: ActiveMention,
+  caret: number,
+  username: string
+): { text: string; caret: number } => {
+  const inserted = `@${username} `;
+  const after = text.slice(caret).replace(/^ /, '');
+  return {
+    text: `${text.slice(0, mention.start)}${inserted}${after}`,
+    caret: mention.start + inserted.length,
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Moderation helpers
+ * Labels for report reasons and outcomes, and which actions a moderator can take on a report
+ */
+
+import type {
+  Permission,
+  Report,
+  ReportAction,
+  ReportReason,
+  ReportResolution,
+  ReportStatus,
+  ReportTargetType,
+} from '../types';
+
+export const REPORT_REASON_LABELS: Record<ReportReason, string> = {
+  spam: 'Spam',
+  harassment: 'Harassment or bullying',
+  hate_speech: 'Hate speech',
+  inappropriate: 'Inappropriate content',
+  impersonation: 'Impersonation',
+  other: 'Something else',
+};
+
+export const REPORT_TARGET_LABELS: Record<ReportTargetType, string> = {
+  project: 'Project',
+  comment: 'Comment',
+  message: 'Message',
+  user: 'Profile',
+};
+
+export const REPORT_RESOLUTION_LABELS: Record<ReportResolution, string> = {
+  dismissed: 'Dismissed',
+  content_hidden: 'Content hidden',
+  user_warned: 'Author warned',
+  user_suspended: 'Author suspended',
+};
+
+export const REPORT_ACTION_LABELS: Record<ReportAction, string> = {
+  claim: 'Claim',
+  dismiss: 'Dismiss',
+  hide: 'Hide content',
+  warn: 'Warn author',
+  escalate: 'Escalate',
+  suspend: 'Suspend author',
+};
+
+// Must match the server's limits on report details and moderator notes
+export const MAX_REPORT_DETAILS_LENGTH = 1000;
+export const MAX_REPORT_NOTE_LENGTH = 500;
+
+// Reports still waiting for a decision
+const OPEN_STATUSES: ReportStatus[] = ['open', 'claimed', 'escalated'];
+
+// Actions that need more than access to the queue
+const ACTION_PERMISSIONS: Partial<Record<ReportAction, Permission>> = {
+  hide: 'moderate.content',
+  suspend: 'moderate.users',
+};
+
+const ACTION_ORDER: ReportAction[] = ['claim', 'hide', 'warn', 'dismiss', 'escalate', 'suspend'];
+
+/**
+ * Whether a report is still waiting for a decision
+ * @param status - Report status
+ */
+export const isReportOpen = (status: ReportStatus): boolean => OPEN_STATUSES.includes(status);
+
+/**
+ * Actions a moderator can take on a report
+ * Closed reports allow none; a report can only be claimed by someone else
+ * and escalated once, and hiding or suspending need their own permissions.
+ * @param report - Report being worked
+ * @param moderator - Current user's ID and permissions
+ * @returns Available actions, in the order they are shown
+ */
+export const getAvailableReportActions = (
+  report: Pick<Report, 'status' | 'assignedTo' | 'targetOwner'>,
+  moderator: { id: string; permissions: Permission[] }
+): ReportAction[] => {
+  if (!isReportOpen(report.status)) return [];
+  // Reports about the moderator themselves are left to someone else
+  if (report.targetOwner?._id === moderator.id) return [];
+
+  return ACTION_ORDER.filter((action) => {
+    const permission = ACTION_PERMISSIONS[action];
+    if (permission && !moderator.permissions.includes(permission)) return false;
+    if (action === 'claim') return report.assignedTo?._id !== moderator.id;
+    if (action === 'escalate') return report.status !== 'escalated';
+    if (action === 'suspend') return report.targetOwner?.role !== 'admin';
+    return true;
+  });
+};
+
+/**
+ * Whether an action needs a note from the moderator before it can be taken
+ * @param action - Action to take
+ */
+export const isReportNoteRequired = (action: ReportAction): boolean => action === 'suspend';
+
+/**
+ * Client route showing reported content, where there is one moderators can open
+ * Messages are private to their conversation, so moderators work from the snapshot
+ * @param report - Report in the queue
+ * @returns Route, or null when the content has no page of its own
+ */
+export const getReportContentLink = (
+  report: Pick<Report, 'targetType' | 'projectId'>
+): string | null => {
+  switch (report.targetType) {
+    case 'project':
+    case 'comment':
+      return report.projectId ? `/projects/${report.projectId}` : null;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Real-time cache helpers
+ * Pure functions that apply pushed server events to cached query data
+ */
+
+import type { InfiniteData } from '@tanstack/react-query';
+import type {
+  Comment,
+  CommentPage,
+  Collaborator,
+  CollaboratorStatus,
+  Message,
+  Notification,
+  NotificationPage,
+  Project,
+} from '../types';
+
+type CommentPages = InfiniteData<CommentPage> | undefined;
+
+/**
+ * Collaboration status change pushed by the server
+ */
+export interface CollaborationUpdate {
+  projectId: string;
+  userId: string;
+  // Sent with new requests, whose collaborator is not cached yet
+  username?: string;
+  status: CollaboratorStatus;
+}
+
+const getCollaboratorId = (collaborator: Collaborator): string => {
+  const user = collaborator.userId as string | { _id?: string; id?: string };
+  return typeof user === 'string' ? user : user._id || user.id || '';
+};
+
+const mapComments = (data: CommentPages, fn: (comments: Comment[]) => Comment[]): CommentPages =>
+  data && {
+    ...data,
+    pages: data.pages.map((page) => ({ ...page, comments: fn(page.comments) })),
+  };
+
+const hasComment = (data: CommentPages, commentId: string): boolean =>
+  !!data?.pages.some((page) => page.comments.some((comment) => comment._id === commentId));
+
+/**
+ * Add a new top-level comment to the front of a project's comment list
+ * Comments already in the list are replaced instead
+ */
+export const prependComment = (data: CommentPages, comment: Comment): CommentPages => {
+  if (!data || data.pages.length === 0) return data;
+  if (hasComment(data, comment._id)) return replaceComment(data, comment);
+
+  const [first, ...rest] = data.pages;
+  return { ...data, pages: [{ ...first, comments: [comment, ...first.comments] }, ...rest] };
+};
+
+/**
+ * Add a new reply to the end of its parent's loaded replies
+ * Left out while older replies are still unloaded; it arrives with the last page
+ */
+export const appendReply = (data: CommentPages, comment: Comment): CommentPages => {
+  if (!data || data.pages.length === 0) return data;
+  if (hasComment(data, comment._id)) return replaceComment(data, comment);
+
+  const last = data.pages[data.pages.length - 1];
+  if (last.pagination?.hasMore) return data;
+
+  return {
+    ...data,
+    pages: [...data.pages.slice(0, -1), { ...last, comments: [...last.comments, comment] }],
+  };
+};
+
+/**
+ * Replace a cached comment with its updated version
+ */
+export const replaceComment = (data: CommentPages, comment: Comment): CommentPages =>
+  mapComments(data, (comments) =>
+    comments.map((item) => (item._id === comment._id ? { ...item, ...comment } : item))
+  );
+
+/**
+ * Remove a comment from cached pages
+ */
+export const removeComment = (data: CommentPages, commentId: string): CommentPages =>
+  mapComments(data, (comments) => comments.filter((item) => item._id !== commentId));
+
+/**
+ * Change the reply count of a cached comment
+ * Deleted placeholders left without replies are removed, as the server removes them
+ */
+export const adjustReplyCount = (
+  data: CommentPages,
+  commentId: string,
+  delta: number
+): CommentPages =>
+  mapComments(data, (comments) =>
+    comments
+      .map((item) =>
+        item._id === commentId
+          ? { ...item, replyCount: Math.max(0, (item.replyCount ?? 0) + delta) }
+          : item
+      )
+      .filter((item) => !(item._id === commentId && item.isDeleted && item.replyCount === 0))
+  );
+
+/**
+ * Apply a collaboration status change to a cached project
+ * Rejected requests are removed, matching the server
+ */
+export const applyCollaborationUpdate = (
+  project: Project | undefined,
+  update: CollaborationUpdate
+): Project | undefined => {
+  if (!project) return project;
+
+  const others = project.collaborators.filter(
+    (collaborator) => getCollaboratorId(collaborator) !== update.userId
+  );
+  if (update.status === 'rejected') return { ...project, collaborators: others };
+
+  const existing = project.collaborators.find(
+    (collaborator) => getCollaboratorId(collaborator) === update.userId
+  );
+  if (existing) {
+    return {
+      ...project,
+      collaborators: project.collaborators.map((collaborator) =>
+        collaborator === existing ? { ...collaborator, status: update.status } : collaborator
+      ),
+    };
+  }
+
+  const userId = (
+    update.username ? { _id: update.userId, username: update.username } : update.userId
+  ) as Collaborator['userId'];
+  return { ...project, collaborators: [...others, { userId, status: update.status }] };
+};
+
+/**
+ * Add a new notification to the front of the cached list
+ */
+export const prependNotification = (
+  data: InfiniteData<NotificationPage> | undefined,
+  notification: Notification
+): InfiniteData<NotificationPage> | undefined => {
+  if (!data || data.pages.length === 0) return data;
+  if (data.pages.some((page) => page.notifications.some((n) => n._id === notification._id))) {
+    return data;
+  }
+
+  const [first, ...rest] = data.pages;
+  return {
+    ...data,
+    pages: [{ ...first, notifications: [notification, ...first.notifications] }, ...rest],
+  };
+};
+
+/**
+ * Add a new message to the front of a cached inbox or sent list
+ */
+export const prependMessage = (
+  messages: Message[] | undefined,
+  message: Message & { _id?: string }
+): Message[] | undefined => {
+  if (!messages) return messages;
+  const id = message._id || message.id;
+  if (messages.some((item) => ((item as Message & { _id?: string })._id || item.id) === id)) {
+    return messages;
+  }
+  return [message, ...messages];
+};
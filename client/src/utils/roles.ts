@@ -0,0 +1,110 @@
+/**
+ * Role helpers
+ * Grouping and labelling permissions for the role editor, and naming new and cloned roles
+ */
+
+import type { Permission } from '../types';
+import type { Role, RoleCreateData } from '../services/adminService';
+
+// Must match the server's limits on role names and details
+export const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+export const MAX_ROLE_NAME_LENGTH = 30;
+export const MAX_ROLE_DISPLAY_NAME_LENGTH = 50;
+export const MAX_ROLE_DESCRIPTION_LENGTH = 200;
+
+const PERMISSION_GROUP_LABELS: Record<string, string> = {
+  users: 'Users',
+  projects: 'Projects',
+  comments: 'Comments',
+  admin: 'Admin area',
+  moderate: 'Moderation',
+};
+
+/**
+ * Permissions sharing a prefix, e.g. every `projects.*` permission
+ */
+export interface PermissionGroup {
+  group: string;
+  label: string;
+  permissions: Permission[];
+}
+
+const capitalize = (text: string): string => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Label for a permission within its group
+ * @param permission - Permission such as `projects.moderate`
+ * @returns The action, e.g. "Moderate"
+ */
+export const getPermissionLabel = (permission: Permission): string => {
+  const [, action = permission] = permission.split('.');
+  return capitalize(action);
+};
+
+/**
+ * Group permissions by prefix, keeping the order they're given in
+ * @param permissions - Permissions to group
+ */
+export const groupPermissions = (permissions: readonly Permission[]): PermissionGroup[] => {
+  const groups = new Map<string, PermissionGroup>();
+
+  permissions.forEach((permission) => {
+    const [group] = permission.split('.');
+    if (!groups.has(group)) {
+      groups.set(group, {
+        group,
+        label: PERMISSION_GROUP_LABELS[group] ?? capitalize(group),
+        permissions: [],
+      });
+    }
+    groups.get(group)?.permissions.push(permission);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Whether permissions open any part of the admin area
+ * Goes by permissions rather than role name, since custom roles can grant admin permissions
+ * @param permissions - User's effective permissions
+ */
+export const hasAdminAccess = (permissions: readonly Permission[] = []): boolean =>
+  permissions.some((permission) => permission.startsWith('admin.'));
+
+/**
+ * Suggest a role name from its display name
+ * @param displayName - Name shown to admins, e.g. "Community Manager"
+ * @returns Lowercase name, e.g. "community-manager"
+ */
+export const toRoleName = (displayName: string): string =>
+  displayName
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^[^a-z]+/, '')
+    .slice(0, MAX_ROLE_NAME_LENGTH)
+    .replace(/-+$/, '');
+
+/**
+ * Details for a new role copied from an existing one
+ * @param role - Role to copy
+ * @param existingNames - Names already taken, so the copy gets a free one
+ */
+export const getCloneRoleData = (
+  role: Pick<Role, 'name' | 'displayName' | 'description' | 'permissions'>,
+  existingNames: readonly string[]
+): RoleCreateData => {
+  const withSuffix = (suffix: string): string =>
+    `${role.name.slice(0, MAX_ROLE_NAME_LENGTH - suffix.length)}${suffix}`;
+
+  let name = withSuffix('-copy');
+  for (let n = 2; existingNames.includes(name); n++) {
+    name = withSuffix(`-copy-${n}`);
+  }
+
+  return {
+    name,
+    displayName: `${role.displayName} (copy)`.slice(0, MAX_ROLE_DISPLAY_NAME_LENGTH),
+    description: role.description,
+    permissions: [...role.permissions],
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * System log helpers
+ * Turning the log viewer's filter form into query parameters and formatting entries
+ */
+
+import type { SystemLogsQueryParams } from '../services/adminService';
+
+/**
+ * Values of the log viewer's filter form
+ * Dates are the yyyy-mm-dd strings date inputs produce.
+ */
+export interface SystemLogFilters {
+  type: string;
+  severity: string;
+  event: string;
+  actor: string;
+  target: string;
+  from: string;
+  to: string;
+}
+
+export const EMPTY_SYSTEM_LOG_FILTERS: SystemLogFilters = {
+  type: '',
+  severity: '',
+  event: '',
+  actor: '',
+  target: '',
+  from: '',
+  to: '',
+};
+
+// Date inputs give a local calendar day; the range covers the whole of both days
+const startOfLocalDay = (date: string): string => new Date(`${date}T00:00:00`).toISOString();
+const endOfLocalDay = (date: string): string => new Date(`${date}T23:59:59.999`).toISOString();
+
+/**
+ * Build API query parameters from the filter form, leaving out empty fields
+ * @param filters - Filter form values
+ * @returns Query parameters for getSystemLogs and exportSystemLogs
+ */
+export const buildSystemLogsParams = (filters: SystemLogFilters): SystemLogsQueryParams => {
+  const params: SystemLogsQueryParams = {};
+
+  (['type', 'severity', 'event', 'actor', 'target'] as const).forEach((field) => {
+    const value = filters[field].trim();
+    if (value) params[field] = value;
+  });
+  if (filters.from) params.from = startOfLocalDay(filters.from);
+  if (filters.to) params.to = endOfLocalDay(filters.to);
+
+  return params;
+};
+
+/**
+ * Readable label for a logged event name
+ * @param event - Event name, e.g. 'ADMIN_USER_SUSPENDED'
+ * @returns Label such as 'User suspended'
+ */
+export const formatLogEvent = (event: string): string => {
+  const words = event
+    .replace(/^(ADMIN|SESSION)_/, '')
+    .toLowerCase()
+    .split('_')
+    .filter(Boolean)
+    .join(' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * File name for a CSV export of the log
+ * @param date - When the export was made
+ * @returns Name such as 'audit-log-2026-03-01.csv'
+ */
+export const getAuditLogFilename = (date: Date = new Date()): string =>
+  `audit-log-${date.toISOString().slice(0, 10)}.csv`;
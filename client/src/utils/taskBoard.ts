@@ -0,0 +1,61 @@
+/**
+ * Task board helpers
+ * Pure functions for arranging tasks into board columns
+ */
+
+import type { Task, TaskStatus } from '../types';
+
+/**
+ * Board columns in display order
+ */
+export const TASK_COLUMNS: ReadonlyArray<{ status: TaskStatus; title: string }> = [
+  { status: 'todo', title: 'To Do' },
+  { status: 'in_progress', title: 'In Progress' },
+  { status: 'review', title: 'Review' },
+  { status: 'done', title: 'Done' },
+];
+
+/**
+ * Group tasks by column, each column sorted by position
+ * @param tasks - Tasks on the board
+ * @returns Tasks keyed by status
+ */
+export const groupTasksByStatus = (tasks: Task[]): Record<TaskStatus, Task[]> => {
+  const columns: Record<TaskStatus, Task[]> = { todo: [], in_progress: [], review: [], done: [] };
+  tasks.forEach((task) => {
+    columns[task.status]?.push(task);
+  });
+  Object.values(columns).forEach((column) => column.sort((a, b) => a.position - b.position));
+  return columns;
+};
+
+/**
+ * Place a task at a position within a column, re-numbering that column
+ * Mirrors the ordering the server applies when a task is moved
+ * @param tasks - Tasks on the board
+ * @param move - Task to move, destination column and index within it
+ * @returns New task list
+ */
+export const moveTaskInBoard = (
+  tasks: Task[],
+  { taskId, status, position }: { taskId: string; status: TaskStatus; position: number }
+): Task[] => {
+  const moving = tasks.find((task) => task._id === taskId);
+  if (!moving) return tasks;
+
+  const column = tasks
+    .filter((task) => task.status === status && task._id !== taskId)
+    .sort((a, b) => a.position - b.position);
+  column.splice(Math.min(position, column.length), 0, { ...moving, status });
+
+  const reordered = new Map(column.map((task, index) => [task._id, { ...task, position: index }]));
+  return tasks.map((task) => reordered.get(task._id) ?? task);
+};
+
+/**
+ * Check whether a task is past its due date and not finished
+ * @param task - Task to check
+ * @param now - Reference time (defaults to the current time)
+ */
+export const isTaskOverdue = (task: Task, now: Date = new Date()): boolean =>
+  !!task.dueDate && task.status !== 'done' && new Date(task.dueDate) < now;
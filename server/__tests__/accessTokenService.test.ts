@@ -0,0 +1,84 @@
+/**
+ * Access token service tests
+ * The AccessToken and User models are mocked, so no database is needed.
+ */
+
+interface MockTokenOwner {
+  _id: string;
+  isActive: boolean;
+  isCurrentlySuspended: () => boolean;
+}
+
+interface AccessTokenServiceModule {
+  validateAccessToken: (token: string, ip?: string) => Promise<{ user: MockTokenOwner } | null>;
+  revokeAllAccessTokens: (userId: string) => Promise<number>;
+}
+
+const mockFindToken = jest.fn();
+const mockDeleteTokens = jest.fn();
+const mockFindUser = jest.fn();
+
+jest.mock('../models/AccessToken', () => ({
+  findOne: (...args: unknown[]) => mockFindToken(...args),
+  updateOne: async () => ({}),
+  deleteMany: (...args: unknown[]) => mockDeleteTokens(...args),
+}));
+jest.mock('../models/User', () => ({
+  findById: (...args: unknown[]) => mockFindUser(...args),
+}));
+
+const { validateAccessToken, revokeAllAccessTokens } =
+  require('../services/accessTokenService') as AccessTokenServiceModule;
+
+const TOKEN_OWNER_ID = 'token-owner-1';
+
+const makeOwner = (overrides: Partial<MockTokenOwner> = {}): MockTokenOwner => ({
+  _id: TOKEN_OWNER_ID,
+  isActive: true,
+  isCurrentlySuspended: () => false,
+  ...overrides,
+});
+
+describe('Access Token Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFindToken.mockResolvedValue({
+      _id: 'token-1',
+      userId: TOKEN_OWNER_ID,
+      scopes: ['projects.read'],
+      expiresAt: null,
+      lastUsedAt: new Date(),
+    });
+  });
+
+  describe('validateAccessToken', () => {
+    it('should accept tokens of active users', async () => {
+      mockFindUser.mockResolvedValue(makeOwner());
+
+      const result = await validateAccessToken('ccp_token');
+
+      expect(result?.user._id).toBe(TOKEN_OWNER_ID);
+    });
+
+    it('should reject tokens of suspended users', async () => {
+      mockFindUser.mockResolvedValue(makeOwner({ isCurrentlySuspended: () => true }));
+
+      expect(await validateAccessToken('ccp_token')).toBeNull();
+    });
+
+    it('should reject tokens of deactivated users', async () => {
+      mockFindUser.mockResolvedValue(makeOwner({ isActive: false }));
+
+      expect(await validateAccessToken('ccp_token')).toBeNull();
+    });
+  });
+
+  describe('revokeAllAccessTokens', () => {
+    it('should delete every token the user has', async () => {
+      mockDeleteTokens.mockResolvedValue({ deletedCount: 3 });
+
+      expect(await revokeAllAccessTokens(TOKEN_OWNER_ID)).toBe(3);
+      expect(mockDeleteTokens).toHaveBeenCalledWith({ userId: TOKEN_OWNER_ID });
+    });
+  });
+});
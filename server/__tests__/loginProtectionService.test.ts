@@ -0,0 +1,167 @@
+/**
+ * Login protection service tests
+ * The LoginThrottle model is replaced with an in-memory store whose updates are
+ * atomic like MongoDB's but yield between calls, so parallel logins interleave.
+ */
+
+interface MockThrottleRecord {
+  key: string;
+  failures: number;
+  lockCount: number;
+  lastFailureAt?: Date | null;
+  nextAttemptAt?: Date | null;
+  lockedUntil?: Date | null;
+  [field: string]: unknown;
+}
+
+type MockCondition = { $lt?: Date; $gte?: number } | string;
+
+interface LoginProtectionServiceModule {
+  recordLoginFailure: (
+    email: string,
+    ip?: string
+  ) => Promise<{ accountLocked: boolean; ipLocked: boolean; retryAfterMs: number }>;
+  checkLoginAllowed: (
+    email: string,
+    ip?: string
+  ) => Promise<{ allowed: boolean; reason?: string; retryAfterMs: number }>;
+}
+
+const mockThrottles = new Map<string, MockThrottleRecord>();
+
+const mockMatches = (record: MockThrottleRecord, filter: Record<string, MockCondition>): boolean =>
+  Object.entries(filter).every(([field, condition]) => {
+    const value = record[field] as Date | number | string | null | undefined;
+    if (typeof condition !== 'object') return value === condition;
+    if (condition.$lt !== undefined) return !!value && value < condition.$lt;
+    if (condition.$gte !== undefined) return typeof value === 'number' && value >= condition.$gte;
+    return false;
+  });
+
+const mockApply = (
+  filter: Record<string, MockCondition>,
+  update: Record<string, Record<string, unknown>>,
+  upsert = false
+): MockThrottleRecord | null => {
+  let record = mockThrottles.get(filter.key as string);
+  if (record && !mockMatches(record, filter)) return null;
+  if (!record) {
+    if (!upsert) return null;
+    record = { key: filter.key as string, failures: 0, lockCount: 0 };
+    mockThrottles.set(record.key, record);
+  }
+  Object.assign(record, update.$set);
+  Object.entries(update.$inc || {}).forEach(([field, by]) => {
+    record[field] = ((record[field] as number) || 0) + (by as number);
+  });
+  Object.entries(update.$max || {}).forEach(([field, value]) => {
+    if (!record[field] || (record[field] as Date) < (value as Date)) record[field] = value;
+  });
+  return { ...record };
+};
+
+jest.mock('../models/LoginThrottle', () => {
+  const tick = (): Promise<void> => new Promise((resolve) => setImmediate(resolve));
+  return {
+    findOne: async ({ key }: { key: string }) => {
+      await tick();
+      const record = mockThrottles.get(key);
+      return record ? { ...record } : null;
+    },
+    find: async ({ key }: { key: { $in: string[] } }) => {
+      await tick();
+      return key.$in.flatMap((k) => (mockThrottles.has(k) ? [{ ...mockThrottles.get(k) }] : []));
+    },
+    updateOne: async (
+      filter: Record<string, MockCondition>,
+      update: Record<string, Record<string, unknown>>,
+      options: { upsert?: boolean } = {}
+    ) => {
+      await tick();
+      mockApply(filter, update, options.upsert);
+    },
+    findOneAndUpdate: async (
+      filter: Record<string, MockCondition>,
+      update: Record<string, Record<string, unknown>>,
+      options: { upsert?: boolean } = {}
+    ) => {
+      await tick();
+      return mockApply(filter, update, options.upsert);
+    },
+  };
+});
+jest.mock('../models/User', () => ({ findOne: async () => null }));
+jest.mock('../services/emailService', () => ({ sendAccountLockedEmail: jest.fn() }));
+jest.mock('../utils/logger', () => ({
+  securityEvent: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { recordLoginFailure, checkLoginAllowed } =
+  require('../services/loginProtectionService') as LoginProtectionServiceModule;
+const { LOGIN_PROTECTION: PROTECTION } = require('../config/constants') as {
+  LOGIN_PROTECTION: { ACCOUNT_LOCK_THRESHOLD: number; IP_LOCK_THRESHOLD: number };
+};
+
+describe('Login Protection Service', () => {
+  beforeEach(() => {
+    mockThrottles.clear();
+  });
+
+  it('should count every one of many parallel failures', async () => {
+    await Promise.all(
+      Array.from({ length: PROTECTION.ACCOUNT_LOCK_THRESHOLD - 1 }, () =>
+        recordLoginFailure('victim@example.com', '203.0.113.7')
+      )
+    );
+
+    expect(mockThrottles.get('account:victim@example.com')?.failures).toBe(
+      PROTECTION.ACCOUNT_LOCK_THRESHOLD - 1
+    );
+    expect(mockThrottles.get('ip:203.0.113.7')?.failures).toBe(
+      PROTECTION.ACCOUNT_LOCK_THRESHOLD - 1
+    );
+  });
+
+  it('should lock the account once when a parallel burst reaches the threshold', async () => {
+    const results = await Promise.all(
+      Array.from({ length: PROTECTION.ACCOUNT_LOCK_THRESHOLD }, () =>
+        recordLoginFailure('Victim@example.com')
+      )
+    );
+
+    expect(results.filter((result) => result.accountLocked)).toHaveLength(1);
+    expect(mockThrottles.get('account:victim@example.com')?.lockCount).toBe(1);
+
+    const check = await checkLoginAllowed('victim@example.com');
+    expect(check.allowed).toBe(false);
+    expect(check.reason).toBe('account_locked');
+  });
+
+  it('should lock the IP address after a parallel burst across accounts', async () => {
+    const results = await Promise.all(
+      Array.from({ length: PROTECTION.IP_LOCK_THRESHOLD }, (_, i) =>
+        recordLoginFailure(`user${i}@example.com`, '198.51.100.9')
+      )
+    );
+
+    expect(results.some((result) => result.ipLocked)).toBe(true);
+
+    const check = await checkLoginAllowed('someone@example.com', '198.51.100.9');
+    expect(check).toEqual(expect.objectContaining({ allowed: false, reason: 'ip_locked' }));
+  });
+
+  it('should start a fresh count after the failure window', async () => {
+    mockThrottles.set('account:old@example.com', {
+      key: 'account:old@example.com',
+      failures: PROTECTION.ACCOUNT_LOCK_THRESHOLD - 1,
+      lockCount: 0,
+      lastFailureAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    });
+
+    const result = await recordLoginFailure('old@example.com');
+
+    expect(result.accountLocked).toBe(false);
+    expect(mockThrottles.get('account:old@example.com')?.failures).toBe(1);
+  });
+});
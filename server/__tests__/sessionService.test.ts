@@ -0,0 +1,161 @@
+/**
+ * Session service tests for refresh token rotation and reuse detection
+ * The Session model is replaced with an in-memory store, so no database is needed.
+ */
+
+interface MockSession {
+  _id: { toString(): string };
+  userId: string;
+  token: string;
+  refreshToken: string;
+  refreshFamilyKey: string;
+  refreshGeneration: number;
+  refreshTokenRotatedAt: Date | null;
+  isActive: boolean;
+  expiresAt: Date;
+  deviceInfo: Record<string, string>;
+  revokedReason?: string;
+  revoke: (reason: string) => Promise<void>;
+}
+
+interface SessionServiceModule {
+  refreshSession: (
+    refreshToken: string,
+    deviceInfo?: { ip?: string }
+  ) => Promise<{ accessToken: string; refreshToken: string }>;
+  startRefreshTokenFamily: () => {
+    sessionId: { toString(): string };
+    refreshFamilyKey: string;
+    refreshToken: string;
+  };
+}
+
+const mockSessions: MockSession[] = [];
+
+const mockQuery = <T>(result: T): { select: () => Promise<T> } => ({
+  select: async () => result,
+});
+
+jest.mock('../models/Session', () => ({
+  findOne: ({ refreshToken }: { refreshToken: string }) =>
+    mockQuery(
+      mockSessions.find((session) => session.refreshToken === refreshToken && session.isActive) ||
+        null
+    ),
+  findById: (id: string) =>
+    mockQuery(mockSessions.find((session) => session._id.toString() === id) || null),
+  updateOne: async (
+    filter: { _id: { toString(): string }; refreshToken?: string },
+    update: { $set: Partial<MockSession> }
+  ) => {
+    const session = mockSessions.find(
+      (s) =>
+        s._id.toString() === filter._id.toString() &&
+        (filter.refreshToken === undefined || s.refreshToken === filter.refreshToken)
+    );
+    if (session) Object.assign(session, update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  },
+}));
+jest.mock('../models/User', () => ({
+  findById: () => mockQuery({ email: 'owner@example.com', username: 'owner' }),
+}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+jest.mock('../services/emailService', () => ({
+  sendSecurityAlertEmail: jest.fn(),
+  sendNewSignInEmail: jest.fn(),
+}));
+jest.mock('../utils/logger', () => ({
+  securityEvent: jest.fn(),
+  sessionEvent: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'session-service-test-secret';
+
+const sessionService = require('../services/sessionService') as SessionServiceModule;
+const { createNotification } = require('../services/notificationService') as {
+  createNotification: jest.Mock;
+};
+const logger = require('../utils/logger') as { securityEvent: jest.Mock };
+
+const startMockSession = (): { session: MockSession; refreshToken: string } => {
+  const { sessionId, refreshFamilyKey, refreshToken } = sessionService.startRefreshTokenFamily();
+  const session: MockSession = {
+    _id: sessionId,
+    userId: 'session-owner-1',
+    token: 'access',
+    refreshToken,
+    refreshFamilyKey,
+    refreshGeneration: 0,
+    refreshTokenRotatedAt: null,
+    isActive: true,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    deviceInfo: {},
+    async revoke(reason: string) {
+      this.isActive = false;
+      this.revokedReason = reason;
+    },
+  };
+  mockSessions.push(session);
+  return { session, refreshToken };
+};
+
+describe('Session Service refresh token rotation', () => {
+  beforeEach(() => {
+    mockSessions.length = 0;
+  });
+
+  it('should rotate the refresh token on every use', async () => {
+    const { session, refreshToken } = startMockSession();
+
+    const result = await sessionService.refreshSession(refreshToken);
+
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(session.refreshToken).toBe(result.refreshToken);
+    expect(session.refreshGeneration).toBe(1);
+  });
+
+  it('should revoke the session when a token is replayed after many rotations', async () => {
+    const { session, refreshToken: firstToken } = startMockSession();
+
+    let current = firstToken;
+    for (let i = 0; i < 60; i++) {
+      current = (await sessionService.refreshSession(current)).refreshToken;
+    }
+
+    await expect(sessionService.refreshSession(firstToken)).rejects.toThrow(
+      'Refresh token reuse detected'
+    );
+    expect(session.isActive).toBe(false);
+    expect(session.revokedReason).toBe('security_breach');
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ recipient: 'session-owner-1', type: 'security_alert' })
+    );
+    expect(logger.securityEvent).toHaveBeenCalledWith(
+      'REFRESH_TOKEN_REUSE',
+      expect.objectContaining({ sessionId: session._id })
+    );
+  });
+
+  it('should let a refresh racing the rotation through', async () => {
+    const { session, refreshToken } = startMockSession();
+    const rotated = await sessionService.refreshSession(refreshToken);
+
+    const racing = await sessionService.refreshSession(refreshToken);
+
+    expect(racing.refreshToken).toBe(rotated.refreshToken);
+    expect(session.isActive).toBe(true);
+  });
+
+  it('should reject forged tokens without revoking the session', async () => {
+    const { session } = startMockSession();
+    const forged = `${session._id.toString()}.0.${'0'.repeat(64)}`;
+
+    await expect(sessionService.refreshSession(forged)).rejects.toThrow(
+      'Invalid or expired refresh token'
+    );
+    expect(session.isActive).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Access token utility tests
+ */
+
+interface AccessTokensModule {
+  generateAccessToken: () => string;
+  isAccessToken: (token: string | undefined | null) => boolean;
+  hashAccessToken: (token: string) => string;
+  getTokenPrefix: (token: string) => string;
+  getGrantableScopes: (userPermissions?: string[]) => string[];
+  getRequiredScope: (method: string, url: string) => string | null;
+}
+
+const {
+  generateAccessToken,
+  isAccessToken,
+  hashAccessToken,
+  getTokenPrefix,
+  getGrantableScopes,
+  getRequiredScope,
+} = require('../../utils/accessTokens') as AccessTokensModule;
+
+describe('Access Token Utilities', () => {
+  describe('generateAccessToken', () => {
+    it('should generate prefixed, url-safe tokens', () => {
+      const token = generateAccessToken();
+      expect(token).toMatch(/^ccp_[A-Za-z0-9_-]{43}$/);
+    });
+
+    it('should generate a different token each time', () => {
+      expect(generateAccessToken()).not.toBe(generateAccessToken());
+    });
+  });
+
+  describe('isAccessToken', () => {
+    it('should recognize access tokens', () => {
+      expect(isAccessToken(generateAccessToken())).toBe(true);
+    });
+
+    it('should not treat JWTs or missing tokens as access tokens', () => {
+      expect(isAccessToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+      expect(isAccessToken(undefined)).toBe(false);
+      expect(isAccessToken(null)).toBe(false);
+    });
+  });
+
+  describe('hashAccessToken', () => {
+    it('should hash deterministically without exposing the token', () => {
+      const token = generateAccessToken();
+      expect(hashAccessToken(token)).toBe(hashAccessToken(token));
+      expect(hashAccessToken(token)).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashAccessToken(token)).not.toContain(token);
+    });
+  });
+
+  describe('getTokenPrefix', () => {
+    it('should keep the prefix and a few characters', () => {
+      expect(getTokenPrefix('ccp_abcdefghijklmnop')).toBe('ccp_abcdef');
+    });
+  });
+
+  describe('getGrantableScopes', () => {
+    it('should offer self-service scopes to every user', () => {
+      const scopes = getGrantableScopes(['projects.read']);
+      expect(scopes).toEqual(
+        expect.arrayContaining(['projects.update', 'comments.delete', 'users.read'])
+      );
+      expect(scopes).not.toContain('admin.users');
+      expect(scopes).not.toContain('comments.moderate');
+    });
+
+    it('should offer privileged scopes the user holds', () => {
+      const scopes = getGrantableScopes(['admin.users', 'moderate.content']);
+      expect(scopes).toContain('admin.users');
+      expect(scopes).toContain('moderate.content');
+      expect(scopes).not.toContain('admin.system');
+    });
+  });
+
+  describe('getRequiredScope', () => {
+    it('should map project requests to project scopes', () => {
+      expect(getRequiredScope('GET', '/api/projects?page=2')).toBe('projects.read');
+      expect(getRequiredScope('POST', '/api/projects')).toBe('projects.create');
+      expect(getRequiredScope('PUT', '/api/projects/abc')).toBe('projects.update');
+      expect(getRequiredScope('DELETE', '/api/projects/abc')).toBe('projects.delete');
+    });
+
+    it('should treat project sub-resources as part of the project', () => {
+      expect(getRequiredScope('GET', '/api/projects/abc/tasks')).toBe('projects.read');
+      expect(getRequiredScope('POST', '/api/projects/abc/tasks')).toBe('projects.update');
+      expect(getRequiredScope('DELETE', '/api/projects/abc/milestones/m1')).toBe('projects.update');
+    });
+
+    it('should map comment requests to comment scopes', () => {
+      expect(getRequiredScope('GET', '/api/projects/abc/comments')).toBe('comments.read');
+      expect(getRequiredScope('POST', '/api/projects/abc/comments')).toBe('comments.create');
+      expect(getRequiredScope('PUT', '/api/projects/abc/comments/c1')).toBe('comments.update');
+      expect(getRequiredScope('DELETE', '/api/projects/abc/comments/c1')).toBe('comments.delete');
+    });
+
+    it('should map user and admin requests', () => {
+      expect(getRequiredScope('GET', '/api/users/search?q=a')).toBe('users.read');
+      expect(getRequiredScope('POST', '/api/users/abc/block')).toBe('users.update');
+      expect(getRequiredScope('GET', '/api/admin/users')).toBe('admin.users');
+      expect(getRequiredScope('GET', '/api/admin/dashboard')).toBe('admin.dashboard');
+      expect(getRequiredScope('GET', '/api/admin/logs')).toBe('admin.system');
+    });
+
+    it('should not allow tokens on session-only endpoints', () => {
+      expect(getRequiredScope('POST', '/api/auth/tokens')).toBeNull();
+      expect(getRequiredScope('PUT', '/api/auth/change-password')).toBeNull();
+      expect(getRequiredScope('GET', '/api/notifications')).toBeNull();
+      expect(getRequiredScope('GET', '/api/conversations')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Account deletion utility tests
+ */
+
+interface CollaboratorEntry {
+  userId: { toString(): string };
+  status: string;
+}
+
+interface AccountDeletionModule {
+  getDeletionDate: (requestedAt?: Date) => Date;
+  pickProjectSuccessor: (
+    collaborators: CollaboratorEntry[],
+    leavingUserId: string
+  ) => string | null;
+  getAnonymizedIdentity: (userId: string) => { username: string; email: string };
+  buildDataExport: (
+    source: {
+      user: Record<string, unknown>;
+      projects: unknown[];
+      comments: unknown[];
+      messages: unknown[];
+      sessions: unknown[];
+    },
+    exportedAt?: Date
+  ) => {
+    exportVersion: number;
+    exportedAt: string;
+    profile: Record<string, unknown>;
+    projects: unknown[];
+    comments: unknown[];
+    messages: unknown[];
+    sessions: unknown[];
+  };
+}
+
+const { getDeletionDate, pickProjectSuccessor, getAnonymizedIdentity, buildDataExport } =
+  require('../../utils/accountDeletion') as AccountDeletionModule;
+const { GRACE_PERIOD_MS } = require('../../config/constants').ACCOUNT_DELETION;
+
+describe('Account Deletion Utilities', () => {
+  describe('getDeletionDate', () => {
+    it('should add the grace period to the request time', () => {
+      const requestedAt = new Date('2026-03-01T12:00:00Z');
+      expect(getDeletionDate(requestedAt).getTime()).toBe(requestedAt.getTime() + GRACE_PERIOD_MS);
+    });
+  });
+
+  describe('pickProjectSuccessor', () => {
+    const owner = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+
+    it('should pick the first accepted collaborator', () => {
+      const collaborators = [
+        { userId: 'bbbbbbbbbbbbbbbbbbbbbbbb', status: 'pending' },
+        { userId: 'cccccccccccccccccccccccc', status: 'accepted' },
+        { userId: 'dddddddddddddddddddddddd', status: 'accepted' },
+      ];
+      expect(pickProjectSuccessor(collaborators, owner)).toBe('cccccccccccccccccccccccc');
+    });
+
+    it('should return null when nobody has been accepted', () => {
+      const collaborators = [
+        { userId: 'bbbbbbbbbbbbbbbbbbbbbbbb', status: 'pending' },
+        { userId: 'cccccccccccccccccccccccc', status: 'rejected' },
+      ];
+      expect(pickProjectSuccessor(collaborators, owner)).toBeNull();
+      expect(pickProjectSuccessor([], owner)).toBeNull();
+    });
+
+    it('should never hand the project back to the leaving user', () => {
+      expect(pickProjectSuccessor([{ userId: owner, status: 'accepted' }], owner)).toBeNull();
+    });
+  });
+
+  describe('getAnonymizedIdentity', () => {
+    it('should derive a unique, undeliverable identity from the user ID', () => {
+      expect(getAnonymizedIdentity('64b7f0c2a1b2c3d4e5f60718')).toEqual({
+        username: 'deleted_64b7f0c2a1b2c3d4e5f60718',
+        email: 'deleted-64b7f0c2a1b2c3d4e5f60718@deleted.invalid',
+      });
+    });
+  });
+
+  describe('buildDataExport', () => {
+    it('should leave secrets out of the profile', () => {
+      const result = buildDataExport(
+        {
+          user: {
+            username: 'alice',
+            email: 'alice@example.com',
+            password: '$2a$10$hash',
+            passwordHistory: ['$2a$10$old'],
+            passwordResetToken: 'reset',
+            magicLinkToken: 'magic',
+            twoFactor: { enabled: true, secret: 'secret' },
+          },
+          projects: [],
+          comments: [],
+          messages: [],
+          sessions: [],
+        },
+        new Date('2026-03-01T12:00:00Z')
+      );
+
+      expect(result.profile).toEqual({ username: 'alice', email: 'alice@example.com' });
+      expect(result.exportedAt).toBe('2026-03-01T12:00:00.000Z');
+      expect(result.exportVersion).toBe(1);
+    });
+
+    it('should include every kind of record', () => {
+      const result = buildDataExport({
+        user: {},
+        projects: [{ title: 'Project' }],
+        comments: [{ content: 'Comment' }],
+        messages: [{ content: 'Message' }],
+        sessions: [{ isActive: true }],
+      });
+
+      expect(result.projects).toHaveLength(1);
+      expect(result.comments).toHaveLength(1);
+      expect(result.messages).toHaveLength(1);
+      expect(result.sessions).toHaveLength(1);
+    });
+  });
+});
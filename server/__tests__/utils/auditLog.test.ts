@@ -0,0 +1,168 @@
+/**
+ * Audit log utility tests
+ */
+
+interface AuditLogModule {
+  getAuditLogType: (event: string) => string;
+  buildAuditEntry: (
+    event: string,
+    meta?: Record<string, unknown>
+  ) => {
+    type: string;
+    event: string;
+    severity: string;
+    actor: { toString(): string } | null;
+    actorEmail?: string;
+    target: { toString(): string } | null;
+    targetEmail?: string;
+    ip?: string;
+    userAgent?: string;
+    details: Record<string, unknown>;
+  };
+  buildAuditLogFilter: (query: Record<string, unknown>) => {
+    filter?: Record<string, unknown>;
+    error?: string;
+  };
+  toAuditLogCsv: (rows: Array<Record<string, unknown>>) => string;
+}
+
+const { getAuditLogType, buildAuditEntry, buildAuditLogFilter, toAuditLogCsv } =
+  require('../../utils/auditLog') as AuditLogModule;
+
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60718';
+const TARGET_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+describe('Audit Log Utilities', () => {
+  describe('getAuditLogType', () => {
+    it('should classify events by their prefix', () => {
+      expect(getAuditLogType('ADMIN_USER_SUSPENDED')).toBe('admin');
+      expect(getAuditLogType('AUTH_FAILURE')).toBe('auth');
+      expect(getAuditLogType('SESSION_REVOKED')).toBe('session');
+      expect(getAuditLogType('MODERATION_HIDE')).toBe('moderation');
+      expect(getAuditLogType('SUSPICIOUS_ACTIVITY')).toBe('security');
+    });
+  });
+
+  describe('buildAuditEntry', () => {
+    it('should lift admin and target out of an admin action', () => {
+      const entry = buildAuditEntry('ADMIN_USER_SUSPENDED', {
+        adminId: ADMIN_ID,
+        adminEmail: 'admin@example.com',
+        targetUserId: TARGET_ID,
+        targetUserEmail: 'user@example.com',
+        reason: 'Spam',
+        ip: '203.0.113.7',
+        severity: 'medium',
+        timestamp: '2026-03-01T12:00:00.000Z',
+      });
+
+      expect(entry.type).toBe('admin');
+      expect(entry.actor?.toString()).toBe(ADMIN_ID);
+      expect(entry.actorEmail).toBe('admin@example.com');
+      expect(entry.target?.toString()).toBe(TARGET_ID);
+      expect(entry.targetEmail).toBe('user@example.com');
+      expect(entry.ip).toBe('203.0.113.7');
+      expect(entry.details).toEqual({ reason: 'Spam' });
+    });
+
+    it('should treat the user of a security event as the actor', () => {
+      const entry = buildAuditEntry('AUTH_FAILURE', { userId: TARGET_ID, severity: 'high' });
+
+      expect(entry.actor?.toString()).toBe(TARGET_ID);
+      expect(entry.target).toBeNull();
+      expect(entry.severity).toBe('high');
+    });
+
+    it('should fall back to medium severity and no actor for unknown values', () => {
+      const entry = buildAuditEntry('RATE_LIMIT_HIT', { userId: 'anonymous', severity: 'extreme' });
+
+      expect(entry.actor).toBeNull();
+      expect(entry.severity).toBe('medium');
+    });
+  });
+
+  describe('buildAuditLogFilter', () => {
+    it('should return an empty filter for an empty query', () => {
+      expect(buildAuditLogFilter({})).toEqual({ filter: {} });
+    });
+
+    it('should filter by types and severities', () => {
+      const { filter } = buildAuditLogFilter({ type: 'admin,security', severity: 'high' });
+
+      expect(filter?.type).toEqual({ $in: ['admin', 'security'] });
+      expect(filter?.severity).toEqual({ $in: ['high'] });
+    });
+
+    it('should reject unknown types and severities', () => {
+      expect(buildAuditLogFilter({ type: 'billing' }).error).toMatch(/Type must be one of/);
+      expect(buildAuditLogFilter({ severity: 'critical' }).error).toMatch(/Severity/);
+    });
+
+    it('should match users by ID or by email', () => {
+      const { filter } = buildAuditLogFilter({ actor: ADMIN_ID, target: ' User@Example.com ' });
+
+      expect(String(filter?.actor)).toBe(ADMIN_ID);
+      expect(filter?.targetEmail).toBe('user@example.com');
+    });
+
+    it('should escape the event search', () => {
+      const { filter } = buildAuditLogFilter({ event: 'user.*' });
+      expect(filter?.event).toEqual({ $regex: 'user\\.\\*', $options: 'i' });
+    });
+
+    it('should filter by date range', () => {
+      const { filter } = buildAuditLogFilter({
+        from: '2026-03-01T00:00:00Z',
+        to: '2026-03-31T23:59:59Z',
+      });
+
+      expect(filter?.createdAt).toEqual({
+        $gte: new Date('2026-03-01T00:00:00Z'),
+        $lte: new Date('2026-03-31T23:59:59Z'),
+      });
+    });
+
+    it('should reject invalid or reversed date ranges', () => {
+      expect(buildAuditLogFilter({ from: 'yesterday' }).error).toBeDefined();
+      expect(buildAuditLogFilter({ from: '2026-04-01', to: '2026-03-01' }).error).toBeDefined();
+    });
+  });
+
+  describe('toAuditLogCsv', () => {
+    it('should render a header row and one row per entry', () => {
+      const csv = toAuditLogCsv([
+        {
+          createdAt: new Date('2026-03-01T12:00:00Z'),
+          type: 'admin',
+          event: 'ADMIN_USER_SUSPENDED',
+          severity: 'medium',
+          actor: ADMIN_ID,
+          actorEmail: 'admin@example.com',
+          details: { reason: 'Spam, twice' },
+        },
+      ]);
+
+      const [header, row] = csv.trim().split('\n');
+      expect(header).toBe(
+        'timestamp,type,event,severity,actor,actorEmail,target,targetEmail,ip,userAgent,details'
+      );
+      expect(row).toBe(
+        `2026-03-01T12:00:00.000Z,admin,ADMIN_USER_SUSPENDED,medium,${ADMIN_ID},admin@example.com,,,,,"{""reason"":""Spam, twice""}"`
+      );
+    });
+
+    it('should stop spreadsheets running values as formulas', () => {
+      const csv = toAuditLogCsv([
+        {
+          createdAt: new Date('2026-03-01T12:00:00Z'),
+          type: 'auth',
+          event: 'AUTH_FAILURE',
+          severity: 'high',
+          userAgent: '=HYPERLINK("http://example.com")',
+        },
+      ]);
+
+      expect(csv).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+    });
+  });
+});
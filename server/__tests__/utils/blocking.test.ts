@@ -0,0 +1,58 @@
+/**
+ * Blocking utility tests
+ */
+
+interface TestComment {
+  userId: { _id: string; username: string } | null;
+  content: string;
+  mentions: string[];
+  isMuted?: boolean;
+}
+
+interface BlockingModule {
+  toIdSet: (ids: string[] | null | undefined) => Set<string>;
+  hideMutedComment: (comment: TestComment, mutedIds: Set<string>) => TestComment;
+}
+
+const { toIdSet, hideMutedComment } = require('../../utils/blocking') as BlockingModule;
+
+describe('Blocking Utilities', () => {
+  describe('toIdSet', () => {
+    it('should convert IDs to strings', () => {
+      const id = { toString: () => 'a1' } as unknown as string;
+      expect(toIdSet([id, 'b2'])).toEqual(new Set(['a1', 'b2']));
+    });
+
+    it('should handle a missing list', () => {
+      expect(toIdSet(undefined).size).toBe(0);
+      expect(toIdSet(null).size).toBe(0);
+    });
+  });
+
+  describe('hideMutedComment', () => {
+    const comment: TestComment = {
+      userId: { _id: 'a1', username: 'alice' },
+      content: 'Hello @bob',
+      mentions: ['b2'],
+    };
+
+    it('should withhold the content of comments by muted users', () => {
+      const hidden = hideMutedComment(comment, new Set(['a1']));
+      expect(hidden).toEqual({
+        userId: comment.userId,
+        content: '',
+        mentions: [],
+        isMuted: true,
+      });
+    });
+
+    it('should leave comments by other users untouched', () => {
+      expect(hideMutedComment(comment, new Set(['c3']))).toBe(comment);
+    });
+
+    it('should leave deleted placeholders without an author untouched', () => {
+      const placeholder: TestComment = { userId: null, content: '[deleted]', mentions: [] };
+      expect(hideMutedComment(placeholder, new Set(['a1']))).toBe(placeholder);
+    });
+  });
+});
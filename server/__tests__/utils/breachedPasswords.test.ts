@@ -0,0 +1,87 @@
+/**
+ * Breached password utility tests
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+interface BreachedPasswordsModule {
+  getHashRange: (password: string) => { prefix: string; suffix: string };
+  rangeContainsSuffix: (content: string, suffix: string) => boolean;
+  isBreachedPassword: (password: string, dir?: string) => Promise<boolean>;
+}
+
+interface BreachedValidatorModule {
+  breachedPasswordValidator: (value: string) => Promise<boolean>;
+}
+
+const { getHashRange, rangeContainsSuffix, isBreachedPassword } =
+  require('../../utils/breachedPasswords') as BreachedPasswordsModule;
+const { breachedPasswordValidator } =
+  require('../../utils/passwordValidator') as BreachedValidatorModule;
+
+describe('Breached Password Utilities', () => {
+  describe('getHashRange', () => {
+    it('should split the uppercase SHA-1 hash after the prefix', () => {
+      // SHA-1 of "password" is 5baa61e4c9b93f3f0682250b6cf8331b7ee68fd8
+      expect(getHashRange('password')).toEqual({
+        prefix: '5BAA6',
+        suffix: '1E4C9B93F3F0682250B6CF8331B7EE68FD8',
+      });
+    });
+  });
+
+  describe('rangeContainsSuffix', () => {
+    it('should match suffixes regardless of counts, case and line endings', () => {
+      const content =
+        '0018A45C4D1DEF81644B54AB7F969B88D65:3\r\n1e4c9b93f3f0682250b6cf8331b7ee68fd8:52\r\n';
+      expect(rangeContainsSuffix(content, '1E4C9B93F3F0682250B6CF8331B7EE68FD8')).toBe(true);
+      expect(rangeContainsSuffix(content, '00D4F6E8FA6EECAD2A3AA415EEC418D38EC')).toBe(false);
+    });
+  });
+
+  describe('isBreachedPassword', () => {
+    let dir: string;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should find passwords listed in their range file', async () => {
+      const { prefix, suffix } = getHashRange('Tr0ub4dor&3');
+      fs.writeFileSync(path.join(dir, `${prefix}.txt`), `${suffix}:7\n`);
+
+      await expect(isBreachedPassword('Tr0ub4dor&3', dir)).resolves.toBe(true);
+    });
+
+    it('should not flag passwords missing from an existing range file', async () => {
+      const { prefix } = getHashRange('Tr0ub4dor&3');
+      fs.writeFileSync(path.join(dir, `${prefix}.txt`), 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF:1\n');
+
+      await expect(isBreachedPassword('Tr0ub4dor&3', dir)).resolves.toBe(false);
+    });
+
+    it('should treat a missing range file as not breached', async () => {
+      await expect(isBreachedPassword('Tr0ub4dor&3', dir)).resolves.toBe(false);
+    });
+
+    it('should check the bundled list by default', async () => {
+      await expect(isBreachedPassword('Password123!')).resolves.toBe(true);
+    });
+  });
+
+  describe('breachedPasswordValidator', () => {
+    it('should reject breached passwords with a reason', async () => {
+      await expect(breachedPasswordValidator('P@ssw0rd')).rejects.toThrow('data breach');
+    });
+
+    it('should accept passwords that are not listed', async () => {
+      await expect(breachedPasswordValidator('kX9#vQ2!mZ7@wL4$')).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Bulk user action utility tests
+ */
+
+interface Target {
+  _id: string;
+  username: string;
+  email: string;
+  role: string;
+  permissions: string[];
+  isActive: boolean;
+  isSuspended: boolean;
+  isEmailVerified: boolean;
+}
+
+interface BulkResult {
+  userId: string;
+  username: string;
+  email: string;
+  status: 'ready' | 'skipped' | 'succeeded' | 'failed';
+  message?: string;
+}
+
+interface BulkUserActionsModule {
+  buildUserListFilter: (filter: {
+    search?: string;
+    role?: string;
+    status?: string;
+  }) => Record<string, unknown>;
+  getBulkActionSkipReason: (
+    action: string,
+    user: Target,
+    adminId: string,
+    params?: { reason?: string; duration?: number; role?: string }
+  ) => string | null;
+  previewBulkAction: (
+    action: string,
+    users: Target[],
+    adminId: string,
+    params?: { reason?: string; duration?: number; role?: string }
+  ) => BulkResult[];
+  summarizeBulkResults: (results: BulkResult[]) => Record<BulkResult['status'], number>;
+}
+
+const { buildUserListFilter, getBulkActionSkipReason, previewBulkAction, summarizeBulkResults } =
+  require('../../utils/bulkUserActions') as BulkUserActionsModule;
+
+const ACTING_ADMIN_ID = 'admin-1';
+
+const makeUser = (overrides: Partial<Target> = {}): Target => ({
+  _id: 'user-1',
+  username: 'alice',
+  email: 'alice@example.com',
+  role: 'user',
+  permissions: ['projects.read'],
+  isActive: true,
+  isSuspended: false,
+  isEmailVerified: true,
+  ...overrides,
+});
+
+describe('Bulk User Action Utilities', () => {
+  describe('buildUserListFilter', () => {
+    it('should match everyone without filters', () => {
+      expect(buildUserListFilter({})).toEqual({});
+    });
+
+    it('should ignore the "all" role', () => {
+      expect(buildUserListFilter({ role: 'all' })).toEqual({});
+      expect(buildUserListFilter({ role: 'moderator' })).toEqual({ role: 'moderator' });
+    });
+
+    it('should search names and email', () => {
+      const filter = buildUserListFilter({ search: 'ali' }) as { $or: object[] };
+
+      expect(filter.$or).toHaveLength(4);
+      expect(filter.$or[1]).toEqual({ email: { $regex: 'ali', $options: 'i' } });
+    });
+
+    it('should filter by status', () => {
+      expect(buildUserListFilter({ status: 'active' })).toEqual({
+        isActive: true,
+        isSuspended: false,
+      });
+      expect(buildUserListFilter({ status: 'suspended' })).toEqual({ isSuspended: true });
+      expect(buildUserListFilter({ status: 'inactive' })).toEqual({ isActive: false });
+    });
+  });
+
+  describe('getBulkActionSkipReason', () => {
+    it('should go ahead when the action changes the user', () => {
+      expect(getBulkActionSkipReason('suspend', makeUser(), ACTING_ADMIN_ID)).toBeNull();
+      expect(
+        getBulkActionSkipReason('unsuspend', makeUser({ isSuspended: true }), ACTING_ADMIN_ID)
+      ).toBeNull();
+      expect(
+        getBulkActionSkipReason('change_role', makeUser(), ACTING_ADMIN_ID, { role: 'moderator' })
+      ).toBeNull();
+      expect(
+        getBulkActionSkipReason(
+          'resend_verification',
+          makeUser({ isEmailVerified: false }),
+          ACTING_ADMIN_ID
+        )
+      ).toBeNull();
+      expect(getBulkActionSkipReason('revoke_sessions', makeUser(), ACTING_ADMIN_ID)).toBeNull();
+      expect(getBulkActionSkipReason('deactivate', makeUser(), ACTING_ADMIN_ID)).toBeNull();
+    });
+
+    it('should skip users the action would not change', () => {
+      expect(
+        getBulkActionSkipReason('suspend', makeUser({ isSuspended: true }), ACTING_ADMIN_ID)
+      ).toBe('Already suspended');
+      expect(getBulkActionSkipReason('unsuspend', makeUser(), ACTING_ADMIN_ID)).toBe(
+        'Not suspended'
+      );
+      expect(
+        getBulkActionSkipReason('change_role', makeUser(), ACTING_ADMIN_ID, { role: 'user' })
+      ).toBe('Already has this role');
+      expect(getBulkActionSkipReason('resend_verification', makeUser(), ACTING_ADMIN_ID)).toBe(
+        'Email is already verified'
+      );
+      expect(
+        getBulkActionSkipReason('deactivate', makeUser({ isActive: false }), ACTING_ADMIN_ID)
+      ).toBe('Already deactivated');
+    });
+
+    it('should protect administrators from suspension, deactivation and role changes', () => {
+      const admin = makeUser({ _id: 'admin-2', role: 'admin', permissions: ['admin.users'] });
+
+      expect(getBulkActionSkipReason('suspend', admin, ACTING_ADMIN_ID)).toBe(
+        'Cannot suspend administrators'
+      );
+      expect(getBulkActionSkipReason('deactivate', admin, ACTING_ADMIN_ID)).toBe(
+        'Cannot deactivate administrators'
+      );
+      expect(getBulkActionSkipReason('change_role', admin, ACTING_ADMIN_ID, { role: 'user' })).toBe(
+        'Cannot change the role of administrators'
+      );
+      expect(getBulkActionSkipReason('revoke_sessions', admin, ACTING_ADMIN_ID)).toBeNull();
+    });
+
+    it('should protect holders of custom roles with admin permissions', () => {
+      const userManager = makeUser({ role: 'user_manager', permissions: ['admin.users'] });
+
+      expect(getBulkActionSkipReason('suspend', userManager, ACTING_ADMIN_ID)).toBe(
+        'Cannot suspend administrators'
+      );
+      expect(getBulkActionSkipReason('deactivate', userManager, ACTING_ADMIN_ID)).toBe(
+        'Cannot deactivate administrators'
+      );
+      expect(
+        getBulkActionSkipReason('change_role', userManager, ACTING_ADMIN_ID, { role: 'user' })
+      ).toBe('Cannot change the role of administrators');
+    });
+
+    it('should keep admins from acting on their own account', () => {
+      const self = makeUser({ _id: ACTING_ADMIN_ID, role: 'admin', isEmailVerified: false });
+
+      expect(getBulkActionSkipReason('change_role', self, ACTING_ADMIN_ID, { role: 'user' })).toBe(
+        'Cannot change your own role'
+      );
+      expect(getBulkActionSkipReason('revoke_sessions', self, ACTING_ADMIN_ID)).toBe(
+        'Cannot sign yourself out'
+      );
+      expect(getBulkActionSkipReason('resend_verification', self, ACTING_ADMIN_ID)).toBeNull();
+    });
+
+    it('should not email deactivated accounts', () => {
+      const user = makeUser({ isActive: false, isEmailVerified: false });
+
+      expect(getBulkActionSkipReason('resend_verification', user, ACTING_ADMIN_ID)).toBe(
+        'Account is deactivated'
+      );
+    });
+  });
+
+  describe('previewBulkAction', () => {
+    it('should report each user as ready or skipped with a reason', () => {
+      const users = [
+        makeUser(),
+        makeUser({ _id: 'user-2', username: 'bob', email: 'bob@example.com', isSuspended: true }),
+      ];
+
+      expect(previewBulkAction('suspend', users, ACTING_ADMIN_ID, { reason: 'spam' })).toEqual([
+        { userId: 'user-1', username: 'alice', email: 'alice@example.com', status: 'ready' },
+        {
+          userId: 'user-2',
+          username: 'bob',
+          email: 'bob@example.com',
+          status: 'skipped',
+          message: 'Already suspended',
+        },
+      ]);
+    });
+  });
+
+  describe('summarizeBulkResults', () => {
+    it('should count results by status', () => {
+      const result = (status: BulkResult['status']): BulkResult => ({
+        userId: 'user-1',
+        username: 'alice',
+        email: 'alice@example.com',
+        status,
+      });
+
+      expect(
+        summarizeBulkResults([result('succeeded'), result('succeeded'), result('failed')])
+      ).toEqual({ ready: 0, skipped: 0, succeeded: 2, failed: 1 });
+    });
+
+    it('should count nothing for no results', () => {
+      expect(summarizeBulkResults([])).toEqual({ ready: 0, skipped: 0, succeeded: 0, failed: 0 });
+    });
+  });
+});
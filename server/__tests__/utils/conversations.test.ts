@@ -0,0 +1,56 @@
+/**
+ * Conversation utility tests
+ */
+
+interface ConversationsModule {
+  getParticipantKey: (participantIds: string[]) => string;
+  buildMessagePreview: (content: string, maxLength?: number) => string;
+  getUnreadCount: (
+    unreadCounts: Map<string, number> | Record<string, number> | null | undefined,
+    userId: string
+  ) => number;
+}
+
+const { getParticipantKey, buildMessagePreview, getUnreadCount } =
+  require('../../utils/conversations') as ConversationsModule;
+
+describe('Conversation Utilities', () => {
+  describe('getParticipantKey', () => {
+    it('should produce the same key whatever the participant order', () => {
+      expect(getParticipantKey(['b2', 'a1'])).toBe('a1:b2');
+      expect(getParticipantKey(['a1', 'b2'])).toBe('a1:b2');
+    });
+
+    it('should ignore duplicate participants', () => {
+      expect(getParticipantKey(['a1', 'b2', 'a1'])).toBe('a1:b2');
+    });
+  });
+
+  describe('buildMessagePreview', () => {
+    it('should collapse whitespace onto one line', () => {
+      expect(buildMessagePreview('  Hello\n\nthere   friend ')).toBe('Hello there friend');
+    });
+
+    it('should shorten long messages', () => {
+      expect(buildMessagePreview('abcdefghij', 5)).toBe('abcde…');
+      expect(buildMessagePreview('abcde', 5)).toBe('abcde');
+    });
+
+    it('should not leave a trailing space before the ellipsis', () => {
+      expect(buildMessagePreview('abcd efgh', 5)).toBe('abcd…');
+    });
+  });
+
+  describe('getUnreadCount', () => {
+    it('should read counts from maps and plain objects', () => {
+      expect(getUnreadCount(new Map([['u1', 3]]), 'u1')).toBe(3);
+      expect(getUnreadCount({ u1: 2 }, 'u1')).toBe(2);
+    });
+
+    it('should default to zero', () => {
+      expect(getUnreadCount(new Map(), 'u1')).toBe(0);
+      expect(getUnreadCount({ u1: -1 }, 'u1')).toBe(0);
+      expect(getUnreadCount(undefined, 'u1')).toBe(0);
+    });
+  });
+});
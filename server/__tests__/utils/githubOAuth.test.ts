@@ -0,0 +1,82 @@
+/**
+ * GitHub OAuth utility tests
+ */
+
+interface GitHubEmail {
+  email: string;
+  primary: boolean;
+  verified: boolean;
+}
+
+interface GitHubOAuthModule {
+  buildAuthorizeUrl: (state: string) => string;
+  buildFrontendRedirect: (params: Record<string, string>) => string;
+  getVerifiedPrimaryEmail: (emails?: GitHubEmail[]) => string | null;
+  toUsernameBase: (login: string) => string;
+}
+
+const { buildAuthorizeUrl, buildFrontendRedirect, getVerifiedPrimaryEmail, toUsernameBase } =
+  require('../../utils/githubOAuth') as GitHubOAuthModule;
+
+describe('GitHub OAuth Utilities', () => {
+  describe('buildAuthorizeUrl', () => {
+    it('should point at the authorize endpoint with the state and scopes', () => {
+      const url = new URL(buildAuthorizeUrl('signed-state'));
+      expect(`${url.origin}${url.pathname}`).toBe('https://github.com/login/oauth/authorize');
+      expect(url.searchParams.get('state')).toBe('signed-state');
+      expect(url.searchParams.get('scope')).toBe('read:user user:email');
+      expect(url.searchParams.get('redirect_uri')).toMatch(/\/api\/auth\/github\/callback$/);
+    });
+  });
+
+  describe('buildFrontendRedirect', () => {
+    const originalFrontendUrl = process.env.FRONTEND_URL;
+
+    afterEach(() => {
+      process.env.FRONTEND_URL = originalFrontendUrl;
+    });
+
+    it('should send the outcome to the frontend callback page', () => {
+      process.env.FRONTEND_URL = 'http://localhost:3000';
+      expect(buildFrontendRedirect({ error: 'email_in_use' })).toBe(
+        'http://localhost:3000/auth/github/callback?error=email_in_use'
+      );
+    });
+  });
+
+  describe('getVerifiedPrimaryEmail', () => {
+    it('should return the verified primary address', () => {
+      expect(
+        getVerifiedPrimaryEmail([
+          { email: 'work@example.com', primary: false, verified: true },
+          { email: 'Dev@Example.com', primary: true, verified: true },
+        ])
+      ).toBe('dev@example.com');
+    });
+
+    it('should ignore unverified or secondary addresses', () => {
+      expect(
+        getVerifiedPrimaryEmail([
+          { email: 'dev@example.com', primary: true, verified: false },
+          { email: 'work@example.com', primary: false, verified: true },
+        ])
+      ).toBeNull();
+      expect(getVerifiedPrimaryEmail([])).toBeNull();
+    });
+  });
+
+  describe('toUsernameBase', () => {
+    it('should keep valid logins as they are', () => {
+      expect(toUsernameBase('octocat')).toBe('octocat');
+    });
+
+    it('should replace characters local usernames do not allow', () => {
+      expect(toUsernameBase('mona-lisa')).toBe('mona_lisa');
+    });
+
+    it('should pad short logins and truncate long ones', () => {
+      expect(toUsernameBase('a')).toBe('a__');
+      expect(toUsernameBase('x'.repeat(39))).toHaveLength(30);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Impersonation utility tests
+ */
+
+interface Party {
+  _id: string;
+  role: string;
+  permissions: string[];
+}
+
+interface ImpersonationModule {
+  getImpersonationBlocker: (admin: Party, target: Party) => string | null;
+  getImpersonationEndsAt: (durationMinutes?: number, now?: Date) => Date;
+  isImpersonationOver: (impersonation: { endsAt: Date } | null | undefined, now?: Date) => boolean;
+  getAccessTokenLifetime: (
+    impersonation: { endsAt: Date } | null | undefined,
+    maxSeconds: number,
+    now?: Date
+  ) => number;
+}
+
+const {
+  getImpersonationBlocker,
+  getImpersonationEndsAt,
+  isImpersonationOver,
+  getAccessTokenLifetime,
+} = require('../../utils/impersonation') as ImpersonationModule;
+
+const { IMPERSONATION } = require('../../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const startedAt = new Date('2024-05-01T12:00:00Z');
+const inMinutes = (minutes: number): Date => new Date(startedAt.getTime() + minutes * MINUTE_MS);
+
+const admin: Party = { _id: 'admin-1', role: 'admin', permissions: ['admin.impersonate'] };
+const member: Party = { _id: 'user-1', role: 'user', permissions: ['projects.read'] };
+
+describe('Impersonation Utilities', () => {
+  describe('getImpersonationBlocker', () => {
+    it('should allow impersonating an ordinary user', () => {
+      expect(getImpersonationBlocker(admin, member)).toBeNull();
+    });
+
+    it('should refuse impersonating yourself', () => {
+      expect(getImpersonationBlocker(admin, { ...admin })).toBe('You cannot impersonate yourself');
+    });
+
+    it('should refuse impersonating another admin', () => {
+      expect(getImpersonationBlocker(admin, { ...admin, _id: 'admin-2' })).toBe(
+        'Administrators cannot be impersonated'
+      );
+    });
+
+    it('should refuse impersonating anyone who can impersonate', () => {
+      const support = { ...member, role: 'support', permissions: ['admin.impersonate'] };
+
+      expect(getImpersonationBlocker(admin, support)).toBe('Administrators cannot be impersonated');
+    });
+
+    it('should refuse impersonating anyone a custom role gives admin permissions', () => {
+      const userManager = { ...member, role: 'user_manager', permissions: ['admin.users'] };
+
+      expect(getImpersonationBlocker(admin, userManager)).toBe(
+        'Administrators cannot be impersonated'
+      );
+    });
+  });
+
+  describe('getImpersonationEndsAt', () => {
+    it('should use the default duration when none is given', () => {
+      expect(getImpersonationEndsAt(undefined, startedAt)).toEqual(
+        inMinutes(IMPERSONATION.DEFAULT_DURATION_MINUTES)
+      );
+    });
+
+    it('should use the requested duration', () => {
+      expect(getImpersonationEndsAt(10, startedAt)).toEqual(inMinutes(10));
+    });
+
+    it('should keep the duration within the allowed range', () => {
+      expect(getImpersonationEndsAt(1, startedAt)).toEqual(
+        inMinutes(IMPERSONATION.MIN_DURATION_MINUTES)
+      );
+      expect(getImpersonationEndsAt(600, startedAt)).toEqual(
+        inMinutes(IMPERSONATION.MAX_DURATION_MINUTES)
+      );
+    });
+  });
+
+  describe('isImpersonationOver', () => {
+    it('should be false for ordinary sessions', () => {
+      expect(isImpersonationOver(null, startedAt)).toBe(false);
+      expect(isImpersonationOver(undefined, startedAt)).toBe(false);
+    });
+
+    it('should be false before the end time', () => {
+      expect(isImpersonationOver({ endsAt: inMinutes(1) }, startedAt)).toBe(false);
+    });
+
+    it('should be true from the end time on', () => {
+      expect(isImpersonationOver({ endsAt: startedAt }, startedAt)).toBe(true);
+      expect(isImpersonationOver({ endsAt: inMinutes(-1) }, startedAt)).toBe(true);
+    });
+  });
+
+  describe('getAccessTokenLifetime', () => {
+    it('should use the normal lifetime for ordinary sessions', () => {
+      expect(getAccessTokenLifetime(null, 900, startedAt)).toBe(900);
+    });
+
+    it('should use the normal lifetime when the impersonation has longer left', () => {
+      expect(getAccessTokenLifetime({ endsAt: inMinutes(30) }, 900, startedAt)).toBe(900);
+    });
+
+    it('should stop tokens outliving the impersonation', () => {
+      expect(getAccessTokenLifetime({ endsAt: inMinutes(5) }, 900, startedAt)).toBe(300);
+    });
+
+    it('should never give a lifetime below one second', () => {
+      expect(getAccessTokenLifetime({ endsAt: inMinutes(-5) }, 900, startedAt)).toBe(1);
+    });
+  });
+});
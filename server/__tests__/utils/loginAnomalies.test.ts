@@ -0,0 +1,136 @@
+/**
+ * Login anomaly utility tests
+ */
+
+interface KnownDevice {
+  device: string;
+  network: string;
+  firstSeenAt: Date;
+  lastSeenAt: Date;
+}
+
+interface LoginAnomaliesModule {
+  getDeviceLabel: (platform?: string, browser?: string) => string;
+  describeDevice: (platform?: string, browser?: string) => string;
+  getNetworkPrefix: (ip?: string) => string;
+  detectLoginFlags: (knownDevices: KnownDevice[], device: string, network: string) => string[];
+  rememberDevice: (
+    knownDevices: KnownDevice[],
+    device: string,
+    network: string,
+    now?: Date
+  ) => KnownDevice[];
+}
+
+const { getDeviceLabel, describeDevice, getNetworkPrefix, detectLoginFlags, rememberDevice } =
+  require('../../utils/loginAnomalies') as LoginAnomaliesModule;
+const { KNOWN_DEVICE_LIMIT } = require('../../config/constants').LOGIN_PROTECTION;
+
+const known = (device: string, network: string, daysAgo = 1): KnownDevice => {
+  const seen = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return { device, network, firstSeenAt: seen, lastSeenAt: seen };
+};
+
+describe('Login Anomaly Utilities', () => {
+  describe('getDeviceLabel', () => {
+    it('should combine platform and browser', () => {
+      expect(getDeviceLabel('macOS', 'Chrome')).toBe('macOS / Chrome');
+      expect(getDeviceLabel(undefined, 'Firefox')).toBe('Unknown / Firefox');
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should read as browser on platform', () => {
+      expect(describeDevice('macOS', 'Chrome')).toBe('Chrome on macOS');
+    });
+
+    it('should leave out parts that could not be detected', () => {
+      expect(describeDevice('Unknown', 'Firefox')).toBe('Firefox');
+      expect(describeDevice('Linux', undefined)).toBe('Linux');
+      expect(describeDevice('Unknown', 'Unknown')).toBe('');
+    });
+  });
+
+  describe('getNetworkPrefix', () => {
+    it('should keep the /24 of IPv4 addresses', () => {
+      expect(getNetworkPrefix('203.0.113.45')).toBe('203.0.113.0/24');
+      expect(getNetworkPrefix('203.0.113.200')).toBe(getNetworkPrefix('203.0.113.45'));
+    });
+
+    it('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+      expect(getNetworkPrefix('::ffff:203.0.113.45')).toBe('203.0.113.0/24');
+    });
+
+    it('should keep the /48 of IPv6 addresses, however they are written', () => {
+      expect(getNetworkPrefix('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(getNetworkPrefix('2001:0db8:abcd:0034:0000:0000:0000:0001')).toBe(
+        '2001:db8:abcd::/48'
+      );
+      expect(getNetworkPrefix('::1')).toBe('0:0:0::/48');
+    });
+
+    it('should handle a missing address', () => {
+      expect(getNetworkPrefix(undefined)).toBe('unknown');
+    });
+  });
+
+  describe('detectLoginFlags', () => {
+    const devices = [known('macOS / Chrome', '203.0.113.0/24')];
+
+    it('should not flag a first login', () => {
+      expect(detectLoginFlags([], 'Windows / Edge', '198.51.100.0/24')).toEqual([]);
+    });
+
+    it('should not flag a familiar device and network', () => {
+      expect(detectLoginFlags(devices, 'macOS / Chrome', '203.0.113.0/24')).toEqual([]);
+    });
+
+    it('should flag a new device', () => {
+      expect(detectLoginFlags(devices, 'iOS / Safari', '203.0.113.0/24')).toEqual(['new_device']);
+    });
+
+    it('should flag a new network', () => {
+      expect(detectLoginFlags(devices, 'macOS / Chrome', '198.51.100.0/24')).toEqual([
+        'new_location',
+      ]);
+    });
+
+    it('should flag both when neither is familiar', () => {
+      expect(detectLoginFlags(devices, 'iOS / Safari', '198.51.100.0/24')).toEqual([
+        'new_device',
+        'new_location',
+      ]);
+    });
+  });
+
+  describe('rememberDevice', () => {
+    it('should add a new device first', () => {
+      const now = new Date();
+      const devices = rememberDevice([known('a', 'x')], 'b', 'y', now);
+      expect(devices).toHaveLength(2);
+      expect(devices[0]).toEqual({ device: 'b', network: 'y', firstSeenAt: now, lastSeenAt: now });
+    });
+
+    it('should refresh a known device without duplicating it', () => {
+      const now = new Date();
+      const existing = known('a', 'x', 10);
+      const devices = rememberDevice([known('b', 'y'), existing], 'a', 'x', now);
+      expect(devices).toHaveLength(2);
+      expect(devices[0].device).toBe('a');
+      expect(devices[0].firstSeenAt).toEqual(existing.firstSeenAt);
+      expect(devices[0].lastSeenAt).toEqual(now);
+    });
+
+    it('should drop the least recently seen devices past the limit', () => {
+      const devices = Array.from({ length: KNOWN_DEVICE_LIMIT }, (_, i) =>
+        known(`device-${i}`, 'x', i + 1)
+      );
+      const updated = rememberDevice(devices, 'new', 'x');
+      expect(updated).toHaveLength(KNOWN_DEVICE_LIMIT);
+      expect(updated[0].device).toBe('new');
+      expect(updated.map((device) => device.device)).not.toContain(
+        `device-${KNOWN_DEVICE_LIMIT - 1}`
+      );
+    });
+  });
+});
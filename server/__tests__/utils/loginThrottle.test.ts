@@ -0,0 +1,79 @@
+/**
+ * Login throttle utility tests
+ */
+
+interface ThrottleState {
+  failures: number;
+  lastFailureAt?: Date | null;
+  nextAttemptAt?: Date | null;
+  lockedUntil?: Date | null;
+  lockCount: number;
+}
+
+interface LoginThrottleModule {
+  getProgressiveDelay: (failures: number) => number;
+  getLockDuration: (lockCount: number) => number;
+  getRetryAfterMs: (state: ThrottleState, now?: Date) => number;
+  isLocked: (state: ThrottleState, now?: Date) => boolean;
+}
+
+const { getProgressiveDelay, getLockDuration, getRetryAfterMs, isLocked } =
+  require('../../utils/loginThrottle') as LoginThrottleModule;
+const { LOGIN_PROTECTION } = require('../../config/constants');
+
+const MINUTE = 60 * 1000;
+const now = new Date('2026-01-01T12:00:00Z');
+const minutesFromNow = (minutes: number): Date => new Date(now.getTime() + minutes * MINUTE);
+
+describe('Login Throttle Utilities', () => {
+  describe('getProgressiveDelay', () => {
+    it('should not delay the free attempts', () => {
+      expect(getProgressiveDelay(0)).toBe(0);
+      expect(getProgressiveDelay(LOGIN_PROTECTION.FREE_ATTEMPTS)).toBe(0);
+    });
+
+    it('should double the delay with each further failure', () => {
+      const first = getProgressiveDelay(LOGIN_PROTECTION.FREE_ATTEMPTS + 1);
+      expect(first).toBe(LOGIN_PROTECTION.BASE_DELAY_MS);
+      expect(getProgressiveDelay(LOGIN_PROTECTION.FREE_ATTEMPTS + 2)).toBe(first * 2);
+      expect(getProgressiveDelay(LOGIN_PROTECTION.FREE_ATTEMPTS + 3)).toBe(first * 4);
+    });
+
+    it('should cap the delay', () => {
+      expect(getProgressiveDelay(1000)).toBe(LOGIN_PROTECTION.MAX_DELAY_MS);
+    });
+  });
+
+  describe('getLockDuration', () => {
+    it('should double with each lockout in a row, up to the maximum', () => {
+      expect(getLockDuration(1)).toBe(LOGIN_PROTECTION.LOCK_DURATION_MS);
+      expect(getLockDuration(2)).toBe(LOGIN_PROTECTION.LOCK_DURATION_MS * 2);
+      expect(getLockDuration(50)).toBe(LOGIN_PROTECTION.MAX_LOCK_DURATION_MS);
+    });
+  });
+
+  describe('getRetryAfterMs and isLocked', () => {
+    it('should allow attempts with no failures recorded', () => {
+      const state = { failures: 0, lockCount: 0 };
+      expect(getRetryAfterMs(state, now)).toBe(0);
+      expect(isLocked(state, now)).toBe(false);
+    });
+
+    it('should wait for whichever of the delay and the lock ends last', () => {
+      const state = {
+        failures: 0,
+        lockCount: 1,
+        nextAttemptAt: minutesFromNow(1),
+        lockedUntil: minutesFromNow(10),
+      };
+      expect(getRetryAfterMs(state, now)).toBe(10 * MINUTE);
+      expect(isLocked(state, now)).toBe(true);
+    });
+
+    it('should treat an ended lock as unlocked', () => {
+      const state = { failures: 0, lockCount: 1, lockedUntil: minutesFromNow(-1) };
+      expect(getRetryAfterMs(state, now)).toBe(0);
+      expect(isLocked(state, now)).toBe(false);
+    });
+  });
+});
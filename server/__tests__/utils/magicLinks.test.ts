@@ -0,0 +1,49 @@
+/**
+ * Magic link utility tests
+ */
+
+interface MagicLinksModule {
+  generateBrowserNonce: () => string;
+  hashBrowserNonce: (nonce: string) => string;
+  isSameBrowser: (storedHash: string | undefined, nonce: string | undefined) => boolean;
+}
+
+const { generateBrowserNonce, hashBrowserNonce, isSameBrowser } =
+  require('../../utils/magicLinks') as MagicLinksModule;
+
+describe('Magic Link Utilities', () => {
+  describe('generateBrowserNonce', () => {
+    it('should generate a different random nonce each time', () => {
+      const nonce = generateBrowserNonce();
+      expect(nonce).toMatch(/^[a-f0-9]{32}$/);
+      expect(generateBrowserNonce()).not.toBe(nonce);
+    });
+  });
+
+  describe('hashBrowserNonce', () => {
+    it('should hash deterministically without exposing the nonce', () => {
+      const nonce = generateBrowserNonce();
+      expect(hashBrowserNonce(nonce)).toBe(hashBrowserNonce(nonce));
+      expect(hashBrowserNonce(nonce)).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashBrowserNonce(nonce)).not.toContain(nonce);
+    });
+  });
+
+  describe('isSameBrowser', () => {
+    it('should accept the browser that requested the link', () => {
+      const nonce = generateBrowserNonce();
+      expect(isSameBrowser(hashBrowserNonce(nonce), nonce)).toBe(true);
+    });
+
+    it('should reject other browsers', () => {
+      const nonce = generateBrowserNonce();
+      expect(isSameBrowser(hashBrowserNonce(nonce), generateBrowserNonce())).toBe(false);
+    });
+
+    it('should reject a missing cookie or missing hash', () => {
+      const nonce = generateBrowserNonce();
+      expect(isSameBrowser(hashBrowserNonce(nonce), undefined)).toBe(false);
+      expect(isSameBrowser(undefined, nonce)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Mention parsing utility tests
+ */
+
+interface MentionsModule {
+  extractMentions: (text: string, limit?: number) => string[];
+}
+
+const { extractMentions } = require('../../utils/mentions') as MentionsModule;
+
+describe('Mentions', () => {
+  describe('extractMentions', () => {
+    it('should return usernames in order of first appearance', () => {
+      expect(extractMentions('@alice can you review this with @bob_99?')).toEqual([
+        'alice',
+        'bob_99',
+      ]);
+    });
+
+    it('should return an empty array for text without mentions', () => {
+      expect(extractMentions('No mentions here')).toEqual([]);
+      expect(extractMentions('')).toEqual([]);
+    });
+
+    it('should ignore email addresses', () => {
+      expect(extractMentions('Mail jane@example.com or ping @jane')).toEqual(['jane']);
+    });
+
+    it('should drop duplicates case-insensitively', () => {
+      expect(extractMentions('@Alice and @alice and @ALICE')).toEqual(['Alice']);
+    });
+
+    it('should ignore names shorter than three characters', () => {
+      expect(extractMentions('@al @bo @carl')).toEqual(['carl']);
+    });
+
+    it('should handle mentions next to punctuation', () => {
+      expect(extractMentions('(@alice), @bob. "@carol"')).toEqual(['alice', 'bob', 'carol']);
+    });
+
+    it('should respect the limit', () => {
+      expect(extractMentions('@one1 @two2 @three3', 2)).toEqual(['one1', 'two2']);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Milestone progress utility tests
+ */
+
+interface MilestoneProgress {
+  completedItems: number;
+  totalItems: number;
+  percent: number;
+}
+
+interface MilestoneProgressModule {
+  computeMilestoneProgress: (input: {
+    checklist?: Array<{ done: boolean }>;
+    taskCounts?: { total: number; done: number };
+  }) => MilestoneProgress;
+  computeProjectProgress: (milestones: MilestoneProgress[]) => {
+    percent: number;
+    milestonesTotal: number;
+    milestonesCompleted: number;
+  };
+  isMilestoneOverdue: (
+    targetDate: Date | null | undefined,
+    progress: MilestoneProgress,
+    now?: Date
+  ) => boolean;
+}
+
+const { computeMilestoneProgress, computeProjectProgress, isMilestoneOverdue } =
+  require('../../utils/milestoneProgress') as MilestoneProgressModule;
+
+describe('Milestone Progress', () => {
+  describe('computeMilestoneProgress', () => {
+    it('should report zero progress for an empty milestone', () => {
+      expect(computeMilestoneProgress({})).toEqual({
+        completedItems: 0,
+        totalItems: 0,
+        percent: 0,
+      });
+    });
+
+    it('should count checklist items and linked tasks together', () => {
+      const progress = computeMilestoneProgress({
+        checklist: [{ done: true }, { done: false }],
+        taskCounts: { total: 2, done: 1 },
+      });
+
+      expect(progress).toEqual({ completedItems: 2, totalItems: 4, percent: 50 });
+    });
+
+    it('should round the percentage to a whole number', () => {
+      const progress = computeMilestoneProgress({
+        checklist: [{ done: true }, { done: false }, { done: false }],
+      });
+
+      expect(progress.percent).toBe(33);
+    });
+  });
+
+  describe('computeProjectProgress', () => {
+    it('should weight milestones by their number of items', () => {
+      const progress = computeProjectProgress([
+        { completedItems: 1, totalItems: 1, percent: 100 },
+        { completedItems: 0, totalItems: 3, percent: 0 },
+      ]);
+
+      expect(progress).toEqual({ percent: 25, milestonesTotal: 2, milestonesCompleted: 1 });
+    });
+
+    it('should not count empty milestones as completed', () => {
+      const progress = computeProjectProgress([{ completedItems: 0, totalItems: 0, percent: 0 }]);
+
+      expect(progress).toEqual({ percent: 0, milestonesTotal: 1, milestonesCompleted: 0 });
+    });
+  });
+
+  describe('isMilestoneOverdue', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+    const unfinished = { completedItems: 1, totalItems: 2, percent: 50 };
+    const finished = { completedItems: 2, totalItems: 2, percent: 100 };
+
+    it('should flag unfinished milestones past their target date', () => {
+      expect(isMilestoneOverdue(new Date('2024-05-01'), unfinished, now)).toBe(true);
+    });
+
+    it('should not flag finished or future milestones', () => {
+      expect(isMilestoneOverdue(new Date('2024-05-01'), finished, now)).toBe(false);
+      expect(isMilestoneOverdue(new Date('2024-07-01'), unfinished, now)).toBe(false);
+    });
+
+    it('should not flag milestones without a target date', () => {
+      expect(isMilestoneOverdue(null, unfinished, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Moderation utility tests
+ */
+
+type ReportStatus = 'open' | 'claimed' | 'escalated' | 'resolved' | 'dismissed';
+type ReportAction = 'claim' | 'dismiss' | 'hide' | 'warn' | 'escalate' | 'suspend';
+type ReportTargetType = 'project' | 'comment' | 'message' | 'user';
+
+interface ModerationModule {
+  isReportOpen: (status: ReportStatus) => boolean;
+  canApplyReportAction: (status: ReportStatus, action: ReportAction) => boolean;
+  getReportActionOutcome: (
+    status: ReportStatus,
+    action: ReportAction
+  ) => { status: ReportStatus; resolution: string | null };
+  getReportOutcomeMessage: (targetType: ReportTargetType, resolution: string) => string;
+  getWarningMessage: (targetType: ReportTargetType, reason: string, note?: string) => string;
+  getReportTargetLink: (
+    targetType: ReportTargetType,
+    ids: { projectId?: string | null; conversationId?: string | null }
+  ) => string;
+  buildContentSnapshot: (parts: Array<string | null | undefined>) => string;
+  hideModeratedMessage: <T extends { isHidden?: boolean }>(message: T) => T;
+}
+
+const {
+  isReportOpen,
+  canApplyReportAction,
+  getReportActionOutcome,
+  getReportOutcomeMessage,
+  getWarningMessage,
+  getReportTargetLink,
+  buildContentSnapshot,
+  hideModeratedMessage,
+} = require('../../utils/moderation') as ModerationModule;
+
+const { MODERATION } = require('../../config/constants');
+
+describe('Moderation Utilities', () => {
+  describe('isReportOpen', () => {
+    it('should treat open, claimed and escalated reports as open', () => {
+      expect(isReportOpen('open')).toBe(true);
+      expect(isReportOpen('claimed')).toBe(true);
+      expect(isReportOpen('escalated')).toBe(true);
+      expect(isReportOpen('resolved')).toBe(false);
+      expect(isReportOpen('dismissed')).toBe(false);
+    });
+  });
+
+  describe('canApplyReportAction', () => {
+    it('should allow any action on an open report', () => {
+      expect(canApplyReportAction('open', 'claim')).toBe(true);
+      expect(canApplyReportAction('open', 'hide')).toBe(true);
+      expect(canApplyReportAction('claimed', 'escalate')).toBe(true);
+    });
+
+    it('should not escalate a report twice', () => {
+      expect(canApplyReportAction('escalated', 'escalate')).toBe(false);
+      expect(canApplyReportAction('escalated', 'suspend')).toBe(true);
+    });
+
+    it('should reject actions on closed reports', () => {
+      expect(canApplyReportAction('resolved', 'dismiss')).toBe(false);
+      expect(canApplyReportAction('dismissed', 'claim')).toBe(false);
+    });
+  });
+
+  describe('getReportActionOutcome', () => {
+    it('should claim a report without resolving it', () => {
+      expect(getReportActionOutcome('open', 'claim')).toEqual({
+        status: 'claimed',
+        resolution: null,
+      });
+    });
+
+    it('should keep an escalated report escalated when claimed', () => {
+      expect(getReportActionOutcome('escalated', 'claim').status).toBe('escalated');
+    });
+
+    it('should resolve reports with the matching resolution', () => {
+      expect(getReportActionOutcome('open', 'dismiss')).toEqual({
+        status: 'dismissed',
+        resolution: 'dismissed',
+      });
+      expect(getReportActionOutcome('claimed', 'hide')).toEqual({
+        status: 'resolved',
+        resolution: 'content_hidden',
+      });
+      expect(getReportActionOutcome('claimed', 'warn').resolution).toBe('user_warned');
+      expect(getReportActionOutcome('escalated', 'suspend').resolution).toBe('user_suspended');
+    });
+  });
+
+  describe('getReportOutcomeMessage', () => {
+    it('should describe the outcome for the reported content', () => {
+      expect(getReportOutcomeMessage('comment', 'content_hidden')).toContain('hidden the comment');
+      expect(getReportOutcomeMessage('user', 'user_suspended')).toContain('profile');
+      expect(getReportOutcomeMessage('project', 'dismissed')).toContain(
+        "doesn't break our community guidelines"
+      );
+    });
+  });
+
+  describe('getWarningMessage', () => {
+    it('should name the content and reason', () => {
+      expect(getWarningMessage('message', 'hate_speech')).toBe(
+        'A moderator reviewed a report about your message for hate speech. Please follow the community guidelines'
+      );
+    });
+
+    it('should append the moderator note', () => {
+      expect(getWarningMessage('project', 'spam', 'Stop posting ads')).toMatch(
+        /guidelines: Stop posting ads$/
+      );
+    });
+
+    it('should fit within the notification message limit', () => {
+      const message = getWarningMessage('comment', 'harassment', 'x'.repeat(500));
+      expect(message).toHaveLength(300);
+      expect(message.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('getReportTargetLink', () => {
+    it('should link projects and comments to their project', () => {
+      expect(getReportTargetLink('project', { projectId: 'p1' })).toBe('/projects/p1');
+      expect(getReportTargetLink('comment', { projectId: 'p2' })).toBe('/projects/p2');
+    });
+
+    it('should link messages to their conversation', () => {
+      expect(getReportTargetLink('message', { conversationId: 'c1' })).toBe(
+        '/messages?conversation=c1'
+      );
+      expect(getReportTargetLink('message', {})).toBe('/messages');
+    });
+
+    it('should link profiles to the member directory', () => {
+      expect(getReportTargetLink('user', {})).toBe('/members');
+    });
+  });
+
+  describe('buildContentSnapshot', () => {
+    it('should join non-empty parts', () => {
+      expect(buildContentSnapshot(['  Title ', '', null, 'Description'])).toBe(
+        'Title\n\nDescription'
+      );
+    });
+
+    it('should shorten long content to the snapshot limit', () => {
+      const snapshot = buildContentSnapshot(['a'.repeat(MODERATION.SNAPSHOT_LENGTH + 50)]);
+      expect(snapshot).toHaveLength(MODERATION.SNAPSHOT_LENGTH);
+    });
+  });
+
+  describe('hideModeratedMessage', () => {
+    it('should replace the content of hidden messages', () => {
+      const hidden = hideModeratedMessage({
+        isHidden: true,
+        subject: 'Offer',
+        content: 'Buy now',
+        mentions: ['u1'],
+      });
+      expect(hidden).toMatchObject({
+        subject: '',
+        content: MODERATION.HIDDEN_MESSAGE_PLACEHOLDER,
+        mentions: [],
+      });
+    });
+
+    it('should leave other messages unchanged', () => {
+      const message = { isHidden: false, content: 'Hello' };
+      expect(hideModeratedMessage(message)).toBe(message);
+    });
+  });
+});
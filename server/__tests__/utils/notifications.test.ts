@@ -0,0 +1,80 @@
+/**
+ * Notification text utility tests
+ */
+
+type NotificationType =
+  | 'collaboration_request'
+  | 'collaboration_accepted'
+  | 'collaboration_rejected'
+  | 'comment'
+  | 'comment_reply'
+  | 'mention'
+  | 'message'
+  | 'security_alert';
+
+interface NotificationsModule {
+  formatNotificationMessage: (
+    type: NotificationType,
+    context?: { actorName?: string; projectTitle?: string; detail?: string }
+  ) => string;
+}
+
+const { formatNotificationMessage } = require('../../utils/notifications') as NotificationsModule;
+
+describe('Notification Messages', () => {
+  describe('formatNotificationMessage', () => {
+    it('should describe collaboration requests and their outcome', () => {
+      const context = { actorName: 'alice', projectTitle: 'Chess Bot' };
+      expect(formatNotificationMessage('collaboration_request', context)).toBe(
+        'alice asked to collaborate on "Chess Bot"'
+      );
+      expect(formatNotificationMessage('collaboration_accepted', context)).toBe(
+        'Your request to collaborate on "Chess Bot" was accepted'
+      );
+      expect(formatNotificationMessage('collaboration_rejected', context)).toBe(
+        'Your request to collaborate on "Chess Bot" was declined'
+      );
+    });
+
+    it('should describe comments and replies', () => {
+      const context = { actorName: 'bob', projectTitle: 'Chess Bot' };
+      expect(formatNotificationMessage('comment', context)).toBe('bob commented on "Chess Bot"');
+      expect(formatNotificationMessage('comment_reply', context)).toBe(
+        'bob replied to your comment on "Chess Bot"'
+      );
+    });
+
+    it('should tell comment mentions apart from message mentions', () => {
+      expect(
+        formatNotificationMessage('mention', { actorName: 'carol', projectTitle: 'Chess Bot' })
+      ).toBe('carol mentioned you in a comment on "Chess Bot"');
+      expect(formatNotificationMessage('mention', { actorName: 'carol' })).toBe(
+        'carol mentioned you in a message'
+      );
+    });
+
+    it('should fall back when names are missing', () => {
+      expect(formatNotificationMessage('message')).toBe('Someone sent you a message');
+      expect(formatNotificationMessage('comment', { actorName: 'dave' })).toBe(
+        'dave commented on a project'
+      );
+    });
+
+    it('should shorten long project titles', () => {
+      const message = formatNotificationMessage('comment', {
+        actorName: 'erin',
+        projectTitle: 'x'.repeat(120),
+      });
+      expect(message).toBe(`erin commented on "${'x'.repeat(80)}…"`);
+    });
+
+    it('should use the detail of security alerts', () => {
+      expect(
+        formatNotificationMessage('security_alert', { detail: 'A session was signed out' })
+      ).toBe('A session was signed out');
+      expect(formatNotificationMessage('security_alert')).toBe(
+        'There was unusual activity on your account'
+      );
+    });
+  });
+});
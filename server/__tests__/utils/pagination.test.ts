@@ -0,0 +1,102 @@
+/**
+ * Cursor pagination utility tests
+ */
+
+import { Types } from 'mongoose';
+
+interface Cursor {
+  value: Date | number | string | null;
+  id: Types.ObjectId;
+}
+
+interface PaginationModule {
+  encodeCursor: (
+    value: Date | number | string | null | undefined,
+    id: Types.ObjectId | string
+  ) => string;
+  decodeCursor: (cursor: string | undefined | null) => Cursor | null;
+  buildCursorFilter: (field: string, cursor: Cursor, direction?: 1 | -1) => Record<string, unknown>;
+  parseLimit: (raw: unknown, options?: { defaultLimit?: number; maxLimit?: number }) => number;
+  buildCursorPage: <T extends { _id: Types.ObjectId | string }>(
+    docs: T[],
+    limit: number,
+    getCursorValue: (doc: T) => Date | number | string | null | undefined
+  ) => { items: T[]; pagination: { nextCursor: string | null; hasMore: boolean; limit: number } };
+}
+
+const { encodeCursor, decodeCursor, buildCursorFilter, parseLimit, buildCursorPage } =
+  require('../../utils/pagination') as PaginationModule;
+
+describe('Pagination utilities', () => {
+  const id = new Types.ObjectId();
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip date cursors', () => {
+      const date = new Date('2024-01-15T10:00:00.000Z');
+      const decoded = decodeCursor(encodeCursor(date, id));
+      expect(decoded?.value).toEqual(date);
+      expect(decoded?.id.toString()).toBe(id.toString());
+    });
+
+    it('should round-trip number cursors', () => {
+      const decoded = decodeCursor(encodeCursor(7, id));
+      expect(decoded?.value).toBe(7);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor('')).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(
+        decodeCursor(Buffer.from('{"v":1,"t":"number","id":"x"}').toString('base64url'))
+      ).toBeNull();
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should select documents after the cursor for a descending sort', () => {
+      const cursor = { value: 3, id };
+      expect(buildCursorFilter('score', cursor)).toEqual({
+        $or: [{ score: { $lt: 3 } }, { score: 3, _id: { $lt: id } }],
+      });
+    });
+
+    it('should support ascending sorts', () => {
+      const cursor = { value: 3, id };
+      expect(buildCursorFilter('score', cursor, 1)).toEqual({
+        $or: [{ score: { $gt: 3 } }, { score: 3, _id: { $gt: id } }],
+      });
+    });
+  });
+
+  describe('parseLimit', () => {
+    it('should fall back to the default for missing or invalid limits', () => {
+      expect(parseLimit(undefined)).toBe(20);
+      expect(parseLimit('abc')).toBe(20);
+      expect(parseLimit('0')).toBe(20);
+    });
+
+    it('should clamp limits to the maximum', () => {
+      expect(parseLimit('500')).toBe(100);
+      expect(parseLimit('50', { maxLimit: 25 })).toBe(25);
+    });
+  });
+
+  describe('buildCursorPage', () => {
+    const docs = [1, 2, 3].map((n) => ({ _id: new Types.ObjectId(), n }));
+
+    it('should trim the extra document and emit a cursor when more results exist', () => {
+      const { items, pagination } = buildCursorPage(docs, 2, (doc) => doc.n);
+      expect(items).toHaveLength(2);
+      expect(pagination.hasMore).toBe(true);
+      expect(decodeCursor(pagination.nextCursor)?.value).toBe(2);
+    });
+
+    it('should not emit a cursor on the last page', () => {
+      const { items, pagination } = buildCursorPage(docs, 5, (doc) => doc.n);
+      expect(items).toHaveLength(3);
+      expect(pagination.hasMore).toBe(false);
+      expect(pagination.nextCursor).toBeNull();
+    });
+  });
+});
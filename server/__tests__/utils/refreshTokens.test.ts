@@ -0,0 +1,108 @@
+/**
+ * Refresh token utility tests
+ */
+
+interface RotationState {
+  refreshGeneration?: number;
+  refreshTokenRotatedAt?: Date | null;
+}
+
+interface RefreshTokensModule {
+  generateFamilyKey: () => string;
+  buildRefreshToken: (sessionId: string, generation: number, familyKey: string) => string;
+  parseRefreshToken: (token: string) => { sessionId: string; generation: number } | null;
+  isFamilyToken: (token: string, familyKey: string) => boolean;
+  isConcurrentRefresh: (session: RotationState, generation: number, now?: number) => boolean;
+}
+
+const {
+  generateFamilyKey,
+  buildRefreshToken,
+  parseRefreshToken,
+  isFamilyToken,
+  isConcurrentRefresh,
+} = require('../../utils/refreshTokens') as RefreshTokensModule;
+
+const FAMILY_SESSION_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Refresh Token Utilities', () => {
+  describe('generateFamilyKey', () => {
+    it('should generate a different 256-bit key each time', () => {
+      expect(generateFamilyKey()).toMatch(/^[a-f0-9]{64}$/);
+      expect(generateFamilyKey()).not.toBe(generateFamilyKey());
+    });
+  });
+
+  describe('buildRefreshToken', () => {
+    const familyKey = generateFamilyKey();
+
+    it('should name the session and generation', () => {
+      const token = buildRefreshToken(FAMILY_SESSION_ID, 7, familyKey);
+
+      expect(parseRefreshToken(token)).toEqual({ sessionId: FAMILY_SESSION_ID, generation: 7 });
+    });
+
+    it('should give each generation and family its own token', () => {
+      const token = buildRefreshToken(FAMILY_SESSION_ID, 1, familyKey);
+
+      expect(token).toBe(buildRefreshToken(FAMILY_SESSION_ID, 1, familyKey));
+      expect(token).not.toBe(buildRefreshToken(FAMILY_SESSION_ID, 2, familyKey));
+      expect(token).not.toBe(buildRefreshToken(FAMILY_SESSION_ID, 1, generateFamilyKey()));
+    });
+  });
+
+  describe('parseRefreshToken', () => {
+    it('should reject tokens in other formats', () => {
+      expect(parseRefreshToken('a'.repeat(128))).toBeNull();
+      expect(parseRefreshToken(`${FAMILY_SESSION_ID}.x.${'a'.repeat(64)}`)).toBeNull();
+      expect(parseRefreshToken(`not-an-id.1.${'a'.repeat(64)}`)).toBeNull();
+      expect(parseRefreshToken(`${FAMILY_SESSION_ID}.1.short`)).toBeNull();
+    });
+  });
+
+  describe('isFamilyToken', () => {
+    const familyKey = generateFamilyKey();
+
+    it('should accept any generation the session issued', () => {
+      expect(isFamilyToken(buildRefreshToken(FAMILY_SESSION_ID, 0, familyKey), familyKey)).toBe(
+        true
+      );
+      expect(isFamilyToken(buildRefreshToken(FAMILY_SESSION_ID, 500, familyKey), familyKey)).toBe(
+        true
+      );
+    });
+
+    it('should reject forged or altered tokens', () => {
+      const token = buildRefreshToken(FAMILY_SESSION_ID, 3, familyKey);
+      const [sessionId, , signature] = token.split('.');
+
+      expect(isFamilyToken(`${sessionId}.2.${signature}`, familyKey)).toBe(false);
+      expect(isFamilyToken(token, generateFamilyKey())).toBe(false);
+      expect(isFamilyToken('garbage', familyKey)).toBe(false);
+    });
+  });
+
+  describe('isConcurrentRefresh', () => {
+    const rotatedAt = new Date('2026-01-01T12:00:00Z');
+    const session = { refreshGeneration: 2, refreshTokenRotatedAt: rotatedAt };
+
+    it('should accept the latest rotated generation just after rotation', () => {
+      expect(isConcurrentRefresh(session, 1, rotatedAt.getTime() + 2000)).toBe(true);
+    });
+
+    it('should treat the latest rotated generation as reuse once the grace period is over', () => {
+      expect(isConcurrentRefresh(session, 1, rotatedAt.getTime() + 60 * 1000)).toBe(false);
+    });
+
+    it('should treat older generations as reuse', () => {
+      expect(isConcurrentRefresh(session, 0, rotatedAt.getTime() + 1000)).toBe(false);
+    });
+
+    it('should handle sessions that have never rotated', () => {
+      expect(isConcurrentRefresh({}, 0)).toBe(false);
+      expect(isConcurrentRefresh({ refreshGeneration: 1, refreshTokenRotatedAt: null }, 0)).toBe(
+        false
+      );
+    });
+  });
+});
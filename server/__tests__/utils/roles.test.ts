@@ -0,0 +1,219 @@
+/**
+ * Role utility tests
+ */
+
+interface RolesModule {
+  isBuiltInRole: (role: string) => boolean;
+  getBuiltInPermissions: (role: string) => string[];
+  normalizePermissions: (permissions?: readonly string[]) => string[];
+  mergePermissions: (
+    rolePermissions?: readonly string[],
+    customPermissions?: readonly string[]
+  ) => string[];
+  getExtraPermissions: (
+    userPermissions?: readonly string[],
+    rolePermissions?: readonly string[]
+  ) => string[];
+  diffPermissions: (
+    before?: readonly string[],
+    after?: readonly string[]
+  ) => { added: string[]; removed: string[] };
+  hasAdminAccess: (permissions?: readonly string[]) => boolean;
+  ADMIN_PERMISSIONS: string[];
+  hasModerationAccess: (permissions?: readonly string[]) => boolean;
+  isInTwoFactorGroup: (groups: readonly string[], permissions?: readonly string[]) => boolean;
+  getUngrantablePermissions: (
+    granted: readonly string[],
+    granterPermissions?: readonly string[]
+  ) => string[];
+}
+
+const {
+  isBuiltInRole,
+  getBuiltInPermissions,
+  normalizePermissions,
+  mergePermissions,
+  getExtraPermissions,
+  diffPermissions,
+  hasAdminAccess,
+  ADMIN_PERMISSIONS,
+  hasModerationAccess,
+  isInTwoFactorGroup,
+  getUngrantablePermissions,
+} = require('../../utils/roles') as RolesModule;
+
+const { PERMISSIONS, ROLES } = require('../../config/constants');
+
+describe('Role Utilities', () => {
+  describe('isBuiltInRole', () => {
+    it('should recognise the seeded roles', () => {
+      expect(isBuiltInRole('user')).toBe(true);
+      expect(isBuiltInRole('moderator')).toBe(true);
+      expect(isBuiltInRole('admin')).toBe(true);
+    });
+
+    it('should not treat custom roles or object keys as built in', () => {
+      expect(isBuiltInRole('reviewer')).toBe(false);
+      expect(isBuiltInRole('toString')).toBe(false);
+    });
+  });
+
+  describe('getBuiltInPermissions', () => {
+    it('should give admins every permission', () => {
+      expect(getBuiltInPermissions('admin')).toEqual([...PERMISSIONS]);
+    });
+
+    it('should return a copy of the seeded permissions', () => {
+      const permissions = getBuiltInPermissions('user');
+      permissions.push('admin.system');
+
+      expect(getBuiltInPermissions('user')).toEqual([...ROLES.BUILT_IN.user]);
+    });
+
+    it('should return no permissions for custom roles', () => {
+      expect(getBuiltInPermissions('reviewer')).toEqual([]);
+    });
+  });
+
+  describe('normalizePermissions', () => {
+    it('should drop duplicates and unknown permissions', () => {
+      expect(normalizePermissions(['projects.read', 'projects.read', 'fly'])).toEqual([
+        'projects.read',
+      ]);
+    });
+
+    it('should order permissions as in PERMISSIONS', () => {
+      expect(normalizePermissions(['admin.system', 'projects.read'])).toEqual([
+        'projects.read',
+        'admin.system',
+      ]);
+    });
+
+    it('should handle a missing list', () => {
+      expect(normalizePermissions()).toEqual([]);
+    });
+  });
+
+  describe('mergePermissions', () => {
+    it('should combine role and custom permissions', () => {
+      expect(
+        mergePermissions(
+          ['projects.read', 'projects.create'],
+          ['moderate.content', 'projects.read']
+        )
+      ).toEqual(['projects.read', 'projects.create', 'moderate.content']);
+    });
+  });
+
+  describe('getExtraPermissions', () => {
+    it('should return permissions a user holds beyond their role', () => {
+      expect(
+        getExtraPermissions(
+          ['projects.read', 'projects.create', 'moderate.users'],
+          ['projects.read', 'projects.create']
+        )
+      ).toEqual(['moderate.users']);
+    });
+
+    it('should return nothing when the user only has the role permissions', () => {
+      expect(getExtraPermissions(['projects.read'], ['projects.read', 'projects.create'])).toEqual(
+        []
+      );
+    });
+  });
+
+  describe('diffPermissions', () => {
+    it('should list added and removed permissions', () => {
+      expect(
+        diffPermissions(['projects.read', 'projects.create'], ['projects.read', 'projects.delete'])
+      ).toEqual({
+        added: ['projects.delete'],
+        removed: ['projects.create'],
+      });
+    });
+
+    it('should report no changes for the same permissions in another order', () => {
+      expect(
+        diffPermissions(['projects.create', 'projects.read'], ['projects.read', 'projects.create'])
+      ).toEqual({
+        added: [],
+        removed: [],
+      });
+    });
+  });
+
+  describe('hasAdminAccess', () => {
+    it('should list every admin permission', () => {
+      expect(ADMIN_PERMISSIONS).toEqual(
+        PERMISSIONS.filter((permission: string) => permission.startsWith('admin.'))
+      );
+    });
+
+    it('should recognise any admin permission, whatever the role', () => {
+      expect(hasAdminAccess(ROLES.BUILT_IN.admin)).toBe(true);
+      expect(hasAdminAccess(['projects.read', 'admin.users'])).toBe(true);
+    });
+
+    it('should refuse users without admin permissions', () => {
+      expect(hasAdminAccess(ROLES.BUILT_IN.moderator)).toBe(false);
+      expect(hasAdminAccess([])).toBe(false);
+      expect(hasAdminAccess()).toBe(false);
+    });
+  });
+
+  describe('hasModerationAccess', () => {
+    it('should recognise any moderation permission, whatever the role', () => {
+      expect(hasModerationAccess(ROLES.BUILT_IN.moderator)).toBe(true);
+      expect(hasModerationAccess(['projects.read', 'moderate.reports'])).toBe(true);
+    });
+
+    it('should refuse users without moderation permissions', () => {
+      expect(hasModerationAccess(ROLES.BUILT_IN.user)).toBe(false);
+      expect(hasModerationAccess()).toBe(false);
+    });
+  });
+
+  describe('isInTwoFactorGroup', () => {
+    it('should cover custom roles with admin or moderation permissions', () => {
+      expect(isInTwoFactorGroup(['admin'], ['projects.read', 'admin.users'])).toBe(true);
+      expect(isInTwoFactorGroup(['moderator'], ['moderate.reports'])).toBe(true);
+    });
+
+    it('should cover admins when moderators must use two-factor authentication', () => {
+      expect(isInTwoFactorGroup(['moderator'], ROLES.BUILT_IN.admin)).toBe(true);
+    });
+
+    it('should leave out users outside the required groups', () => {
+      expect(isInTwoFactorGroup(['admin'], ROLES.BUILT_IN.moderator)).toBe(false);
+      expect(isInTwoFactorGroup(['admin', 'moderator'], ROLES.BUILT_IN.user)).toBe(false);
+      expect(isInTwoFactorGroup([], ROLES.BUILT_IN.admin)).toBe(false);
+    });
+  });
+
+  describe('getUngrantablePermissions', () => {
+    it('should allow granting permissions the granter holds', () => {
+      expect(getUngrantablePermissions(ROLES.BUILT_IN.moderator, ROLES.BUILT_IN.admin)).toEqual([]);
+      expect(getUngrantablePermissions([], ['admin.users'])).toEqual([]);
+    });
+
+    it('should list permissions the granter lacks', () => {
+      expect(
+        getUngrantablePermissions(
+          ['admin.users', 'admin.system', 'projects.read'],
+          ['admin.users', 'projects.read']
+        )
+      ).toEqual(['admin.system']);
+    });
+
+    it('should stop admin.users alone from granting the admin role', () => {
+      const ungrantable = getUngrantablePermissions(ROLES.BUILT_IN.admin, ['admin.users']);
+      expect(ungrantable).toContain('admin.system');
+      expect(ungrantable).not.toContain('admin.users');
+      expect(ungrantable).toHaveLength(ROLES.BUILT_IN.admin.length - 1);
+    });
+
+    it('should ignore unknown permissions', () => {
+      expect(getUngrantablePermissions(['not.a.permission'], [])).toEqual([]);
+    });
+  });
+});
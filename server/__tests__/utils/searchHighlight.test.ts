@@ -0,0 +1,85 @@
+/**
+ * Search highlighting utility tests
+ */
+
+interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+interface SearchHighlightModule {
+  extractSearchTerms: (query: string) => string[];
+  highlightText: (text: string, terms: string[]) => HighlightSegment[];
+  buildSnippet: (text: string, terms: string[], maxLength?: number) => HighlightSegment[];
+  buildProjectHighlights: (
+    project: { title?: string; description?: string; technologies?: string[] },
+    terms: string[]
+  ) => {
+    title: HighlightSegment[];
+    description: HighlightSegment[];
+    technologies: string[];
+    requiredSkills: string[];
+    tags: string[];
+  };
+}
+
+const { extractSearchTerms, highlightText, buildSnippet, buildProjectHighlights } =
+  require('../../utils/searchHighlight') as SearchHighlightModule;
+
+const joinSegments = (segments: HighlightSegment[]): string =>
+  segments.map((segment) => segment.text).join('');
+
+const matchedText = (segments: HighlightSegment[]): string[] =>
+  segments.filter((segment) => segment.match).map((segment) => segment.text);
+
+describe('Search highlighting', () => {
+  describe('extractSearchTerms', () => {
+    it('should lowercase, de-duplicate and drop negated or short terms', () => {
+      expect(extractSearchTerms('React "react" -vue a Node')).toEqual(['react', 'node']);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should mark words starting with a term and preserve the original text', () => {
+      const text = 'Testing tools for React developers';
+      const segments = highlightText(text, ['test', 'react']);
+      expect(joinSegments(segments)).toBe(text);
+      expect(matchedText(segments)).toEqual(['Testing', 'React']);
+    });
+
+    it('should not match terms in the middle of a word', () => {
+      expect(matchedText(highlightText('contest', ['test']))).toEqual([]);
+    });
+
+    it('should treat regex characters in terms literally', () => {
+      expect(matchedText(highlightText('Written in c++ and C', ['c++']))).toEqual(['c++']);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should center long text around the first match with ellipses', () => {
+      const text = `${'lorem '.repeat(40)}kubernetes ${'ipsum '.repeat(40)}`;
+      const segments = buildSnippet(text, ['kubernetes'], 60);
+      const snippet = joinSegments(segments);
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(matchedText(segments)).toEqual(['kubernetes']);
+    });
+
+    it('should return short text unchanged', () => {
+      expect(joinSegments(buildSnippet('A small app', ['app'], 60))).toBe('A small app');
+    });
+  });
+
+  describe('buildProjectHighlights', () => {
+    it('should list matching technologies', () => {
+      const highlights = buildProjectHighlights(
+        { title: 'Chat app', description: '', technologies: ['Node.js', 'React', 'Redis'] },
+        ['node', 'redis']
+      );
+      expect(highlights.technologies).toEqual(['Node.js', 'Redis']);
+      expect(highlights.requiredSkills).toEqual([]);
+      expect(matchedText(highlights.title)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Server-Sent Events formatting utility tests
+ */
+
+interface SseModule {
+  formatSseEvent: (event: string, data: unknown, id?: string | number) => string;
+  formatSseComment: (text?: string) => string;
+  formatSseRetry: (ms: number) => string;
+}
+
+const { formatSseEvent, formatSseComment, formatSseRetry } =
+  require('../../utils/sse') as SseModule;
+
+describe('Server-Sent Events', () => {
+  describe('formatSseEvent', () => {
+    it('should format a named event with a JSON payload', () => {
+      expect(formatSseEvent('message:new', { id: 'abc' })).toBe(
+        'event: message:new\ndata: {"id":"abc"}\n\n'
+      );
+    });
+
+    it('should include the event ID when given', () => {
+      expect(formatSseEvent('ready', {}, 7)).toBe('id: 7\nevent: ready\ndata: {}\n\n');
+    });
+
+    it('should keep multi-line content on a single data line', () => {
+      const formatted = formatSseEvent('comment:created', { content: 'line one\nline two' });
+      expect(formatted.split('\n').filter((line) => line.startsWith('data:'))).toHaveLength(1);
+      expect(formatted).toContain('"line one\\nline two"');
+    });
+
+    it('should send null for a missing payload', () => {
+      expect(formatSseEvent('ping', undefined)).toBe('event: ping\ndata: null\n\n');
+    });
+  });
+
+  describe('formatSseComment', () => {
+    it('should format a comment line', () => {
+      expect(formatSseComment('ping')).toBe(': ping\n\n');
+    });
+
+    it('should not let newlines end the comment early', () => {
+      expect(formatSseComment('a\nb')).toBe(': a b\n\n');
+    });
+  });
+
+  describe('formatSseRetry', () => {
+    it('should format the reconnection delay in whole milliseconds', () => {
+      expect(formatSseRetry(5000)).toBe('retry: 5000\n\n');
+      expect(formatSseRetry(-1)).toBe('retry: 0\n\n');
+    });
+  });
+});
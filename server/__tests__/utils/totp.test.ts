@@ -0,0 +1,130 @@
+/**
+ * TOTP utility tests
+ */
+
+interface TotpModule {
+  base32Encode: (buffer: Buffer) => string;
+  base32Decode: (input: string) => Buffer;
+  generateSecret: () => string;
+  getTimeStep: (time?: number) => number;
+  generateCode: (secret: string, step: number, digits?: number) => string;
+  verifyCode: (
+    secret: string,
+    code: string,
+    lastUsedStep?: number | null,
+    time?: number
+  ) => number | null;
+  buildOtpauthUri: (secret: string, accountName: string, issuer?: string) => string;
+  normalizeRecoveryCode: (code: string) => string;
+  hashRecoveryCode: (code: string) => string;
+  generateRecoveryCodes: (count?: number) => string[];
+}
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require('../../utils/totp') as TotpModule;
+
+// Secret from the RFC 6238 test vectors ("12345678901234567890" in ASCII)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello world');
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 example', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should produce 160-bit base32 secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000), 8)).toBe('94287082');
+      expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000), 8)).toBe('07081804');
+      expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000), 8)).toBe('89005924');
+    });
+
+    it('should produce six-digit codes by default', () => {
+      expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1700000000 * 1000;
+    const step = getTimeStep(now);
+
+    it('should accept the current code and return its step', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), null, now)).toBe(step);
+    });
+
+    it('should accept codes from adjacent steps to allow for clock drift', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), null, now)).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), null, now)).toBe(step + 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), null, now)).toBeNull();
+    });
+
+    it('should reject a code that was already used', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), step, now)).toBeNull();
+    });
+
+    it('should ignore spaces and reject malformed codes', () => {
+      const code = generateCode(RFC_SECRET, step);
+      expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, null, now)).toBe(step);
+      expect(verifyCode(RFC_SECRET, '12345', null, now)).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', null, now)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a provisioning URI with the issuer and account', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jane@example.com', 'CodeCollab');
+      expect(uri).toBe(
+        'otpauth://totp/CodeCollab%3Ajane%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=CodeCollab&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate distinct codes in xxxxx-xxxxx format', () => {
+      const codes = generateRecoveryCodes(10);
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('should hash codes the same way however they are typed', () => {
+      expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde12345'));
+      expect(hashRecoveryCode(' abcde 12345 ')).toBe(hashRecoveryCode('abcde-12345'));
+      expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'));
+    });
+  });
+});
@@ -9,6 +9,9 @@ const SESSION_CONFIG = {
   SESSION_TIMEOUT_MINUTES: parseInt(process.env.SESSION_TIMEOUT_MINUTES || '30', 10),
   REFRESH_TOKEN_EXPIRE_DAYS: 7,
   ACCESS_TOKEN_EXPIRY: '15m', // 15 minutes
+  // Refresh tokens rotate on every use; replaying a rotated one revokes the session
+  REFRESH_TOKEN_REUSE_GRACE_MS: 10 * 1000, // Lets tabs that refreshed at the same moment through
+  NAME_MAX_LENGTH: 50, // User-chosen session names such as "Work laptop"
 } as const;
 
 // Rate limiting configuration
@@ -30,12 +33,18 @@ const PASSWORD_REQUIREMENTS = {
   REQUIRE_LOWERCASE: true,
   REQUIRE_NUMBER: true,
   REQUIRE_SPECIAL: true,
+  HISTORY_SIZE: 5, // Recent passwords a user can't switch back to, including the current one
+  // Known-breached passwords are looked up offline in SHA-1 range files named by hash
+  // prefix, the same layout as the Pwned Passwords range API
+  BREACHED_HASH_PREFIX_LENGTH: 5,
+  BREACHED_PASSWORDS_DIR: process.env.BREACHED_PASSWORDS_DIR || '',
 } as const;
 
 // Security constants
 const SECURITY = {
   JWT_SECRET_MIN_LENGTH: 32,
   PASSWORD_RESET_TOKEN_EXPIRY: 60 * 60 * 1000, // 1 hour
+  MAGIC_LINK_TOKEN_EXPIRY: 15 * 60 * 1000, // 15 minutes
   EMAIL_VERIFICATION_TOKEN_EXPIRY: 24 * 60 * 60 * 1000, // 24 hours
   BCRYPT_SALT_ROUNDS: 10,
 } as const;
@@ -53,6 +62,21 @@ const VALIDATION_LIMITS = {
   COMMENT_MAX_LENGTH: 1000,
   MESSAGE_SUBJECT_MAX: 100,
   MESSAGE_CONTENT_MAX: 1000,
+  TASK_TITLE_MAX: 200,
+  TASK_DESCRIPTION_MAX: 5000,
+  TASK_LABEL_MAX: 30,
+  TASK_LABELS_MAX: 10,
+  MILESTONE_TITLE_MAX: 200,
+  MILESTONE_DESCRIPTION_MAX: 2000,
+  CHECKLIST_ITEM_MAX: 200,
+  CHECKLIST_ITEMS_MAX: 50,
+} as const;
+
+// Cursor pagination defaults
+const PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  MAX_MEMBER_IDS: 100, // Users per request to GET /api/projects/members
 } as const;
 
 // Request body size limits
@@ -61,6 +85,234 @@ const REQUEST_LIMITS = {
   URL_ENCODED_BODY_SIZE: '10mb',
 } as const;
 
+// Project search configuration
+const SEARCH = {
+  MAX_QUERY_LENGTH: 100,
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  FACET_LIMIT: 20, // Max buckets returned per multi-value facet
+  SNIPPET_LENGTH: 160, // Characters of context around a description match
+} as const;
+
+// Comment thread configuration
+const COMMENTS = {
+  MAX_DEPTH: 3, // Top-level comments are depth 0, so replies nest at most three levels
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  REPLIES_DEFAULT_LIMIT: 10,
+  DELETED_PLACEHOLDER: '[deleted]',
+} as const;
+
+// @mention configuration
+const MENTIONS = {
+  MAX_PER_DOCUMENT: 20, // Mentions resolved and notified per comment or message
+  AUTOCOMPLETE_LIMIT: 8,
+} as const;
+
+// In-app notification configuration
+const NOTIFICATIONS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  RETENTION_DAYS: 90, // Notifications are removed by a TTL index after this many days
+} as const;
+
+// Conversation (direct message) settings
+const CONVERSATIONS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  MESSAGES_DEFAULT_LIMIT: 30,
+  MESSAGES_MAX_LIMIT: 100,
+  PREVIEW_LENGTH: 120, // Characters of the last message shown in the conversation list
+} as const;
+
+// Real-time event stream (Server-Sent Events) configuration
+const REALTIME = {
+  HEARTBEAT_INTERVAL_MS: 25 * 1000, // Keeps proxies from closing idle streams
+  SESSION_CHECK_INTERVAL_MS: 60 * 1000, // Streams close once their session is revoked
+  RETRY_MS: 5 * 1000, // Reconnect delay suggested to the browser
+  MAX_STREAMS_PER_USER: 5, // Oldest stream is closed when a user opens more (e.g. many tabs)
+} as const;
+
+// TOTP two-factor authentication configuration
+const TWO_FACTOR = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'CodeCollabProj', // Label shown in authenticator apps
+  DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  WINDOW: 1, // Codes from one step either side are accepted to allow for clock drift
+  SECRET_BYTES: 20, // 160-bit secrets, as recommended by RFC 4226
+  RECOVERY_CODE_COUNT: 10,
+  CHALLENGE_EXPIRY: '5m', // Time allowed to enter a code after the password step
+  CHALLENGE_COOKIE_MAX_AGE: 5 * 60 * 1000, // Matches CHALLENGE_EXPIRY
+  // Groups 2FA can be required for: anyone with admin or with moderation permissions
+  ENFORCEABLE_ROLES: ['admin', 'moderator'],
+} as const;
+
+// Every permission a user can hold; also the scopes a personal access token can be limited to
+const PERMISSIONS = [
+  // User management
+  'users.read',
+  'users.create',
+  'users.update',
+  'users.delete',
+  // Project management
+  'projects.read',
+  'projects.create',
+  'projects.update',
+  'projects.delete',
+  'projects.moderate',
+  // Comment management
+  'comments.read',
+  'comments.create',
+  'comments.update',
+  'comments.delete',
+  'comments.moderate',
+  // Admin functions
+  'admin.dashboard',
+  'admin.users',
+  'admin.analytics',
+  'admin.system',
+  'admin.impersonate',
+  // Moderation
+  'moderate.content',
+  'moderate.users',
+  'moderate.reports',
+] as const;
+
+// Named roles that bundle permissions; users can also hold custom permissions on top of their role
+const ROLES = {
+  // Seeded on startup; they can't be renamed or deleted, and admin's permissions can't be changed
+  BUILT_IN: {
+    user: ['projects.read', 'projects.create', 'comments.read', 'comments.create'],
+    moderator: [
+      'projects.read',
+      'projects.create',
+      'projects.moderate',
+      'comments.read',
+      'comments.create',
+      'comments.moderate',
+      'moderate.content',
+      'users.read',
+    ],
+    admin: PERMISSIONS,
+  },
+  DEFAULT_ROLE: 'user',
+  NAME_PATTERN: /^[a-z][a-z0-9_-]{1,29}$/, // Lowercase slug, 2-30 characters
+  MAX_DISPLAY_NAME_LENGTH: 50,
+  MAX_DESCRIPTION_LENGTH: 200,
+  CACHE_TTL_MS: 60 * 1000, // Role permissions are cached per process; edits clear the cache
+  HOLDERS_DEFAULT_LIMIT: 20,
+  HOLDERS_MAX_LIMIT: 100,
+} as const;
+
+// Personal access token configuration
+const ACCESS_TOKENS = {
+  PREFIX: 'ccp_', // Lets the auth middleware tell them apart from session JWTs
+  TOKEN_BYTES: 32,
+  MAX_PER_USER: 20,
+  NAME_MAX_LENGTH: 100,
+  MAX_EXPIRY_DAYS: 365,
+  LAST_USED_UPDATE_INTERVAL_MS: 60 * 1000, // Limits writes from busy scripts
+  // Scopes any user can grant, since the API still checks ownership of what they touch.
+  // Other scopes can only be granted by users who hold that permission themselves.
+  SELF_SERVICE_SCOPES: [
+    'users.read',
+    'users.update',
+    'projects.read',
+    'projects.create',
+    'projects.update',
+    'projects.delete',
+    'comments.read',
+    'comments.create',
+    'comments.update',
+    'comments.delete',
+  ],
+} as const;
+
+// GitHub OAuth configuration
+// Provider URLs can be overridden so tests can point at a local mock server
+const GITHUB_OAUTH = {
+  CLIENT_ID: process.env.GITHUB_CLIENT_ID || '',
+  CLIENT_SECRET: process.env.GITHUB_CLIENT_SECRET || '',
+  CALLBACK_URL: process.env.GITHUB_CALLBACK_URL || 'http://localhost:5001/api/auth/github/callback',
+  AUTHORIZE_URL: process.env.GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+  TOKEN_URL: process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+  API_URL: process.env.GITHUB_API_URL || 'https://api.github.com',
+  SCOPE: 'read:user user:email',
+  STATE_EXPIRY: '10m', // Time allowed to approve the app on GitHub
+  STATE_COOKIE_MAX_AGE: 10 * 60 * 1000,
+  REQUEST_TIMEOUT_MS: 10000,
+} as const;
+
+// Login throttling and lockouts
+// Counters are kept per account (by email) and per IP address
+const LOGIN_PROTECTION = {
+  FAILURE_WINDOW_MS: 60 * 60 * 1000, // Failures older than this no longer count
+  FREE_ATTEMPTS: 3, // Failures allowed before delays start
+  BASE_DELAY_MS: 1000, // Doubles with each failure after the free ones
+  MAX_DELAY_MS: 60 * 1000,
+  ACCOUNT_LOCK_THRESHOLD: 10,
+  IP_LOCK_THRESHOLD: 50, // Higher, since many users can share an address
+  LOCK_DURATION_MS: 15 * 60 * 1000, // Doubles with each lockout in a row
+  MAX_LOCK_DURATION_MS: 24 * 60 * 60 * 1000,
+  RECORD_TTL_MS: 7 * 24 * 60 * 60 * 1000, // Lockout history is forgotten after this
+  KNOWN_DEVICE_LIMIT: 20, // Devices remembered per user for new-login checks
+} as const;
+
+// Self-service account deletion
+const ACCOUNT_DELETION = {
+  GRACE_PERIOD_MS: 14 * 24 * 60 * 60 * 1000, // Time to change your mind after asking
+  CHECK_INTERVAL_MS: 60 * 60 * 1000, // How often due deletions are carried out
+  BATCH_SIZE: 20, // Accounts deleted per check
+} as const;
+
+// Content reports and the moderation queue
+const MODERATION = {
+  TARGET_TYPES: ['project', 'comment', 'message', 'user'],
+  REASONS: ['spam', 'harassment', 'hate_speech', 'inappropriate', 'impersonation', 'other'],
+  MAX_DETAILS_LENGTH: 1000,
+  MAX_NOTE_LENGTH: 500,
+  SNAPSHOT_LENGTH: 2000, // Characters of reported content kept with the report
+  DAILY_REPORT_LIMIT: 20, // Reports one user can file per day
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  HIDDEN_COMMENT_PLACEHOLDER: '[This comment was hidden by a moderator]',
+  HIDDEN_MESSAGE_PLACEHOLDER: '[This message was hidden by a moderator]',
+} as const;
+
+// Admins signing in as another user to see what they see
+const IMPERSONATION = {
+  DEFAULT_DURATION_MINUTES: 30,
+  MIN_DURATION_MINUTES: 5,
+  MAX_DURATION_MINUTES: 60,
+  MAX_REASON_LENGTH: 500,
+  // Ended sessions are kept this long so the admin can still switch back to their own
+  RETURN_GRACE_MS: 60 * 60 * 1000,
+} as const;
+
+// Admin actions applied to many users at once
+const BULK_USER_ACTIONS = {
+  ACTIONS: [
+    'suspend',
+    'unsuspend',
+    'change_role',
+    'resend_verification',
+    'revoke_sessions',
+    'deactivate',
+  ],
+  MAX_USERS: 1000, // Per preview, whether users are picked by ID or by filter
+  MAX_BATCH_SIZE: 50, // Per request when applying; the client sends larger operations in batches
+} as const;
+
+// Persistent audit log of admin actions and security events
+const AUDIT_LOG = {
+  TYPES: ['admin', 'auth', 'session', 'security', 'moderation'],
+  SEVERITIES: ['low', 'medium', 'high'],
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+  EXPORT_MAX_ROWS: 10000, // Rows in a single CSV export
+  RETENTION_DAYS: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365', 10),
+} as const;
+
 // File upload configuration
 const FILE_UPLOAD = {
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB in bytes
@@ -85,6 +337,23 @@ export type RateLimits = typeof RATE_LIMITS;
 export type PasswordRequirements = typeof PASSWORD_REQUIREMENTS;
 export type SecurityConfig = typeof SECURITY;
 export type ValidationLimits = typeof VALIDATION_LIMITS;
+export type Pagination = typeof PAGINATION;
+export type SearchConfig = typeof SEARCH;
+export type CommentsConfig = typeof COMMENTS;
+export type MentionsConfig = typeof MENTIONS;
+export type NotificationsConfig = typeof NOTIFICATIONS;
+export type ConversationsConfig = typeof CONVERSATIONS;
+export type RealtimeConfig = typeof REALTIME;
+export type TwoFactorConfig = typeof TWO_FACTOR;
+export type RolesConfig = typeof ROLES;
+export type AccessTokensConfig = typeof ACCESS_TOKENS;
+export type GitHubOAuthConfig = typeof GITHUB_OAUTH;
+export type LoginProtectionConfig = typeof LOGIN_PROTECTION;
+export type AccountDeletionConfig = typeof ACCOUNT_DELETION;
+export type ModerationConfig = typeof MODERATION;
+export type ImpersonationConfig = typeof IMPERSONATION;
+export type BulkUserActionsConfig = typeof BULK_USER_ACTIONS;
+export type AuditLogConfig = typeof AUDIT_LOG;
 export type RequestLimits = typeof REQUEST_LIMITS;
 export type FileUploadConfig = typeof FILE_UPLOAD;
 
@@ -94,6 +363,24 @@ module.exports = {
   PASSWORD_REQUIREMENTS,
   SECURITY,
   VALIDATION_LIMITS,
+  PAGINATION,
+  SEARCH,
+  COMMENTS,
+  MENTIONS,
+  NOTIFICATIONS,
+  CONVERSATIONS,
+  REALTIME,
+  TWO_FACTOR,
+  PERMISSIONS,
+  ROLES,
+  ACCESS_TOKENS,
+  GITHUB_OAUTH,
+  LOGIN_PROTECTION,
+  ACCOUNT_DELETION,
+  MODERATION,
+  IMPERSONATION,
+  BULK_USER_ACTIONS,
+  AUDIT_LOG,
   REQUEST_LIMITS,
   FILE_UPLOAD,
 };
@@ -0,0 +1,111 @@
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { ACCESS_TOKENS } = require('../config/constants');
+const { getGrantableScopes } = require('../utils/accessTokens');
+const {
+  listAccessTokens,
+  countAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+} = require('../services/accessTokenService');
+
+// List the current user's personal access tokens and the scopes they may grant
+const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.user._id);
+
+    res.json({
+      tokens,
+      availableScopes: getGrantableScopes(req.user.permissions),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching access tokens', error: error.message });
+  }
+};
+
+// Create a personal access token; the token itself is only returned here
+const createPersonalAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    const grantable = getGrantableScopes(req.user.permissions);
+    const denied = scopes.filter((scope) => !grantable.includes(scope));
+    if (denied.length > 0) {
+      return res
+        .status(403)
+        .json({ message: `You can't grant these scopes: ${denied.join(', ')}` });
+    }
+
+    if ((await countAccessTokens(req.user._id)) >= ACCESS_TOKENS.MAX_PER_USER) {
+      return res.status(400).json({
+        message: `You can have at most ${ACCESS_TOKENS.MAX_PER_USER} access tokens. Revoke one first.`,
+      });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.user._id, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    logger.securityEvent('ACCESS_TOKEN_CREATED', {
+      userId: req.user._id,
+      tokenId: accessToken._id,
+      scopes: accessToken.scopes,
+      expiresAt: accessToken.expiresAt,
+      ip: req.ip,
+    });
+
+    res.status(201).json({
+      message: 'Access token created',
+      token,
+      accessToken: {
+        _id: accessToken._id,
+        name: accessToken.name,
+        tokenPrefix: accessToken.tokenPrefix,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        lastUsedAt: accessToken.lastUsedAt,
+        createdAt: accessToken.createdAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating access token', error: error.message });
+  }
+};
+
+// Revoke one of the current user's tokens
+const revokePersonalAccessToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accessToken = await revokeAccessToken(req.user._id, req.params.id);
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    logger.securityEvent('ACCESS_TOKEN_REVOKED', {
+      userId: req.user._id,
+      tokenId: accessToken._id,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking access token', error: error.message });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken,
+};
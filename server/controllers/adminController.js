@@ -3,7 +3,41 @@ const User = require('../models/User');
 const Project = require('../models/Project');
 const Comment = require('../models/Comment');
 const Session = require('../models/Session');
+const SiteSettings = require('../models/SiteSettings');
+const Role = require('../models/Role');
 const logger = require('../utils/logger');
+const {
+  unlockAccount,
+  getAccountLockStatus,
+  getLockedAccounts,
+} = require('../services/loginProtectionService');
+const { queryAuditLogs, exportAuditLogs } = require('../services/auditLogService');
+const { buildAuditLogFilter, toAuditLogCsv } = require('../utils/auditLog');
+const {
+  diffPermissions,
+  getUngrantablePermissions,
+  isInTwoFactorGroup,
+} = require('../utils/roles');
+const { getImpersonationBlocker, getImpersonationEndsAt } = require('../utils/impersonation');
+const {
+  buildUserListFilter,
+  previewBulkAction,
+  summarizeBulkResults,
+} = require('../utils/bulkUserActions');
+const {
+  countBulkTargets,
+  findBulkTargets,
+  applyBulkUserAction: applyBulkUserActionToUsers,
+} = require('../services/bulkUserActionService');
+const {
+  getEffectivePermissions,
+  getRolePermissions,
+  isAdministrator,
+} = require('../services/roleService');
+const sessionService = require('../services/sessionService');
+const { revokeAllAccessTokens } = require('../services/accessTokenService');
+const { parseLimit } = require('../utils/pagination');
+const { TWO_FACTOR, AUDIT_LOG, BULK_USER_ACTIONS } = require('../config/constants');
 
 // Sensitive fields that should NEVER be returned in API responses
 const SENSITIVE_FIELDS =
@@ -139,35 +173,7 @@ const getAllUsers = async (req, res) => {
     const status = req.query.status;
 
     // Build filter query
-    const filter = {};
-
-    if (search) {
-      filter.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-      ];
-    }
-
-    if (role && role !== 'all') {
-      filter.role = role;
-    }
-
-    if (status) {
-      switch (status) {
-        case 'active':
-          filter.isActive = true;
-          filter.isSuspended = false;
-          break;
-        case 'suspended':
-          filter.isSuspended = true;
-          break;
-        case 'inactive':
-          filter.isActive = false;
-          break;
-      }
-    }
+    const filter = buildUserListFilter({ search, role, status });
 
     const users = await User.find(filter)
       .select(SENSITIVE_FIELDS)
@@ -177,6 +183,8 @@ const getAllUsers = async (req, res) => {
 
     const total = await User.countDocuments(filter);
 
+    const lockedAccounts = await getLockedAccounts(users.map((user) => user.email));
+
     logger.adminAction('users_list_access', {
       adminId: req.user._id,
       filter,
@@ -186,7 +194,10 @@ const getAllUsers = async (req, res) => {
     });
 
     res.json({
-      users,
+      users: users.map((user) => ({
+        ...user.toObject(),
+        loginLockedUntil: lockedAccounts.get(user.email.toLowerCase()) || null,
+      })),
       pagination: {
         page,
         limit,
@@ -218,7 +229,7 @@ const getUserDetails = async (req, res) => {
 
     // Get user's sessions
     const sessions = await Session.find({ userId, isActive: true })
-      .select('deviceInfo location lastActivity createdAt')
+      .select('deviceInfo location loginFlags lastActivity createdAt')
       .sort({ lastActivity: -1 });
 
     // Get user's projects
@@ -229,6 +240,8 @@ const getUserDetails = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(10);
 
+    const loginLock = await getAccountLockStatus(user.email);
+
     logger.adminAction('user_details_access', {
       adminId: req.user._id,
       targetUserId: userId,
@@ -239,6 +252,7 @@ const getUserDetails = async (req, res) => {
       user,
       sessions,
       projects,
+      loginLock,
     });
   } catch (error) {
     logger.error('Admin get user details error', {
@@ -251,7 +265,8 @@ const getUserDetails = async (req, res) => {
 };
 
 /**
- * Update user role and permissions
+ * Update a user's role and custom permissions
+ * Effective permissions are the role's plus the custom ones, recomputed on save
  */
 const updateUserRole = async (req, res) => {
   try {
@@ -261,34 +276,52 @@ const updateUserRole = async (req, res) => {
     }
 
     const { userId } = req.params;
-    const { role, permissions, customPermissions } = req.body;
+    const { role, customPermissions } = req.body;
 
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Prevent self-demotion
-    if (user._id.toString() === req.user._id.toString() && role !== 'admin') {
-      return res.status(400).json({ message: 'Cannot change your own admin role' });
+    if (role && !(await Role.exists({ name: role }))) {
+      return res.status(400).json({ message: 'Role not found' });
+    }
+
+    // Prevent self-promotion and self-demotion
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot change your own role' });
+    }
+
+    // Prevent changing other admins, whichever role gives them admin permissions
+    if (await isAdministrator(user)) {
+      return res.status(403).json({ message: 'Cannot change the role of administrators' });
+    }
+
+    // Admins can only hand out permissions they hold themselves
+    const ungrantable = getUngrantablePermissions(
+      [
+        ...(role && role !== user.role ? await getRolePermissions(role) : []),
+        ...(customPermissions || []).filter(
+          (permission) => !user.customPermissions.includes(permission)
+        ),
+      ],
+      req.user.permissions
+    );
+    if (ungrantable.length) {
+      return res.status(403).json({
+        message: `Cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+      });
     }
 
     const oldRole = user.role;
     const oldPermissions = [...user.permissions];
 
-    // Update role if provided
     if (role) {
       user.setRole(role);
     }
 
-    // Update permissions if provided
-    if (permissions && Array.isArray(permissions)) {
-      user.permissions = permissions;
-    } else if (customPermissions && Array.isArray(customPermissions)) {
-      // Add custom permissions to existing ones
-      customPermissions.forEach((permission) => {
-        user.addPermission(permission);
-      });
+    if (customPermissions) {
+      user.customPermissions = [...new Set(customPermissions)];
     }
 
     await user.save();
@@ -300,8 +333,8 @@ const updateUserRole = async (req, res) => {
       targetUserEmail: user.email,
       oldRole,
       newRole: user.role,
-      oldPermissions,
-      newPermissions: user.permissions,
+      customPermissions: user.customPermissions,
+      permissionChanges: diffPermissions(oldPermissions, user.permissions),
       ip: req.ip,
     });
 
@@ -312,6 +345,7 @@ const updateUserRole = async (req, res) => {
         email: user.email,
         username: user.username,
         role: user.role,
+        customPermissions: user.customPermissions,
         permissions: user.permissions,
       },
     });
@@ -348,8 +382,8 @@ const toggleUserSuspension = async (req, res) => {
       return res.status(400).json({ message: 'Cannot suspend your own account' });
     }
 
-    // Prevent suspending other admins (unless you're a super admin)
-    if (user.role === 'admin' && req.user.role !== 'super_admin') {
+    // Prevent suspending other admins, whichever role gives them admin permissions
+    if (await isAdministrator(user)) {
       return res.status(403).json({ message: 'Cannot suspend other administrators' });
     }
 
@@ -365,6 +399,7 @@ const toggleUserSuspension = async (req, res) => {
           revokedReason: 'admin_suspend',
         }
       );
+      await revokeAllAccessTokens(userId);
     } else {
       user.unsuspend();
     }
@@ -402,6 +437,43 @@ const toggleUserSuspension = async (req, res) => {
   }
 };
 
+/**
+ * Lift a login lockout and clear the user's failed login count
+ */
+const unlockUserLogin = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasThrottled = await unlockAccount(user.email);
+
+    logger.adminAction('user_login_unlocked', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      targetUserId: userId,
+      targetUserEmail: user.email,
+      wasThrottled,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: wasThrottled ? 'Login unlocked successfully' : 'User had no failed logins to clear',
+      loginLock: { locked: false, lockedUntil: null, failures: 0 },
+    });
+  } catch (error) {
+    logger.error('Admin unlock user login error', {
+      error: error.message,
+      adminId: req.user._id,
+      targetUserId: req.params.userId,
+    });
+    res.status(500).json({ message: 'Error unlocking user login', error: error.message });
+  }
+};
+
 /**
  * Delete user (soft delete by deactivating)
  */
@@ -421,7 +493,7 @@ const deleteUser = async (req, res) => {
     }
 
     // Prevent deleting other admins
-    if (user.role === 'admin') {
+    if (await isAdministrator(user)) {
       return res.status(403).json({ message: 'Cannot delete administrator accounts' });
     }
 
@@ -477,31 +549,265 @@ const deleteUser = async (req, res) => {
 };
 
 /**
- * Get system logs (recent security events)
+ * Check the role a bulk change_role action gives out
+ * Like single-user role changes, admins can only hand out permissions they hold themselves
+ * @returns Status and message to refuse the action with, or null if the role is fine
+ */
+const getBulkRoleError = async (role, admin) => {
+  if (!(await Role.exists({ name: role }))) {
+    return { status: 400, message: 'Role not found' };
+  }
+
+  const ungrantable = getUngrantablePermissions(await getRolePermissions(role), admin.permissions);
+  if (ungrantable.length) {
+    return {
+      status: 403,
+      message: `Cannot grant permissions you do not have: ${ungrantable.join(', ')}`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Preview a bulk action: every user it covers, and whether it would change or skip them
+ * Users can be picked by ID or by the user list's filter; the preview resolves a filter
+ * to the IDs the client then applies the action to
+ */
+const previewBulkUserAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, params = {}, userIds, filter } = req.body;
+
+    if (action === 'change_role') {
+      const roleError = await getBulkRoleError(params.role, req.user);
+      if (roleError) {
+        return res.status(roleError.status).json({ message: roleError.message });
+      }
+    }
+
+    const total = await countBulkTargets({ userIds, filter });
+    if (total > BULK_USER_ACTIONS.MAX_USERS) {
+      return res.status(400).json({
+        message: `This would affect ${total} users; narrow the filter to at most ${BULK_USER_ACTIONS.MAX_USERS}`,
+      });
+    }
+
+    const users = await findBulkTargets({ userIds, filter }, BULK_USER_ACTIONS.MAX_USERS);
+    const results = previewBulkAction(action, users, req.user._id, params);
+
+    res.json({
+      action,
+      results,
+      summary: summarizeBulkResults(results),
+      batchSize: BULK_USER_ACTIONS.MAX_BATCH_SIZE,
+    });
+  } catch (error) {
+    logger.error('Admin preview bulk user action error', {
+      error: error.message,
+      adminId: req.user._id,
+    });
+    res.status(500).json({ message: 'Error previewing bulk action', error: error.message });
+  }
+};
+
+/**
+ * Apply a bulk action to a batch of users and report what happened to each
+ * Larger operations are sent in several batches, so the client can show progress
+ */
+const applyBulkUserAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, params = {}, userIds } = req.body;
+
+    if (action === 'change_role') {
+      const roleError = await getBulkRoleError(params.role, req.user);
+      if (roleError) {
+        return res.status(roleError.status).json({ message: roleError.message });
+      }
+    }
+
+    const results = await applyBulkUserActionToUsers(
+      req.user,
+      action,
+      [...new Set(userIds)],
+      params,
+      req.ip
+    );
+    const summary = summarizeBulkResults(results);
+
+    logger.adminAction('bulk_user_action', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      action,
+      params,
+      userCount: results.length,
+      summary,
+      ip: req.ip,
+    });
+
+    res.json({ action, results, summary });
+  } catch (error) {
+    logger.error('Admin apply bulk user action error', {
+      error: error.message,
+      adminId: req.user._id,
+    });
+    res.status(500).json({ message: 'Error applying bulk action', error: error.message });
+  }
+};
+
+/**
+ * Start a time-limited session as another user, replacing the admin's auth cookies
+ * The admin's own session stays active so they can switch back to it afterwards
+ */
+const startImpersonation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.accessTokenId) {
+      return res
+        .status(403)
+        .json({ message: 'Impersonation cannot be started with an access token' });
+    }
+
+    if (req.impersonator) {
+      return res.status(400).json({ message: 'End the current impersonation first' });
+    }
+
+    const { userId } = req.params;
+    const { reason, durationMinutes } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const blocker = getImpersonationBlocker(req.user, {
+      _id: user._id,
+      role: user.role,
+      permissions: await getEffectivePermissions(user.role, user.customPermissions),
+    });
+    if (blocker) {
+      return res.status(user._id.equals(req.user._id) ? 400 : 403).json({ message: blocker });
+    }
+
+    const endsAt = getImpersonationEndsAt(durationMinutes);
+    const sessionData = await sessionService.createImpersonationSession(
+      user._id,
+      { adminId: req.user._id, adminSessionId: req.sessionId, reason, endsAt },
+      { userAgent: req.get('User-Agent'), ip: req.ip }
+    );
+
+    logger.securityEvent('ADMIN_IMPERSONATION_STARTED', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      targetUserId: user._id,
+      targetUserEmail: user.email,
+      reason,
+      endsAt,
+      sessionId: sessionData.sessionId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'high',
+    });
+
+    // The refresh token must not outlive the session either
+    res.cookie('accessToken', sessionData.accessToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: sessionData.expiresIn * 1000,
+      path: '/',
+    });
+
+    res.cookie('refreshToken', sessionData.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: sessionData.refreshExpiresIn * 1000,
+      path: '/api/auth',
+    });
+
+    res.json({
+      message: `Now impersonating ${user.username}`,
+      accessToken: sessionData.accessToken,
+      refreshToken: sessionData.refreshToken,
+      expiresIn: sessionData.expiresIn,
+      impersonation: {
+        user: {
+          id: user._id,
+          email: user.email,
+          username: user.username,
+          role: user.role,
+        },
+        endsAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Admin start impersonation error', {
+      error: error.message,
+      adminId: req.user._id,
+      targetUserId: req.params.userId,
+    });
+    res.status(500).json({ message: 'Error starting impersonation', error: error.message });
+  }
+};
+
+/**
+ * Get system logs (audit log of admin actions and security events)
+ * Responds with CSV instead of JSON when `format=csv` is given
  */
 const getSystemLogs = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const type = req.query.type;
+    const { filter, error } = buildAuditLogFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.format === 'csv') {
+      const logs = await exportAuditLogs(filter);
+
+      logger.adminAction('audit_log_exported', {
+        adminId: req.user._id,
+        adminEmail: req.user.email,
+        query: req.query,
+        rows: logs.length,
+        ip: req.ip,
+      });
+
+      const date = new Date().toISOString().split('T')[0];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+      return res.send(toAuditLogCsv(logs));
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: AUDIT_LOG.DEFAULT_LIMIT,
+      maxLimit: AUDIT_LOG.MAX_LIMIT,
+    });
+
+    const result = await queryAuditLogs(filter, page, limit);
 
-    // This would typically read from a logging service or database
-    // For now, we'll return a placeholder response
     logger.adminAction('system_logs_access', {
       adminId: req.user._id,
+      query: req.query,
       page,
       limit,
-      type,
     });
 
-    res.json({
-      message: 'System logs feature - integrate with your logging system',
-      filters: {
-        page,
-        limit,
-        type,
-      },
-    });
+    res.json(result);
   } catch (error) {
     logger.error('Admin get system logs error', {
       error: error.message,
@@ -511,12 +817,89 @@ const getSystemLogs = async (req, res) => {
   }
 };
 
+/**
+ * Get security settings
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await SiteSettings.getSettings();
+
+    res.json({
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+      enforceableRoles: TWO_FACTOR.ENFORCEABLE_ROLES,
+      updatedAt: settings.updatedAt,
+    });
+  } catch (error) {
+    logger.error('Admin get security settings error', {
+      error: error.message,
+      adminId: req.user._id,
+    });
+    res.status(500).json({ message: 'Error fetching security settings', error: error.message });
+  }
+};
+
+/**
+ * Update security settings (roles required to use two-factor authentication)
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const roles = [...new Set(req.body.twoFactorRequiredRoles)];
+
+    // An admin without 2FA would lock themselves out of the admin area
+    if (isInTwoFactorGroup(roles, req.user.permissions) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        message:
+          'Enable two-factor authentication on your own account before requiring it for your role',
+      });
+    }
+
+    const settings = await SiteSettings.getSettings();
+    const oldRoles = [...settings.twoFactorRequiredRoles];
+
+    settings.twoFactorRequiredRoles = roles;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    logger.adminAction('security_settings_updated', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      oldTwoFactorRequiredRoles: oldRoles,
+      newTwoFactorRequiredRoles: roles,
+      ip: req.ip,
+    });
+
+    res.json({
+      message: 'Security settings updated successfully',
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles,
+      enforceableRoles: TWO_FACTOR.ENFORCEABLE_ROLES,
+      updatedAt: settings.updatedAt,
+    });
+  } catch (error) {
+    logger.error('Admin update security settings error', {
+      error: error.message,
+      adminId: req.user._id,
+    });
+    res.status(500).json({ message: 'Error updating security settings', error: error.message });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getAllUsers,
   getUserDetails,
   updateUserRole,
   toggleUserSuspension,
+  unlockUserLogin,
   deleteUser,
+  previewBulkUserAction,
+  applyBulkUserAction,
+  startImpersonation,
   getSystemLogs,
+  getSecuritySettings,
+  updateSecuritySettings,
 };
@@ -1,13 +1,96 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const sessionService = require('../services/sessionService');
+const { revokeAllAccessTokens } = require('../services/accessTokenService');
 const logger = require('../utils/logger');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeEmail,
+  sendSecurityAlertEmail,
+} = require('../services/emailService');
+const {
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+  isTwoFactorRequired,
+} = require('../services/twoFactorService');
+const {
+  isGitHubOAuthConfigured,
+  createOAuthState,
+  verifyOAuthState,
+  fetchGitHubProfile,
+  findUserByGitHubId,
+  linkGitHubAccount,
+  createUserFromGitHub,
+  unlinkGitHubAccount,
+} = require('../services/githubOAuthService');
+const { buildAuthorizeUrl, buildFrontendRedirect } = require('../utils/githubOAuth');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockWithToken,
+  unlockAccount: clearLoginLockout,
+} = require('../services/loginProtectionService');
+const { generateBrowserNonce, isSameBrowser } = require('../utils/magicLinks');
+const { REUSED_PASSWORD_MESSAGE } = require('../utils/passwordValidator');
+const { GITHUB_OAUTH, SECURITY, TWO_FACTOR } = require('../config/constants');
 
 // Sensitive fields that should NEVER be returned in API responses
 const SENSITIVE_FIELDS =
   '-password -passwordResetToken -passwordResetExpires -emailVerificationToken -emailVerificationExpires';
 
+const LOGIN_THROTTLE_MESSAGES = {
+  account_locked:
+    'Too many failed login attempts. Logging in to this account is temporarily locked. If it is yours, check your email for a link to unlock it.',
+  ip_locked: 'Too many failed login attempts from your network. Please try again later.',
+  too_many_attempts: 'Too many failed login attempts. Please wait a moment before trying again.',
+};
+
+// Users who reported a sign-in that wasn't them must reset their password before any login
+const PASSWORD_RESET_REQUIRED_MESSAGE =
+  'For your security, you need to reset your password before logging in. Use the link we emailed you, or request a new one.';
+
+// Cookie carrying the challenge token of a GitHub sign-in that still needs a second factor,
+// so the token stays out of the redirect URL
+const TWO_FACTOR_CHALLENGE_COOKIE = 'twoFactorChallenge';
+const TWO_FACTOR_CHALLENGE_COOKIE_PATH = '/api/auth/2fa';
+
+// Reject a login attempt that is being throttled
+const sendLoginThrottled = (res, reason, retryAfterMs) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: LOGIN_THROTTLE_MESSAGES[reason],
+    reason,
+    retryAfter,
+    locked: reason !== 'too_many_attempts',
+  });
+};
+
+// Count a failed login, and reject with 429 instead of 401 if it caused a lockout
+const handleLoginFailure = async (req, res, email, message) => {
+  const failure = await recordLoginFailure(email, req.ip);
+  if (failure.accountLocked || failure.ipLocked) {
+    return sendLoginThrottled(
+      res,
+      failure.accountLocked ? 'account_locked' : 'ip_locked',
+      failure.retryAfterMs
+    );
+  }
+  return res.status(401).json({ message });
+};
+
+// Reject a password the user has used recently, in the same shape as the
+// express-validator errors the other password checks produce
+const sendRecentPasswordRejected = (res, field) =>
+  res.status(400).json({
+    errors: [{ type: 'field', msg: REUSED_PASSWORD_MESSAGE, path: field, location: 'body' }],
+  });
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -128,6 +211,71 @@ const register = async (req, res) => {
   }
 };
 
+// Create a session for a fully authenticated user and set the auth cookies
+const startSession = async (req, res, user, method) => {
+  const deviceInfo = {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  };
+
+  const sessionData = await sessionService.createSession(user._id, deviceInfo);
+
+  logger.authAttempt(true, {
+    userId: user._id,
+    email: user.email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    method,
+  });
+
+  // Set httpOnly cookies for secure token storage
+  res.cookie('accessToken', sessionData.accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 15 * 60 * 1000, // 15 minutes
+    path: '/',
+  });
+
+  res.cookie('refreshToken', sessionData.refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    path: '/api/auth',
+  });
+
+  return sessionData;
+};
+
+// Create a session for a fully authenticated user, set the auth cookies and
+// send the tokens and user summary
+const completeLogin = async (req, res, user, method) => {
+  const sessionData = await startSession(req, res, user, method);
+
+  // Users who must use 2FA but haven't enrolled are sent to set it up
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && (await isTwoFactorRequired(user));
+
+  // Still return tokens in response body for backward compatibility during transition
+  res.json({
+    accessToken: sessionData.accessToken,
+    refreshToken: sessionData.refreshToken,
+    expiresIn: sessionData.expiresIn,
+    user: {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      permissions: user.permissions,
+      isActive: user.isActive,
+      isSuspended: user.isSuspended,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      deletionScheduledFor: user.deletionScheduledFor || null,
+    },
+    ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+  });
+};
+
 // Login user
 const login = async (req, res) => {
   try {
@@ -138,6 +286,18 @@ const login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Refuse before checking the password while the account or IP is throttled
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      logger.authAttempt(false, {
+        email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reason: throttle.reason,
+      });
+      return sendLoginThrottled(res, throttle.reason, throttle.retryAfterMs);
+    }
+
     console.log('🔍 Login request body:', {
       email,
       passwordLength: password?.length,
@@ -156,7 +316,7 @@ const login = async (req, res) => {
         reason: 'user_not_found',
       });
       // Use generic error message to prevent user enumeration
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return handleLoginFailure(req, res, email, 'Invalid credentials');
     }
 
     // Check password
@@ -174,11 +334,26 @@ const login = async (req, res) => {
         reason: 'invalid_password',
       });
       // Use generic error message to prevent user enumeration
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return handleLoginFailure(req, res, email, 'Invalid credentials');
     }
 
     console.log('✅ Password matched for:', email);
 
+    // The user reported a sign-in that wasn't them, so the password may be known to someone else
+    if (user.passwordResetRequired) {
+      logger.authAttempt(false, {
+        userId: user._id,
+        email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reason: 'password_reset_required',
+      });
+      return res.status(403).json({
+        message: PASSWORD_RESET_REQUIRED_MESSAGE,
+        passwordResetRequired: true,
+      });
+    }
+
     // Check if email is verified
     // Skip verification check for pre-seeded test users (they have isEmailVerified: true)
     if (!user.isEmailVerified) {
@@ -196,57 +371,348 @@ const login = async (req, res) => {
       });
     }
 
-    // Create session with tokens
-    const deviceInfo = {
-      userAgent: req.get('User-Agent'),
+    // Hold back tokens until the user passes the second factor
+    // Failures aren't cleared yet, so guesses at the code keep counting against the account
+    if (user.twoFactor?.enabled) {
+      logger.securityEvent('TWO_FACTOR_CHALLENGE_ISSUED', {
+        userId: user._id,
+        email,
+        ip: req.ip,
+      });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user._id),
+      });
+    }
+
+    await recordLoginSuccess(email);
+    await completeLogin(req, res, user, 'login');
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+};
+
+// Complete a login that requires two-factor authentication
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, recoveryCode } = req.body;
+    // GitHub sign-ins pass the challenge in a cookie; password and link logins in the body
+    const challengeToken =
+      req.body.challengeToken || req.cookies?.[TWO_FACTOR_CHALLENGE_COOKIE] || '';
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      res.clearCookie(TWO_FACTOR_CHALLENGE_COOKIE, { path: TWO_FACTOR_CHALLENGE_COOKIE_PATH });
+      return res
+        .status(401)
+        .json({ message: 'Your sign-in attempt has expired. Please log in again.', expired: true });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.reason, throttle.retryAfterMs);
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result) {
+      logger.authAttempt(false, {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reason: 'invalid_two_factor_code',
+      });
+      return handleLoginFailure(req, res, user.email, 'Invalid verification code');
+    }
+
+    await recordLoginSuccess(user.email);
+
+    if (result.method === 'recovery_code') {
+      logger.securityEvent('TWO_FACTOR_RECOVERY_CODE_USED', {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+        remaining: result.remainingRecoveryCodes,
+      });
+    }
+
+    res.clearCookie(TWO_FACTOR_CHALLENGE_COOKIE, { path: TWO_FACTOR_CHALLENGE_COOKIE_PATH });
+    await completeLogin(req, res, user, `login_2fa_${result.method}`);
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying code', error: error.message });
+  }
+};
+
+// Cookie tying a GitHub OAuth callback to the browser that started the flow
+const GITHUB_STATE_COOKIE = 'githubOAuthState';
+
+const setGitHubStateCookie = (res, nonce) => {
+  res.cookie(GITHUB_STATE_COOKIE, nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax, so the cookie is sent on the redirect back from GitHub
+    sameSite: 'lax',
+    maxAge: GITHUB_OAUTH.STATE_COOKIE_MAX_AGE,
+    path: '/api/auth/github',
+  });
+};
+
+// Start signing in with GitHub: redirect the browser to GitHub's consent page
+const startGitHubLogin = (req, res) => {
+  if (!isGitHubOAuthConfigured()) {
+    return res.redirect(buildFrontendRedirect({ error: 'not_configured' }));
+  }
+
+  const { state, nonce } = createOAuthState('login');
+  setGitHubStateCookie(res, nonce);
+  res.redirect(buildAuthorizeUrl(state));
+};
+
+// Start linking GitHub to the signed-in account; the client sends the browser to the returned URL
+const startGitHubLink = async (req, res) => {
+  try {
+    if (!isGitHubOAuthConfigured()) {
+      return res.status(503).json({ message: 'GitHub sign-in is not configured' });
+    }
+
+    if (req.user.github?.id) {
+      return res.status(400).json({ message: 'A GitHub account is already linked' });
+    }
+
+    const { state, nonce } = createOAuthState('link', req.user._id);
+    setGitHubStateCookie(res, nonce);
+    res.json({ url: buildAuthorizeUrl(state) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting GitHub linking', error: error.message });
+  }
+};
+
+// Finish linking a GitHub account to the user who started the flow
+const finishGitHubLink = async (req, res, userId, profile) => {
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return res.redirect(buildFrontendRedirect({ error: 'invalid_state', mode: 'link' }));
+  }
+
+  const linkedUser = await findUserByGitHubId(profile.id);
+  if (linkedUser && !linkedUser._id.equals(user._id)) {
+    logger.securityEvent('GITHUB_LINK_REJECTED', {
+      userId: user._id,
+      githubId: profile.id,
+      reason: 'linked_to_another_account',
       ip: req.ip,
-    };
+    });
+    return res.redirect(buildFrontendRedirect({ error: 'github_in_use', mode: 'link' }));
+  }
+
+  await linkGitHubAccount(user, profile);
+  logger.securityEvent('GITHUB_LINKED', {
+    userId: user._id,
+    githubId: profile.id,
+    githubUsername: profile.login,
+    ip: req.ip,
+  });
+
+  res.redirect(buildFrontendRedirect({ status: 'linked' }));
+};
+
+// Sign in with a GitHub account, linking or registering a user if needed
+const finishGitHubLogin = async (req, res, profile) => {
+  let user = await findUserByGitHubId(profile.id);
+
+  if (!user) {
+    // Without a verified address there's nothing to match or register the account by
+    if (!profile.email) {
+      return res.redirect(buildFrontendRedirect({ error: 'email_unverified' }));
+    }
 
-    const sessionData = await sessionService.createSession(user._id, deviceInfo);
+    const existingUser = await User.findOne({ email: profile.email });
+    if (existingUser) {
+      // Only link automatically when both sides have proven they own the address
+      if (!existingUser.isEmailVerified || existingUser.github?.id) {
+        logger.authAttempt(false, {
+          userId: existingUser._id,
+          email: profile.email,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          reason: 'github_email_in_use',
+        });
+        return res.redirect(buildFrontendRedirect({ error: 'email_in_use' }));
+      }
+
+      user = await linkGitHubAccount(existingUser, profile);
+      logger.securityEvent('GITHUB_LINKED', {
+        userId: user._id,
+        githubId: profile.id,
+        githubUsername: profile.login,
+        matchedBy: 'email',
+        ip: req.ip,
+      });
+    } else {
+      user = await createUserFromGitHub(profile);
+      logger.info(`User registered with GitHub: ${user._id}`);
+    }
+  }
 
-    logger.authAttempt(true, {
+  if (!user.isActive) {
+    logger.authAttempt(false, {
       userId: user._id,
-      email,
+      email: user.email,
       ip: req.ip,
       userAgent: req.get('User-Agent'),
-      method: 'login',
+      reason: 'account_inactive',
     });
+    return res.redirect(buildFrontendRedirect({ error: 'account_disabled' }));
+  }
 
-    // Set httpOnly cookies for secure token storage
-    res.cookie('accessToken', sessionData.accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 15 * 60 * 1000, // 15 minutes
-      path: '/',
+  if (user.passwordResetRequired) {
+    logger.authAttempt(false, {
+      userId: user._id,
+      email: user.email,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      reason: 'password_reset_required',
     });
+    return res.redirect(buildFrontendRedirect({ error: 'password_reset_required' }));
+  }
 
-    res.cookie('refreshToken', sessionData.refreshToken, {
+  // GitHub stands in for the password step only; the second factor is still required
+  if (user.twoFactor?.enabled) {
+    logger.securityEvent('TWO_FACTOR_CHALLENGE_ISSUED', {
+      userId: user._id,
+      email: user.email,
+      ip: req.ip,
+    });
+    res.cookie(TWO_FACTOR_CHALLENGE_COOKIE, createChallengeToken(user._id), {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/api/auth',
+      maxAge: TWO_FACTOR.CHALLENGE_COOKIE_MAX_AGE,
+      path: TWO_FACTOR_CHALLENGE_COOKIE_PATH,
     });
+    return res.redirect(buildFrontendRedirect({ twoFactorRequired: 'true' }));
+  }
 
-    // Still return tokens in response body for backward compatibility during transition
-    res.json({
-      accessToken: sessionData.accessToken,
-      refreshToken: sessionData.refreshToken,
-      expiresIn: sessionData.expiresIn,
-      user: {
-        id: user._id,
-        email: user.email,
-        username: user.username,
-        role: user.role,
-        permissions: user.permissions,
-        isActive: user.isActive,
-        isSuspended: user.isSuspended,
-      },
+  await startSession(req, res, user, 'github');
+
+  const twoFactorSetupRequired = await isTwoFactorRequired(user);
+  res.redirect(
+    buildFrontendRedirect({
+      status: 'success',
+      ...(twoFactorSetupRequired && { twoFactorSetupRequired: 'true' }),
+    })
+  );
+};
+
+// GitHub redirects here after the user approves (or declines) the app
+const githubCallback = async (req, res) => {
+  const nonce = req.cookies?.[GITHUB_STATE_COOKIE];
+  res.clearCookie(GITHUB_STATE_COOKIE, { path: '/api/auth/github' });
+
+  const state = verifyOAuthState(req.query.state, nonce);
+  if (!state) {
+    logger.securityEvent('GITHUB_OAUTH_INVALID_STATE', { ip: req.ip });
+    return res.redirect(buildFrontendRedirect({ error: 'invalid_state' }));
+  }
+
+  if (req.query.error || !req.query.code) {
+    return res.redirect(buildFrontendRedirect({ error: 'access_denied', mode: state.mode }));
+  }
+
+  let profile;
+  try {
+    profile = await fetchGitHubProfile(req.query.code);
+  } catch (error) {
+    logger.error('GitHub OAuth exchange failed:', { error: error.message });
+    return res.redirect(buildFrontendRedirect({ error: 'github_unavailable', mode: state.mode }));
+  }
+
+  try {
+    if (state.mode === 'link') {
+      return await finishGitHubLink(req, res, state.userId, profile);
+    }
+    await finishGitHubLogin(req, res, profile);
+  } catch (error) {
+    logger.error('GitHub sign-in error:', { error: error.message, stack: error.stack });
+    res.redirect(buildFrontendRedirect({ error: 'server_error', mode: state.mode }));
+  }
+};
+
+// Unlink GitHub from the current user
+const unlinkGitHub = async (req, res) => {
+  try {
+    if (!req.user.github?.id) {
+      return res.status(400).json({ message: 'No GitHub account is linked' });
+    }
+
+    // Accounts registered with GitHub would have no way to sign in
+    if (!req.user.hasPassword) {
+      return res.status(400).json({
+        message: 'Set a password with "Forgot password" before unlinking GitHub',
+        needsPassword: true,
+      });
+    }
+
+    await unlinkGitHubAccount(req.user._id);
+    logger.securityEvent('GITHUB_UNLINKED', {
+      userId: req.user._id,
+      githubId: req.user.github.id,
+      ip: req.ip,
     });
+
+    res.json({ message: 'GitHub account unlinked' });
   } catch (error) {
-    res.status(500).json({ message: 'Error logging in', error: error.message });
+    res.status(500).json({ message: 'Error unlinking GitHub account', error: error.message });
+  }
+};
+
+// Apply a confirmed email change and sign out everywhere except the session that asked for it
+const confirmEmailChange = async (req, res, user) => {
+  const oldEmail = user.email;
+  const newEmail = user.pendingEmail;
+  const keepSessionId = user.pendingEmailSessionId;
+
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.pendingEmail = undefined;
+  user.pendingEmailSessionId = undefined;
+
+  // Someone may have registered the address since the change was requested
+  if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+    await user.save();
+    return res.status(400).json({
+      message: 'That email address is now used by another account. Please choose another.',
+    });
   }
+
+  user.email = newEmail;
+  user.isEmailVerified = true;
+  await user.save();
+
+  await sessionService.revokeOtherUserSessions(user._id, keepSessionId, 'email_change');
+
+  logger.securityEvent('EMAIL_CHANGED', {
+    userId: user._id,
+    oldEmail,
+    newEmail,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  res.json({
+    message: 'Your email address has been changed. You have been signed out on other devices.',
+    emailChanged: true,
+  });
 };
 
 // Verify email
@@ -264,7 +730,7 @@ const verifyEmail = async (req, res) => {
     const user = await User.findOne({
       emailVerificationToken: token,
       emailVerificationExpires: { $gt: Date.now() },
-    });
+    }).select('+pendingEmail +pendingEmailSessionId');
 
     if (!user) {
       return res.status(400).json({
@@ -272,6 +738,11 @@ const verifyEmail = async (req, res) => {
       });
     }
 
+    // The token confirms a change of address rather than a new account
+    if (user.pendingEmail) {
+      return await confirmEmailChange(req, res, user);
+    }
+
     // Mark email as verified
     user.isEmailVerified = true;
     user.emailVerificationToken = undefined;
@@ -300,6 +771,11 @@ const resendVerificationEmail = async (req, res) => {
       return res.status(400).json({ message: 'Email is already verified' });
     }
 
+    // The token is shared with email changes, so a new one for the current
+    // address cancels any change still waiting for confirmation
+    user.pendingEmail = undefined;
+    user.pendingEmailSessionId = undefined;
+
     // Generate new verification token
     const verificationToken = user.generateEmailVerificationToken();
     await user.save();
@@ -375,6 +851,162 @@ const requestPasswordReset = async (req, res) => {
   }
 };
 
+// Cookie tying a login link to the browser that requested it
+const MAGIC_LINK_COOKIE = 'magicLinkBrowser';
+const MAGIC_LINK_COOKIE_PATH = '/api/auth/magic-link';
+
+// Email a one-time login link
+const requestMagicLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    const genericResponse = {
+      message: 'If an account with that email exists, a login link has been sent.',
+    };
+
+    // Set the cookie whether or not the account exists, so responses don't reveal it
+    const browserNonce = generateBrowserNonce();
+    res.cookie(MAGIC_LINK_COOKIE, browserNonce, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: SECURITY.MAGIC_LINK_TOKEN_EXPIRY,
+      path: MAGIC_LINK_COOKIE_PATH,
+    });
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const loginToken = user.generateMagicLinkToken(browserNonce);
+    await user.save();
+
+    logger.securityEvent('MAGIC_LINK_REQUESTED', {
+      userId: user._id,
+      email,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    // In development mode, return the link directly for testing
+    if (process.env.NODE_ENV === 'development') {
+      const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-link?token=${loginToken}`;
+      logger.debug(`Development mode: Login link generated for ${email}`);
+      logger.debug(`Login URL: ${loginUrl}`);
+
+      return res.json({
+        message: 'Login link generated successfully (development mode)',
+        loginToken, // Only in development
+        loginUrl,
+      });
+    }
+
+    const emailSent = await sendMagicLinkEmail(email, loginToken, user.username);
+    if (!emailSent) {
+      return res.status(500).json({
+        message: 'Failed to send login link email. Please try again later.',
+      });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error('Error requesting login link:', { error: error.message, stack: error.stack });
+    res.status(500).json({ message: 'Error requesting login link', error: error.message });
+  }
+};
+
+// Log in with a one-time login link
+const verifyMagicLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token } = req.body;
+    const invalidLinkResponse = {
+      message: 'This login link is invalid or has expired. Please request a new one.',
+    };
+
+    const user = await User.findOne({
+      magicLinkToken: token,
+      magicLinkExpires: { $gt: Date.now() },
+    }).select('+magicLinkBrowserHash');
+
+    if (!user) {
+      return res.status(400).json(invalidLinkResponse);
+    }
+
+    // A leaked link is useless without the cookie of the browser that asked for it
+    if (!isSameBrowser(user.magicLinkBrowserHash, req.cookies?.[MAGIC_LINK_COOKIE])) {
+      logger.securityEvent('MAGIC_LINK_BROWSER_MISMATCH', {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+      return res.status(400).json({
+        message: 'Open this login link in the same browser you requested it from.',
+        differentBrowser: true,
+      });
+    }
+
+    // Consume the token atomically so the link can't be used twice, even concurrently.
+    // Using the link also proves the user controls the address
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, magicLinkToken: token },
+      {
+        $unset: { magicLinkToken: 1, magicLinkExpires: 1, magicLinkBrowserHash: 1 },
+        $set: { isEmailVerified: true },
+      }
+    );
+    if (modifiedCount === 0) {
+      return res.status(400).json(invalidLinkResponse);
+    }
+    res.clearCookie(MAGIC_LINK_COOKIE, { path: MAGIC_LINK_COOKIE_PATH });
+
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.passwordResetRequired) {
+      logger.authAttempt(false, {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reason: 'password_reset_required',
+      });
+      return res.status(403).json({
+        message: PASSWORD_RESET_REQUIRED_MESSAGE,
+        passwordResetRequired: true,
+      });
+    }
+
+    // The link replaces the password step only; the second factor is still required
+    if (user.twoFactor?.enabled) {
+      logger.securityEvent('TWO_FACTOR_CHALLENGE_ISSUED', {
+        userId: user._id,
+        email: user.email,
+        ip: req.ip,
+      });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user._id),
+      });
+    }
+
+    await completeLogin(req, res, user, 'magic_link');
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging in with link', error: error.message });
+  }
+};
+
 // Verify password reset token
 const verifyPasswordResetToken = async (req, res) => {
   try {
@@ -413,7 +1045,7 @@ const resetPassword = async (req, res) => {
     const user = await User.findOne({
       passwordResetToken: token,
       passwordResetExpires: { $gt: Date.now() },
-    });
+    }).select('+passwordHistory');
 
     if (!user) {
       return res.status(400).json({
@@ -421,14 +1053,24 @@ const resetPassword = async (req, res) => {
       });
     }
 
+    if (await user.isRecentPassword(password)) {
+      return sendRecentPasswordRejected(res, 'password');
+    }
+
     // Update password
     user.password = password;
     user.markModified('password'); // Explicitly mark password as modified
+    user.hasPassword = true;
+    user.passwordResetRequired = false;
     user.clearPasswordResetToken();
     await user.save();
 
-    // Revoke all existing sessions when password is changed
+    // Revoke all existing sessions and access tokens when password is changed
     await sessionService.revokeAllUserSessions(user._id, 'password_change');
+    await revokeAllAccessTokens(user._id);
+
+    // Resetting proves the user owns the email, so lift any login lockout too
+    await clearLoginLockout(user.email);
 
     logger.securityEvent('PASSWORD_RESET', {
       userId: user._id,
@@ -448,11 +1090,53 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// Lift a login lockout using the link from the lockout email
+const unlockAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = await unlockWithToken(req.body.token);
+    if (!email) {
+      return res.status(400).json({ message: 'Invalid or expired unlock link' });
+    }
+
+    logger.securityEvent('ACCOUNT_UNLOCKED', {
+      email,
+      method: 'email_link',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({ message: 'Your account has been unlocked. You can log in again.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unlocking account', error: error.message });
+  }
+};
+
 // Get current user
 const getCurrentUser = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select(SENSITIVE_FIELDS);
-    res.json(user);
+    const user = await User.findById(req.user._id).select(`${SENSITIVE_FIELDS} +pendingEmail`);
+
+    if (!req.impersonator) {
+      return res.json(user);
+    }
+
+    // Lets the client show who is really signed in
+    res.json({
+      ...user.toJSON(),
+      impersonation: {
+        by: {
+          id: req.impersonator._id,
+          username: req.impersonator.username,
+          email: req.impersonator.email,
+        },
+        endsAt: req.impersonationEndsAt,
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching user', error: error.message });
   }
@@ -486,13 +1170,25 @@ const refreshToken = async (req, res) => {
       path: '/',
     });
 
-    // Still return token in response body for backward compatibility
+    // The refresh token rotates on every refresh
+    res.cookie('refreshToken', sessionData.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      path: '/api/auth',
+    });
+
+    // Still return tokens in response body for backward compatibility
     res.json({
       accessToken: sessionData.accessToken,
+      refreshToken: sessionData.refreshToken,
       expiresIn: sessionData.expiresIn,
     });
   } catch (error) {
     logger.error('Token refresh error:', { error: error.message });
+    res.clearCookie('accessToken', { path: '/' });
+    res.clearCookie('refreshToken', { path: '/api/auth' });
     res.status(401).json({ message: 'Invalid or expired refresh token' });
   }
 };
@@ -523,6 +1219,53 @@ const logout = async (req, res) => {
   }
 };
 
+// End an impersonation session and switch back to the admin's own session
+const endImpersonation = async (req, res) => {
+  try {
+    const token = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (!token) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.endImpersonationSession(token, {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+    });
+
+    if (!result) {
+      return res.status(400).json({ message: 'Not an active impersonation session' });
+    }
+
+    if (!result.adminSession) {
+      // The admin's own session has ended in the meantime, so they need to sign in again
+      res.clearCookie('accessToken', { path: '/' });
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+      return res.json({ message: 'Impersonation ended', signInRequired: true });
+    }
+
+    res.cookie('accessToken', result.adminSession.accessToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 15 * 60 * 1000, // 15 minutes
+      path: '/',
+    });
+
+    res.cookie('refreshToken', result.adminSession.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      path: '/api/auth',
+    });
+
+    res.json({ message: 'Impersonation ended', signInRequired: false });
+  } catch (error) {
+    logger.error('End impersonation error:', { error: error.message });
+    res.status(500).json({ message: 'Error ending impersonation' });
+  }
+};
+
 // Logout from all devices
 const logoutAll = async (req, res) => {
   try {
@@ -554,13 +1297,136 @@ const getActiveSessions = async (req, res) => {
     const userId = req.user._id;
     const sessions = await sessionService.getUserSessions(userId);
 
-    res.json(sessions);
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        id: session._id,
+        isCurrent: !!req.sessionId && session._id.equals(req.sessionId),
+      }))
+    );
   } catch (error) {
     logger.error('Get sessions error:', { error: error.message });
     res.status(500).json({ message: 'Error fetching active sessions' });
   }
 };
 
+// Name a session, e.g. "Work laptop"
+const renameSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await sessionService.renameSession(
+      req.user._id,
+      req.params.id,
+      req.body.name || ''
+    );
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      ...session.toObject(),
+      id: session._id,
+      isCurrent: !!req.sessionId && session._id.equals(req.sessionId),
+    });
+  } catch (error) {
+    logger.error('Rename session error:', { error: error.message });
+    res.status(500).json({ message: 'Error renaming session' });
+  }
+};
+
+// Sign out a reported session and make the user choose a new password, since whoever
+// signed in may know the current one
+const secureAccountAfterReport = async (req, res, session) => {
+  const user = await User.findById(session.userId);
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  if (session.isActive) {
+    await session.revoke('reported_by_user');
+  }
+  await Session.updateOne({ _id: session._id }, { $unset: { reportTokenHash: 1 } });
+  // Tokens could have been created from the reported session
+  await revokeAllAccessTokens(user._id);
+
+  user.passwordResetRequired = true;
+  const resetToken = user.generatePasswordResetToken();
+  await user.save();
+
+  logger.securityEvent('SESSION_REPORTED_BY_USER', {
+    userId: user._id,
+    sessionId: session._id,
+    sessionIp: session.deviceInfo?.ip,
+    sessionUserAgent: session.deviceInfo?.userAgent,
+    ip: req.ip,
+    severity: 'high',
+  });
+
+  const response = {
+    message:
+      "We've signed out that session. For your security, choose a new password using the link we've emailed you before logging in with a password again.",
+    passwordResetRequired: true,
+  };
+
+  // In development mode, return the reset token directly for testing
+  if (process.env.NODE_ENV === 'development') {
+    return res.json({ ...response, resetToken });
+  }
+
+  await sendPasswordResetEmail(user.email, resetToken, user.username);
+  res.json(response);
+};
+
+// Report one of your own sessions as not you, from the session list
+const reportSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.sessionId && req.sessionId.equals(req.params.id)) {
+      return res.status(400).json({ message: "You can't report the session you're using" });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await secureAccountAfterReport(req, res, session);
+  } catch (error) {
+    logger.error('Report session error:', { error: error.message });
+    res.status(500).json({ message: 'Error reporting session' });
+  }
+};
+
+// Report a session with the "this wasn't me" link from a new sign-in alert
+const reportSessionByToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await sessionService.findSessionByReportToken(req.body.token);
+    if (!session) {
+      return res.status(400).json({
+        message: 'This link is invalid or has already been used',
+      });
+    }
+
+    await secureAccountAfterReport(req, res, session);
+  } catch (error) {
+    logger.error('Report session by link error:', { error: error.message });
+    res.status(500).json({ message: 'Error reporting session' });
+  }
+};
+
 // Change password (revokes all sessions)
 const changePassword = async (req, res) => {
   try {
@@ -572,7 +1438,7 @@ const changePassword = async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user._id;
 
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -588,13 +1454,19 @@ const changePassword = async (req, res) => {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    if (await user.isRecentPassword(newPassword)) {
+      return sendRecentPasswordRejected(res, 'newPassword');
+    }
+
     // Update password
     user.password = newPassword;
     user.markModified('password');
+    user.passwordResetRequired = false;
     await user.save();
 
-    // Revoke all existing sessions
+    // Revoke all existing sessions and access tokens
     await sessionService.revokeAllUserSessions(userId, 'password_change');
+    await revokeAllAccessTokens(userId);
 
     logger.securityEvent('PASSWORD_CHANGED', {
       userId,
@@ -612,18 +1484,128 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Ask to change the account email; nothing changes until the new address is confirmed
+const requestEmailChange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      logger.securityEvent('INVALID_EMAIL_CHANGE_ATTEMPT', {
+        userId: user._id,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+      });
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    user.pendingEmail = newEmail;
+    user.pendingEmailSessionId = req.sessionId;
+    const verificationToken = user.generateEmailVerificationToken();
+    await user.save();
+
+    const emailSent = await sendEmailChangeEmail(newEmail, verificationToken, user.username);
+    if (!emailSent) {
+      return res.status(500).json({
+        message: 'Failed to send confirmation email. Please try again later.',
+      });
+    }
+
+    // Let the current address know, in case someone else is trying to take over the account
+    await sendSecurityAlertEmail(user.email, user.username, {
+      title: 'Email change requested',
+      message: `Someone asked to change the email address on your account to ${newEmail}. It will only change once the new address is confirmed. If this wasn't you, change your password now.`,
+      path: '/settings',
+    });
+
+    logger.securityEvent('EMAIL_CHANGE_REQUESTED', {
+      userId: user._id,
+      email: user.email,
+      newEmail,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.json({
+      message: `We sent a confirmation link to ${newEmail}. Your email will change once you confirm it.`,
+      pendingEmail: newEmail,
+    });
+  } catch (error) {
+    logger.error('Request email change error:', { error: error.message });
+    res.status(500).json({ message: 'Error requesting email change' });
+  }
+};
+
+// Cancel a pending email change
+const cancelEmailChange = async (req, res) => {
+  try {
+    const { modifiedCount } = await User.updateOne(
+      { _id: req.user._id, pendingEmail: { $exists: true } },
+      {
+        $unset: {
+          pendingEmail: 1,
+          pendingEmailSessionId: 1,
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1,
+        },
+      }
+    );
+    if (modifiedCount === 0) {
+      return res.status(400).json({ message: 'There is no pending email change' });
+    }
+
+    logger.securityEvent('EMAIL_CHANGE_CANCELLED', { userId: req.user._id, ip: req.ip });
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling email change', error: error.message });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  startGitHubLogin,
+  startGitHubLink,
+  githubCallback,
+  unlinkGitHub,
   logout,
   logoutAll,
+  endImpersonation,
   refreshToken,
   changePassword,
   getActiveSessions,
+  renameSession,
+  reportSession,
+  reportSessionByToken,
   verifyEmail,
   resendVerificationEmail,
   getCurrentUser,
   requestPasswordReset,
   verifyPasswordResetToken,
   resetPassword,
+  unlockAccount,
+  requestMagicLink,
+  verifyMagicLink,
+  requestEmailChange,
+  cancelEmailChange,
 };
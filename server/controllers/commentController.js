@@ -1,8 +1,89 @@
 const { validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Project = require('../models/Project');
+const {
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage
+} = require('../utils/pagination');
+const { COMMENTS, MODERATION } = require('../config/constants');
+const { resolveMentions, notifyMentions } = require('../services/mentionService');
+const { createNotifications } = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const { getProjectMemberIds } = require('../utils/projectAccess');
+const { toIdSet, hideMutedComment } = require('../utils/blocking');
 
-// Create comment
+const MENTION_FIELDS = '_id username';
+
+// Shape a comment for responses; deleted placeholders don't reveal their author
+// and comments hidden by a moderator keep theirs but not their content
+const toCommentResponse = (comment) => {
+  const data = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+  if (data.isDeleted) {
+    return { ...data, userId: null, content: COMMENTS.DELETED_PLACEHOLDER, mentions: [] };
+  }
+  if (data.isHidden) {
+    return { ...data, content: MODERATION.HIDDEN_COMMENT_PLACEHOLDER, mentions: [] };
+  }
+  return data;
+};
+
+// Fetch one cursor page of comments matching the filter
+// Top-level comments are listed newest first, replies oldest first
+const findCommentPage = async (req, filter, direction, defaultLimit) => {
+  const limit = parseLimit(req.query.limit, {
+    defaultLimit,
+    maxLimit: COMMENTS.MAX_LIMIT
+  });
+
+  let cursorFilter = {};
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) return null;
+    cursorFilter = buildCursorFilter('createdAt', cursor, direction);
+  }
+
+  const docs = await Comment.find({ ...filter, ...cursorFilter })
+    .populate('userId', 'username email')
+    .populate('mentions', MENTION_FIELDS)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const mutedIds = toIdSet(req.user?.mutedUsers);
+  const { items, pagination } = buildCursorPage(docs, limit, (doc) => doc.createdAt);
+  return {
+    comments: items.map((comment) => hideMutedComment(toCommentResponse(comment), mutedIds)),
+    pagination
+  };
+};
+
+// Push a comment change to the project's members and the comment's author
+const publishCommentEvent = (project, event, authorId, data) => {
+  realtimeService.publish([...getProjectMemberIds(project), authorId], event, {
+    projectId: project._id,
+    ...data
+  });
+};
+
+// Walk up the thread after a reply is removed, dropping deleted placeholders
+// that no longer have any replies to hold together
+const pruneDeletedAncestors = async (parentId) => {
+  let currentId = parentId;
+  while (currentId) {
+    const parent = await Comment.findByIdAndUpdate(
+      currentId,
+      { $inc: { replyCount: -1 } },
+      { new: true }
+    );
+    if (!parent || !parent.isDeleted || parent.replyCount > 0) return;
+
+    await parent.deleteOne();
+    currentId = parent.parentId;
+  }
+};
+
+// Create comment (or a reply when parentId is given)
 const createComment = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -10,7 +91,7 @@ const createComment = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { content } = req.body;
+    const { content, parentId } = req.body;
     const projectId = req.params.projectId;
     const userId = req.user._id;
 
@@ -20,24 +101,84 @@ const createComment = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, projectId });
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      if (parent.isDeleted) {
+        return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
+      }
+      if (parent.depth >= COMMENTS.MAX_DEPTH) {
+        return res.status(400).json({
+          message: `Replies cannot be nested more than ${COMMENTS.MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const mentionedUsers = await resolveMentions(content, req.user._id);
+
     const comment = new Comment({
       content,
       projectId,
-      userId
+      userId,
+      mentions: mentionedUsers.map((user) => user._id),
+      parentId: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0
     });
 
     await comment.save();
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
     await comment.populate('userId', 'username email');
+    await comment.populate('mentions', MENTION_FIELDS);
 
     res.status(201).json(comment);
+    publishCommentEvent(project, 'comment:created', userId, { comment });
+
+    // Notify after responding so slow email delivery doesn't hold up the request
+    notifyMentions(mentionedUsers, {
+      authorId: userId,
+      authorName: req.user.username,
+      where: `a comment on "${project.title}"`,
+      path: `/projects/${projectId}`,
+      excerpt: content,
+      projectId: project._id,
+      projectTitle: project.title
+    });
+
+    // Mentioned users already get a mention notification for this comment
+    const mentionedIds = new Set(mentionedUsers.map((user) => user._id.toString()));
+    const activity = [
+      parent && parent.userId && { recipient: parent.userId, type: 'comment_reply' },
+      { recipient: project.owner, type: 'comment' }
+    ].filter((item) => item && !mentionedIds.has(item.recipient.toString()));
+
+    createNotifications(
+      activity.map((item) => ({
+        ...item,
+        actor: userId,
+        link: `/projects/${projectId}`,
+        projectId: project._id,
+        actorName: req.user.username,
+        projectTitle: project.title
+      }))
+    );
   } catch (error) {
     res.status(500).json({ message: 'Error creating comment', error: error.message });
   }
 };
 
-// Get comments for a project
+// Get top-level comments for a project (cursor paginated)
 const getProjectComments = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const projectId = req.params.projectId;
 
     // Check if project exists
@@ -46,16 +187,53 @@ const getProjectComments = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
-    const comments = await Comment.find({ projectId })
-      .populate('userId', 'username email')
-      .sort({ createdAt: -1 });
+    const page = await findCommentPage(
+      req,
+      { projectId, parentId: null },
+      -1,
+      COMMENTS.DEFAULT_LIMIT
+    );
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    res.json(comments);
+    res.json(page);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching comments', error: error.message });
   }
 };
 
+// Get replies to a comment (cursor paginated, loaded on demand)
+const getCommentReplies = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { projectId, commentId } = req.params;
+
+    const parent = await Comment.exists({ _id: commentId, projectId });
+    if (!parent) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const page = await findCommentPage(
+      req,
+      { projectId, parentId: commentId },
+      1,
+      COMMENTS.REPLIES_DEFAULT_LIMIT
+    );
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json(page);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching replies', error: error.message });
+  }
+};
+
 // Update comment
 const updateComment = async (req, res) => {
   try {
@@ -68,7 +246,12 @@ const updateComment = async (req, res) => {
     const commentId = req.params.commentId;
     const userId = req.user._id;
 
-    const comment = await Comment.findById(commentId);
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, projectId: project._id });
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
@@ -78,24 +261,58 @@ const updateComment = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this comment' });
     }
 
+    if (comment.isDeleted) {
+      return res.status(400).json({ message: 'Deleted comments cannot be edited' });
+    }
+
+    if (comment.isHidden) {
+      return res.status(400).json({ message: 'Comments hidden by a moderator cannot be edited' });
+    }
+
+    // Only users newly mentioned by the edit are notified
+    const previousMentions = new Set(comment.mentions.map((id) => id.toString()));
+    const mentionedUsers = await resolveMentions(content, req.user._id);
+
     comment.content = content;
+    comment.mentions = mentionedUsers.map((user) => user._id);
     await comment.save();
     await comment.populate('userId', 'username email');
+    await comment.populate('mentions', MENTION_FIELDS);
 
     res.json(comment);
+    publishCommentEvent(project, 'comment:updated', userId, { comment });
+
+    notifyMentions(
+      mentionedUsers.filter((user) => !previousMentions.has(user._id.toString())),
+      {
+        authorId: userId,
+        authorName: req.user.username,
+        where: `a comment on "${project.title}"`,
+        path: `/projects/${project._id}`,
+        excerpt: content,
+        projectId: project._id,
+        projectTitle: project.title
+      }
+    );
   } catch (error) {
     res.status(500).json({ message: 'Error updating comment', error: error.message });
   }
 };
 
 // Delete comment
+// Comments with replies become a "[deleted]" placeholder so the thread stays intact
 const deleteComment = async (req, res) => {
   try {
     const commentId = req.params.commentId;
     const userId = req.user._id;
 
-    const comment = await Comment.findById(commentId);
-    if (!comment) {
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, projectId: project._id });
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
@@ -104,8 +321,26 @@ const deleteComment = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
 
+    if (comment.replyCount > 0) {
+      comment.isDeleted = true;
+      comment.content = COMMENTS.DELETED_PLACEHOLDER;
+      comment.deletedAt = new Date();
+      await comment.save();
+
+      const placeholder = toCommentResponse(comment);
+      res.json({ message: 'Comment deleted successfully', comment: placeholder });
+      publishCommentEvent(project, 'comment:updated', userId, { comment: placeholder });
+      return;
+    }
+
     await comment.deleteOne();
+    await pruneDeletedAncestors(comment.parentId);
+
     res.json({ message: 'Comment deleted successfully' });
+    publishCommentEvent(project, 'comment:deleted', userId, {
+      commentId: comment._id,
+      parentId: comment.parentId
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting comment', error: error.message });
   }
@@ -114,6 +349,7 @@ const deleteComment = async (req, res) => {
 module.exports = {
   createComment,
   getProjectComments,
+  getCommentReplies,
   updateComment,
   deleteComment
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,248 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const {
+  PARTICIPANT_FIELDS,
+  getOrCreateConversation,
+  sendDirectMessage,
+  announceDirectMessage,
+  markConversationRead,
+  toConversationSummary,
+} = require('../services/conversationService');
+const { hasBlockBetween } = require('../services/blockService');
+const {
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { getUnreadCount } = require('../utils/conversations');
+const { hideModeratedMessage } = require('../utils/moderation');
+const { CONVERSATIONS } = require('../config/constants');
+
+// Load a conversation the current user takes part in, or null
+const findOwnConversation = (conversationId, userId) =>
+  Conversation.findOne({ _id: conversationId, participants: userId });
+
+// Get the current user's conversations, most recently active first (cursor paginated)
+const getConversations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user._id;
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: CONVERSATIONS.DEFAULT_LIMIT,
+      maxLimit: CONVERSATIONS.MAX_LIMIT,
+    });
+
+    // Conversations without messages yet are left out
+    const filter = { participants: userId, lastMessageAt: { $ne: null } };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      filter.$and = [buildCursorFilter('lastMessageAt', cursor, -1)];
+    }
+
+    const docs = await Conversation.find(filter)
+      .populate('participants', PARTICIPANT_FIELDS)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, pagination } = buildCursorPage(docs, limit, (doc) => doc.lastMessageAt);
+    res.json({
+      conversations: items.map((conversation) => toConversationSummary(conversation, userId)),
+      pagination,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching conversations', error: error.message });
+  }
+};
+
+// Get the total number of unread messages across the current user's conversations
+const getUnreadMessageCount = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const conversations = await Conversation.find({ participants: userId })
+      .select('unreadCounts')
+      .lean();
+
+    const count = conversations.reduce(
+      (total, conversation) => total + getUnreadCount(conversation.unreadCounts, userId),
+      0
+    );
+    res.json({ count });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching unread count', error: error.message });
+  }
+};
+
+// Get a single conversation
+const getConversation = async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(
+      req.params.conversationId,
+      req.user._id
+    ).populate('participants', PARTICIPANT_FIELDS);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.json(toConversationSummary(conversation, req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching conversation', error: error.message });
+  }
+};
+
+// Start a conversation with another user (or continue the existing one) with a first message
+const startConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { recipientId, content } = req.body;
+    if (req.user._id.equals(recipientId)) {
+      return res.status(400).json({ message: 'You cannot message yourself' });
+    }
+
+    const recipient = await User.findById(recipientId);
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({ message: 'Recipient not found' });
+    }
+    if (!recipient.isProfilePublic) {
+      return res.status(403).json({ message: 'Cannot send message to private profile' });
+    }
+    if (await hasBlockBetween(req.user._id, recipient._id)) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+
+    const conversation = await getOrCreateConversation([req.user._id, recipient._id]);
+    const sent = await sendDirectMessage({
+      sender: req.user,
+      recipientId: recipient._id,
+      content,
+      conversation,
+    });
+
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+    res.status(201).json({
+      conversation: toConversationSummary(conversation, req.user._id),
+      message: sent.message,
+    });
+    announceDirectMessage(sent, req.user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting conversation', error: error.message });
+  }
+};
+
+// Get the messages in a conversation, newest first (cursor paginated)
+const getConversationMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await findOwnConversation(req.params.conversationId, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: CONVERSATIONS.MESSAGES_DEFAULT_LIMIT,
+      maxLimit: CONVERSATIONS.MESSAGES_MAX_LIMIT,
+    });
+
+    const filter = { conversation: conversation._id };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(filter, buildCursorFilter('createdAt', cursor, -1));
+    }
+
+    const docs = await Message.find(filter)
+      .populate('sender', PARTICIPANT_FIELDS)
+      .populate('recipient', PARTICIPANT_FIELDS)
+      .populate('mentions', '_id username')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, pagination } = buildCursorPage(docs, limit, (doc) => doc.createdAt);
+    res.json({
+      messages: items.map((message) => hideModeratedMessage(message.toObject())),
+      pagination,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching messages', error: error.message });
+  }
+};
+
+// Send a message in a conversation
+const sendConversationMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await findOwnConversation(req.params.conversationId, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const recipientId = conversation.participants.find((id) => !id.equals(req.user._id));
+    const recipient = recipientId && (await User.findById(recipientId));
+    if (!recipient || !recipient.isActive) {
+      return res.status(403).json({ message: 'This user can no longer receive messages' });
+    }
+    if (await hasBlockBetween(req.user._id, recipient._id)) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+
+    const sent = await sendDirectMessage({
+      sender: req.user,
+      recipientId: recipient._id,
+      content: req.body.content,
+      conversation,
+    });
+
+    res.status(201).json(sent.message);
+    announceDirectMessage(sent, req.user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending message', error: error.message });
+  }
+};
+
+// Mark every message the current user received in a conversation as read
+const markAsRead = async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req.params.conversationId, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const updated = await markConversationRead(conversation._id, req.user._id);
+    res.json({ message: 'Conversation marked as read', updated });
+  } catch (error) {
+    res.status(500).json({ message: 'Error marking conversation as read', error: error.message });
+  }
+};
+
+module.exports = {
+  getConversations,
+  getUnreadMessageCount,
+  getConversation,
+  startConversation,
+  getConversationMessages,
+  sendConversationMessage,
+  markAsRead,
+};
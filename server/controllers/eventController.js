@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken');
+const realtimeService = require('../services/realtimeService');
+
+// Open a Server-Sent Events stream of real-time updates for the current user
+// Pushes new notifications, messages, comments on the user's projects and
+// collaboration status changes
+const streamEvents = (req, res) => {
+  // Close the stream when the access token expires so the client reconnects with a fresh one
+  const decoded = jwt.decode(req.token);
+  const expiresAt = decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies (e.g. nginx) from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  realtimeService.open(res, {
+    userId: req.user._id,
+    sessionId: req.sessionId,
+    expiresAt,
+  });
+};
+
+module.exports = {
+  streamEvents,
+};
@@ -0,0 +1,223 @@
+const { validationResult } = require('express-validator');
+const Milestone = require('../models/Milestone');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const logger = require('../utils/logger');
+const { isProjectOwner, isProjectMember } = require('../utils/projectAccess');
+const { computeMilestoneProgress, isMilestoneOverdue } = require('../utils/milestoneProgress');
+
+// Attach computed progress to milestones using the project's linked task counts
+const withProgress = async (projectId, milestones) => {
+  const taskCounts = await Milestone.getTaskCounts(projectId);
+  return milestones.map((milestone) => {
+    const taskCount = taskCounts.get(milestone._id.toString()) || { total: 0, done: 0 };
+    const progress = computeMilestoneProgress({
+      checklist: milestone.checklist,
+      taskCounts: taskCount,
+    });
+    return {
+      ...milestone.toObject(),
+      taskCounts: { total: taskCount.total, done: taskCount.done },
+      progress,
+      isOverdue: isMilestoneOverdue(milestone.targetDate, progress),
+    };
+  });
+};
+
+// Build the milestone fields present in the request body
+const pickMilestoneFields = (body) => {
+  const fields = {};
+  if (body.title !== undefined) fields.title = body.title;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.targetDate !== undefined) fields.targetDate = body.targetDate || null;
+  if (body.checklist !== undefined) {
+    fields.checklist = body.checklist.map((item) => ({
+      ...(item._id ? { _id: item._id } : {}),
+      text: item.text,
+      done: !!item.done,
+    }));
+  }
+  return fields;
+};
+
+// Get a project's milestones with progress
+const getProjectMilestones = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId).select('_id progress');
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const milestones = await Milestone.find({ projectId: project._id }).sort({
+      targetDate: 1,
+      createdAt: 1,
+    });
+
+    res.json({
+      milestones: await withProgress(project._id, milestones),
+      progress: project.progress,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching milestones', error: error.message });
+  }
+};
+
+// Create milestone
+const createMilestone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!isProjectMember(project, req.user._id)) {
+      return res.status(403).json({ message: 'Only project members can add milestones' });
+    }
+
+    const milestone = new Milestone({
+      ...pickMilestoneFields(req.body),
+      projectId: project._id,
+      createdBy: req.user._id,
+    });
+    await milestone.save();
+    await Milestone.recalculateProjectProgress(project._id);
+
+    logger.info('Milestone created', {
+      milestoneId: milestone._id,
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    const [result] = await withProgress(project._id, [milestone]);
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating milestone', error: error.message });
+  }
+};
+
+// Update milestone (details or checklist)
+const updateMilestone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!isProjectMember(project, req.user._id)) {
+      return res.status(403).json({ message: 'Only project members can update milestones' });
+    }
+
+    const milestone = await Milestone.findOne({
+      _id: req.params.milestoneId,
+      projectId: project._id,
+    });
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    milestone.set(pickMilestoneFields(req.body));
+    await milestone.save();
+    await Milestone.recalculateProjectProgress(project._id);
+
+    const [result] = await withProgress(project._id, [milestone]);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating milestone', error: error.message });
+  }
+};
+
+// Delete milestone (linked tasks are kept and unlinked)
+const deleteMilestone = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!isProjectOwner(project, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to delete this milestone' });
+    }
+
+    const milestone = await Milestone.findOne({
+      _id: req.params.milestoneId,
+      projectId: project._id,
+    });
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    await Task.updateMany({ milestone: milestone._id }, { $set: { milestone: null } });
+    await milestone.deleteOne();
+    await Milestone.recalculateProjectProgress(project._id);
+
+    logger.info('Milestone deleted', {
+      milestoneId: milestone._id,
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    res.json({ message: 'Milestone deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting milestone', error: error.message });
+  }
+};
+
+// Get overdue milestones across the projects the current user owns
+const getOverdueMilestones = async (req, res) => {
+  try {
+    const projects = await Project.find({ owner: req.user._id }).select('_id title');
+    if (projects.length === 0) {
+      return res.json([]);
+    }
+
+    const projectTitles = new Map(
+      projects.map((project) => [project._id.toString(), project.title])
+    );
+    const candidates = await Milestone.find({
+      projectId: { $in: projects.map((project) => project._id) },
+      targetDate: { $ne: null, $lt: new Date() },
+    }).sort({ targetDate: 1 });
+
+    // Group by project so linked task counts are fetched once per project
+    const byProject = new Map();
+    candidates.forEach((milestone) => {
+      const key = milestone.projectId.toString();
+      byProject.set(key, [...(byProject.get(key) || []), milestone]);
+    });
+
+    const withProjectProgress = await Promise.all(
+      [...byProject.entries()].map(([projectId, milestones]) => withProgress(projectId, milestones))
+    );
+
+    const overdue = withProjectProgress
+      .flat()
+      .filter((milestone) => milestone.isOverdue)
+      .map((milestone) => ({
+        ...milestone,
+        projectTitle: projectTitles.get(milestone.projectId.toString()),
+      }))
+      .sort((a, b) => new Date(a.targetDate) - new Date(b.targetDate));
+
+    res.json(overdue);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching overdue milestones', error: error.message });
+  }
+};
+
+module.exports = {
+  getProjectMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  getOverdueMilestones,
+};
@@ -0,0 +1,99 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const {
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { NOTIFICATIONS } = require('../config/constants');
+
+// Get the current user's notifications, newest first (cursor paginated)
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: NOTIFICATIONS.DEFAULT_LIMIT,
+      maxLimit: NOTIFICATIONS.MAX_LIMIT,
+    });
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      Object.assign(filter, buildCursorFilter('createdAt', cursor, -1));
+    }
+
+    const docs = await Notification.find(filter)
+      .populate('actor', '_id username firstName lastName profileImage')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, pagination } = buildCursorPage(docs, limit, (doc) => doc.createdAt);
+    res.json({ notifications: items, pagination });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notifications', error: error.message });
+  }
+};
+
+// Get the number of unread notifications (bell badge)
+const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+    res.json({ count });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching unread count', error: error.message });
+  }
+};
+
+// Mark a notification as read
+const markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      recipient: req.user._id,
+    });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    res.status(500).json({ message: 'Error marking notification as read', error: error.message });
+  }
+};
+
+// Mark all of the current user's notifications as read
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error marking notifications as read', error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+};
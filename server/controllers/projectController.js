@@ -1,6 +1,120 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const logger = require('../utils/logger');
+const { createNotification } = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const { hasBlockBetween } = require('../services/blockService');
+const { getProjectMemberIds } = require('../utils/projectAccess');
+const {
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+} = require('../utils/pagination');
+const { parseListParam, toExactMatchPatterns } = require('../utils/queryFilters');
+const { extractSearchTerms, buildProjectHighlights } = require('../utils/searchHighlight');
+const { SEARCH } = require('../config/constants');
+
+// Sort options for project listings, mapped to the field each one orders by
+const PROJECT_SORT_FIELDS = {
+  newest: 'createdAt',
+  updated: 'updatedAt',
+  collaborators: 'collaboratorCount',
+};
+
+// Build the $match stage for project listings from query parameters
+const buildProjectListFilter = (query) => {
+  // Projects archived when their owner deleted their account or hidden by a
+  // moderator are never listed
+  const filter = { isArchived: { $ne: true }, isHidden: { $ne: true } };
+
+  if (query.status) filter.status = query.status;
+
+  const technologies = parseListParam(query.technologies);
+  if (technologies.length) filter.technologies = { $in: toExactMatchPatterns(technologies) };
+
+  const requiredSkills = parseListParam(query.requiredSkills);
+  if (requiredSkills.length) filter.requiredSkills = { $in: toExactMatchPatterns(requiredSkills) };
+
+  const tags = parseListParam(query.tags);
+  if (tags.length) filter.tags = { $in: toExactMatchPatterns(tags) };
+
+  if (query.owner) filter.owner = new mongoose.Types.ObjectId(query.owner);
+
+  // Projects the user owns or collaborates on
+  if (query.member) {
+    const memberId = new mongoose.Types.ObjectId(query.member);
+    filter.$or = [
+      { owner: memberId },
+      { collaborators: { $elemMatch: { userId: memberId, status: 'accepted' } } },
+    ];
+  }
+
+  if (query.incentiveType) {
+    filter['incentives.enabled'] = true;
+    filter['incentives.type'] = query.incentiveType;
+  }
+
+  return filter;
+};
+
+// Build one $match fragment per search facet from query parameters
+const buildSearchFacetFilters = (query) => {
+  const filters = {};
+
+  if (query.status) filters.status = { status: query.status };
+
+  const technologies = parseListParam(query.technologies);
+  if (technologies.length) {
+    filters.technologies = { technologies: { $all: toExactMatchPatterns(technologies) } };
+  }
+
+  const requiredSkills = parseListParam(query.requiredSkills);
+  if (requiredSkills.length) {
+    filters.requiredSkills = { requiredSkills: { $all: toExactMatchPatterns(requiredSkills) } };
+  }
+
+  if (query.incentiveType) {
+    filters.incentiveType = {
+      'incentives.enabled': true,
+      'incentives.type': query.incentiveType,
+    };
+  }
+
+  return filters;
+};
+
+// Combine facet filters, optionally leaving one out so its own counts stay selectable
+const mergeFacetFilters = (filters, exclude = null) =>
+  Object.entries(filters).reduce(
+    (match, [facet, fragment]) => (facet === exclude ? match : { ...match, ...fragment }),
+    {}
+  );
+
+// Facet pipeline counting the values of an array field (case-insensitive)
+const listFacetPipeline = (field, match) => [
+  { $match: match },
+  { $unwind: `$${field}` },
+  {
+    $group: {
+      _id: { $toLower: `$${field}` },
+      value: { $first: `$${field}` },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: SEARCH.FACET_LIMIT },
+  { $project: { _id: 0, value: 1, count: 1 } },
+];
+
+// Facet pipeline counting the values of a single-valued field
+const valueFacetPipeline = (field, match) => [
+  { $match: match },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
 
 // Create new project
 const createProject = async (req, res) => {
@@ -105,17 +219,143 @@ const createProject = async (req, res) => {
   }
 };
 
-// Get all projects
+// Get all projects (cursor paginated, filterable, sortable)
 const getAllProjects = async (req, res) => {
   try {
-    const projects = await Project.find().populate('owner', '_id username').sort({ createdAt: -1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const sortField = PROJECT_SORT_FIELDS[req.query.sort] || PROJECT_SORT_FIELDS.newest;
+    const filter = buildProjectListFilter(req.query);
+
+    let cursorFilter = {};
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      cursorFilter = buildCursorFilter(sortField, cursor);
+    }
 
-    res.json(projects);
+    const docs = await Project.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          collaboratorCount: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$collaborators', []] },
+                as: 'collab',
+                cond: { $eq: ['$$collab.status', 'accepted'] },
+              },
+            },
+          },
+        },
+      },
+      { $match: cursorFilter },
+      { $sort: { [sortField]: -1, _id: -1 } },
+      { $limit: limit + 1 },
+    ]);
+
+    await Project.populate(docs, { path: 'owner', select: '_id username' });
+
+    const { items, pagination } = buildCursorPage(docs, limit, (doc) => doc[sortField]);
+
+    res.json({ projects: items, pagination });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching projects', error: error.message });
   }
 };
 
+// Get the listed projects each requested user owns or is an accepted collaborator on
+const getProjectsByMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userIds = parseListParam(req.query.userIds).map((id) => new mongoose.Types.ObjectId(id));
+
+    const memberships = await Project.aggregate([
+      {
+        $match: {
+          isArchived: { $ne: true },
+          isHidden: { $ne: true },
+          $or: [
+            { owner: { $in: userIds } },
+            { collaborators: { $elemMatch: { userId: { $in: userIds }, status: 'accepted' } } },
+          ],
+        },
+      },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $addFields: {
+          acceptedIds: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$collaborators', []] },
+                  cond: { $eq: ['$$this.status', 'accepted'] },
+                },
+              },
+              in: '$$this.userId',
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          title: 1,
+          technologies: { $ifNull: ['$technologies', []] },
+          collaboratorCount: { $size: '$acceptedIds' },
+          memberIds: { $setUnion: [['$owner'], '$acceptedIds'] },
+        },
+      },
+      { $unwind: '$memberIds' },
+      { $match: { memberIds: { $in: userIds } } },
+      {
+        $group: {
+          _id: '$memberIds',
+          projects: { $push: { _id: '$_id', title: '$title' } },
+          collaboratorCount: { $sum: '$collaboratorCount' },
+          technologies: { $push: '$technologies' },
+        },
+      },
+      {
+        $project: {
+          projects: 1,
+          collaboratorCount: 1,
+          technologyCount: {
+            $size: {
+              $reduce: {
+                input: '$technologies',
+                initialValue: [],
+                in: { $setUnion: ['$$value', '$$this'] },
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    res.json({
+      members: memberships.map(({ _id, projects, collaboratorCount, technologyCount }) => ({
+        userId: _id,
+        projects,
+        projectCount: projects.length,
+        collaboratorCount,
+        technologyCount,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching projects by member', error: error.message });
+  }
+};
+
 // Get project by ID
 const getProjectById = async (req, res) => {
   try {
@@ -127,6 +367,18 @@ const getProjectById = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Projects hidden by a moderator stay visible to their owner and to moderators
+    if (project.isHidden) {
+      const viewer = req.user;
+      const canView =
+        viewer &&
+        (project.owner._id.toString() === viewer._id.toString() ||
+          viewer.hasPermission('moderate.content'));
+      if (!canView) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+    }
+
     res.json(project);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching project', error: error.message });
@@ -293,6 +545,10 @@ const requestCollaboration = async (req, res) => {
       return res.status(400).json({ message: 'Already a collaborator or pending request' });
     }
 
+    if (await hasBlockBetween(project.owner, req.user._id)) {
+      return res.status(403).json({ message: 'You cannot request to collaborate on this project' });
+    }
+
     project.collaborators.push({
       userId: req.user._id,
       status: 'pending',
@@ -300,6 +556,23 @@ const requestCollaboration = async (req, res) => {
 
     await project.save();
     res.json({ message: 'Collaboration request sent successfully' });
+
+    realtimeService.publish([project.owner, req.user._id], 'collaboration:updated', {
+      projectId: project._id,
+      userId: req.user._id,
+      username: req.user.username,
+      status: 'pending',
+    });
+
+    createNotification({
+      recipient: project.owner,
+      actor: req.user._id,
+      type: 'collaboration_request',
+      link: `/projects/${project._id}`,
+      projectId: project._id,
+      actorName: req.user.username,
+      projectTitle: project.title,
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error requesting collaboration', error: error.message });
   }
@@ -340,31 +613,101 @@ const handleCollaborationRequest = async (req, res) => {
     await project.save();
 
     res.json({ message: `Collaboration request ${status} successfully` });
+
+    // Members see the collaborator list change; a rejected user is no longer listed
+    realtimeService.publish([...getProjectMemberIds(project), userId], 'collaboration:updated', {
+      projectId: project._id,
+      userId,
+      status,
+    });
+
+    if (status === 'accepted' || status === 'rejected') {
+      createNotification({
+        recipient: userId,
+        actor: req.user._id,
+        type: `collaboration_${status}`,
+        link: `/projects/${project._id}`,
+        projectId: project._id,
+        actorName: req.user.username,
+        projectTitle: project.title,
+      });
+    }
   } catch (error) {
     res.status(500).json({ message: 'Error handling collaboration request', error: error.message });
   }
 };
 
-// Search projects
+// Search projects (relevance ranked, with facet counts and highlighted matches)
 const searchProjects = async (req, res) => {
   try {
-    const { query } = req.query;
-
-    if (!query) {
-      return res.status(400).json({ message: 'Search query is required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const projects = await Project.find({
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { tags: { $regex: query, $options: 'i' } },
-        { requiredSkills: { $regex: query, $options: 'i' } },
-      ],
-    })
-      .populate('owner', '_id username')
-      .sort({ createdAt: -1 });
+    const { query } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: SEARCH.DEFAULT_LIMIT,
+      maxLimit: SEARCH.MAX_LIMIT,
+    });
 
-    res.json(projects);
+    const facetFilters = buildSearchFacetFilters(req.query);
+    const resultMatch = mergeFacetFilters(facetFilters);
+
+    const [searchResult] = await Project.aggregate([
+      {
+        $match: {
+          $text: { $search: query },
+          isArchived: { $ne: true },
+          isHidden: { $ne: true },
+        },
+      },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $match: resultMatch },
+            { $sort: { score: -1, _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ],
+          total: [{ $match: resultMatch }, { $count: 'count' }],
+          status: valueFacetPipeline('status', mergeFacetFilters(facetFilters, 'status')),
+          technologies: listFacetPipeline('technologies', resultMatch),
+          requiredSkills: listFacetPipeline('requiredSkills', resultMatch),
+          incentiveType: valueFacetPipeline('incentives.type', {
+            ...mergeFacetFilters(facetFilters, 'incentiveType'),
+            'incentives.enabled': true,
+          }),
+        },
+      },
+    ]);
+
+    await Project.populate(searchResult.results, { path: 'owner', select: '_id username' });
+
+    const terms = extractSearchTerms(query);
+    const projects = searchResult.results.map((project) => ({
+      ...project,
+      highlights: buildProjectHighlights(project, terms),
+    }));
+    const total = searchResult.total[0]?.count || 0;
+
+    res.json({
+      projects,
+      facets: {
+        status: searchResult.status,
+        technologies: searchResult.technologies,
+        requiredSkills: searchResult.requiredSkills,
+        incentiveType: searchResult.incentiveType,
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error searching projects', error: error.message });
   }
@@ -373,6 +716,7 @@ const searchProjects = async (req, res) => {
 module.exports = {
   createProject,
   getAllProjects,
+  getProjectsByMember,
   getProjectById,
   updateProject,
   deleteProject,
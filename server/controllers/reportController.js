@@ -0,0 +1,252 @@
+const { validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const logger = require('../utils/logger');
+const {
+  findReportTarget,
+  fileReport,
+  applyReportAction,
+} = require('../services/moderationService');
+const { isAdministrator } = require('../services/roleService');
+const { isReportOpen, canApplyReportAction } = require('../utils/moderation');
+const { parseLimit } = require('../utils/pagination');
+const { MODERATION } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reports still waiting for a decision
+const OPEN_STATUSES = ['open', 'claimed', 'escalated'];
+
+// Users shown alongside a report in the queue
+const REPORT_USER_FIELDS = '_id username email role isSuspended';
+
+// Actions that need more than access to the queue
+const ACTION_PERMISSIONS = {
+  hide: 'moderate.content',
+  suspend: 'moderate.users',
+};
+
+/**
+ * Report a project, comment, message or profile
+ */
+const createReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { targetType, targetId, reason, details } = req.body;
+    const reporterId = req.user._id;
+
+    const target = await findReportTarget(targetType, targetId, reporterId);
+    if (!target) {
+      return res.status(404).json({ message: 'Content not found' });
+    }
+
+    if (target.owner.toString() === reporterId.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own content' });
+    }
+
+    const alreadyReported = await Report.exists({
+      reporter: reporterId,
+      targetType,
+      targetId,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (alreadyReported) {
+      return res.status(409).json({ message: 'You have already reported this' });
+    }
+
+    const reportsToday = await Report.countDocuments({
+      reporter: reporterId,
+      createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+    });
+    if (reportsToday >= MODERATION.DAILY_REPORT_LIMIT) {
+      return res
+        .status(429)
+        .json({ message: 'You have filed too many reports today. Please try again tomorrow' });
+    }
+
+    const report = await fileReport(
+      { reporter: reporterId, targetType, targetId, reason, details },
+      target
+    );
+
+    res.status(201).json({
+      message: 'Thanks for your report. A moderator will review it',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Create report error', { error: error.message, userId: req.user._id });
+    res.status(500).json({ message: 'Error filing report', error: error.message });
+  }
+};
+
+/**
+ * Moderation queue: list reports, oldest open reports first
+ */
+const getReports = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: MODERATION.DEFAULT_LIMIT,
+      maxLimit: MODERATION.MAX_LIMIT,
+    });
+    const { status = 'active', targetType, assignedTo } = req.query;
+
+    const filter = {};
+    filter.status = status === 'active' ? { $in: OPEN_STATUSES } : status;
+    if (targetType) filter.targetType = targetType;
+    if (assignedTo === 'me') filter.assignedTo = req.user._id;
+
+    // Open reports are worked oldest first; closed ones are reviewed newest first
+    const sort = OPEN_STATUSES.includes(status) || status === 'active' ? 1 : -1;
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .select('-history')
+        .populate('reporter', REPORT_USER_FIELDS)
+        .populate('targetOwner', REPORT_USER_FIELDS)
+        .populate('assignedTo', '_id username')
+        .sort({ createdAt: sort, _id: sort })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(filter),
+    ]);
+
+    res.json({
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    logger.error('Get reports error', { error: error.message, userId: req.user._id });
+    res.status(500).json({ message: 'Error fetching reports', error: error.message });
+  }
+};
+
+/**
+ * Moderation queue: get one report with its history and other reports about the same content
+ */
+const getReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await Report.findById(req.params.reportId)
+      .populate('reporter', REPORT_USER_FIELDS)
+      .populate('targetOwner', REPORT_USER_FIELDS)
+      .populate('assignedTo', '_id username')
+      .populate('resolvedBy', '_id username')
+      .populate('history.by', '_id username');
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const relatedReports = await Report.countDocuments({
+      _id: { $ne: report._id },
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: { $in: OPEN_STATUSES },
+    });
+
+    res.json({ report, relatedReports });
+  } catch (error) {
+    logger.error('Get report error', {
+      error: error.message,
+      userId: req.user._id,
+      reportId: req.params.reportId,
+    });
+    res.status(500).json({ message: 'Error fetching report', error: error.message });
+  }
+};
+
+/**
+ * Moderation queue: claim, dismiss, hide content, warn the author, escalate
+ * or suspend the author
+ */
+const takeReportAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, note, duration } = req.body;
+
+    const report = await Report.findById(req.params.reportId).populate(
+      'targetOwner',
+      '_id role customPermissions'
+    );
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const requiredPermission = ACTION_PERMISSIONS[action];
+    if (requiredPermission && !req.user.hasPermission(requiredPermission)) {
+      return res.status(403).json({
+        message:
+          action === 'suspend'
+            ? 'Only administrators can suspend users. Escalate the report instead'
+            : 'Insufficient permissions',
+        required: requiredPermission,
+      });
+    }
+
+    if (!canApplyReportAction(report.status, action)) {
+      return res.status(400).json({
+        message: isReportOpen(report.status)
+          ? 'This report has already been escalated'
+          : 'This report has already been closed',
+      });
+    }
+
+    const owner = report.targetOwner;
+    if (owner && owner._id.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot moderate reports about yourself' });
+    }
+
+    if (action === 'suspend' && owner && (await isAdministrator(owner))) {
+      return res.status(403).json({ message: 'Cannot suspend administrators' });
+    }
+
+    // The service works with the owner's ID
+    report.depopulate('targetOwner');
+    const updated = await applyReportAction(report, action, req.user, { note, duration });
+
+    res.json({ message: 'Report updated', report: updated });
+  } catch (error) {
+    logger.error('Report action error', {
+      error: error.message,
+      userId: req.user._id,
+      reportId: req.params.reportId,
+    });
+    res.status(500).json({ message: 'Error updating report', error: error.message });
+  }
+};
+
+module.exports = {
+  createReport,
+  getReports,
+  getReport,
+  takeReportAction,
+};
@@ -0,0 +1,250 @@
+const { validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { clearRoleCache, syncRoleHolders } = require('../services/roleService');
+const { normalizePermissions, diffPermissions } = require('../utils/roles');
+const { parseLimit } = require('../utils/pagination');
+const { PERMISSIONS, ROLES } = require('../config/constants');
+
+// Holders shown for a role
+const HOLDER_FIELDS =
+  '_id username email firstName lastName avatar customPermissions isSuspended lastLogin';
+
+/**
+ * Count the users holding each role
+ * @returns Map of role name to number of users
+ */
+const countRoleHolders = async () => {
+  const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+/**
+ * List roles with the number of users holding each, and every permission a role can bundle
+ */
+const getRoles = async (req, res) => {
+  try {
+    const [roles, holderCounts] = await Promise.all([
+      Role.find().populate('createdBy', '_id username').sort({ isBuiltIn: -1, name: 1 }).lean(),
+      countRoleHolders(),
+    ]);
+
+    res.json({
+      roles: roles.map((role) => ({ ...role, holderCount: holderCounts.get(role.name) || 0 })),
+      permissions: PERMISSIONS,
+    });
+  } catch (error) {
+    logger.error('Get roles error', { error: error.message, userId: req.user._id });
+    res.status(500).json({ message: 'Error fetching roles', error: error.message });
+  }
+};
+
+/**
+ * Create a role
+ */
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, displayName, description, permissions } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: normalizePermissions(permissions),
+      createdBy: req.user._id,
+    });
+
+    logger.adminAction('role_created', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      roleId: role._id,
+      role: role.name,
+      permissions: role.permissions,
+      ip: req.ip,
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: { ...role.toObject(), holderCount: 0 },
+    });
+  } catch (error) {
+    logger.error('Create role error', { error: error.message, userId: req.user._id });
+    res.status(500).json({ message: 'Error creating role', error: error.message });
+  }
+};
+
+/**
+ * Update a role's details and permissions
+ * Users holding the role get its new permissions straight away.
+ */
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { displayName, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const newPermissions = normalizePermissions(permissions);
+    const changes = diffPermissions(role.permissions, newPermissions);
+
+    if (role.name === 'admin' && changes.removed.length > 0) {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+
+    role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    role.permissions = newPermissions;
+    await role.save();
+
+    clearRoleCache();
+    const holdersUpdated = await syncRoleHolders(role.name, newPermissions);
+
+    logger.adminAction('role_updated', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      roleId: role._id,
+      role: role.name,
+      permissionChanges: changes,
+      holdersUpdated,
+      ip: req.ip,
+    });
+
+    const holderCount = await User.countDocuments({ role: role.name });
+
+    res.json({
+      message: 'Role updated successfully',
+      role: { ...role.toObject(), holderCount },
+    });
+  } catch (error) {
+    logger.error('Update role error', {
+      error: error.message,
+      userId: req.user._id,
+      roleId: req.params.roleId,
+    });
+    res.status(500).json({ message: 'Error updating role', error: error.message });
+  }
+};
+
+/**
+ * Delete a role nobody holds
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isBuiltIn) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const holderCount = await User.countDocuments({ role: role.name });
+    if (holderCount > 0) {
+      return res.status(409).json({
+        message: `This role is held by ${holderCount} user${holderCount === 1 ? '' : 's'}. Assign them another role first`,
+        holderCount,
+      });
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+
+    logger.adminAction('role_deleted', {
+      adminId: req.user._id,
+      adminEmail: req.user.email,
+      roleId: role._id,
+      role: role.name,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    logger.error('Delete role error', {
+      error: error.message,
+      userId: req.user._id,
+      roleId: req.params.roleId,
+    });
+    res.status(500).json({ message: 'Error deleting role', error: error.message });
+  }
+};
+
+/**
+ * List the users holding a role
+ */
+const getRoleHolders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.roleId).select('name');
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseLimit(req.query.limit, {
+      defaultLimit: ROLES.HOLDERS_DEFAULT_LIMIT,
+      maxLimit: ROLES.HOLDERS_MAX_LIMIT,
+    });
+    const filter = { role: role.name };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(HOLDER_FIELDS)
+        .sort({ username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    logger.error('Get role holders error', {
+      error: error.message,
+      userId: req.user._id,
+      roleId: req.params.roleId,
+    });
+    res.status(500).json({ message: 'Error fetching role holders', error: error.message });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getRoleHolders,
+};
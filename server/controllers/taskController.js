@@ -0,0 +1,281 @@
+const { validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Milestone = require('../models/Milestone');
+const logger = require('../utils/logger');
+const { isProjectOwner, isProjectMember } = require('../utils/projectAccess');
+
+const ASSIGNEE_FIELDS = '_id username firstName lastName avatar';
+
+// Load the project from the route and ensure the requester is a member
+// Sends the error response and returns null when access is denied
+const loadProjectForMember = async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+
+  if (!isProjectMember(project, req.user._id)) {
+    res.status(403).json({ message: 'Only project members can access the task board' });
+    return null;
+  }
+
+  return project;
+};
+
+// Load a task belonging to the project in the route
+const findProjectTask = (req) =>
+  Task.findOne({ _id: req.params.taskId, projectId: req.params.projectId });
+
+// Build the task fields present in the request body
+const pickTaskFields = (body) => {
+  const fields = {};
+  ['title', 'description', 'priority', 'status'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.assignee !== undefined) fields.assignee = body.assignee || null;
+  if (body.milestone !== undefined) fields.milestone = body.milestone || null;
+  if (body.dueDate !== undefined) fields.dueDate = body.dueDate || null;
+  if (body.labels !== undefined) {
+    fields.labels = [...new Set(body.labels.map((label) => label.trim()).filter(Boolean))];
+  }
+  return fields;
+};
+
+// Check that the assignee and milestone on a task belong to the project
+// Returns an error message, or null when the links are valid
+const validateTaskLinks = async (project, fields) => {
+  if (fields.assignee && !isProjectMember(project, fields.assignee)) {
+    return 'Assignee must be a member of the project';
+  }
+  if (fields.milestone) {
+    const milestone = await Milestone.exists({ _id: fields.milestone, projectId: project._id });
+    if (!milestone) return 'Milestone must belong to the project';
+  }
+  return null;
+};
+
+// Get all tasks on a project's board
+const getProjectTasks = async (req, res) => {
+  try {
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const tasks = await Task.find({ projectId: project._id })
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('createdBy', '_id username')
+      .sort({ status: 1, position: 1, createdAt: 1 });
+
+    res.json(tasks);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tasks', error: error.message });
+  }
+};
+
+// Get a single task
+const getTaskById = async (req, res) => {
+  try {
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const task = await findProjectTask(req)
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('createdBy', '_id username');
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    res.json(task);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching task', error: error.message });
+  }
+};
+
+// Create task
+const createTask = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const fields = pickTaskFields(req.body);
+    const linkError = await validateTaskLinks(project, fields);
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    // New tasks go to the bottom of their column
+    const status = fields.status || 'todo';
+    const lastTask = await Task.findOne({ projectId: project._id, status })
+      .sort({ position: -1 })
+      .select('position');
+
+    const task = new Task({
+      ...fields,
+      status,
+      position: lastTask ? lastTask.position + 1 : 0,
+      projectId: project._id,
+      createdBy: req.user._id,
+    });
+
+    await task.save();
+    if (task.milestone) await Milestone.recalculateProjectProgress(project._id);
+    await task.populate('assignee', ASSIGNEE_FIELDS);
+    await task.populate('createdBy', '_id username');
+
+    logger.info('Task created', {
+      taskId: task._id,
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    res.status(201).json(task);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating task', error: error.message });
+  }
+};
+
+// Update task details
+const updateTask = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const task = await findProjectTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const fields = pickTaskFields(req.body);
+    const linkError = await validateTaskLinks(project, fields);
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    // Changing column through an update appends the task to the new column
+    if (fields.status && fields.status !== task.status) {
+      const lastTask = await Task.findOne({ projectId: project._id, status: fields.status })
+        .sort({ position: -1 })
+        .select('position');
+      task.position = lastTask ? lastTask.position + 1 : 0;
+    }
+
+    const affectsProgress =
+      !!task.milestone || !!fields.milestone || (fields.status && fields.status !== task.status);
+
+    task.set(fields);
+    await task.save();
+    if (affectsProgress) await Milestone.recalculateProjectProgress(project._id);
+    await task.populate('assignee', ASSIGNEE_FIELDS);
+    await task.populate('createdBy', '_id username');
+
+    res.json(task);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating task', error: error.message });
+  }
+};
+
+// Move a task to a column and position (drag and drop)
+const moveTask = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const task = await findProjectTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const { status } = req.body;
+    const position = parseInt(req.body.position, 10);
+
+    // Re-number the destination column with the task inserted at the requested index
+    const columnTasks = await Task.find({
+      projectId: project._id,
+      status,
+      _id: { $ne: task._id },
+    })
+      .sort({ position: 1, createdAt: 1 })
+      .select('_id');
+
+    const orderedIds = columnTasks.map((columnTask) => columnTask._id);
+    orderedIds.splice(Math.min(position, orderedIds.length), 0, task._id);
+
+    await Task.bulkWrite(
+      orderedIds.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: id.equals(task._id) ? { status, position: index } : { position: index } },
+        },
+      }))
+    );
+
+    if (task.milestone && status !== task.status) {
+      await Milestone.recalculateProjectProgress(project._id);
+    }
+
+    const tasks = await Task.find({ projectId: project._id })
+      .populate('assignee', ASSIGNEE_FIELDS)
+      .populate('createdBy', '_id username')
+      .sort({ status: 1, position: 1, createdAt: 1 });
+
+    res.json(tasks);
+  } catch (error) {
+    res.status(500).json({ message: 'Error moving task', error: error.message });
+  }
+};
+
+// Delete task
+const deleteTask = async (req, res) => {
+  try {
+    const project = await loadProjectForMember(req, res);
+    if (!project) return;
+
+    const task = await findProjectTask(req);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Only the project owner or the task creator can delete a task
+    if (!isProjectOwner(project, req.user._id) && !task.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to delete this task' });
+    }
+
+    await task.deleteOne();
+    if (task.milestone) await Milestone.recalculateProjectProgress(project._id);
+
+    logger.info('Task deleted', {
+      taskId: task._id,
+      projectId: project._id,
+      userId: req.user._id,
+    });
+
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting task', error: error.message });
+  }
+};
+
+module.exports = {
+  getProjectTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  moveTask,
+  deleteTask,
+};
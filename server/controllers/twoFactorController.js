@@ -0,0 +1,156 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes,
+} = require('../services/twoFactorService');
+
+// Get the current user's two-factor status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { enabled = false, enabledAt = null } = req.user.twoFactor || {};
+
+    res.json({
+      enabled,
+      enabledAt,
+      required: await isTwoFactorRequired(req.user),
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user._id) : 0,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching two-factor status', error: error.message });
+  }
+};
+
+// Start enrollment: generate a secret and provisioning URI to scan
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(req.user);
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting two-factor setup', error: error.message });
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    logger.securityEvent('TWO_FACTOR_ENABLED', {
+      userId: req.user._id,
+      email: req.user.email,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Error enabling two-factor authentication', error: error.message });
+  }
+};
+
+// Turn two-factor off; needs the password and a current code or recovery code
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(user._id);
+
+    logger.securityEvent('TWO_FACTOR_DISABLED', {
+      userId: user._id,
+      email: user.email,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: 'Error disabling two-factor authentication', error: error.message });
+  }
+};
+
+// Replace the recovery codes; needs a current code
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    logger.securityEvent('TWO_FACTOR_RECOVERY_CODES_REGENERATED', {
+      userId: req.user._id,
+      email: req.user.email,
+      ip: req.ip,
+    });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Error regenerating recovery codes', error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+};
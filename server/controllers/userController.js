@@ -1,17 +1,36 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const {
+  sendDirectMessage,
+  announceDirectMessage,
+  refreshConversation,
+} = require('../services/conversationService');
+const { hasBlockBetween } = require('../services/blockService');
+const {
+  scheduleAccountDeletion,
+  cancelAccountDeletion: cancelScheduledDeletion,
+  exportUserData,
+} = require('../services/accountDeletionService');
+const { isAdministrator } = require('../services/roleService');
+const { escapeRegex } = require('../utils/queryFilters');
+const { hideModeratedMessage } = require('../utils/moderation');
+const { MENTIONS } = require('../config/constants');
 // GridFS removed - now using filesystem storage
 // const { uploadToGridFS, downloadFromGridFS, deleteFromGridFS, getFileInfo } = require('../utils/gridfs');
 
 // Sensitive fields that should NEVER be returned in API responses
 const SENSITIVE_FIELDS =
-  '-password -passwordResetToken -passwordResetExpires -emailVerificationToken -emailVerificationExpires';
+  '-password -passwordResetToken -passwordResetExpires -emailVerificationToken -emailVerificationExpires -blockedUsers -mutedUsers';
+
+// Fields of users listed on the blocked and muted users screen
+const RELATED_USER_FIELDS = '_id username firstName lastName profileImage';
 
 // Get all users (public profiles)
 const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find({ isProfilePublic: true })
+    // Profiles hidden by a moderator are left out of listings
+    const users = await User.find({ isProfilePublic: true, isProfileHidden: { $ne: true } })
       .select(`${SENSITIVE_FIELDS} -email`)
       .sort({ createdAt: -1 });
     res.json(users);
@@ -25,7 +44,11 @@ const getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select(`${SENSITIVE_FIELDS} -email`);
 
-    if (!user) {
+    // Profiles hidden by a moderator stay visible to their owner and to moderators
+    const canViewHidden =
+      user?._id.toString() === req.user._id.toString() ||
+      req.user.hasPermission('moderate.content');
+    if (!user || (user.isProfileHidden && !canViewHidden)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -92,7 +115,7 @@ const searchUsers = async (req, res) => {
   try {
     const { query, skills, experience, availability, location } = req.query;
 
-    const searchCriteria = { isProfilePublic: true };
+    const searchCriteria = { isProfilePublic: true, isProfileHidden: { $ne: true } };
 
     // Text search
     if (query) {
@@ -135,6 +158,29 @@ const searchUsers = async (req, res) => {
   }
 };
 
+// Suggest users to @mention by username prefix (editor autocomplete)
+const getMentionSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const users = await User.find({
+      _id: { $ne: req.user._id },
+      username: { $regex: `^${escapeRegex(req.query.q)}`, $options: 'i' },
+      isActive: true,
+    })
+      .select('_id username firstName lastName profileImage')
+      .sort({ username: 1 })
+      .limit(MENTIONS.AUTOCOMPLETE_LIMIT);
+
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching mention suggestions', error: error.message });
+  }
+};
+
 // Send a message to another user
 const sendMessage = async (req, res) => {
   try {
@@ -144,7 +190,6 @@ const sendMessage = async (req, res) => {
     }
 
     const { recipientId, subject, content } = req.body;
-    const senderId = req.user._id;
 
     // Check if recipient exists
     const recipient = await User.findById(recipientId);
@@ -157,18 +202,19 @@ const sendMessage = async (req, res) => {
       return res.status(403).json({ message: 'Cannot send message to private profile' });
     }
 
-    const message = new Message({
-      sender: senderId,
-      recipient: recipientId,
+    if (await hasBlockBetween(req.user._id, recipient._id)) {
+      return res.status(403).json({ message: 'You cannot message this user' });
+    }
+
+    const sent = await sendDirectMessage({
+      sender: req.user,
+      recipientId: recipient._id,
       subject,
       content,
     });
 
-    await message.save();
-    await message.populate('sender', 'username firstName lastName');
-    await message.populate('recipient', 'username firstName lastName');
-
-    res.status(201).json(message);
+    res.status(201).json(sent.message);
+    announceDirectMessage(sent, req.user);
   } catch (error) {
     res.status(500).json({ message: 'Error sending message', error: error.message });
   }
@@ -190,9 +236,11 @@ const getMessages = async (req, res) => {
     const messages = await Message.find(query)
       .populate('sender', 'username firstName lastName')
       .populate('recipient', 'username firstName lastName')
-      .sort({ createdAt: -1 });
+      .populate('mentions', '_id username')
+      .sort({ createdAt: -1 })
+      .lean();
 
-    res.json(messages);
+    res.json(messages.map(hideModeratedMessage));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching messages', error: error.message });
   }
@@ -213,6 +261,9 @@ const markMessageAsRead = async (req, res) => {
     if (!message) {
       return res.status(404).json({ message: 'Message not found' });
     }
+    if (message.conversation) {
+      await refreshConversation(message.conversation);
+    }
 
     res.json(message);
   } catch (error) {
@@ -235,6 +286,9 @@ const deleteMessage = async (req, res) => {
     if (!message) {
       return res.status(404).json({ message: 'Message not found or access denied' });
     }
+    if (message.conversation) {
+      await refreshConversation(message.conversation);
+    }
 
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
@@ -369,11 +423,143 @@ const getAvatar = async (req, res) => {
   });
 };
 
+// Get the users the current user has blocked or muted
+const getRelationships = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers mutedUsers')
+      .populate('blockedUsers', RELATED_USER_FIELDS)
+      .populate('mutedUsers', RELATED_USER_FIELDS);
+
+    res.json({ blocked: user.blockedUsers, muted: user.mutedUsers });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching blocked users', error: error.message });
+  }
+};
+
+// Build a handler that adds a user to, or removes them from, the current user's
+// blocked or muted list
+const updateRelationship = (field, add) => {
+  const action = field === 'blockedUsers' ? 'block' : 'mute';
+
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const targetId = req.params.id;
+      if (add) {
+        if (req.user._id.equals(targetId)) {
+          return res.status(400).json({ message: `You cannot ${action} yourself` });
+        }
+        if (!(await User.exists({ _id: targetId }))) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+      }
+
+      await User.updateOne(
+        { _id: req.user._id },
+        add ? { $addToSet: { [field]: targetId } } : { $pull: { [field]: targetId } }
+      );
+
+      res.json({ message: `User ${add ? '' : 'un'}${action}ed` });
+    } catch (error) {
+      res.status(500).json({ message: `Error updating ${action} list`, error: error.message });
+    }
+  };
+};
+
+const blockUser = updateRelationship('blockedUsers', true);
+const unblockUser = updateRelationship('blockedUsers', false);
+const muteUser = updateRelationship('mutedUsers', true);
+const unmuteUser = updateRelationship('mutedUsers', false);
+
+// Download everything stored about the current user as a JSON file
+const exportMyData = async (req, res) => {
+  try {
+    const data = await exportUserData(req.user._id);
+    if (!data) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const date = data.exportedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="codecollab-data-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting data', error: error.message });
+  }
+};
+
+// Schedule the current user's account for deletion after the grace period
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (await isAdministrator(user)) {
+      return res.status(403).json({
+        message:
+          'Administrator accounts cannot be deleted. Ask another administrator to change your role first.',
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        message: 'Your account is already scheduled for deletion',
+        deletionScheduledFor: user.deletionScheduledFor,
+      });
+    }
+
+    // Confirm it's really the account holder, not someone at an unattended browser
+    if (user.hasPassword) {
+      if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+    } else if (req.body.confirmUsername !== user.username) {
+      return res.status(400).json({ message: 'Type your username to confirm' });
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
+
+    res.json({
+      message:
+        'Your account is scheduled for deletion and you have been logged out everywhere. Log in before the deletion date if you change your mind.',
+      deletionScheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error scheduling account deletion', error: error.message });
+  }
+};
+
+// Keep the current user's account after all
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const cancelled = await cancelScheduledDeletion(req.user._id);
+    if (!cancelled) {
+      return res.status(400).json({ message: 'Your account is not scheduled for deletion' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling account deletion', error: error.message });
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
   updateProfile,
   searchUsers,
+  getMentionSuggestions,
   sendMessage,
   getMessages,
   markMessageAsRead,
@@ -382,4 +568,12 @@ module.exports = {
   uploadAvatar,
   deleteAvatar,
   getAvatar,
+  getRelationships,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
 };
@@ -11,9 +11,10 @@ const envValidator = require('./utils/envValidator');
 const logger = require('./utils/logger');
 const scheduledTasks = require('./utils/scheduledTasks');
 const { initGridFS } = require('./utils/gridfs');
+const realtimeService = require('./services/realtimeService');
+const roleService = require('./services/roleService');
 const { RATE_LIMITS } = require('./config/constants');
 const {
-  trackFailedAuth,
   trackSuspiciousActivity,
   trackAccessViolations,
 } = require('./middleware/securityMonitoring');
@@ -117,7 +118,6 @@ app.use(mongoSanitize());
 
 // Security monitoring middleware
 app.use(trackSuspiciousActivity);
-app.use(trackFailedAuth);
 app.use(trackAccessViolations);
 
 // Body parsing middleware
@@ -253,13 +253,38 @@ const passwordResetLimiter = rateLimit({
   },
 });
 
+// Login link rate limiting: same budget as password resets, but every request
+// counts, since requests always succeed to avoid revealing which emails exist
+const magicLinkLimiter = rateLimit({
+  windowMs: RATE_LIMITS.PASSWORD_RESET_WINDOW_MS,
+  max: RATE_LIMITS.PASSWORD_RESET_MAX_ATTEMPTS,
+  handler: (req, res) => {
+    logger.rateLimitHit({
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      path: req.path,
+      limit: 'magic_link',
+      severity: 'high',
+    });
+    res.status(429).json({
+      error: 'Too many login link requests from this IP, please try again later.',
+      retryAfter: Math.ceil(RATE_LIMITS.PASSWORD_RESET_WINDOW_MS / 1000),
+    });
+  },
+});
+
 // Apply auth rate limiting to auth routes (production only)
 if (process.env.NODE_ENV === 'production') {
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/register', authLimiter);
   app.use('/api/auth/refresh-token', authLimiter);
+  app.use('/api/auth/2fa', authLimiter);
+  app.use('/api/auth/github', authLimiter);
   app.use('/api/auth/request-password-reset', passwordResetLimiter);
   app.use('/api/auth/reset-password', passwordResetLimiter);
+  app.use('/api/auth/unlock-account', passwordResetLimiter);
+  app.use('/api/auth/sessions/report', passwordResetLimiter);
+  app.use('/api/auth/magic-link', magicLinkLimiter);
 }
 
 // MongoDB Connection
@@ -279,6 +304,10 @@ if (process.env.NODE_ENV !== 'test') {
       logger.info('Connected to MongoDB');
       // Initialize GridFS for avatar storage
       initGridFS(mongoose.connection);
+      // Seed the built-in roles users are assigned by default
+      roleService.ensureBuiltInRoles().catch((error) => {
+        logger.error('Error seeding built-in roles', { error: error.message });
+      });
     })
     .catch((error) => {
       logger.error('MongoDB connection error:', { error: error.message });
@@ -294,12 +323,24 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const commentRoutes = require('./routes/comments');
+const taskRoutes = require('./routes/tasks');
+const milestoneRoutes = require('./routes/milestones');
+const notificationRoutes = require('./routes/notifications');
+const conversationRoutes = require('./routes/conversations');
+const eventRoutes = require('./routes/events');
+const reportRoutes = require('./routes/reports');
 const adminRoutes = require('./routes/admin');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/projects/:projectId/comments', commentRoutes);
+app.use('/api/projects/:projectId/tasks', taskRoutes);
+app.use('/api/projects/:projectId/milestones', milestoneRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/reports', reportRoutes);
 app.use('/api/admin', adminLimiter, adminRoutes);
 
 // Basic route for testing
@@ -347,6 +388,9 @@ const gracefulShutdown = (signal) => {
   // Stop scheduled tasks
   scheduledTasks.stop();
 
+  // Close open event streams so the server can stop accepting connections
+  realtimeService.closeAll();
+
   server.close(() => {
     logger.info('Server closed');
     mongoose.connection
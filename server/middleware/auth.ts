@@ -1,12 +1,73 @@
 import { Request, Response, NextFunction } from 'express';
 
+import { Permission } from '../types/models';
+
 const sessionService = require('../services/sessionService');
+const { validateAccessToken } = require('../services/accessTokenService');
+const { isAccessToken, getRequiredScope } = require('../utils/accessTokens');
 const logger = require('../utils/logger');
+const { resolveUserPermissions } = require('./rbac');
+const { trackImpersonation } = require('./impersonation');
+
+/**
+ * Authenticate a request with a personal access token
+ * The token must carry the scope the endpoint needs, and the user's permissions are
+ * narrowed to the token's scopes for any permission checks further down the chain
+ */
+const authenticateWithAccessToken = async (
+  req: Request,
+  res: Response,
+  next: NextFunction,
+  token: string
+): Promise<void> => {
+  const tokenData = await validateAccessToken(token, req.ip);
+
+  if (!tokenData) {
+    logger.securityEvent('INVALID_ACCESS_TOKEN', {
+      token: token.substring(0, 10) + '...',
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      path: req.path,
+    });
+    res.status(401).json({ message: 'Invalid or expired access token' });
+    return;
+  }
+
+  const requiredScope: Permission | null = getRequiredScope(req.method, req.originalUrl);
+  if (!requiredScope || !tokenData.scopes.includes(requiredScope)) {
+    logger.securityEvent('ACCESS_TOKEN_SCOPE_DENIED', {
+      userId: tokenData.user._id,
+      tokenId: tokenData.tokenId,
+      requiredScope,
+      ip: req.ip,
+      path: req.originalUrl,
+    });
+    res.status(403).json({
+      message: requiredScope
+        ? 'Access token is missing the required scope'
+        : 'Access tokens cannot be used for this endpoint',
+      required: requiredScope,
+    });
+    return;
+  }
+
+  // Narrowed for this request only; $ignore keeps a later save() from persisting it
+  const user = await resolveUserPermissions(tokenData.user);
+  user.permissions = user.permissions.filter((permission: Permission) =>
+    tokenData.scopes.includes(permission)
+  );
+  user.$ignore('permissions');
+
+  req.token = token;
+  req.user = user;
+  req.accessTokenId = tokenData.tokenId;
+  next();
+};
 
 /**
  * Authentication middleware
  * Validates access token from cookies or Authorization header
- * and attaches user info to the request object
+ * (a session JWT or a personal access token) and attaches user info to the request object
  */
 const auth = async (req: Request, res: Response, next: NextFunction): Promise<void> => {
   try {
@@ -26,6 +87,11 @@ const auth = async (req: Request, res: Response, next: NextFunction): Promise<vo
       return;
     }
 
+    if (isAccessToken(token)) {
+      await authenticateWithAccessToken(req, res, next, token);
+      return;
+    }
+
     const sessionData = await sessionService.validateSession(token);
 
     if (!sessionData) {
@@ -40,8 +106,9 @@ const auth = async (req: Request, res: Response, next: NextFunction): Promise<vo
     }
 
     req.token = token;
-    req.user = sessionData.user;
+    req.user = await resolveUserPermissions(sessionData.user);
     req.sessionId = sessionData.sessionId;
+    trackImpersonation(req, res, sessionData);
     next();
   } catch (error) {
     const err = error as Error;
@@ -0,0 +1,89 @@
+import { Request, Response, NextFunction, RequestHandler } from 'express';
+
+import { RequestUser } from '../types/express';
+
+const logger = require('../utils/logger');
+
+/**
+ * Impersonation details from a validated session
+ */
+interface ImpersonationSessionData {
+  user: RequestUser;
+  sessionId: unknown;
+  impersonation: {
+    by: RequestUser;
+    endsAt: Date;
+  } | null;
+}
+
+/**
+ * Mark a request as made by an admin impersonating its user, and write it to the
+ * audit log under both identities once the response is sent
+ * Does nothing for ordinary sessions, or if the request has already been marked
+ * (auth can run more than once on a route).
+ */
+const trackImpersonation = (
+  req: Request,
+  res: Response,
+  sessionData: ImpersonationSessionData
+): void => {
+  const { impersonation } = sessionData;
+  if (!impersonation || req.impersonator) return;
+
+  req.impersonator = impersonation.by;
+  req.impersonationEndsAt = impersonation.endsAt;
+
+  res.on('finish', () => {
+    logger.securityEvent('ADMIN_IMPERSONATED_REQUEST', {
+      adminId: impersonation.by._id,
+      adminEmail: impersonation.by.email,
+      targetUserId: sessionData.user._id,
+      targetUserEmail: sessionData.user.email,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      sessionId: sessionData.sessionId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      severity: 'low',
+    });
+  });
+};
+
+/**
+ * Refuse account security changes while an admin is impersonating the user
+ * Must come after auth.
+ */
+const blockDuringImpersonation: RequestHandler = (
+  req: Request,
+  res: Response,
+  next: NextFunction
+): void => {
+  if (!req.impersonator) {
+    next();
+    return;
+  }
+
+  logger.securityEvent('ADMIN_IMPERSONATION_ACTION_BLOCKED', {
+    adminId: req.impersonator._id,
+    adminEmail: req.impersonator.email,
+    targetUserId: req.user?._id,
+    targetUserEmail: req.user?.email,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    severity: 'medium',
+  });
+
+  res.status(403).json({
+    message: 'This action is not available while impersonating a user',
+    code: 'IMPERSONATION_RESTRICTED',
+  });
+};
+
+module.exports = {
+  trackImpersonation,
+  blockDuringImpersonation,
+};
+
+export { trackImpersonation, blockDuringImpersonation, ImpersonationSessionData };
@@ -0,0 +1,53 @@
+import { Request, Response, NextFunction } from 'express';
+
+const sessionService = require('../services/sessionService');
+const { validateAccessToken } = require('../services/accessTokenService');
+const { isAccessToken, getRequiredScope } = require('../utils/accessTokens');
+const logger = require('../utils/logger');
+const { resolveUserPermissions } = require('./rbac');
+const { trackImpersonation } = require('./impersonation');
+
+/**
+ * Optional authentication middleware for public routes
+ * Attaches user info when a valid access token is present, so responses can be
+ * tailored to the viewer, and otherwise lets the request through anonymously
+ */
+const optionalAuth = async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+  try {
+    let token: string | undefined = req.cookies?.accessToken;
+    if (!token) {
+      token = req.header('Authorization')?.replace('Bearer ', '');
+    }
+
+    if (token && isAccessToken(token)) {
+      // Tokens without the scope for this endpoint are treated as anonymous
+      const tokenData = await validateAccessToken(token, req.ip);
+      const requiredScope = getRequiredScope(req.method, req.originalUrl);
+      if (tokenData && requiredScope && tokenData.scopes.includes(requiredScope)) {
+        req.token = token;
+        req.user = await resolveUserPermissions(tokenData.user);
+        req.accessTokenId = tokenData.tokenId;
+      }
+    } else if (token) {
+      const sessionData = await sessionService.validateSession(token);
+      if (sessionData) {
+        req.token = token;
+        req.user = await resolveUserPermissions(sessionData.user);
+        req.sessionId = sessionData.sessionId;
+        trackImpersonation(req, res, sessionData);
+      }
+    }
+  } catch (error) {
+    const err = error as Error;
+    logger.error('Optional authentication error', {
+      error: err.message,
+      ip: req.ip,
+      path: req.path,
+    });
+  }
+  next();
+};
+
+module.exports = optionalAuth;
+
+export default optionalAuth;
@@ -2,6 +2,9 @@ import { Request, Response, NextFunction, RequestHandler } from 'express';
 import { UserRole, Permission, UserDocument } from '../types/models';
 
 const logger = require('../utils/logger');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { getEffectivePermissions } = require('../services/roleService');
+const { ADMIN_PERMISSIONS, hasAdminAccess } = require('../utils/roles');
 
 /**
  * Type for functions that extract resource owner ID from request
@@ -22,6 +25,18 @@ interface ResourceAccessOptions {
  * Provides flexible permission checking for routes
  */
 
+/**
+ * Resolve a user's effective permissions from their role and custom permissions
+ * The permissions stored on the user can lag behind a role edited by another server
+ * process, so authentication calls this before any permission check runs.
+ * @param user - Authenticated user
+ * @returns The same user, with permissions set to the effective ones
+ */
+const resolveUserPermissions = async (user: UserDocument): Promise<UserDocument> => {
+  user.permissions = await getEffectivePermissions(user.role, user.customPermissions);
+  return user;
+};
+
 /**
  * Check if user has required role(s)
  * @param requiredRoles - Single role or array of roles
@@ -201,9 +216,9 @@ const requirePermission = (
 };
 
 /**
- * Admin-only access middleware
+ * Admin area access middleware: any admin permission, from the user's role or custom permissions
  */
-const requireAdmin: RequestHandler = requireRole('admin');
+const requireAdmin: RequestHandler = requirePermission(ADMIN_PERMISSIONS);
 
 /**
  * Moderator or Admin access middleware
@@ -226,7 +241,7 @@ const requireOwnershipOrAdmin = (getResourceOwnerId: GetResourceOwnerIdFn): Requ
       const user = req.user as UserDocument;
 
       // Admin can access anything
-      if (user.isAdmin()) {
+      if (hasAdminAccess(user.permissions)) {
         next();
         return;
       }
@@ -321,6 +336,45 @@ const requireResourceAccess = (options: ResourceAccessOptions): RequestHandler =
   };
 };
 
+/**
+ * Block users whose admin or moderation permissions require two-factor authentication
+ * until they enroll
+ * Responds with twoFactorSetupRequired so the client can send them to set it up
+ */
+const requireTwoFactorEnrollment: RequestHandler = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+): Promise<void> => {
+  try {
+    const user = req.user as UserDocument | undefined;
+    if (!user || user.twoFactor?.enabled || !(await isTwoFactorRequired(user))) {
+      next();
+      return;
+    }
+
+    logger.securityEvent('TWO_FACTOR_ENROLLMENT_REQUIRED', {
+      userId: user._id,
+      userRole: user.role,
+      ip: req.ip,
+      path: req.path,
+    });
+
+    res.status(403).json({
+      message: 'Two-factor authentication must be enabled to access this area',
+      twoFactorSetupRequired: true,
+    });
+  } catch (error) {
+    const err = error as Error;
+    logger.error('Two-factor enrollment check error', {
+      error: err.message,
+      userId: req.user?._id,
+      path: req.path,
+    });
+    res.status(500).json({ message: 'Two-factor enrollment check failed' });
+  }
+};
+
 /**
  * Middleware to add user role and permission info to response headers (for debugging)
  * Only in development mode
@@ -338,22 +392,26 @@ const addDebugHeaders: RequestHandler = (req: Request, res: Response, next: Next
 };
 
 module.exports = {
+  resolveUserPermissions,
   requireRole,
   requirePermission,
   requireAdmin,
   requireModerator,
   requireOwnershipOrAdmin,
   requireResourceAccess,
+  requireTwoFactorEnrollment,
   addDebugHeaders,
 };
 
 export {
+  resolveUserPermissions,
   requireRole,
   requirePermission,
   requireAdmin,
   requireModerator,
   requireOwnershipOrAdmin,
   requireResourceAccess,
+  requireTwoFactorEnrollment,
   addDebugHeaders,
   GetResourceOwnerIdFn,
   ResourceAccessOptions,
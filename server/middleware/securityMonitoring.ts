@@ -25,57 +25,14 @@ interface UploadedFileInfo {
  * Security monitoring middleware to detect suspicious activities
  */
 
-// Track failed login attempts per IP
-const failedAttempts: TrackingMap = new Map();
+// Failed logins are counted and throttled by loginProtectionService instead,
+// since in-memory counts are lost on restart and not shared between instances
 const suspiciousActivities: TrackingMap = new Map();
 
 // Configuration
-const MAX_FAILED_ATTEMPTS = 5;
-const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
 const SUSPICIOUS_THRESHOLD = 10;
 const SUSPICIOUS_WINDOW = 60 * 60 * 1000; // 1 hour
 
-/**
- * Monitor failed authentication attempts
- */
-const trackFailedAuth: RequestHandler = (req: Request, res: Response, next: NextFunction): void => {
-  const originalSend = res.send.bind(res);
-
-  res.send = function (data: unknown): Response {
-    if (res.statusCode === 401 || res.statusCode === 403) {
-      const ip = req.ip || 'unknown';
-      const now = Date.now();
-
-      // Clean old attempts
-      if (failedAttempts.has(ip)) {
-        const attempts = failedAttempts.get(ip)!.filter((time) => now - time < ATTEMPT_WINDOW);
-        failedAttempts.set(ip, attempts);
-      }
-
-      // Add new attempt
-      const attempts = failedAttempts.get(ip) || [];
-      attempts.push(now);
-      failedAttempts.set(ip, attempts);
-
-      // Check if threshold exceeded
-      if (attempts.length >= MAX_FAILED_ATTEMPTS) {
-        logger.securityEvent('MULTIPLE_FAILED_AUTH_ATTEMPTS', {
-          ip,
-          attempts: attempts.length,
-          timeWindow: ATTEMPT_WINDOW,
-          userAgent: req.get('User-Agent'),
-          path: req.path,
-          severity: 'high',
-        });
-      }
-    }
-
-    return originalSend(data);
-  };
-
-  next();
-};
-
 /**
  * Monitor suspicious request patterns
  */
@@ -232,16 +189,6 @@ const trackAccessViolations: RequestHandler = (
 const cleanupTrackingData = (): void => {
   const now = Date.now();
 
-  // Clean failed attempts
-  for (const [ip, attempts] of failedAttempts.entries()) {
-    const recentAttempts = attempts.filter((time) => now - time < ATTEMPT_WINDOW);
-    if (recentAttempts.length === 0) {
-      failedAttempts.delete(ip);
-    } else {
-      failedAttempts.set(ip, recentAttempts);
-    }
-  }
-
   // Clean suspicious activities
   for (const [ip, activities] of suspiciousActivities.entries()) {
     const recentActivities = activities.filter((time) => now - time < SUSPICIOUS_WINDOW);
@@ -257,17 +204,10 @@ const cleanupTrackingData = (): void => {
 setInterval(cleanupTrackingData, 5 * 60 * 1000);
 
 module.exports = {
-  trackFailedAuth,
   trackSuspiciousActivity,
   trackFileUploads,
   trackAccessViolations,
   cleanupTrackingData,
 };
 
-export {
-  trackFailedAuth,
-  trackSuspiciousActivity,
-  trackFileUploads,
-  trackAccessViolations,
-  cleanupTrackingData,
-};
+export { trackSuspiciousActivity, trackFileUploads, trackAccessViolations, cleanupTrackingData };
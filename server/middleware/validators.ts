@@ -1,7 +1,20 @@
-import { body, ValidationChain } from 'express-validator';
+import { body, param, query, ValidationChain } from 'express-validator';
 
-const { passwordValidator } = require('../utils/passwordValidator');
-const { VALIDATION_LIMITS } = require('../config/constants');
+const { passwordValidator, breachedPasswordValidator } = require('../utils/passwordValidator');
+const { parseListParam } = require('../utils/queryFilters');
+const {
+  VALIDATION_LIMITS,
+  PAGINATION,
+  SEARCH,
+  COMMENTS,
+  NOTIFICATIONS,
+  CONVERSATIONS,
+  MODERATION,
+  PERMISSIONS,
+  ROLES,
+  IMPERSONATION,
+  BULK_USER_ACTIONS,
+} = require('../config/constants');
 
 /**
  * Registration request validators
@@ -17,7 +30,9 @@ const registerValidator: ValidationChain[] = [
     .custom(passwordValidator)
     .withMessage(
       'Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character'
-    ),
+    )
+    .bail()
+    .custom(breachedPasswordValidator),
   body('username')
     .trim()
     .notEmpty()
@@ -221,6 +236,193 @@ const projectValidator: ValidationChain[] = [
     .withMessage('Invalid project status'),
 ];
 
+/**
+ * Project list query validators
+ */
+const projectListValidator: ValidationChain[] = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'updated', 'collaborators'])
+    .withMessage('Sort must be one of newest, updated or collaborators'),
+  query('status')
+    .optional()
+    .isIn(['ideation', 'in_progress', 'completed'])
+    .withMessage('Invalid project status'),
+  query('owner').optional().isMongoId().withMessage('Invalid owner ID'),
+  query('member').optional().isMongoId().withMessage('Invalid member ID'),
+  query('incentiveType')
+    .optional()
+    .isIn(['monetary', 'equity', 'recognition', 'learning', 'other'])
+    .withMessage('Invalid incentive type'),
+];
+
+/**
+ * Projects-by-member query validators
+ */
+const projectsByMemberValidator: ValidationChain[] = [
+  query('userIds').custom((value: string | string[] | undefined) => {
+    const userIds: string[] = parseListParam(value);
+    if (userIds.length === 0) {
+      throw new Error('At least one user ID is required');
+    }
+    if (userIds.length > PAGINATION.MAX_MEMBER_IDS) {
+      throw new Error(`Cannot request more than ${PAGINATION.MAX_MEMBER_IDS} users at once`);
+    }
+    if (!userIds.every((id) => /^[a-f0-9]{24}$/i.test(id))) {
+      throw new Error('Invalid user ID');
+    }
+    return true;
+  }),
+];
+
+/**
+ * Project search query validators
+ */
+const projectSearchValidator: ValidationChain[] = [
+  query('query')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: SEARCH.MAX_QUERY_LENGTH })
+    .withMessage(`Search query cannot exceed ${SEARCH.MAX_QUERY_LENGTH} characters`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: SEARCH.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${SEARCH.MAX_LIMIT}`),
+  query('status')
+    .optional()
+    .isIn(['ideation', 'in_progress', 'completed'])
+    .withMessage('Invalid project status'),
+  query('incentiveType')
+    .optional()
+    .isIn(['monetary', 'equity', 'recognition', 'learning', 'other'])
+    .withMessage('Invalid incentive type'),
+];
+
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Fields shared by task creation and update
+const taskFieldValidators = (): ValidationChain[] => [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.TASK_DESCRIPTION_MAX })
+    .withMessage(
+      `Task description cannot exceed ${VALIDATION_LIMITS.TASK_DESCRIPTION_MAX} characters`
+    ),
+  body('assignee').optional({ values: 'null' }).isMongoId().withMessage('Invalid assignee ID'),
+  body('labels')
+    .optional()
+    .isArray({ max: VALIDATION_LIMITS.TASK_LABELS_MAX })
+    .withMessage(`Labels must be an array of at most ${VALIDATION_LIMITS.TASK_LABELS_MAX} items`),
+  body('labels.*')
+    .trim()
+    .isLength({ min: 1, max: VALIDATION_LIMITS.TASK_LABEL_MAX })
+    .withMessage(`Each label must be between 1 and ${VALIDATION_LIMITS.TASK_LABEL_MAX} characters`),
+  body('milestone').optional({ values: 'null' }).isMongoId().withMessage('Invalid milestone ID'),
+  body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid due date'),
+  body('priority').optional().isIn(TASK_PRIORITIES).withMessage('Invalid task priority'),
+  body('status').optional().isIn(TASK_STATUSES).withMessage('Invalid task status'),
+];
+
+/**
+ * Task creation validators
+ */
+const taskValidator: ValidationChain[] = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Task title is required')
+    .isLength({ max: VALIDATION_LIMITS.TASK_TITLE_MAX })
+    .withMessage(`Task title cannot exceed ${VALIDATION_LIMITS.TASK_TITLE_MAX} characters`),
+  ...taskFieldValidators(),
+];
+
+/**
+ * Task update validators
+ */
+const taskUpdateValidator: ValidationChain[] = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Task title cannot be empty')
+    .isLength({ max: VALIDATION_LIMITS.TASK_TITLE_MAX })
+    .withMessage(`Task title cannot exceed ${VALIDATION_LIMITS.TASK_TITLE_MAX} characters`),
+  ...taskFieldValidators(),
+];
+
+/**
+ * Task move (drag-and-drop) validators
+ */
+const taskMoveValidator: ValidationChain[] = [
+  body('status').isIn(TASK_STATUSES).withMessage('Invalid task status'),
+  body('position').isInt({ min: 0 }).withMessage('Position must be a non-negative integer'),
+];
+
+// Fields shared by milestone creation and update
+const milestoneFieldValidators = (): ValidationChain[] => [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION_LIMITS.MILESTONE_DESCRIPTION_MAX })
+    .withMessage(
+      `Milestone description cannot exceed ${VALIDATION_LIMITS.MILESTONE_DESCRIPTION_MAX} characters`
+    ),
+  body('targetDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid target date'),
+  body('checklist')
+    .optional()
+    .isArray({ max: VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX })
+    .withMessage(
+      `Checklist must be an array of at most ${VALIDATION_LIMITS.CHECKLIST_ITEMS_MAX} items`
+    ),
+  body('checklist.*.text')
+    .trim()
+    .isLength({ min: 1, max: VALIDATION_LIMITS.CHECKLIST_ITEM_MAX })
+    .withMessage(
+      `Checklist items must be between 1 and ${VALIDATION_LIMITS.CHECKLIST_ITEM_MAX} characters`
+    ),
+  body('checklist.*.done').optional().isBoolean().withMessage('Checklist done must be a boolean'),
+];
+
+/**
+ * Milestone creation validators
+ */
+const milestoneValidator: ValidationChain[] = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Milestone title is required')
+    .isLength({ max: VALIDATION_LIMITS.MILESTONE_TITLE_MAX })
+    .withMessage(
+      `Milestone title cannot exceed ${VALIDATION_LIMITS.MILESTONE_TITLE_MAX} characters`
+    ),
+  ...milestoneFieldValidators(),
+];
+
+/**
+ * Milestone update validators
+ */
+const milestoneUpdateValidator: ValidationChain[] = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Milestone title cannot be empty')
+    .isLength({ max: VALIDATION_LIMITS.MILESTONE_TITLE_MAX })
+    .withMessage(
+      `Milestone title cannot exceed ${VALIDATION_LIMITS.MILESTONE_TITLE_MAX} characters`
+    ),
+  ...milestoneFieldValidators(),
+];
+
 /**
  * Message request validators
  */
@@ -254,6 +456,301 @@ const commentValidator: ValidationChain[] = [
     .withMessage('Comment content is required')
     .isLength({ min: 1, max: 1000 })
     .withMessage('Comment must be between 1 and 1000 characters'),
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+];
+
+const commentListValidator: ValidationChain[] = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: COMMENTS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${COMMENTS.MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+];
+
+const notificationListValidator: ValidationChain[] = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: NOTIFICATIONS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${NOTIFICATIONS.MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+];
+
+/**
+ * Conversation request validators
+ */
+const messageContentValidator = (): ValidationChain =>
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Message content is required')
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters');
+
+const conversationStartValidator: ValidationChain[] = [
+  body('recipientId')
+    .notEmpty()
+    .withMessage('Recipient ID is required')
+    .isMongoId()
+    .withMessage('Invalid recipient ID'),
+  messageContentValidator(),
+];
+
+const conversationMessageValidator: ValidationChain[] = [messageContentValidator()];
+
+const conversationListValidator: ValidationChain[] = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CONVERSATIONS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${CONVERSATIONS.MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+];
+
+const conversationMessageListValidator: ValidationChain[] = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CONVERSATIONS.MESSAGES_MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${CONVERSATIONS.MESSAGES_MAX_LIMIT}`),
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+];
+
+/**
+ * Target user of a block or mute request
+ */
+const userIdParamValidator: ValidationChain[] = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+];
+
+/**
+ * Self-service account deletion; accounts without a password confirm with their username
+ */
+const accountDeletionValidator: ValidationChain[] = [
+  body('password').optional().isString().withMessage('Password must be a string'),
+  body('confirmUsername').optional().isString().withMessage('Username must be a string'),
+];
+
+/**
+ * Content report and moderation queue validators
+ */
+const REPORT_STATUSES = ['open', 'claimed', 'escalated', 'resolved', 'dismissed', 'active'];
+const REPORT_ACTIONS = ['claim', 'dismiss', 'hide', 'warn', 'escalate', 'suspend'];
+
+const reportValidator: ValidationChain[] = [
+  body('targetType')
+    .isIn(MODERATION.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${MODERATION.TARGET_TYPES.join(', ')}`),
+  body('targetId').isMongoId().withMessage('Invalid target ID'),
+  body('reason')
+    .isIn(MODERATION.REASONS)
+    .withMessage(`Reason must be one of: ${MODERATION.REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: MODERATION.MAX_DETAILS_LENGTH })
+    .withMessage(`Details must not exceed ${MODERATION.MAX_DETAILS_LENGTH} characters`),
+];
+
+const reportListValidator: ValidationChain[] = [
+  query('status')
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage(`Status must be one of: ${REPORT_STATUSES.join(', ')}`),
+  query('targetType')
+    .optional()
+    .isIn(MODERATION.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${MODERATION.TARGET_TYPES.join(', ')}`),
+  query('assignedTo').optional().equals('me').withMessage('assignedTo can only be "me"'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MODERATION.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MODERATION.MAX_LIMIT}`),
+];
+
+const reportIdParamValidator: ValidationChain[] = [
+  param('reportId').isMongoId().withMessage('Invalid report ID'),
+];
+
+const reportActionValidator: ValidationChain[] = [
+  ...reportIdParamValidator,
+  body('action')
+    .isIn(REPORT_ACTIONS)
+    .withMessage(`Action must be one of: ${REPORT_ACTIONS.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: MODERATION.MAX_NOTE_LENGTH })
+    .withMessage(`Note must not exceed ${MODERATION.MAX_NOTE_LENGTH} characters`),
+  body('note')
+    .if(body('action').equals('suspend'))
+    .notEmpty()
+    .withMessage('A reason is required when suspending a user'),
+  body('duration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number (in milliseconds)'),
+];
+
+/**
+ * Role management validators
+ */
+const rolePermissionsValidator: ValidationChain[] = [
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${PERMISSIONS.join(', ')}`),
+];
+
+const roleDetailsValidator: ValidationChain[] = [
+  body('displayName')
+    .trim()
+    .notEmpty()
+    .withMessage('Display name is required')
+    .isLength({ max: ROLES.MAX_DISPLAY_NAME_LENGTH })
+    .withMessage(`Display name must not exceed ${ROLES.MAX_DISPLAY_NAME_LENGTH} characters`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: ROLES.MAX_DESCRIPTION_LENGTH })
+    .withMessage(`Description must not exceed ${ROLES.MAX_DESCRIPTION_LENGTH} characters`),
+];
+
+const roleCreateValidator: ValidationChain[] = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(ROLES.NAME_PATTERN)
+    .withMessage(
+      'Name must be 2-30 lowercase letters, numbers, hyphens or underscores, starting with a letter'
+    ),
+  ...roleDetailsValidator,
+  ...rolePermissionsValidator,
+];
+
+const roleIdParamValidator: ValidationChain[] = [
+  param('roleId').isMongoId().withMessage('Invalid role ID'),
+];
+
+const roleUpdateValidator: ValidationChain[] = [
+  ...roleIdParamValidator,
+  ...roleDetailsValidator,
+  ...rolePermissionsValidator,
+];
+
+const roleHoldersValidator: ValidationChain[] = [
+  ...roleIdParamValidator,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: ROLES.HOLDERS_MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${ROLES.HOLDERS_MAX_LIMIT}`),
+];
+
+/**
+ * Admin role assignment; customPermissions replaces the user's custom permissions
+ */
+const userRoleValidator: ValidationChain[] = [
+  body('role')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(ROLES.NAME_PATTERN)
+    .withMessage('Invalid role'),
+  body('customPermissions').optional().isArray().withMessage('Custom permissions must be an array'),
+  body('customPermissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${PERMISSIONS.join(', ')}`),
+];
+
+/**
+ * Admin starting an impersonation session; the reason is kept in the audit log
+ */
+const impersonationValidator: ValidationChain[] = [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: IMPERSONATION.MAX_REASON_LENGTH })
+    .withMessage(`Reason must not exceed ${IMPERSONATION.MAX_REASON_LENGTH} characters`),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: IMPERSONATION.MIN_DURATION_MINUTES, max: IMPERSONATION.MAX_DURATION_MINUTES })
+    .withMessage(
+      `Duration must be between ${IMPERSONATION.MIN_DURATION_MINUTES} and ${IMPERSONATION.MAX_DURATION_MINUTES} minutes`
+    )
+    .toInt(),
+];
+
+/**
+ * Bulk user actions; suspending needs a reason and changing role needs a role
+ */
+const bulkUserActionValidator: ValidationChain[] = [
+  body('action')
+    .isIn(BULK_USER_ACTIONS.ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_USER_ACTIONS.ACTIONS.join(', ')}`),
+  body('params').optional().isObject().withMessage('Params must be an object'),
+  body('params.reason')
+    .if(body('action').equals('suspend'))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required when suspending users')
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  body('params.duration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number (in milliseconds)')
+    .toInt(),
+  body('params.role')
+    .if(body('action').equals('change_role'))
+    .trim()
+    .toLowerCase()
+    .matches(ROLES.NAME_PATTERN)
+    .withMessage('Invalid role'),
+];
+
+/**
+ * Bulk action preview; users are picked by ID or by the admin user list's filter
+ */
+const bulkUserPreviewValidator: ValidationChain[] = [
+  ...bulkUserActionValidator,
+  body('userIds')
+    .optional()
+    .isArray({ min: 1, max: BULK_USER_ACTIONS.MAX_USERS })
+    .withMessage(`Select between 1 and ${BULK_USER_ACTIONS.MAX_USERS} users`),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+  body('filter').optional().isObject().withMessage('Filter must be an object'),
+  body('filter.search').optional().isString().trim(),
+  body('filter.role').optional().isString().trim(),
+  body('filter.status')
+    .optional()
+    .isIn(['', 'active', 'suspended', 'inactive'])
+    .withMessage('Invalid status'),
+  body()
+    .custom((value: { userIds?: unknown; filter?: unknown }) => !value.userIds !== !value.filter)
+    .withMessage('Pick users either by userIds or by filter'),
+];
+
+/**
+ * Applying a bulk action to one batch of users
+ */
+const bulkUserApplyValidator: ValidationChain[] = [
+  ...bulkUserActionValidator,
+  body('userIds')
+    .isArray({ min: 1, max: BULK_USER_ACTIONS.MAX_BATCH_SIZE })
+    .withMessage(`Send between 1 and ${BULK_USER_ACTIONS.MAX_BATCH_SIZE} user IDs at a time`),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+];
+
+const mentionSuggestionsValidator: ValidationChain[] = [
+  query('q')
+    .trim()
+    .matches(/^[a-zA-Z0-9_]{1,30}$/)
+    .withMessage('Query must be 1-30 letters, numbers or underscores'),
 ];
 
 module.exports = {
@@ -261,8 +758,37 @@ module.exports = {
   loginValidator,
   profileUpdateValidator,
   projectValidator,
+  projectListValidator,
+  projectsByMemberValidator,
+  projectSearchValidator,
+  taskValidator,
+  taskUpdateValidator,
+  taskMoveValidator,
+  milestoneValidator,
+  milestoneUpdateValidator,
   commentValidator,
+  commentListValidator,
+  mentionSuggestionsValidator,
+  notificationListValidator,
   messageValidator,
+  conversationStartValidator,
+  conversationMessageValidator,
+  conversationListValidator,
+  conversationMessageListValidator,
+  userIdParamValidator,
+  accountDeletionValidator,
+  reportValidator,
+  reportListValidator,
+  reportIdParamValidator,
+  reportActionValidator,
+  roleCreateValidator,
+  roleUpdateValidator,
+  roleIdParamValidator,
+  roleHoldersValidator,
+  userRoleValidator,
+  impersonationValidator,
+  bulkUserPreviewValidator,
+  bulkUserApplyValidator,
 };
 
 export {
@@ -270,6 +796,35 @@ export {
   loginValidator,
   profileUpdateValidator,
   projectValidator,
+  projectListValidator,
+  projectsByMemberValidator,
+  projectSearchValidator,
+  taskValidator,
+  taskUpdateValidator,
+  taskMoveValidator,
+  milestoneValidator,
+  milestoneUpdateValidator,
   commentValidator,
+  commentListValidator,
+  mentionSuggestionsValidator,
+  notificationListValidator,
   messageValidator,
+  conversationStartValidator,
+  conversationMessageValidator,
+  conversationListValidator,
+  conversationMessageListValidator,
+  userIdParamValidator,
+  accountDeletionValidator,
+  reportValidator,
+  reportListValidator,
+  reportIdParamValidator,
+  reportActionValidator,
+  roleCreateValidator,
+  roleUpdateValidator,
+  roleIdParamValidator,
+  roleHoldersValidator,
+  userRoleValidator,
+  impersonationValidator,
+  bulkUserPreviewValidator,
+  bulkUserApplyValidator,
 };
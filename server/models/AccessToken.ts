@@ -0,0 +1,60 @@
+import mongoose, { Schema } from 'mongoose';
+import { IAccessToken, AccessTokenModel, Permission } from '../types/models';
+
+const { ACCESS_TOKENS, PERMISSIONS } = require('../config/constants');
+
+const accessTokenSchema = new Schema<IAccessToken, AccessTokenModel>(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: ACCESS_TOKENS.NAME_MAX_LENGTH,
+    },
+    // SHA-256 of the token; the token itself is only shown once, when created
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Start of the token, so users can tell their tokens apart
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: PERMISSIONS as readonly Permission[],
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AccessToken = mongoose.model<IAccessToken, AccessTokenModel>(
+  'AccessToken',
+  accessTokenSchema
+);
+
+module.exports = AccessToken;
@@ -0,0 +1,79 @@
+import mongoose, { Schema } from 'mongoose';
+import { IAuditLog, AuditLogModel } from '../types/models';
+
+const { AUDIT_LOG } = require('../config/constants');
+
+// Admin actions and security events, kept so admins can review them from the dashboard
+const auditLogSchema = new Schema<IAuditLog, AuditLogModel>(
+  {
+    type: {
+      type: String,
+      enum: AUDIT_LOG.TYPES,
+      required: true,
+    },
+    // Event name as passed to the logger, e.g. ADMIN_USER_SUSPENDED
+    event: {
+      type: String,
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: AUDIT_LOG.SEVERITIES,
+      default: 'medium',
+    },
+    // User who performed the action, if known
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // User the action was performed on, if any
+    target: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    targetEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    // Everything else the logger was given
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+// Indexes for the admin log viewer filters, newest first
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ type: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ severity: 1, createdAt: -1 });
+
+// Old entries are removed automatically
+auditLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AUDIT_LOG.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const AuditLog = mongoose.model<IAuditLog, AuditLogModel>('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
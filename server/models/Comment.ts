@@ -18,6 +18,49 @@ const commentSchema = new Schema<IComment, CommentModel>(
       required: true,
       trim: true,
     },
+    // Users @mentioned in the content, resolved when the comment is saved
+    mentions: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Thread structure: top-level comments have no parent and depth 0
+    parentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Deleted comments with replies stay as a placeholder so the thread survives
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    // Hidden by a moderator in response to a report
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -26,6 +69,8 @@ const commentSchema = new Schema<IComment, CommentModel>(
 
 // Create index for efficient querying of project comments
 commentSchema.index({ projectId: 1 });
+// Cursor pagination of top-level comments (newest first) and replies (oldest first)
+commentSchema.index({ projectId: 1, parentId: 1, createdAt: -1, _id: -1 });
 
 const Comment = mongoose.model<IComment, CommentModel>('Comment', commentSchema);
 
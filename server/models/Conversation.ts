@@ -0,0 +1,49 @@
+import mongoose, { Schema } from 'mongoose';
+import { IConversation, ConversationModel } from '../types/models';
+
+const conversationSchema = new Schema<IConversation, ConversationModel>(
+  {
+    participants: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+    ],
+    // Sorted participant IDs, so there is one conversation per pair of users
+    participantKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Preview shown in the conversation list
+    lastMessage: {
+      content: { type: String },
+      sender: { type: Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date },
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Unread message count per participant, keyed by user ID
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's conversations, most recently active first
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+
+const Conversation = mongoose.model<IConversation, ConversationModel>(
+  'Conversation',
+  conversationSchema
+);
+
+module.exports = Conversation;
@@ -0,0 +1,63 @@
+import mongoose, { Schema } from 'mongoose';
+import { ILoginThrottle, LoginThrottleModel, LoginThrottleKind } from '../types/models';
+
+// Failed login counters, persisted so they survive restarts and are shared between instances
+const loginThrottleSchema = new Schema<ILoginThrottle, LoginThrottleModel>(
+  {
+    // 'account:<email>' or 'ip:<address>'
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ['account', 'ip'] as LoginThrottleKind[],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // Progressive delay: no attempts are checked before this time
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Lockouts in a row, used to lengthen each one
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    // SHA-256 of the token in the unlock email
+    unlockTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+      index: { sparse: true },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const LoginThrottle = mongoose.model<ILoginThrottle, LoginThrottleModel>(
+  'LoginThrottle',
+  loginThrottleSchema
+);
+
+module.exports = LoginThrottle;
@@ -3,6 +3,11 @@ import { IMessage, MessageModel } from '../types/models';
 
 const messageSchema = new Schema<IMessage, MessageModel>(
   {
+    // Conversation the message belongs to (missing on messages sent before conversations)
+    conversation: {
+      type: Schema.Types.ObjectId,
+      ref: 'Conversation',
+    },
     sender: {
       type: Schema.Types.ObjectId,
       ref: 'User',
@@ -13,11 +18,12 @@ const messageSchema = new Schema<IMessage, MessageModel>(
       ref: 'User',
       required: true,
     },
+    // Optional: chat messages sent within a conversation have no subject
     subject: {
       type: String,
-      required: true,
       trim: true,
       maxlength: 100,
+      default: '',
     },
     content: {
       type: String,
@@ -25,6 +31,13 @@ const messageSchema = new Schema<IMessage, MessageModel>(
       trim: true,
       maxlength: 1000,
     },
+    // Users @mentioned in the content, resolved when the message is sent
+    mentions: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
     isRead: {
       type: Boolean,
       default: false,
@@ -32,6 +45,20 @@ const messageSchema = new Schema<IMessage, MessageModel>(
     readAt: {
       type: Date,
     },
+    // Hidden by a moderator in response to a report
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -41,6 +68,7 @@ const messageSchema = new Schema<IMessage, MessageModel>(
 // Index for efficient querying
 messageSchema.index({ sender: 1, recipient: 1, createdAt: -1 });
 messageSchema.index({ recipient: 1, isRead: 1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 
 const Message = mongoose.model<IMessage, MessageModel>('Message', messageSchema);
 
@@ -0,0 +1,98 @@
+import mongoose, { Schema, Types } from 'mongoose';
+import { IMilestone, MilestoneModel, IProjectProgress, IChecklistItem } from '../types/models';
+
+const { VALIDATION_LIMITS } = require('../config/constants');
+const { computeMilestoneProgress, computeProjectProgress } = require('../utils/milestoneProgress');
+
+const checklistItemSchema = new Schema<IChecklistItem>({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: VALIDATION_LIMITS.CHECKLIST_ITEM_MAX,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const milestoneSchema = new Schema<IMilestone, MilestoneModel>(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: VALIDATION_LIMITS.MILESTONE_TITLE_MAX,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: VALIDATION_LIMITS.MILESTONE_DESCRIPTION_MAX,
+    },
+    targetDate: {
+      type: Date,
+      default: null,
+    },
+    checklist: [checklistItemSchema],
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a project's milestones by target date
+milestoneSchema.index({ projectId: 1, targetDate: 1 });
+
+// Static method to count the tasks linked to each milestone of a project
+milestoneSchema.statics.getTaskCounts = async function (
+  projectId: Types.ObjectId | string
+): Promise<Map<string, { total: number; done: number }>> {
+  const counts = await mongoose.model('Task').aggregate([
+    { $match: { projectId: new Types.ObjectId(projectId.toString()), milestone: { $ne: null } } },
+    {
+      $group: {
+        _id: '$milestone',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $eq: ['$status', 'done'] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(counts.map((count) => [count._id.toString(), count]));
+};
+
+// Static method to recompute and store a project's milestone completion
+milestoneSchema.statics.recalculateProjectProgress = async function (
+  projectId: Types.ObjectId | string
+): Promise<IProjectProgress> {
+  const [milestones, taskCounts] = await Promise.all([
+    this.find({ projectId }).select('checklist'),
+    this.getTaskCounts(projectId),
+  ]);
+
+  const progress: IProjectProgress = computeProjectProgress(
+    milestones.map((milestone) =>
+      computeMilestoneProgress({
+        checklist: milestone.checklist,
+        taskCounts: taskCounts.get(milestone._id.toString()),
+      })
+    )
+  );
+
+  await mongoose.model('Project').updateOne({ _id: projectId }, { $set: { progress } });
+  return progress;
+};
+
+const Milestone = mongoose.model<IMilestone, MilestoneModel>('Milestone', milestoneSchema);
+
+module.exports = Milestone;
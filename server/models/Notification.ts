@@ -0,0 +1,79 @@
+import mongoose, { Schema } from 'mongoose';
+import { INotification, NotificationModel } from '../types/models';
+
+const { NOTIFICATIONS } = require('../config/constants');
+
+const notificationSchema = new Schema<INotification, NotificationModel>(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // User whose action triggered the notification
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: [
+        'collaboration_request',
+        'collaboration_accepted',
+        'collaboration_rejected',
+        'comment',
+        'comment_reply',
+        'mention',
+        'message',
+        'security_alert',
+        'report_update',
+        'moderation_warning',
+      ],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    // Client route to open when the notification is clicked
+    link: {
+      type: String,
+      required: true,
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing a user's notifications newest first and counting unread ones
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+
+// Old notifications are removed automatically
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATIONS.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model<INotification, NotificationModel>(
+  'Notification',
+  notificationSchema
+);
+
+module.exports = Notification;
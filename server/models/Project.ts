@@ -121,14 +121,73 @@ const projectSchema = new Schema<IProject, ProjectModel>(
         trim: true,
       },
     },
+    // Completion rolled up from milestones (kept in sync by Milestone.recalculateProjectProgress)
+    progress: {
+      percent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      milestonesTotal: {
+        type: Number,
+        default: 0,
+      },
+      milestonesCompleted: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Archived when the owner deleted their account and no collaborator could take it
+    // over; archived projects are left out of listings and search
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Hidden by a moderator in response to a report
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Create indexes for search functionality
-projectSchema.index({ title: 'text', tags: 'text' });
+// Weighted text index backing project search (title matches rank highest)
+projectSchema.index(
+  {
+    title: 'text',
+    tags: 'text',
+    technologies: 'text',
+    requiredSkills: 'text',
+    description: 'text',
+  },
+  {
+    name: 'project_search',
+    weights: { title: 10, tags: 5, technologies: 5, requiredSkills: 5, description: 1 },
+  }
+);
+
+// Indexes backing cursor pagination of project listings
+projectSchema.index({ createdAt: -1, _id: -1 });
+projectSchema.index({ updatedAt: -1, _id: -1 });
+projectSchema.index({ status: 1, createdAt: -1 });
+projectSchema.index({ owner: 1, createdAt: -1 });
 
 const Project = mongoose.model<IProject, ProjectModel>('Project', projectSchema);
 
@@ -0,0 +1,120 @@
+import mongoose, { Schema } from 'mongoose';
+import {
+  IReport,
+  ReportModel,
+  ReportAction,
+  ReportStatus,
+  ReportResolution,
+} from '../types/models';
+
+const { MODERATION } = require('../config/constants');
+
+// A user's report of a project, comment, message or profile, worked through by moderators
+const reportSchema = new Schema<IReport, ReportModel>(
+  {
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: MODERATION.TARGET_TYPES,
+      required: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    // Author of the reported content (or the reported user), who can be warned or suspended
+    targetOwner: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Project the content belongs to, for linking to it from the queue
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: MODERATION.REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: MODERATION.MAX_DETAILS_LENGTH,
+    },
+    // The content as it was when reported, in case it's edited or deleted afterwards
+    contentSnapshot: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'claimed', 'escalated', 'resolved', 'dismissed'] as ReportStatus[],
+      default: 'open',
+    },
+    // Moderator who claimed the report
+    assignedTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolution: {
+      type: String,
+      enum: ['dismissed', 'content_hidden', 'user_warned', 'user_suspended'] as ReportResolution[],
+      default: null,
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    // Every action taken on the report, oldest first
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ['claim', 'dismiss', 'hide', 'warn', 'escalate', 'suspend'] as ReportAction[],
+          required: true,
+        },
+        by: {
+          type: Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: MODERATION.MAX_NOTE_LENGTH,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Moderation queue, oldest first within each status
+reportSchema.index({ status: 1, createdAt: 1 });
+// Other open reports about the same content, resolved along with it
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+// Duplicate and daily limit checks
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+const Report = mongoose.model<IReport, ReportModel>('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,56 @@
+import mongoose, { Schema } from 'mongoose';
+import { IRole, RoleModel, Permission } from '../types/models';
+
+const { PERMISSIONS, ROLES } = require('../config/constants');
+
+// A named bundle of permissions that users are assigned by name
+const roleSchema = new Schema<IRole, RoleModel>(
+  {
+    // Stored on users as their role, so it can't change once created
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: ROLES.NAME_PATTERN,
+      immutable: true,
+    },
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: ROLES.MAX_DISPLAY_NAME_LENGTH,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: ROLES.MAX_DESCRIPTION_LENGTH,
+      default: '',
+    },
+    permissions: [
+      {
+        type: String,
+        enum: PERMISSIONS as readonly Permission[],
+      },
+    ],
+    // Seeded roles can't be deleted
+    isBuiltIn: {
+      type: Boolean,
+      default: false,
+      immutable: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model<IRole, RoleModel>('Role', roleSchema);
+
+module.exports = Role;
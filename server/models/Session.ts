@@ -5,8 +5,11 @@ import {
   SessionDocument,
   SessionModel,
   SessionRevokedReason,
+  SessionLoginFlag,
 } from '../types/models';
 
+const { SESSION_CONFIG, IMPERSONATION } = require('../config/constants');
+
 const sessionSchema = new Schema<ISession, SessionModel, ISessionMethods>(
   {
     userId: {
@@ -43,6 +46,28 @@ const sessionSchema = new Schema<ISession, SessionModel, ISessionMethods>(
       city: String,
       timezone: String,
     },
+    // Set when the login came from a device or network the user hadn't used before
+    loginFlags: {
+      type: [
+        {
+          type: String,
+          enum: ['new_device', 'new_location'] as SessionLoginFlag[],
+        },
+      ],
+      default: [],
+    },
+    // Name the user gave this session, e.g. "Work laptop"
+    name: {
+      type: String,
+      trim: true,
+      maxlength: SESSION_CONFIG.NAME_MAX_LENGTH,
+    },
+    // SHA-256 of the token in the new sign-in alert's "this wasn't me" link
+    reportTokenHash: {
+      type: String,
+      select: false,
+      index: { sparse: true },
+    },
     lastActivity: {
       type: Date,
       default: Date.now,
@@ -53,6 +78,50 @@ const sessionSchema = new Schema<ISession, SessionModel, ISessionMethods>(
       required: true,
       index: { expireAfterSeconds: 0 },
     },
+    // Rotations so far; each refresh token carries the generation it was issued for,
+    // so a replayed older one can be recognized as reuse
+    refreshGeneration: {
+      type: Number,
+      default: 0,
+    },
+    // Key the session's refresh tokens are signed with
+    refreshFamilyKey: {
+      type: String,
+      select: false,
+    },
+    refreshTokenRotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when an admin started this session to act as its user
+    impersonation: {
+      type: new Schema(
+        {
+          by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+          },
+          reason: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: IMPERSONATION.MAX_REASON_LENGTH,
+          },
+          endsAt: {
+            type: Date,
+            required: true,
+          },
+          adminSessionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Session',
+            default: null,
+          },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     revokedAt: {
       type: Date,
     },
@@ -65,6 +134,10 @@ const sessionSchema = new Schema<ISession, SessionModel, ISessionMethods>(
         'security_breach',
         'expired',
         'concurrent_limit',
+        'email_change',
+        'reported_by_user',
+        'account_deletion',
+        'impersonation_ended',
       ] as SessionRevokedReason[],
     },
   },
@@ -119,10 +192,11 @@ sessionSchema.statics.cleanExpiredSessions = async function (): Promise<number>
 };
 
 // Static method to get active session count for user
+// Impersonation sessions don't count towards the user's own limit
 sessionSchema.statics.getActiveSessionCount = async function (
   userId: Types.ObjectId
 ): Promise<number> {
-  return this.countDocuments({ userId, isActive: true });
+  return this.countDocuments({ userId, isActive: true, impersonation: null });
 };
 
 const Session = mongoose.model<ISession, SessionModel>('Session', sessionSchema);
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from 'mongoose';
+import { ISiteSettings, SiteSettingsModel, SiteSettingsDocument, UserRole } from '../types/models';
+
+const { TWO_FACTOR } = require('../config/constants');
+
+// Key of the single settings document
+const SETTINGS_KEY = 'site';
+
+const siteSettingsSchema = new Schema<ISiteSettings, SiteSettingsModel>(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: SETTINGS_KEY,
+    },
+    // Groups (by permission, not role name) whose members must enroll in two-factor authentication
+    twoFactorRequiredRoles: [
+      {
+        type: String,
+        enum: TWO_FACTOR.ENFORCEABLE_ROLES as readonly UserRole[],
+      },
+    ],
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Get the site settings, creating them with defaults on first use
+siteSettingsSchema.statics.getSettings = async function (): Promise<SiteSettingsDocument> {
+  return this.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SiteSettings = mongoose.model<ISiteSettings, SiteSettingsModel>(
+  'SiteSettings',
+  siteSettingsSchema
+);
+
+module.exports = SiteSettings;
@@ -0,0 +1,80 @@
+import mongoose, { Schema } from 'mongoose';
+import { ITask, TaskModel, TaskStatus, TaskPriority } from '../types/models';
+
+const { VALIDATION_LIMITS } = require('../config/constants');
+
+const taskSchema = new Schema<ITask, TaskModel>(
+  {
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: VALIDATION_LIMITS.TASK_TITLE_MAX,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: VALIDATION_LIMITS.TASK_DESCRIPTION_MAX,
+    },
+    // Owner or an accepted collaborator of the project
+    assignee: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Milestone the task counts towards, if any
+    milestone: {
+      type: Schema.Types.ObjectId,
+      ref: 'Milestone',
+      default: null,
+    },
+    labels: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'] as TaskPriority[],
+      default: 'medium',
+    },
+    // Board column the task sits in
+    status: {
+      type: String,
+      enum: ['todo', 'in_progress', 'review', 'done'] as TaskStatus[],
+      default: 'todo',
+    },
+    // Order within the column (ascending)
+    position: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for loading a project's board in column order
+taskSchema.index({ projectId: 1, status: 1, position: 1 });
+taskSchema.index({ assignee: 1 });
+taskSchema.index({ milestone: 1 });
+
+const Task = mongoose.model<ITask, TaskModel>('Task', taskSchema);
+
+module.exports = Task;
@@ -11,7 +11,8 @@ import {
   Availability,
 } from '../types/models';
 
-const { SECURITY } = require('../config/constants');
+const { SECURITY, PERMISSIONS, PASSWORD_REQUIREMENTS, ROLES } = require('../config/constants');
+const { hashBrowserNonce } = require('../utils/magicLinks');
 
 const userSchema = new Schema<IUser, UserModel, IUserMethods>(
   {
@@ -27,6 +28,12 @@ const userSchema = new Schema<IUser, UserModel, IUserMethods>(
       required: true,
       minlength: 8,
     },
+    // False for accounts created through GitHub sign-in, whose password is random
+    // until the user sets one with a password reset
+    hasPassword: {
+      type: Boolean,
+      default: true,
+    },
     username: {
       type: String,
       required: true,
@@ -45,6 +52,18 @@ const userSchema = new Schema<IUser, UserModel, IUserMethods>(
     emailVerificationExpires: {
       type: Date,
     },
+    // New address waiting to be confirmed through the emailVerificationToken link
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      select: false,
+    },
+    // Session that asked for the change, kept signed in once it's confirmed
+    pendingEmailSessionId: {
+      type: Schema.Types.ObjectId,
+      select: false,
+    },
     // Password reset fields
     passwordResetToken: {
       type: String,
@@ -52,6 +71,27 @@ const userSchema = new Schema<IUser, UserModel, IUserMethods>(
     passwordResetExpires: {
       type: Date,
     },
+    // bcrypt hashes of the most recent passwords, newest (the current one) first,
+    // so users can't switch back to one of them
+    passwordHistory: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // Passwordless login link fields, never loaded unless explicitly selected
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      select: false,
+    },
+    // Hash of the nonce cookie set in the browser that asked for the link
+    magicLinkBrowserHash: {
+      type: String,
+      select: false,
+    },
     firstName: {
       type: String,
       trim: true,
@@ -127,48 +167,124 @@ const userSchema = new Schema<IUser, UserModel, IUserMethods>(
       type: String,
       trim: true,
     },
+    // GitHub account linked for sign-in
+    github: {
+      id: {
+        type: String,
+        unique: true,
+        sparse: true,
+      },
+      username: {
+        type: String,
+        trim: true,
+      },
+      linkedAt: {
+        type: Date,
+      },
+    },
     isProfilePublic: {
       type: Boolean,
       default: true,
     },
+    // Set by a moderator in response to a report; unlike isProfilePublic, the user can't undo it
+    isProfileHidden: {
+      type: Boolean,
+      default: false,
+    },
+    profileHiddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Users who can't message, mention or send collaboration requests to this user
+    blockedUsers: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Users whose comments are hidden from this user
+    mutedUsers: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // TOTP two-factor authentication
+    // Secrets and recovery code hashes are never loaded unless explicitly selected
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during enrollment, until the user confirms it with a code
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+      // Time step of the last accepted code, so codes can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+        default: null,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Devices and networks the user has logged in from, so new ones can be flagged
+    knownDevices: {
+      type: [
+        {
+          _id: false,
+          device: { type: String, required: true },
+          network: { type: String, required: true },
+          firstSeenAt: { type: Date, default: Date.now },
+          lastSeenAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    // Set when the user reports a sign-in that wasn't them; password logins are
+    // refused until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
     // Role and permissions system
+    // Name of a Role; admins can create roles beyond the built-in ones
     role: {
       type: String,
-      enum: ['user', 'moderator', 'admin'] as UserRole[],
-      default: 'user',
+      default: ROLES.DEFAULT_ROLE,
+      lowercase: true,
+      trim: true,
+      match: ROLES.NAME_PATTERN,
       index: true,
     },
+    // Granted on top of the role's permissions
+    customPermissions: [
+      {
+        type: String,
+        enum: PERMISSIONS as readonly Permission[],
+      },
+    ],
+    // Effective permissions (the role's plus customPermissions), stored for queries and
+    // kept in sync when either changes; auth resolves them fresh on every request
     permissions: [
       {
         type: String,
-        enum: [
-          // User management
-          'users.read',
-          'users.create',
-          'users.update',
-          'users.delete',
-          // Project management
-          'projects.read',
-          'projects.create',
-          'projects.update',
-          'projects.delete',
-          'projects.moderate',
-          // Comment management
-          'comments.read',
-          'comments.create',
-          'comments.update',
-          'comments.delete',
-          'comments.moderate',
-          // Admin functions
-          'admin.dashboard',
-          'admin.users',
-          'admin.analytics',
-          'admin.system',
-          // Moderation
-          'moderate.content',
-          'moderate.users',
-          'moderate.reports',
-        ] as Permission[],
+        enum: PERMISSIONS as readonly Permission[],
       },
     ],
     // Account status
@@ -188,6 +304,22 @@ const userSchema = new Schema<IUser, UserModel, IUserMethods>(
       type: String,
       trim: true,
     },
+    // Self-service deletion: the account is anonymized once deletionScheduledFor
+    // passes, unless the user cancels first
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: { sparse: true },
+    },
+    // Set once the account has been anonymized
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -204,6 +336,13 @@ userSchema.pre('save', async function (next) {
     const { SECURITY } = require('../config/constants');
     const salt = await bcrypt.genSalt(SECURITY.BCRYPT_SALT_ROUNDS);
     this.password = await bcrypt.hash(this.password, salt);
+    // Only kept up to date when loaded, so a save can't overwrite history it never read
+    if (this.isSelected('passwordHistory')) {
+      this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(
+        0,
+        PASSWORD_REQUIREMENTS.HISTORY_SIZE
+      );
+    }
     next();
   } catch (error) {
     const logger = require('../utils/logger');
@@ -220,6 +359,21 @@ userSchema.methods.comparePassword = async function (
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a password against the current one and the recent ones in
+// passwordHistory, which must have been selected
+userSchema.methods.isRecentPassword = async function (
+  this: HydratedDocument<IUser, IUserMethods>,
+  candidatePassword: string
+): Promise<boolean> {
+  const hashes = new Set([this.password, ...(this.passwordHistory || [])]);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
 // Method to generate email verification token
 userSchema.methods.generateEmailVerificationToken = function (
   this: HydratedDocument<IUser, IUserMethods>
@@ -248,6 +402,18 @@ userSchema.methods.clearPasswordResetToken = function (
   this.passwordResetExpires = undefined;
 };
 
+// Method to generate a one-time login link token, tied to the requesting browser
+userSchema.methods.generateMagicLinkToken = function (
+  this: HydratedDocument<IUser, IUserMethods>,
+  browserNonce: string
+): string {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.magicLinkToken = token;
+  this.magicLinkExpires = new Date(Date.now() + SECURITY.MAGIC_LINK_TOKEN_EXPIRY);
+  this.magicLinkBrowserHash = hashBrowserNonce(browserNonce);
+  return token;
+};
+
 // Role and permission management methods
 userSchema.methods.hasRole = function (
   this: HydratedDocument<IUser, IUserMethods>,
@@ -270,12 +436,13 @@ userSchema.methods.hasAnyPermission = function (
   return permissions.some((permission) => this.permissions.includes(permission));
 };
 
+// Custom permissions; effective permissions are recomputed on save
 userSchema.methods.addPermission = function (
   this: HydratedDocument<IUser, IUserMethods>,
   permission: Permission
 ): HydratedDocument<IUser, IUserMethods> {
-  if (!this.permissions.includes(permission)) {
-    this.permissions.push(permission);
+  if (!this.customPermissions.includes(permission)) {
+    this.customPermissions.push(permission);
   }
   return this;
 };
@@ -284,69 +451,19 @@ userSchema.methods.removePermission = function (
   this: HydratedDocument<IUser, IUserMethods>,
   permission: Permission
 ): HydratedDocument<IUser, IUserMethods> {
-  this.permissions = this.permissions.filter((p) => p !== permission) as Permission[];
+  this.customPermissions = this.customPermissions.filter((p) => p !== permission) as Permission[];
   return this;
 };
 
+// Effective permissions are recomputed from the role on save
 userSchema.methods.setRole = function (
   this: HydratedDocument<IUser, IUserMethods>,
   role: UserRole
 ): HydratedDocument<IUser, IUserMethods> {
   this.role = role;
-  // Auto-assign permissions based on role
-  this.permissions = this.getDefaultPermissionsForRole(role);
   return this;
 };
 
-userSchema.methods.getDefaultPermissionsForRole = function (
-  this: HydratedDocument<IUser, IUserMethods>,
-  role: UserRole
-): Permission[] {
-  const permissions: Record<UserRole, Permission[]> = {
-    user: ['projects.read', 'projects.create', 'comments.read', 'comments.create'],
-    moderator: [
-      'projects.read',
-      'projects.create',
-      'projects.moderate',
-      'comments.read',
-      'comments.create',
-      'comments.moderate',
-      'moderate.content',
-      'users.read',
-    ],
-    admin: [
-      // User management
-      'users.read',
-      'users.create',
-      'users.update',
-      'users.delete',
-      // Project management
-      'projects.read',
-      'projects.create',
-      'projects.update',
-      'projects.delete',
-      'projects.moderate',
-      // Comment management
-      'comments.read',
-      'comments.create',
-      'comments.update',
-      'comments.delete',
-      'comments.moderate',
-      // Admin functions
-      'admin.dashboard',
-      'admin.users',
-      'admin.analytics',
-      'admin.system',
-      // Moderation
-      'moderate.content',
-      'moderate.users',
-      'moderate.reports',
-    ],
-  };
-
-  return permissions[role] || permissions.user;
-};
-
 userSchema.methods.isAdmin = function (this: HydratedDocument<IUser, IUserMethods>): boolean {
   return this.role === 'admin';
 };
@@ -391,12 +508,13 @@ userSchema.methods.isCurrentlySuspended = function (
   return new Date() < this.suspendedUntil;
 };
 
-// Pre-save middleware to auto-assign permissions based on role
-userSchema.pre('save', function (next) {
-  if (this.isModified('role') && !this.isModified('permissions')) {
-    this.permissions = this.getDefaultPermissionsForRole(this.role);
+// Recompute effective permissions when the role or custom permissions change
+userSchema.pre('save', async function () {
+  if (this.isNew || this.isModified('role') || this.isModified('customPermissions')) {
+    // Required here because the role service requires this model
+    const { getEffectivePermissions } = require('../services/roleService');
+    this.permissions = await getEffectivePermissions(this.role, this.customPermissions);
   }
-  next();
 });
 
 const User = mongoose.model<IUser, UserModel>('User', userSchema);
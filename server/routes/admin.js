@@ -1,74 +1,119 @@
 const express = require('express');
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
-const { requireAdmin, addDebugHeaders } = require('../middleware/rbac');
+const {
+  requireAdmin,
+  requirePermission,
+  requireTwoFactorEnrollment,
+  addDebugHeaders
+} = require('../middleware/rbac');
 const {
   getDashboardStats,
   getAllUsers,
   getUserDetails,
   updateUserRole,
   toggleUserSuspension,
+  unlockUserLogin,
   deleteUser,
-  getSystemLogs
+  previewBulkUserAction,
+  applyBulkUserAction,
+  startImpersonation,
+  getSystemLogs,
+  getSecuritySettings,
+  updateSecuritySettings
 } = require('../controllers/adminController');
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getRoleHolders
+} = require('../controllers/roleController');
+const {
+  roleCreateValidator,
+  roleUpdateValidator,
+  roleIdParamValidator,
+  roleHoldersValidator,
+  userRoleValidator,
+  impersonationValidator,
+  bulkUserPreviewValidator,
+  bulkUserApplyValidator
+} = require('../middleware/validators');
+const { TWO_FACTOR } = require('../config/constants');
 
 const router = express.Router();
 
-// Apply authentication and admin role check to all routes
+// Apply authentication and admin check to all routes; any admin permission gets in
 router.use(auth);
 router.use(requireAdmin);
+router.use(requireTwoFactorEnrollment);
 router.use(addDebugHeaders);
 
+// Each part of the admin area needs its own permission, so custom roles can be given some of it
+router.use('/dashboard', requirePermission('admin.dashboard'));
+router.use('/users', requirePermission('admin.users'));
+router.use(['/roles', '/logs', '/settings'], requirePermission('admin.system'));
+
 /**
  * @route GET /api/admin/dashboard
  * @desc Get admin dashboard statistics
- * @access Admin only
+ * @access Admin with the admin.dashboard permission
  */
 router.get('/dashboard', getDashboardStats);
 
 /**
  * @route GET /api/admin/users
  * @desc Get all users with filtering and pagination
- * @access Admin only
+ * @access Admin with the admin.users permission
  * @query page - Page number (default: 1)
  * @query limit - Items per page (default: 20)
  * @query search - Search term for username/email
- * @query role - Filter by role (user, moderator, admin)
+ * @query role - Filter by role name
  * @query status - Filter by status (active, suspended, inactive)
  */
 router.get('/users', getAllUsers);
 
+/**
+ * @route POST /api/admin/users/bulk/preview
+ * @desc Dry run of a bulk action: which users it would change and which it would skip
+ * @access Admin with the admin.users permission
+ * @body action - suspend, unsuspend, change_role, resend_verification, revoke_sessions or deactivate
+ * @body params - reason and duration to suspend, role to change to
+ * @body userIds - Users to act on, or
+ * @body filter - search, role and status, to act on every user the list shows
+ */
+router.post('/users/bulk/preview', bulkUserPreviewValidator, previewBulkUserAction);
+
+/**
+ * @route POST /api/admin/users/bulk
+ * @desc Apply a bulk action to a batch of users and report the result for each
+ * @access Admin with the admin.users permission
+ * @body action - As for the preview
+ * @body params - As for the preview
+ * @body userIds - Users to act on (at most 50 per request)
+ */
+router.post('/users/bulk', bulkUserApplyValidator, applyBulkUserAction);
+
 /**
  * @route GET /api/admin/users/:userId
  * @desc Get detailed information about a specific user
- * @access Admin only
+ * @access Admin with the admin.users permission
  */
 router.get('/users/:userId', getUserDetails);
 
 /**
  * @route PUT /api/admin/users/:userId/role
- * @desc Update user role and permissions
- * @access Admin only
+ * @desc Assign a user a role and set their custom permissions
+ * @access Admin with the admin.users permission
+ * @body role - Name of the role to assign
+ * @body customPermissions - Permissions granted on top of the role's (replaces existing ones)
  */
-router.put('/users/:userId/role', [
-  body('role')
-    .optional()
-    .isIn(['user', 'moderator', 'admin'])
-    .withMessage('Invalid role'),
-  body('permissions')
-    .optional()
-    .isArray()
-    .withMessage('Permissions must be an array'),
-  body('customPermissions')
-    .optional()
-    .isArray()
-    .withMessage('Custom permissions must be an array')
-], updateUserRole);
+router.put('/users/:userId/role', userRoleValidator, updateUserRole);
 
 /**
  * @route PUT /api/admin/users/:userId/suspension
  * @desc Suspend or unsuspend a user
- * @access Admin only
+ * @access Admin with the admin.users permission
  */
 router.put('/users/:userId/suspension', [
   body('suspend')
@@ -86,22 +131,108 @@ router.put('/users/:userId/suspension', [
     .withMessage('Duration must be a positive number (in milliseconds)')
 ], toggleUserSuspension);
 
+/**
+ * @route POST /api/admin/users/:userId/unlock
+ * @desc Lift a login lockout and clear failed login attempts
+ * @access Admin with the admin.users permission
+ */
+router.post('/users/:userId/unlock', unlockUserLogin);
+
 /**
  * @route DELETE /api/admin/users/:userId
  * @desc Delete or deactivate a user
- * @access Admin only
+ * @access Admin with the admin.users permission
  * @query permanent - Set to 'true' for permanent deletion (default: soft delete)
  */
 router.delete('/users/:userId', deleteUser);
 
+/**
+ * @route POST /api/admin/users/:userId/impersonate
+ * @desc Sign in as a user for a limited time; the admin's auth cookies are replaced
+ * @access Admin with the admin.users and admin.impersonate permissions, signed in with a session
+ * @body reason - Why the admin needs to act as the user (kept in the audit log)
+ * @body durationMinutes - How long the impersonation lasts (default: 30)
+ */
+router.post(
+  '/users/:userId/impersonate',
+  requirePermission('admin.impersonate'),
+  impersonationValidator,
+  startImpersonation
+);
+
+/**
+ * @route GET /api/admin/roles
+ * @desc List roles with how many users hold each, and every assignable permission
+ * @access Admin with the admin.system permission
+ */
+router.get('/roles', getRoles);
+
+/**
+ * @route POST /api/admin/roles
+ * @desc Create a role
+ * @access Admin with the admin.system permission
+ */
+router.post('/roles', roleCreateValidator, createRole);
+
+/**
+ * @route PUT /api/admin/roles/:roleId
+ * @desc Update a role's details and permissions; holders get the new permissions straight away
+ * @access Admin with the admin.system permission
+ */
+router.put('/roles/:roleId', roleUpdateValidator, updateRole);
+
+/**
+ * @route DELETE /api/admin/roles/:roleId
+ * @desc Delete a custom role that nobody holds
+ * @access Admin with the admin.system permission
+ */
+router.delete('/roles/:roleId', roleIdParamValidator, deleteRole);
+
+/**
+ * @route GET /api/admin/roles/:roleId/users
+ * @desc List the users holding a role
+ * @access Admin with the admin.system permission
+ * @query page - Page number (default: 1)
+ * @query limit - Items per page (default: 20, max: 100)
+ */
+router.get('/roles/:roleId/users', roleHoldersValidator, getRoleHolders);
+
 /**
  * @route GET /api/admin/logs
- * @desc Get system logs and security events
- * @access Admin only
+ * @desc Get the audit log of admin actions and security events, newest first
+ * @access Admin with the admin.system permission
  * @query page - Page number (default: 1)
- * @query limit - Items per page (default: 50)
- * @query type - Filter by log type
+ * @query limit - Items per page (default: 50, max: 200)
+ * @query type - Filter by type (admin, auth, session, security), comma-separated
+ * @query severity - Filter by severity (low, medium, high), comma-separated
+ * @query event - Filter by event name (partial match)
+ * @query actor - User ID or email of who performed the action
+ * @query target - User ID or email of who the action was performed on
+ * @query from - Earliest entry date (ISO 8601)
+ * @query to - Latest entry date (ISO 8601)
+ * @query format - Set to 'csv' to download matching entries as CSV
  */
 router.get('/logs', getSystemLogs);
 
+/**
+ * @route GET /api/admin/settings/security
+ * @desc Get security settings (roles required to use two-factor authentication)
+ * @access Admin with the admin.system permission
+ */
+router.get('/settings/security', getSecuritySettings);
+
+/**
+ * @route PUT /api/admin/settings/security
+ * @desc Update security settings
+ * @access Admin with the admin.system permission
+ */
+router.put('/settings/security', [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .isIn(TWO_FACTOR.ENFORCEABLE_ROLES)
+    .withMessage(`Roles must be one of: ${TWO_FACTOR.ENFORCEABLE_ROLES.join(', ')}`)
+], updateSecuritySettings);
+
 module.exports = router;
@@ -1,23 +1,55 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  startGitHubLogin,
+  startGitHubLink,
+  githubCallback,
+  unlinkGitHub,
   logout,
   logoutAll,
+  endImpersonation,
   refreshToken,
   changePassword,
   getActiveSessions,
+  renameSession,
+  reportSession,
+  reportSessionByToken,
   verifyEmail,
   resendVerificationEmail,
   getCurrentUser,
   requestPasswordReset,
   verifyPasswordResetToken,
-  resetPassword
+  resetPassword,
+  unlockAccount,
+  requestMagicLink,
+  verifyMagicLink,
+  requestEmailChange,
+  cancelEmailChange
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  getAccessTokens,
+  createPersonalAccessToken,
+  revokePersonalAccessToken
+} = require('../controllers/accessTokenController');
 const auth = require('../middleware/auth');
-const { passwordValidator } = require('../utils/passwordValidator');
-const { VALIDATION_LIMITS } = require('../config/constants');
+const { blockDuringImpersonation } = require('../middleware/impersonation');
+const { passwordValidator, breachedPasswordValidator } = require('../utils/passwordValidator');
+const {
+  VALIDATION_LIMITS,
+  ACCESS_TOKENS,
+  PERMISSIONS,
+  SESSION_CONFIG
+} = require('../config/constants');
 
 const router = express.Router();
 
@@ -29,7 +61,9 @@ const registerValidation = [
     .normalizeEmail(),
   body('password')
     .custom(passwordValidator)
-    .withMessage('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character'),
+    .withMessage('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character')
+    .bail()
+    .custom(breachedPasswordValidator),
   body('username')
     .isLength({ min: VALIDATION_LIMITS.USERNAME_MIN_LENGTH, max: VALIDATION_LIMITS.USERNAME_MAX_LENGTH })
     .withMessage(`Username must be between ${VALIDATION_LIMITS.USERNAME_MIN_LENGTH} and ${VALIDATION_LIMITS.USERNAME_MAX_LENGTH} characters`)
@@ -61,6 +95,27 @@ const requestPasswordResetValidation = [
     .normalizeEmail()
 ];
 
+const requestMagicLinkValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+];
+
+const verifyMagicLinkValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid login link')
+];
+
+const unlockAccountValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid unlock link')
+];
+
 const resetPasswordValidation = [
   body('token')
     .notEmpty()
@@ -68,6 +123,8 @@ const resetPasswordValidation = [
   body('password')
     .custom(passwordValidator)
     .withMessage('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character')
+    .bail()
+    .custom(breachedPasswordValidator)
 ];
 
 const changePasswordValidation = [
@@ -83,6 +140,113 @@ const changePasswordValidation = [
       }
       return true;
     })
+    .bail()
+    .custom(breachedPasswordValidator)
+];
+
+const changeEmailValidation = [
+  body('newEmail')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .isLength({ max: VALIDATION_LIMITS.EMAIL_MAX_LENGTH })
+    .withMessage(`Email cannot exceed ${VALIDATION_LIMITS.EMAIL_MAX_LENGTH} characters`)
+    .normalizeEmail(),
+  body('password')
+    .notEmpty()
+    .withMessage('Current password is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
+// A second factor is either a code from the authenticator app or a recovery code
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Invalid recovery code'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A verification code or recovery code is required');
+    }
+    return true;
+  })
+];
+
+// The challenge token comes in the body, or in a cookie after a GitHub sign-in
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .optional()
+    .isString()
+    .withMessage('Challenge token must be a string'),
+  ...secondFactorValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorValidation
+];
+
+const createAccessTokenValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: ACCESS_TOKENS.NAME_MAX_LENGTH })
+    .withMessage(`Token name cannot exceed ${ACCESS_TOKENS.NAME_MAX_LENGTH} characters`),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(PERMISSIONS)
+    .withMessage('Invalid scope'),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: ACCESS_TOKENS.MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${ACCESS_TOKENS.MAX_EXPIRY_DAYS} days`)
+    .toInt()
+];
+
+const accessTokenIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid access token ID')
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const renameSessionValidation = [
+  ...sessionIdValidation,
+  body('name')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: SESSION_CONFIG.NAME_MAX_LENGTH })
+    .withMessage(`Session name must not exceed ${SESSION_CONFIG.NAME_MAX_LENGTH} characters`)
+];
+
+const reportSessionByTokenValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid link')
 ];
 
 // Routes
@@ -90,18 +254,52 @@ router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
 router.post('/refresh-token', refreshToken);
 router.post('/logout', auth, logout);
-router.post('/logout-all', auth, logoutAll);
+router.post('/logout-all', auth, blockDuringImpersonation, logoutAll);
+// Uses the refresh cookie, since the impersonated user's access token may have run out
+router.post('/impersonation/end', endImpersonation);
 router.get('/verify-email/:token', verifyEmail);
 router.post('/resend-verification', resendVerificationValidation, resendVerificationEmail);
 router.get('/me', auth, getCurrentUser);
 
+// Two-factor authentication routes
+router.post('/2fa/verify', twoFactorLoginValidation, verifyTwoFactorLogin);
+router.get('/2fa', auth, getTwoFactorStatus);
+router.post('/2fa/setup', auth, blockDuringImpersonation, setupTwoFactor);
+router.post('/2fa/enable', auth, blockDuringImpersonation, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', auth, blockDuringImpersonation, disableTwoFactorValidation, disableTwoFactorAuth);
+router.post('/2fa/recovery-codes', auth, blockDuringImpersonation, twoFactorCodeValidation, regenerateTwoFactorRecoveryCodes);
+
+// GitHub sign-in and account linking
+router.get('/github', startGitHubLogin);
+router.get('/github/callback', githubCallback);
+router.post('/github/link', auth, blockDuringImpersonation, startGitHubLink);
+router.delete('/github', auth, blockDuringImpersonation, unlinkGitHub);
+
 // Session management routes
 router.get('/sessions', auth, getActiveSessions);
-router.put('/change-password', auth, changePasswordValidation, changePassword);
+router.patch('/sessions/:id', auth, renameSessionValidation, renameSession);
+router.post('/sessions/:id/report', auth, blockDuringImpersonation, sessionIdValidation, reportSession);
+// "This wasn't me" link from a new sign-in alert, usable without being logged in
+router.post('/sessions/report', reportSessionByTokenValidation, reportSessionByToken);
+router.put('/change-password', auth, blockDuringImpersonation, changePasswordValidation, changePassword);
+router.post('/change-email', auth, blockDuringImpersonation, changeEmailValidation, requestEmailChange);
+router.delete('/change-email', auth, blockDuringImpersonation, cancelEmailChange);
+
+// Personal access token routes (session only: tokens can't be used under /api/auth)
+router.get('/tokens', auth, getAccessTokens);
+router.post('/tokens', auth, blockDuringImpersonation, createAccessTokenValidation, createPersonalAccessToken);
+router.delete('/tokens/:id', auth, accessTokenIdValidation, revokePersonalAccessToken);
 
 // Password reset routes
 router.post('/request-password-reset', requestPasswordResetValidation, requestPasswordReset);
 router.get('/verify-password-reset/:token', verifyPasswordResetToken);
 router.post('/reset-password', resetPasswordValidation, resetPassword);
 
+// Lifting a login lockout from the link in the lockout email
+router.post('/unlock-account', unlockAccountValidation, unlockAccount);
+
+// Passwordless login link routes
+router.post('/magic-link', requestMagicLinkValidation, requestMagicLink);
+router.post('/magic-link/verify', verifyMagicLinkValidation, verifyMagicLink);
+
 module.exports = router; 
\ No newline at end of file
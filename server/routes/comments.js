@@ -3,21 +3,28 @@ const router = express.Router({ mergeParams: true }); // To access projectId fro
 const {
   createComment,
   getProjectComments,
+  getCommentReplies,
   updateComment,
   deleteComment
 } = require('../controllers/commentController');
-const { commentValidator } = require('../middleware/validators');
+const { commentValidator, commentListValidator } = require('../middleware/validators');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 
 // @route   POST /api/projects/:projectId/comments
-// @desc    Create a comment on a project
+// @desc    Create a comment on a project, or a reply when parentId is given
 // @access  Private
 router.post('/', auth, commentValidator, createComment);
 
 // @route   GET /api/projects/:projectId/comments
-// @desc    Get all comments for a project
-// @access  Public
-router.get('/', getProjectComments);
+// @desc    Get top-level comments for a project (cursor paginated)
+// @access  Public (comments by users the viewer muted are collapsed)
+router.get('/', optionalAuth, commentListValidator, getProjectComments);
+
+// @route   GET /api/projects/:projectId/comments/:commentId/replies
+// @desc    Get replies to a comment (cursor paginated)
+// @access  Public (comments by users the viewer muted are collapsed)
+router.get('/:commentId/replies', optionalAuth, commentListValidator, getCommentReplies);
 
 // @route   PUT /api/projects/:projectId/comments/:commentId
 // @desc    Update a comment
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getConversations,
+  getUnreadMessageCount,
+  getConversation,
+  startConversation,
+  getConversationMessages,
+  sendConversationMessage,
+  markAsRead,
+} = require('../controllers/conversationController');
+const {
+  conversationStartValidator,
+  conversationMessageValidator,
+  conversationListValidator,
+  conversationMessageListValidator,
+} = require('../middleware/validators');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/conversations
+// @desc    Get the current user's conversations, most recently active first (cursor paginated)
+// @access  Private
+router.get('/', auth, conversationListValidator, getConversations);
+
+// @route   POST /api/conversations
+// @desc    Send a first message to a user, starting a conversation if there is none yet
+// @access  Private
+router.post('/', auth, conversationStartValidator, startConversation);
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get the total number of unread messages
+// @access  Private
+router.get('/unread-count', auth, getUnreadMessageCount);
+
+// @route   GET /api/conversations/:conversationId
+// @desc    Get a conversation
+// @access  Private
+router.get('/:conversationId', auth, getConversation);
+
+// @route   GET /api/conversations/:conversationId/messages
+// @desc    Get the messages in a conversation, newest first (cursor paginated)
+// @access  Private
+router.get(
+  '/:conversationId/messages',
+  auth,
+  conversationMessageListValidator,
+  getConversationMessages
+);
+
+// @route   POST /api/conversations/:conversationId/messages
+// @desc    Send a message in a conversation
+// @access  Private
+router.post(
+  '/:conversationId/messages',
+  auth,
+  conversationMessageValidator,
+  sendConversationMessage
+);
+
+// @route   PUT /api/conversations/:conversationId/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.put('/:conversationId/read', auth, markAsRead);
+
+module.exports = router;
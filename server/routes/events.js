@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of real-time updates for the current user
+// @access  Private
+router.get('/', auth, streamEvents);
+
+module.exports = router;
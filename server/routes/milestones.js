@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access projectId from parent router
+const {
+  getProjectMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+} = require('../controllers/milestoneController');
+const { milestoneValidator, milestoneUpdateValidator } = require('../middleware/validators');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/projects/:projectId/milestones
+// @desc    Get a project's milestones with progress
+// @access  Public
+router.get('/', getProjectMilestones);
+
+// @route   POST /api/projects/:projectId/milestones
+// @desc    Create a milestone
+// @access  Private (project members only)
+router.post('/', auth, milestoneValidator, createMilestone);
+
+// @route   PUT /api/projects/:projectId/milestones/:milestoneId
+// @desc    Update a milestone or its checklist
+// @access  Private (project members only)
+router.put('/:milestoneId', auth, milestoneUpdateValidator, updateMilestone);
+
+// @route   DELETE /api/projects/:projectId/milestones/:milestoneId
+// @desc    Delete a milestone
+// @access  Private (project owner only)
+router.delete('/:milestoneId', auth, deleteMilestone);
+
+module.exports = router;
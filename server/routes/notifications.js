@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+} = require('../controllers/notificationController');
+const { notificationListValidator } = require('../middleware/validators');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications (cursor paginated, ?unread=true for unread only)
+// @access  Private
+router.get('/', auth, notificationListValidator, getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, getUnreadCount);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, markAllAsRead);
+
+// @route   PUT /api/notifications/:notificationId/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:notificationId/read', auth, markAsRead);
+
+module.exports = router;
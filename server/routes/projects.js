@@ -5,6 +5,7 @@ const path = require('path');
 const {
   createProject,
   getAllProjects,
+  getProjectsByMember,
   getProjectById,
   updateProject,
   deleteProject,
@@ -12,8 +13,15 @@ const {
   handleCollaborationRequest,
   searchProjects,
 } = require('../controllers/projectController');
-const { projectValidator } = require('../middleware/validators');
+const { getOverdueMilestones } = require('../controllers/milestoneController');
+const {
+  projectValidator,
+  projectListValidator,
+  projectsByMemberValidator,
+  projectSearchValidator,
+} = require('../middleware/validators');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 const { FILE_UPLOAD } = require('../config/constants');
 
 // Configure multer for file uploads
@@ -51,19 +59,33 @@ const upload = multer({
 router.post('/', auth, upload.single('image'), projectValidator, createProject);
 
 // @route   GET /api/projects
-// @desc    Get all projects
+// @desc    Get projects (cursor paginated)
 // @access  Public
-router.get('/', getAllProjects);
+// @query   limit, cursor, sort (newest|updated|collaborators), status, technologies,
+//          requiredSkills, tags, owner, member, incentiveType
+router.get('/', projectListValidator, getAllProjects);
 
 // @route   GET /api/projects/search
-// @desc    Search projects
+// @desc    Relevance-ranked project search with facet counts and highlights
+// @access  Public
+// @query   query (required), page, limit, status, technologies, requiredSkills, incentiveType
+router.get('/search', projectSearchValidator, searchProjects);
+
+// @route   GET /api/projects/members
+// @desc    Projects each user owns or is an accepted collaborator on, with summary counts
 // @access  Public
-router.get('/search', searchProjects);
+// @query   userIds (required, comma-separated, at most PAGINATION.MAX_MEMBER_IDS)
+router.get('/members', projectsByMemberValidator, getProjectsByMember);
+
+// @route   GET /api/projects/milestones/overdue
+// @desc    Get overdue milestones on the current user's projects
+// @access  Private
+router.get('/milestones/overdue', auth, getOverdueMilestones);
 
 // @route   GET /api/projects/:id
 // @desc    Get project by ID
 // @access  Public
-router.get('/:id', getProjectById);
+router.get('/:id', optionalAuth, getProjectById);
 
 // @route   PUT /api/projects/:id
 // @desc    Update project
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createReport,
+  getReports,
+  getReport,
+  takeReportAction,
+} = require('../controllers/reportController');
+const {
+  reportValidator,
+  reportListValidator,
+  reportIdParamValidator,
+  reportActionValidator,
+} = require('../middleware/validators');
+const auth = require('../middleware/auth');
+const { requirePermission, requireTwoFactorEnrollment } = require('../middleware/rbac');
+
+// Working the moderation queue needs either moderation permission
+const moderators = [
+  auth,
+  requirePermission(['moderate.reports', 'moderate.content']),
+  requireTwoFactorEnrollment,
+];
+
+// @route   POST /api/reports
+// @desc    Report a project, comment, message or profile
+// @access  Private
+router.post('/', auth, reportValidator, createReport);
+
+// @route   GET /api/reports
+// @desc    Moderation queue: list reports (status defaults to 'active', i.e. not yet closed)
+// @access  Moderators
+router.get('/', moderators, reportListValidator, getReports);
+
+// @route   GET /api/reports/:reportId
+// @desc    Moderation queue: get a report with its history
+// @access  Moderators
+router.get('/:reportId', moderators, reportIdParamValidator, getReport);
+
+// @route   POST /api/reports/:reportId/actions
+// @desc    Moderation queue: claim, dismiss, hide, warn, escalate or suspend
+// @access  Moderators (hiding needs moderate.content, suspending needs moderate.users)
+router.post('/:reportId/actions', moderators, reportActionValidator, takeReportAction);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // To access projectId from parent router
+const {
+  getProjectTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  moveTask,
+  deleteTask,
+} = require('../controllers/taskController');
+const {
+  taskValidator,
+  taskUpdateValidator,
+  taskMoveValidator,
+} = require('../middleware/validators');
+const auth = require('../middleware/auth');
+
+// @route   GET /api/projects/:projectId/tasks
+// @desc    Get all tasks on a project's board
+// @access  Private (project members only)
+router.get('/', auth, getProjectTasks);
+
+// @route   POST /api/projects/:projectId/tasks
+// @desc    Create a task
+// @access  Private (project members only)
+router.post('/', auth, taskValidator, createTask);
+
+// @route   GET /api/projects/:projectId/tasks/:taskId
+// @desc    Get a task
+// @access  Private (project members only)
+router.get('/:taskId', auth, getTaskById);
+
+// @route   PUT /api/projects/:projectId/tasks/:taskId
+// @desc    Update a task
+// @access  Private (project members only)
+router.put('/:taskId', auth, taskUpdateValidator, updateTask);
+
+// @route   PATCH /api/projects/:projectId/tasks/:taskId/move
+// @desc    Move a task to a board column and position
+// @access  Private (project members only)
+router.patch('/:taskId/move', auth, taskMoveValidator, moveTask);
+
+// @route   DELETE /api/projects/:projectId/tasks/:taskId
+// @desc    Delete a task
+// @access  Private (project owner or task creator)
+router.delete('/:taskId', auth, deleteTask);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   getUserById,
   updateProfile,
   searchUsers,
+  getMentionSuggestions,
   sendMessage,
   getMessages,
   markMessageAsRead,
@@ -14,9 +15,24 @@ const {
   uploadAvatar,
   deleteAvatar,
   getAvatar,
+  getRelationships,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
 } = require('../controllers/userController');
-const { profileUpdateValidator, messageValidator } = require('../middleware/validators');
+const {
+  profileUpdateValidator,
+  messageValidator,
+  mentionSuggestionsValidator,
+  userIdParamValidator,
+  accountDeletionValidator,
+} = require('../middleware/validators');
 const auth = require('../middleware/auth');
+const { blockDuringImpersonation } = require('../middleware/impersonation');
 const { FILE_UPLOAD } = require('../config/constants');
 
 // Configure multer for avatar uploads
@@ -61,11 +77,37 @@ router.get('/', auth, getAllUsers);
 // @access  Private
 router.get('/search', auth, searchUsers);
 
+// @route   GET /api/users/mentions
+// @desc    Suggest users to @mention by username prefix
+// @access  Private
+router.get('/mentions', auth, mentionSuggestionsValidator, getMentionSuggestions);
+
 // @route   GET /api/users/profile/me
 // @desc    Get current user's profile
 // @access  Private
 router.get('/profile/me', auth, getMyProfile);
 
+// @route   GET /api/users/me/export
+// @desc    Download all of the current user's data
+// @access  Private
+router.get('/me/export', auth, blockDuringImpersonation, exportMyData);
+
+// @route   POST /api/users/me/deletion
+// @desc    Schedule the current user's account for deletion
+// @access  Private
+router.post(
+  '/me/deletion',
+  auth,
+  blockDuringImpersonation,
+  accountDeletionValidator,
+  requestAccountDeletion
+);
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.delete('/me/deletion', auth, blockDuringImpersonation, cancelAccountDeletion);
+
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
@@ -106,6 +148,31 @@ router.put('/messages/:messageId/read', auth, markMessageAsRead);
 // @access  Private
 router.delete('/messages/:messageId', auth, deleteMessage);
 
+// @route   GET /api/users/relationships
+// @desc    Get the users the current user has blocked or muted
+// @access  Private
+router.get('/relationships', auth, getRelationships);
+
+// @route   POST /api/users/:id/block
+// @desc    Block a user (stops their messages, mentions and collaboration requests)
+// @access  Private
+router.post('/:id/block', auth, userIdParamValidator, blockUser);
+
+// @route   DELETE /api/users/:id/block
+// @desc    Unblock a user
+// @access  Private
+router.delete('/:id/block', auth, userIdParamValidator, unblockUser);
+
+// @route   POST /api/users/:id/mute
+// @desc    Mute a user (hides their comments)
+// @access  Private
+router.post('/:id/mute', auth, userIdParamValidator, muteUser);
+
+// @route   DELETE /api/users/:id/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete('/:id/mute', auth, userIdParamValidator, unmuteUser);
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Group direct messages sent before conversations existed into conversations
+ * Safe to run more than once: only messages without a conversation are touched
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { getOrCreateConversation, refreshConversation } = require('../services/conversationService');
+
+const MONGO_URI =
+  process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/codecollabproj';
+
+async function backfillConversations() {
+  await mongoose.connect(MONGO_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  const pairs = await Message.aggregate([
+    { $match: { conversation: { $exists: false } } },
+    { $group: { _id: { sender: '$sender', recipient: '$recipient' } } },
+  ]);
+
+  const touched = new Set();
+  for (const { _id: pair } of pairs) {
+    const conversation = await getOrCreateConversation([pair.sender, pair.recipient]);
+    await Message.updateMany(
+      { sender: pair.sender, recipient: pair.recipient, conversation: { $exists: false } },
+      { $set: { conversation: conversation._id } }
+    );
+    touched.add(conversation._id.toString());
+  }
+
+  for (const conversationId of touched) {
+    await refreshConversation(conversationId);
+  }
+
+  console.log(`✅ Backfilled ${touched.size} conversation(s)`);
+  await mongoose.disconnect();
+}
+
+backfillConversations().catch((err) => {
+  console.error(err);
+  mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Seed the built-in roles and move permissions that were patched onto users by hand
+ * into customPermissions, so they survive when permissions are recomputed from roles
+ * Safe to run more than once: users who already have custom permissions are skipped
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ensureBuiltInRoles, getRolePermissions } = require('../services/roleService');
+const { getExtraPermissions } = require('../utils/roles');
+
+const MONGO_URI =
+  process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/codecollabproj';
+
+async function backfillCustomPermissions() {
+  await mongoose.connect(MONGO_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  await ensureBuiltInRoles();
+
+  const users = await User.find({
+    $or: [{ customPermissions: { $exists: false } }, { customPermissions: { $size: 0 } }],
+  })
+    .select('role permissions')
+    .lean();
+
+  let updated = 0;
+  for (const user of users) {
+    const extra = getExtraPermissions(user.permissions, await getRolePermissions(user.role));
+    if (extra.length === 0) continue;
+
+    await User.updateOne({ _id: user._id }, { $set: { customPermissions: extra } });
+    updated++;
+  }
+
+  console.log(`✅ Moved custom permissions for ${updated} of ${users.length} user(s)`);
+  await mongoose.disconnect();
+}
+
+backfillCustomPermissions().catch((err) => {
+  console.error(err);
+  mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Replace the old title/tags text index on projects with the weighted project_search index
+ * MongoDB allows one text index per collection, so the new one can't be built while the
+ * old one exists, and autoIndex fails quietly when it tries
+ * Safe to run more than once: nothing is dropped or built once project_search exists
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+
+const MONGO_URI =
+  process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/codecollabproj';
+
+const SEARCH_INDEX = 'project_search';
+
+async function migrateProjectSearchIndex() {
+  await mongoose.connect(MONGO_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  await Project.createCollection();
+  const indexes = await Project.collection.indexes();
+  const staleTextIndexes = indexes.filter(
+    (index) => index.key._fts === 'text' && index.name !== SEARCH_INDEX
+  );
+
+  for (const index of staleTextIndexes) {
+    await Project.collection.dropIndex(index.name);
+    console.log(`🗑️  Dropped text index ${index.name}`);
+  }
+
+  // Builds project_search, and any other index the schema declares that is missing
+  await Project.createIndexes();
+  console.log(`✅ Text index ${SEARCH_INDEX} is in place`);
+  await mongoose.disconnect();
+}
+
+migrateProjectSearchIndex().catch((err) => {
+  console.error(err);
+  mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Add passwords to the offline breached password list
+ * Each input file holds one entry per line: either a plain password, or a SHA-1 hash
+ * optionally followed by ":COUNT" as in Pwned Passwords downloads. Entries are merged
+ * into the range files, so running it again with the same input changes nothing.
+ *
+ * Usage: npm run update-breached-passwords -- <file>... [--dir <directory>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getBreachedPasswordsDir, getHashRange } = require('../utils/breachedPasswords');
+const { PASSWORD_REQUIREMENTS } = require('../config/constants');
+
+const HASH_LINE = /^([0-9a-f]{40})(?::(\d+))?$/i;
+
+function parseArgs(argv) {
+  const files = [];
+  let dir = getBreachedPasswordsDir();
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') {
+      dir = argv[++i];
+    } else {
+      files.push(argv[i]);
+    }
+  }
+  return { files, dir };
+}
+
+// Turn an input line into the range it belongs in, keeping the highest count seen
+function toRangeEntry(line) {
+  const match = line.match(HASH_LINE);
+  if (match) {
+    const hash = match[1].toUpperCase();
+    return {
+      prefix: hash.slice(0, PASSWORD_REQUIREMENTS.BREACHED_HASH_PREFIX_LENGTH),
+      suffix: hash.slice(PASSWORD_REQUIREMENTS.BREACHED_HASH_PREFIX_LENGTH),
+      count: parseInt(match[2] || '1', 10),
+    };
+  }
+  return { ...getHashRange(line), count: 1 };
+}
+
+function readRangeFile(file) {
+  const entries = new Map();
+  if (!fs.existsSync(file)) return entries;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const [suffix, count] = line.trim().split(':');
+    if (suffix) entries.set(suffix.toUpperCase(), parseInt(count || '1', 10));
+  }
+  return entries;
+}
+
+function updateBreachedPasswords() {
+  const { files, dir } = parseArgs(process.argv.slice(2));
+  if (files.length === 0) {
+    console.error('Usage: npm run update-breached-passwords -- <file>... [--dir <directory>]');
+    process.exit(1);
+  }
+
+  const ranges = new Map();
+  let added = 0;
+  for (const file of files) {
+    for (const rawLine of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+      const { prefix, suffix, count } = toRangeEntry(line);
+      if (!ranges.has(prefix)) ranges.set(prefix, new Map());
+      const range = ranges.get(prefix);
+      range.set(suffix, Math.max(range.get(suffix) || 0, count));
+      added++;
+    }
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [prefix, additions] of ranges) {
+    const file = path.join(dir, `${prefix}.txt`);
+    const entries = readRangeFile(file);
+    for (const [suffix, count] of additions) {
+      entries.set(suffix, Math.max(entries.get(suffix) || 0, count));
+    }
+    const content = [...entries]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([suffix, count]) => `${suffix}:${count}`)
+      .join('\n');
+    fs.writeFileSync(file, `${content}\n`);
+  }
+
+  console.log(
+    `✅ Merged ${added} entr${added === 1 ? 'y' : 'ies'} into ${ranges.size} range file(s) in ${dir}`
+  );
+}
+
+updateBreachedPasswords();
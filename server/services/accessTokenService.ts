@@ -0,0 +1,147 @@
+import { Types } from 'mongoose';
+import { AccessTokenDocument, Permission, UserDocument } from '../types/models';
+
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const { ACCESS_TOKENS } = require('../config/constants');
+const { generateAccessToken, hashAccessToken, getTokenPrefix } = require('../utils/accessTokens');
+
+type UserId = Types.ObjectId | string;
+
+/**
+ * Details for a new token
+ */
+interface CreateAccessTokenInput {
+  name: string;
+  scopes: Permission[];
+  expiresInDays?: number | null;
+}
+
+/**
+ * Result of authenticating a request with a personal access token
+ */
+interface AccessTokenValidationResult {
+  user: UserDocument;
+  tokenId: Types.ObjectId;
+  scopes: Permission[];
+}
+
+// Fields safe to return in token lists
+const PUBLIC_FIELDS = 'name tokenPrefix scopes expiresAt lastUsedAt createdAt';
+
+/**
+ * List a user's tokens, newest first (hashes are never included)
+ * @param userId - Owner of the tokens
+ */
+const listAccessTokens = async (userId: UserId): Promise<AccessTokenDocument[]> =>
+  AccessToken.find({ userId }).select(PUBLIC_FIELDS).sort({ createdAt: -1 }).lean();
+
+/**
+ * Count a user's tokens
+ * @param userId - Owner of the tokens
+ */
+const countAccessTokens = async (userId: UserId): Promise<number> =>
+  AccessToken.countDocuments({ userId });
+
+/**
+ * Create a token for a user
+ * Callers should check the scopes against getGrantableScopes first
+ * @param userId - Owner of the token
+ * @param input - Name, scopes and optional lifetime in days
+ * @returns The token string (shown once) and the stored record
+ */
+const createAccessToken = async (
+  userId: UserId,
+  input: CreateAccessTokenInput
+): Promise<{ token: string; accessToken: AccessTokenDocument }> => {
+  const token = generateAccessToken();
+  const accessToken = await AccessToken.create({
+    userId,
+    name: input.name,
+    tokenHash: hashAccessToken(token),
+    tokenPrefix: getTokenPrefix(token),
+    scopes: [...new Set(input.scopes)],
+    expiresAt: input.expiresInDays
+      ? new Date(Date.now() + input.expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  });
+
+  return { token, accessToken };
+};
+
+/**
+ * Revoke (delete) one of a user's tokens
+ * @param userId - Owner of the token
+ * @param tokenId - Token to revoke
+ * @returns The revoked token, or null if the user has no such token
+ */
+const revokeAccessToken = async (
+  userId: UserId,
+  tokenId: UserId
+): Promise<AccessTokenDocument | null> =>
+  AccessToken.findOneAndDelete({ _id: tokenId, userId }).select(PUBLIC_FIELDS);
+
+/**
+ * Revoke (delete) all of a user's tokens
+ * Called whenever sessions are revoked for security reasons, since tokens outlive sessions
+ * @param userId - Owner of the tokens
+ * @returns Number of tokens revoked
+ */
+const revokeAllAccessTokens = async (userId: UserId): Promise<number> => {
+  const result = await AccessToken.deleteMany({ userId });
+  return result.deletedCount;
+};
+
+/**
+ * Look up the user behind a personal access token
+ * Records when (and from where) the token was last used, at most once per
+ * LAST_USED_UPDATE_INTERVAL_MS
+ * @param token - Token from the Authorization header
+ * @param ip - Client IP
+ * @returns User and token scopes, or null if the token is unknown, expired or
+ *   belongs to a deactivated or suspended account
+ */
+const validateAccessToken = async (
+  token: string,
+  ip?: string
+): Promise<AccessTokenValidationResult | null> => {
+  const accessToken: AccessTokenDocument | null = await AccessToken.findOne({
+    tokenHash: hashAccessToken(token),
+  });
+  if (!accessToken) return null;
+  if (accessToken.expiresAt && accessToken.expiresAt <= new Date()) return null;
+
+  const user: UserDocument | null = await User.findById(accessToken.userId);
+  if (!user || !user.isActive || user.isCurrentlySuspended()) return null;
+
+  const now = Date.now();
+  if (
+    !accessToken.lastUsedAt ||
+    now - accessToken.lastUsedAt.getTime() >= ACCESS_TOKENS.LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    await AccessToken.updateOne(
+      { _id: accessToken._id },
+      { $set: { lastUsedAt: new Date(now), lastUsedIp: ip } }
+    );
+  }
+
+  return { user, tokenId: accessToken._id, scopes: accessToken.scopes };
+};
+
+module.exports = {
+  listAccessTokens,
+  countAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  validateAccessToken,
+};
+
+export {
+  listAccessTokens,
+  countAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+  validateAccessToken,
+};
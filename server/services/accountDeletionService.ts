@@ -0,0 +1,284 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Types } from 'mongoose';
+import { ProjectDocument, UserDocument } from '../types/models';
+
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const AccessToken = require('../models/AccessToken');
+const sessionService = require('./sessionService');
+const { revokeAllAccessTokens } = require('./accessTokenService');
+const logger = require('../utils/logger');
+const { ACCOUNT_DELETION, SECURITY } = require('../config/constants');
+const { deleteFromGridFS } = require('../utils/gridfs');
+const {
+  getDeletionDate,
+  pickProjectSuccessor,
+  getAnonymizedIdentity,
+  buildDataExport,
+} = require('../utils/accountDeletion');
+const { sendAccountDeletionScheduledEmail } = require('./emailService');
+
+type UserId = Types.ObjectId | string;
+
+/**
+ * Schedule a user's account for deletion at the end of the grace period
+ * Every session is signed out and every access token revoked straight away; logging
+ * back in before the deletion date lets the user cancel.
+ * @param user - User asking to be deleted
+ * @returns When the account will be deleted
+ */
+const scheduleAccountDeletion = async (user: UserDocument): Promise<Date> => {
+  const now = new Date();
+  const deletionScheduledFor = getDeletionDate(now);
+
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = deletionScheduledFor;
+  await user.save();
+
+  await sessionService.revokeAllUserSessions(user._id, 'account_deletion');
+  await revokeAllAccessTokens(user._id);
+  await sendAccountDeletionScheduledEmail(user.email, user.username, deletionScheduledFor);
+
+  logger.securityEvent('ACCOUNT_DELETION_SCHEDULED', {
+    userId: user._id,
+    deletionScheduledFor,
+  });
+
+  return deletionScheduledFor;
+};
+
+/**
+ * Cancel a pending account deletion
+ * @param userId - User changing their mind
+ * @returns False if no deletion was pending
+ */
+const cancelAccountDeletion = async (userId: UserId): Promise<boolean> => {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $ne: null }, deletedAt: null },
+    { $set: { deletionRequestedAt: null, deletionScheduledFor: null } }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  logger.securityEvent('ACCOUNT_DELETION_CANCELLED', { userId });
+  return true;
+};
+
+/**
+ * Gather everything stored about a user into one export
+ * Secrets such as password hashes and session tokens are left out.
+ * @param userId - User whose data to export
+ * @returns Export document, or null if the user doesn't exist
+ */
+const exportUserData = async (userId: UserId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [projects, comments, messages, sessions] = await Promise.all([
+    Project.find({ $or: [{ owner: userId }, { 'collaborators.userId': userId }] }).lean(),
+    Comment.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Message.find({ $or: [{ sender: userId }, { recipient: userId }] })
+      .sort({ createdAt: 1 })
+      .populate('sender recipient', 'username')
+      .lean(),
+    Session.find({ userId }).select('-token -refreshToken').sort({ createdAt: 1 }).lean(),
+  ]);
+
+  return buildDataExport({ user, projects, comments, messages, sessions });
+};
+
+/**
+ * Remove an uploaded avatar, whether it's a file on disk or a legacy GridFS upload
+ */
+const removeAvatar = async (profileImage?: string): Promise<void> => {
+  if (!profileImage) return;
+
+  try {
+    if (profileImage.startsWith('/uploads/')) {
+      const uploadPath = global.uploadPath || path.join(__dirname, '../uploads');
+      const filePath = path.join(uploadPath, path.basename(profileImage));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } else if (Types.ObjectId.isValid(profileImage)) {
+      await deleteFromGridFS(profileImage);
+    }
+  } catch (error) {
+    logger.warn('Could not delete avatar of deleted account', {
+      profileImage,
+      error: (error as Error).message,
+    });
+  }
+};
+
+/**
+ * Hand each project the user owns to a collaborator, or archive it if nobody can
+ * take it over, and take the user off projects they collaborate on
+ */
+const releaseProjects = async (
+  userId: UserId
+): Promise<{ transferred: number; archived: number }> => {
+  const owned: ProjectDocument[] = await Project.find({ owner: userId });
+  let transferred = 0;
+  let archived = 0;
+
+  for (const project of owned) {
+    const successorId = pickProjectSuccessor(project.collaborators, userId);
+    if (successorId) {
+      project.owner = new Types.ObjectId(successorId);
+      project.collaborators = project.collaborators.filter(
+        (collab) => collab.userId.toString() !== successorId
+      );
+      transferred++;
+    } else {
+      project.isArchived = true;
+      project.archivedAt = new Date();
+      archived++;
+    }
+    await project.save();
+  }
+
+  await Project.updateMany(
+    { 'collaborators.userId': userId },
+    { $pull: { collaborators: { userId } } }
+  );
+
+  return { transferred, archived };
+};
+
+/**
+ * Delete an account
+ * The user record is kept as an anonymous placeholder so the comments and messages
+ * it wrote stay readable to everyone else without being linked to the person who
+ * wrote them. Everything identifying is removed.
+ * @param userId - Account to delete
+ * @returns False if there was no such account or it was already deleted
+ */
+const deleteAccount = async (userId: UserId): Promise<boolean> => {
+  const user: UserDocument | null = await User.findById(userId);
+  if (!user || user.deletedAt) return false;
+
+  await sessionService.revokeAllUserSessions(user._id, 'account_deletion');
+  const projects = await releaseProjects(user._id);
+
+  await Promise.all([
+    AccessToken.deleteMany({ userId: user._id }),
+    Notification.deleteMany({ recipient: user._id }),
+    Notification.updateMany({ actor: user._id }, { $set: { actor: null } }),
+    Task.updateMany({ assignee: user._id }, { $set: { assignee: null } }),
+    User.updateMany(
+      { $or: [{ blockedUsers: user._id }, { mutedUsers: user._id }] },
+      { $pull: { blockedUsers: user._id, mutedUsers: user._id } }
+    ),
+    removeAvatar(user.profileImage),
+  ]);
+
+  // Nobody can log in with a random password that was never shown to anyone
+  const unusablePassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString('hex'),
+    SECURITY.BCRYPT_SALT_ROUNDS
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        ...getAnonymizedIdentity(user._id),
+        password: unusablePassword,
+        hasPassword: false,
+        skills: [],
+        portfolioLinks: [],
+        socialLinks: {},
+        blockedUsers: [],
+        mutedUsers: [],
+        knownDevices: [],
+        permissions: [],
+        twoFactor: { enabled: false },
+        isProfilePublic: false,
+        isActive: false,
+        isEmailVerified: false,
+        deletionScheduledFor: null,
+        deletedAt: new Date(),
+      },
+      $unset: {
+        firstName: 1,
+        lastName: 1,
+        bio: 1,
+        location: 1,
+        timezone: 1,
+        profileImage: 1,
+        github: 1,
+        pendingEmail: 1,
+        pendingEmailSessionId: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        magicLinkToken: 1,
+        magicLinkExpires: 1,
+        magicLinkBrowserHash: 1,
+        passwordHistory: 1,
+      },
+    }
+  );
+
+  logger.securityEvent('ACCOUNT_DELETED', {
+    userId: user._id,
+    projectsTransferred: projects.transferred,
+    projectsArchived: projects.archived,
+  });
+
+  return true;
+};
+
+/**
+ * Delete accounts whose grace period has ended
+ * Each account is handled on its own, so one failure doesn't hold up the rest.
+ * @param now - Current time
+ * @returns Number of accounts deleted
+ */
+const processDueAccountDeletions = async (now: Date = new Date()): Promise<number> => {
+  const due: UserDocument[] = await User.find({
+    deletionScheduledFor: { $lte: now },
+    deletedAt: null,
+  })
+    .select('_id')
+    .limit(ACCOUNT_DELETION.BATCH_SIZE);
+
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      if (await deleteAccount(user._id)) deleted++;
+    } catch (error) {
+      logger.error('Failed to delete account', {
+        userId: user._id,
+        error: (error as Error).message,
+      });
+    }
+  }
+  return deleted;
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  exportUserData,
+  deleteAccount,
+  processDueAccountDeletions,
+};
+
+export {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  exportUserData,
+  deleteAccount,
+  processDueAccountDeletions,
+};
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { AuditLogDocument } from '../types/models';
+
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_LOG } = require('../config/constants');
+const { buildAuditEntry } = require('../utils/auditLog');
+
+/**
+ * Page of audit log entries
+ */
+interface AuditLogPage {
+  logs: AuditLogDocument[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+/**
+ * Save a security event to the audit log
+ * Called by the logger for every security event, so it never throws; a failed
+ * write is reported to the console and the file logs still have the event.
+ * @param event - Event name
+ * @param meta - Details passed to the logger
+ */
+const recordAuditEvent = (event: string, meta: Record<string, unknown> = {}): void => {
+  // Scripts and tests run without a database; don't queue writes that will never happen
+  if (mongoose.connection.readyState !== 1) return;
+
+  AuditLog.create(buildAuditEntry(event, meta)).catch((error: Error) => {
+    console.error(`Failed to write audit log entry for ${event}: ${error.message}`);
+  });
+};
+
+/**
+ * Fetch a page of audit log entries, newest first
+ * @param filter - Filter from buildAuditLogFilter
+ * @param page - Page number, starting at 1
+ * @param limit - Entries per page
+ */
+const queryAuditLogs = async (
+  filter: Record<string, unknown>,
+  page: number,
+  limit: number
+): Promise<AuditLogPage> => {
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor target', 'username')
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  return {
+    logs,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Fetch entries for a CSV export, newest first
+ * @param filter - Filter from buildAuditLogFilter
+ * @returns Up to AUDIT_LOG.EXPORT_MAX_ROWS entries
+ */
+const exportAuditLogs = async (filter: Record<string, unknown>): Promise<AuditLogDocument[]> =>
+  AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).limit(AUDIT_LOG.EXPORT_MAX_ROWS).lean();
+
+module.exports = {
+  recordAuditEvent,
+  queryAuditLogs,
+  exportAuditLogs,
+};
+
+export { recordAuditEvent, queryAuditLogs, exportAuditLogs };
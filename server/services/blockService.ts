@@ -0,0 +1,43 @@
+import { Types } from 'mongoose';
+
+const User = require('../models/User');
+
+type UserId = Types.ObjectId | string;
+
+/**
+ * Check whether either of two users has blocked the other
+ * Blocking works both ways for direct contact: a blocked user can't reach the
+ * blocker, and the blocker can't reach them without unblocking first
+ * @param userA - First user
+ * @param userB - Second user
+ * @returns True if a block exists in either direction
+ */
+const hasBlockBetween = async (userA: UserId, userB: UserId): Promise<boolean> => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA },
+    ],
+  });
+  return !!blocked;
+};
+
+/**
+ * Find which of a set of users have blocked an actor
+ * @param actorId - User performing an action (e.g. mentioning or commenting)
+ * @param userIds - Users who would be notified about it
+ * @returns IDs (as strings) of the users who blocked the actor
+ */
+const findUsersBlocking = async (actorId: UserId, userIds: UserId[]): Promise<Set<string>> => {
+  if (userIds.length === 0) return new Set();
+
+  const users = await User.find({ _id: { $in: userIds }, blockedUsers: actorId }).select('_id');
+  return new Set(users.map((user: { _id: Types.ObjectId }) => user._id.toString()));
+};
+
+module.exports = {
+  hasBlockBetween,
+  findUsersBlocking,
+};
+
+export { hasBlockBetween, findUsersBlocking };
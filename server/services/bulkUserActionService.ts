@@ -0,0 +1,253 @@
+import { UserDocument } from '../types/models';
+import type {
+  BulkUserAction,
+  BulkActionParams,
+  BulkActionResult,
+  UserListFilter,
+} from '../utils/bulkUserActions';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionService = require('./sessionService');
+const { revokeAllAccessTokens } = require('./accessTokenService');
+const logger = require('../utils/logger');
+const { sendVerificationEmail } = require('./emailService');
+const { buildUserListFilter, getBulkActionSkipReason } = require('../utils/bulkUserActions');
+const { diffPermissions } = require('../utils/roles');
+const { getEffectivePermissions } = require('./roleService');
+
+/**
+ * Users a bulk action is aimed at: picked one by one, or everything matching a filter
+ */
+interface BulkUserSelection {
+  userIds?: string[];
+  filter?: UserListFilter;
+}
+
+/**
+ * Admin applying a bulk action
+ */
+interface BulkActionAdmin {
+  _id: { toString(): string };
+  email: string;
+}
+
+/**
+ * What applying an action to one user did, for the result report and audit log
+ */
+interface AppliedAction {
+  message: string;
+  details?: Record<string, unknown>;
+}
+
+// Fields the preview needs
+const TARGET_FIELDS =
+  'username email role permissions customPermissions isActive isSuspended isEmailVerified';
+
+// Audit log action names, shared with the single-user admin actions
+const AUDIT_ACTIONS: Record<BulkUserAction, string> = {
+  suspend: 'user_suspended',
+  unsuspend: 'user_unsuspended',
+  change_role: 'user_role_updated',
+  resend_verification: 'user_verification_resent',
+  revoke_sessions: 'user_sessions_revoked',
+  deactivate: 'user_deactivated',
+};
+
+/**
+ * Set each user's effective permissions, which decide who counts as an administrator
+ * The permissions stored on users can lag behind a role edited by another server process.
+ */
+const resolvePermissions = async (users: UserDocument[]): Promise<UserDocument[]> => {
+  for (const user of users) {
+    user.permissions = await getEffectivePermissions(user.role, user.customPermissions);
+  }
+  return users;
+};
+
+/**
+ * Count the users a selection covers
+ * @param selection - User IDs or a user list filter
+ */
+const countBulkTargets = async (selection: BulkUserSelection): Promise<number> =>
+  selection.userIds
+    ? User.countDocuments({ _id: { $in: selection.userIds } })
+    : User.countDocuments(buildUserListFilter(selection.filter || {}));
+
+/**
+ * Load the users a selection covers, newest first like the admin user list
+ * @param selection - User IDs or a user list filter
+ * @param limit - Most users to load
+ */
+const findBulkTargets = async (
+  selection: BulkUserSelection,
+  limit: number
+): Promise<UserDocument[]> => {
+  const filter = selection.userIds
+    ? { _id: { $in: selection.userIds } }
+    : buildUserListFilter(selection.filter || {});
+
+  return resolvePermissions(
+    await User.find(filter).select(TARGET_FIELDS).sort({ createdAt: -1 }).limit(limit)
+  );
+};
+
+/**
+ * Apply an action to one user, the same way the single-user admin actions do
+ */
+const applyToUser = async (
+  action: BulkUserAction,
+  user: UserDocument,
+  params: BulkActionParams
+): Promise<AppliedAction> => {
+  switch (action) {
+    case 'suspend': {
+      user.suspend(params.reason as string, params.duration);
+      await user.save();
+      await Session.updateMany(
+        { userId: user._id, isActive: true },
+        { isActive: false, revokedAt: new Date(), revokedReason: 'admin_suspend' }
+      );
+      await revokeAllAccessTokens(user._id);
+      return {
+        message: 'Suspended',
+        details: { reason: params.reason, duration: params.duration },
+      };
+    }
+    case 'unsuspend':
+      user.unsuspend();
+      await user.save();
+      return { message: 'Unsuspended' };
+    case 'change_role': {
+      const oldRole = user.role;
+      const oldPermissions = [...user.permissions];
+      user.setRole(params.role as string);
+      await user.save();
+      return {
+        message: `Role changed from ${oldRole} to ${user.role}`,
+        details: {
+          oldRole,
+          newRole: user.role,
+          permissionChanges: diffPermissions(oldPermissions, user.permissions),
+        },
+      };
+    }
+    case 'resend_verification': {
+      // As when users ask for it themselves, a new token cancels any pending email change
+      user.pendingEmail = undefined;
+      user.pendingEmailSessionId = undefined;
+      const verificationToken = user.generateEmailVerificationToken();
+      await user.save();
+      const emailSent = await sendVerificationEmail(user.email, verificationToken, user.username);
+      if (!emailSent) {
+        throw new Error('Verification email could not be sent');
+      }
+      return { message: 'Verification email sent' };
+    }
+    case 'revoke_sessions': {
+      const count = await sessionService.revokeAllUserSessions(user._id, 'admin_revoke');
+      return {
+        message: count
+          ? `Signed out of ${count} session${count === 1 ? '' : 's'}`
+          : 'No active sessions',
+        details: { count },
+      };
+    }
+    case 'deactivate':
+      user.isActive = false;
+      await user.save();
+      await Session.updateMany(
+        { userId: user._id, isActive: true },
+        { isActive: false, revokedAt: new Date(), revokedReason: 'account_deactivated' }
+      );
+      return { message: 'Deactivated' };
+  }
+};
+
+/**
+ * Apply an action to a batch of users, one at a time
+ * Users the action shouldn't touch are skipped, and one user failing doesn't stop
+ * the rest. Each change is written to the audit log like its single-user equivalent.
+ * @param admin - Admin applying the action
+ * @param action - Action to apply
+ * @param userIds - Users to apply it to
+ * @param params - Details for the action
+ * @param ip - Admin's IP address, for the audit log
+ * @returns One result per user ID, in the order given
+ */
+const applyBulkUserAction = async (
+  admin: BulkActionAdmin,
+  action: BulkUserAction,
+  userIds: string[],
+  params: BulkActionParams,
+  ip?: string
+): Promise<BulkActionResult[]> => {
+  // Whole documents, since saving recomputes permissions from the role and custom permissions
+  const users = await resolvePermissions(
+    await User.find({ _id: { $in: userIds } }).select('+pendingEmail')
+  );
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const results: BulkActionResult[] = [];
+
+  for (const userId of userIds) {
+    const user = usersById.get(userId);
+    if (!user) {
+      results.push({
+        userId,
+        username: '',
+        email: '',
+        status: 'failed',
+        message: 'User not found',
+      });
+      continue;
+    }
+
+    const identity = { userId, username: user.username, email: user.email };
+    const skipReason = getBulkActionSkipReason(action, user, admin._id, params);
+    if (skipReason) {
+      results.push({ ...identity, status: 'skipped', message: skipReason });
+      continue;
+    }
+
+    try {
+      const { message, details } = await applyToUser(action, user, params);
+
+      logger.adminAction(AUDIT_ACTIONS[action], {
+        adminId: admin._id,
+        adminEmail: admin.email,
+        targetUserId: user._id,
+        targetUserEmail: user.email,
+        bulk: true,
+        ...details,
+        ip,
+      });
+
+      results.push({ ...identity, status: 'succeeded', message });
+    } catch (error) {
+      const err = error as Error;
+      logger.error('Bulk user action failed for user', {
+        action,
+        adminId: admin._id,
+        targetUserId: userId,
+        error: err.message,
+      });
+      results.push({ ...identity, status: 'failed', message: err.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  countBulkTargets,
+  findBulkTargets,
+  applyBulkUserAction,
+};
+
+export {
+  countBulkTargets,
+  findBulkTargets,
+  applyBulkUserAction,
+  BulkUserSelection,
+  BulkActionAdmin,
+};
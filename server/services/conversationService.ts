@@ -0,0 +1,263 @@
+import { Types } from 'mongoose';
+import { ConversationDocument, MessageDocument } from '../types/models';
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const logger = require('../utils/logger');
+const realtimeService = require('./realtimeService');
+const { resolveMentions, notifyMentions } = require('./mentionService');
+const { createNotification } = require('./notificationService');
+const {
+  getParticipantKey,
+  buildMessagePreview,
+  getUnreadCount,
+} = require('../utils/conversations');
+
+// Fields of users shown in conversations and messages
+const PARTICIPANT_FIELDS = '_id username firstName lastName profileImage';
+
+/**
+ * A direct message to send
+ */
+interface DirectMessageInput {
+  sender: { _id: Types.ObjectId; username: string };
+  recipientId: Types.ObjectId | string;
+  content: string;
+  subject?: string;
+  // Existing conversation between the sender and recipient, if already loaded
+  conversation?: ConversationDocument;
+}
+
+/**
+ * Result of sending a direct message
+ */
+interface SentMessage {
+  message: MessageDocument;
+  conversation: ConversationDocument;
+  mentionedUsers: Array<{ _id: Types.ObjectId; username: string; email: string }>;
+}
+
+/**
+ * A conversation as returned to one of its participants
+ */
+interface ConversationSummary {
+  _id: Types.ObjectId;
+  participants: unknown[];
+  lastMessage: unknown;
+  lastMessageAt: Date | null;
+  unreadCount: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Find the conversation between a set of users, creating it if needed
+ * @param participantIds - Users in the conversation
+ * @returns The conversation
+ */
+const getOrCreateConversation = async (
+  participantIds: Array<Types.ObjectId | string>
+): Promise<ConversationDocument> => {
+  const participantKey = getParticipantKey(participantIds);
+  const participants = participantKey.split(':').map((id) => new Types.ObjectId(id));
+
+  try {
+    return await Conversation.findOneAndUpdate(
+      { participantKey },
+      { $setOnInsert: { participants, participantKey } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first messages sent at once both tried to create the conversation
+    if ((error as { code?: number }).code === 11000) {
+      return Conversation.findOne({ participantKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Save a direct message in the conversation between sender and recipient,
+ * updating the conversation's preview and the recipient's unread count
+ * @param input - Message to send
+ * @returns The saved message (with users populated), its conversation and mentioned users
+ */
+const sendDirectMessage = async (input: DirectMessageInput): Promise<SentMessage> => {
+  const { sender, recipientId, content, subject = '' } = input;
+  const conversation =
+    input.conversation || (await getOrCreateConversation([sender._id, recipientId]));
+  const mentionedUsers = await resolveMentions(content, sender._id);
+
+  const message = new Message({
+    conversation: conversation._id,
+    sender: sender._id,
+    recipient: recipientId,
+    subject,
+    content,
+    mentions: mentionedUsers.map((user: { _id: Types.ObjectId }) => user._id),
+  });
+  await message.save();
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          content: buildMessagePreview(content),
+          sender: sender._id,
+          createdAt: message.createdAt,
+        },
+        lastMessageAt: message.createdAt,
+      },
+      $inc: { [`unreadCounts.${recipientId.toString()}`]: 1 },
+    }
+  );
+
+  await message.populate('sender', PARTICIPANT_FIELDS);
+  await message.populate('recipient', PARTICIPANT_FIELDS);
+  await message.populate('mentions', '_id username');
+
+  return { message, conversation, mentionedUsers };
+};
+
+/**
+ * Tell the recipient about a message that was just sent
+ * Pushes it to both users' open tabs and notifies the recipient and anyone mentioned.
+ * Never throws, so it is safe to call after the response has been sent.
+ * @param sent - Result of sendDirectMessage
+ * @param sender - User who sent the message
+ */
+const announceDirectMessage = (
+  { message, mentionedUsers }: SentMessage,
+  sender: { _id: Types.ObjectId; username: string }
+): void => {
+  try {
+    const recipientId = (message.recipient as unknown as { _id: Types.ObjectId })._id;
+
+    // The sender's other tabs show it in the conversation too
+    realtimeService.publish([recipientId, sender._id], 'message:new', message);
+
+    createNotification({
+      recipient: recipientId,
+      actor: sender._id,
+      type: 'message',
+      link: `/messages?conversation=${message.conversation}`,
+      actorName: sender.username,
+    });
+
+    // Messages are private, so mention emails don't quote their content. The recipient
+    // already gets a message notification, so only other mentioned users are notified.
+    notifyMentions(
+      mentionedUsers.filter((user) => !user._id.equals(recipientId)),
+      {
+        authorId: sender._id,
+        authorName: sender.username,
+        where: 'a direct message',
+        path: '/messages',
+      }
+    );
+  } catch (error) {
+    logger.error('Failed to announce message', {
+      messageId: message._id.toString(),
+      error: (error as Error).message,
+    });
+  }
+};
+
+/**
+ * Mark every message a participant has received in a conversation as read
+ * @param conversationId - Conversation to mark
+ * @param userId - Participant who read it
+ * @returns Number of messages marked read
+ */
+const markConversationRead = async (
+  conversationId: Types.ObjectId | string,
+  userId: Types.ObjectId | string
+): Promise<number> => {
+  const result = await Message.updateMany(
+    { conversation: conversationId, recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+  await Conversation.updateOne(
+    { _id: conversationId },
+    { $set: { [`unreadCounts.${userId.toString()}`]: 0 } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Recompute a conversation's preview and unread counts from its messages
+ * Used after a single message is read or deleted outside the conversation view
+ * @param conversationId - Conversation to refresh
+ */
+const refreshConversation = async (conversationId: Types.ObjectId | string): Promise<void> => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) return;
+
+  const last = await Message.findOne({ conversation: conversationId }).sort({
+    createdAt: -1,
+    _id: -1,
+  });
+  conversation.lastMessage = last
+    ? { content: buildMessagePreview(last.content), sender: last.sender, createdAt: last.createdAt }
+    : null;
+  conversation.lastMessageAt = last ? last.createdAt : null;
+
+  const unreadCounts = new Map<string, number>();
+  for (const participant of conversation.participants) {
+    unreadCounts.set(
+      participant.toString(),
+      await Message.countDocuments({
+        conversation: conversationId,
+        recipient: participant,
+        isRead: false,
+      })
+    );
+  }
+  conversation.unreadCounts = unreadCounts;
+
+  await conversation.save();
+};
+
+/**
+ * Shape a conversation for one of its participants
+ * Only that participant's unread count is included
+ * @param conversation - Conversation with participants populated
+ * @param userId - Participant the conversation is returned to
+ * @returns Conversation summary
+ */
+const toConversationSummary = (
+  conversation: ConversationDocument,
+  userId: Types.ObjectId | string
+): ConversationSummary => ({
+  _id: conversation._id,
+  participants: conversation.participants,
+  lastMessage: conversation.lastMessage?.content ? conversation.lastMessage : null,
+  lastMessageAt: conversation.lastMessageAt ?? null,
+  unreadCount: getUnreadCount(conversation.unreadCounts, userId),
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt,
+});
+
+module.exports = {
+  PARTICIPANT_FIELDS,
+  getOrCreateConversation,
+  sendDirectMessage,
+  announceDirectMessage,
+  markConversationRead,
+  refreshConversation,
+  toConversationSummary,
+};
+
+export {
+  PARTICIPANT_FIELDS,
+  getOrCreateConversation,
+  sendDirectMessage,
+  announceDirectMessage,
+  markConversationRead,
+  refreshConversation,
+  toConversationSummary,
+  DirectMessageInput,
+  SentMessage,
+  ConversationSummary,
+};
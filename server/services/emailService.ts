@@ -11,6 +11,17 @@ interface EmailResult {
   pending?: string[];
 }
 
+/**
+ * Escape user-supplied text for inclusion in an HTML email body
+ */
+const escapeHtml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 /**
  * Create nodemailer transporter
  */
@@ -176,9 +187,438 @@ const sendPasswordResetEmail = async (
   }
 };
 
+/**
+ * Send one-time login link email
+ */
+const sendMagicLinkEmail = async (
+  email: string,
+  token: string,
+  username: string
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent login link email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your login link - CodeCollabProj',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Log in to CodeCollabProj</h2>
+          <p>Hi ${escapeHtml(username)},</p>
+          <p>Click the button below to log in. The link works once, and only in the browser you requested it from.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${loginUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Log In
+            </a>
+          </div>
+
+          <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; color: #666;">${loginUrl}</p>
+
+          <p>This link will expire in 15 minutes.</p>
+
+          <p>If you didn't request a login link, you can safely ignore this email.</p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending login link email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send confirmation link for an email address change, to the new address
+ */
+const sendEmailChangeEmail = async (
+  email: string,
+  token: string,
+  username: string
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent email change confirmation to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const confirmUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Confirm your new email address - CodeCollabProj',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Confirm your new email address</h2>
+          <p>Hi ${escapeHtml(username)},</p>
+          <p>You asked to change the email address on your CodeCollabProj account to this one. Click the button below to confirm:</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${confirmUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Confirm Email Change
+            </a>
+          </div>
+
+          <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; color: #666;">${confirmUrl}</p>
+
+          <p>This link will expire in 24 hours. Your email address won't change until you confirm.</p>
+
+          <p>If you didn't ask for this, you can safely ignore this email.</p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending email change confirmation:', error);
+    return false;
+  }
+};
+
+/**
+ * Send @mention notification email
+ */
+const sendMentionEmail = async (
+  email: string,
+  username: string,
+  mention: { authorName: string; where: string; path: string; excerpt?: string }
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent mention email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const mentionUrl = `${process.env.FRONTEND_URL}${mention.path}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `${mention.authorName} mentioned you - CodeCollabProj`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">You were mentioned</h2>
+          <p>Hi ${username},</p>
+          <p>${escapeHtml(mention.authorName)} mentioned you in ${escapeHtml(mention.where)}.</p>
+          ${
+            mention.excerpt
+              ? `<blockquote style="border-left: 3px solid #ddd; margin: 20px 0; padding-left: 12px; color: #555;">${escapeHtml(mention.excerpt)}</blockquote>`
+              : ''
+          }
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${mentionUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              View
+            </a>
+          </div>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending mention email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send an email about a login lockout, with a link that lifts it
+ */
+const sendAccountLockedEmail = async (
+  email: string,
+  token: string,
+  username: string,
+  lockedUntil: Date
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent account locked email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Login temporarily locked - CodeCollabProj',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Login temporarily locked</h2>
+          <p>Hi ${escapeHtml(username)},</p>
+          <p>There were too many failed attempts to log in to your account, so logging in is locked until ${lockedUntil.toUTCString()}.</p>
+          <p>If these attempts were yours, click the button below to unlock your account now.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${unlockUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Unlock Account
+            </a>
+          </div>
+
+          <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; color: #666;">${unlockUrl}</p>
+
+          <p>If these attempts weren't yours, someone may be trying to guess your password. Leave the lock in place and consider changing your password once it ends.</p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send an alert about a sign-in from a new device or network, with a link to
+ * report it if it wasn't the user
+ */
+const sendNewSignInEmail = async (
+  email: string,
+  username: string,
+  signIn: { device: string; ip?: string; signedInAt: Date; reportToken: string }
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent new sign-in email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const reportUrl = `${process.env.FRONTEND_URL}/report-session?token=${signIn.reportToken}`;
+    const sessionsUrl = `${process.env.FRONTEND_URL}/settings`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'New sign-in to your account - CodeCollabProj',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">New sign-in to your account</h2>
+          <p>Hi ${escapeHtml(username)},</p>
+          <p>Your account was just signed in to from a device or network you haven't used before.</p>
+          <ul style="color: #333;">
+            <li>Device: ${escapeHtml(signIn.device || 'Unknown device')}</li>
+            <li>IP address: ${escapeHtml(signIn.ip || 'unknown')}</li>
+            <li>Time: ${signIn.signedInAt.toUTCString()}</li>
+          </ul>
+          <p>If this was you, there's nothing to do. If it wasn't, sign that session out and reset your password:</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${reportUrl}"
+               style="background-color: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              This Wasn't Me
+            </a>
+          </div>
+
+          <p>You can also review your active sessions in <a href="${sessionsUrl}">your settings</a>.</p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending new sign-in email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send a security alert email (e.g. a session was revoked after suspicious activity)
+ */
+const sendSecurityAlertEmail = async (
+  email: string,
+  username: string,
+  alert: { title: string; message: string; path?: string }
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent security alert email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const alertUrl = `${process.env.FRONTEND_URL}${alert.path || '/settings'}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: `Security alert: ${alert.title} - CodeCollabProj`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${escapeHtml(alert.title)}</h2>
+          <p>Hi ${username},</p>
+          <p>${escapeHtml(alert.message)}</p>
+          <p>If this wasn't you, change your password and review your account security settings.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${alertUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Review Security Settings
+            </a>
+          </div>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending security alert email:', error);
+    return false;
+  }
+};
+
+/**
+ * Confirm that an account is scheduled for deletion, with a way to change your mind
+ */
+const sendAccountDeletionScheduledEmail = async (
+  email: string,
+  username: string,
+  deletionScheduledFor: Date
+): Promise<boolean> => {
+  // Skip email sending in E2E/test environments
+  if (process.env.SKIP_EMAIL_VERIFICATION === 'true' || process.env.NODE_ENV === 'e2e') {
+    console.log(`📧 [SKIP] Email sending disabled in ${process.env.NODE_ENV} environment`);
+    console.log(`📧 [SKIP] Would have sent account deletion email to: ${email}`);
+    return true;
+  }
+
+  try {
+    const transporter = createTransporter();
+
+    const settingsUrl = `${process.env.FRONTEND_URL}/settings`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: email,
+      subject: 'Your account is scheduled for deletion - CodeCollabProj',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Your account is scheduled for deletion</h2>
+          <p>Hi ${escapeHtml(username)},</p>
+          <p>We received a request to delete your account. It will be deleted on ${deletionScheduledFor.toUTCString()}, and you have been logged out on every device.</p>
+          <p>When it is deleted, your profile is removed and your comments and messages are no longer linked to you. Projects you own are handed to a collaborator, or archived if they have none.</p>
+          <p>Changed your mind? Log in before then and cancel the deletion from your settings.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${settingsUrl}"
+               style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Keep My Account
+            </a>
+          </div>
+
+          <p>If you didn't ask for this, log in and cancel the deletion, then change your password.</p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">
+            This is an automated email from CodeCollabProj. Please do not reply to this email.
+          </p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeEmail,
+  sendMentionEmail,
+  sendSecurityAlertEmail,
+  sendNewSignInEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
 };
 
-export { sendVerificationEmail, sendPasswordResetEmail };
+export {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeEmail,
+  sendMentionEmail,
+  sendSecurityAlertEmail,
+  sendNewSignInEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+};
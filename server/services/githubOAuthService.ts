@@ -0,0 +1,227 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
+import { UserDocument } from '../types/models';
+import { GitHubEmail } from '../utils/githubOAuth';
+
+const User = require('../models/User');
+const { GITHUB_OAUTH, VALIDATION_LIMITS } = require('../config/constants');
+const { getVerifiedPrimaryEmail, toUsernameBase } = require('../utils/githubOAuth');
+
+type UserId = Types.ObjectId | string;
+
+/**
+ * Why the OAuth flow was started: to sign in, or to link GitHub to a signed-in account
+ */
+type OAuthMode = 'login' | 'link';
+
+/**
+ * Payload of the signed state passed through GitHub
+ */
+interface OAuthStatePayload {
+  type: 'github_oauth';
+  mode: OAuthMode;
+  nonce: string;
+  userId?: string;
+}
+
+/**
+ * GitHub account details used to sign in, link or register
+ */
+interface GitHubProfile {
+  id: string;
+  login: string;
+  avatarUrl?: string;
+  profileUrl: string;
+  email: string | null;
+}
+
+// Attempts at finding a free username before giving up
+const USERNAME_ATTEMPTS = 5;
+
+/**
+ * Check whether the GitHub OAuth app credentials are set
+ */
+const isGitHubOAuthConfigured = (): boolean =>
+  Boolean(GITHUB_OAUTH.CLIENT_ID && GITHUB_OAUTH.CLIENT_SECRET);
+
+/**
+ * Create the state for a new OAuth flow
+ * The nonce goes in a cookie as well, so a callback only completes in the
+ * browser that started the flow
+ * @param mode - Sign in or link
+ * @param userId - Account to link GitHub to (link mode only)
+ * @returns Signed state and the nonce to store in the cookie
+ */
+const createOAuthState = (mode: OAuthMode, userId?: UserId): { state: string; nonce: string } => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = jwt.sign(
+    { type: 'github_oauth', mode, nonce, ...(userId && { userId: userId.toString() }) },
+    process.env.JWT_SECRET as string,
+    { expiresIn: GITHUB_OAUTH.STATE_EXPIRY }
+  );
+  return { state, nonce };
+};
+
+/**
+ * Check the state returned to the callback
+ * @param state - State from the query string
+ * @param nonce - Nonce from the state cookie
+ * @returns State payload, or null if the state is invalid, expired or from another browser
+ */
+const verifyOAuthState = (
+  state: string | undefined,
+  nonce: string | undefined
+): OAuthStatePayload | null => {
+  if (!state || !nonce) return null;
+  try {
+    const payload = jwt.verify(state, process.env.JWT_SECRET as string) as OAuthStatePayload;
+    if (payload.type !== 'github_oauth' || payload.nonce !== nonce) return null;
+    if (payload.mode === 'link' && !payload.userId) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Exchange an authorization code for the user's GitHub account details
+ * @param code - Code from the callback query string
+ * @returns GitHub profile, with the verified primary email if there is one
+ * @throws If GitHub rejects the code or can't be reached
+ */
+const fetchGitHubProfile = async (code: string): Promise<GitHubProfile> => {
+  const { data: tokenData } = await axios.post(
+    GITHUB_OAUTH.TOKEN_URL,
+    {
+      client_id: GITHUB_OAUTH.CLIENT_ID,
+      client_secret: GITHUB_OAUTH.CLIENT_SECRET,
+      code,
+      redirect_uri: GITHUB_OAUTH.CALLBACK_URL,
+    },
+    { headers: { Accept: 'application/json' }, timeout: GITHUB_OAUTH.REQUEST_TIMEOUT_MS }
+  );
+
+  // GitHub reports a bad code with a 200 and an error field
+  if (!tokenData?.access_token) {
+    throw new Error(tokenData?.error_description || tokenData?.error || 'No access token');
+  }
+
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    Authorization: `Bearer ${tokenData.access_token}`,
+  };
+  const [{ data: account }, { data: emails }] = await Promise.all([
+    axios.get(`${GITHUB_OAUTH.API_URL}/user`, {
+      headers,
+      timeout: GITHUB_OAUTH.REQUEST_TIMEOUT_MS,
+    }),
+    axios.get<GitHubEmail[]>(`${GITHUB_OAUTH.API_URL}/user/emails`, {
+      headers,
+      timeout: GITHUB_OAUTH.REQUEST_TIMEOUT_MS,
+    }),
+  ]);
+
+  return {
+    id: String(account.id),
+    login: account.login,
+    avatarUrl: account.avatar_url,
+    profileUrl: account.html_url || `https://github.com/${account.login}`,
+    email: getVerifiedPrimaryEmail(emails),
+  };
+};
+
+/**
+ * Find the user a GitHub account is linked to
+ * @param githubId - GitHub user ID
+ */
+const findUserByGitHubId = async (githubId: string): Promise<UserDocument | null> =>
+  User.findOne({ 'github.id': githubId });
+
+/**
+ * Link a GitHub account to a user and fill in their GitHub link, and their
+ * avatar if they haven't uploaded one
+ * @param user - User to link
+ * @param profile - GitHub account details
+ * @returns The saved user
+ */
+const linkGitHubAccount = async (
+  user: UserDocument,
+  profile: GitHubProfile
+): Promise<UserDocument> => {
+  user.github = { id: profile.id, username: profile.login, linkedAt: new Date() };
+  user.set('socialLinks.github', profile.profileUrl);
+  if (!user.profileImage && profile.avatarUrl) {
+    user.profileImage = profile.avatarUrl;
+  }
+  return user.save();
+};
+
+/**
+ * Find a username based on the GitHub login that no one has taken
+ * @param login - GitHub login
+ */
+const findAvailableUsername = async (login: string): Promise<string> => {
+  const base = toUsernameBase(login);
+  for (let attempt = 0; attempt < USERNAME_ATTEMPTS; attempt++) {
+    const suffix = attempt === 0 ? '' : `_${crypto.randomInt(1000, 10000)}`;
+    const candidate = `${base.slice(0, VALIDATION_LIMITS.USERNAME_MAX_LENGTH - suffix.length)}${suffix}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  throw new Error('Could not find an available username');
+};
+
+/**
+ * Register a new user from a GitHub account
+ * The account gets a random password it can't be signed into with until the
+ * user sets one through a password reset
+ * @param profile - GitHub account details, with a verified email
+ * @returns The new user
+ */
+const createUserFromGitHub = async (profile: GitHubProfile): Promise<UserDocument> => {
+  const user = new User({
+    email: profile.email,
+    username: await findAvailableUsername(profile.login),
+    password: crypto.randomBytes(32).toString('hex'),
+    hasPassword: false,
+    // GitHub has already verified the address
+    isEmailVerified: true,
+    github: { id: profile.id, username: profile.login, linkedAt: new Date() },
+    socialLinks: { github: profile.profileUrl },
+    profileImage: profile.avatarUrl,
+  });
+  return user.save();
+};
+
+/**
+ * Unlink a user's GitHub account (their GitHub profile link is kept)
+ * @param userId - User to unlink
+ */
+const unlinkGitHubAccount = async (userId: UserId): Promise<void> => {
+  await User.updateOne({ _id: userId }, { $unset: { github: 1 } });
+};
+
+module.exports = {
+  isGitHubOAuthConfigured,
+  createOAuthState,
+  verifyOAuthState,
+  fetchGitHubProfile,
+  findUserByGitHubId,
+  linkGitHubAccount,
+  createUserFromGitHub,
+  unlinkGitHubAccount,
+};
+
+export {
+  isGitHubOAuthConfigured,
+  createOAuthState,
+  verifyOAuthState,
+  fetchGitHubProfile,
+  findUserByGitHubId,
+  linkGitHubAccount,
+  createUserFromGitHub,
+  unlinkGitHubAccount,
+  GitHubProfile,
+  OAuthMode,
+};
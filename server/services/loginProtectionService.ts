@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import { LoginThrottleDocument, LoginThrottleKind, UserDocument } from '../types/models';
+import { FailureResult, ThrottleState } from '../utils/loginThrottle';
+
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { LOGIN_PROTECTION } = require('../config/constants');
+const {
+  getLockDuration,
+  getProgressiveDelay,
+  getRetryAfterMs,
+  isLocked,
+} = require('../utils/loginThrottle');
+const { sendAccountLockedEmail } = require('./emailService');
+
+type BlockReason = 'account_locked' | 'ip_locked' | 'too_many_attempts';
+
+/**
+ * Whether a login attempt may go ahead
+ */
+interface LoginCheckResult {
+  allowed: boolean;
+  reason?: BlockReason;
+  retryAfterMs: number;
+}
+
+/**
+ * Outcome of recording a failed login
+ */
+interface LoginFailureResult {
+  accountLocked: boolean;
+  ipLocked: boolean;
+  retryAfterMs: number;
+}
+
+/**
+ * Lockout details shown to admins
+ */
+interface AccountLockStatus {
+  locked: boolean;
+  lockedUntil: Date | null;
+  failures: number;
+}
+
+// Accounts are keyed by email rather than user id, so unknown emails are throttled
+// the same way as real ones and responses don't reveal which accounts exist
+const accountKey = (email: string): string => `account:${email.trim().toLowerCase()}`;
+const ipKey = (ip: string): string => `ip:${ip}`;
+
+const hashUnlockToken = (token: string): string =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const emptyState = (): ThrottleState => ({ failures: 0, lockCount: 0 });
+
+const toState = (record: LoginThrottleDocument | null): ThrottleState =>
+  record
+    ? {
+        failures: record.failures,
+        lastFailureAt: record.lastFailureAt,
+        nextAttemptAt: record.nextAttemptAt,
+        lockedUntil: record.lockedUntil,
+        lockCount: record.lockCount,
+      }
+    : emptyState();
+
+/**
+ * Count a failure against one counter
+ * Every step is a single atomic update, so failures arriving in parallel each count
+ * instead of overwriting one another. Reaching the threshold locks and resets the
+ * count, so the next lockout takes as many failures again.
+ * @param key - Counter key
+ * @param kind - Whether the counter is for an account or an IP address
+ * @param lockThreshold - Failures that trigger a lockout
+ * @param progressive - Whether to add delays between attempts
+ * @param now - Current time
+ * @returns New state, and whether this failure caused a lockout
+ */
+const countFailure = async (
+  key: string,
+  kind: LoginThrottleKind,
+  lockThreshold: number,
+  progressive: boolean,
+  now: Date
+): Promise<FailureResult> => {
+  // Failures older than the window start a fresh count
+  await LoginThrottle.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - LOGIN_PROTECTION.FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 } }
+  );
+
+  const record: LoginThrottleDocument = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        kind,
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + LOGIN_PROTECTION.RECORD_TTL_MS),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (record.failures >= lockThreshold) {
+    // Only one of several failures reaching the threshold at once takes the lock
+    const locked: LoginThrottleDocument | null = await LoginThrottle.findOneAndUpdate(
+      { key, failures: { $gte: lockThreshold } },
+      {
+        $set: {
+          failures: 0,
+          nextAttemptAt: null,
+          lockedUntil: new Date(now.getTime() + getLockDuration(record.lockCount + 1)),
+        },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    );
+    if (locked) {
+      return { state: toState(locked), locked: true };
+    }
+    return { state: toState(await LoginThrottle.findOne({ key })), locked: false };
+  }
+
+  const delay = progressive ? getProgressiveDelay(record.failures) : 0;
+  if (!delay) {
+    return { state: toState(record), locked: false };
+  }
+  const delayed: LoginThrottleDocument | null = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $max: { nextAttemptAt: new Date(now.getTime() + delay) } },
+    { new: true }
+  );
+  return { state: toState(delayed || record), locked: false };
+};
+
+/**
+ * Check whether a login attempt may go ahead before any credentials are checked
+ * @param email - Email being logged in to
+ * @param ip - Client IP address
+ */
+const checkLoginAllowed = async (email: string, ip?: string): Promise<LoginCheckResult> => {
+  const keys = [accountKey(email), ...(ip ? [ipKey(ip)] : [])];
+  const records: LoginThrottleDocument[] = await LoginThrottle.find({ key: { $in: keys } });
+  const account = records.find((record) => record.kind === 'account') || null;
+  const address = records.find((record) => record.kind === 'ip') || null;
+  const now = new Date();
+
+  if (address && isLocked(toState(address), now)) {
+    return {
+      allowed: false,
+      reason: 'ip_locked',
+      retryAfterMs: getRetryAfterMs(toState(address), now),
+    };
+  }
+  if (account && isLocked(toState(account), now)) {
+    return {
+      allowed: false,
+      reason: 'account_locked',
+      retryAfterMs: getRetryAfterMs(toState(account), now),
+    };
+  }
+
+  const retryAfterMs = getRetryAfterMs(toState(account), now);
+  if (retryAfterMs > 0) {
+    return { allowed: false, reason: 'too_many_attempts', retryAfterMs };
+  }
+  return { allowed: true, retryAfterMs: 0 };
+};
+
+/**
+ * Email the account owner a link that lifts a new lockout
+ */
+const notifyAccountLocked = async (email: string, lockedUntil: Date): Promise<void> => {
+  const user: UserDocument | null = await User.findOne({ email: email.trim().toLowerCase() });
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await LoginThrottle.updateOne(
+    { key: accountKey(email) },
+    { $set: { unlockTokenHash: hashUnlockToken(token) } }
+  );
+  await sendAccountLockedEmail(user.email, token, user.username, lockedUntil);
+};
+
+/**
+ * Count a failed login against the account and the IP address
+ * The account gets progressive delays and lockouts; the IP address only lockouts,
+ * at a higher threshold, to slow down attempts spread over many accounts.
+ * @param email - Email being logged in to
+ * @param ip - Client IP address
+ */
+const recordLoginFailure = async (email: string, ip?: string): Promise<LoginFailureResult> => {
+  const now = new Date();
+
+  const account = await countFailure(
+    accountKey(email),
+    'account',
+    LOGIN_PROTECTION.ACCOUNT_LOCK_THRESHOLD,
+    true,
+    now
+  );
+
+  let address: FailureResult = { state: emptyState(), locked: false };
+  if (ip) {
+    address = await countFailure(ipKey(ip), 'ip', LOGIN_PROTECTION.IP_LOCK_THRESHOLD, false, now);
+  }
+
+  if (account.locked) {
+    logger.securityEvent('ACCOUNT_LOCKED', {
+      email,
+      ip,
+      lockedUntil: account.state.lockedUntil,
+      lockCount: account.state.lockCount,
+      severity: 'high',
+    });
+    try {
+      await notifyAccountLocked(email, account.state.lockedUntil as Date);
+    } catch (error) {
+      const err = error as Error;
+      logger.error('Failed to send account locked email', { email, error: err.message });
+    }
+  }
+
+  if (address.locked) {
+    logger.securityEvent('IP_LOCKED', {
+      ip,
+      lockedUntil: address.state.lockedUntil,
+      lockCount: address.state.lockCount,
+      severity: 'high',
+    });
+  }
+
+  return {
+    accountLocked: account.locked,
+    ipLocked: address.locked,
+    retryAfterMs: Math.max(
+      getRetryAfterMs(account.state, now),
+      getRetryAfterMs(address.state, now)
+    ),
+  };
+};
+
+/**
+ * Clear an account's failures after a successful login
+ * @param email - Email that was logged in to
+ */
+const recordLoginSuccess = async (email: string): Promise<void> => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * Lift a lockout using the token from the lockout email (single use)
+ * @param token - Token from the email
+ * @returns The unlocked email, or null if the token isn't valid
+ */
+const unlockWithToken = async (token: string): Promise<string | null> => {
+  const record: LoginThrottleDocument | null = await LoginThrottle.findOneAndDelete({
+    kind: 'account',
+    unlockTokenHash: hashUnlockToken(token),
+  });
+  return record ? record.key.slice('account:'.length) : null;
+};
+
+/**
+ * Lift a lockout and clear the failures on an account
+ * @param email - Account email
+ * @returns True if there was anything to clear
+ */
+const unlockAccount = async (email: string): Promise<boolean> => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Get an account's lockout status
+ * @param email - Account email
+ */
+const getAccountLockStatus = async (email: string): Promise<AccountLockStatus> => {
+  const record: LoginThrottleDocument | null = await LoginThrottle.findOne({
+    key: accountKey(email),
+  });
+  const state = toState(record);
+  const locked = isLocked(state);
+  return {
+    locked,
+    lockedUntil: locked ? state.lockedUntil || null : null,
+    failures: state.failures,
+  };
+};
+
+/**
+ * Find which of a set of accounts are locked out
+ * @param emails - Account emails
+ * @returns Lowercased email to the time its lock ends, for locked accounts only
+ */
+const getLockedAccounts = async (emails: string[]): Promise<Map<string, Date>> => {
+  const records: LoginThrottleDocument[] = await LoginThrottle.find({
+    key: { $in: emails.map(accountKey) },
+    lockedUntil: { $gt: new Date() },
+  });
+  return new Map(
+    records.map((record) => [record.key.slice('account:'.length), record.lockedUntil as Date])
+  );
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockWithToken,
+  unlockAccount,
+  getAccountLockStatus,
+  getLockedAccounts,
+};
+
+export {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockWithToken,
+  unlockAccount,
+  getAccountLockStatus,
+  getLockedAccounts,
+};
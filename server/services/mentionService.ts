@@ -0,0 +1,104 @@
+import { Types } from 'mongoose';
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { extractMentions } = require('../utils/mentions');
+const { toExactMatchPatterns } = require('../utils/queryFilters');
+const { sendMentionEmail } = require('./emailService');
+const { createNotifications } = require('./notificationService');
+
+/**
+ * A user resolved from an @mention
+ */
+interface MentionedUser {
+  _id: Types.ObjectId;
+  username: string;
+  email: string;
+}
+
+/**
+ * Where a mention was made, for the notification sent to the mentioned user
+ */
+interface MentionContext {
+  authorId: Types.ObjectId;
+  authorName: string;
+  where: string; // e.g. 'a comment on "Project title"'
+  path: string; // Client route to open, e.g. /projects/:id
+  excerpt?: string;
+  projectId?: Types.ObjectId | string; // Set for mentions in project comments
+  projectTitle?: string;
+}
+
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Resolve the @username mentions in a piece of text to active users
+ * Usernames are matched case-insensitively; unknown names and users who have
+ * blocked the author are ignored
+ * @param text - Comment or message content
+ * @param authorId - User who wrote the text
+ * @returns Mentioned users
+ */
+const resolveMentions = async (
+  text: string,
+  authorId?: Types.ObjectId | string
+): Promise<MentionedUser[]> => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  return User.find({
+    username: { $in: toExactMatchPatterns(usernames) },
+    isActive: true,
+    ...(authorId && { blockedUsers: { $ne: authorId } }),
+  }).select('_id username email');
+};
+
+/**
+ * Notify mentioned users in-app and by email, skipping the author mentioning themselves
+ * Failures are logged rather than thrown so they never fail the request
+ * @param users - Users to notify
+ * @param context - Where the mention was made
+ */
+const notifyMentions = async (users: MentionedUser[], context: MentionContext): Promise<void> => {
+  const recipients = users.filter((user) => !user._id.equals(context.authorId));
+  if (recipients.length === 0) return;
+
+  const excerpt =
+    context.excerpt && context.excerpt.length > EXCERPT_LENGTH
+      ? `${context.excerpt.slice(0, EXCERPT_LENGTH)}…`
+      : context.excerpt;
+
+  await createNotifications(
+    recipients.map((user) => ({
+      recipient: user._id,
+      actor: context.authorId,
+      type: 'mention',
+      link: context.path,
+      projectId: context.projectId,
+      actorName: context.authorName,
+      projectTitle: context.projectTitle,
+    }))
+  );
+
+  try {
+    await Promise.all(
+      recipients.map((user) => sendMentionEmail(user.email, user.username, { ...context, excerpt }))
+    );
+    logger.info('Mention notifications sent', {
+      authorId: context.authorId,
+      recipients: recipients.map((user) => user._id),
+    });
+  } catch (error) {
+    logger.error('Mention notifications failed', {
+      authorId: context.authorId,
+      error: (error as Error).message,
+    });
+  }
+};
+
+module.exports = {
+  resolveMentions,
+  notifyMentions,
+};
+
+export { resolveMentions, notifyMentions, MentionedUser, MentionContext };
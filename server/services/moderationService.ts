@@ -0,0 +1,361 @@
+import { Types } from 'mongoose';
+import {
+  ReportAction,
+  ReportDocument,
+  ReportReason,
+  ReportResolution,
+  ReportTargetType,
+  UserDocument,
+} from '../types/models';
+
+const Report = require('../models/Report');
+const Project = require('../models/Project');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const sessionService = require('./sessionService');
+const { revokeAllAccessTokens } = require('./accessTokenService');
+const logger = require('../utils/logger');
+const { MODERATION } = require('../config/constants');
+const { createNotification, createNotifications } = require('./notificationService');
+const {
+  getReportActionOutcome,
+  getReportOutcomeMessage,
+  getWarningMessage,
+  getReportTargetLink,
+  buildContentSnapshot,
+} = require('../utils/moderation');
+
+type ObjectIdLike = Types.ObjectId | string;
+
+/**
+ * Reported content, as far as a report needs to know about it
+ */
+interface ReportTarget {
+  owner: Types.ObjectId;
+  projectId: Types.ObjectId | null;
+  snapshot: string;
+}
+
+/**
+ * Report as filed by a user
+ */
+interface ReportInput {
+  reporter: ObjectIdLike;
+  targetType: ReportTargetType;
+  targetId: ObjectIdLike;
+  reason: ReportReason;
+  details?: string;
+}
+
+/**
+ * Options for a moderation action
+ */
+interface ReportActionOptions {
+  note?: string;
+  duration?: number;
+}
+
+// Reports still waiting for a decision
+const OPEN_STATUSES = ['open', 'claimed', 'escalated'];
+
+/**
+ * Look up content a user wants to report
+ * Hidden or deleted content can't be reported, and messages can only be
+ * reported by the person they were sent to.
+ * @param targetType - What is being reported
+ * @param targetId - ID of the project, comment, message or user
+ * @param reporterId - User filing the report
+ * @returns The content's owner and a snapshot of it, or null if it can't be reported
+ */
+const findReportTarget = async (
+  targetType: ReportTargetType,
+  targetId: ObjectIdLike,
+  reporterId: ObjectIdLike
+): Promise<ReportTarget | null> => {
+  switch (targetType) {
+    case 'project': {
+      const project = await Project.findOne({ _id: targetId, isHidden: { $ne: true } });
+      return (
+        project && {
+          owner: project.owner,
+          projectId: project._id,
+          snapshot: buildContentSnapshot([project.title, project.description]),
+        }
+      );
+    }
+    case 'comment': {
+      const comment = await Comment.findOne({
+        _id: targetId,
+        isDeleted: { $ne: true },
+        isHidden: { $ne: true },
+      });
+      return (
+        comment && {
+          owner: comment.userId,
+          projectId: comment.projectId,
+          snapshot: buildContentSnapshot([comment.content]),
+        }
+      );
+    }
+    case 'message': {
+      const message = await Message.findOne({
+        _id: targetId,
+        recipient: reporterId,
+        isHidden: { $ne: true },
+      });
+      return (
+        message && {
+          owner: message.sender,
+          projectId: null,
+          snapshot: buildContentSnapshot([message.subject, message.content]),
+        }
+      );
+    }
+    case 'user': {
+      const user = await User.findOne({ _id: targetId, deletedAt: null });
+      return (
+        user && {
+          owner: user._id,
+          projectId: null,
+          snapshot: buildContentSnapshot([
+            user.username,
+            [user.firstName, user.lastName].filter(Boolean).join(' '),
+            user.bio,
+          ]),
+        }
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * File a report
+ * @param input - What is being reported and why
+ * @param target - Reported content, from findReportTarget
+ * @returns The new report
+ */
+const fileReport = async (input: ReportInput, target: ReportTarget): Promise<ReportDocument> => {
+  const report: ReportDocument = await Report.create({
+    reporter: input.reporter,
+    targetType: input.targetType,
+    targetId: input.targetId,
+    targetOwner: target.owner,
+    projectId: target.projectId,
+    reason: input.reason,
+    details: input.details,
+    contentSnapshot: target.snapshot,
+  });
+
+  logger.securityEvent('MODERATION_REPORT_FILED', {
+    userId: input.reporter,
+    targetUserId: target.owner,
+    reportId: report._id,
+    targetType: input.targetType,
+    targetId: input.targetId,
+    reason: input.reason,
+    severity: 'low',
+  });
+
+  return report;
+};
+
+/**
+ * Find where the reported content lives, for links in notifications
+ */
+const getTargetLink = async (report: ReportDocument): Promise<string> => {
+  const conversationId =
+    report.targetType === 'message'
+      ? (await Message.findById(report.targetId).select('conversation'))?.conversation
+      : null;
+  return getReportTargetLink(report.targetType, { projectId: report.projectId, conversationId });
+};
+
+/**
+ * Hide reported content from everyone but moderators
+ * Profiles are taken out of member listings and search instead.
+ */
+const hideReportedContent = async (
+  report: ReportDocument,
+  moderatorId: ObjectIdLike
+): Promise<void> => {
+  const hidden = { isHidden: true, hiddenAt: new Date(), hiddenBy: moderatorId };
+
+  switch (report.targetType) {
+    case 'project':
+      await Project.updateOne({ _id: report.targetId }, { $set: hidden });
+      break;
+    case 'comment':
+      await Comment.updateOne({ _id: report.targetId }, { $set: hidden });
+      break;
+    case 'message': {
+      const message = await Message.findByIdAndUpdate(report.targetId, { $set: hidden });
+      // The conversation list shows the last message, which may be the hidden one
+      if (message?.conversation) {
+        await Conversation.updateOne(
+          {
+            _id: message.conversation,
+            'lastMessage.sender': message.sender,
+            'lastMessage.createdAt': message.createdAt,
+          },
+          { $set: { 'lastMessage.content': MODERATION.HIDDEN_MESSAGE_PLACEHOLDER } }
+        );
+      }
+      break;
+    }
+    case 'user':
+      await User.updateOne(
+        { _id: report.targetId },
+        { $set: { isProfileHidden: true, profileHiddenAt: new Date() } }
+      );
+      break;
+  }
+};
+
+/**
+ * Send the author of reported content a warning
+ */
+const warnTargetOwner = async (report: ReportDocument, note?: string): Promise<void> => {
+  await createNotification({
+    recipient: report.targetOwner,
+    type: 'moderation_warning',
+    link: report.targetType === 'user' ? '/profile' : await getTargetLink(report),
+    detail: getWarningMessage(report.targetType, report.reason, note),
+  });
+};
+
+/**
+ * Suspend the author of reported content, sign them out everywhere and revoke their
+ * access tokens
+ */
+const suspendTargetOwner = async (
+  report: ReportDocument,
+  reason: string,
+  duration?: number
+): Promise<UserDocument | null> => {
+  const user: UserDocument | null = await User.findById(report.targetOwner);
+  if (!user) return null;
+
+  user.suspend(reason, duration || null);
+  await user.save();
+  await sessionService.revokeAllUserSessions(user._id, 'admin_revoke');
+  await revokeAllAccessTokens(user._id);
+
+  return user;
+};
+
+/**
+ * Let reporters know how their reports were resolved
+ */
+const notifyReporters = async (
+  reports: ReportDocument[],
+  resolution: ReportResolution
+): Promise<void> => {
+  if (reports.length === 0) return;
+
+  const link = await getTargetLink(reports[0]);
+  await createNotifications(
+    reports.map((report) => ({
+      recipient: report.reporter,
+      type: 'report_update',
+      link,
+      detail: getReportOutcomeMessage(report.targetType, resolution),
+    }))
+  );
+};
+
+/**
+ * Take a moderation action on a report
+ * Hiding content or suspending its author also resolves every other open report
+ * about the same content, and every reporter whose report is closed is told the outcome.
+ * Callers check the action is allowed (canApplyReportAction) and permitted first.
+ * @param report - Report being acted on
+ * @param action - Action to take
+ * @param moderator - Moderator taking it
+ * @param options - Note for the report history, which is also the warning sent to the user
+ * or the suspension reason, and how long a suspension lasts
+ * @returns The updated report
+ */
+const applyReportAction = async (
+  report: ReportDocument,
+  action: ReportAction,
+  moderator: UserDocument,
+  options: ReportActionOptions = {}
+): Promise<ReportDocument> => {
+  const { note, duration } = options;
+  const now = new Date();
+
+  switch (action) {
+    case 'hide':
+      await hideReportedContent(report, moderator._id);
+      break;
+    case 'warn':
+      await warnTargetOwner(report, note);
+      break;
+    case 'suspend':
+      await suspendTargetOwner(report, note || '', duration);
+      break;
+  }
+
+  const { status, resolution } = getReportActionOutcome(report.status, action);
+  report.status = status;
+  report.history.push({ action, by: moderator._id, note, at: now });
+
+  if (action === 'claim') {
+    report.assignedTo = moderator._id;
+  }
+  if (resolution) {
+    report.resolution = resolution;
+    report.resolvedBy = moderator._id;
+    report.resolvedAt = now;
+  }
+  await report.save();
+
+  let closed: ReportDocument[] = resolution ? [report] : [];
+  if (resolution && (action === 'hide' || action === 'suspend')) {
+    const related: ReportDocument[] = await Report.find({
+      _id: { $ne: report._id },
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: { $in: OPEN_STATUSES },
+    });
+    await Report.updateMany(
+      { _id: { $in: related.map((other) => other._id) } },
+      {
+        $set: { status, resolution, resolvedBy: moderator._id, resolvedAt: now },
+        $push: { history: { action, by: moderator._id, note, at: now } },
+      }
+    );
+    closed = closed.concat(related);
+  }
+
+  if (resolution) {
+    await notifyReporters(closed, resolution);
+  }
+
+  logger.securityEvent(`MODERATION_${action.toUpperCase()}`, {
+    userId: moderator._id,
+    email: moderator.email,
+    targetUserId: report.targetOwner,
+    reportId: report._id,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    relatedReportsClosed: closed.length > 1 ? closed.length - 1 : undefined,
+    note,
+    duration,
+    severity: action === 'suspend' ? 'high' : 'medium',
+  });
+
+  return report;
+};
+
+module.exports = {
+  findReportTarget,
+  fileReport,
+  applyReportAction,
+};
+
+export { findReportTarget, fileReport, applyReportAction, ReportTarget, ReportInput };
@@ -0,0 +1,106 @@
+import { Types } from 'mongoose';
+import { NotificationType } from '../types/models';
+
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+const realtimeService = require('./realtimeService');
+const { findUsersBlocking } = require('./blockService');
+const { formatNotificationMessage } = require('../utils/notifications');
+
+/**
+ * A notification to deliver to one user
+ */
+interface NotificationInput {
+  recipient: Types.ObjectId | string;
+  actor?: Types.ObjectId | string | null;
+  type: NotificationType;
+  link: string; // Client route to open, e.g. /projects/:id
+  projectId?: Types.ObjectId | string | null;
+  actorName?: string;
+  projectTitle?: string;
+  detail?: string;
+}
+
+/**
+ * Drop notifications whose recipient has blocked the actor
+ */
+const withoutBlockedActors = async <T extends Pick<NotificationInput, 'recipient' | 'actor'>>(
+  docs: T[]
+): Promise<T[]> => {
+  const actorIds = [...new Set(docs.flatMap((doc) => (doc.actor ? [doc.actor.toString()] : [])))];
+  const blockedPairs = new Set<string>();
+
+  await Promise.all(
+    actorIds.map(async (actorId) => {
+      const recipients = docs
+        .filter((doc) => doc.actor?.toString() === actorId)
+        .map((doc) => doc.recipient);
+      const blocking: Set<string> = await findUsersBlocking(actorId, recipients);
+      blocking.forEach((recipientId) => blockedPairs.add(`${actorId}:${recipientId}`));
+    })
+  );
+
+  return docs.filter((doc) => !doc.actor || !blockedPairs.has(`${doc.actor}:${doc.recipient}`));
+};
+
+/**
+ * Create in-app notifications and push them to recipients who are online
+ * Users are never notified about their own actions or those of users they have blocked,
+ * and each recipient gets at most one notification per call. Failures are logged rather
+ * than thrown so they never fail the request that triggered them.
+ * @param inputs - Notifications to create
+ */
+const createNotifications = async (inputs: NotificationInput[]): Promise<void> => {
+  const seen = new Set<string>();
+  const docs = inputs
+    .filter((input) => {
+      const recipient = input.recipient.toString();
+      if (input.actor && input.actor.toString() === recipient) return false;
+      if (seen.has(recipient)) return false;
+      seen.add(recipient);
+      return true;
+    })
+    .map((input) => ({
+      recipient: input.recipient,
+      actor: input.actor || null,
+      type: input.type,
+      link: input.link,
+      projectId: input.projectId || null,
+      message: formatNotificationMessage(input.type, {
+        actorName: input.actorName,
+        projectTitle: input.projectTitle,
+        detail: input.detail,
+      }),
+    }));
+
+  if (docs.length === 0) return;
+
+  try {
+    const allowed = await withoutBlockedActors(docs);
+    if (allowed.length === 0) return;
+
+    const notifications = await Notification.insertMany(allowed);
+    notifications.forEach((notification: { recipient: Types.ObjectId }) =>
+      realtimeService.publish([notification.recipient], 'notification:new', notification)
+    );
+  } catch (error) {
+    logger.error('Failed to create notifications', {
+      types: [...new Set(docs.map((doc) => doc.type))],
+      error: (error as Error).message,
+    });
+  }
+};
+
+/**
+ * Create a single in-app notification
+ * @param input - Notification to create
+ */
+const createNotification = (input: NotificationInput): Promise<void> =>
+  createNotifications([input]);
+
+module.exports = {
+  createNotification,
+  createNotifications,
+};
+
+export { createNotification, createNotifications, NotificationInput };
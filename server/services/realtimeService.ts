@@ -0,0 +1,159 @@
+import { Response } from 'express';
+import { Types } from 'mongoose';
+
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+const { formatSseEvent, formatSseComment, formatSseRetry } = require('../utils/sse');
+const { REALTIME } = require('../config/constants');
+
+/**
+ * Events pushed to clients over the event stream
+ */
+type RealtimeEvent =
+  | 'notification:new'
+  | 'message:new'
+  | 'comment:created'
+  | 'comment:updated'
+  | 'comment:deleted'
+  | 'collaboration:updated';
+
+/**
+ * Identity of the user an event stream belongs to
+ */
+interface StreamOwner {
+  userId: Types.ObjectId | string;
+  sessionId: Types.ObjectId | string;
+  // When the access token used to open the stream expires
+  expiresAt?: Date | null;
+}
+
+/**
+ * An open event stream
+ */
+interface EventStream {
+  res: Response;
+  userId: string;
+  sessionId: string;
+  timers: Array<ReturnType<typeof setInterval>>;
+}
+
+/**
+ * Keeps track of open event streams and pushes events to users
+ * Each process only knows its own streams, so events reach users connected to this instance
+ */
+class RealtimeService {
+  private streams: Map<string, EventStream[]>;
+  private nextEventId: number;
+
+  constructor() {
+    this.streams = new Map();
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Register a response as an event stream for a user
+   * The stream closes when the client disconnects, the access token expires
+   * or the session is revoked; the client then reconnects with a fresh token
+   */
+  open(res: Response, owner: StreamOwner): void {
+    const stream: EventStream = {
+      res,
+      userId: owner.userId.toString(),
+      sessionId: owner.sessionId.toString(),
+      timers: [],
+    };
+
+    res.write(formatSseRetry(REALTIME.RETRY_MS));
+    res.write(formatSseEvent('ready', { connectedAt: new Date().toISOString() }));
+
+    stream.timers.push(
+      setInterval(() => res.write(formatSseComment('ping')), REALTIME.HEARTBEAT_INTERVAL_MS),
+      setInterval(() => this.checkSession(stream), REALTIME.SESSION_CHECK_INTERVAL_MS)
+    );
+    if (owner.expiresAt) {
+      const remaining = Math.max(0, owner.expiresAt.getTime() - Date.now());
+      stream.timers.push(setTimeout(() => this.close(stream, 'token_expired'), remaining));
+    }
+
+    res.on('close', () => this.remove(stream));
+
+    const userStreams = [...(this.streams.get(stream.userId) || []), stream];
+    this.streams.set(stream.userId, userStreams);
+
+    // Too many tabs open: drop the oldest stream
+    if (userStreams.length > REALTIME.MAX_STREAMS_PER_USER) {
+      this.close(userStreams[0], 'too_many_streams');
+    }
+
+    logger.debug('Event stream opened', { userId: stream.userId, sessionId: stream.sessionId });
+  }
+
+  /**
+   * Push an event to every open stream of the given users
+   */
+  publish(userIds: Array<Types.ObjectId | string>, event: RealtimeEvent, data: unknown): void {
+    const recipients = new Set(userIds.map((id) => id.toString()));
+    if (recipients.size === 0) return;
+
+    const payload = formatSseEvent(event, data, this.nextEventId++);
+    recipients.forEach((userId) => {
+      (this.streams.get(userId) || []).forEach((stream) => stream.res.write(payload));
+    });
+  }
+
+  /**
+   * Close every open stream (graceful shutdown)
+   */
+  closeAll(): void {
+    this.streams.forEach((userStreams) => {
+      [...userStreams].forEach((stream) => this.close(stream, 'server_shutdown'));
+    });
+  }
+
+  /**
+   * Tell the client why its stream is ending and close it
+   */
+  private close(stream: EventStream, reason: string): void {
+    stream.res.write(formatSseEvent('close', { reason }));
+    stream.res.end();
+    this.remove(stream);
+  }
+
+  /**
+   * Stop tracking a stream and clear its timers
+   */
+  private remove(stream: EventStream): void {
+    stream.timers.forEach((timer) => clearInterval(timer));
+    stream.timers = [];
+
+    const remaining = (this.streams.get(stream.userId) || []).filter((item) => item !== stream);
+    if (remaining.length > 0) {
+      this.streams.set(stream.userId, remaining);
+    } else {
+      this.streams.delete(stream.userId);
+    }
+  }
+
+  /**
+   * Close the stream if its session was revoked or has expired
+   */
+  private async checkSession(stream: EventStream): Promise<void> {
+    try {
+      const active = await Session.exists({
+        _id: stream.sessionId,
+        isActive: true,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!active) this.close(stream, 'session_ended');
+    } catch (error) {
+      logger.error('Event stream session check failed', {
+        userId: stream.userId,
+        error: (error as Error).message,
+      });
+    }
+  }
+}
+
+module.exports = new RealtimeService();
+
+export { RealtimeEvent, StreamOwner };
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import { Permission, UserRole } from '../types/models';
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { ROLES } = require('../config/constants');
+const { getBuiltInPermissions, hasAdminAccess, mergePermissions } = require('../utils/roles');
+
+interface CachedRole {
+  permissions: Permission[];
+  expiresAt: number;
+}
+
+// Role permissions by role name; checked on every authenticated request
+const roleCache = new Map<string, CachedRole>();
+
+/**
+ * Forget cached role permissions, after a role is edited or deleted
+ * Other server processes pick up the change once their cache expires.
+ */
+const clearRoleCache = (): void => {
+  roleCache.clear();
+};
+
+/**
+ * Get the permissions bundled in a role
+ * Built-in roles fall back to their seeded permissions until the Role collection is seeded,
+ * and roles that no longer exist grant nothing.
+ * @param role - Role name
+ */
+const getRolePermissions = async (role: UserRole): Promise<Permission[]> => {
+  // Scripts and tests run without a database
+  if (mongoose.connection.readyState !== 1) return getBuiltInPermissions(role);
+
+  const cached = roleCache.get(role);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const stored = await Role.findOne({ name: role }).select('permissions').lean();
+  const permissions: Permission[] = stored ? stored.permissions : getBuiltInPermissions(role);
+
+  roleCache.set(role, { permissions, expiresAt: Date.now() + ROLES.CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Work out a user's effective permissions
+ * @param role - User's role
+ * @param customPermissions - Permissions granted to the user directly
+ * @returns The role's permissions plus the custom ones
+ */
+const getEffectivePermissions = async (
+  role: UserRole,
+  customPermissions: Permission[] = []
+): Promise<Permission[]> => mergePermissions(await getRolePermissions(role), customPermissions);
+
+/**
+ * Check whether a user is an administrator, going by their effective permissions
+ * @param user - User's role and custom permissions
+ */
+const isAdministrator = async (user: {
+  role: UserRole;
+  customPermissions?: Permission[];
+}): Promise<boolean> =>
+  hasAdminAccess(await getEffectivePermissions(user.role, user.customPermissions));
+
+/**
+ * Update the permissions stored on every holder of a role after the role changes
+ * Each user keeps their custom permissions on top of the role's new ones.
+ * @param role - Role name
+ * @param permissions - Role's new permissions
+ * @returns Number of users updated
+ */
+const syncRoleHolders = async (role: UserRole, permissions: Permission[]): Promise<number> => {
+  const result = await User.updateMany({ role }, [
+    {
+      $set: {
+        permissions: { $setUnion: [permissions, { $ifNull: ['$customPermissions', []] }] },
+      },
+    },
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Create the built-in roles if they don't exist yet
+ * Edits admins have made to the user and moderator roles are kept. The admin role
+ * always has every permission, so permissions added in new releases reach admins.
+ */
+const ensureBuiltInRoles = async (): Promise<void> => {
+  for (const [name, permissions] of Object.entries(ROLES.BUILT_IN) as [
+    UserRole,
+    readonly Permission[],
+  ][]) {
+    const displayName = name.charAt(0).toUpperCase() + name.slice(1);
+    await Role.updateOne(
+      { name },
+      name === 'admin'
+        ? {
+            $set: { permissions },
+            $setOnInsert: { name, displayName, isBuiltIn: true },
+          }
+        : { $setOnInsert: { name, displayName, permissions, isBuiltIn: true } },
+      { upsert: true }
+    );
+  }
+
+  await syncRoleHolders('admin', [...ROLES.BUILT_IN.admin]);
+  clearRoleCache();
+  logger.info('Built-in roles ready');
+};
+
+module.exports = {
+  clearRoleCache,
+  getRolePermissions,
+  getEffectivePermissions,
+  isAdministrator,
+  syncRoleHolders,
+  ensureBuiltInRoles,
+};
+
+export {
+  clearRoleCache,
+  getRolePermissions,
+  getEffectivePermissions,
+  isAdministrator,
+  syncRoleHolders,
+  ensureBuiltInRoles,
+};
@@ -1,10 +1,38 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { Types } from 'mongoose';
-import { SessionDocument, IDeviceInfo, UserDocument, SessionRevokedReason } from '../types/models';
+import {
+  SessionDocument,
+  IDeviceInfo,
+  UserDocument,
+  SessionRevokedReason,
+  SessionLoginFlag,
+  ISessionImpersonation,
+} from '../types/models';
 
 const Session = require('../models/Session');
+const User = require('../models/User');
 const logger = require('../utils/logger');
+const { IMPERSONATION } = require('../config/constants');
+const {
+  generateFamilyKey,
+  buildRefreshToken,
+  parseRefreshToken,
+  isFamilyToken,
+  isConcurrentRefresh,
+} = require('../utils/refreshTokens');
+const { isImpersonationOver, getAccessTokenLifetime } = require('../utils/impersonation');
+const {
+  getDeviceLabel,
+  describeDevice,
+  getNetworkPrefix,
+  detectLoginFlags,
+  rememberDevice,
+} = require('../utils/loginAnomalies');
+const { createNotification } = require('./notificationService');
+const { sendSecurityAlertEmail, sendNewSignInEmail } = require('./emailService');
+
+const ACCESS_TOKEN_LIFETIME_SECONDS = 15 * 60;
 
 /**
  * Device info input for session creation
@@ -23,6 +51,7 @@ interface SessionCreationResult {
   sessionId: Types.ObjectId;
   expiresIn: number;
   refreshExpiresIn: number;
+  loginFlags: SessionLoginFlag[];
 }
 
 /**
@@ -30,9 +59,19 @@ interface SessionCreationResult {
  */
 interface SessionRefreshResult {
   accessToken: string;
+  refreshToken: string;
   expiresIn: number;
 }
 
+/**
+ * Who is impersonating the user of a session, and until when
+ */
+interface ImpersonationInfo {
+  by: UserDocument;
+  reason: string;
+  endsAt: Date;
+}
+
 /**
  * Session validation result
  */
@@ -40,15 +79,48 @@ interface SessionValidationResult {
   user: UserDocument;
   sessionId: Types.ObjectId;
   token: string;
+  impersonation: ImpersonationInfo | null;
+}
+
+/**
+ * Options for starting an impersonation session
+ */
+interface ImpersonationOptions {
+  adminId: Types.ObjectId | string;
+  adminSessionId?: Types.ObjectId | string;
+  reason: string;
+  endsAt: Date;
+}
+
+/**
+ * Impersonation session creation result
+ */
+interface ImpersonationSessionResult {
+  accessToken: string;
+  refreshToken: string;
+  sessionId: Types.ObjectId;
+  expiresIn: number;
+  refreshExpiresIn: number;
+}
+
+/**
+ * Result of ending an impersonation session
+ * adminSession holds fresh tokens for the admin's own session, if it's still active
+ */
+interface ImpersonationEndResult {
+  session: SessionDocument;
+  adminSession: SessionRefreshResult | null;
 }
 
 /**
  * JWT payload structure
+ * impersonatedBy is set on tokens for a session an admin started as another user
  */
 interface JwtPayload {
   userId: string;
   type: 'access';
   jti: string;
+  impersonatedBy?: string;
 }
 
 /**
@@ -78,22 +150,33 @@ class SessionService {
 
       // Generate tokens
       const accessToken = this.generateAccessToken(userId);
-      const refreshToken = this.generateRefreshToken();
+      const { sessionId, refreshFamilyKey, refreshToken } = this.startRefreshTokenFamily();
 
       // Calculate expiration
       const expiresAt = new Date(Date.now() + this.refreshTokenExpireDays * 24 * 60 * 60 * 1000);
 
+      const platform = this.extractPlatform(deviceInfo.userAgent);
+      const browser = this.extractBrowser(deviceInfo.userAgent);
+      const loginFlags = await this.checkLoginDevice(userId, platform, browser, deviceInfo.ip);
+
+      // Unfamiliar sign-ins get an alert with a single-use "this wasn't me" link
+      const reportToken = loginFlags.length > 0 ? crypto.randomBytes(32).toString('hex') : null;
+
       // Create session record
       const session = new Session({
+        _id: sessionId,
         userId,
         token: accessToken,
         refreshToken,
+        refreshFamilyKey,
         deviceInfo: {
           userAgent: deviceInfo.userAgent,
           ip: deviceInfo.ip,
-          platform: this.extractPlatform(deviceInfo.userAgent),
-          browser: this.extractBrowser(deviceInfo.userAgent),
+          platform,
+          browser,
         } as IDeviceInfo,
+        loginFlags,
+        reportTokenHash: reportToken ? this.hashReportToken(reportToken) : undefined,
         expiresAt,
       });
 
@@ -106,12 +189,25 @@ class SessionService {
         userAgent: deviceInfo.userAgent,
       });
 
+      if (loginFlags.length > 0) {
+        logger.securityEvent('UNUSUAL_LOGIN', {
+          userId,
+          sessionId: session._id,
+          ip: deviceInfo.ip,
+          userAgent: deviceInfo.userAgent,
+          flags: loginFlags,
+          severity: 'medium',
+        });
+        await this.notifyNewSignIn(session, reportToken as string);
+      }
+
       return {
         accessToken,
         refreshToken,
         sessionId: session._id,
         expiresIn: 15 * 60, // 15 minutes in seconds
         refreshExpiresIn: this.refreshTokenExpireDays * 24 * 60 * 60, // 7 days in seconds
+        loginFlags,
       };
     } catch (error) {
       const err = error as Error;
@@ -120,8 +216,45 @@ class SessionService {
     }
   }
 
+  /**
+   * Compare a login with the devices and networks the user has used before,
+   * then remember this one
+   * Failures here are logged rather than thrown, so they never block a login.
+   */
+  async checkLoginDevice(
+    userId: Types.ObjectId | string,
+    platform: string,
+    browser: string,
+    ip?: string
+  ): Promise<SessionLoginFlag[]> {
+    try {
+      const user: UserDocument | null = await User.findById(userId).select('+knownDevices');
+      if (!user) return [];
+
+      const device = getDeviceLabel(platform, browser);
+      const network = getNetworkPrefix(ip);
+      const knownDevices = user.knownDevices || [];
+      const loginFlags = detectLoginFlags(knownDevices, device, network);
+
+      await User.updateOne(
+        { _id: userId },
+        { $set: { knownDevices: rememberDevice(knownDevices, device, network) } }
+      );
+
+      return loginFlags;
+    } catch (error) {
+      const err = error as Error;
+      logger.error('Login device check failed', { userId, error: err.message });
+      return [];
+    }
+  }
+
   /**
    * Refresh an access token using refresh token
+   * The refresh token is rotated on every use, and each session is one token family:
+   * every token carries the session and the generation it was issued for. Presenting one
+   * from an earlier generation is treated as theft, however long ago it was rotated away,
+   * so the session is revoked and the user alerted.
    */
   async refreshSession(
     refreshToken: string,
@@ -132,24 +265,50 @@ class SessionService {
         refreshToken,
         isActive: true,
         expiresAt: { $gt: new Date() },
-      });
+      }).select('+refreshFamilyKey');
 
       if (!session) {
-        logger.securityEvent('INVALID_REFRESH_TOKEN', {
-          refreshToken: refreshToken.substring(0, 10) + '...',
-          ip: deviceInfo.ip,
-        });
-        throw new Error('Invalid or expired refresh token');
+        return await this.handleUnknownRefreshToken(refreshToken, deviceInfo);
       }
 
-      // Update last activity
-      session.lastActivity = new Date();
-
-      // Generate new access token
-      const newAccessToken = this.generateAccessToken(session.userId);
-      session.token = newAccessToken;
+      // Once an impersonation is over its tokens switch back to the admin's own session
+      if (isImpersonationOver(session.impersonation)) {
+        const ended = await this.endImpersonationSession(refreshToken, deviceInfo);
+        if (ended?.adminSession) {
+          return ended.adminSession;
+        }
+        throw new Error('Impersonation session has ended');
+      }
 
-      await session.save();
+      const newAccessToken = this.issueAccessToken(session);
+      // Sessions from before token families get a key on their first rotation
+      const refreshFamilyKey = session.refreshFamilyKey || generateFamilyKey();
+      const refreshGeneration = (session.refreshGeneration ?? 0) + 1;
+      const newRefreshToken = buildRefreshToken(
+        session._id.toString(),
+        refreshGeneration,
+        refreshFamilyKey
+      );
+
+      // Conditional on the old token so two concurrent refreshes can't both rotate it
+      const result = await Session.updateOne(
+        { _id: session._id, refreshToken, isActive: true },
+        {
+          $set: {
+            token: newAccessToken,
+            refreshToken: newRefreshToken,
+            refreshGeneration,
+            refreshFamilyKey,
+            refreshTokenRotatedAt: new Date(),
+            lastActivity: new Date(),
+          },
+        }
+      );
+
+      if (result.modifiedCount !== 1) {
+        // Another request rotated it first
+        return await this.handleUnknownRefreshToken(refreshToken, deviceInfo);
+      }
 
       logger.sessionEvent('refreshed', {
         userId: session.userId,
@@ -159,7 +318,8 @@ class SessionService {
 
       return {
         accessToken: newAccessToken,
-        expiresIn: 15 * 60, // 15 minutes in seconds
+        refreshToken: newRefreshToken,
+        expiresIn: getAccessTokenLifetime(session.impersonation, ACCESS_TOKEN_LIFETIME_SECONDS),
       };
     } catch (error) {
       const err = error as Error;
@@ -168,6 +328,144 @@ class SessionService {
     }
   }
 
+  /**
+   * Deal with a refresh token that isn't the current one for any active session
+   * A token rotated away moments ago is a concurrent refresh and gets the session's
+   * current tokens; any other rotated token is reuse, which revokes the session
+   */
+  private async handleUnknownRefreshToken(
+    refreshToken: string,
+    deviceInfo: DeviceInfoInput
+  ): Promise<SessionRefreshResult> {
+    const claims = parseRefreshToken(refreshToken);
+    const session: SessionDocument | null = claims
+      ? await Session.findById(claims.sessionId).select('+refreshFamilyKey')
+      : null;
+
+    // Only a genuine token from an earlier generation of the session counts as rotated;
+    // anything else, such as the current token of a session that has ended, is invalid
+    const isRotated =
+      !!session?.refreshFamilyKey &&
+      isFamilyToken(refreshToken, session.refreshFamilyKey) &&
+      claims.generation < session.refreshGeneration;
+
+    if (!session || !isRotated) {
+      logger.securityEvent('INVALID_REFRESH_TOKEN', {
+        refreshToken: refreshToken.substring(0, 10) + '...',
+        ip: deviceInfo.ip,
+      });
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const isLive =
+      session.isActive &&
+      session.expiresAt > new Date() &&
+      !isImpersonationOver(session.impersonation);
+
+    if (isLive && isConcurrentRefresh(session, claims.generation)) {
+      const newAccessToken = this.issueAccessToken(session);
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { token: newAccessToken, lastActivity: new Date() } }
+      );
+
+      logger.sessionEvent('refreshed_concurrently', {
+        userId: session.userId,
+        sessionId: session._id,
+        ip: deviceInfo.ip,
+      });
+
+      return {
+        accessToken: newAccessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: getAccessTokenLifetime(session.impersonation, ACCESS_TOKEN_LIFETIME_SECONDS),
+      };
+    }
+
+    logger.securityEvent('REFRESH_TOKEN_REUSE', {
+      userId: session.userId,
+      sessionId: session._id,
+      sessionActive: isLive,
+      ip: deviceInfo.ip,
+      userAgent: deviceInfo.userAgent,
+    });
+
+    if (isLive) {
+      await session.revoke('security_breach');
+      await this.notifySessionRevokedForReuse(session, deviceInfo);
+    }
+
+    throw new Error('Refresh token reuse detected');
+  }
+
+  /**
+   * Alert a user to a sign-in from a new device or network, by email and in the app.
+   * Failures are logged rather than thrown.
+   */
+  private async notifyNewSignIn(session: SessionDocument, reportToken: string): Promise<void> {
+    const device = describeDevice(session.deviceInfo?.platform, session.deviceInfo?.browser);
+
+    try {
+      await createNotification({
+        recipient: session.userId,
+        type: 'security_alert',
+        link: '/settings',
+        detail: `New sign-in${device ? ` from ${device}` : ''}. If this wasn't you, report it from your active sessions`,
+      });
+
+      const user = await User.findById(session.userId).select('email username');
+      if (user) {
+        await sendNewSignInEmail(user.email, user.username, {
+          device,
+          ip: session.deviceInfo?.ip,
+          signedInAt: session.createdAt,
+          reportToken,
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send new sign-in alert', {
+        userId: session.userId,
+        sessionId: session._id,
+        error: (error as Error).message,
+      });
+    }
+  }
+
+  /**
+   * Tell a user one of their sessions was signed out because its refresh token was
+   * reused. Failures are logged rather than thrown.
+   */
+  private async notifySessionRevokedForReuse(
+    session: SessionDocument,
+    deviceInfo: DeviceInfoInput
+  ): Promise<void> {
+    const device = describeDevice(session.deviceInfo?.platform, session.deviceInfo?.browser);
+    const detail = `We signed out a session${device ? ` (${device})` : ''} because its sign-in token was used twice, which can mean it was stolen`;
+
+    try {
+      await createNotification({
+        recipient: session.userId,
+        type: 'security_alert',
+        link: '/settings',
+        detail,
+      });
+
+      const user = await User.findById(session.userId).select('email username');
+      if (user) {
+        await sendSecurityAlertEmail(user.email, user.username, {
+          title: 'A session was signed out',
+          message: `${detail}. The request came from IP address ${deviceInfo.ip || 'unknown'}.`,
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send session revocation alert', {
+        userId: session.userId,
+        sessionId: session._id,
+        error: (error as Error).message,
+      });
+    }
+  }
+
   /**
    * Validate and get session info from access token
    */
@@ -180,7 +478,9 @@ class SessionService {
         userId: decoded.userId,
         isActive: true,
         expiresAt: { $gt: new Date() },
-      }).populate('userId');
+      })
+        .populate('userId')
+        .populate('impersonation.by', 'username email');
 
       if (!session) {
         logger.securityEvent('INVALID_ACCESS_TOKEN', {
@@ -190,6 +490,23 @@ class SessionService {
         return null;
       }
 
+      const impersonation = session.impersonation;
+      const impersonator = impersonation?.by as unknown as UserDocument | undefined;
+
+      // The token's claim has to agree with the session, either way round
+      if ((impersonator?._id.toString() ?? null) !== (decoded.impersonatedBy ?? null)) {
+        logger.securityEvent('IMPERSONATION_TOKEN_MISMATCH', {
+          userId: decoded.userId,
+          sessionId: session._id,
+          severity: 'high',
+        });
+        return null;
+      }
+
+      if (isImpersonationOver(impersonation)) {
+        return null;
+      }
+
       // Update last activity
       session.lastActivity = new Date();
       await session.save();
@@ -198,6 +515,10 @@ class SessionService {
         user: session.userId as unknown as UserDocument,
         sessionId: session._id as Types.ObjectId,
         token: accessToken,
+        impersonation:
+          impersonation && impersonator
+            ? { by: impersonator, reason: impersonation.reason, endsAt: impersonation.endsAt }
+            : null,
       };
     } catch (error) {
       const err = error as Error & { name?: string };
@@ -208,6 +529,131 @@ class SessionService {
     }
   }
 
+  /**
+   * Start a session for an admin to act as another user
+   * Unlike a login this skips the concurrent session limit and new-device alerts, since
+   * the user isn't the one signing in. The session keeps working for a while after the
+   * impersonation ends only so the admin can still switch back from it.
+   */
+  async createImpersonationSession(
+    userId: Types.ObjectId | string,
+    options: ImpersonationOptions,
+    deviceInfo: DeviceInfoInput = {}
+  ): Promise<ImpersonationSessionResult> {
+    try {
+      const impersonation: ISessionImpersonation = {
+        by: new Types.ObjectId(options.adminId.toString()),
+        reason: options.reason,
+        endsAt: options.endsAt,
+        adminSessionId: options.adminSessionId
+          ? new Types.ObjectId(options.adminSessionId.toString())
+          : null,
+      };
+      const expiresAt = new Date(options.endsAt.getTime() + IMPERSONATION.RETURN_GRACE_MS);
+      const expiresIn = getAccessTokenLifetime(impersonation, ACCESS_TOKEN_LIFETIME_SECONDS);
+
+      const accessToken = this.generateAccessToken(userId, options.adminId, expiresIn);
+      const { sessionId, refreshFamilyKey, refreshToken } = this.startRefreshTokenFamily();
+
+      const session = new Session({
+        _id: sessionId,
+        userId,
+        token: accessToken,
+        refreshToken,
+        refreshFamilyKey,
+        deviceInfo: {
+          userAgent: deviceInfo.userAgent,
+          ip: deviceInfo.ip,
+          platform: this.extractPlatform(deviceInfo.userAgent),
+          browser: this.extractBrowser(deviceInfo.userAgent),
+        } as IDeviceInfo,
+        impersonation,
+        expiresAt,
+      });
+
+      await session.save();
+
+      logger.sessionEvent('impersonation_created', {
+        userId,
+        adminId: options.adminId,
+        sessionId: session._id,
+        ip: deviceInfo.ip,
+        userAgent: deviceInfo.userAgent,
+      });
+
+      return {
+        accessToken,
+        refreshToken,
+        sessionId: session._id,
+        expiresIn,
+        refreshExpiresIn: Math.ceil((expiresAt.getTime() - Date.now()) / 1000),
+      };
+    } catch (error) {
+      const err = error as Error;
+      logger.error('Impersonation session creation failed', {
+        userId,
+        adminId: options.adminId,
+        error: err.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * End an impersonation session, and pick the admin's own session back up if it's
+   * still active
+   * @returns null if the refresh token isn't for an active impersonation session
+   */
+  async endImpersonationSession(
+    refreshToken: string,
+    deviceInfo: DeviceInfoInput = {}
+  ): Promise<ImpersonationEndResult | null> {
+    const session: SessionDocument | null = await Session.findOne({
+      refreshToken,
+      isActive: true,
+      impersonation: { $ne: null },
+    });
+
+    if (!session || !session.impersonation) {
+      return null;
+    }
+
+    const { by: adminId, adminSessionId, endsAt } = session.impersonation;
+    await this.revokeSession(session._id, 'impersonation_ended');
+
+    logger.securityEvent('ADMIN_IMPERSONATION_ENDED', {
+      adminId,
+      targetUserId: session.userId,
+      sessionId: session._id,
+      timedOut: isImpersonationOver(session.impersonation),
+      scheduledEnd: endsAt,
+      ip: deviceInfo.ip,
+      userAgent: deviceInfo.userAgent,
+    });
+
+    const adminSession: SessionDocument | null = adminSessionId
+      ? await Session.findOne({
+          _id: adminSessionId,
+          userId: adminId,
+          isActive: true,
+          expiresAt: { $gt: new Date() },
+        })
+      : null;
+
+    if (!adminSession) {
+      return { session, adminSession: null };
+    }
+
+    try {
+      return {
+        session,
+        adminSession: await this.refreshSession(adminSession.refreshToken, deviceInfo),
+      };
+    } catch {
+      return { session, adminSession: null };
+    }
+  }
+
   /**
    * Revoke a specific session
    */
@@ -233,6 +679,34 @@ class SessionService {
     }
   }
 
+  /**
+   * Revoke all of a user's sessions except one (e.g. the one making an account change)
+   * @returns Number of sessions revoked
+   */
+  async revokeOtherUserSessions(
+    userId: Types.ObjectId | string,
+    keepSessionId: Types.ObjectId | string | undefined,
+    reason: SessionRevokedReason
+  ): Promise<number> {
+    if (!keepSessionId) {
+      return this.revokeAllUserSessions(userId, reason);
+    }
+
+    const result = await Session.updateMany(
+      { userId, isActive: true, _id: { $ne: keepSessionId } },
+      { isActive: false, revokedAt: new Date(), revokedReason: reason }
+    );
+
+    logger.sessionEvent('others_revoked', {
+      userId,
+      keptSessionId: keepSessionId,
+      reason,
+      count: result.modifiedCount,
+    });
+
+    return result.modifiedCount;
+  }
+
   /**
    * Revoke all sessions for a user (useful for password changes)
    */
@@ -276,6 +750,36 @@ class SessionService {
     }
   }
 
+  /**
+   * Name one of a user's active sessions, or clear its name with an empty string
+   * @returns The session, or null if the user has no such active session
+   */
+  async renameSession(
+    userId: Types.ObjectId | string,
+    sessionId: string,
+    name: string
+  ): Promise<SessionDocument | null> {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, userId, isActive: true },
+      name ? { $set: { name } } : { $unset: { name: 1 } },
+      { new: true, runValidators: true }
+    ).select('-token -refreshToken');
+  }
+
+  /**
+   * Find the session a "this wasn't me" link was sent for
+   */
+  async findSessionByReportToken(reportToken: string): Promise<SessionDocument | null> {
+    return Session.findOne({ reportTokenHash: this.hashReportToken(reportToken) });
+  }
+
+  /**
+   * Hash a "this wasn't me" token for storage
+   */
+  hashReportToken(reportToken: string): string {
+    return crypto.createHash('sha256').update(reportToken).digest('hex');
+  }
+
   /**
    * Enforce concurrent session limit
    */
@@ -287,6 +791,7 @@ class SessionService {
       const oldestSession: SessionDocument | null = await Session.findOne({
         userId,
         isActive: true,
+        impersonation: null,
       }).sort({ lastActivity: 1 });
 
       if (oldestSession) {
@@ -318,20 +823,53 @@ class SessionService {
 
   /**
    * Generate secure access token
+   * Tokens for an impersonation session name the admin in an impersonatedBy claim.
    */
-  generateAccessToken(userId: Types.ObjectId | string): string {
+  generateAccessToken(
+    userId: Types.ObjectId | string,
+    impersonatedBy?: Types.ObjectId | string,
+    expiresInSeconds: number = ACCESS_TOKEN_LIFETIME_SECONDS
+  ): string {
     return jwt.sign(
-      { userId, type: 'access', jti: crypto.randomUUID() },
+      {
+        userId,
+        type: 'access',
+        jti: crypto.randomUUID(),
+        ...(impersonatedBy && { impersonatedBy: impersonatedBy.toString() }),
+      },
       process.env.JWT_SECRET as string,
-      { expiresIn: '15m' }
+      { expiresIn: expiresInSeconds }
+    );
+  }
+
+  /**
+   * Generate the next access token for a session, keeping any impersonation claim
+   */
+  private issueAccessToken(session: SessionDocument): string {
+    const { impersonation } = session;
+    return this.generateAccessToken(
+      session.userId,
+      impersonation?.by,
+      getAccessTokenLifetime(impersonation, ACCESS_TOKEN_LIFETIME_SECONDS)
     );
   }
 
   /**
-   * Generate secure refresh token
+   * Start the refresh token family of a new session
+   * @returns The new session's ID and signing key, and its first refresh token
    */
-  generateRefreshToken(): string {
-    return crypto.randomBytes(64).toString('hex');
+  startRefreshTokenFamily(): {
+    sessionId: Types.ObjectId;
+    refreshFamilyKey: string;
+    refreshToken: string;
+  } {
+    const sessionId = new Types.ObjectId();
+    const refreshFamilyKey = generateFamilyKey();
+    return {
+      sessionId,
+      refreshFamilyKey,
+      refreshToken: buildRefreshToken(sessionId.toString(), 0, refreshFamilyKey),
+    };
   }
 
   /**
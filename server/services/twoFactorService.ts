@@ -0,0 +1,256 @@
+import jwt from 'jsonwebtoken';
+import { Types } from 'mongoose';
+import { UserDocument, UserRole } from '../types/models';
+
+const User = require('../models/User');
+const SiteSettings = require('../models/SiteSettings');
+const { TWO_FACTOR } = require('../config/constants');
+const { isInTwoFactorGroup } = require('../utils/roles');
+const { getEffectivePermissions } = require('./roleService');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require('../utils/totp');
+
+type UserId = Types.ObjectId | string;
+
+// Fields holding two-factor secrets, which are excluded from queries by default
+const SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Second factor submitted during login or to confirm a sensitive change
+ */
+interface SecondFactorInput {
+  code?: string;
+  recoveryCode?: string;
+}
+
+/**
+ * Result of a successful second-factor check
+ */
+interface SecondFactorResult {
+  method: 'totp' | 'recovery_code';
+  remainingRecoveryCodes: number;
+}
+
+/**
+ * Payload of the short-lived token issued between the password and code steps of login
+ */
+interface ChallengePayload {
+  userId: string;
+  type: '2fa_challenge';
+}
+
+/**
+ * Issue a challenge token proving the password step of login succeeded
+ * @param userId - User who passed the password check
+ * @returns Signed token, valid for TWO_FACTOR.CHALLENGE_EXPIRY
+ */
+const createChallengeToken = (userId: UserId): string =>
+  jwt.sign({ userId: userId.toString(), type: '2fa_challenge' }, process.env.JWT_SECRET as string, {
+    expiresIn: TWO_FACTOR.CHALLENGE_EXPIRY,
+  });
+
+/**
+ * Read the user from a login challenge token
+ * @param token - Token from createChallengeToken
+ * @returns User ID, or null if the token is invalid, expired or of another type
+ */
+const verifyChallengeToken = (token: string): string | null => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET as string) as ChallengePayload;
+    return payload.type === '2fa_challenge' ? payload.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the groups (admin, moderator) whose members must use two-factor authentication
+ */
+const getRequiredRoles = async (): Promise<UserRole[]> => {
+  const settings = await SiteSettings.getSettings();
+  return settings.twoFactorRequiredRoles;
+};
+
+/**
+ * Check whether a user must use two-factor authentication
+ * Goes by the user's effective permissions, so custom roles and custom permissions that
+ * grant admin or moderation access are covered like the built-in roles
+ * @param user - User to check
+ */
+const isTwoFactorRequired = async (
+  user: Pick<UserDocument, 'role' | 'customPermissions'>
+): Promise<boolean> => {
+  const groups = await getRequiredRoles();
+  if (!groups.length) return false;
+  return isInTwoFactorGroup(
+    groups,
+    await getEffectivePermissions(user.role, user.customPermissions)
+  );
+};
+
+/**
+ * Start (or restart) enrollment by generating a new secret for the user to confirm
+ * The secret only takes effect once confirmEnrollment accepts a code from it
+ * @param user - User enrolling
+ * @returns Base32 secret and the otpauth:// URI to show as a QR code
+ */
+const startEnrollment = async (
+  user: Pick<UserDocument, '_id' | 'email'>
+): Promise<{ secret: string; otpauthUri: string }> => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+};
+
+/**
+ * Confirm enrollment with a code from the pending secret and turn two-factor on
+ * @param userId - User enrolling
+ * @param code - Code from the authenticator app
+ * @returns One-time recovery codes (shown once), or null if there is no pending
+ *   secret or the code is wrong
+ */
+const confirmEnrollment = async (userId: UserId, code: string): Promise<string[] | null> => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyCode(pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+      $unset: { 'twoFactor.pendingSecret': '' },
+    }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or consume a recovery code for a user with two-factor enabled
+ * Accepted codes can't be reused: TOTP steps are recorded and recovery codes removed,
+ * both atomically so concurrent requests can't use the same code twice
+ * @param userId - User to check
+ * @param input - Code from the authenticator app, or a recovery code
+ * @returns How the user verified, or null if verification failed
+ */
+const verifySecondFactor = async (
+  userId: UserId,
+  input: SecondFactorInput
+): Promise<SecondFactorResult | null> => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const recoveryCodes: string[] = user.twoFactor.recoveryCodes || [];
+
+  if (input.code) {
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? null;
+    const step = verifyCode(user.twoFactor.secret, input.code, lastUsedStep);
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': lastUsedStep },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    return { method: 'totp', remainingRecoveryCodes: recoveryCodes.length };
+  }
+
+  if (input.recoveryCode) {
+    const hash = hashRecoveryCode(input.recoveryCode);
+    if (!recoveryCodes.includes(hash)) return null;
+
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    return { method: 'recovery_code', remainingRecoveryCodes: recoveryCodes.length - 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param userId - User with two-factor enabled
+ * @returns The new codes (shown once)
+ */
+const regenerateRecoveryCodes = async (userId: UserId): Promise<string[]> => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off and discard the secret and recovery codes
+ * @param userId - User to update
+ */
+const disableTwoFactor = async (userId: UserId): Promise<void> => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.recoveryCodes': '',
+        'twoFactor.lastUsedStep': '',
+      },
+    }
+  );
+};
+
+/**
+ * Count a user's unused recovery codes
+ * @param userId - User to check
+ */
+const countRecoveryCodes = async (userId: UserId): Promise<number> => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+module.exports = {
+  createChallengeToken,
+  verifyChallengeToken,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes,
+};
+
+export {
+  createChallengeToken,
+  verifyChallengeToken,
+  getRequiredRoles,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes,
+};
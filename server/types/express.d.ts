@@ -36,6 +36,21 @@ declare global {
        * Session ID from JWT payload
        */
       sessionId?: string;
+
+      /**
+       * Personal access token ID, when the request was authenticated with one
+       */
+      accessTokenId?: Types.ObjectId;
+
+      /**
+       * Admin acting as the user, when the session is an impersonation session
+       */
+      impersonator?: RequestUser;
+
+      /**
+       * When the impersonation session ends
+       */
+      impersonationEndsAt?: Date;
     }
   }
 }
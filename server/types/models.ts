@@ -4,7 +4,11 @@ import { Document, Model, Types } from 'mongoose';
 // Enums and Union Types
 // ============================================================================
 
-export type UserRole = 'user' | 'moderator' | 'admin';
+// Roles seeded on startup; admins can add their own alongside them
+export type BuiltInRole = 'user' | 'moderator' | 'admin';
+
+// Name of a Role document
+export type UserRole = BuiltInRole | string;
 
 export type Permission =
   // User management
@@ -29,6 +33,7 @@ export type Permission =
   | 'admin.users'
   | 'admin.analytics'
   | 'admin.system'
+  | 'admin.impersonate'
   // Moderation
   | 'moderate.content'
   | 'moderate.users'
@@ -44,13 +49,35 @@ export type CollaboratorStatus = 'pending' | 'accepted' | 'rejected';
 
 export type IncentiveType = 'monetary' | 'equity' | 'recognition' | 'learning' | 'other';
 
+export type TaskStatus = 'todo' | 'in_progress' | 'review' | 'done';
+
+export type TaskPriority = 'low' | 'medium' | 'high' | 'urgent';
+
+export type NotificationType =
+  | 'collaboration_request'
+  | 'collaboration_accepted'
+  | 'collaboration_rejected'
+  | 'comment'
+  | 'comment_reply'
+  | 'mention'
+  | 'message'
+  | 'security_alert'
+  | 'report_update'
+  | 'moderation_warning';
+
 export type SessionRevokedReason =
   | 'logout'
   | 'password_change'
   | 'admin_revoke'
   | 'security_breach'
   | 'expired'
-  | 'concurrent_limit';
+  | 'concurrent_limit'
+  | 'email_change'
+  | 'reported_by_user'
+  | 'account_deletion'
+  | 'impersonation_ended';
+
+export type SessionLoginFlag = 'new_device' | 'new_location';
 
 // ============================================================================
 // User Model Types
@@ -68,15 +95,44 @@ export interface ISocialLinks {
   website?: string;
 }
 
+export interface ITwoFactor {
+  enabled: boolean;
+  secret?: string;
+  pendingSecret?: string;
+  recoveryCodes: string[];
+  lastUsedStep?: number | null;
+  enabledAt?: Date | null;
+}
+
+export interface IGitHubAccount {
+  id?: string;
+  username?: string;
+  linkedAt?: Date;
+}
+
+// Where the user has logged in from before; used to flag unfamiliar logins
+export interface IKnownDevice {
+  device: string;
+  network: string;
+  firstSeenAt: Date;
+  lastSeenAt: Date;
+}
+
 export interface IUser {
   email: string;
   password: string;
+  hasPassword: boolean;
   username: string;
   isEmailVerified: boolean;
   emailVerificationToken?: string;
   emailVerificationExpires?: Date;
+  pendingEmail?: string;
+  pendingEmailSessionId?: Types.ObjectId;
   passwordResetToken?: string;
   passwordResetExpires?: Date;
+  magicLinkToken?: string;
+  magicLinkExpires?: Date;
+  magicLinkBrowserHash?: string;
   firstName?: string;
   lastName?: string;
   bio?: string;
@@ -88,29 +144,45 @@ export interface IUser {
   portfolioLinks: IPortfolioLink[];
   socialLinks: ISocialLinks;
   profileImage?: string;
+  github?: IGitHubAccount;
   isProfilePublic: boolean;
+  isProfileHidden: boolean;
+  profileHiddenAt?: Date | null;
+  blockedUsers: Types.ObjectId[];
+  mutedUsers: Types.ObjectId[];
+  twoFactor: ITwoFactor;
+  knownDevices: IKnownDevice[];
+  passwordResetRequired: boolean;
+  passwordHistory?: string[];
   role: UserRole;
+  // Granted on top of the role's permissions
+  customPermissions: Permission[];
+  // Effective permissions: the role's plus customPermissions
   permissions: Permission[];
   isActive: boolean;
   isSuspended: boolean;
   suspendedUntil?: Date;
   suspensionReason?: string;
+  deletionRequestedAt?: Date | null;
+  deletionScheduledFor?: Date | null;
+  deletedAt?: Date | null;
   createdAt: Date;
   updatedAt: Date;
 }
 
 export interface IUserMethods {
   comparePassword(candidatePassword: string): Promise<boolean>;
+  isRecentPassword(candidatePassword: string): Promise<boolean>;
   generateEmailVerificationToken(): string;
   generatePasswordResetToken(): string;
   clearPasswordResetToken(): void;
+  generateMagicLinkToken(browserNonce: string): string;
   hasRole(role: UserRole): boolean;
   hasPermission(permission: Permission): boolean;
   hasAnyPermission(permissions: Permission[]): boolean;
   addPermission(permission: Permission): this;
   removePermission(permission: Permission): this;
   setRole(role: UserRole): this;
-  getDefaultPermissionsForRole(role: UserRole): Permission[];
   isAdmin(): boolean;
   isModerator(): boolean;
   canManageUsers(): boolean;
@@ -127,6 +199,13 @@ export type UserModel = Model<IUser, object, IUserMethods>;
 // Project Model Types
 // ============================================================================
 
+// Completion rolled up from the project's milestones
+export interface IProjectProgress {
+  percent: number;
+  milestonesTotal: number;
+  milestonesCompleted: number;
+}
+
 export interface ICollaborator {
   userId: Types.ObjectId;
   status: CollaboratorStatus;
@@ -162,6 +241,12 @@ export interface IProject {
   collaborators: ICollaborator[];
   resources: IResource[];
   incentives: IIncentives;
+  progress: IProjectProgress;
+  isArchived: boolean;
+  archivedAt?: Date | null;
+  isHidden: boolean;
+  hiddenAt?: Date | null;
+  hiddenBy?: Types.ObjectId | null;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -187,6 +272,17 @@ export interface ILocation {
   timezone?: string;
 }
 
+/**
+ * Marks a session an admin started to act as its user
+ */
+export interface ISessionImpersonation {
+  by: Types.ObjectId;
+  reason: string;
+  endsAt: Date;
+  // The admin's own session, which they return to afterwards
+  adminSessionId?: Types.ObjectId | null;
+}
+
 export interface ISession {
   userId: Types.ObjectId;
   token: string;
@@ -194,8 +290,15 @@ export interface ISession {
   isActive: boolean;
   deviceInfo: IDeviceInfo;
   location: ILocation;
+  loginFlags: SessionLoginFlag[];
+  name?: string;
+  reportTokenHash?: string;
   lastActivity: Date;
   expiresAt: Date;
+  refreshGeneration: number;
+  refreshFamilyKey?: string;
+  refreshTokenRotatedAt?: Date | null;
+  impersonation?: ISessionImpersonation | null;
   revokedAt?: Date;
   revokedReason?: SessionRevokedReason;
   createdAt: Date;
@@ -215,7 +318,9 @@ export interface ISessionStatics {
   getActiveSessionCount(userId: Types.ObjectId): Promise<number>;
 }
 
-export type SessionDocument = Document<Types.ObjectId, object, ISession> & ISession & ISessionMethods;
+export type SessionDocument = Document<Types.ObjectId, object, ISession> &
+  ISession &
+  ISessionMethods;
 
 export type SessionModel = Model<ISession, object, ISessionMethods> & ISessionStatics;
 
@@ -227,6 +332,15 @@ export interface IComment {
   projectId: Types.ObjectId;
   userId: Types.ObjectId;
   content: string;
+  parentId: Types.ObjectId | null;
+  mentions: Types.ObjectId[];
+  depth: number;
+  replyCount: number;
+  isDeleted: boolean;
+  deletedAt?: Date;
+  isHidden: boolean;
+  hiddenAt?: Date | null;
+  hiddenBy?: Types.ObjectId | null;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -235,17 +349,78 @@ export type CommentDocument = Document<Types.ObjectId, object, IComment> & IComm
 
 export type CommentModel = Model<IComment>;
 
+// ============================================================================
+// Task Model Types
+// ============================================================================
+
+export interface ITask {
+  projectId: Types.ObjectId;
+  title: string;
+  description?: string;
+  assignee?: Types.ObjectId | null;
+  milestone?: Types.ObjectId | null;
+  labels: string[];
+  dueDate?: Date | null;
+  priority: TaskPriority;
+  status: TaskStatus;
+  position: number;
+  createdBy: Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type TaskDocument = Document<Types.ObjectId, object, ITask> & ITask;
+
+export type TaskModel = Model<ITask>;
+
+// ============================================================================
+// Milestone Model Types
+// ============================================================================
+
+export interface IChecklistItem {
+  _id?: Types.ObjectId;
+  text: string;
+  done: boolean;
+}
+
+export interface IMilestone {
+  projectId: Types.ObjectId;
+  title: string;
+  description?: string;
+  targetDate?: Date | null;
+  checklist: IChecklistItem[];
+  createdBy: Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface IMilestoneStatics {
+  getTaskCounts(
+    projectId: Types.ObjectId | string
+  ): Promise<Map<string, { total: number; done: number }>>;
+  recalculateProjectProgress(projectId: Types.ObjectId | string): Promise<IProjectProgress>;
+}
+
+export type MilestoneDocument = Document<Types.ObjectId, object, IMilestone> & IMilestone;
+
+export type MilestoneModel = Model<IMilestone> & IMilestoneStatics;
+
 // ============================================================================
 // Message Model Types
 // ============================================================================
 
 export interface IMessage {
+  conversation?: Types.ObjectId;
   sender: Types.ObjectId;
   recipient: Types.ObjectId;
-  subject: string;
+  subject?: string;
   content: string;
+  mentions: Types.ObjectId[];
   isRead: boolean;
   readAt?: Date;
+  isHidden: boolean;
+  hiddenAt?: Date | null;
+  hiddenBy?: Types.ObjectId | null;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -254,6 +429,211 @@ export type MessageDocument = Document<Types.ObjectId, object, IMessage> & IMess
 
 export type MessageModel = Model<IMessage>;
 
+// ============================================================================
+// Conversation Model Types
+// ============================================================================
+
+export interface IConversationPreview {
+  content: string;
+  sender: Types.ObjectId;
+  createdAt: Date;
+}
+
+export interface IConversation {
+  participants: Types.ObjectId[];
+  participantKey: string;
+  lastMessage?: IConversationPreview | null;
+  lastMessageAt?: Date | null;
+  unreadCounts: Map<string, number>;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type ConversationDocument = Document<Types.ObjectId, object, IConversation> & IConversation;
+
+export type ConversationModel = Model<IConversation>;
+
+// ============================================================================
+// Notification Model Types
+// ============================================================================
+
+export interface INotification {
+  recipient: Types.ObjectId;
+  actor?: Types.ObjectId | null;
+  type: NotificationType;
+  message: string;
+  link: string;
+  projectId?: Types.ObjectId | null;
+  isRead: boolean;
+  readAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type NotificationDocument = Document<Types.ObjectId, object, INotification> & INotification;
+
+export type NotificationModel = Model<INotification>;
+
+// ============================================================================
+// Site Settings Model Types
+// ============================================================================
+
+export interface ISiteSettings {
+  key: string;
+  twoFactorRequiredRoles: UserRole[];
+  updatedBy?: Types.ObjectId | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type SiteSettingsDocument = Document<Types.ObjectId, object, ISiteSettings> & ISiteSettings;
+
+export interface SiteSettingsModel extends Model<ISiteSettings> {
+  getSettings(): Promise<SiteSettingsDocument>;
+}
+
+// ============================================================================
+// Access Token Model Types
+// ============================================================================
+
+export interface IAccessToken {
+  userId: Types.ObjectId;
+  name: string;
+  tokenHash: string;
+  tokenPrefix: string;
+  scopes: Permission[];
+  expiresAt?: Date | null;
+  lastUsedAt?: Date | null;
+  lastUsedIp?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type AccessTokenDocument = Document<Types.ObjectId, object, IAccessToken> & IAccessToken;
+
+export type AccessTokenModel = Model<IAccessToken>;
+
+// ============================================================================
+// Login Throttle Model Types
+// ============================================================================
+
+export type LoginThrottleKind = 'account' | 'ip';
+
+export interface ILoginThrottle {
+  key: string;
+  kind: LoginThrottleKind;
+  failures: number;
+  lastFailureAt?: Date | null;
+  nextAttemptAt?: Date | null;
+  lockedUntil?: Date | null;
+  lockCount: number;
+  unlockTokenHash?: string | null;
+  expiresAt: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type LoginThrottleDocument = Document<Types.ObjectId, object, ILoginThrottle> &
+  ILoginThrottle;
+
+export type LoginThrottleModel = Model<ILoginThrottle>;
+
+// ============================================================================
+// Report Model Types
+// ============================================================================
+
+export type ReportTargetType = 'project' | 'comment' | 'message' | 'user';
+
+export type ReportReason =
+  | 'spam'
+  | 'harassment'
+  | 'hate_speech'
+  | 'inappropriate'
+  | 'impersonation'
+  | 'other';
+
+export type ReportStatus = 'open' | 'claimed' | 'escalated' | 'resolved' | 'dismissed';
+
+export type ReportAction = 'claim' | 'dismiss' | 'hide' | 'warn' | 'escalate' | 'suspend';
+
+export type ReportResolution = 'dismissed' | 'content_hidden' | 'user_warned' | 'user_suspended';
+
+export interface IReportHistoryEntry {
+  action: ReportAction;
+  by: Types.ObjectId;
+  note?: string;
+  at: Date;
+}
+
+export interface IReport {
+  reporter: Types.ObjectId;
+  targetType: ReportTargetType;
+  targetId: Types.ObjectId;
+  targetOwner: Types.ObjectId;
+  projectId?: Types.ObjectId | null;
+  reason: ReportReason;
+  details?: string;
+  contentSnapshot: string;
+  status: ReportStatus;
+  assignedTo?: Types.ObjectId | null;
+  resolution?: ReportResolution | null;
+  resolvedBy?: Types.ObjectId | null;
+  resolvedAt?: Date | null;
+  history: IReportHistoryEntry[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type ReportDocument = Document<Types.ObjectId, object, IReport> & IReport;
+
+export type ReportModel = Model<IReport>;
+
+// ============================================================================
+// Role Model Types
+// ============================================================================
+
+export interface IRole {
+  _id: Types.ObjectId;
+  name: UserRole;
+  displayName: string;
+  description: string;
+  permissions: Permission[];
+  isBuiltIn: boolean;
+  createdBy: Types.ObjectId | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type RoleDocument = Document<Types.ObjectId, object, IRole> & IRole;
+
+export type RoleModel = Model<IRole>;
+
+// ============================================================================
+// Audit Log Model Types
+// ============================================================================
+
+export type AuditLogType = 'admin' | 'auth' | 'session' | 'security' | 'moderation';
+
+export type AuditLogSeverity = 'low' | 'medium' | 'high';
+
+export interface IAuditLog {
+  type: AuditLogType;
+  event: string;
+  severity: AuditLogSeverity;
+  actor?: Types.ObjectId | null;
+  actorEmail?: string;
+  target?: Types.ObjectId | null;
+  targetEmail?: string;
+  ip?: string;
+  userAgent?: string;
+  details: Record<string, unknown>;
+  createdAt: Date;
+}
+
+export type AuditLogDocument = Document<Types.ObjectId, object, IAuditLog> & IAuditLog;
+
+export type AuditLogModel = Model<IAuditLog>;
+
 // ============================================================================
 // Populated Types (for when refs are populated)
 // ============================================================================
@@ -0,0 +1,122 @@
+/**
+ * Access token utility
+ * Generating and hashing personal access tokens, and working out which scope a request needs
+ */
+
+import crypto from 'crypto';
+import { Permission } from '../types/models';
+
+const { ACCESS_TOKENS, PERMISSIONS } = require('../config/constants');
+
+/**
+ * Generate a new personal access token
+ * @returns Token string, e.g. ccp_<43 url-safe characters>
+ */
+const generateAccessToken = (): string =>
+  `${ACCESS_TOKENS.PREFIX}${crypto.randomBytes(ACCESS_TOKENS.TOKEN_BYTES).toString('base64url')}`;
+
+/**
+ * Check whether a bearer token is a personal access token rather than a session JWT
+ * @param token - Token from the Authorization header
+ * @returns True if the token has the access token prefix
+ */
+const isAccessToken = (token: string | undefined | null): boolean =>
+  typeof token === 'string' && token.startsWith(ACCESS_TOKENS.PREFIX);
+
+/**
+ * Hash a token for storage and lookup
+ * Tokens are random and high-entropy, so a fast hash is sufficient
+ * @param token - Personal access token
+ * @returns SHA-256 hex digest
+ */
+const hashAccessToken = (token: string): string =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Get the part of a token shown in lists, so users can tell their tokens apart
+ * @param token - Personal access token
+ * @returns Prefix plus the first few random characters
+ */
+const getTokenPrefix = (token: string): string => token.slice(0, ACCESS_TOKENS.PREFIX.length + 6);
+
+/**
+ * Get the scopes a user may put on a token: the self-service scopes plus any
+ * other permission the user holds
+ * @param userPermissions - Permissions the user currently has
+ * @returns Grantable scopes, in the order of PERMISSIONS
+ */
+const getGrantableScopes = (userPermissions: Permission[] = []): Permission[] =>
+  (PERMISSIONS as readonly Permission[]).filter(
+    (permission) =>
+      (ACCESS_TOKENS.SELF_SERVICE_SCOPES as readonly Permission[]).includes(permission) ||
+      userPermissions.includes(permission)
+  );
+
+/**
+ * Map an HTTP method to the read/create/update/delete permission for a resource
+ * @param resource - Permission prefix, e.g. 'projects'
+ * @param method - HTTP method
+ * @param isCollection - Whether the request targets the collection itself (POST there creates)
+ * @returns Permission
+ */
+const crudPermission = (resource: string, method: string, isCollection: boolean): Permission => {
+  if (method === 'GET' || method === 'HEAD') return `${resource}.read` as Permission;
+  if (method === 'DELETE') return `${resource}.delete` as Permission;
+  if (method === 'POST' && isCollection) return `${resource}.create` as Permission;
+  return `${resource}.update` as Permission;
+};
+
+/**
+ * Work out which scope a personal access token needs for a request
+ * Account management (/api/auth), notifications, conversations and the event stream
+ * need a signed-in session, so tokens can't be used there
+ * @param method - HTTP method
+ * @param url - Request URL (query string is ignored)
+ * @returns Required scope, or null if tokens may not call this endpoint
+ */
+const getRequiredScope = (method: string, url: string): Permission | null => {
+  const verb = method.toUpperCase();
+  const segments = url.split('?')[0].split('/').filter(Boolean);
+  if (segments[0] !== 'api') return null;
+
+  const [, area, id, child] = segments;
+
+  switch (area) {
+    case 'projects':
+      if (child === 'comments') {
+        return crudPermission('comments', verb, segments.length === 4);
+      }
+      // Tasks, milestones and collaborators are part of the project
+      if (child) {
+        return verb === 'GET' || verb === 'HEAD' ? 'projects.read' : 'projects.update';
+      }
+      return crudPermission('projects', verb, !id);
+    case 'users':
+      return verb === 'GET' || verb === 'HEAD' ? 'users.read' : 'users.update';
+    case 'admin':
+      if (id === 'dashboard') return 'admin.dashboard';
+      if (id === 'users') return 'admin.users';
+      if (id === 'analytics') return 'admin.analytics';
+      return 'admin.system';
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  generateAccessToken,
+  isAccessToken,
+  hashAccessToken,
+  getTokenPrefix,
+  getGrantableScopes,
+  getRequiredScope,
+};
+
+export {
+  generateAccessToken,
+  isAccessToken,
+  hashAccessToken,
+  getTokenPrefix,
+  getGrantableScopes,
+  getRequiredScope,
+};
@@ -0,0 +1,116 @@
+/**
+ * Account deletion and data export helpers
+ */
+
+import { Types } from 'mongoose';
+
+const { ACCOUNT_DELETION } = require('../config/constants');
+
+// Bumped whenever the shape of the export changes
+const DATA_EXPORT_VERSION = 1;
+
+// Fields never included in a user's own data export
+const EXPORT_OMITTED_USER_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'magicLinkToken',
+  'magicLinkExpires',
+  'magicLinkBrowserHash',
+  'pendingEmailSessionId',
+  'twoFactor',
+  '__v',
+];
+
+/**
+ * Minimal collaborator shape needed to pick a new project owner
+ */
+interface CollaboratorEntry {
+  userId: Types.ObjectId | { toString(): string };
+  status: string;
+}
+
+/**
+ * Records gathered for a data export
+ */
+interface DataExportSource {
+  user: Record<string, unknown>;
+  projects: unknown[];
+  comments: unknown[];
+  messages: unknown[];
+  sessions: unknown[];
+}
+
+/**
+ * When an account asked to be deleted now will actually be deleted
+ * @param requestedAt - When deletion was requested
+ * @returns End of the grace period
+ */
+const getDeletionDate = (requestedAt: Date = new Date()): Date =>
+  new Date(requestedAt.getTime() + ACCOUNT_DELETION.GRACE_PERIOD_MS);
+
+/**
+ * Pick who takes over a project when its owner deletes their account
+ * The longest-standing accepted collaborator is chosen, since collaborators are
+ * kept in the order they joined.
+ * @param collaborators - Project collaborators
+ * @param leavingUserId - Owner being deleted
+ * @returns New owner's ID, or null if the project should be archived instead
+ */
+const pickProjectSuccessor = (
+  collaborators: CollaboratorEntry[],
+  leavingUserId: Types.ObjectId | string
+): string | null => {
+  const successor = collaborators.find(
+    (collab) =>
+      collab.status === 'accepted' && collab.userId.toString() !== leavingUserId.toString()
+  );
+  return successor ? successor.userId.toString() : null;
+};
+
+/**
+ * Placeholder identity for an anonymized account
+ * Both are derived from the user ID so they stay unique, and the email uses a
+ * reserved domain so nothing can ever be delivered to it.
+ * @param userId - Account being anonymized
+ */
+const getAnonymizedIdentity = (
+  userId: Types.ObjectId | string
+): { username: string; email: string } => ({
+  username: `deleted_${userId}`,
+  email: `deleted-${userId}@deleted.invalid`,
+});
+
+/**
+ * Assemble a user's data export
+ * @param source - Records belonging to the user
+ * @param exportedAt - When the export was made
+ * @returns Export document, safe to hand to the user
+ */
+const buildDataExport = (source: DataExportSource, exportedAt: Date = new Date()) => {
+  const profile = Object.fromEntries(
+    Object.entries(source.user).filter(([field]) => !EXPORT_OMITTED_USER_FIELDS.includes(field))
+  );
+
+  return {
+    exportVersion: DATA_EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    profile,
+    projects: source.projects,
+    comments: source.comments,
+    messages: source.messages,
+    sessions: source.sessions,
+  };
+};
+
+module.exports = {
+  getDeletionDate,
+  pickProjectSuccessor,
+  getAnonymizedIdentity,
+  buildDataExport,
+};
+
+export { getDeletionDate, pickProjectSuccessor, getAnonymizedIdentity, buildDataExport };
@@ -0,0 +1,269 @@
+/**
+ * Audit log helpers
+ * Turn logger calls into audit log entries, parse the admin log viewer's
+ * filters and render entries as CSV
+ */
+
+import { Types } from 'mongoose';
+import { AuditLogSeverity, AuditLogType } from '../types/models';
+
+const { AUDIT_LOG } = require('../config/constants');
+const { escapeRegex, parseListParam } = require('./queryFilters');
+
+/**
+ * Audit log entry ready to be saved
+ */
+interface AuditEntry {
+  type: AuditLogType;
+  event: string;
+  severity: AuditLogSeverity;
+  actor: Types.ObjectId | null;
+  actorEmail?: string;
+  target: Types.ObjectId | null;
+  targetEmail?: string;
+  ip?: string;
+  userAgent?: string;
+  details: Record<string, unknown>;
+}
+
+/**
+ * Query string filters accepted by the log viewer
+ */
+interface AuditLogQuery {
+  type?: unknown;
+  severity?: unknown;
+  event?: unknown;
+  actor?: unknown;
+  target?: unknown;
+  from?: unknown;
+  to?: unknown;
+}
+
+/**
+ * Parsed filter, or the reason the query was rejected
+ */
+type AuditLogFilterResult =
+  | { filter: Record<string, unknown>; error?: undefined }
+  | { filter?: undefined; error: string };
+
+/**
+ * Audit log entry as read back for export
+ */
+interface AuditLogRow {
+  createdAt: Date;
+  type: string;
+  event: string;
+  severity: string;
+  actor?: Types.ObjectId | { toString(): string } | null;
+  actorEmail?: string;
+  target?: Types.ObjectId | { toString(): string } | null;
+  targetEmail?: string;
+  ip?: string;
+  userAgent?: string;
+  details?: Record<string, unknown>;
+}
+
+// Logger fields that get their own audit log column rather than going into details
+const LIFTED_FIELDS = [
+  'severity',
+  'adminId',
+  'adminEmail',
+  'userId',
+  'email',
+  'targetUserId',
+  'targetUserEmail',
+  'ip',
+  'userAgent',
+  'event',
+  'timestamp',
+];
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'type',
+  'event',
+  'severity',
+  'actor',
+  'actorEmail',
+  'target',
+  'targetEmail',
+  'ip',
+  'userAgent',
+  'details',
+];
+
+// Stricter than ObjectId.isValid, which also accepts any 12-character string
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const toObjectId = (value: unknown): Types.ObjectId | null =>
+  value && OBJECT_ID_PATTERN.test(String(value)) ? new Types.ObjectId(String(value)) : null;
+
+const toOptionalString = (value: unknown): string | undefined =>
+  typeof value === 'string' && value.length > 0 ? value : undefined;
+
+/**
+ * Work out which kind of audit entry a logger event is from its prefix
+ * @param event - Event name, e.g. ADMIN_USER_SUSPENDED or SESSION_REVOKED
+ * @returns Audit log type
+ */
+const getAuditLogType = (event: string): AuditLogType => {
+  if (event.startsWith('ADMIN_')) return 'admin';
+  if (event.startsWith('AUTH_')) return 'auth';
+  if (event.startsWith('SESSION_')) return 'session';
+  if (event.startsWith('MODERATION_')) return 'moderation';
+  return 'security';
+};
+
+/**
+ * Build an audit log entry from a security event passed to the logger
+ * Admin actions name the admin as `adminId` and the affected user as
+ * `targetUserId`; other events name the user they concern as `userId`.
+ * @param event - Event name
+ * @param meta - Details passed to the logger
+ * @returns Entry to save
+ */
+const buildAuditEntry = (event: string, meta: Record<string, unknown> = {}): AuditEntry => {
+  const details = Object.fromEntries(
+    Object.entries(meta).filter(([field]) => !LIFTED_FIELDS.includes(field))
+  );
+
+  const severity = AUDIT_LOG.SEVERITIES.includes(meta.severity)
+    ? (meta.severity as AuditLogSeverity)
+    : 'medium';
+
+  return {
+    type: getAuditLogType(event),
+    event,
+    severity,
+    actor: toObjectId(meta.adminId ?? meta.userId),
+    actorEmail: toOptionalString(meta.adminEmail ?? meta.email),
+    target: toObjectId(meta.targetUserId),
+    targetEmail: toOptionalString(meta.targetUserEmail),
+    ip: toOptionalString(meta.ip),
+    userAgent: toOptionalString(meta.userAgent),
+    details,
+  };
+};
+
+/**
+ * Match a user by ID, or by email if the value isn't an ID
+ */
+const buildUserCondition = (
+  value: string,
+  idField: string,
+  emailField: string
+): Record<string, unknown> =>
+  OBJECT_ID_PATTERN.test(value)
+    ? { [idField]: new Types.ObjectId(value) }
+    : { [emailField]: value.trim().toLowerCase() };
+
+const parseDate = (raw: unknown): Date | null | undefined => {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const date = new Date(String(raw));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turn the log viewer's query string into a MongoDB filter
+ * @param query - Request query
+ * @returns Filter, or an error message for an invalid query
+ */
+const buildAuditLogFilter = (query: AuditLogQuery): AuditLogFilterResult => {
+  const filter: Record<string, unknown> = {};
+
+  const types: string[] = parseListParam(query.type);
+  if (types.some((type) => !AUDIT_LOG.TYPES.includes(type))) {
+    return { error: `Type must be one of: ${AUDIT_LOG.TYPES.join(', ')}` };
+  }
+  if (types.length > 0) filter.type = { $in: types };
+
+  const severities: string[] = parseListParam(query.severity);
+  if (severities.some((severity) => !AUDIT_LOG.SEVERITIES.includes(severity))) {
+    return { error: `Severity must be one of: ${AUDIT_LOG.SEVERITIES.join(', ')}` };
+  }
+  if (severities.length > 0) filter.severity = { $in: severities };
+
+  if (typeof query.event === 'string' && query.event.trim()) {
+    filter.event = { $regex: escapeRegex(query.event.trim()), $options: 'i' };
+  }
+
+  if (typeof query.actor === 'string' && query.actor.trim()) {
+    Object.assign(filter, buildUserCondition(query.actor.trim(), 'actor', 'actorEmail'));
+  }
+  if (typeof query.target === 'string' && query.target.trim()) {
+    Object.assign(filter, buildUserCondition(query.target.trim(), 'target', 'targetEmail'));
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'Dates must be valid ISO 8601 dates' };
+  }
+  if (from && to && from > to) {
+    return { error: 'The start date must be before the end date' };
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  return { filter };
+};
+
+/**
+ * Quote a value for CSV
+ * Values that a spreadsheet would run as a formula are prefixed with a quote.
+ */
+const toCsvCell = (value: unknown): string => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render audit log entries as CSV, header row included
+ * @param rows - Entries to render
+ * @returns CSV text
+ */
+const toAuditLogCsv = (rows: AuditLogRow[]): string => {
+  const lines = rows.map((row) =>
+    [
+      row.createdAt instanceof Date ? row.createdAt.toISOString() : row.createdAt,
+      row.type,
+      row.event,
+      row.severity,
+      row.actor?.toString(),
+      row.actorEmail,
+      row.target?.toString(),
+      row.targetEmail,
+      row.ip,
+      row.userAgent,
+      row.details && Object.keys(row.details).length > 0 ? JSON.stringify(row.details) : '',
+    ]
+      .map(toCsvCell)
+      .join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+};
+
+module.exports = {
+  getAuditLogType,
+  buildAuditEntry,
+  buildAuditLogFilter,
+  toAuditLogCsv,
+};
+
+export {
+  getAuditLogType,
+  buildAuditEntry,
+  buildAuditLogFilter,
+  toAuditLogCsv,
+  AuditEntry,
+  AuditLogQuery,
+  AuditLogRow,
+};
@@ -0,0 +1,49 @@
+/**
+ * Blocking utility
+ * Helpers for applying a user's blocked and muted lists to responses
+ */
+
+import { Types } from 'mongoose';
+
+type Id = Types.ObjectId | string;
+
+interface CommentAuthor {
+  _id: Id;
+}
+
+interface CommentLike {
+  userId?: CommentAuthor | null;
+  content: string;
+  mentions?: unknown[];
+}
+
+/**
+ * Turn a list of user IDs into a set of strings for quick lookups
+ * @param ids - User IDs (ObjectIds or strings), if any
+ * @returns Set of ID strings
+ */
+const toIdSet = (ids: Id[] | null | undefined): Set<string> =>
+  new Set((ids || []).map((id) => id.toString()));
+
+/**
+ * Collapse a comment whose author the viewer has muted
+ * The comment keeps its place (and author) so replies to it still hang together,
+ * but its content and mentions are withheld
+ * @param comment - Comment as returned to clients, with its author populated
+ * @param mutedIds - Users the viewer has muted
+ * @returns The comment, or a muted placeholder for it
+ */
+const hideMutedComment = <T extends CommentLike>(
+  comment: T,
+  mutedIds: Set<string>
+): T | (T & { isMuted: true }) =>
+  comment.userId && mutedIds.has(comment.userId._id.toString())
+    ? { ...comment, content: '', mentions: [], isMuted: true }
+    : comment;
+
+module.exports = {
+  toIdSet,
+  hideMutedComment,
+};
+
+export { toIdSet, hideMutedComment };
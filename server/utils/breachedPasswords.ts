@@ -0,0 +1,77 @@
+/**
+ * Breached password utility
+ * Checks passwords against a bundled list of known-breached passwords without any
+ * network access. The list is stored as k-anonymity range files: each file is named
+ * after the first characters of a SHA-1 hash and holds the rest of every hash with
+ * that prefix, one "SUFFIX:COUNT" line each, so a check only ever reads one small file.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const { PASSWORD_REQUIREMENTS } = require('../config/constants');
+
+const DEFAULT_BREACHED_PASSWORDS_DIR = path.join(__dirname, '..', 'data', 'breached-passwords');
+
+/**
+ * Directory holding the range files
+ * @returns BREACHED_PASSWORDS_DIR if set, otherwise the bundled list
+ */
+const getBreachedPasswordsDir = (): string =>
+  PASSWORD_REQUIREMENTS.BREACHED_PASSWORDS_DIR || DEFAULT_BREACHED_PASSWORDS_DIR;
+
+/**
+ * Split a password's SHA-1 hash into its range file prefix and the suffix to look for
+ * @param password - Plain text password
+ * @returns Uppercase hex prefix and suffix
+ */
+const getHashRange = (password: string): { prefix: string; suffix: string } => {
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  return {
+    prefix: hash.slice(0, PASSWORD_REQUIREMENTS.BREACHED_HASH_PREFIX_LENGTH),
+    suffix: hash.slice(PASSWORD_REQUIREMENTS.BREACHED_HASH_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * Check whether a range file lists a hash suffix
+ * @param content - Contents of a range file
+ * @param suffix - Uppercase hash suffix
+ * @returns True if the suffix is listed
+ */
+const rangeContainsSuffix = (content: string, suffix: string): boolean =>
+  content.split(/\r?\n/).some((line) => line.split(':')[0].trim().toUpperCase() === suffix);
+
+/**
+ * Check a password against the breached password list
+ * A missing range file means no listed password has that prefix.
+ * @param password - Plain text password
+ * @param dir - Directory holding the range files
+ * @returns True if the password is known to have been breached
+ */
+const isBreachedPassword = async (
+  password: string,
+  dir: string = getBreachedPasswordsDir()
+): Promise<boolean> => {
+  const { prefix, suffix } = getHashRange(password);
+
+  try {
+    const content = await fs.promises.readFile(path.join(dir, `${prefix}.txt`), 'utf8');
+    return rangeContainsSuffix(content, suffix);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getBreachedPasswordsDir,
+  getHashRange,
+  rangeContainsSuffix,
+  isBreachedPassword,
+};
+
+export { getBreachedPasswordsDir, getHashRange, rangeContainsSuffix, isBreachedPassword };
@@ -0,0 +1,201 @@
+/**
+ * Bulk user action helpers
+ * Which users a bulk admin action applies to, and what to report back for each of them
+ */
+
+import { Permission, UserRole } from '../types/models';
+
+const { hasAdminAccess } = require('./roles');
+
+// Matches BULK_USER_ACTIONS.ACTIONS
+type BulkUserAction =
+  | 'suspend'
+  | 'unsuspend'
+  | 'change_role'
+  | 'resend_verification'
+  | 'revoke_sessions'
+  | 'deactivate';
+
+/**
+ * Details an action needs: a reason and optional duration to suspend, a role to change to
+ */
+interface BulkActionParams {
+  reason?: string;
+  duration?: number;
+  role?: UserRole;
+}
+
+/**
+ * Filter from the admin user list, for acting on every user it matches
+ */
+interface UserListFilter {
+  search?: string;
+  role?: string;
+  status?: string;
+}
+
+/**
+ * User as far as bulk action checks need to know about them
+ * permissions are the user's effective ones, which decide who counts as an administrator
+ */
+interface BulkActionTarget {
+  _id: { toString(): string };
+  username: string;
+  email: string;
+  role: UserRole;
+  permissions: Permission[];
+  isActive: boolean;
+  isSuspended: boolean;
+  isEmailVerified: boolean;
+}
+
+type BulkActionStatus = 'ready' | 'skipped' | 'succeeded' | 'failed';
+
+/**
+ * Outcome of a bulk action, or of its preview, for one user
+ */
+interface BulkActionResult {
+  userId: string;
+  username: string;
+  email: string;
+  status: BulkActionStatus;
+  message?: string;
+}
+
+type BulkActionSummary = Record<BulkActionStatus, number>;
+
+/**
+ * Build the MongoDB filter for the admin user list
+ * @param filter - Search term, role and status from the list's filters
+ */
+const buildUserListFilter = ({ search, role, status }: UserListFilter): Record<string, unknown> => {
+  const filter: Record<string, unknown> = {};
+
+  if (search) {
+    filter.$or = [
+      { username: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { firstName: { $regex: search, $options: 'i' } },
+      { lastName: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  if (role && role !== 'all') {
+    filter.role = role;
+  }
+
+  switch (status) {
+    case 'active':
+      filter.isActive = true;
+      filter.isSuspended = false;
+      break;
+    case 'suspended':
+      filter.isSuspended = true;
+      break;
+    case 'inactive':
+      filter.isActive = false;
+      break;
+  }
+
+  return filter;
+};
+
+/**
+ * Work out why a bulk action should leave a user alone
+ * Mirrors the checks on the single-user admin actions, and skips users the action
+ * wouldn't change
+ * @param action - Action being applied
+ * @param user - User it would apply to
+ * @param adminId - Admin applying it
+ * @param params - Details for the action
+ * @returns Reason to skip the user, or null to go ahead
+ */
+const getBulkActionSkipReason = (
+  action: BulkUserAction,
+  user: BulkActionTarget,
+  adminId: { toString(): string },
+  params: BulkActionParams = {}
+): string | null => {
+  const isSelf = user._id.toString() === adminId.toString();
+  const isAdmin = hasAdminAccess(user.permissions);
+
+  switch (action) {
+    case 'suspend':
+      if (isSelf) return 'Cannot suspend your own account';
+      if (isAdmin) return 'Cannot suspend administrators';
+      if (user.isSuspended) return 'Already suspended';
+      return null;
+    case 'unsuspend':
+      return user.isSuspended ? null : 'Not suspended';
+    case 'change_role':
+      if (isSelf) return 'Cannot change your own role';
+      if (isAdmin) return 'Cannot change the role of administrators';
+      return user.role === params.role ? 'Already has this role' : null;
+    case 'resend_verification':
+      if (!user.isActive) return 'Account is deactivated';
+      return user.isEmailVerified ? 'Email is already verified' : null;
+    case 'revoke_sessions':
+      return isSelf ? 'Cannot sign yourself out' : null;
+    case 'deactivate':
+      if (isSelf) return 'Cannot deactivate your own account';
+      if (isAdmin) return 'Cannot deactivate administrators';
+      return user.isActive ? null : 'Already deactivated';
+    default:
+      return 'Unknown action';
+  }
+};
+
+/**
+ * Preview a bulk action: which users it would change and which it would skip
+ * @param action - Action to preview
+ * @param users - Users selected
+ * @param adminId - Admin applying it
+ * @param params - Details for the action
+ */
+const previewBulkAction = (
+  action: BulkUserAction,
+  users: BulkActionTarget[],
+  adminId: { toString(): string },
+  params: BulkActionParams = {}
+): BulkActionResult[] =>
+  users.map((user) => {
+    const skipReason = getBulkActionSkipReason(action, user, adminId, params);
+    return {
+      userId: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      status: skipReason ? 'skipped' : 'ready',
+      ...(skipReason && { message: skipReason }),
+    };
+  });
+
+/**
+ * Count results by status
+ * @param results - Per-user results of a bulk action or its preview
+ */
+const summarizeBulkResults = (results: BulkActionResult[]): BulkActionSummary =>
+  results.reduce<BulkActionSummary>(
+    (summary, result) => ({ ...summary, [result.status]: summary[result.status] + 1 }),
+    { ready: 0, skipped: 0, succeeded: 0, failed: 0 }
+  );
+
+module.exports = {
+  buildUserListFilter,
+  getBulkActionSkipReason,
+  previewBulkAction,
+  summarizeBulkResults,
+};
+
+export {
+  buildUserListFilter,
+  getBulkActionSkipReason,
+  previewBulkAction,
+  summarizeBulkResults,
+  BulkUserAction,
+  BulkActionParams,
+  UserListFilter,
+  BulkActionTarget,
+  BulkActionStatus,
+  BulkActionResult,
+  BulkActionSummary,
+};
@@ -0,0 +1,56 @@
+/**
+ * Conversation utility
+ * Helpers for identifying conversations and building their list previews
+ */
+
+import { Types } from 'mongoose';
+
+const { CONVERSATIONS } = require('../config/constants');
+
+/**
+ * Build the key that identifies the conversation between a set of users
+ * The same users always produce the same key, whatever order they are given in
+ * @param participantIds - IDs of the users in the conversation
+ * @returns Sorted, de-duplicated IDs joined with ':'
+ */
+const getParticipantKey = (participantIds: Array<Types.ObjectId | string>): string =>
+  [...new Set(participantIds.map((id) => id.toString()))].sort().join(':');
+
+/**
+ * Shorten message content for the conversation list
+ * Whitespace (including line breaks) is collapsed so the preview fits on one line
+ * @param content - Message content
+ * @param maxLength - Maximum preview length
+ * @returns Preview text
+ */
+const buildMessagePreview = (
+  content: string,
+  maxLength: number = CONVERSATIONS.PREVIEW_LENGTH
+): string => {
+  const text = content.replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength).trimEnd()}…` : text;
+};
+
+/**
+ * Read a participant's unread count from a conversation's counts
+ * @param unreadCounts - Counts keyed by user ID (a Map on documents, an object on lean results)
+ * @param userId - Participant to read
+ * @returns Unread message count (0 if none recorded)
+ */
+const getUnreadCount = (
+  unreadCounts: Map<string, number> | Record<string, number> | null | undefined,
+  userId: Types.ObjectId | string
+): number => {
+  if (!unreadCounts) return 0;
+  const key = userId.toString();
+  const count = unreadCounts instanceof Map ? unreadCounts.get(key) : unreadCounts[key];
+  return count && count > 0 ? count : 0;
+};
+
+module.exports = {
+  getParticipantKey,
+  buildMessagePreview,
+  getUnreadCount,
+};
+
+export { getParticipantKey, buildMessagePreview, getUnreadCount };
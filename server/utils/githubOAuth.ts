@@ -0,0 +1,78 @@
+/**
+ * GitHub OAuth utility
+ * Building provider and frontend URLs, and turning GitHub account details into local ones
+ */
+
+const { GITHUB_OAUTH, VALIDATION_LIMITS } = require('../config/constants');
+
+/**
+ * An address from GitHub's /user/emails endpoint
+ */
+interface GitHubEmail {
+  email: string;
+  primary: boolean;
+  verified: boolean;
+}
+
+/**
+ * Build the GitHub authorization URL the browser is sent to
+ * @param state - Signed state, returned unchanged to the callback
+ * @returns Authorization URL
+ */
+const buildAuthorizeUrl = (state: string): string => {
+  const params = new URLSearchParams({
+    client_id: GITHUB_OAUTH.CLIENT_ID,
+    redirect_uri: GITHUB_OAUTH.CALLBACK_URL,
+    scope: GITHUB_OAUTH.SCOPE,
+    state,
+    allow_signup: 'true',
+  });
+  return `${GITHUB_OAUTH.AUTHORIZE_URL}?${params.toString()}`;
+};
+
+/**
+ * Build the frontend URL the callback redirects to once the flow is over
+ * @param params - Outcome, e.g. { status: 'success' } or { error: 'email_in_use' }
+ * @returns Frontend callback URL
+ */
+const buildFrontendRedirect = (params: Record<string, string>): string =>
+  `${process.env.FRONTEND_URL}/auth/github/callback?${new URLSearchParams(params).toString()}`;
+
+/**
+ * Pick the address a GitHub account can be matched or registered by
+ * Only the primary address counts, and only once GitHub has verified it
+ * @param emails - Addresses from /user/emails
+ * @returns Lowercased email, or null if there is no verified primary address
+ */
+const getVerifiedPrimaryEmail = (emails: GitHubEmail[] = []): string | null => {
+  const primary = emails.find((entry) => entry.primary && entry.verified);
+  return primary ? primary.email.toLowerCase() : null;
+};
+
+/**
+ * Turn a GitHub login into a valid local username
+ * GitHub allows hyphens, which local usernames don't, and shorter names
+ * @param login - GitHub login
+ * @returns Username made of letters, numbers and underscores
+ */
+const toUsernameBase = (login: string): string => {
+  const base = login.replace(/[^a-zA-Z0-9_]/g, '_');
+  return base
+    .padEnd(VALIDATION_LIMITS.USERNAME_MIN_LENGTH, '_')
+    .slice(0, VALIDATION_LIMITS.USERNAME_MAX_LENGTH);
+};
+
+module.exports = {
+  buildAuthorizeUrl,
+  buildFrontendRedirect,
+  getVerifiedPrimaryEmail,
+  toUsernameBase,
+};
+
+export {
+  buildAuthorizeUrl,
+  buildFrontendRedirect,
+  getVerifiedPrimaryEmail,
+  toUsernameBase,
+  GitHubEmail,
+};
@@ -0,0 +1,107 @@
+/**
+ * Impersonation helpers
+ * Who an admin may act as, and how long an impersonation session and its tokens last
+ */
+
+import { Permission, UserRole } from '../types/models';
+
+const { IMPERSONATION } = require('../config/constants');
+const { hasAdminAccess } = require('./roles');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * User as far as impersonation checks need to know about them
+ */
+interface ImpersonationParty {
+  _id: { toString(): string };
+  role: UserRole;
+  permissions: Permission[];
+}
+
+/**
+ * Impersonation details stored on a session
+ */
+interface ImpersonationWindow {
+  endsAt: Date;
+}
+
+/**
+ * Work out why an admin can't impersonate a user
+ * Admins can't act as themselves or as anyone holding an admin permission, such as
+ * one who could impersonate in turn.
+ * @param admin - Admin starting the impersonation
+ * @param target - User to impersonate
+ * @returns Reason to refuse, or null if it's allowed
+ */
+const getImpersonationBlocker = (
+  admin: ImpersonationParty,
+  target: ImpersonationParty
+): string | null => {
+  if (admin._id.toString() === target._id.toString()) {
+    return 'You cannot impersonate yourself';
+  }
+  if (hasAdminAccess(target.permissions)) {
+    return 'Administrators cannot be impersonated';
+  }
+  return null;
+};
+
+/**
+ * When an impersonation session ends
+ * @param durationMinutes - Requested length, clamped to the allowed range
+ * @param now - Start time
+ */
+const getImpersonationEndsAt = (durationMinutes?: number, now: Date = new Date()): Date => {
+  const minutes = Math.min(
+    Math.max(
+      durationMinutes || IMPERSONATION.DEFAULT_DURATION_MINUTES,
+      IMPERSONATION.MIN_DURATION_MINUTES
+    ),
+    IMPERSONATION.MAX_DURATION_MINUTES
+  );
+  return new Date(now.getTime() + minutes * MINUTE_MS);
+};
+
+/**
+ * Whether an impersonation session's time is up
+ * @param impersonation - Impersonation details from the session, if any
+ * @param now - Time to check against
+ */
+const isImpersonationOver = (
+  impersonation: ImpersonationWindow | null | undefined,
+  now: Date = new Date()
+): boolean => !!impersonation && impersonation.endsAt.getTime() <= now.getTime();
+
+/**
+ * Lifetime for an access token, so impersonation tokens never outlive the impersonation
+ * @param impersonation - Impersonation details from the session, if any
+ * @param maxSeconds - Normal access token lifetime
+ * @param now - Time the token is issued
+ * @returns Lifetime in seconds
+ */
+const getAccessTokenLifetime = (
+  impersonation: ImpersonationWindow | null | undefined,
+  maxSeconds: number,
+  now: Date = new Date()
+): number => {
+  if (!impersonation) return maxSeconds;
+  const remaining = Math.ceil((impersonation.endsAt.getTime() - now.getTime()) / 1000);
+  return Math.max(1, Math.min(maxSeconds, remaining));
+};
+
+module.exports = {
+  getImpersonationBlocker,
+  getImpersonationEndsAt,
+  isImpersonationOver,
+  getAccessTokenLifetime,
+};
+
+export {
+  getImpersonationBlocker,
+  getImpersonationEndsAt,
+  isImpersonationOver,
+  getAccessTokenLifetime,
+  ImpersonationParty,
+  ImpersonationWindow,
+};
@@ -133,6 +133,10 @@ class SecurityLogger {
 
   // Security-specific logging methods
   securityEvent(event: string, details: SecurityEventDetails = {}): void {
+    // The audit log is kept whether or not security events are also written to files
+    const { recordAuditEvent } = require('../services/auditLogService');
+    recordAuditEvent(event, { ...details, severity: details.severity || 'medium' });
+
     if (!this.enableSecurityLogging) return;
 
     const securityEntry = this.formatLogEntry('warn', `SECURITY_EVENT: ${event}`, {
@@ -0,0 +1,125 @@
+/**
+ * Login anomaly utility
+ * Flagging logins from devices or networks a user hasn't used before
+ */
+
+import { IKnownDevice, SessionLoginFlag } from '../types/models';
+
+const { LOGIN_PROTECTION } = require('../config/constants');
+
+/**
+ * Describe a device by its platform and browser
+ * @param platform - Platform parsed from the user agent
+ * @param browser - Browser parsed from the user agent
+ * @returns Label such as 'macOS / Chrome'
+ */
+const getDeviceLabel = (platform?: string, browser?: string): string =>
+  `${platform || 'Unknown'} / ${browser || 'Unknown'}`;
+
+/**
+ * Describe a device for people, leaving out parts that couldn't be detected
+ * @param platform - Platform parsed from the user agent
+ * @param browser - Browser parsed from the user agent
+ * @returns Phrase such as 'Chrome on macOS', or '' if neither is known
+ */
+const describeDevice = (platform?: string, browser?: string): string =>
+  [browser, platform].filter((part) => part && part !== 'Unknown').join(' on ');
+
+/**
+ * Expand an IPv6 address into its eight groups
+ */
+const expandIPv6 = (ip: string): string[] => {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups].map((group) =>
+    parseInt(group || '0', 16).toString(16)
+  );
+};
+
+/**
+ * Reduce an IP address to its network, as a rough stand-in for location
+ * IPv4 addresses keep their /24 and IPv6 addresses their /48, so a user moving
+ * between addresses from the same provider isn't flagged each time.
+ * @param ip - Client IP address
+ * @returns Network prefix, or 'unknown' if there's no address
+ */
+const getNetworkPrefix = (ip?: string): string => {
+  if (!ip) return 'unknown';
+  const address = ip.replace(/^::ffff:/i, '');
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (address.includes(':')) {
+    return `${expandIPv6(address.split('%')[0]).slice(0, 3).join(':')}::/48`;
+  }
+  return address;
+};
+
+/**
+ * Work out which flags a login should carry
+ * A user's first login is never flagged, since there's nothing to compare it with.
+ * @param knownDevices - Devices the user has logged in from before
+ * @param device - Label of the device logging in
+ * @param network - Network prefix of the login
+ * @returns Flags for the new session
+ */
+const detectLoginFlags = (
+  knownDevices: IKnownDevice[],
+  device: string,
+  network: string
+): SessionLoginFlag[] => {
+  if (knownDevices.length === 0) return [];
+
+  const flags: SessionLoginFlag[] = [];
+  if (!knownDevices.some((known) => known.device === device)) {
+    flags.push('new_device');
+  }
+  if (!knownDevices.some((known) => known.network === network)) {
+    flags.push('new_location');
+  }
+  return flags;
+};
+
+/**
+ * Add or refresh a device in the user's known list
+ * Only the most recently seen devices are kept.
+ * @param knownDevices - Current list
+ * @param device - Label of the device logging in
+ * @param network - Network prefix of the login
+ * @param now - Current time
+ * @returns Updated list, most recently seen first
+ */
+const rememberDevice = (
+  knownDevices: IKnownDevice[],
+  device: string,
+  network: string,
+  now: Date = new Date()
+): IKnownDevice[] => {
+  const existing = knownDevices.find(
+    (known) => known.device === device && known.network === network
+  );
+  const others = knownDevices.filter((known) => known !== existing);
+  const entry: IKnownDevice = {
+    device,
+    network,
+    firstSeenAt: existing?.firstSeenAt || now,
+    lastSeenAt: now,
+  };
+
+  return [entry, ...others]
+    .sort((a, b) => new Date(b.lastSeenAt).getTime() - new Date(a.lastSeenAt).getTime())
+    .slice(0, LOGIN_PROTECTION.KNOWN_DEVICE_LIMIT);
+};
+
+module.exports = {
+  getDeviceLabel,
+  describeDevice,
+  getNetworkPrefix,
+  detectLoginFlags,
+  rememberDevice,
+};
+
+export { getDeviceLabel, describeDevice, getNetworkPrefix, detectLoginFlags, rememberDevice };
@@ -0,0 +1,89 @@
+/**
+ * Login throttle utility
+ * Progressive delays and lockouts for repeated failed logins
+ */
+
+const { LOGIN_PROTECTION } = require('../config/constants');
+
+/**
+ * Counter state for one account or IP address
+ */
+interface ThrottleState {
+  failures: number;
+  lastFailureAt?: Date | null;
+  nextAttemptAt?: Date | null;
+  lockedUntil?: Date | null;
+  lockCount: number;
+}
+
+/**
+ * Result of recording a failed attempt
+ */
+interface FailureResult {
+  state: ThrottleState;
+  locked: boolean;
+}
+
+/**
+ * Delay before the next attempt, doubling after the free attempts are used up
+ * @param failures - Failures in the current window
+ * @returns Delay in milliseconds
+ */
+const getProgressiveDelay = (failures: number): number => {
+  const excess = failures - LOGIN_PROTECTION.FREE_ATTEMPTS;
+  if (excess <= 0) return 0;
+  return Math.min(
+    LOGIN_PROTECTION.BASE_DELAY_MS * 2 ** (excess - 1),
+    LOGIN_PROTECTION.MAX_DELAY_MS
+  );
+};
+
+/**
+ * Length of a lockout, doubling with each lockout in a row
+ * @param lockCount - Lockouts so far, including this one
+ * @returns Duration in milliseconds
+ */
+const getLockDuration = (lockCount: number): number =>
+  Math.min(
+    LOGIN_PROTECTION.LOCK_DURATION_MS * 2 ** Math.max(lockCount - 1, 0),
+    LOGIN_PROTECTION.MAX_LOCK_DURATION_MS
+  );
+
+/**
+ * Time left before another attempt is allowed
+ * @param state - Current counter state
+ * @param now - Current time
+ * @returns Milliseconds to wait, 0 if an attempt is allowed now
+ */
+const getRetryAfterMs = (state: ThrottleState, now: Date = new Date()): number => {
+  const waitUntil = Math.max(
+    state.lockedUntil ? state.lockedUntil.getTime() : 0,
+    state.nextAttemptAt ? state.nextAttemptAt.getTime() : 0
+  );
+  return Math.max(waitUntil - now.getTime(), 0);
+};
+
+/**
+ * Check whether a lockout is in force
+ * @param state - Current counter state
+ * @param now - Current time
+ * @returns True if locked
+ */
+const isLocked = (state: ThrottleState, now: Date = new Date()): boolean =>
+  !!state.lockedUntil && state.lockedUntil.getTime() > now.getTime();
+
+module.exports = {
+  getProgressiveDelay,
+  getLockDuration,
+  getRetryAfterMs,
+  isLocked,
+};
+
+export {
+  getProgressiveDelay,
+  getLockDuration,
+  getRetryAfterMs,
+  isLocked,
+  ThrottleState,
+  FailureResult,
+};
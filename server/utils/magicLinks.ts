@@ -0,0 +1,41 @@
+/**
+ * Magic link utility
+ * Tying one-time login links to the browser that asked for them
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate the nonce stored in a cookie in the browser that requests a link
+ * @returns Random hex string
+ */
+const generateBrowserNonce = (): string => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Hash a browser nonce for storage on the user
+ * @param nonce - Nonce from the cookie
+ * @returns SHA-256 hex digest
+ */
+const hashBrowserNonce = (nonce: string): string =>
+  crypto.createHash('sha256').update(nonce).digest('hex');
+
+/**
+ * Check that a link is being used in the browser that requested it
+ * @param storedHash - Hash saved when the link was requested
+ * @param nonce - Nonce from the cookie of the browser using the link
+ * @returns True if the nonce matches
+ */
+const isSameBrowser = (storedHash: string | undefined, nonce: string | undefined): boolean => {
+  if (!storedHash || !nonce) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashBrowserNonce(nonce), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  generateBrowserNonce,
+  hashBrowserNonce,
+  isSameBrowser,
+};
+
+export { generateBrowserNonce, hashBrowserNonce, isSameBrowser };
@@ -0,0 +1,41 @@
+/**
+ * Mention parsing utility
+ * Finds @username mentions in comment and message text
+ */
+
+const { MENTIONS } = require('../config/constants');
+
+/**
+ * Matches @username where the @ starts the text or follows a non-word character,
+ * so email addresses like jane@example.com are not treated as mentions
+ */
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,30})(?![\w@])/g;
+
+/**
+ * Extract the distinct usernames mentioned in a piece of text
+ * @param text - Comment or message content
+ * @param limit - Maximum number of usernames to return
+ * @returns Usernames in order of first appearance, without the @
+ */
+const extractMentions = (text: string, limit: number = MENTIONS.MAX_PER_DOCUMENT): string[] => {
+  if (!text) return [];
+
+  const seen = new Set<string>();
+  const usernames: string[] = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2];
+    const key = username.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    usernames.push(username);
+    if (usernames.length >= limit) break;
+  }
+  return usernames;
+};
+
+module.exports = {
+  MENTION_PATTERN,
+  extractMentions,
+};
+
+export { MENTION_PATTERN, extractMentions };
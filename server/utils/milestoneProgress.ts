@@ -0,0 +1,89 @@
+/**
+ * Milestone progress utility
+ * Rolls checklist items and linked tasks up into milestone and project completion
+ */
+
+/**
+ * Completion of a single milestone
+ */
+interface MilestoneProgress {
+  completedItems: number;
+  totalItems: number;
+  percent: number;
+}
+
+/**
+ * Completion of a project across its milestones
+ */
+interface ProjectProgress {
+  percent: number;
+  milestonesTotal: number;
+  milestonesCompleted: number;
+}
+
+/**
+ * Inputs for a milestone's progress
+ */
+interface MilestoneProgressInput {
+  checklist?: Array<{ done: boolean }>;
+  taskCounts?: { total: number; done: number };
+}
+
+/**
+ * Whole-number percentage of done over total (0 when there is nothing to do)
+ */
+const toPercent = (done: number, total: number): number =>
+  total > 0 ? Math.round((done / total) * 100) : 0;
+
+/**
+ * Compute a milestone's completion from its checklist and linked tasks
+ * Each checklist item and each linked task counts as one unit of work
+ * @param input - Checklist items and linked task counts
+ * @returns Completed and total items with the percentage
+ */
+const computeMilestoneProgress = ({
+  checklist = [],
+  taskCounts = { total: 0, done: 0 },
+}: MilestoneProgressInput): MilestoneProgress => {
+  const completedItems = checklist.filter((item) => item.done).length + taskCounts.done;
+  const totalItems = checklist.length + taskCounts.total;
+  return { completedItems, totalItems, percent: toPercent(completedItems, totalItems) };
+};
+
+/**
+ * Roll milestone progress up into project completion
+ * Weighted by work items so a large milestone counts for more than a small one
+ * @param milestones - Progress of each milestone on the project
+ * @returns Project completion percentage and milestone counts
+ */
+const computeProjectProgress = (milestones: MilestoneProgress[]): ProjectProgress => {
+  const completed = milestones.reduce((sum, milestone) => sum + milestone.completedItems, 0);
+  const total = milestones.reduce((sum, milestone) => sum + milestone.totalItems, 0);
+  return {
+    percent: toPercent(completed, total),
+    milestonesTotal: milestones.length,
+    milestonesCompleted: milestones.filter(
+      (milestone) => milestone.totalItems > 0 && milestone.percent === 100
+    ).length,
+  };
+};
+
+/**
+ * Check whether a milestone is past its target date without being finished
+ * @param targetDate - Milestone target date
+ * @param progress - Milestone progress
+ * @param now - Reference time
+ */
+const isMilestoneOverdue = (
+  targetDate: Date | null | undefined,
+  progress: MilestoneProgress,
+  now: Date = new Date()
+): boolean => !!targetDate && targetDate < now && progress.percent < 100;
+
+module.exports = {
+  computeMilestoneProgress,
+  computeProjectProgress,
+  isMilestoneOverdue,
+};
+
+export { MilestoneProgress, ProjectProgress, MilestoneProgressInput };
@@ -0,0 +1,203 @@
+/**
+ * Moderation queue helpers
+ * Which actions a report allows, what each one does to it, and the messages
+ * sent to the people involved
+ */
+
+import {
+  ReportAction,
+  ReportReason,
+  ReportResolution,
+  ReportStatus,
+  ReportTargetType,
+} from '../types/models';
+
+const { MODERATION } = require('../config/constants');
+
+// Notification messages are stored with a 300 character limit
+const MAX_NOTIFICATION_LENGTH = 300;
+
+// Reports still waiting for a decision
+const OPEN_STATUSES: ReportStatus[] = ['open', 'claimed', 'escalated'];
+
+const TARGET_LABELS: Record<ReportTargetType, string> = {
+  project: 'project',
+  comment: 'comment',
+  message: 'message',
+  user: 'profile',
+};
+
+const REASON_LABELS: Record<ReportReason, string> = {
+  spam: 'spam',
+  harassment: 'harassment',
+  hate_speech: 'hate speech',
+  inappropriate: 'inappropriate content',
+  impersonation: 'impersonation',
+  other: 'breaking the community guidelines',
+};
+
+/**
+ * Status and resolution a report moves to after an action
+ */
+interface ReportActionOutcome {
+  status: ReportStatus;
+  resolution: ReportResolution | null;
+}
+
+const truncate = (text: string, length: number): string =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+/**
+ * Whether a report is still waiting for a decision
+ * @param status - Report status
+ */
+const isReportOpen = (status: ReportStatus): boolean => OPEN_STATUSES.includes(status);
+
+/**
+ * Whether an action can be taken on a report in its current status
+ * Closed reports can't be changed, and an escalated report can't be escalated again.
+ * @param status - Current report status
+ * @param action - Action to take
+ */
+const canApplyReportAction = (status: ReportStatus, action: ReportAction): boolean => {
+  if (!isReportOpen(status)) return false;
+  if (action === 'escalate') return status !== 'escalated';
+  return true;
+};
+
+/**
+ * Status and resolution a report moves to after an action
+ * Claiming an escalated report keeps it marked as escalated.
+ * @param status - Current report status
+ * @param action - Action taken
+ */
+const getReportActionOutcome = (
+  status: ReportStatus,
+  action: ReportAction
+): ReportActionOutcome => {
+  switch (action) {
+    case 'claim':
+      return { status: status === 'escalated' ? 'escalated' : 'claimed', resolution: null };
+    case 'escalate':
+      return { status: 'escalated', resolution: null };
+    case 'dismiss':
+      return { status: 'dismissed', resolution: 'dismissed' };
+    case 'hide':
+      return { status: 'resolved', resolution: 'content_hidden' };
+    case 'warn':
+      return { status: 'resolved', resolution: 'user_warned' };
+    case 'suspend':
+      return { status: 'resolved', resolution: 'user_suspended' };
+    default:
+      return { status, resolution: null };
+  }
+};
+
+/**
+ * Message telling a reporter how their report was resolved
+ * @param targetType - What was reported
+ * @param resolution - How the report was resolved
+ */
+const getReportOutcomeMessage = (
+  targetType: ReportTargetType,
+  resolution: ReportResolution
+): string => {
+  const target = TARGET_LABELS[targetType];
+
+  switch (resolution) {
+    case 'content_hidden':
+      return `Thanks for your report. We've hidden the ${target} you reported`;
+    case 'user_warned':
+      return `Thanks for your report. We've warned the author of the ${target} you reported`;
+    case 'user_suspended':
+      return `Thanks for your report. We've suspended the account behind the ${target} you reported`;
+    case 'dismissed':
+    default:
+      return `We reviewed the ${target} you reported and found it doesn't break our community guidelines`;
+  }
+};
+
+/**
+ * Message warning a user about reported content
+ * @param targetType - What was reported
+ * @param reason - Why it was reported
+ * @param note - Moderator's note to the user
+ */
+const getWarningMessage = (
+  targetType: ReportTargetType,
+  reason: ReportReason,
+  note?: string
+): string => {
+  const base = `A moderator reviewed a report about your ${TARGET_LABELS[targetType]} for ${REASON_LABELS[reason]}. Please follow the community guidelines`;
+  return truncate(note ? `${base}: ${note}` : base, MAX_NOTIFICATION_LENGTH);
+};
+
+/**
+ * Client route showing reported content
+ * @param targetType - What was reported
+ * @param ids - Project and conversation the content belongs to
+ * @returns Route to link notifications to
+ */
+const getReportTargetLink = (
+  targetType: ReportTargetType,
+  ids: { projectId?: { toString(): string } | null; conversationId?: { toString(): string } | null }
+): string => {
+  switch (targetType) {
+    case 'project':
+    case 'comment':
+      return ids.projectId ? `/projects/${ids.projectId}` : '/projects';
+    case 'message':
+      return ids.conversationId ? `/messages?conversation=${ids.conversationId}` : '/messages';
+    case 'user':
+    default:
+      return '/members';
+  }
+};
+
+/**
+ * Copy of reported content to keep with the report
+ * @param parts - Text fields of the content, e.g. a project's title and description
+ * @returns Non-empty parts joined together and shortened to the snapshot limit
+ */
+const buildContentSnapshot = (parts: Array<string | null | undefined>): string =>
+  truncate(
+    parts
+      .map((part) => part?.trim())
+      .filter(Boolean)
+      .join('\n\n'),
+    MODERATION.SNAPSHOT_LENGTH
+  );
+
+/**
+ * Withhold the content of a message hidden by a moderator
+ * The message keeps its place in the conversation so the thread still reads in order.
+ * @param message - Message as returned to clients
+ * @returns The message, or a placeholder for it
+ */
+const hideModeratedMessage = <T extends { isHidden?: boolean }>(message: T): T =>
+  message.isHidden
+    ? { ...message, subject: '', content: MODERATION.HIDDEN_MESSAGE_PLACEHOLDER, mentions: [] }
+    : message;
+
+module.exports = {
+  isReportOpen,
+  canApplyReportAction,
+  getReportActionOutcome,
+  getReportOutcomeMessage,
+  getWarningMessage,
+  getReportTargetLink,
+  buildContentSnapshot,
+  hideModeratedMessage,
+};
+
+export {
+  isReportOpen,
+  canApplyReportAction,
+  getReportActionOutcome,
+  getReportOutcomeMessage,
+  getWarningMessage,
+  getReportTargetLink,
+  buildContentSnapshot,
+  hideModeratedMessage,
+  ReportActionOutcome,
+};
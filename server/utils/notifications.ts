@@ -0,0 +1,72 @@
+/**
+ * Notification text utility
+ * Builds the message shown for each kind of in-app notification
+ */
+
+import { NotificationType } from '../types/models';
+
+/**
+ * Names filled into a notification message
+ */
+interface NotificationMessageContext {
+  actorName?: string;
+  projectTitle?: string;
+  detail?: string; // What happened, for security alerts and moderation notices
+}
+
+const MAX_TITLE_LENGTH = 80;
+
+// Long project titles are shortened so messages stay readable in the bell menu
+const quoteTitle = (title?: string): string => {
+  if (!title) return 'a project';
+  const shortened =
+    title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH)}…` : title;
+  return `"${shortened}"`;
+};
+
+/**
+ * Build the message for a notification
+ * @param type - Kind of notification
+ * @param context - Actor and project names, or the detail of a security alert
+ * @returns Message shown to the recipient
+ */
+const formatNotificationMessage = (
+  type: NotificationType,
+  { actorName, projectTitle, detail }: NotificationMessageContext = {}
+): string => {
+  const actor = actorName || 'Someone';
+  const project = quoteTitle(projectTitle);
+
+  switch (type) {
+    case 'collaboration_request':
+      return `${actor} asked to collaborate on ${project}`;
+    case 'collaboration_accepted':
+      return `Your request to collaborate on ${project} was accepted`;
+    case 'collaboration_rejected':
+      return `Your request to collaborate on ${project} was declined`;
+    case 'comment':
+      return `${actor} commented on ${project}`;
+    case 'comment_reply':
+      return `${actor} replied to your comment on ${project}`;
+    case 'mention':
+      return projectTitle
+        ? `${actor} mentioned you in a comment on ${project}`
+        : `${actor} mentioned you in a message`;
+    case 'message':
+      return `${actor} sent you a message`;
+    case 'security_alert':
+      return detail || 'There was unusual activity on your account';
+    case 'report_update':
+      return detail || 'A moderator has reviewed your report';
+    case 'moderation_warning':
+      return detail || 'A moderator has warned you about content you posted';
+    default:
+      return `${actor} sent you a notification`;
+  }
+};
+
+module.exports = {
+  formatNotificationMessage,
+};
+
+export { formatNotificationMessage, NotificationMessageContext };
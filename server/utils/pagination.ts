@@ -0,0 +1,167 @@
+/**
+ * Cursor pagination utility
+ * Encodes the position of the last returned document so the next page can
+ * resume with a range query instead of an ever-growing skip
+ */
+
+import { Types } from 'mongoose';
+
+const { PAGINATION } = require('../config/constants');
+
+/**
+ * Value types a cursor can carry for its sort field
+ */
+type CursorValueType = 'date' | 'number' | 'string';
+
+/**
+ * Decoded cursor contents
+ */
+interface Cursor {
+  value: Date | number | string | null;
+  id: Types.ObjectId;
+}
+
+/**
+ * Serialized cursor payload
+ */
+interface CursorPayload {
+  v: string | number | null;
+  t: CursorValueType;
+  id: string;
+}
+
+/**
+ * Limit parsing options
+ */
+interface LimitOptions {
+  defaultLimit?: number;
+  maxLimit?: number;
+}
+
+/**
+ * Pagination info returned alongside a page of results
+ */
+interface CursorPageInfo {
+  nextCursor: string | null;
+  hasMore: boolean;
+  limit: number;
+}
+
+/**
+ * Encode a sort value and document id into an opaque cursor string
+ * @param value - Value of the sort field on the last document of the page
+ * @param id - _id of the last document of the page (tie-breaker)
+ * @returns URL-safe cursor string
+ */
+const encodeCursor = (
+  value: Date | number | string | null | undefined,
+  id: Types.ObjectId | string
+): string => {
+  let payload: CursorPayload;
+  if (value instanceof Date) {
+    payload = { v: value.toISOString(), t: 'date', id: id.toString() };
+  } else if (typeof value === 'number') {
+    payload = { v: value, t: 'number', id: id.toString() };
+  } else {
+    payload = { v: value ?? null, t: 'string', id: id.toString() };
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param cursor - Cursor string from the client
+ * @returns Decoded cursor, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor: string | undefined | null): Cursor | null => {
+  if (!cursor || typeof cursor !== 'string') return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) as CursorPayload;
+
+    if (!payload || !Types.ObjectId.isValid(payload.id)) return null;
+
+    let value: Cursor['value'];
+    if (payload.t === 'date') {
+      value = new Date(payload.v as string);
+      if (isNaN(value.getTime())) return null;
+    } else if (payload.t === 'number') {
+      if (typeof payload.v !== 'number') return null;
+      value = payload.v;
+    } else {
+      value = payload.v === null ? null : String(payload.v);
+    }
+
+    return { value, id: new Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the range condition that selects documents after the cursor
+ * for a descending sort on `field` with `_id` as tie-breaker
+ * @param field - Sort field name
+ * @param cursor - Decoded cursor
+ * @param direction - Sort direction (-1 descending, 1 ascending)
+ * @returns MongoDB filter fragment
+ */
+const buildCursorFilter = (
+  field: string,
+  cursor: Cursor,
+  direction: 1 | -1 = -1
+): Record<string, unknown> => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }],
+  };
+};
+
+/**
+ * Parse a requested page size, clamping it to sane bounds
+ * @param raw - Raw limit from the query string
+ * @param options - Default and maximum limit
+ * @returns Page size
+ */
+const parseLimit = (raw: unknown, options: LimitOptions = {}): number => {
+  const { defaultLimit = PAGINATION.DEFAULT_LIMIT, maxLimit = PAGINATION.MAX_LIMIT } = options;
+  const parsed = parseInt(String(raw), 10);
+  if (isNaN(parsed) || parsed < 1) return defaultLimit;
+  return Math.min(parsed, maxLimit);
+};
+
+/**
+ * Trim a result set fetched with limit + 1 and build its page info
+ * @param docs - Documents fetched with limit + 1
+ * @param limit - Requested page size
+ * @param getCursorValue - Extracts the sort value from a document
+ * @returns The page of documents and pagination info
+ */
+const buildCursorPage = <T extends { _id: Types.ObjectId | string }>(
+  docs: T[],
+  limit: number,
+  getCursorValue: (doc: T) => Date | number | string | null | undefined
+): { items: T[]; pagination: CursorPageInfo } => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      nextCursor: hasMore && last ? encodeCursor(getCursorValue(last), last._id) : null,
+      hasMore,
+      limit,
+    },
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+};
+
+export { Cursor, CursorPageInfo, LimitOptions };
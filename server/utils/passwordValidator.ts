@@ -4,6 +4,11 @@
  */
 
 const { PASSWORD_REQUIREMENTS } = require('../config/constants');
+const { isBreachedPassword } = require('./breachedPasswords');
+
+const BREACHED_PASSWORD_MESSAGE =
+  'This password has appeared in a data breach, so it could be guessed easily. Please choose a different password';
+const REUSED_PASSWORD_MESSAGE = `You've used this password recently. Please choose one that isn't among your last ${PASSWORD_REQUIREMENTS.HISTORY_SIZE}`;
 
 /**
  * Password validation result
@@ -72,9 +77,34 @@ const passwordValidator = (value: string): boolean => {
   return true;
 };
 
+/**
+ * Express validator custom validator rejecting known-breached passwords
+ * If the breached password list can't be read the password is let through, so a
+ * broken install doesn't stop everyone from registering or resetting passwords.
+ * @param value - Password value to check
+ * @returns true if not known to be breached, rejects with Error if it is
+ */
+const breachedPasswordValidator = async (value: string): Promise<boolean> => {
+  let breached = false;
+  try {
+    breached = await isBreachedPassword(value);
+  } catch (error) {
+    const logger = require('./logger');
+    logger.error('Breached password check failed:', { error: (error as Error).message });
+  }
+
+  if (breached) {
+    throw new Error(BREACHED_PASSWORD_MESSAGE);
+  }
+  return true;
+};
+
 module.exports = {
   validatePassword,
   passwordValidator,
+  breachedPasswordValidator,
+  BREACHED_PASSWORD_MESSAGE,
+  REUSED_PASSWORD_MESSAGE,
 };
 
 export { PasswordValidationResult };
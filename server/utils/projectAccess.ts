@@ -0,0 +1,52 @@
+/**
+ * Project access helpers
+ * Shared owner/collaborator checks for routes nested under a project
+ */
+
+import { Types } from 'mongoose';
+
+/**
+ * Minimal project shape needed for access checks
+ */
+interface ProjectMembership {
+  owner: Types.ObjectId | { toString(): string };
+  collaborators: Array<{ userId: Types.ObjectId | { toString(): string }; status: string }>;
+}
+
+/**
+ * Check whether a user owns the project
+ * @param project - Project document
+ * @param userId - User to check
+ */
+const isProjectOwner = (project: ProjectMembership, userId: Types.ObjectId | string): boolean =>
+  project.owner.toString() === userId.toString();
+
+/**
+ * Check whether a user owns the project or is an accepted collaborator
+ * @param project - Project document
+ * @param userId - User to check
+ */
+const isProjectMember = (project: ProjectMembership, userId: Types.ObjectId | string): boolean =>
+  isProjectOwner(project, userId) ||
+  project.collaborators.some(
+    (collab) => collab.userId.toString() === userId.toString() && collab.status === 'accepted'
+  );
+
+/**
+ * IDs of the project owner and its accepted collaborators
+ * @param project - Project document
+ */
+const getProjectMemberIds = (project: ProjectMembership): string[] => [
+  project.owner.toString(),
+  ...project.collaborators
+    .filter((collab) => collab.status === 'accepted')
+    .map((collab) => collab.userId.toString()),
+];
+
+module.exports = {
+  isProjectOwner,
+  isProjectMember,
+  getProjectMemberIds,
+};
+
+export { ProjectMembership };
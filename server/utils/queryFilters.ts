@@ -0,0 +1,39 @@
+/**
+ * Query filter helpers
+ * Shared parsing for list-style query string parameters
+ */
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param value - Raw user input
+ * @returns Escaped string
+ */
+const escapeRegex = (value: string): string => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a comma-separated (or repeated) query parameter into a list of values
+ * @param raw - Query value, e.g. "react,node" or ["react", "node"]
+ * @returns Trimmed, non-empty values
+ */
+const parseListParam = (raw: unknown): string[] => {
+  if (raw === undefined || raw === null) return [];
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter((value) => value.length > 0);
+};
+
+/**
+ * Build case-insensitive exact-match patterns for a list of values
+ * @param values - Values to match
+ * @returns Anchored regular expressions
+ */
+const toExactMatchPatterns = (values: string[]): RegExp[] =>
+  values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+
+module.exports = {
+  escapeRegex,
+  parseListParam,
+  toExactMatchPatterns,
+};
@@ -0,0 +1,111 @@
+/**
+ * Refresh token utility
+ * Helpers for rotating refresh tokens and telling reuse apart from concurrent refreshes
+ *
+ * Each session is one token family. Its refresh tokens name the session and a generation
+ * that goes up on every rotation, signed with a key kept on the session, so a replayed
+ * token can be traced back to its session however many rotations ago it was replaced.
+ */
+
+import crypto from 'crypto';
+
+const { SESSION_CONFIG } = require('../config/constants');
+
+/**
+ * Rotation state kept on a session
+ */
+interface RotationState {
+  refreshGeneration?: number;
+  refreshTokenRotatedAt?: Date | null;
+}
+
+/**
+ * What a refresh token says about itself, before its signature is checked
+ */
+interface RefreshTokenClaims {
+  sessionId: string;
+  generation: number;
+}
+
+const REFRESH_TOKEN_PATTERN = /^([a-f0-9]{24})\.(\d{1,9})\.([a-f0-9]{64})$/;
+
+/**
+ * Generate the key a session signs its refresh tokens with
+ */
+const generateFamilyKey = (): string => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Build the refresh token for one generation of a session's token family
+ * @param sessionId - Session the token belongs to
+ * @param generation - Rotations since the session was created
+ * @param familyKey - Session's signing key, from generateFamilyKey
+ */
+const buildRefreshToken = (sessionId: string, generation: number, familyKey: string): string => {
+  const payload = `${sessionId}.${generation}`;
+  const signature = crypto.createHmac('sha256', familyKey).update(payload).digest('hex');
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Read the session and generation from a refresh token
+ * @param token - Refresh token
+ * @returns Claims to check with isFamilyToken, or null if the token isn't in this format
+ */
+const parseRefreshToken = (token: string): RefreshTokenClaims | null => {
+  const match = REFRESH_TOKEN_PATTERN.exec(token);
+  return match ? { sessionId: match[1], generation: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Check that a refresh token was issued by the session holding a family key
+ * @param token - Refresh token
+ * @param familyKey - Key of the session the token names
+ */
+const isFamilyToken = (token: string, familyKey: string): boolean => {
+  const claims = parseRefreshToken(token);
+  if (!claims) return false;
+  const expected = Buffer.from(buildRefreshToken(claims.sessionId, claims.generation, familyKey));
+  const presented = Buffer.from(token);
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+};
+
+/**
+ * Check whether a rotated refresh token was presented by a request racing the
+ * rotation (e.g. two tabs refreshing at once) rather than replayed later
+ * Only the generation rotated away from most recently qualifies, and only within
+ * SESSION_CONFIG.REFRESH_TOKEN_REUSE_GRACE_MS of the rotation
+ * @param session - Session the token belonged to
+ * @param generation - Generation of the presented token
+ * @param now - Milliseconds since the epoch
+ * @returns True if the request should be treated as a concurrent refresh
+ */
+const isConcurrentRefresh = (
+  session: RotationState,
+  generation: number,
+  now: number = Date.now()
+): boolean => {
+  if (generation !== (session.refreshGeneration ?? 0) - 1) return false;
+  if (!session.refreshTokenRotatedAt) return false;
+  return (
+    now - new Date(session.refreshTokenRotatedAt).getTime() <=
+    SESSION_CONFIG.REFRESH_TOKEN_REUSE_GRACE_MS
+  );
+};
+
+module.exports = {
+  generateFamilyKey,
+  buildRefreshToken,
+  parseRefreshToken,
+  isFamilyToken,
+  isConcurrentRefresh,
+};
+
+export {
+  generateFamilyKey,
+  buildRefreshToken,
+  parseRefreshToken,
+  isFamilyToken,
+  isConcurrentRefresh,
+  RotationState,
+  RefreshTokenClaims,
+};
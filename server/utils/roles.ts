@@ -0,0 +1,159 @@
+/**
+ * Role utility
+ * Working out a user's effective permissions from their role and custom permissions
+ */
+
+import { BuiltInRole, Permission, UserRole } from '../types/models';
+
+const { PERMISSIONS, ROLES } = require('../config/constants');
+
+/**
+ * Permissions added and removed by an edit
+ */
+interface PermissionChanges {
+  added: Permission[];
+  removed: Permission[];
+}
+
+// Permissions that open a part of the admin area
+const ADMIN_PERMISSIONS = (PERMISSIONS as readonly Permission[]).filter((permission) =>
+  permission.startsWith('admin.')
+);
+
+// Permissions that open the moderation queue
+const MODERATION_PERMISSIONS = (PERMISSIONS as readonly Permission[]).filter((permission) =>
+  permission.startsWith('moderate.')
+);
+
+/**
+ * Check whether a role is one of the seeded roles
+ * @param role - Role name
+ */
+const isBuiltInRole = (role: UserRole): role is BuiltInRole =>
+  Object.prototype.hasOwnProperty.call(ROLES.BUILT_IN, role);
+
+/**
+ * Get the permissions a built-in role is seeded with
+ * @param role - Role name
+ * @returns Seeded permissions, or an empty list for other roles
+ */
+const getBuiltInPermissions = (role: UserRole): Permission[] =>
+  isBuiltInRole(role) ? [...(ROLES.BUILT_IN[role] as readonly Permission[])] : [];
+
+/**
+ * Drop duplicates and unknown permissions, and put the rest in the order of PERMISSIONS
+ * @param permissions - Permissions in any order
+ * @returns Normalized permissions
+ */
+const normalizePermissions = (permissions: readonly string[] = []): Permission[] =>
+  (PERMISSIONS as readonly Permission[]).filter((permission) => permissions.includes(permission));
+
+/**
+ * Combine a role's permissions with a user's custom permissions
+ * @param rolePermissions - Permissions of the user's role
+ * @param customPermissions - Permissions granted to the user directly
+ * @returns Effective permissions, in the order of PERMISSIONS
+ */
+const mergePermissions = (
+  rolePermissions: readonly string[] = [],
+  customPermissions: readonly string[] = []
+): Permission[] => normalizePermissions([...rolePermissions, ...customPermissions]);
+
+/**
+ * Get the permissions a user holds beyond those of their role
+ * Used to move permissions that were patched onto users by hand into customPermissions
+ * @param userPermissions - Permissions stored on the user
+ * @param rolePermissions - Permissions of the user's role
+ */
+const getExtraPermissions = (
+  userPermissions: readonly string[] = [],
+  rolePermissions: readonly string[] = []
+): Permission[] =>
+  normalizePermissions(userPermissions).filter(
+    (permission) => !rolePermissions.includes(permission)
+  );
+
+/**
+ * Compare permissions before and after an edit, for the audit log
+ * @param before - Permissions before the edit
+ * @param after - Permissions after the edit
+ */
+const diffPermissions = (
+  before: readonly string[] = [],
+  after: readonly string[] = []
+): PermissionChanges => ({
+  added: normalizePermissions(after).filter((permission) => !before.includes(permission)),
+  removed: normalizePermissions(before).filter((permission) => !after.includes(permission)),
+});
+
+/**
+ * Check whether permissions make a user an administrator
+ * Goes by permissions rather than role name, since custom roles can grant admin permissions
+ * @param permissions - User's effective permissions
+ */
+const hasAdminAccess = (permissions: readonly string[] = []): boolean =>
+  ADMIN_PERMISSIONS.some((permission) => permissions.includes(permission));
+
+/**
+ * Check whether permissions let a user moderate content, users or reports
+ * @param permissions - User's effective permissions
+ */
+const hasModerationAccess = (permissions: readonly string[] = []): boolean =>
+  MODERATION_PERMISSIONS.some((permission) => permissions.includes(permission));
+
+/**
+ * Check whether permissions put a user in a group that must use two-factor authentication
+ * The admin group is anyone with an admin permission and the moderator group anyone with
+ * a moderation permission, whatever their role is called
+ * @param groups - Groups from the twoFactorRequiredRoles setting
+ * @param permissions - User's effective permissions
+ */
+const isInTwoFactorGroup = (
+  groups: readonly string[],
+  permissions: readonly string[] = []
+): boolean =>
+  (groups.includes('admin') && hasAdminAccess(permissions)) ||
+  (groups.includes('moderator') && hasModerationAccess(permissions));
+
+/**
+ * Find the permissions a grant would hand out that the user making it doesn't hold
+ * Users can only pass on permissions they have, so admin.users alone can't make an admin
+ * @param granted - Permissions of the role or custom permissions being granted
+ * @param granterPermissions - Effective permissions of the user granting them
+ */
+const getUngrantablePermissions = (
+  granted: readonly string[],
+  granterPermissions: readonly string[] = []
+): Permission[] =>
+  normalizePermissions(granted).filter((permission) => !granterPermissions.includes(permission));
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  MODERATION_PERMISSIONS,
+  isBuiltInRole,
+  getBuiltInPermissions,
+  normalizePermissions,
+  mergePermissions,
+  getExtraPermissions,
+  diffPermissions,
+  hasAdminAccess,
+  hasModerationAccess,
+  isInTwoFactorGroup,
+  getUngrantablePermissions,
+};
+
+export {
+  ADMIN_PERMISSIONS,
+  MODERATION_PERMISSIONS,
+  isBuiltInRole,
+  getBuiltInPermissions,
+  normalizePermissions,
+  mergePermissions,
+  getExtraPermissions,
+  diffPermissions,
+  hasAdminAccess,
+  hasModerationAccess,
+  isInTwoFactorGroup,
+  getUngrantablePermissions,
+  PermissionChanges,
+};
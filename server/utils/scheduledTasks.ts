@@ -14,6 +14,13 @@ interface SessionService {
   cleanupExpiredSessions(): Promise<number>;
 }
 
+/**
+ * Account deletion service interface for type safety
+ */
+interface AccountDeletionService {
+  processDueAccountDeletions(): Promise<number>;
+}
+
 /**
  * Scheduled task definition
  */
@@ -51,6 +58,16 @@ class ScheduledTasks {
       60 * 60 * 1000
     ); // 1 hour
 
+    // Delete accounts whose deletion grace period has ended
+    const { ACCOUNT_DELETION } = require('../config/constants');
+    this.scheduleTask(
+      'processAccountDeletions',
+      () => {
+        this.processAccountDeletions();
+      },
+      ACCOUNT_DELETION.CHECK_INTERVAL_MS
+    );
+
     // Generate security reports daily
     this.scheduleTask(
       'generateSecurityReport',
@@ -135,6 +152,25 @@ class ScheduledTasks {
     }
   }
 
+  /**
+   * Delete accounts whose deletion grace period has ended
+   */
+  async processAccountDeletions(): Promise<void> {
+    const logger: Logger = require('./logger');
+    const accountDeletionService: AccountDeletionService = require('../services/accountDeletionService');
+
+    try {
+      const deletedCount = await accountDeletionService.processDueAccountDeletions();
+
+      if (deletedCount > 0) {
+        logger.info('Scheduled account deletions carried out', { deletedCount });
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error('Failed to process account deletions', { error: errorMessage });
+    }
+  }
+
   /**
    * Generate daily security report
    */
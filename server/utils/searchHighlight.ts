@@ -0,0 +1,159 @@
+/**
+ * Search highlighting utility
+ * Marks the parts of a document that matched a text search so the client can
+ * render them without trusting any HTML from the server
+ */
+
+const { SEARCH } = require('../config/constants');
+const { escapeRegex } = require('./queryFilters');
+
+/**
+ * A run of text that either matched a search term or did not
+ */
+interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+/**
+ * Highlights for a single project search result
+ */
+interface ProjectHighlights {
+  title: HighlightSegment[];
+  description: HighlightSegment[];
+  technologies: string[];
+  requiredSkills: string[];
+  tags: string[];
+}
+
+/**
+ * Fields of a project used when building highlights
+ */
+interface HighlightableProject {
+  title?: string;
+  description?: string;
+  technologies?: string[];
+  requiredSkills?: string[];
+  tags?: string[];
+}
+
+/**
+ * Split a search query into the terms worth highlighting
+ * Negated terms ("-foo") are dropped since they never appear in results
+ * @param query - Raw search query
+ * @returns Lowercased, de-duplicated terms
+ */
+const extractSearchTerms = (query: string): string[] => {
+  const terms = query
+    .toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term.length >= 2 && !term.startsWith('-'));
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a pattern matching any word that starts with one of the terms,
+ * which roughly follows the stemming done by the text index
+ */
+const buildTermPattern = (terms: string[]): RegExp | null => {
+  if (terms.length === 0) return null;
+  const alternatives = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  return new RegExp(`(?<!\\w)(?:${alternatives})\\w*`, 'gi');
+};
+
+/**
+ * Split text into matched and unmatched segments
+ * @param text - Text to highlight
+ * @param terms - Search terms from extractSearchTerms
+ * @returns Segments in order; joining their text yields the input
+ */
+const highlightText = (text: string, terms: string[]): HighlightSegment[] => {
+  if (!text) return [];
+  const pattern = buildTermPattern(terms);
+  if (!pattern) return [{ text, match: false }];
+
+  const segments: HighlightSegment[] = [];
+  let lastIndex = 0;
+  for (const found of text.matchAll(pattern)) {
+    const index = found.index ?? 0;
+    if (index > lastIndex) segments.push({ text: text.slice(lastIndex, index), match: false });
+    segments.push({ text: found[0], match: true });
+    lastIndex = index + found[0].length;
+  }
+  if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex), match: false });
+
+  return segments;
+};
+
+/**
+ * Cut a window of text around the first match and highlight it
+ * @param text - Full text (e.g. a project description)
+ * @param terms - Search terms from extractSearchTerms
+ * @param maxLength - Maximum snippet length before ellipses are added
+ * @returns Highlighted snippet segments
+ */
+const buildSnippet = (
+  text: string,
+  terms: string[],
+  maxLength: number = SEARCH.SNIPPET_LENGTH
+): HighlightSegment[] => {
+  if (!text) return [];
+  if (text.length <= maxLength) return highlightText(text, terms);
+
+  const pattern = buildTermPattern(terms);
+  const firstMatch = pattern ? pattern.exec(text) : null;
+
+  // Start a third of the window before the match, snapped to a word boundary
+  let start = firstMatch ? Math.max(0, firstMatch.index - Math.floor(maxLength / 3)) : 0;
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    if (nextSpace !== -1 && nextSpace < (firstMatch?.index ?? start)) start = nextSpace + 1;
+  }
+  const end = Math.min(text.length, start + maxLength);
+
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return highlightText(snippet, terms);
+};
+
+/**
+ * Return the values of a list field that matched a search term
+ */
+const matchListValues = (values: string[] | undefined, terms: string[]): string[] => {
+  const pattern = buildTermPattern(terms);
+  if (!pattern || !values) return [];
+  return values.filter((value) => {
+    pattern.lastIndex = 0;
+    return pattern.test(value);
+  });
+};
+
+/**
+ * Build highlights for a project search result
+ * @param project - Project document (plain object)
+ * @param terms - Search terms from extractSearchTerms
+ * @returns Highlighted title and description snippet, plus matched list values
+ */
+const buildProjectHighlights = (
+  project: HighlightableProject,
+  terms: string[]
+): ProjectHighlights => ({
+  title: highlightText(project.title || '', terms),
+  description: buildSnippet(project.description || '', terms),
+  technologies: matchListValues(project.technologies, terms),
+  requiredSkills: matchListValues(project.requiredSkills, terms),
+  tags: matchListValues(project.tags, terms),
+});
+
+module.exports = {
+  extractSearchTerms,
+  highlightText,
+  buildSnippet,
+  buildProjectHighlights,
+};
+
+export { HighlightSegment, ProjectHighlights };
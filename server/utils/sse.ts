@@ -0,0 +1,40 @@
+/**
+ * Server-Sent Events formatting utility
+ * Serializes events in the text/event-stream wire format
+ */
+
+/**
+ * Format an event for an event stream
+ * @param event - Event name the client listens for
+ * @param data - Payload, sent as JSON
+ * @param id - Optional event ID
+ * @returns The event block, terminated by a blank line
+ */
+const formatSseEvent = (event: string, data: unknown, id?: string | number): string => {
+  const lines: string[] = [];
+  if (id !== undefined) lines.push(`id: ${id}`);
+  lines.push(`event: ${event}`);
+  // JSON.stringify never emits raw newlines, so the payload always fits on one data line
+  lines.push(`data: ${JSON.stringify(data ?? null)}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Format a comment line, ignored by clients but keeps the connection alive
+ * @param text - Comment text
+ */
+const formatSseComment = (text = ''): string => `: ${text.replace(/[\r\n]+/g, ' ')}\n\n`;
+
+/**
+ * Format the reconnection delay hint for clients
+ * @param ms - Delay in milliseconds
+ */
+const formatSseRetry = (ms: number): string => `retry: ${Math.max(0, Math.floor(ms))}\n\n`;
+
+module.exports = {
+  formatSseEvent,
+  formatSseComment,
+  formatSseRetry,
+};
+
+export { formatSseEvent, formatSseComment, formatSseRetry };
@@ -0,0 +1,198 @@
+/**
+ * TOTP utility
+ * Time-based one-time passwords (RFC 6238) and recovery codes for two-factor authentication
+ */
+
+import crypto from 'crypto';
+
+const { TWO_FACTOR } = require('../config/constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect secrets in
+ * @param buffer - Bytes to encode
+ * @returns Base32 string
+ */
+const base32Encode = (buffer: Buffer): string => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param input - Base32 string
+ * @returns Decoded bytes
+ */
+const base32Decode = (input: string): Buffer => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns Base32-encoded secret
+ */
+const generateSecret = (): string => base32Encode(crypto.randomBytes(TWO_FACTOR.SECRET_BYTES));
+
+/**
+ * Get the time step a moment falls in
+ * @param time - Milliseconds since the epoch
+ * @returns Step counter
+ */
+const getTimeStep = (time: number = Date.now()): number =>
+  Math.floor(time / 1000 / TWO_FACTOR.PERIOD_SECONDS);
+
+/**
+ * Compute the one-time code for a time step (HOTP, RFC 4226, with HMAC-SHA1)
+ * @param secret - Base32-encoded secret
+ * @param step - Time step counter
+ * @param digits - Code length
+ * @returns Zero-padded code
+ */
+const generateCode = (secret: string, step: number, digits: number = TWO_FACTOR.DIGITS): string => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Check a code against the secret, allowing for clock drift
+ * Steps at or before lastUsedStep are rejected so a code can't be replayed
+ * @param secret - Base32-encoded secret
+ * @param code - Code entered by the user (spaces are ignored)
+ * @param lastUsedStep - Step of the last code accepted for this secret, if any
+ * @param time - Milliseconds since the epoch
+ * @returns The matching step, or null if the code is invalid
+ */
+const verifyCode = (
+  secret: string,
+  code: string,
+  lastUsedStep: number | null = null,
+  time: number = Date.now()
+): number | null => {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TWO_FACTOR.DIGITS}}$`).test(candidate)) return null;
+
+  const current = getTimeStep(time);
+  for (let step = current - TWO_FACTOR.WINDOW; step <= current + TWO_FACTOR.WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param secret - Base32-encoded secret
+ * @param accountName - Account label, usually the user's email
+ * @param issuer - Service name shown in the app
+ * @returns Provisioning URI
+ */
+const buildOtpauthUri = (
+  secret: string,
+  accountName: string,
+  issuer: string = TWO_FACTOR.ISSUER
+): string => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TWO_FACTOR.DIGITS),
+    period: String(TWO_FACTOR.PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Normalize a recovery code as typed by a user (case, spaces and dashes are ignored)
+ * @param code - Recovery code
+ * @returns Normalized code
+ */
+const normalizeRecoveryCode = (code: string): string =>
+  String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Hash a recovery code for storage
+ * Codes are random and high-entropy, so a fast hash is sufficient
+ * @param code - Recovery code
+ * @returns SHA-256 hex digest of the normalized code
+ */
+const hashRecoveryCode = (code: string): string =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate a set of one-time recovery codes
+ * @param count - Number of codes
+ * @returns Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count: number = TWO_FACTOR.RECOVERY_CODE_COUNT): string[] =>
+  Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
+
+export {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};